@@ -0,0 +1,82 @@
+import { NavLink, Navigate, Route, Routes } from 'react-router-dom'
+import {
+  UserCircleIcon,
+  DocumentTextIcon,
+  IdentificationIcon,
+  ChartBarIcon,
+  ClockIcon,
+  TicketIcon,
+} from '@heroicons/react/24/outline'
+import { PortalEmployeeProvider, usePortalEmployee } from './contexts/PortalEmployeeProvider'
+import MyProfile from './components/Profile/MyProfile'
+import MyDocuments from './components/Documents/MyDocuments'
+import MyImmigration from './components/Immigration/MyImmigration'
+import MyReviews from './components/Reviews/MyReviews'
+import MyTimesheets from './components/Timesheets/MyTimesheets'
+import MyTickets from './components/Tickets/MyTickets'
+import './App.css'
+
+const NAV_ITEMS = [
+  { path: 'profile', label: 'My Profile', icon: UserCircleIcon, element: <MyProfile /> },
+  { path: 'documents', label: 'Documents', icon: DocumentTextIcon, element: <MyDocuments /> },
+  { path: 'immigration', label: 'Visa & Immigration', icon: IdentificationIcon, element: <MyImmigration /> },
+  { path: 'timesheets', label: 'Timesheets', icon: ClockIcon, element: <MyTimesheets /> },
+  { path: 'reviews', label: 'Performance Reviews', icon: ChartBarIcon, element: <MyReviews /> },
+  { path: 'tickets', label: 'My Tickets', icon: TicketIcon, element: <MyTickets /> },
+]
+
+/**
+ * Employee portal shell - navigation plus the self-service pages.
+ * Every page reads the signed-in employee from PortalEmployeeProvider.
+ */
+function PortalShell() {
+  const { employee, loading, error } = usePortalEmployee()
+
+  if (loading) {
+    return <div className="portal-loading">Loading your portal...</div>
+  }
+
+  if (!employee) {
+    return (
+      <div className="portal-unavailable">
+        <h1>Employee Portal</h1>
+        <p>{error || 'Please sign in to continue.'}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="portal-layout">
+      <nav className="portal-nav" aria-label="Employee portal">
+        <div className="portal-nav-user">
+          <span className="portal-nav-name">{employee.first_name} {employee.last_name}</span>
+          <span className="portal-nav-code">{employee.employee_code}</span>
+        </div>
+        {NAV_ITEMS.map(({ path, label, icon: Icon }) => (
+          <NavLink key={path} to={path} className={({ isActive }) => `portal-nav-link ${isActive ? 'active' : ''}`}>
+            <Icon className="icon-sm" />
+            {label}
+          </NavLink>
+        ))}
+      </nav>
+      <main className="portal-main">
+        <Routes>
+          {NAV_ITEMS.map(({ path, element }) => (
+            <Route key={path} path={path} element={element} />
+          ))}
+          <Route path="*" element={<Navigate to="profile" replace />} />
+        </Routes>
+      </main>
+    </div>
+  )
+}
+
+function App() {
+  return (
+    <PortalEmployeeProvider>
+      <PortalShell />
+    </PortalEmployeeProvider>
+  )
+}
+
+export default App
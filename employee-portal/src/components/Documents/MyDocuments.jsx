@@ -0,0 +1,307 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { format } from 'date-fns'
+import {
+  DocumentTextIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+} from '@heroicons/react/24/outline'
+import { supabase } from '../../api/supabaseClient'
+import { usePortalEmployee } from '../../contexts/PortalEmployeeProvider'
+import './MyDocuments.css'
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
+
+const ACCEPTED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'image/jpg',
+]
+
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'MMM d, yyyy') : null)
+
+const isExpired = (value) => value && new Date(`${value}T00:00:00`) < new Date()
+
+// Flattens the employee's assigned checklists (the template version each is pinned to)
+// into items, each with its current document (if any)
+const buildRequestedItems = (templates, documents) =>
+  templates.flatMap((template) => {
+    const groups = template.hrms_checklist_groups || []
+    return (template.hrms_checklist_items || [])
+      .filter((item) => item.visible_to_employee_flag !== false)
+      .map((item) => ({
+        ...item,
+        group_name: groups.find((group) => group.group_id === item.group_id)?.group_name || template.template_name,
+        group_order: groups.find((group) => group.group_id === item.group_id)?.display_order ?? Number.MAX_SAFE_INTEGER,
+        document: documents.find((doc) => doc.checklist_item_id === item.item_id) || null,
+      }))
+      .sort((a, b) => a.group_order - b.group_order || (a.display_order || 0) - (b.display_order || 0))
+  })
+
+/**
+ * MyDocuments Component - Documents HR has shared with the employee and the
+ * checklist documents HR is still waiting for. Only documents with
+ * visible_to_employee_flag are returned to the portal.
+ */
+function MyDocuments() {
+  const { user, employee } = usePortalEmployee()
+
+  const [documents, setDocuments] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [uploadingItemId, setUploadingItemId] = useState(null)
+  const [uploadErrors, setUploadErrors] = useState({})
+
+  const fetchDocuments = useCallback(async () => {
+    if (!employee?.employee_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [documentsResult, checklistsResult] = await Promise.all([
+        supabase
+          .from('hrms_documents')
+          .select('document_id, checklist_item_id, document_name, document_type, file_path, file_name, expiry_date, uploaded_at')
+          .eq('entity_type', 'employee')
+          .eq('entity_id', employee.employee_id)
+          .eq('visible_to_employee_flag', true)
+          .eq('is_current_version', true)
+          .in('document_status', ['active', 'expired'])
+          .order('uploaded_at', { ascending: false }),
+        supabase
+          .from('hrms_employee_checklists')
+          .select(`
+            employee_checklist_id,
+            template:hrms_checklist_templates(template_id, template_name),
+            version:hrms_checklist_template_versions(
+              version_id,
+              hrms_checklist_groups(group_id, group_name, display_order),
+              hrms_checklist_items(item_id, group_id, item_name, item_description, is_required, display_order, visible_to_employee_flag)
+            )
+          `)
+          .eq('employee_id', employee.employee_id)
+          .order('assigned_at', { ascending: true }),
+      ])
+
+      const failed = [documentsResult, checklistsResult].find((result) => result.error)
+      if (failed) throw failed.error
+
+      setDocuments(documentsResult.data || [])
+      setTemplates(
+        (checklistsResult.data || [])
+          .filter((assignment) => assignment.template && assignment.version)
+          .map((assignment) => ({ ...assignment.version, ...assignment.template }))
+      )
+    } catch (err) {
+      console.error('Error loading documents:', err)
+      setError(err.message || 'Failed to load your documents')
+    } finally {
+      setLoading(false)
+    }
+  }, [employee?.employee_id])
+
+  useEffect(() => {
+    fetchDocuments()
+  }, [fetchDocuments])
+
+  const requestedItems = useMemo(() => buildRequestedItems(templates, documents), [templates, documents])
+  const outstandingCount = requestedItems.filter((item) => item.is_required && !item.document).length
+
+  const handleDownload = async (doc) => {
+    try {
+      const [bucket, ...pathParts] = doc.file_path.split('/')
+      const { data, error: urlError } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(pathParts.join('/'), 3600)
+
+      if (urlError) throw urlError
+      window.open(data.signedUrl, '_blank', 'noopener')
+    } catch (err) {
+      console.error('Error downloading document:', err)
+      setError(err.message || 'Failed to download document')
+    }
+  }
+
+  const handleUpload = async (item, file) => {
+    if (!file) return
+
+    const setItemError = (message) => setUploadErrors((prev) => ({ ...prev, [item.item_id]: message }))
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setItemError('Unsupported file type. Please upload a PDF, DOC, DOCX, JPG or PNG file.')
+      return
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setItemError('File size exceeds 10MB limit')
+      return
+    }
+
+    try {
+      setUploadingItemId(item.item_id)
+      setItemError(null)
+
+      const sanitizedName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_')
+      const storagePath = `employee/${employee.employee_id}/${Date.now()}_${sanitizedName}`
+
+      const { error: storageError } = await supabase.storage
+        .from('documents')
+        .upload(storagePath, file, { cacheControl: '3600', upsert: false })
+
+      if (storageError) throw storageError
+
+      const { error: insertError } = await supabase
+        .from('hrms_documents')
+        .insert([{
+          tenant_id: employee.tenant_id,
+          business_id: employee.business_id || null,
+          entity_type: 'employee',
+          entity_id: employee.employee_id,
+          checklist_item_id: item.item_id,
+          document_name: item.item_name,
+          file_path: `documents/${storagePath}`,
+          file_name: file.name,
+          content_type: file.type,
+          size_bytes: file.size,
+          visible_to_employee_flag: true,
+          is_current_version: true,
+          version_number: 1,
+          document_status: 'active',
+          uploaded_by: user?.id || null,
+        }])
+
+      if (insertError) {
+        // Don't leave the file in storage without its document row. A file that
+        // cannot be removed is reported by the storage reconciliation instead.
+        const { error: removeError } = await supabase.storage.from('documents').remove([storagePath])
+        if (removeError) console.error('Error removing uploaded file:', removeError)
+        throw insertError
+      }
+
+      fetchDocuments()
+    } catch (err) {
+      console.error('Error uploading document:', err)
+      setItemError(err.message || 'Failed to upload document')
+    } finally {
+      setUploadingItemId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="my-documents-container">
+        <p>Loading documents...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="my-documents-container">
+      <div className="portal-page-header">
+        <h1 className="page-title">My Documents</h1>
+        <p className="page-subtitle">Upload requested documents and download the ones HR has shared with you</p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Requested Documents */}
+      {requestedItems.length > 0 && (
+        <section className="documents-section">
+          <h2>
+            Requested Documents
+            {outstandingCount > 0 && <span className="outstanding-count">{outstandingCount} outstanding</span>}
+          </h2>
+          <ul className="requested-list">
+            {requestedItems.map((item) => (
+              <li key={item.item_id} className={`requested-item ${item.document ? 'submitted' : 'outstanding'}`}>
+                <div className="requested-item-info">
+                  <span className="requested-item-name">
+                    {item.item_name}
+                    {item.is_required && <span className="required-badge">Required</span>}
+                  </span>
+                  <span className="requested-item-group">{item.group_name}</span>
+                  {item.item_description && <p className="requested-item-description">{item.item_description}</p>}
+                  {uploadErrors[item.item_id] && (
+                    <p className="upload-error" role="alert">{uploadErrors[item.item_id]}</p>
+                  )}
+                </div>
+                {item.document ? (
+                  <span className="submitted-badge">
+                    <CheckCircleIcon className="icon-sm" />
+                    Submitted {format(new Date(item.document.uploaded_at), 'MMM d, yyyy')}
+                  </span>
+                ) : (
+                  <label className={`btn-primary upload-button ${uploadingItemId === item.item_id ? 'disabled' : ''}`}>
+                    <ArrowUpTrayIcon className="icon-sm" />
+                    {uploadingItemId === item.item_id ? 'Uploading...' : 'Upload'}
+                    <input
+                      type="file"
+                      accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+                      aria-label={`Upload ${item.item_name}`}
+                      disabled={uploadingItemId !== null}
+                      onChange={(e) => {
+                        handleUpload(item, e.target.files?.[0])
+                        e.target.value = ''
+                      }}
+                    />
+                  </label>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Shared Documents */}
+      <section className="documents-section">
+        <h2>My Files</h2>
+        {documents.length === 0 ? (
+          <div className="empty-state">
+            <DocumentTextIcon className="empty-icon" />
+            <p>No documents have been shared with you yet.</p>
+          </div>
+        ) : (
+          <ul className="document-list">
+            {documents.map((doc) => (
+              <li key={doc.document_id} className="document-item">
+                <DocumentTextIcon className="document-icon" />
+                <div className="document-info">
+                  <span className="document-name">{doc.document_name}</span>
+                  <span className="document-meta">
+                    {doc.file_name} · Uploaded {format(new Date(doc.uploaded_at), 'MMM d, yyyy')}
+                  </span>
+                  {doc.expiry_date && (
+                    <span className={`document-expiry ${isExpired(doc.expiry_date) ? 'expired' : ''}`}>
+                      {isExpired(doc.expiry_date) && <ExclamationCircleIcon className="icon-xs" />}
+                      {isExpired(doc.expiry_date) ? 'Expired' : 'Expires'} {formatDate(doc.expiry_date)}
+                    </span>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  aria-label={`Download ${doc.document_name}`}
+                  onClick={() => handleDownload(doc)}
+                >
+                  <ArrowDownTrayIcon className="icon-sm" />
+                  Download
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default MyDocuments
@@ -0,0 +1,183 @@
+/**
+ * MyDocuments Component Tests (employee-portal)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+
+vi.mock('../../contexts/PortalEmployeeProvider', () => ({
+  usePortalEmployee: () => ({
+    user: { id: 'portal-user-id' },
+    employee: {
+      employee_id: 'emp-1',
+      tenant_id: 'test-tenant-id',
+      business_id: 'biz-1',
+      employee_type: 'it_usa',
+    },
+  }),
+}))
+
+const mockUpload = vi.fn()
+const mockCreateSignedUrl = vi.fn()
+const mockRemove = vi.fn()
+
+vi.mock('../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    storage: {
+      from: vi.fn(() => ({ upload: mockUpload, createSignedUrl: mockCreateSignedUrl, remove: mockRemove })),
+    },
+  },
+}))
+
+import { supabase } from '../../api/supabaseClient'
+import MyDocuments from './MyDocuments'
+
+const mockVersion = {
+  version_id: 'ver-1',
+  hrms_checklist_groups: [{ group_id: 'grp-id', group_name: 'Identity', display_order: 1 }],
+  hrms_checklist_items: [
+    { item_id: 'item-passport', group_id: 'grp-id', item_name: 'Passport', is_required: true, display_order: 1 },
+    { item_id: 'item-i9', group_id: 'grp-id', item_name: 'Form I-9', is_required: true, display_order: 2 },
+    { item_id: 'item-resume', group_id: 'grp-id', item_name: 'Resume', is_required: false, display_order: 3 },
+  ],
+}
+
+const mockDocuments = [
+  {
+    document_id: 'doc-passport',
+    checklist_item_id: 'item-passport',
+    document_name: 'Passport',
+    file_path: 'documents/employee/emp-1/passport.pdf',
+    file_name: 'passport.pdf',
+    expiry_date: '2020-01-31',
+    uploaded_at: '2025-01-10T10:00:00Z',
+  },
+]
+
+let queries
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    in: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+const mockSupabaseTables = (tables) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const documentInserts = () =>
+  queries.filter(({ table }) => table === 'hrms_documents').flatMap(({ query }) => query.insert.mock.calls)
+
+describe('MyDocuments (employee-portal)', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables({
+      hrms_documents: mockDocuments,
+      hrms_employee_checklists: [
+        {
+          employee_checklist_id: 'ec-1',
+          template: { template_id: 'tpl-1', template_name: 'IT USA Onboarding' },
+          version: mockVersion,
+        },
+      ],
+    })
+    mockUpload.mockResolvedValue({ data: {}, error: null })
+    mockRemove.mockResolvedValue({ data: [], error: null })
+    mockCreateSignedUrl.mockResolvedValue({ data: { signedUrl: 'https://files.example.com/passport.pdf' }, error: null })
+  })
+
+  it('lists requested documents and only employee-visible files', async () => {
+    render(<MyDocuments />)
+
+    const passport = (await screen.findByText('Passport', { selector: '.requested-item-name' })).closest('li')
+    expect(within(passport).getByText(/Submitted/)).toBeInTheDocument()
+
+    const i9 = screen.getByText('Form I-9').closest('li')
+    expect(within(i9).getByLabelText('Upload Form I-9')).toBeInTheDocument()
+    // The optional resume is requested but not counted as outstanding
+    expect(screen.getByText('Resume')).toBeInTheDocument()
+    expect(screen.getByText('1 outstanding')).toBeInTheDocument()
+
+    expect(screen.getByText(/Expired Jan 31, 2020/)).toBeInTheDocument()
+
+    const documentsQuery = queries.find(({ table }) => table === 'hrms_documents').query
+    expect(documentsQuery.eq).toHaveBeenCalledWith('visible_to_employee_flag', true)
+    const checklistsQuery = queries.find(({ table }) => table === 'hrms_employee_checklists').query
+    expect(checklistsQuery.eq).toHaveBeenCalledWith('employee_id', 'emp-1')
+  })
+
+  it('uploads a requested document against its checklist item', async () => {
+    render(<MyDocuments />)
+
+    const file = new File(['%PDF-1.4'], 'my i9.pdf', { type: 'application/pdf' })
+    fireEvent.change(await screen.findByLabelText('Upload Form I-9'), { target: { files: [file] } })
+
+    await waitFor(() => expect(documentInserts()).toHaveLength(1))
+    expect(supabase.storage.from).toHaveBeenCalledWith('documents')
+    expect(mockUpload.mock.calls[0][0]).toMatch(/^employee\/emp-1\/\d+_my_i9\.pdf$/)
+    expect(documentInserts()[0][0][0]).toMatchObject({
+      tenant_id: 'test-tenant-id',
+      entity_type: 'employee',
+      entity_id: 'emp-1',
+      checklist_item_id: 'item-i9',
+      document_name: 'Form I-9',
+      file_name: 'my i9.pdf',
+      visible_to_employee_flag: true,
+      uploaded_by: 'portal-user-id',
+    })
+  })
+
+  it('removes the uploaded file when its document row cannot be saved', async () => {
+    const defaultFrom = supabase.from.getMockImplementation()
+    supabase.from.mockImplementation((table) => {
+      const query = defaultFrom(table)
+      if (table === 'hrms_documents') {
+        query.insert = vi.fn(() => createQuery(null, { message: 'new row violates row-level security policy' }))
+      }
+      return query
+    })
+    render(<MyDocuments />)
+
+    const file = new File(['%PDF-1.4'], 'my i9.pdf', { type: 'application/pdf' })
+    fireEvent.change(await screen.findByLabelText('Upload Form I-9'), { target: { files: [file] } })
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('new row violates row-level security policy')
+    const storagePath = mockUpload.mock.calls[0][0]
+    expect(mockRemove).toHaveBeenCalledWith([storagePath])
+  })
+
+  it('rejects unsupported file types before uploading', async () => {
+    render(<MyDocuments />)
+
+    const file = new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' })
+    fireEvent.change(await screen.findByLabelText('Upload Form I-9'), { target: { files: [file] } })
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Unsupported file type')
+    expect(mockUpload).not.toHaveBeenCalled()
+  })
+
+  it('opens a signed link to download a file', async () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null)
+    render(<MyDocuments />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Download Passport' }))
+
+    await waitFor(() => expect(open).toHaveBeenCalledWith('https://files.example.com/passport.pdf', '_blank', 'noopener'))
+    expect(mockCreateSignedUrl).toHaveBeenCalledWith('employee/emp-1/passport.pdf', 3600)
+    open.mockRestore()
+  })
+})
@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react'
+import { format, differenceInCalendarDays } from 'date-fns'
+import { IdentificationIcon, UsersIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../api/supabaseClient'
+import { usePortalEmployee } from '../../contexts/PortalEmployeeProvider'
+import './MyImmigration.css'
+
+// Visa end dates closer than this are flagged so the employee raises a ticket early
+const EXPIRY_WARNING_DAYS = 180
+
+const RELATIONSHIP_LABELS = {
+  spouse: 'Spouse',
+  child: 'Child',
+  parent: 'Parent',
+  sibling: 'Sibling',
+  other: 'Other',
+}
+
+const toDate = (value) => new Date(`${value}T00:00:00`)
+
+const formatDate = (value) => (value ? format(toDate(value), 'MMM d, yyyy') : '—')
+
+const daysUntil = (value) => (value ? differenceInCalendarDays(toDate(value), new Date()) : null)
+
+/**
+ * MyImmigration Component - Read-only view of the employee's visa history
+ * and dependents. Changes go through an Immigration ticket.
+ */
+function MyImmigration() {
+  const { employee } = usePortalEmployee()
+
+  const [visas, setVisas] = useState([])
+  const [dependents, setDependents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchImmigration = useCallback(async () => {
+    if (!employee?.employee_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [visasResult, dependentsResult] = await Promise.all([
+        supabase
+          .from('hrms_visa_statuses')
+          .select('visa_status_id, visa_type_name, receipt_number, start_date, end_date, is_current, visa_status')
+          .eq('employee_id', employee.employee_id)
+          .order('start_date', { ascending: false }),
+        supabase
+          .from('hrms_dependents')
+          .select('dependent_id, first_name, last_name, relationship, date_of_birth, visa_type, visa_status, visa_expiry_date')
+          .eq('employee_id', employee.employee_id)
+          .order('first_name'),
+      ])
+
+      const failed = [visasResult, dependentsResult].find((result) => result.error)
+      if (failed) throw failed.error
+
+      setVisas(visasResult.data || [])
+      setDependents(dependentsResult.data || [])
+    } catch (err) {
+      console.error('Error loading immigration details:', err)
+      setError(err.message || 'Failed to load your visa details')
+    } finally {
+      setLoading(false)
+    }
+  }, [employee?.employee_id])
+
+  useEffect(() => {
+    fetchImmigration()
+  }, [fetchImmigration])
+
+  if (loading) {
+    return (
+      <div className="my-immigration-container">
+        <p>Loading visa details...</p>
+      </div>
+    )
+  }
+
+  const currentVisa = visas.find((visa) => visa.is_current)
+  const history = visas.filter((visa) => visa !== currentVisa)
+  const remainingDays = daysUntil(currentVisa?.end_date)
+
+  return (
+    <div className="my-immigration-container">
+      <div className="portal-page-header">
+        <h1 className="page-title">Visa & Immigration</h1>
+        <p className="page-subtitle">Your visa status and dependents on file. Raise an Immigration ticket to request changes.</p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Current Visa */}
+      <section className="immigration-card">
+        <h2><IdentificationIcon className="icon-sm" /> Current Visa</h2>
+        {currentVisa ? (
+          <>
+            <dl className="visa-fields">
+              <div>
+                <dt>Visa Type</dt>
+                <dd>{currentVisa.visa_type_name || '—'}</dd>
+              </div>
+              <div>
+                <dt>Valid From</dt>
+                <dd>{formatDate(currentVisa.start_date)}</dd>
+              </div>
+              <div>
+                <dt>Valid Until</dt>
+                <dd>{formatDate(currentVisa.end_date)}</dd>
+              </div>
+              <div>
+                <dt>Receipt Number</dt>
+                <dd>{currentVisa.receipt_number || '—'}</dd>
+              </div>
+            </dl>
+            {remainingDays !== null && remainingDays <= EXPIRY_WARNING_DAYS && (
+              <div className={`visa-expiry-warning ${remainingDays < 0 ? 'expired' : ''}`} role="status">
+                <ExclamationTriangleIcon className="icon-sm" />
+                {remainingDays < 0
+                  ? 'Your visa has expired. Please contact the Immigration team.'
+                  : `Your visa expires in ${remainingDays} day${remainingDays === 1 ? '' : 's'}. Contact the Immigration team about an extension.`}
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="empty-text">No current visa on file.</p>
+        )}
+
+        {history.length > 0 && (
+          <>
+            <h3>Visa History</h3>
+            <table className="immigration-table">
+              <thead>
+                <tr>
+                  <th>Visa Type</th>
+                  <th>From</th>
+                  <th>Until</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((visa) => (
+                  <tr key={visa.visa_status_id}>
+                    <td>{visa.visa_type_name || '—'}</td>
+                    <td>{formatDate(visa.start_date)}</td>
+                    <td>{formatDate(visa.end_date)}</td>
+                    <td className="capitalize">{visa.visa_status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </section>
+
+      {/* Dependents */}
+      <section className="immigration-card">
+        <h2><UsersIcon className="icon-sm" /> Dependents</h2>
+        {dependents.length === 0 ? (
+          <p className="empty-text">No dependents on file.</p>
+        ) : (
+          <table className="immigration-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Relationship</th>
+                <th>Date of Birth</th>
+                <th>Visa</th>
+                <th>Visa Expiry</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dependents.map((dependent) => (
+                <tr key={dependent.dependent_id}>
+                  <td>{dependent.first_name} {dependent.last_name}</td>
+                  <td>{RELATIONSHIP_LABELS[dependent.relationship] || '—'}</td>
+                  <td>{formatDate(dependent.date_of_birth)}</td>
+                  <td>{[dependent.visa_type, dependent.visa_status].filter(Boolean).join(' · ') || '—'}</td>
+                  <td>{formatDate(dependent.visa_expiry_date)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default MyImmigration
@@ -0,0 +1,97 @@
+/**
+ * MyImmigration Component Tests (employee-portal)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, within } from '@testing-library/react'
+
+vi.mock('../../contexts/PortalEmployeeProvider', () => ({
+  usePortalEmployee: () => ({
+    user: { id: 'portal-user-id' },
+    employee: { employee_id: 'emp-1', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../api/supabaseClient'
+import MyImmigration from './MyImmigration'
+
+const mockTables = {
+  hrms_visa_statuses: [
+    {
+      visa_status_id: 'visa-2',
+      visa_type_name: 'H1B',
+      receipt_number: 'WAC2512345678',
+      start_date: '2023-10-01',
+      end_date: '2025-05-30',
+      is_current: true,
+      visa_status: 'active',
+    },
+    {
+      visa_status_id: 'visa-1',
+      visa_type_name: 'STEM OPT',
+      start_date: '2021-06-01',
+      end_date: '2023-09-30',
+      is_current: false,
+      visa_status: 'expired',
+    },
+  ],
+  hrms_dependents: [
+    {
+      dependent_id: 'dep-1',
+      first_name: 'Jane',
+      last_name: 'Doe',
+      relationship: 'spouse',
+      date_of_birth: '1992-04-12',
+      visa_type: 'H4',
+      visa_status: 'active',
+      visa_expiry_date: '2025-05-30',
+    },
+  ],
+}
+
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+describe('MyImmigration (employee-portal)', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-03-01T12:00:00'))
+    supabase.from.mockImplementation((table) => createQuery(mockTables[table] || []))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('shows the current visa, history and dependents', async () => {
+    render(<MyImmigration />)
+
+    const current = (await screen.findByText('Current Visa')).closest('section')
+    expect(within(current).getByText('H1B')).toBeInTheDocument()
+    expect(within(current).getByText('WAC2512345678')).toBeInTheDocument()
+    expect(within(current).getByText('STEM OPT')).toBeInTheDocument()
+
+    const dependents = screen.getByText('Dependents').closest('section')
+    const row = within(dependents).getByText('Jane Doe').closest('tr')
+    expect(within(row).getByText('Spouse')).toBeInTheDocument()
+    expect(within(row).getByText('H4 · active')).toBeInTheDocument()
+  })
+
+  it('warns when the current visa is close to expiring', async () => {
+    render(<MyImmigration />)
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Your visa expires in 90 days')
+  })
+})
@@ -0,0 +1,502 @@
+import { useState, useEffect, useCallback } from 'react'
+import { format } from 'date-fns'
+import {
+  EnvelopeIcon,
+  PhoneIcon,
+  MapPinIcon,
+  PencilSquareIcon,
+  ClockIcon,
+} from '@heroicons/react/24/outline'
+import { supabase } from '../../api/supabaseClient'
+import { usePortalEmployee } from '../../contexts/PortalEmployeeProvider'
+import './MyProfile.css'
+
+// Address types an employee can maintain; 'previous' rows are history only
+const ADDRESS_TYPES = [
+  { value: 'current', label: 'Current Address' },
+  { value: 'permanent', label: 'Permanent Address' },
+  { value: 'mailing', label: 'Mailing Address' },
+]
+
+const REQUEST_STATUS_LABELS = {
+  pending: 'Awaiting HR approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Replaced',
+}
+
+const RECENT_REQUESTS_LIMIT = 10
+
+const EMPTY_ADDRESS = {
+  street_address_1: '',
+  street_address_2: '',
+  country_id: '',
+  state_id: '',
+  city_id: '',
+  postal_code: '',
+  valid_from: '',
+}
+
+const formatAddress = (address) =>
+  [
+    address.street_address_1,
+    address.street_address_2,
+    address.cities?.name,
+    [address.states?.code || address.states?.name, address.postal_code].filter(Boolean).join(' '),
+    address.countries?.name,
+  ]
+    .filter(Boolean)
+    .join(', ')
+
+const requestKey = (changeType, addressType) => (changeType === 'contact' ? 'contact' : addressType)
+
+/**
+ * MyProfile Component - Employee contact info and addresses
+ * Edits are filed as change requests and only take effect once HR approves them.
+ */
+function MyProfile() {
+  const { employee } = usePortalEmployee()
+
+  const [addresses, setAddresses] = useState([])
+  const [requests, setRequests] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [successMessage, setSuccessMessage] = useState(null)
+
+  const fetchProfile = useCallback(async () => {
+    if (!employee?.employee_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [addressesResult, requestsResult] = await Promise.all([
+        supabase
+          .from('hrms_employee_addresses')
+          .select('*, cities(name), states(name, code), countries(name)')
+          .eq('employee_id', employee.employee_id)
+          .eq('is_current', true)
+          .order('valid_from', { ascending: false }),
+        supabase
+          .from('hrms_employee_change_requests')
+          .select('request_id, change_type, address_type, requested_values, request_status, review_notes, created_at, reviewed_at')
+          .eq('employee_id', employee.employee_id)
+          .order('created_at', { ascending: false })
+          .limit(RECENT_REQUESTS_LIMIT),
+      ])
+
+      const failed = [addressesResult, requestsResult].find((result) => result.error)
+      if (failed) throw failed.error
+
+      setAddresses(addressesResult.data || [])
+      setRequests(requestsResult.data || [])
+    } catch (err) {
+      console.error('Error loading profile:', err)
+      setError(err.message || 'Failed to load your profile')
+    } finally {
+      setLoading(false)
+    }
+  }, [employee?.employee_id])
+
+  useEffect(() => {
+    fetchProfile()
+  }, [fetchProfile])
+
+  const pendingRequest = (key) =>
+    requests.find(
+      (request) => request.request_status === 'pending' && requestKey(request.change_type, request.address_type) === key
+    )
+
+  const handleSubmitted = () => {
+    setEditing(null)
+    setSuccessMessage('Your change was sent to HR for approval.')
+    fetchProfile()
+  }
+
+  const startEditing = (key) => {
+    setSuccessMessage(null)
+    setEditing(key)
+  }
+
+  if (loading) {
+    return (
+      <div className="my-profile-container">
+        <p>Loading profile...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="my-profile-container">
+      <div className="portal-page-header">
+        <h1 className="page-title">My Profile</h1>
+        <p className="page-subtitle">
+          {employee.first_name} {employee.last_name} · {employee.employee_code}
+        </p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {successMessage && <div className="success-message">{successMessage}</div>}
+
+      {/* Contact Information */}
+      <section className="profile-card">
+        <div className="profile-card-header">
+          <h2>Contact Information</h2>
+          {editing !== 'contact' && (
+            <button type="button" className="btn-secondary" onClick={() => startEditing('contact')}>
+              <PencilSquareIcon className="icon-sm" />
+              Request Change
+            </button>
+          )}
+        </div>
+
+        {editing === 'contact' ? (
+          <ContactChangeForm
+            employee={employee}
+            onCancel={() => setEditing(null)}
+            onSubmitted={handleSubmitted}
+          />
+        ) : (
+          <dl className="profile-fields">
+            <div>
+              <dt><EnvelopeIcon className="icon-xs" /> Email</dt>
+              <dd>{employee.email}</dd>
+            </div>
+            <div>
+              <dt><PhoneIcon className="icon-xs" /> Phone</dt>
+              <dd>{employee.phone || 'Not provided'}</dd>
+            </div>
+          </dl>
+        )}
+        <PendingChange request={pendingRequest('contact')} />
+      </section>
+
+      {/* Addresses */}
+      {ADDRESS_TYPES.map(({ value, label }) => {
+        const address = addresses.find((a) => a.address_type === value)
+
+        return (
+          <section key={value} className="profile-card">
+            <div className="profile-card-header">
+              <h2>{label}</h2>
+              {editing !== value && (
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  aria-label={`Request change to ${label.toLowerCase()}`}
+                  onClick={() => startEditing(value)}
+                >
+                  <PencilSquareIcon className="icon-sm" />
+                  {address ? 'Request Change' : 'Add Address'}
+                </button>
+              )}
+            </div>
+
+            {editing === value ? (
+              <AddressChangeForm
+                addressType={value}
+                address={address}
+                onCancel={() => setEditing(null)}
+                onSubmitted={handleSubmitted}
+              />
+            ) : (
+              <p className="profile-address">
+                <MapPinIcon className="icon-xs" />
+                {address ? formatAddress(address) : 'No address on file'}
+              </p>
+            )}
+            <PendingChange request={pendingRequest(value)} />
+          </section>
+        )
+      })}
+
+      {/* Request History */}
+      {requests.some((request) => request.request_status !== 'pending') && (
+        <section className="profile-card">
+          <h2>Recent Change Requests</h2>
+          <ul className="change-request-list">
+            {requests
+              .filter((request) => request.request_status !== 'pending')
+              .map((request) => (
+                <li key={request.request_id} className="change-request-item">
+                  <span>
+                    {request.change_type === 'contact'
+                      ? 'Contact information'
+                      : ADDRESS_TYPES.find((type) => type.value === request.address_type)?.label}
+                    {' · '}
+                    {format(new Date(request.created_at), 'MMM d, yyyy')}
+                  </span>
+                  <span className={`request-status ${request.request_status}`}>
+                    {REQUEST_STATUS_LABELS[request.request_status]}
+                  </span>
+                  {request.review_notes && <p className="request-review-notes">HR: {request.review_notes}</p>}
+                </li>
+              ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  )
+}
+
+// Pending request notice shown under the card it affects
+function PendingChange({ request }) {
+  if (!request) return null
+
+  return (
+    <div className="pending-change">
+      <ClockIcon className="icon-xs" />
+      Change submitted {format(new Date(request.created_at), 'MMM d, yyyy')} — awaiting HR approval
+    </div>
+  )
+}
+
+async function submitChangeRequest(changeType, requestedValues, addressType, note) {
+  const { error } = await supabase.rpc('submit_hrms_employee_change_request', {
+    p_change_type: changeType,
+    p_requested_values: requestedValues,
+    p_address_type: addressType || null,
+    p_employee_note: note || null,
+  })
+  if (error) throw error
+}
+
+// Contact Change Form
+function ContactChangeForm({ employee, onCancel, onSubmitted }) {
+  const [email, setEmail] = useState(employee.email || '')
+  const [phone, setPhone] = useState(employee.phone || '')
+  const [note, setNote] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const changes = {}
+    if (email.trim().toLowerCase() !== (employee.email || '').toLowerCase()) changes.email = email.trim()
+    if (phone.trim() !== (employee.phone || '')) changes.phone = phone.trim()
+
+    if (Object.keys(changes).length === 0) {
+      setFormError('Nothing has changed')
+      return
+    }
+    if (changes.email !== undefined && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(changes.email)) {
+      setFormError('Please enter a valid email address')
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      setFormError(null)
+      await submitChangeRequest('contact', changes, null, note.trim())
+      onSubmitted()
+    } catch (err) {
+      console.error('Error submitting contact change:', err)
+      setFormError(err.message || 'Failed to submit your change')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form className="change-form" onSubmit={handleSubmit}>
+      {formError && <p className="form-error" role="alert">{formError}</p>}
+      <label>
+        Email
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+      </label>
+      <label>
+        Phone
+        <input type="tel" value={phone} onChange={(e) => setPhone(e.target.value)} />
+      </label>
+      <label className="full-width">
+        Note to HR (optional)
+        <textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} />
+      </label>
+      <div className="change-form-actions">
+        <button type="button" className="btn-secondary" onClick={onCancel} disabled={submitting}>
+          Cancel
+        </button>
+        <button type="submit" className="btn-primary" disabled={submitting}>
+          {submitting ? 'Submitting...' : 'Submit for Approval'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// Address Change Form (country -> state -> city lookups)
+function AddressChangeForm({ addressType, address, onCancel, onSubmitted }) {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_ADDRESS,
+    street_address_1: address?.street_address_1 || '',
+    street_address_2: address?.street_address_2 || '',
+    country_id: address?.country_id || '',
+    state_id: address?.state_id || '',
+    city_id: address?.city_id || '',
+    postal_code: address?.postal_code || '',
+  }))
+  const [note, setNote] = useState('')
+  const [countries, setCountries] = useState([])
+  const [states, setStates] = useState([])
+  const [cities, setCities] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  useEffect(() => {
+    supabase
+      .from('countries')
+      .select('country_id, name')
+      .order('name')
+      .then(({ data, error }) => {
+        if (error) console.error('Error loading countries:', error)
+        setCountries(data || [])
+      })
+  }, [])
+
+  useEffect(() => {
+    if (!values.country_id) {
+      setStates([])
+      return
+    }
+    supabase
+      .from('states')
+      .select('state_id, name')
+      .eq('country_id', values.country_id)
+      .order('name')
+      .then(({ data, error }) => {
+        if (error) console.error('Error loading states:', error)
+        setStates(data || [])
+      })
+  }, [values.country_id])
+
+  useEffect(() => {
+    if (!values.state_id) {
+      setCities([])
+      return
+    }
+    supabase
+      .from('cities')
+      .select('city_id, name')
+      .eq('state_id', values.state_id)
+      .order('name')
+      .then(({ data, error }) => {
+        if (error) console.error('Error loading cities:', error)
+        setCities(data || [])
+      })
+  }, [values.state_id])
+
+  const setField = (field, value) => {
+    setValues((prev) => {
+      const next = { ...prev, [field]: value }
+      if (field === 'country_id') Object.assign(next, { state_id: '', city_id: '' })
+      if (field === 'state_id') next.city_id = ''
+      return next
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!values.street_address_1.trim() || !values.country_id) {
+      setFormError('Street address and country are required')
+      return
+    }
+
+    // Empty optional fields are sent so HR sees them cleared
+    const changes = Object.fromEntries(
+      Object.entries(values)
+        .filter(([field, value]) => field !== 'valid_from' || value)
+        .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+    )
+
+    try {
+      setSubmitting(true)
+      setFormError(null)
+      await submitChangeRequest('address', changes, addressType, note.trim())
+      onSubmitted()
+    } catch (err) {
+      console.error('Error submitting address change:', err)
+      setFormError(err.message || 'Failed to submit your change')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form className="change-form" onSubmit={handleSubmit}>
+      {formError && <p className="form-error" role="alert">{formError}</p>}
+      <label className="full-width">
+        Street Address
+        <input value={values.street_address_1} onChange={(e) => setField('street_address_1', e.target.value)} />
+      </label>
+      <label className="full-width">
+        Apartment, Suite (optional)
+        <input value={values.street_address_2} onChange={(e) => setField('street_address_2', e.target.value)} />
+      </label>
+      <label>
+        Country
+        <select value={values.country_id} onChange={(e) => setField('country_id', e.target.value)}>
+          <option value="">Select country</option>
+          {countries.map((country) => (
+            <option key={country.country_id} value={country.country_id}>{country.name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        State
+        <select
+          value={values.state_id}
+          onChange={(e) => setField('state_id', e.target.value)}
+          disabled={!values.country_id}
+        >
+          <option value="">Select state</option>
+          {states.map((state) => (
+            <option key={state.state_id} value={state.state_id}>{state.name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        City
+        <select
+          value={values.city_id}
+          onChange={(e) => setField('city_id', e.target.value)}
+          disabled={!values.state_id}
+        >
+          <option value="">Select city</option>
+          {cities.map((city) => (
+            <option key={city.city_id} value={city.city_id}>{city.name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Postal Code
+        <input value={values.postal_code} onChange={(e) => setField('postal_code', e.target.value)} />
+      </label>
+      <label>
+        Effective From
+        <input type="date" value={values.valid_from} onChange={(e) => setField('valid_from', e.target.value)} />
+      </label>
+      <label className="full-width">
+        Note to HR (optional)
+        <textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} />
+      </label>
+      <div className="change-form-actions">
+        <button type="button" className="btn-secondary" onClick={onCancel} disabled={submitting}>
+          Cancel
+        </button>
+        <button type="submit" className="btn-primary" disabled={submitting}>
+          {submitting ? 'Submitting...' : 'Submit for Approval'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default MyProfile
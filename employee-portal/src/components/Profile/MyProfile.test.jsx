@@ -0,0 +1,157 @@
+/**
+ * MyProfile Component Tests (employee-portal)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+
+vi.mock('../../contexts/PortalEmployeeProvider', () => ({
+  usePortalEmployee: () => ({
+    user: { id: 'portal-user-id' },
+    employee: {
+      employee_id: 'emp-1',
+      tenant_id: 'test-tenant-id',
+      employee_code: 'IES00015',
+      first_name: 'John',
+      last_name: 'Doe',
+      email: 'john@example.com',
+      phone: '555-0100',
+    },
+  }),
+}))
+
+vi.mock('../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../api/supabaseClient'
+import MyProfile from './MyProfile'
+
+const mockTables = {
+  hrms_employee_addresses: [
+    {
+      address_id: 'addr-1',
+      address_type: 'current',
+      street_address_1: '1 Main St',
+      street_address_2: null,
+      country_id: 'country-us',
+      state_id: 'state-nj',
+      city_id: 'city-edison',
+      postal_code: '08817',
+      cities: { name: 'Edison' },
+      states: { name: 'New Jersey', code: 'NJ' },
+      countries: { name: 'United States' },
+    },
+  ],
+  hrms_employee_change_requests: [
+    {
+      request_id: 'req-1',
+      change_type: 'address',
+      address_type: 'mailing',
+      request_status: 'pending',
+      created_at: '2025-03-01T10:00:00Z',
+    },
+    {
+      request_id: 'req-0',
+      change_type: 'contact',
+      address_type: null,
+      request_status: 'rejected',
+      review_notes: 'Use your personal email',
+      created_at: '2025-02-01T10:00:00Z',
+    },
+  ],
+  countries: [{ country_id: 'country-us', name: 'United States' }],
+  states: [{ state_id: 'state-nj', name: 'New Jersey' }],
+  cities: [{ city_id: 'city-edison', name: 'Edison' }],
+}
+
+// Chainable query builder resolving to the table's rows
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+describe('MyProfile (employee-portal)', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.from.mockImplementation((table) => createQuery(mockTables[table] || []))
+    supabase.rpc.mockResolvedValue({ data: 'req-new', error: null })
+  })
+
+  it('shows contact info, addresses and request status', async () => {
+    render(<MyProfile />)
+
+    expect(await screen.findByText('john@example.com')).toBeInTheDocument()
+    expect(screen.getByText('555-0100')).toBeInTheDocument()
+    expect(screen.getByText('1 Main St, Edison, NJ 08817, United States')).toBeInTheDocument()
+
+    const mailing = screen.getByText('Mailing Address').closest('section')
+    expect(within(mailing).getByText(/awaiting HR approval/i)).toBeInTheDocument()
+
+    expect(screen.getByText('Rejected')).toBeInTheDocument()
+    expect(screen.getByText('HR: Use your personal email')).toBeInTheDocument()
+  })
+
+  it('submits only the changed contact fields for approval', async () => {
+    render(<MyProfile />)
+
+    const contact = (await screen.findByText('Contact Information')).closest('section')
+    fireEvent.click(within(contact).getByRole('button', { name: /request change/i }))
+    fireEvent.change(within(contact).getByLabelText('Phone'), { target: { value: '555-0200' } })
+    fireEvent.click(within(contact).getByRole('button', { name: 'Submit for Approval' }))
+
+    await waitFor(() =>
+      expect(supabase.rpc).toHaveBeenCalledWith('submit_hrms_employee_change_request', {
+        p_change_type: 'contact',
+        p_requested_values: { phone: '555-0200' },
+        p_address_type: null,
+        p_employee_note: null,
+      })
+    )
+    expect(await screen.findByText('Your change was sent to HR for approval.')).toBeInTheDocument()
+  })
+
+  it('does not submit an unchanged contact form', async () => {
+    render(<MyProfile />)
+
+    const contact = (await screen.findByText('Contact Information')).closest('section')
+    fireEvent.click(within(contact).getByRole('button', { name: /request change/i }))
+    fireEvent.click(within(contact).getByRole('button', { name: 'Submit for Approval' }))
+
+    expect(await within(contact).findByRole('alert')).toHaveTextContent('Nothing has changed')
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  it('files an address change for the chosen address type', async () => {
+    render(<MyProfile />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Request change to current address' }))
+    const current = screen.getByText('Current Address').closest('section')
+    fireEvent.change(within(current).getByLabelText('Street Address'), { target: { value: '9 Elm St' } })
+    fireEvent.click(within(current).getByRole('button', { name: 'Submit for Approval' }))
+
+    await waitFor(() => expect(supabase.rpc).toHaveBeenCalled())
+    const [name, args] = supabase.rpc.mock.calls[0]
+    expect(name).toBe('submit_hrms_employee_change_request')
+    expect(args).toMatchObject({
+      p_change_type: 'address',
+      p_address_type: 'current',
+      p_requested_values: {
+        street_address_1: '9 Elm St',
+        country_id: 'country-us',
+        state_id: 'state-nj',
+        city_id: 'city-edison',
+        postal_code: '08817',
+      },
+    })
+    expect(args.p_requested_values).not.toHaveProperty('valid_from')
+  })
+})
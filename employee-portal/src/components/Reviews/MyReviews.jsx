@@ -0,0 +1,238 @@
+import { useState, useEffect, useCallback } from 'react'
+import { format } from 'date-fns'
+import { ChartBarIcon, CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../api/supabaseClient'
+import { usePortalEmployee } from '../../contexts/PortalEmployeeProvider'
+import './MyReviews.css'
+
+const REVIEW_TYPE_LABELS = {
+  annual: 'Annual Review',
+  semi_annual: 'Semi-Annual Review',
+  quarterly: 'Quarterly Review',
+  probation: 'Probation Review',
+  pip: 'Performance Improvement Plan',
+  promotion: 'Promotion Review',
+  other: 'Review',
+}
+
+const REVIEW_SECTIONS = [
+  { key: 'strengths', label: 'Strengths' },
+  { key: 'areas_for_improvement', label: 'Areas for Improvement' },
+  { key: 'goals_next_period', label: 'Goals for Next Period' },
+  { key: 'reviewer_comments', label: 'Reviewer Comments' },
+]
+
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'MMM d, yyyy') : null)
+
+const reviewPeriod = (review) => {
+  const start = formatDate(review.review_period_start)
+  const end = formatDate(review.review_period_end)
+  if (start && end) return `${start} – ${end}`
+  return end || start || (review.review_year ? String(review.review_year) : 'Undated')
+}
+
+const needsAcknowledgement = (review) => review.review_status === 'submitted' && !review.acknowledged_by_employee
+
+/**
+ * MyReviews Component - Performance reviews shared with the employee.
+ * Submitted reviews wait for the employee to acknowledge them
+ * (acknowledged_by_employee), optionally with their own comments.
+ */
+function MyReviews() {
+  const { employee } = usePortalEmployee()
+
+  const [reviews, setReviews] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchReviews = useCallback(async () => {
+    if (!employee?.employee_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: reviewsError } = await supabase
+        .from('hrms_performance_reports')
+        .select(`
+          report_id,
+          review_period_start,
+          review_period_end,
+          review_year,
+          review_type,
+          overall_rating,
+          strengths,
+          areas_for_improvement,
+          goals_next_period,
+          reviewer_comments,
+          employee_comments,
+          review_status,
+          acknowledged_by_employee,
+          acknowledged_at,
+          reviewer:hrms_employees!hrms_performance_reports_reviewer_id_fkey(first_name, last_name)
+        `)
+        .eq('employee_id', employee.employee_id)
+        .neq('review_status', 'draft')
+        .order('review_period_end', { ascending: false, nullsFirst: true })
+
+      if (reviewsError) throw reviewsError
+
+      setReviews(data || [])
+    } catch (err) {
+      console.error('Error loading reviews:', err)
+      setError(err.message || 'Failed to load your performance reviews')
+    } finally {
+      setLoading(false)
+    }
+  }, [employee?.employee_id])
+
+  useEffect(() => {
+    fetchReviews()
+  }, [fetchReviews])
+
+  const handleAcknowledged = (reportId, acknowledgedAt, comments) => {
+    setReviews((prev) =>
+      prev.map((review) =>
+        review.report_id === reportId
+          ? {
+            ...review,
+            review_status: 'acknowledged',
+            acknowledged_by_employee: true,
+            acknowledged_at: acknowledgedAt,
+            employee_comments: comments || review.employee_comments,
+          }
+          : review
+      )
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="my-reviews-container">
+        <p>Loading reviews...</p>
+      </div>
+    )
+  }
+
+  const pendingCount = reviews.filter(needsAcknowledgement).length
+
+  return (
+    <div className="my-reviews-container">
+      <div className="portal-page-header">
+        <h1 className="page-title">Performance Reviews</h1>
+        <p className="page-subtitle">
+          {pendingCount > 0
+            ? `${pendingCount} review${pendingCount === 1 ? '' : 's'} waiting for your acknowledgement`
+            : 'Reviews your manager has shared with you'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!error && reviews.length === 0 && (
+        <div className="empty-state">
+          <ChartBarIcon className="empty-icon" />
+          <p>No performance reviews have been shared with you yet.</p>
+        </div>
+      )}
+
+      {reviews.map((review) => (
+        <ReviewCard key={review.report_id} review={review} onAcknowledged={handleAcknowledged} />
+      ))}
+    </div>
+  )
+}
+
+// Review Card Component
+function ReviewCard({ review, onAcknowledged }) {
+  const [comments, setComments] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [ackError, setAckError] = useState(null)
+
+  const title = REVIEW_TYPE_LABELS[review.review_type] || 'Review'
+
+  const handleAcknowledge = async () => {
+    try {
+      setSubmitting(true)
+      setAckError(null)
+
+      const { data, error } = await supabase.rpc('acknowledge_hrms_performance_review', {
+        p_report_id: review.report_id,
+        p_employee_comments: comments.trim() || null,
+      })
+
+      if (error) throw error
+
+      onAcknowledged(review.report_id, data, comments.trim())
+    } catch (err) {
+      console.error('Error acknowledging review:', err)
+      setAckError(err.message || 'Failed to acknowledge review')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <article className="review-card" aria-label={`${title}, ${reviewPeriod(review)}`}>
+      <div className="review-card-header">
+        <div>
+          <h2>{title}</h2>
+          <span className="review-period">{reviewPeriod(review)}</span>
+          {review.reviewer && (
+            <span className="review-reviewer">
+              Reviewed by {review.reviewer.first_name} {review.reviewer.last_name}
+            </span>
+          )}
+        </div>
+        {review.overall_rating != null && (
+          <div className="review-rating" aria-label="Overall rating">
+            {Number(review.overall_rating).toFixed(1)}<span>/5</span>
+          </div>
+        )}
+      </div>
+
+      {REVIEW_SECTIONS.filter(({ key }) => review[key]).map(({ key, label }) => (
+        <section key={key} className="review-section">
+          <h3>{label}</h3>
+          <p>{review[key]}</p>
+        </section>
+      ))}
+
+      {review.acknowledged_by_employee ? (
+        <>
+          {review.employee_comments && (
+            <section className="review-section">
+              <h3>Your Comments</h3>
+              <p>{review.employee_comments}</p>
+            </section>
+          )}
+          <div className="acknowledged-badge">
+            <CheckCircleIcon className="icon-sm" />
+            Acknowledged{review.acknowledged_at ? ` on ${format(new Date(review.acknowledged_at), 'MMM d, yyyy')}` : ''}
+          </div>
+        </>
+      ) : needsAcknowledgement(review) && (
+        <div className="acknowledge-panel">
+          <p className="acknowledge-hint">
+            <ExclamationCircleIcon className="icon-sm" />
+            Acknowledging confirms you have read this review; it does not mean you agree with it.
+          </p>
+          {ackError && <p className="form-error" role="alert">{ackError}</p>}
+          <label>
+            Your comments (optional)
+            <textarea rows={3} value={comments} onChange={(e) => setComments(e.target.value)} />
+          </label>
+          <button type="button" className="btn-primary" onClick={handleAcknowledge} disabled={submitting}>
+            {submitting ? 'Acknowledging...' : 'Acknowledge Review'}
+          </button>
+        </div>
+      )}
+    </article>
+  )
+}
+
+export default MyReviews
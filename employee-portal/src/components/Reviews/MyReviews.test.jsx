@@ -0,0 +1,115 @@
+/**
+ * MyReviews Component Tests (employee-portal)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+
+vi.mock('../../contexts/PortalEmployeeProvider', () => ({
+  usePortalEmployee: () => ({
+    user: { id: 'portal-user-id' },
+    employee: { employee_id: 'emp-1', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../api/supabaseClient'
+import MyReviews from './MyReviews'
+
+const mockReviews = [
+  {
+    report_id: 'rev-2025',
+    review_type: 'annual',
+    review_period_start: '2025-01-01',
+    review_period_end: '2025-12-31',
+    overall_rating: 4.2,
+    strengths: 'Owns client escalations',
+    reviewer_comments: 'Great year',
+    review_status: 'submitted',
+    acknowledged_by_employee: false,
+    acknowledged_at: null,
+    reviewer: { first_name: 'Sarah', last_name: 'Johnson' },
+  },
+  {
+    report_id: 'rev-2024',
+    review_type: 'annual',
+    review_period_start: '2024-01-01',
+    review_period_end: '2024-12-31',
+    overall_rating: 3.8,
+    employee_comments: 'Thanks for the feedback',
+    review_status: 'acknowledged',
+    acknowledged_by_employee: true,
+    acknowledged_at: '2025-01-15T10:00:00Z',
+    reviewer: null,
+  },
+]
+
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    neq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+const findReview = (period) => screen.findByRole('article', { name: `Annual Review, ${period}` })
+
+describe('MyReviews (employee-portal)', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.from.mockImplementation(() => createQuery(mockReviews))
+    supabase.rpc.mockResolvedValue({ data: '2025-03-01T09:00:00Z', error: null })
+  })
+
+  it('shows shared reviews and which still need acknowledging', async () => {
+    render(<MyReviews />)
+
+    const current = await findReview('Jan 1, 2025 – Dec 31, 2025')
+    expect(within(current).getByText('Reviewed by Sarah Johnson')).toBeInTheDocument()
+    expect(within(current).getByText('Owns client escalations')).toBeInTheDocument()
+    expect(within(current).getByRole('button', { name: 'Acknowledge Review' })).toBeInTheDocument()
+
+    const previous = await findReview('Jan 1, 2024 – Dec 31, 2024')
+    expect(within(previous).getByText('Acknowledged on Jan 15, 2025')).toBeInTheDocument()
+    expect(within(previous).getByText('Thanks for the feedback')).toBeInTheDocument()
+
+    expect(screen.getByText('1 review waiting for your acknowledgement')).toBeInTheDocument()
+  })
+
+  it('acknowledges a review with optional comments', async () => {
+    render(<MyReviews />)
+
+    const current = await findReview('Jan 1, 2025 – Dec 31, 2025')
+    fireEvent.change(within(current).getByLabelText('Your comments (optional)'), {
+      target: { value: 'Agree with the goals' },
+    })
+    fireEvent.click(within(current).getByRole('button', { name: 'Acknowledge Review' }))
+
+    await waitFor(() => expect(within(current).getByText('Acknowledged on Mar 1, 2025')).toBeInTheDocument())
+    expect(supabase.rpc).toHaveBeenCalledWith('acknowledge_hrms_performance_review', {
+      p_report_id: 'rev-2025',
+      p_employee_comments: 'Agree with the goals',
+    })
+    expect(within(current).getByText('Agree with the goals')).toBeInTheDocument()
+    expect(within(current).queryByRole('button', { name: 'Acknowledge Review' })).not.toBeInTheDocument()
+  })
+
+  it('keeps the review open when acknowledging fails', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Only submitted reviews can be acknowledged' } })
+    render(<MyReviews />)
+
+    const current = await findReview('Jan 1, 2025 – Dec 31, 2025')
+    fireEvent.click(within(current).getByRole('button', { name: 'Acknowledge Review' }))
+
+    expect(await within(current).findByRole('alert')).toHaveTextContent('Only submitted reviews can be acknowledged')
+    expect(within(current).getByRole('button', { name: 'Acknowledge Review' })).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,721 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  format,
+  parseISO,
+  startOfMonth,
+  startOfWeek,
+} from 'date-fns'
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  DocumentDuplicateIcon,
+  DocumentTextIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  LockClosedIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline'
+import { supabase } from '../../api/supabaseClient'
+import { usePortalEmployee } from '../../contexts/PortalEmployeeProvider'
+import './MyTimesheets.css'
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
+
+const ACCEPTED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'image/jpg',
+]
+
+const TIMESHEET_TYPES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+]
+
+const ENTRY_TYPES = [
+  { value: 'regular', label: 'Regular' },
+  { value: 'overtime', label: 'Overtime' },
+  { value: 'holiday', label: 'Holiday' },
+  { value: 'sick', label: 'Sick' },
+  { value: 'vacation', label: 'Vacation' },
+]
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  rejected: 'Rejected',
+}
+
+const toDateKey = (date) => format(date, 'yyyy-MM-dd')
+
+const entryTypeLabel = (value) => ENTRY_TYPES.find((type) => type.value === value)?.label || value
+
+// Weekly periods start on Monday and monthly periods on the 1st, matching save_hrms_timesheet_entries
+const getPeriodStart = (timesheetType, date) => {
+  if (timesheetType === 'weekly') return startOfWeek(date, { weekStartsOn: 1 })
+  if (timesheetType === 'monthly') return startOfMonth(date)
+  return parseISO(toDateKey(date))
+}
+
+const getPeriodEnd = (timesheetType, start) => {
+  if (timesheetType === 'weekly') return addDays(start, 6)
+  if (timesheetType === 'monthly') return endOfMonth(start)
+  return start
+}
+
+const shiftPeriod = (timesheetType, start, step) => {
+  if (timesheetType === 'weekly') return addWeeks(start, step)
+  if (timesheetType === 'monthly') return addMonths(start, step)
+  return addDays(start, step)
+}
+
+const formatPeriod = (timesheetType, start) => {
+  if (timesheetType === 'daily') return format(start, 'EEE, MMM d, yyyy')
+  if (timesheetType === 'monthly') return format(start, 'MMMM yyyy')
+  return `${format(start, 'MMM d')} – ${format(getPeriodEnd(timesheetType, start), 'MMM d, yyyy')}`
+}
+
+// Groups saved entries into one grid row per entry type, optionally moving every date by dayOffset
+const buildRows = (entries, dayOffset = 0) => {
+  const rows = []
+  entries.forEach((entry) => {
+    const entryType = entry.entry_type || 'regular'
+    let row = rows.find((r) => r.entry_type === entryType)
+    if (!row) {
+      row = { entry_type: entryType, task_description: '', hours: {} }
+      rows.push(row)
+    }
+    const workDate = toDateKey(addDays(parseISO(entry.work_date), dayOffset))
+    const previous = Number(row.hours[workDate] || 0)
+    row.hours[workDate] = String(previous + Number(entry.hours_worked || 0))
+    if (!row.task_description && entry.task_description) row.task_description = entry.task_description
+  })
+  if (rows.length === 0) rows.push({ entry_type: 'regular', task_description: '', hours: {} })
+  return rows.sort(
+    (a, b) =>
+      ENTRY_TYPES.findIndex((type) => type.value === a.entry_type) -
+      ENTRY_TYPES.findIndex((type) => type.value === b.entry_type)
+  )
+}
+
+const sumHours = (values) =>
+  Math.round(values.reduce((total, value) => total + (Number(value) || 0), 0) * 100) / 100
+
+/**
+ * MyTimesheets Component - Timesheet grid for one project and period.
+ * Hours are saved as a draft through save_hrms_timesheet_entries and sent
+ * to HR with submit_hrms_timesheet; submitted timesheets are read-only.
+ */
+function MyTimesheets() {
+  const { user, employee } = usePortalEmployee()
+
+  const [projects, setProjects] = useState([])
+  const [projectId, setProjectId] = useState('')
+  const [timesheetType, setTimesheetType] = useState('weekly')
+  const [periodStart, setPeriodStart] = useState(() => getPeriodStart('weekly', new Date()))
+
+  const [timesheet, setTimesheet] = useState(null)
+  const [rows, setRows] = useState(() => buildRows([]))
+  const [attachments, setAttachments] = useState([])
+
+  const [loading, setLoading] = useState(true)
+  const [loadingTimesheet, setLoadingTimesheet] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+
+  const periodKey = toDateKey(periodStart)
+  const days = useMemo(
+    () => eachDayOfInterval({ start: periodStart, end: getPeriodEnd(timesheetType, periodStart) }),
+    [periodStart, timesheetType]
+  )
+  const editable = !timesheet || ['draft', 'rejected'].includes(timesheet.submission_status)
+
+  const fetchProjects = useCallback(async () => {
+    if (!employee?.employee_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: rpcError } = await supabase.rpc('get_hrms_portal_projects')
+      if (rpcError) throw rpcError
+
+      const list = data || []
+      setProjects(list)
+      setProjectId((current) => current || (list.find((p) => p.project_status === 'active') || list[0])?.project_id || '')
+    } catch (err) {
+      console.error('Error loading projects:', err)
+      setError(err.message || 'Failed to load your projects')
+    } finally {
+      setLoading(false)
+    }
+  }, [employee?.employee_id])
+
+  useEffect(() => {
+    fetchProjects()
+  }, [fetchProjects])
+
+  const findTimesheet = useCallback(
+    async (startKey) => {
+      const { data, error: queryError } = await supabase
+        .from('hrms_timesheets')
+        .select('timesheet_id, submission_status, submitted_at, approved_at, rejection_reason, total_hours_worked')
+        .eq('employee_id', employee.employee_id)
+        .eq('project_id', projectId)
+        .eq('timesheet_type', timesheetType)
+        .eq('period_start_date', startKey)
+        .order('created_at', { ascending: true })
+        .limit(1)
+
+      if (queryError) throw queryError
+      return data?.[0] || null
+    },
+    [employee?.employee_id, projectId, timesheetType]
+  )
+
+  const fetchEntries = async (timesheetId) => {
+    const { data, error: queryError } = await supabase
+      .from('hrms_timesheet_entries')
+      .select('entry_id, work_date, hours_worked, entry_type, task_description')
+      .eq('timesheet_id', timesheetId)
+      .order('work_date', { ascending: true })
+
+    if (queryError) throw queryError
+    return data || []
+  }
+
+  const fetchAttachments = async (timesheetId) => {
+    const { data, error: queryError } = await supabase
+      .from('hrms_documents')
+      .select('document_id, document_name, file_path, file_name, uploaded_at')
+      .eq('entity_type', 'timesheet')
+      .eq('entity_id', timesheetId)
+      .order('uploaded_at', { ascending: false })
+
+    if (queryError) throw queryError
+    return data || []
+  }
+
+  const loadTimesheet = useCallback(async () => {
+    if (!employee?.employee_id || !projectId) return
+
+    try {
+      setLoadingTimesheet(true)
+      setError(null)
+
+      const found = await findTimesheet(periodKey)
+      const [entries, documents] = found
+        ? await Promise.all([fetchEntries(found.timesheet_id), fetchAttachments(found.timesheet_id)])
+        : [[], []]
+
+      setTimesheet(found)
+      setRows(buildRows(entries))
+      setAttachments(documents)
+    } catch (err) {
+      console.error('Error loading timesheet:', err)
+      setError(err.message || 'Failed to load timesheet')
+    } finally {
+      setLoadingTimesheet(false)
+    }
+  }, [employee?.employee_id, projectId, periodKey, findTimesheet])
+
+  useEffect(() => {
+    loadTimesheet()
+  }, [loadTimesheet])
+
+  const changeTimesheetType = (value) => {
+    setTimesheetType(value)
+    setPeriodStart(getPeriodStart(value, periodStart))
+    setSuccess(null)
+  }
+
+  const changePeriod = (step) => {
+    setPeriodStart(shiftPeriod(timesheetType, periodStart, step))
+    setSuccess(null)
+  }
+
+  const updateRow = (index, changes) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+    setSuccess(null)
+  }
+
+  const setHours = (index, dateKey, value) => {
+    updateRow(index, { hours: { ...rows[index].hours, [dateKey]: value } })
+  }
+
+  const addRow = (entryType) => {
+    if (!entryType) return
+    setRows((prev) => [...prev, { entry_type: entryType, task_description: '', hours: {} }])
+  }
+
+  const removeRow = (index) => {
+    setRows((prev) => {
+      const next = prev.filter((_, i) => i !== index)
+      return next.length > 0 ? next : buildRows([])
+    })
+  }
+
+  const dayTotal = (dateKey) => sumHours(rows.map((row) => row.hours[dateKey]))
+  const rowTotal = (row) => sumHours(days.map((day) => row.hours[toDateKey(day)]))
+  const grandTotal = sumHours(rows.map(rowTotal))
+
+  // Entries in the shape save_hrms_timesheet_entries expects; returns an error message instead when invalid
+  const buildEntries = () => {
+    const entries = []
+    for (const row of rows) {
+      for (const day of days) {
+        const raw = row.hours[toDateKey(day)]
+        if (raw === undefined || raw === '') continue
+        const hours = Number(raw)
+        if (Number.isNaN(hours) || hours < 0 || hours > 24) {
+          return { message: `Enter between 0 and 24 hours for ${entryTypeLabel(row.entry_type)} on ${format(day, 'EEE, MMM d')}` }
+        }
+        if (hours > 0) {
+          entries.push({
+            work_date: toDateKey(day),
+            entry_type: row.entry_type,
+            hours_worked: hours,
+            task_description: row.task_description.trim() || null,
+          })
+        }
+      }
+    }
+
+    const overbooked = days.find((day) => dayTotal(toDateKey(day)) > 24)
+    if (overbooked) return { message: `More than 24 hours entered on ${format(overbooked, 'EEE, MMM d')}` }
+
+    return { entries }
+  }
+
+  const saveEntries = async () => {
+    const { entries, message } = buildEntries()
+    if (message) throw new Error(message)
+
+    const { data, error: rpcError } = await supabase.rpc('save_hrms_timesheet_entries', {
+      p_project_id: projectId,
+      p_timesheet_type: timesheetType,
+      p_period_start_date: periodKey,
+      p_entries: entries,
+    })
+    if (rpcError) throw rpcError
+    return { timesheetId: data, entries }
+  }
+
+  const handleSave = async () => {
+    try {
+      setBusy(true)
+      setError(null)
+      setSuccess(null)
+      await saveEntries()
+      await loadTimesheet()
+      setSuccess('Draft saved.')
+    } catch (err) {
+      console.error('Error saving timesheet:', err)
+      setError(err.message || 'Failed to save timesheet')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSubmit = async () => {
+    try {
+      setBusy(true)
+      setError(null)
+      setSuccess(null)
+
+      const { timesheetId, entries } = await saveEntries()
+      if (entries.length === 0) {
+        await loadTimesheet()
+        setError('Enter your hours before submitting')
+        return
+      }
+
+      const { error: rpcError } = await supabase.rpc('submit_hrms_timesheet', { p_timesheet_id: timesheetId })
+      if (rpcError) throw rpcError
+
+      await loadTimesheet()
+      setSuccess('Timesheet submitted for approval.')
+    } catch (err) {
+      console.error('Error submitting timesheet:', err)
+      setError(err.message || 'Failed to submit timesheet')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCopyLastWeek = async () => {
+    try {
+      setBusy(true)
+      setError(null)
+      setSuccess(null)
+
+      const previous = await findTimesheet(toDateKey(addWeeks(periodStart, -1)))
+      const entries = previous ? await fetchEntries(previous.timesheet_id) : []
+      if (entries.length === 0) {
+        setError('There are no hours from last week to copy')
+        return
+      }
+
+      setRows(buildRows(entries, 7))
+      setSuccess("Copied last week's hours. Review them, then save or submit.")
+    } catch (err) {
+      console.error('Error copying last week:', err)
+      setError(err.message || "Failed to copy last week's hours")
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleAttach = async (file) => {
+    if (!file) return
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setError('Unsupported file type. Please upload a PDF, DOC, DOCX, JPG or PNG file.')
+      return
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setError('File size exceeds 10MB limit')
+      return
+    }
+
+    try {
+      setBusy(true)
+      setError(null)
+      setSuccess(null)
+
+      // The document hangs off the timesheet, so make sure it exists first
+      const timesheetId = timesheet?.timesheet_id || (await saveEntries()).timesheetId
+
+      const sanitizedName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_')
+      const storagePath = `timesheet/${employee.employee_id}/${timesheetId}/${Date.now()}_${sanitizedName}`
+
+      const { error: storageError } = await supabase.storage
+        .from('documents')
+        .upload(storagePath, file, { cacheControl: '3600', upsert: false })
+
+      if (storageError) throw storageError
+
+      const { error: insertError } = await supabase
+        .from('hrms_documents')
+        .insert([{
+          tenant_id: employee.tenant_id,
+          business_id: employee.business_id || null,
+          entity_type: 'timesheet',
+          entity_id: timesheetId,
+          document_name: 'Client-approved timesheet',
+          document_type: 'client_approved_timesheet',
+          file_path: `documents/${storagePath}`,
+          file_name: file.name,
+          content_type: file.type,
+          size_bytes: file.size,
+          visible_to_employee_flag: true,
+          is_current_version: true,
+          version_number: 1,
+          document_status: 'active',
+          uploaded_by: user?.id || null,
+        }])
+
+      if (insertError) {
+        // Don't leave the file in storage without its document row. A file that
+        // cannot be removed is reported by the storage reconciliation instead.
+        const { error: removeError } = await supabase.storage.from('documents').remove([storagePath])
+        if (removeError) console.error('Error removing uploaded file:', removeError)
+        throw insertError
+      }
+
+      await loadTimesheet()
+      setSuccess('Client-approved timesheet attached.')
+    } catch (err) {
+      console.error('Error attaching timesheet:', err)
+      setError(err.message || 'Failed to attach file')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDownload = async (doc) => {
+    try {
+      const [bucket, ...pathParts] = doc.file_path.split('/')
+      const { data, error: urlError } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(pathParts.join('/'), 3600)
+
+      if (urlError) throw urlError
+      window.open(data.signedUrl, '_blank', 'noopener')
+    } catch (err) {
+      console.error('Error downloading file:', err)
+      setError(err.message || 'Failed to download file')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="my-timesheets-container">
+        <p>Loading timesheets...</p>
+      </div>
+    )
+  }
+
+  const status = timesheet?.submission_status || 'draft'
+  const unusedEntryTypes = ENTRY_TYPES.filter((type) => !rows.some((row) => row.entry_type === type.value))
+
+  return (
+    <div className="my-timesheets-container">
+      <div className="portal-page-header">
+        <h1 className="page-title">My Timesheets</h1>
+        <p className="page-subtitle">Enter your hours for each project and submit them for approval</p>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message" role="status">
+          <p>{success}</p>
+        </div>
+      )}
+
+      {projects.length === 0 ? (
+        <div className="empty-state">
+          <DocumentTextIcon className="empty-icon" />
+          <p>You are not assigned to any projects yet.</p>
+        </div>
+      ) : (
+        <>
+          <div className="timesheet-controls">
+            <div className="form-group">
+              <label htmlFor="timesheet-project">Project</label>
+              <select id="timesheet-project" value={projectId} onChange={(e) => setProjectId(e.target.value)}>
+                {projects.map((project) => (
+                  <option key={project.project_id} value={project.project_id}>
+                    {project.project_name}
+                    {project.end_client_name ? ` (${project.end_client_name})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="timesheet-type">Timesheet</label>
+              <select id="timesheet-type" value={timesheetType} onChange={(e) => changeTimesheetType(e.target.value)}>
+                {TIMESHEET_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="period-navigation">
+              <button type="button" className="btn-secondary" aria-label="Previous period" onClick={() => changePeriod(-1)}>
+                <ChevronLeftIcon className="icon-sm" />
+              </button>
+              <span className="period-label">{formatPeriod(timesheetType, periodStart)}</span>
+              <button type="button" className="btn-secondary" aria-label="Next period" onClick={() => changePeriod(1)}>
+                <ChevronRightIcon className="icon-sm" />
+              </button>
+            </div>
+          </div>
+
+          <section className="timesheet-section" aria-busy={loadingTimesheet}>
+            <div className="timesheet-status-row">
+              <span className={`timesheet-status status-${status}`}>{STATUS_LABELS[status] || status}</span>
+              {timesheet?.submitted_at && status !== 'draft' && (
+                <span className="timesheet-status-meta">
+                  Submitted {format(new Date(timesheet.submitted_at), 'MMM d, yyyy')}
+                </span>
+              )}
+              {timesheet?.approved_at && status === 'approved' && (
+                <span className="timesheet-status-meta">
+                  Approved {format(new Date(timesheet.approved_at), 'MMM d, yyyy')}
+                </span>
+              )}
+            </div>
+
+            {status === 'rejected' && timesheet?.rejection_reason && (
+              <p className="rejection-reason">HR: {timesheet.rejection_reason}</p>
+            )}
+
+            {!editable && (
+              <p className="locked-notice">
+                <LockClosedIcon className="icon-sm" />
+                This timesheet has been submitted and is locked. Contact HR if something needs to change.
+              </p>
+            )}
+
+            <div className="timesheet-grid-wrapper">
+              <table className="timesheet-grid">
+                <thead>
+                  <tr>
+                    <th scope="col">Type</th>
+                    {days.map((day) => (
+                      <th key={toDateKey(day)} scope="col" className="day-column">
+                        <span className="day-name">{format(day, 'EEE')}</span>
+                        <span className="day-date">{format(day, 'MMM d')}</span>
+                      </th>
+                    ))}
+                    <th scope="col">Total</th>
+                    <th scope="col" aria-label="Actions" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={row.entry_type}>
+                      <th scope="row" className="entry-type-cell">
+                        {editable ? (
+                          <select
+                            aria-label="Entry type"
+                            value={row.entry_type}
+                            onChange={(e) => updateRow(index, { entry_type: e.target.value })}
+                          >
+                            {ENTRY_TYPES.filter(
+                              (type) => type.value === row.entry_type || !rows.some((r) => r.entry_type === type.value)
+                            ).map((type) => (
+                              <option key={type.value} value={type.value}>{type.label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          entryTypeLabel(row.entry_type)
+                        )}
+                        <input
+                          type="text"
+                          className="entry-notes"
+                          placeholder="Notes"
+                          aria-label={`${entryTypeLabel(row.entry_type)} notes`}
+                          value={row.task_description}
+                          disabled={!editable}
+                          onChange={(e) => updateRow(index, { task_description: e.target.value })}
+                        />
+                      </th>
+                      {days.map((day) => {
+                        const dateKey = toDateKey(day)
+                        return (
+                          <td key={dateKey}>
+                            <input
+                              type="number"
+                              min="0"
+                              max="24"
+                              step="0.25"
+                              className="hours-input"
+                              aria-label={`${entryTypeLabel(row.entry_type)} hours on ${format(day, 'EEE, MMM d')}`}
+                              value={row.hours[dateKey] ?? ''}
+                              disabled={!editable}
+                              onChange={(e) => setHours(index, dateKey, e.target.value)}
+                            />
+                          </td>
+                        )
+                      })}
+                      <td className="total-cell">{rowTotal(row)}</td>
+                      <td>
+                        {editable && rows.length > 1 && (
+                          <button
+                            type="button"
+                            className="btn-icon"
+                            aria-label={`Remove ${entryTypeLabel(row.entry_type)} row`}
+                            onClick={() => removeRow(index)}
+                          >
+                            <XMarkIcon className="icon-sm" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <th scope="row">Daily Total</th>
+                    {days.map((day) => (
+                      <td key={toDateKey(day)} className="total-cell">{dayTotal(toDateKey(day))}</td>
+                    ))}
+                    <td className="total-cell grand-total" aria-label="Total hours">{grandTotal}</td>
+                    <td />
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            {editable && (
+              <div className="timesheet-actions">
+                {unusedEntryTypes.length > 0 && (
+                  <select aria-label="Add row" value="" onChange={(e) => addRow(e.target.value)}>
+                    <option value="">+ Add row...</option>
+                    {unusedEntryTypes.map((type) => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                )}
+                {timesheetType !== 'monthly' && (
+                  <button type="button" className="btn-secondary" onClick={handleCopyLastWeek} disabled={busy}>
+                    <DocumentDuplicateIcon className="icon-sm" />
+                    Copy Last Week
+                  </button>
+                )}
+                <div className="timesheet-actions-end">
+                  <button type="button" className="btn-secondary" onClick={handleSave} disabled={busy}>
+                    Save Draft
+                  </button>
+                  <button type="button" className="btn-primary" onClick={handleSubmit} disabled={busy}>
+                    {busy ? 'Working...' : 'Submit Timesheet'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </section>
+
+          <section className="timesheet-section">
+            <h2>Client-Approved Timesheet</h2>
+            {attachments.length === 0 ? (
+              <p className="attachments-empty">No client-approved timesheet attached yet.</p>
+            ) : (
+              <ul className="attachment-list">
+                {attachments.map((doc) => (
+                  <li key={doc.document_id} className="attachment-item">
+                    <DocumentTextIcon className="document-icon" />
+                    <span className="attachment-name">{doc.file_name}</span>
+                    <span className="attachment-meta">Uploaded {format(new Date(doc.uploaded_at), 'MMM d, yyyy')}</span>
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      aria-label={`Download ${doc.file_name}`}
+                      onClick={() => handleDownload(doc)}
+                    >
+                      <ArrowDownTrayIcon className="icon-sm" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {editable && (
+              <label className={`btn-secondary attach-button ${busy ? 'disabled' : ''}`}>
+                <ArrowUpTrayIcon className="icon-sm" />
+                Attach File
+                <input
+                  type="file"
+                  accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+                  aria-label="Attach client-approved timesheet"
+                  disabled={busy}
+                  onChange={(e) => {
+                    handleAttach(e.target.files?.[0])
+                    e.target.value = ''
+                  }}
+                />
+              </label>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MyTimesheets
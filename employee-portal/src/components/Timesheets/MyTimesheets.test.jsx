@@ -0,0 +1,206 @@
+/**
+ * MyTimesheets Component Tests (employee-portal)
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+
+vi.mock('../../contexts/PortalEmployeeProvider', () => ({
+  usePortalEmployee: () => ({
+    user: { id: 'portal-user-id' },
+    employee: { employee_id: 'emp-1', tenant_id: 'test-tenant-id', business_id: 'biz-1' },
+  }),
+}))
+
+const mockUpload = vi.fn()
+
+vi.mock('../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    storage: {
+      from: vi.fn(() => ({ upload: mockUpload, createSignedUrl: vi.fn() })),
+    },
+  },
+}))
+
+import { supabase } from '../../api/supabaseClient'
+import MyTimesheets from './MyTimesheets'
+
+const mockProjects = [
+  { project_id: 'proj-1', project_name: 'Data Platform', end_client_name: 'Acme', project_status: 'active' },
+]
+
+const currentWeek = {
+  timesheet_id: 'ts-current',
+  period_start_date: '2025-03-03',
+  submission_status: 'draft',
+  submitted_at: null,
+}
+
+const lastWeek = {
+  timesheet_id: 'ts-last',
+  period_start_date: '2025-02-24',
+  submission_status: 'approved',
+  submitted_at: '2025-03-01T10:00:00Z',
+}
+
+let timesheets
+let entries
+let queries
+
+// Chainable query builder; eq filters are applied to the table rows when the query resolves
+const createQuery = (rows) => {
+  const filters = {}
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn((column, value) => {
+      filters[column] = value
+      return query
+    }),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    then: (resolve) =>
+      resolve({
+        data: rows.filter((row) => Object.entries(filters).every(([column, value]) => !(column in row) || row[column] === value)),
+        error: null,
+      }),
+  }
+  return query
+}
+
+const mockSupabaseTables = () => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const rows = { hrms_timesheets: timesheets, hrms_timesheet_entries: entries }[table] || []
+    const query = createQuery(rows)
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const hoursInput = (label) => screen.getByLabelText(label)
+
+describe('MyTimesheets (employee-portal)', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-03-05T12:00:00'))
+
+    timesheets = [currentWeek, lastWeek]
+    entries = [
+      { entry_id: 'e-1', timesheet_id: 'ts-current', work_date: '2025-03-03', hours_worked: 8, entry_type: 'regular' },
+      { entry_id: 'e-2', timesheet_id: 'ts-current', work_date: '2025-03-04', hours_worked: 6, entry_type: 'regular' },
+      { entry_id: 'e-3', timesheet_id: 'ts-last', work_date: '2025-02-24', hours_worked: 8, entry_type: 'regular', task_description: 'Sprint work' },
+      { entry_id: 'e-4', timesheet_id: 'ts-last', work_date: '2025-02-28', hours_worked: 8, entry_type: 'holiday' },
+    ]
+    mockSupabaseTables()
+    mockUpload.mockResolvedValue({ data: {}, error: null })
+    supabase.rpc.mockImplementation((name) => {
+      if (name === 'get_hrms_portal_projects') return Promise.resolve({ data: mockProjects, error: null })
+      if (name === 'save_hrms_timesheet_entries') return Promise.resolve({ data: 'ts-current', error: null })
+      return Promise.resolve({ data: '2025-03-05T12:00:00Z', error: null })
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('shows the current week with saved hours and totals', async () => {
+    render(<MyTimesheets />)
+
+    expect(await screen.findByText('Mar 3 – Mar 9, 2025')).toBeInTheDocument()
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    expect(hoursInput('Regular hours on Tue, Mar 4')).toHaveValue(6)
+    expect(screen.getByLabelText('Total hours')).toHaveTextContent('14')
+    expect(screen.getByText('Draft')).toBeInTheDocument()
+  })
+
+  it('saves the grid as draft entries', async () => {
+    render(<MyTimesheets />)
+
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    fireEvent.change(hoursInput('Regular hours on Wed, Mar 5'), { target: { value: '7.5' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Draft' }))
+
+    await waitFor(() => expect(screen.getByText('Draft saved.')).toBeInTheDocument())
+    expect(supabase.rpc).toHaveBeenCalledWith('save_hrms_timesheet_entries', {
+      p_project_id: 'proj-1',
+      p_timesheet_type: 'weekly',
+      p_period_start_date: '2025-03-03',
+      p_entries: [
+        { work_date: '2025-03-03', entry_type: 'regular', hours_worked: 8, task_description: null },
+        { work_date: '2025-03-04', entry_type: 'regular', hours_worked: 6, task_description: null },
+        { work_date: '2025-03-05', entry_type: 'regular', hours_worked: 7.5, task_description: null },
+      ],
+    })
+  })
+
+  it('refuses more than 24 hours on a day', async () => {
+    render(<MyTimesheets />)
+
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    fireEvent.change(screen.getByLabelText('Add row'), { target: { value: 'overtime' } })
+    fireEvent.change(hoursInput('Overtime hours on Mon, Mar 3'), { target: { value: '20' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Draft' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('More than 24 hours entered on Mon, Mar 3')
+    expect(supabase.rpc).not.toHaveBeenCalledWith('save_hrms_timesheet_entries', expect.anything())
+  })
+
+  it('saves and then submits the timesheet', async () => {
+    render(<MyTimesheets />)
+
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    fireEvent.click(screen.getByRole('button', { name: 'Submit Timesheet' }))
+
+    await waitFor(() => expect(screen.getByText('Timesheet submitted for approval.')).toBeInTheDocument())
+    const calls = supabase.rpc.mock.calls.map(([name]) => name)
+    expect(calls.indexOf('save_hrms_timesheet_entries')).toBeLessThan(calls.indexOf('submit_hrms_timesheet'))
+    expect(supabase.rpc).toHaveBeenCalledWith('submit_hrms_timesheet', { p_timesheet_id: 'ts-current' })
+  })
+
+  it('locks a submitted timesheet', async () => {
+    timesheets = [{ ...currentWeek, submission_status: 'submitted', submitted_at: '2025-03-05T09:00:00Z' }]
+    render(<MyTimesheets />)
+
+    expect(await screen.findByText(/has been submitted and is locked/)).toBeInTheDocument()
+    expect(hoursInput('Regular hours on Mon, Mar 3')).toBeDisabled()
+    expect(screen.queryByRole('button', { name: 'Submit Timesheet' })).not.toBeInTheDocument()
+    expect(screen.queryByLabelText('Attach client-approved timesheet')).not.toBeInTheDocument()
+  })
+
+  it('copies last week onto the same weekdays', async () => {
+    render(<MyTimesheets />)
+
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    fireEvent.click(screen.getByRole('button', { name: 'Copy Last Week' }))
+
+    await waitFor(() => expect(hoursInput('Holiday hours on Fri, Mar 7')).toHaveValue(8))
+    expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8)
+    expect(hoursInput('Regular hours on Tue, Mar 4')).toHaveValue(null)
+    expect(screen.getByLabelText('Regular notes')).toHaveValue('Sprint work')
+  })
+
+  it('attaches the client-approved timesheet to the timesheet', async () => {
+    render(<MyTimesheets />)
+
+    await waitFor(() => expect(hoursInput('Regular hours on Mon, Mar 3')).toHaveValue(8))
+    const file = new File(['%PDF-1.4'], 'acme week 10.pdf', { type: 'application/pdf' })
+    fireEvent.change(screen.getByLabelText('Attach client-approved timesheet'), { target: { files: [file] } })
+
+    await waitFor(() => expect(screen.getByText('Client-approved timesheet attached.')).toBeInTheDocument())
+    expect(mockUpload.mock.calls[0][0]).toMatch(/^timesheet\/emp-1\/ts-current\/\d+_acme_week_10\.pdf$/)
+    const insert = queries
+      .filter(({ table }) => table === 'hrms_documents')
+      .flatMap(({ query }) => query.insert.mock.calls)[0][0][0]
+    expect(insert).toMatchObject({
+      tenant_id: 'test-tenant-id',
+      entity_type: 'timesheet',
+      entity_id: 'ts-current',
+      file_name: 'acme week 10.pdf',
+      uploaded_by: 'portal-user-id',
+    })
+  })
+})
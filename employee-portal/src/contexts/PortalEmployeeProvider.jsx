@@ -0,0 +1,86 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { supabase } from '../api/supabaseClient'
+
+export const PortalEmployeeContext = createContext(null)
+
+export const usePortalEmployee = () => {
+  const context = useContext(PortalEmployeeContext)
+  if (!context) {
+    throw new Error('usePortalEmployee must be used within PortalEmployeeProvider')
+  }
+  return context
+}
+
+/**
+ * Loads the employee record linked to the signed-in portal login
+ * (hrms_employees.user_id). RLS only returns the employee's own row, and
+ * none at all once portal access is revoked.
+ */
+export function PortalEmployeeProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [employee, setEmployee] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refreshEmployee = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data: { user: authUser }, error: authError } = await supabase.auth.getUser()
+      if (authError) throw authError
+      setUser(authUser)
+
+      if (!authUser) {
+        setEmployee(null)
+        return
+      }
+
+      const { data, error: employeeError } = await supabase
+        .from('hrms_employees')
+        .select(`
+          employee_id,
+          tenant_id,
+          business_id,
+          employee_code,
+          first_name,
+          last_name,
+          email,
+          phone,
+          employee_type,
+          start_date,
+          department
+        `)
+        .eq('user_id', authUser.id)
+        .eq('portal_access_enabled', true)
+        .is('deleted_at', null)
+        .maybeSingle()
+
+      if (employeeError) throw employeeError
+      if (!data) {
+        throw new Error('Your login is not linked to an employee record. Please contact HR.')
+      }
+
+      setEmployee(data)
+    } catch (err) {
+      console.error('Error loading portal employee:', err)
+      setEmployee(null)
+      setError(err.message || 'Failed to load your employee record')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refreshEmployee()
+  }, [refreshEmployee])
+
+  const value = useMemo(
+    () => ({ user, employee, loading, error, refreshEmployee }),
+    [user, employee, loading, error, refreshEmployee]
+  )
+
+  return <PortalEmployeeContext.Provider value={value}>{children}</PortalEmployeeContext.Provider>
+}
+
+export default PortalEmployeeProvider
@@ -13,6 +13,8 @@ import VendorManagement from './components/HRMS/Vendors/VendorManagement'
 import ProjectManagement from './components/HRMS/Projects/ProjectManagement'
 import DocumentManagement from './components/HRMS/Documents/DocumentManagement'
 import TimesheetManagement from './components/HRMS/Timesheets/TimesheetManagement'
+import InvoiceManagement from './components/HRMS/Invoices/InvoiceManagement'
+import ReportsManagement from './components/HRMS/Reports/ReportsManagement'
 import { NotificationsList } from './components/HRMS/Notifications'
 import NewsletterManagement from './components/HRMS/Newsletters/NewsletterManagement'
 import SuggestionManagement from './components/HRMS/Suggestions/SuggestionManagement'
@@ -175,6 +177,16 @@ function App() {
             <TimesheetManagement />
           </PermissionProtectedRoute>
         } />
+        <Route path="invoices/*" element={
+          <PermissionProtectedRoute path="/hrms/invoices">
+            <InvoiceManagement />
+          </PermissionProtectedRoute>
+        } />
+        <Route path="reports/*" element={
+          <PermissionProtectedRoute path="/hrms/reports">
+            <ReportsManagement />
+          </PermissionProtectedRoute>
+        } />
         <Route path="newsletters/*" element={
           <PermissionProtectedRoute path="/hrms/newsletter">
             <NewsletterManagement />
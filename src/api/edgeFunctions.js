@@ -39,6 +39,31 @@ export async function callEdgeFunction(functionName, data, token = null) {
   return response.json()
 }
 
+// Same as callEdgeFunction, but for functions that stream back a file
+export async function callEdgeFunctionForFile(functionName, data, token = null) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token || SUPABASE_ANON_KEY}`,
+    'apikey': SUPABASE_ANON_KEY,
+  }
+
+  const response = await fetch(`${FUNCTIONS_URL}/${functionName}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(data),
+  })
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => null)
+    throw new Error(errorBody?.error || errorBody?.message || `Request failed with status ${response.status}`)
+  }
+
+  const disposition = response.headers.get('content-disposition') || ''
+  const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || null
+
+  return { blob: await response.blob(), fileName }
+}
+
 export async function createTenantAndProfile(userId, email, username, companyName) {
   return callEdgeFunction('createTenantAndProfile', {
     userId,
@@ -280,3 +305,47 @@ export async function listEmailTemplates(token) {
   return res.json()
 }
 
+// Timesheets
+export async function generateTimesheetPdf(timesheetId, token) {
+  return callEdgeFunctionForFile('generateTimesheetPdf', { timesheetId }, token)
+}
+
+export async function exportTimesheetsExcel(filters, token) {
+  return callEdgeFunctionForFile('exportTimesheetsExcel', { filters }, token)
+}
+
+// Spreadsheets
+export async function parseSpreadsheet(fileBase64, token) {
+  const result = await callEdgeFunction('convertSpreadsheet', { action: 'parse', file: fileBase64 }, token)
+  return result.rows || []
+}
+
+export async function renderSpreadsheet(fileName, sheets, token) {
+  return callEdgeFunctionForFile('convertSpreadsheet', { action: 'render', fileName, sheets }, token)
+}
+
+// Invoicing
+export async function generateInvoices(params, token) {
+  return callEdgeFunction('generateInvoices', params, token)
+}
+
+// Tickets
+export async function sendTicketNotification(params, token) {
+  return callEdgeFunction('sendTicketNotification', params, token)
+}
+
+// Documents
+export async function parseDocument(documentId, token) {
+  const result = await callEdgeFunction('parseDocument', { documentId }, token)
+  return result.data
+}
+
+export async function sendChecklistReminders(tenantId, employeeIds, token) {
+  const result = await callEdgeFunction('sendChecklistReminders', { tenantId, employeeIds }, token)
+  return result.data
+}
+
+export async function cleanupDocumentStorage(findingIds, token) {
+  const result = await callEdgeFunction('cleanupDocumentStorage', { findingIds }, token)
+  return result.data
+}
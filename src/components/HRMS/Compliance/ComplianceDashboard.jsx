@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
+import { supabase } from '../../../api/supabaseClient'
 import { useTenant } from '../../../contexts/TenantProvider'
+import { useToast } from '../../../contexts/ToastProvider'
+import { normalizeError } from '../../../utils/errorResponse'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
 import BusinessFilter from '../../Shared/BusinessFilter'
 import {
@@ -8,72 +11,93 @@ import {
   CheckCircleIcon,
   ClockIcon,
   DocumentTextIcon,
-  UserGroupIcon
 } from '@heroicons/react/24/outline'
 import './ComplianceDashboard.css'
 
+// Compliance type labels/colors (matches valid_compliance_type constraint)
+const COMPLIANCE_TYPES = {
+  document_expiry: { label: 'Document Expiry', color: '#3B82F6' },
+  visa_renewal: { label: 'Visa Renewal', color: '#8B5CF6' },
+  i9_reverify: { label: 'I-9 Reverification', color: '#10B981' },
+  po_extension: { label: 'PO Extension', color: '#0EA5E9' },
+  amendment_required: { label: 'Amendment Required', color: '#EF4444' },
+  background_check: { label: 'Background Check', color: '#F59E0B' },
+  certification_renewal: { label: 'Certification Renewal', color: '#14B8A6' },
+  license_renewal: { label: 'License Renewal', color: '#6366F1' },
+  training_due: { label: 'Training Due', color: '#EC4899' },
+  performance_review: { label: 'Performance Review', color: '#84CC16' },
+  other: { label: 'Other', color: '#6B7280' },
+}
+
+// Aging buckets driven by due_date (days from today, inclusive)
+const AGING_BUCKETS = {
+  overdue: { label: 'Overdue', maxDays: -1 },
+  days7: { label: 'Due in 7 Days', minDays: 0, maxDays: 7 },
+  days30: { label: 'Due in 30 Days', minDays: 8, maxDays: 30 },
+  days60: { label: 'Due in 60 Days', minDays: 31, maxDays: 60 },
+}
+
+const BULK_ACTIONS = {
+  complete: { label: 'Mark Complete', success: 'completed' },
+  waive: { label: 'Waive', success: 'waived' },
+  reassign: { label: 'Reassign', success: 'reassigned' },
+}
+
+const toDateString = (date) => date.toISOString().split('T')[0]
+
+const addDays = (days) => {
+  const date = new Date()
+  date.setDate(date.getDate() + days)
+  return toDateString(date)
+}
+
+const daysUntil = (dueDate) => {
+  const today = new Date(toDateString(new Date()))
+  return Math.round((new Date(dueDate) - today) / (1000 * 60 * 60 * 24))
+}
+
 /**
  * Compliance Dashboard - Overview of all compliance items
  * Tracks document expiry, visa renewals, I-9 reverifications, and compliance alerts
  */
 function ComplianceDashboard() {
   const { tenant, selectedBusiness } = useTenant()
+  const { showSuccess, showErrorResponse } = useToast()
   const [loading, setLoading] = useState(true)
   const [complianceData, setComplianceData] = useState(null)
   const [error, setError] = useState(null)
-  const [selectedFilter, setSelectedFilter] = useState('all') // all, critical, overdue, upcoming
+  const [selectedFilter, setSelectedFilter] = useState('all') // all, overdue, days7, days30, days60
+  const [items, setItems] = useState([])
+  const [itemsLoading, setItemsLoading] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [pendingAction, setPendingAction] = useState(null) // waive | reassign
+  const [processing, setProcessing] = useState(false)
 
   useEffect(() => {
-    fetchComplianceData()
-  }, [selectedBusiness])
+    if (tenant?.tenant_id) {
+      fetchComplianceData()
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id])
+
+  useEffect(() => {
+    if (tenant?.tenant_id) {
+      fetchComplianceItems()
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id, selectedFilter])
 
   const fetchComplianceData = async () => {
     try {
       setLoading(true)
-      // TODO: Replace with actual Supabase query
-      // const { data, error } = await supabase
-      //   .rpc('get_compliance_dashboard_data', {
-      //     p_tenant_id: tenant?.id,
-      //     p_business_id: selectedBusiness?.id || null
-      //   })
-      
-      // Mock data for development
-      setComplianceData({
-        summary: {
-          total: 45,
-          overdue: 5,
-          dueThisWeek: 8,
-          dueThisMonth: 12,
-          onTrack: 20
-        },
-        byType: {
-          documentExpiry: 18,
-          visaRenewal: 8,
-          i9Reverification: 6,
-          backgroundCheck: 7,
-          other: 6
-        },
-        criticalItems: [
-          {
-            id: 1,
-            employee: 'John Smith',
-            employeeId: 'emp-001',
-            type: 'H1B Visa Expiry',
-            dueDate: '2024-12-20',
-            status: 'overdue',
-            daysOverdue: 3
-          },
-          {
-            id: 2,
-            employee: 'Mary Chen',
-            employeeId: 'emp-002',
-            type: 'I-9 Reverification',
-            dueDate: '2024-12-22',
-            status: 'critical',
-            daysUntilDue: 4
-          }
-        ]
+      setError(null)
+
+      const { data, error: rpcError } = await supabase.rpc('get_compliance_dashboard_data', {
+        p_tenant_id: tenant.tenant_id,
+        p_business_id: selectedBusiness?.business_id || null,
       })
+
+      if (rpcError) throw rpcError
+
+      setComplianceData(data)
     } catch (err) {
       console.error('Error fetching compliance data:', err)
       setError(err.message)
@@ -82,21 +106,105 @@ function ComplianceDashboard() {
     }
   }
 
+  const fetchComplianceItems = async () => {
+    try {
+      setItemsLoading(true)
+
+      let query = supabase
+        .from('hrms_compliance_items')
+        .select(`
+          compliance_id,
+          employee_id,
+          compliance_type,
+          item_name,
+          due_date,
+          compliance_status,
+          priority,
+          assigned_to,
+          hrms_employees (
+            first_name,
+            last_name,
+            employee_code
+          )
+        `)
+        .eq('tenant_id', tenant.tenant_id)
+        .in('compliance_status', ['pending', 'overdue'])
+
+      if (selectedBusiness?.business_id) {
+        query = query.eq('business_id', selectedBusiness.business_id)
+      }
+
+      const bucket = AGING_BUCKETS[selectedFilter]
+      if (bucket) {
+        if (bucket.minDays !== undefined) {
+          query = query.gte('due_date', addDays(bucket.minDays))
+        }
+        query = query.lte('due_date', addDays(bucket.maxDays))
+      }
+
+      const { data, error: itemsError } = await query.order('due_date', { ascending: true })
+
+      if (itemsError) throw itemsError
+
+      setItems(data || [])
+      setSelectedIds([])
+    } catch (err) {
+      console.error('Error fetching compliance items:', err)
+      showErrorResponse(normalizeError(err, 'fetching compliance items'))
+    } finally {
+      setItemsLoading(false)
+    }
+  }
+
+  const runBulkAction = async (action, { reason = null, assignedTo = null } = {}) => {
+    try {
+      setProcessing(true)
+
+      const { data: updatedCount, error: rpcError } = await supabase.rpc('bulk_update_compliance_items', {
+        p_compliance_ids: selectedIds,
+        p_action: action,
+        p_reason: reason,
+        p_assigned_to: assignedTo,
+      })
+
+      if (rpcError) throw rpcError
+
+      showSuccess(`${updatedCount} compliance item${updatedCount === 1 ? '' : 's'} ${BULK_ACTIONS[action].success}`)
+      setPendingAction(null)
+      await Promise.all([fetchComplianceData(), fetchComplianceItems()])
+    } catch (err) {
+      console.error(`Error running bulk ${action}:`, err)
+      showErrorResponse(normalizeError(err, `bulk ${action} of compliance items`))
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const toggleSelected = (complianceId) => {
+    setSelectedIds((prev) =>
+      prev.includes(complianceId) ? prev.filter((id) => id !== complianceId) : [...prev, complianceId]
+    )
+  }
+
+  const toggleSelectAll = () => {
+    setSelectedIds((prev) => (prev.length === items.length ? [] : items.map((item) => item.compliance_id)))
+  }
+
   if (loading) {
     return <LoadingSpinner message="Loading compliance data..." />
   }
 
-  if (error) {
+  if (error || !complianceData) {
     return (
       <div className="compliance-error">
         <h2>Error Loading Compliance Data</h2>
-        <p>{error}</p>
+        <p>{error || 'No data available'}</p>
         <button onClick={fetchComplianceData} className="btn-primary">Retry</button>
       </div>
     )
   }
 
-  const { summary, byType, criticalItems } = complianceData
+  const { aging, byStatus, byType, criticalItems } = complianceData
 
   return (
     <div className="compliance-dashboard-container">
@@ -117,39 +225,39 @@ function ComplianceDashboard() {
         </div>
       </div>
 
-      {/* Summary Cards */}
+      {/* Aging Buckets */}
       <div className="compliance-summary-grid">
         <ComplianceSummaryCard
           icon={ExclamationTriangleIcon}
           iconBg="#FEE2E2"
           iconColor="#DC2626"
-          value={summary.overdue}
+          value={aging.overdue}
           label="Overdue"
-          trend="critical"
+          onClick={() => setSelectedFilter('overdue')}
         />
         <ComplianceSummaryCard
           icon={ClockIcon}
           iconBg="#FEF3C7"
           iconColor="#D97706"
-          value={summary.dueThisWeek}
-          label="Due This Week"
-          trend="warning"
+          value={aging.days7}
+          label="Due in 7 Days"
+          onClick={() => setSelectedFilter('days7')}
         />
         <ComplianceSummaryCard
           icon={ClockIcon}
           iconBg="#DBEAFE"
           iconColor="#2563EB"
-          value={summary.dueThisMonth}
-          label="Due This Month"
-          trend="info"
+          value={aging.days30}
+          label="Due in 30 Days"
+          onClick={() => setSelectedFilter('days30')}
         />
         <ComplianceSummaryCard
           icon={CheckCircleIcon}
           iconBg="#D1FAE5"
           iconColor="#059669"
-          value={summary.onTrack}
-          label="On Track"
-          trend="success"
+          value={aging.days60}
+          label="Due in 60 Days"
+          onClick={() => setSelectedFilter('days60')}
         />
       </div>
 
@@ -159,26 +267,17 @@ function ComplianceDashboard() {
           className={`filter-tab ${selectedFilter === 'all' ? 'active' : ''}`}
           onClick={() => setSelectedFilter('all')}
         >
-          All Items ({summary.total})
-        </button>
-        <button
-          className={`filter-tab ${selectedFilter === 'critical' ? 'active' : ''}`}
-          onClick={() => setSelectedFilter('critical')}
-        >
-          Critical ({summary.overdue + summary.dueThisWeek})
-        </button>
-        <button
-          className={`filter-tab ${selectedFilter === 'overdue' ? 'active' : ''}`}
-          onClick={() => setSelectedFilter('overdue')}
-        >
-          Overdue ({summary.overdue})
-        </button>
-        <button
-          className={`filter-tab ${selectedFilter === 'upcoming' ? 'active' : ''}`}
-          onClick={() => setSelectedFilter('upcoming')}
-        >
-          Upcoming ({summary.dueThisMonth})
+          All Open ({aging.total})
         </button>
+        {Object.entries(AGING_BUCKETS).map(([key, bucket]) => (
+          <button
+            key={key}
+            className={`filter-tab ${selectedFilter === key ? 'active' : ''}`}
+            onClick={() => setSelectedFilter(key)}
+          >
+            {bucket.label} ({aging[key]})
+          </button>
+        ))}
       </div>
 
       {/* Content Grid */}
@@ -195,31 +294,31 @@ function ComplianceDashboard() {
                 <p>No critical items at this time</p>
               </div>
             ) : (
-              criticalItems.map(item => (
-                <div key={item.id} className="critical-item">
-                  <div className="item-status">
-                    <span className={`status-dot ${item.status}`}></span>
-                  </div>
-                  <div className="item-content">
-                    <div className="item-header">
-                      <Link to={`/hrms/employees/${item.employeeId}`} className="item-employee">
-                        {item.employee}
-                      </Link>
-                      <span className={`urgency-badge ${item.status}`}>
-                        {item.status === 'overdue' ? `${item.daysOverdue}d overdue` : `${item.daysUntilDue}d left`}
-                      </span>
+              criticalItems.map(item => {
+                const isOverdue = item.days_until_due < 0
+                return (
+                  <div key={item.compliance_id} className="critical-item">
+                    <div className="item-status">
+                      <span className={`status-dot ${isOverdue ? 'overdue' : 'critical'}`}></span>
                     </div>
-                    <div className="item-details">
-                      <span className="item-type">{item.type}</span>
-                      <span className="item-separator">•</span>
-                      <span className="item-date">Due: {new Date(item.dueDate).toLocaleDateString()}</span>
+                    <div className="item-content">
+                      <div className="item-header">
+                        <Link to={`/hrms/employees/${item.employee_id}`} className="item-employee">
+                          {item.employee_name}
+                        </Link>
+                        <span className={`urgency-badge ${isOverdue ? 'overdue' : 'critical'}`}>
+                          {isOverdue ? `${Math.abs(item.days_until_due)}d overdue` : `${item.days_until_due}d left`}
+                        </span>
+                      </div>
+                      <div className="item-details">
+                        <span className="item-type">{item.item_name}</span>
+                        <span className="item-separator">•</span>
+                        <span className="item-date">Due: {new Date(item.due_date).toLocaleDateString()}</span>
+                      </div>
                     </div>
                   </div>
-                  <button className="btn-icon-sm">
-                    <DocumentTextIcon className="icon-sm" />
-                  </button>
-                </div>
-              ))
+                )
+              })
             )}
           </div>
         </div>
@@ -228,55 +327,147 @@ function ComplianceDashboard() {
         <div className="compliance-card">
           <div className="card-header">
             <h3>Compliance Items by Type</h3>
+            <span className="status-summary">
+              {byStatus.completed} completed • {byStatus.waived} waived
+            </span>
           </div>
           <div className="type-breakdown-list">
-            <TypeBreakdownItem
-              label="Document Expiry"
-              count={byType.documentExpiry}
-              color="#3B82F6"
-            />
-            <TypeBreakdownItem
-              label="Visa Renewal"
-              count={byType.visaRenewal}
-              color="#8B5CF6"
-            />
-            <TypeBreakdownItem
-              label="I-9 Reverification"
-              count={byType.i9Reverification}
-              color="#10B981"
-            />
-            <TypeBreakdownItem
-              label="Background Check"
-              count={byType.backgroundCheck}
-              color="#F59E0B"
-            />
-            <TypeBreakdownItem
-              label="Other"
-              count={byType.other}
-              color="#6B7280"
-            />
+            {byType.length === 0 ? (
+              <div className="empty-state-small">
+                <p>No compliance items</p>
+              </div>
+            ) : (
+              byType.map((row) => (
+                <TypeBreakdownItem
+                  key={row.compliance_type}
+                  label={COMPLIANCE_TYPES[row.compliance_type]?.label || row.compliance_type}
+                  color={COMPLIANCE_TYPES[row.compliance_type]?.color || '#6B7280'}
+                  count={row.open}
+                  detail={`${row.pending} pending • ${row.overdue} overdue • ${row.completed} completed • ${row.waived} waived`}
+                />
+              ))
+            )}
           </div>
         </div>
       </div>
 
-      {/* Placeholder for full list */}
+      {/* Open Compliance Items */}
       <div className="compliance-card">
         <div className="card-header">
-          <h3>All Compliance Items</h3>
-          <button className="btn-ghost">View All →</button>
-        </div>
-        <div className="placeholder-content">
-          <p className="placeholder-text">Full compliance items table will be implemented</p>
+          <h3>Open Compliance Items</h3>
+          {selectedIds.length > 0 && (
+            <div className="bulk-actions">
+              <span className="bulk-count">{selectedIds.length} selected</span>
+              <button
+                className="btn btn-sm btn-primary"
+                onClick={() => runBulkAction('complete')}
+                disabled={processing}
+              >
+                {BULK_ACTIONS.complete.label}
+              </button>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => setPendingAction('waive')}
+                disabled={processing}
+              >
+                {BULK_ACTIONS.waive.label}
+              </button>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => setPendingAction('reassign')}
+                disabled={processing}
+              >
+                {BULK_ACTIONS.reassign.label}
+              </button>
+            </div>
+          )}
         </div>
+        {itemsLoading ? (
+          <LoadingSpinner message="Loading compliance items..." />
+        ) : items.length === 0 ? (
+          <div className="placeholder-content">
+            <p className="placeholder-text">No open compliance items in this range</p>
+          </div>
+        ) : (
+          <table className="data-table compliance-items-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    aria-label="Select all compliance items"
+                    checked={selectedIds.length === items.length}
+                    onChange={toggleSelectAll}
+                  />
+                </th>
+                <th>Employee</th>
+                <th>Item</th>
+                <th>Type</th>
+                <th>Due Date</th>
+                <th>Priority</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => {
+                const days = daysUntil(item.due_date)
+                const employee = item.hrms_employees
+                return (
+                  <tr key={item.compliance_id} className={selectedIds.includes(item.compliance_id) ? 'selected' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${item.item_name}`}
+                        checked={selectedIds.includes(item.compliance_id)}
+                        onChange={() => toggleSelected(item.compliance_id)}
+                      />
+                    </td>
+                    <td>
+                      <Link to={`/hrms/employees/${item.employee_id}`} className="item-employee">
+                        {employee ? `${employee.first_name} ${employee.last_name}` : '—'}
+                      </Link>
+                    </td>
+                    <td>{item.item_name}</td>
+                    <td>{COMPLIANCE_TYPES[item.compliance_type]?.label || item.compliance_type}</td>
+                    <td>
+                      {new Date(item.due_date).toLocaleDateString()}
+                      <span className={`days-label ${days < 0 ? 'overdue' : ''}`}>
+                        {days < 0 ? `${Math.abs(days)}d overdue` : `${days}d left`}
+                      </span>
+                    </td>
+                    <td className={`priority-${item.priority}`}>{item.priority}</td>
+                    <td>{item.compliance_status}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
       </div>
+
+      {pendingAction && (
+        <BulkActionModal
+          action={pendingAction}
+          count={selectedIds.length}
+          tenantId={tenant.tenant_id}
+          processing={processing}
+          onClose={() => setPendingAction(null)}
+          onConfirm={(options) => runBulkAction(pendingAction, options)}
+        />
+      )}
     </div>
   )
 }
 
 // Summary Card Component
-function ComplianceSummaryCard({ icon: Icon, iconBg, iconColor, value, label, trend }) {
+function ComplianceSummaryCard({ icon: Icon, iconBg, iconColor, value, label, onClick }) {
   return (
-    <div className="compliance-summary-card">
+    <div
+      className="compliance-summary-card"
+      onClick={onClick}
+      role={onClick ? 'button' : undefined}
+      tabIndex={onClick ? 0 : undefined}
+    >
       <div className="card-icon" style={{ backgroundColor: iconBg }}>
         <Icon style={{ color: iconColor }} />
       </div>
@@ -289,16 +480,125 @@ function ComplianceSummaryCard({ icon: Icon, iconBg, iconColor, value, label, tr
 }
 
 // Type Breakdown Item
-function TypeBreakdownItem({ label, count, color }) {
+function TypeBreakdownItem({ label, count, color, detail }) {
   return (
     <div className="type-breakdown-item">
       <div className="type-info">
         <div className="type-indicator" style={{ backgroundColor: color }}></div>
-        <span className="type-label">{label}</span>
+        <div>
+          <span className="type-label">{label}</span>
+          {detail && <div className="type-detail">{detail}</div>}
+        </div>
       </div>
       <span className="type-count">{count}</span>
     </div>
   )
 }
 
+// Waive reason / reassign target prompt for bulk actions
+function BulkActionModal({ action, count, tenantId, processing, onClose, onConfirm }) {
+  const [reason, setReason] = useState('')
+  const [assignedTo, setAssignedTo] = useState('')
+  const [users, setUsers] = useState([])
+  const [validationError, setValidationError] = useState('')
+
+  useEffect(() => {
+    if (action !== 'reassign') return
+
+    const fetchUsers = async () => {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, full_name, email')
+        .eq('tenant_id', tenantId)
+        .order('full_name')
+
+      if (error) {
+        console.error('Error fetching users:', error)
+        return
+      }
+      setUsers(data || [])
+    }
+
+    fetchUsers()
+  }, [action, tenantId])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (action === 'waive' && !reason.trim()) {
+      setValidationError('Waiver reason is required')
+      return
+    }
+    if (action === 'reassign' && !assignedTo) {
+      setValidationError('Please select a user')
+      return
+    }
+
+    onConfirm(action === 'waive' ? { reason: reason.trim() } : { assignedTo })
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{action === 'waive' ? 'Waive' : 'Reassign'} {count} Compliance Item{count === 1 ? '' : 's'}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {action === 'waive' ? (
+            <div className="form-group">
+              <label htmlFor="waiver-reason">
+                Waiver Reason <span className="required">*</span>
+              </label>
+              <textarea
+                id="waiver-reason"
+                value={reason}
+                onChange={(e) => {
+                  setReason(e.target.value)
+                  setValidationError('')
+                }}
+                rows={3}
+              />
+            </div>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="reassign-user">
+                Assign To <span className="required">*</span>
+              </label>
+              <select
+                id="reassign-user"
+                value={assignedTo}
+                onChange={(e) => {
+                  setAssignedTo(e.target.value)
+                  setValidationError('')
+                }}
+              >
+                <option value="">Select user...</option>
+                {users.map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.full_name || u.email}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {validationError && <span className="error-text">{validationError}</span>}
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {processing ? 'Saving...' : 'Confirm'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
 export default ComplianceDashboard
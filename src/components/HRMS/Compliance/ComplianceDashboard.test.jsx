@@ -0,0 +1,231 @@
+/**
+ * ComplianceDashboard Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { BrowserRouter } from 'react-router-dom'
+
+const mockItems = [
+  {
+    compliance_id: 'comp-001',
+    employee_id: 'emp-001',
+    compliance_type: 'visa_renewal',
+    item_name: 'H1B Visa Renewal',
+    due_date: '2020-01-10',
+    compliance_status: 'overdue',
+    priority: 'critical',
+    assigned_to: null,
+    hrms_employees: { first_name: 'John', last_name: 'Smith', employee_code: 'IES00012' },
+  },
+  {
+    compliance_id: 'comp-002',
+    employee_id: 'emp-002',
+    compliance_type: 'i9_reverify',
+    item_name: 'I-9 Reverification',
+    due_date: '2999-01-01',
+    compliance_status: 'pending',
+    priority: 'medium',
+    assigned_to: null,
+    hrms_employees: { first_name: 'Mary', last_name: 'Chen', employee_code: 'IES00013' },
+  },
+]
+
+const createItemsQuery = () => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    in: vi.fn(() => query),
+    gte: vi.fn(() => query),
+    lte: vi.fn(() => query),
+    order: vi.fn().mockResolvedValue({ data: mockItems, error: null }),
+  }
+  return query
+}
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+    from: vi.fn(),
+  },
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: vi.fn(() => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  })),
+}))
+
+const mockShowSuccess = vi.fn()
+const mockShowErrorResponse = vi.fn()
+vi.mock('../../../contexts/ToastProvider', () => ({
+  useToast: () => ({
+    showSuccess: mockShowSuccess,
+    showErrorResponse: mockShowErrorResponse,
+  }),
+}))
+
+vi.mock('../../Shared/BusinessFilter', () => ({
+  default: () => <div data-testid="business-filter" />,
+}))
+
+import ComplianceDashboard from './ComplianceDashboard'
+import { supabase } from '../../../api/supabaseClient'
+
+const TestWrapper = ({ children }) => <BrowserRouter>{children}</BrowserRouter>
+
+const mockDashboardData = {
+  scope: 'all',
+  aging: { total: 14, overdue: 3, days7: 4, days30: 5, days60: 2, beyond60: 0 },
+  byStatus: { pending: 11, overdue: 3, completed: 8, waived: 1 },
+  byType: [
+    { compliance_type: 'visa_renewal', open: 6, pending: 4, overdue: 2, completed: 3, waived: 0, total: 9 },
+    { compliance_type: 'i9_reverify', open: 8, pending: 7, overdue: 1, completed: 5, waived: 1, total: 14 },
+  ],
+  criticalItems: [
+    {
+      compliance_id: 'comp-001',
+      employee_id: 'emp-001',
+      employee_name: 'John Smith',
+      compliance_type: 'visa_renewal',
+      item_name: 'H1B Visa Renewal',
+      due_date: '2020-01-10',
+      priority: 'critical',
+      compliance_status: 'overdue',
+      days_until_due: -3,
+    },
+  ],
+}
+
+describe('ComplianceDashboard', () => {
+  let itemsQuery
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    itemsQuery = createItemsQuery()
+    supabase.from.mockImplementation((table) => {
+      if (table === 'profiles') {
+        const profilesQuery = {
+          select: vi.fn(() => profilesQuery),
+          eq: vi.fn(() => profilesQuery),
+          order: vi.fn().mockResolvedValue({
+            data: [{ id: 'user-002', full_name: 'Alex Reviewer', email: 'alex@example.com' }],
+            error: null,
+          }),
+        }
+        return profilesQuery
+      }
+      return itemsQuery
+    })
+    supabase.rpc.mockImplementation((fn) => {
+      if (fn === 'bulk_update_compliance_items') {
+        return Promise.resolve({ data: 2, error: null })
+      }
+      return Promise.resolve({ data: mockDashboardData, error: null })
+    })
+  })
+
+  it('loads dashboard data for the tenant and selected business', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('get_compliance_dashboard_data', {
+        p_tenant_id: 'test-tenant-id',
+        p_business_id: 'test-business-id',
+      })
+    })
+  })
+
+  it('renders aging buckets and the type breakdown', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    expect(await screen.findByText('All Open (14)')).toBeInTheDocument()
+    expect(screen.getByText('Overdue (3)')).toBeInTheDocument()
+    expect(screen.getByText('Due in 7 Days (4)')).toBeInTheDocument()
+    expect(screen.getByText('Due in 30 Days (5)')).toBeInTheDocument()
+    expect(screen.getByText('Due in 60 Days (2)')).toBeInTheDocument()
+    expect(screen.getAllByText('Visa Renewal').length).toBeGreaterThan(0)
+    expect(screen.getByText('4 pending • 2 overdue • 3 completed • 0 waived')).toBeInTheDocument()
+    expect(screen.getByText('3d overdue')).toBeInTheDocument()
+  })
+
+  it('filters the item list by aging bucket', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    fireEvent.click(await screen.findByText('Due in 30 Days (5)'))
+
+    await waitFor(() => {
+      expect(itemsQuery.gte).toHaveBeenCalled()
+      expect(itemsQuery.lte).toHaveBeenCalled()
+    })
+  })
+
+  it('bulk completes selected items', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    fireEvent.click(await screen.findByLabelText('Select all compliance items'))
+    fireEvent.click(screen.getByText('Mark Complete'))
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('bulk_update_compliance_items', {
+        p_compliance_ids: ['comp-001', 'comp-002'],
+        p_action: 'complete',
+        p_reason: null,
+        p_assigned_to: null,
+      })
+    })
+    expect(mockShowSuccess).toHaveBeenCalledWith('2 compliance items completed')
+  })
+
+  it('requires a reason before waiving', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    fireEvent.click(await screen.findByLabelText('Select H1B Visa Renewal'))
+    fireEvent.click(screen.getByText('Waive'))
+    fireEvent.click(screen.getByText('Confirm'))
+
+    expect(screen.getByText('Waiver reason is required')).toBeInTheDocument()
+    expect(supabase.rpc).not.toHaveBeenCalledWith('bulk_update_compliance_items', expect.anything())
+
+    fireEvent.change(screen.getByLabelText(/Waiver Reason/), { target: { value: 'Employee relocated' } })
+    fireEvent.click(screen.getByText('Confirm'))
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('bulk_update_compliance_items', {
+        p_compliance_ids: ['comp-001'],
+        p_action: 'waive',
+        p_reason: 'Employee relocated',
+        p_assigned_to: null,
+      })
+    })
+  })
+
+  it('reassigns selected items to a tenant user', async () => {
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    fireEvent.click(await screen.findByLabelText('Select I-9 Reverification'))
+    fireEvent.click(screen.getByText('Reassign'))
+
+    await screen.findByText('Alex Reviewer')
+    fireEvent.change(screen.getByLabelText(/Assign To/), { target: { value: 'user-002' } })
+    fireEvent.click(screen.getByText('Confirm'))
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('bulk_update_compliance_items', {
+        p_compliance_ids: ['comp-002'],
+        p_action: 'reassign',
+        p_reason: null,
+        p_assigned_to: 'user-002',
+      })
+    })
+  })
+
+  it('shows an error state when the dashboard RPC fails', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'permission denied' } })
+
+    render(<ComplianceDashboard />, { wrapper: TestWrapper })
+
+    expect(await screen.findByText('Error Loading Compliance Data')).toBeInTheDocument()
+    expect(screen.getByText('permission denied')).toBeInTheDocument()
+  })
+})
@@ -2,10 +2,12 @@ import { useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useAuth } from '../../../contexts/AuthProvider'
 import { useTenant } from '../../../contexts/TenantProvider'
+import { supabase } from '../../../api/supabaseClient'
 import { 
   UsersIcon, 
   BriefcaseIcon, 
-  CalendarIcon, 
+  ClockIcon, 
+  TicketIcon,
   ExclamationTriangleIcon,
   ArrowTrendingUpIcon,
   ArrowTrendingDownIcon,
@@ -14,40 +16,54 @@ import LoadingSpinner from '../../Shared/LoadingSpinner'
 import BusinessFilter from '../../Shared/BusinessFilter'
 import './Dashboard.css'
 
+// Employee type labels/colors for the distribution chart
+const EMPLOYEE_TYPES = {
+  internal_india: { label: 'Internal India', color: '#8B5CF6' },
+  internal_usa: { label: 'Internal USA', color: '#3B82F6' },
+  it_usa: { label: 'IT USA', color: '#10B981' },
+  nonit_usa: { label: 'Non-IT USA', color: '#F59E0B' },
+  healthcare_usa: { label: 'Healthcare USA', color: '#EC4899' },
+}
+
+// Compliance status labels/colors for the status chart
+const COMPLIANCE_STATUSES = {
+  pending: { label: 'Pending', color: '#F59E0B' },
+  overdue: { label: 'Overdue', color: '#EF4444' },
+  completed: { label: 'Completed', color: '#10B981' },
+  waived: { label: 'Waived', color: '#6B7280' },
+}
+
 /**
  * HRMS Dashboard - Main landing page with overview metrics and charts
  * Based on UI_DESIGN_DOCS/02_HRMS_DASHBOARD.md
  */
 function Dashboard() {
   const { user, profile } = useAuth()
-  const { tenant, selectedBusiness } = useTenant()
+  const { tenant, selectedBusiness, loading: tenantLoading } = useTenant()
   const navigate = useNavigate()
   const [loading, setLoading] = useState(true)
   const [stats, setStats] = useState(null)
   const [error, setError] = useState(null)
 
   useEffect(() => {
-    fetchDashboardData()
-  }, [selectedBusiness])
+    if (tenant?.tenant_id) {
+      fetchDashboardData()
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id])
 
   const fetchDashboardData = async () => {
     try {
       setLoading(true)
-      // TODO: Replace with actual API calls
-      // const { data, error } = await supabase.rpc('get_dashboard_stats', { 
-      //   tenant_id: tenant?.id,
-      //   business_id: selectedBusiness?.id 
-      // })
-      
-      // Mock data for initial development
-      const mockData = {
-        totalEmployees: { count: 156, change: 8, changePercent: 5.4, period: 'month' },
-        activeProjects: { count: 89, change: 3, changePercent: 3.5, period: 'week' },
-        onLeave: { count: 12, returning: 4 },
-        compliancePending: { count: 23, overdue: 5 },
-      }
-      
-      setStats(mockData)
+      setError(null)
+
+      const { data, error: rpcError } = await supabase.rpc('get_dashboard_stats', {
+        p_tenant_id: tenant.tenant_id,
+        p_business_id: selectedBusiness?.business_id || null,
+      })
+
+      if (rpcError) throw rpcError
+
+      setStats(data)
     } catch (err) {
       console.error('Error fetching dashboard data:', err)
       setError(err.message)
@@ -56,14 +72,27 @@ function Dashboard() {
     }
   }
 
+  if (!tenant?.tenant_id) {
+    if (tenantLoading) {
+      return <LoadingSpinner message="Loading dashboard..." />
+    }
+
+    return (
+      <div className="dashboard-error" data-testid="dashboard-no-tenant">
+        <p>No organization is linked to your account, so there is no dashboard to show.</p>
+        <p className="dashboard-error-hint">Ask an administrator to add you to an organization, then sign in again.</p>
+      </div>
+    )
+  }
+
   if (loading) {
     return <LoadingSpinner message="Loading dashboard..." />
   }
 
-  if (error) {
+  if (error || !stats) {
     return (
       <div className="dashboard-error">
-        <p>Error loading dashboard: {error}</p>
+        <p>Error loading dashboard: {error || 'No data available'}</p>
         <button className="btn btn-primary" onClick={fetchDashboardData}>Retry</button>
       </div>
     )
@@ -99,10 +128,10 @@ function Dashboard() {
           iconBg="#DBEAFE"
           iconColor="#3B82F6"
           value={stats.totalEmployees.count}
-          label="Total Employees"
+          label="Active Employees"
           trend={stats.totalEmployees.change}
           trendPercent={stats.totalEmployees.changePercent}
-          secondary={`↑ All time`}
+          secondary={stats.onLeave.count > 0 ? `${stats.onLeave.count} on leave` : `+${stats.totalEmployees.change} this ${stats.totalEmployees.period}`}
           onClick={() => navigate('/hrms/employees')}
         />
         
@@ -119,13 +148,23 @@ function Dashboard() {
         />
         
         <StatCard
-          icon={CalendarIcon}
+          icon={ClockIcon}
           iconBg="#FEF3C7"
           iconColor="#F59E0B"
-          value={stats.onLeave.count}
-          label="On Leave"
-          secondary={`${stats.onLeave.returning} returning this week`}
-          onClick={() => navigate('/hrms/employees')}
+          value={stats.pendingTimesheets.count}
+          label="Pending Timesheets"
+          secondary={stats.pendingTimesheets.overdue > 0 ? `${stats.pendingTimesheets.overdue} waiting over 7 days` : 'Awaiting approval'}
+          onClick={() => navigate('/hrms/timesheets')}
+        />
+
+        <StatCard
+          icon={TicketIcon}
+          iconBg="#EDE9FE"
+          iconColor="#8B5CF6"
+          value={stats.openTickets.count}
+          label="Open Tickets"
+          secondary={stats.openTickets.unassigned > 0 ? `${stats.openTickets.unassigned} unassigned` : 'All assigned'}
+          onClick={() => navigate('/hrms/tickets')}
         />
         
         <StatCard
@@ -141,24 +180,28 @@ function Dashboard() {
         />
       </div>
 
-      {/* Charts Section - To be implemented */}
+      {/* Charts Section */}
       <div className="dashboard-charts">
         <div className="chart-card">
           <div className="chart-header">
             <h3 className="chart-title">Employees by Type</h3>
           </div>
-          <div className="chart-placeholder">
-            <p>Chart will be implemented with visualization library</p>
-          </div>
+          <BarBreakdown
+            config={EMPLOYEE_TYPES}
+            counts={stats.totalEmployees.byType}
+            emptyMessage="No active employees"
+          />
         </div>
 
         <div className="chart-card">
           <div className="chart-header">
             <h3 className="chart-title">Compliance Status</h3>
           </div>
-          <div className="chart-placeholder">
-            <p>Chart will be implemented with visualization library</p>
-          </div>
+          <BarBreakdown
+            config={COMPLIANCE_STATUSES}
+            counts={stats.compliancePending.byStatus}
+            emptyMessage="No compliance items"
+          />
         </div>
       </div>
 
@@ -198,6 +241,44 @@ function Dashboard() {
   )
 }
 
+/**
+ * Horizontal bar breakdown used by the dashboard charts
+ */
+function BarBreakdown({ config, counts = {}, emptyMessage }) {
+  const rows = Object.entries(config).map(([key, { label, color }]) => ({
+    key,
+    label,
+    color,
+    count: counts?.[key] || 0,
+  }))
+  const max = Math.max(...rows.map((row) => row.count), 0)
+
+  if (max === 0) {
+    return (
+      <div className="chart-placeholder">
+        <p>{emptyMessage}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="chart-bars">
+      {rows.map((row) => (
+        <div key={row.key} className="chart-bar-row">
+          <span className="chart-bar-label">{row.label}</span>
+          <div className="chart-bar-track">
+            <div
+              className="chart-bar-fill"
+              style={{ width: `${(row.count / max) * 100}%`, backgroundColor: row.color }}
+            />
+          </div>
+          <span className="chart-bar-value">{row.count}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
 /**
  * Reusable stat card component
  */
@@ -0,0 +1,152 @@
+/**
+ * Dashboard Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { BrowserRouter } from 'react-router-dom'
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: vi.fn(() => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  })),
+}))
+
+vi.mock('../../../contexts/AuthProvider', () => ({
+  useAuth: vi.fn(() => ({
+    user: { email: 'jane@example.com' },
+    profile: { full_name: 'Jane Doe' },
+  })),
+}))
+
+vi.mock('../../Shared/BusinessFilter', () => ({
+  default: () => <div data-testid="business-filter" />,
+}))
+
+import Dashboard from './Dashboard'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+
+const TestWrapper = ({ children }) => <BrowserRouter>{children}</BrowserRouter>
+
+const mockStats = {
+  scope: 'all',
+  totalEmployees: {
+    count: 42,
+    change: 3,
+    changePercent: 7.7,
+    period: 'month',
+    byType: { it_usa: 30, internal_india: 12 },
+  },
+  activeProjects: { count: 17, change: 2, changePercent: 13.3, period: 'week' },
+  onLeave: { count: 1 },
+  pendingTimesheets: { count: 9, overdue: 4 },
+  openTickets: { count: 6, unassigned: 2 },
+  compliancePending: {
+    count: 11,
+    overdue: 5,
+    critical: 1,
+    byStatus: { pending: 6, overdue: 5, completed: 20 },
+  },
+}
+
+describe('Dashboard', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useTenant.mockReturnValue({
+      tenant: { tenant_id: 'test-tenant-id' },
+      selectedBusiness: { business_id: 'test-business-id' },
+    })
+    supabase.rpc.mockResolvedValue({ data: mockStats, error: null })
+  })
+
+  it('calls get_dashboard_stats with the tenant and selected business', async () => {
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('get_dashboard_stats', {
+        p_tenant_id: 'test-tenant-id',
+        p_business_id: 'test-business-id',
+      })
+    })
+  })
+
+  it('passes a null business when all businesses are selected', async () => {
+    useTenant.mockReturnValueOnce({
+      tenant: { tenant_id: 'test-tenant-id' },
+      selectedBusiness: null,
+    })
+
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('get_dashboard_stats', {
+        p_tenant_id: 'test-tenant-id',
+        p_business_id: null,
+      })
+    })
+  })
+
+  it('renders stat cards from the RPC response', async () => {
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    expect(await screen.findByText('Active Employees')).toBeInTheDocument()
+    expect(screen.getByText('42')).toBeInTheDocument()
+    expect(screen.getByText('Active Projects')).toBeInTheDocument()
+    expect(screen.getByText('17')).toBeInTheDocument()
+    expect(screen.getByText('Pending Timesheets')).toBeInTheDocument()
+    expect(screen.getByText('4 waiting over 7 days')).toBeInTheDocument()
+    expect(screen.getByText('Open Tickets')).toBeInTheDocument()
+    expect(screen.getByText('2 unassigned')).toBeInTheDocument()
+    expect(screen.getByText('Compliance Pending')).toBeInTheDocument()
+    expect(screen.getByText('▲ 5 overdue')).toBeInTheDocument()
+  })
+
+  it('renders the employee type and compliance status breakdowns', async () => {
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    expect(await screen.findByText('IT USA')).toBeInTheDocument()
+    expect(screen.getByText('30')).toBeInTheDocument()
+    expect(screen.getByText('Internal India')).toBeInTheDocument()
+    expect(screen.getByText('Completed')).toBeInTheDocument()
+    expect(screen.getByText('20')).toBeInTheDocument()
+  })
+
+  it('shows a fallback instead of spinning when no tenant can be resolved', async () => {
+    useTenant.mockReturnValue({ tenant: null, selectedBusiness: null, loading: false })
+
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    expect(screen.getByTestId('dashboard-no-tenant')).toHaveTextContent('No organization is linked to your account')
+    expect(screen.queryByText('Loading dashboard...')).not.toBeInTheDocument()
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  it('keeps loading while the tenant is still being resolved', () => {
+    useTenant.mockReturnValue({ tenant: null, selectedBusiness: null, loading: true })
+
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    expect(screen.getByText('Loading dashboard...')).toBeInTheDocument()
+    expect(screen.queryByTestId('dashboard-no-tenant')).not.toBeInTheDocument()
+  })
+
+  it('shows an error with retry when the RPC fails', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'permission denied' } })
+
+    render(<Dashboard />, { wrapper: TestWrapper })
+
+    expect(await screen.findByText(/Error loading dashboard: permission denied/)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }))
+
+    expect(await screen.findByText('Active Employees')).toBeInTheDocument()
+    expect(supabase.rpc).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { validateTextField } from '../../../../utils/validators'
+import { CANNED_RESPONSE_VARIABLES, findUnknownVariables } from '../../../../utils/cannedResponses'
+import './CannedResponseForm.css'
+
+export default function CannedResponseForm({ response, onClose, onSave, tenantId, userId }) {
+  const [formData, setFormData] = useState({
+    title: '',
+    department: '',
+    category: '',
+    body: '',
+    is_active: true,
+  })
+
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (response) {
+      setFormData({
+        title: response.title || '',
+        department: response.department || '',
+        category: response.category || '',
+        body: response.body || '',
+        is_active: response.is_active ?? true,
+      })
+    }
+  }, [response])
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    const titleValidation = validateTextField(formData.title, 'Title', {
+      required: true,
+      minLength: 2,
+      maxLength: 255,
+    })
+    if (!titleValidation.valid) {
+      newErrors.title = titleValidation.error
+    }
+
+    if (!formData.body.trim()) {
+      newErrors.body = 'Response text is required'
+    } else {
+      const unknown = findUnknownVariables(formData.body)
+      if (unknown.length > 0) {
+        newErrors.body = `Unknown variables: ${unknown.map((name) => `{{${name}}}`).join(', ')}`
+      }
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validateForm()) {
+      return
+    }
+
+    setIsSubmitting(true)
+
+    try {
+      const payload = {
+        title: formData.title.trim(),
+        department: formData.department || null,
+        category: formData.category.trim() || null,
+        body: formData.body,
+        is_active: formData.is_active,
+        tenant_id: tenantId,
+        updated_by: userId,
+      }
+
+      if (response) {
+        const { error: updateError } = await supabase
+          .from('hrms_ticket_canned_responses')
+          .update(payload)
+          .eq('canned_response_id', response.canned_response_id)
+          .eq('tenant_id', tenantId)
+
+        if (updateError) throw updateError
+      } else {
+        payload.created_by = userId
+        const { error: insertError } = await supabase.from('hrms_ticket_canned_responses').insert(payload)
+
+        if (insertError) throw insertError
+      }
+
+      onSave()
+    } catch (err) {
+      console.error('Error saving canned response:', err)
+      const errorMessage =
+        err.code === '23505'
+          ? 'A canned response with this title already exists'
+          : err.message || 'Failed to save canned response. Please check your input and try again.'
+
+      setErrors({ submit: errorMessage })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }))
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: '' }))
+    }
+  }
+
+  const insertVariable = (name) => {
+    handleChange('body', `${formData.body}{{${name}}}`)
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content canned-response-form" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{response ? 'Edit Canned Response' : 'Add Canned Response'}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-section">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="canned-response-title">
+                  Title <span className="required">*</span>
+                </label>
+                <input
+                  id="canned-response-title"
+                  type="text"
+                  value={formData.title}
+                  onChange={(e) => handleChange('title', e.target.value)}
+                  className={errors.title ? 'error' : ''}
+                  placeholder="RFE received"
+                />
+                {errors.title && <span className="error-text">{errors.title}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="canned-response-department">Team</label>
+                <select
+                  id="canned-response-department"
+                  value={formData.department}
+                  onChange={(e) => handleChange('department', e.target.value)}
+                >
+                  <option value="">Both teams</option>
+                  <option value="HR">HR</option>
+                  <option value="Immigration">Immigration</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="canned-response-category">Category</label>
+                <input
+                  id="canned-response-category"
+                  type="text"
+                  value={formData.category}
+                  onChange={(e) => handleChange('category', e.target.value)}
+                  placeholder="RFE, Amendment, Stamping..."
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="canned-response-body">
+                Response <span className="required">*</span>
+              </label>
+              <textarea
+                id="canned-response-body"
+                rows={10}
+                value={formData.body}
+                onChange={(e) => handleChange('body', e.target.value)}
+                className={errors.body ? 'error' : ''}
+                placeholder="Hi {{employee_first_name}}, ..."
+              />
+              {errors.body && <span className="error-text">{errors.body}</span>}
+              <div className="variable-chips">
+                {CANNED_RESPONSE_VARIABLES.map((variable) => (
+                  <button
+                    key={variable.name}
+                    type="button"
+                    className="variable-chip"
+                    title={variable.description}
+                    onClick={() => insertVariable(variable.name)}
+                  >
+                    {`{{${variable.name}}}`}
+                  </button>
+                ))}
+              </div>
+              <small className="form-hint">
+                Variables are replaced with the ticket&apos;s values when the response is inserted
+              </small>
+            </div>
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={formData.is_active}
+                onChange={(e) => handleChange('is_active', e.target.checked)}
+              />
+              Active
+            </label>
+          </div>
+
+          {errors.submit && (
+            <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+              {errors.submit}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isSubmitting}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : response ? 'Update Response' : 'Save Response'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
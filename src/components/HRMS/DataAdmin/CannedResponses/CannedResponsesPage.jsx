@@ -0,0 +1,311 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { useTenant } from '../../../../contexts/TenantProvider'
+import { useAuth } from '../../../../contexts/AuthProvider'
+import CannedResponseForm from './CannedResponseForm'
+import TicketMacroForm from './TicketMacroForm'
+import './CannedResponsesPage.css'
+
+const STATUS_LABELS = {
+  in_team_review: 'In Team Review',
+  need_leadership_discussion: 'Need to Discuss with Leadership',
+  need_attorney_discussion: 'Need to Discuss with Attorney',
+  need_team_discussion: 'Need to Discuss with Team',
+  sent_to_candidate_review: 'Sent to Candidate for Review',
+  closed: 'Closed',
+}
+
+const PREVIEW_LENGTH = 120
+
+const preview = (body) => (body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH)}…` : body)
+
+const describeMacroActions = (macro) =>
+  [
+    macro.canned_response && `Reply: ${macro.canned_response.title}`,
+    macro.new_status && `Status → ${STATUS_LABELS[macro.new_status] || macro.new_status}`,
+    macro.internal_note && 'Internal note',
+  ].filter(Boolean)
+
+export default function CannedResponsesPage() {
+  const { tenant } = useTenant()
+  const { profile } = useAuth()
+  const [responses, setResponses] = useState([])
+  const [macros, setMacros] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [editingResponse, setEditingResponse] = useState(null)
+  const [showResponseForm, setShowResponseForm] = useState(false)
+  const [editingMacro, setEditingMacro] = useState(null)
+  const [showMacroForm, setShowMacroForm] = useState(false)
+
+  const fetchLibrary = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError('')
+
+      const [responsesResult, macrosResult] = await Promise.all([
+        supabase
+          .from('hrms_ticket_canned_responses')
+          .select('*')
+          .eq('tenant_id', tenant.tenant_id)
+          .order('title'),
+        supabase
+          .from('hrms_ticket_macros')
+          .select(`
+            *,
+            canned_response:hrms_ticket_canned_responses(title)
+          `)
+          .eq('tenant_id', tenant.tenant_id)
+          .order('display_order'),
+      ])
+
+      if (responsesResult.error) throw responsesResult.error
+      if (macrosResult.error) throw macrosResult.error
+
+      setResponses(responsesResult.data || [])
+      setMacros(macrosResult.data || [])
+    } catch (err) {
+      console.error('Error fetching canned responses:', err)
+      setError(err.message || 'Failed to load canned responses. Please try again later.')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchLibrary()
+  }, [fetchLibrary])
+
+  const openResponseForm = (response) => {
+    setEditingResponse(response)
+    setShowResponseForm(true)
+  }
+
+  const openMacroForm = (macro) => {
+    setEditingMacro(macro)
+    setShowMacroForm(true)
+  }
+
+  const handleFormClose = () => {
+    setShowResponseForm(false)
+    setEditingResponse(null)
+    setShowMacroForm(false)
+    setEditingMacro(null)
+  }
+
+  const handleFormSave = () => {
+    handleFormClose()
+    fetchLibrary()
+  }
+
+  const handleDelete = async (table, idColumn, id, label) => {
+    if (!window.confirm(`Delete "${label}"? This action cannot be undone.`)) {
+      return
+    }
+
+    try {
+      setError('')
+      const { error: deleteError } = await supabase
+        .from(table)
+        .delete()
+        .eq(idColumn, id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (deleteError) throw deleteError
+
+      fetchLibrary()
+    } catch (err) {
+      console.error(`Error deleting ${label}:`, err)
+      setError(err.message || `Failed to delete ${label}`)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="canned-responses-page">
+        <div className="loading">Loading canned responses...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="canned-responses-page">
+      <div className="crm-header">
+        <h1>Canned Responses &amp; Macros</h1>
+        <p style={{ margin: 0, color: '#64748b' }}>
+          Reusable ticket replies and one-click ticket actions
+        </p>
+      </div>
+
+      <div className="info-banner">
+        <div className="info-icon">ℹ️</div>
+        <div className="info-content">
+          Canned responses are inserted into the comment box on a ticket, with variables such as
+          <code>{' {{employee_name}} '}</code> filled in, and can be edited before sending. A
+          <strong> macro</strong> posts a canned reply, changes the status and adds an internal note in one click.
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+          {error}
+        </div>
+      )}
+
+      <section className="canned-responses-section">
+        <div className="canned-responses-section-header">
+          <h2>Canned Responses</h2>
+          <button className="btn btn-primary" onClick={() => openResponseForm(null)}>
+            + Add Response
+          </button>
+        </div>
+
+        {responses.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">💬</div>
+            <h3>No Canned Responses</h3>
+            <p>Add the replies your team types most often</p>
+          </div>
+        ) : (
+          <div className="canned-responses-table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Title</th>
+                  <th>Team</th>
+                  <th>Category</th>
+                  <th>Status</th>
+                  <th style={{ width: '160px' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {responses.map((response) => (
+                  <tr key={response.canned_response_id}>
+                    <td>
+                      <strong>{response.title}</strong>
+                      <div className="canned-response-preview">{preview(response.body)}</div>
+                    </td>
+                    <td>{response.department || 'Both'}</td>
+                    <td>{response.category || '-'}</td>
+                    <td>
+                      <span className={`status-badge ${response.is_active ? 'active' : 'inactive'}`}>
+                        {response.is_active ? '🟢 Active' : '🔴 Inactive'}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="btn btn-sm btn-primary" onClick={() => openResponseForm(response)}>
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-sm btn-danger"
+                          onClick={() =>
+                            handleDelete(
+                              'hrms_ticket_canned_responses',
+                              'canned_response_id',
+                              response.canned_response_id,
+                              response.title
+                            )
+                          }
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section className="canned-responses-section">
+        <div className="canned-responses-section-header">
+          <h2>Macros</h2>
+          <button className="btn btn-primary" onClick={() => openMacroForm(null)}>
+            + Add Macro
+          </button>
+        </div>
+
+        {macros.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">⚡</div>
+            <h3>No Macros</h3>
+            <p>Combine a reply, a status change and an internal note into one button</p>
+          </div>
+        ) : (
+          <div className="canned-responses-table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Team</th>
+                  <th>Actions Applied</th>
+                  <th>Status</th>
+                  <th style={{ width: '160px' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {macros.map((macro) => (
+                  <tr key={macro.macro_id}>
+                    <td><strong>{macro.name}</strong></td>
+                    <td>{macro.department || 'Both'}</td>
+                    <td>
+                      <ul className="macro-action-list">
+                        {describeMacroActions(macro).map((action) => (
+                          <li key={action}>{action}</li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${macro.is_active ? 'active' : 'inactive'}`}>
+                        {macro.is_active ? '🟢 Active' : '🔴 Inactive'}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="btn btn-sm btn-primary" onClick={() => openMacroForm(macro)}>
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-sm btn-danger"
+                          onClick={() => handleDelete('hrms_ticket_macros', 'macro_id', macro.macro_id, macro.name)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {showResponseForm && (
+        <CannedResponseForm
+          response={editingResponse}
+          onClose={handleFormClose}
+          onSave={handleFormSave}
+          tenantId={tenant?.tenant_id}
+          userId={profile?.id}
+        />
+      )}
+
+      {showMacroForm && (
+        <TicketMacroForm
+          macro={editingMacro}
+          responses={responses.filter((response) => response.is_active)}
+          onClose={handleFormClose}
+          onSave={handleFormSave}
+          tenantId={tenant?.tenant_id}
+          userId={profile?.id}
+        />
+      )}
+    </div>
+  )
+}
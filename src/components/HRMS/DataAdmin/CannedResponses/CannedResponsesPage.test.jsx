@@ -0,0 +1,202 @@
+/**
+ * CannedResponsesPage Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react'
+
+vi.mock('../../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({
+    user: { id: 'test-user-id', email: 'admin@example.com' },
+    profile: { id: 'test-profile-id', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+  }),
+}))
+
+vi.mock('../../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../../api/supabaseClient'
+import CannedResponsesPage from './CannedResponsesPage'
+
+const mockTables = {
+  hrms_ticket_canned_responses: [
+    {
+      canned_response_id: 'cr-1',
+      tenant_id: 'test-tenant-id',
+      department: 'Immigration',
+      title: 'RFE received',
+      category: 'RFE',
+      body: 'Hi {{employee_first_name}}, USCIS has issued an RFE.',
+      is_active: true,
+    },
+    {
+      canned_response_id: 'cr-2',
+      tenant_id: 'test-tenant-id',
+      department: 'HR',
+      title: 'Payroll correction',
+      category: null,
+      body: 'Payroll will correct this on the next run.',
+      is_active: true,
+    },
+  ],
+  hrms_ticket_macros: [
+    {
+      macro_id: 'macro-1',
+      tenant_id: 'test-tenant-id',
+      department: 'Immigration',
+      name: 'RFE received',
+      canned_response_id: 'cr-1',
+      new_status: 'need_attorney_discussion',
+      internal_note: 'Forwarded to attorney',
+      display_order: 1,
+      is_active: true,
+      canned_response: { title: 'RFE received' },
+    },
+  ],
+}
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    update: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+let queries
+
+const mockSupabaseTables = (tables, writeError = null) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    const write = () => createQuery(null, writeError)
+    query.insert = vi.fn(write)
+    query.update = vi.fn(write)
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const writesTo = (table, method) =>
+  queries.filter((entry) => entry.table === table).flatMap(({ query }) => query[method].mock.calls)
+
+describe('CannedResponsesPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables(mockTables)
+  })
+
+  it('lists canned responses and macros with their actions', async () => {
+    render(<CannedResponsesPage />)
+
+    expect(await screen.findByText('Canned Responses & Macros')).toBeInTheDocument()
+    expect(screen.getByText('Payroll correction')).toBeInTheDocument()
+    expect(screen.getByText('Hi {{employee_first_name}}, USCIS has issued an RFE.')).toBeInTheDocument()
+
+    const macroRow = screen.getByText('Reply: RFE received').closest('tr')
+    expect(within(macroRow).getByText('Status → Need to Discuss with Attorney')).toBeInTheDocument()
+    expect(within(macroRow).getByText('Internal note')).toBeInTheDocument()
+  })
+
+  it('adds a canned response with variables', async () => {
+    render(<CannedResponsesPage />)
+    fireEvent.click(await screen.findByRole('button', { name: '+ Add Response' }))
+
+    fireEvent.change(screen.getByLabelText(/Title/), { target: { value: 'Amendment required' } })
+    fireEvent.change(screen.getByLabelText('Team'), { target: { value: 'Immigration' } })
+    fireEvent.change(screen.getByLabelText(/Response/), { target: { value: 'Hi ' } })
+    fireEvent.click(screen.getByRole('button', { name: '{{employee_first_name}}' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Save Response' }))
+
+    await waitFor(() => expect(writesTo('hrms_ticket_canned_responses', 'insert')).toHaveLength(1))
+    expect(writesTo('hrms_ticket_canned_responses', 'insert')[0][0]).toEqual({
+      title: 'Amendment required',
+      department: 'Immigration',
+      category: null,
+      body: 'Hi {{employee_first_name}}',
+      is_active: true,
+      tenant_id: 'test-tenant-id',
+      updated_by: 'test-profile-id',
+      created_by: 'test-profile-id',
+    })
+  })
+
+  it('rejects unknown variables in a response', async () => {
+    render(<CannedResponsesPage />)
+    fireEvent.click(await screen.findByRole('button', { name: '+ Add Response' }))
+
+    fireEvent.change(screen.getByLabelText(/Title/), { target: { value: 'Stamping' } })
+    fireEvent.change(screen.getByLabelText(/Response/), { target: { value: 'Valid until {{visa_expiry}}' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Response' }))
+
+    expect(await screen.findByText('Unknown variables: {{visa_expiry}}')).toBeInTheDocument()
+    expect(writesTo('hrms_ticket_canned_responses', 'insert')).toHaveLength(0)
+  })
+
+  it('requires a macro to do something', async () => {
+    render(<CannedResponsesPage />)
+    fireEvent.click(await screen.findByRole('button', { name: '+ Add Macro' }))
+
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Do nothing' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Macro' }))
+
+    expect(
+      await screen.findByText('Choose at least one action: a reply, a status or an internal note')
+    ).toBeInTheDocument()
+    expect(writesTo('hrms_ticket_macros', 'insert')).toHaveLength(0)
+  })
+
+  it('adds a macro that replies and changes status, offering only the team responses', async () => {
+    render(<CannedResponsesPage />)
+    fireEvent.click(await screen.findByRole('button', { name: '+ Add Macro' }))
+
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Send RFE update' } })
+    fireEvent.change(screen.getByLabelText('Team'), { target: { value: 'Immigration' } })
+
+    const reply = screen.getByLabelText('Reply with')
+    expect(within(reply).queryByText('Payroll correction')).not.toBeInTheDocument()
+    fireEvent.change(reply, { target: { value: 'cr-1' } })
+    fireEvent.change(screen.getByLabelText('Change status to'), { target: { value: 'sent_to_candidate_review' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Macro' }))
+
+    await waitFor(() => expect(writesTo('hrms_ticket_macros', 'insert')).toHaveLength(1))
+    expect(writesTo('hrms_ticket_macros', 'insert')[0][0]).toEqual({
+      name: 'Send RFE update',
+      department: 'Immigration',
+      canned_response_id: 'cr-1',
+      new_status: 'sent_to_candidate_review',
+      internal_note: null,
+      display_order: 0,
+      is_active: true,
+      tenant_id: 'test-tenant-id',
+      updated_by: 'test-profile-id',
+      created_by: 'test-profile-id',
+    })
+  })
+
+  it('explains a duplicate macro name', async () => {
+    mockSupabaseTables(mockTables, { code: '23505', message: 'duplicate key value' })
+    render(<CannedResponsesPage />)
+    fireEvent.click(await screen.findByRole('button', { name: '+ Add Macro' }))
+
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'RFE received' } })
+    fireEvent.change(screen.getByLabelText('Change status to'), { target: { value: 'closed' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Macro' }))
+
+    expect(await screen.findByText('A macro with this name already exists')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { validateTextField } from '../../../../utils/validators'
+import { findUnknownVariables } from '../../../../utils/cannedResponses'
+import './CannedResponseForm.css'
+
+const TICKET_STATUSES = [
+  { value: 'in_team_review', label: 'In Team Review' },
+  { value: 'need_leadership_discussion', label: 'Need to Discuss with Leadership' },
+  { value: 'need_attorney_discussion', label: 'Need to Discuss with Attorney' },
+  { value: 'need_team_discussion', label: 'Need to Discuss with Team' },
+  { value: 'sent_to_candidate_review', label: 'Sent to Candidate for Review' },
+  { value: 'closed', label: 'Closed' },
+]
+
+export default function TicketMacroForm({ macro, responses, onClose, onSave, tenantId, userId }) {
+  const [formData, setFormData] = useState({
+    name: '',
+    department: '',
+    canned_response_id: '',
+    new_status: '',
+    internal_note: '',
+    display_order: 0,
+    is_active: true,
+  })
+
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (macro) {
+      setFormData({
+        name: macro.name || '',
+        department: macro.department || '',
+        canned_response_id: macro.canned_response_id || '',
+        new_status: macro.new_status || '',
+        internal_note: macro.internal_note || '',
+        display_order: macro.display_order ?? 0,
+        is_active: macro.is_active ?? true,
+      })
+    }
+  }, [macro])
+
+  // A team's macro can use that team's responses or shared ones
+  const availableResponses = responses.filter(
+    (response) => !response.department || !formData.department || response.department === formData.department
+  )
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    const nameValidation = validateTextField(formData.name, 'Name', {
+      required: true,
+      minLength: 2,
+      maxLength: 255,
+    })
+    if (!nameValidation.valid) {
+      newErrors.name = nameValidation.error
+    }
+
+    if (!formData.canned_response_id && !formData.new_status && !formData.internal_note.trim()) {
+      newErrors.actions = 'Choose at least one action: a reply, a status or an internal note'
+    }
+
+    const unknown = findUnknownVariables(formData.internal_note)
+    if (unknown.length > 0) {
+      newErrors.internal_note = `Unknown variables: ${unknown.map((name) => `{{${name}}}`).join(', ')}`
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validateForm()) {
+      return
+    }
+
+    setIsSubmitting(true)
+
+    try {
+      const payload = {
+        name: formData.name.trim(),
+        department: formData.department || null,
+        canned_response_id: formData.canned_response_id || null,
+        new_status: formData.new_status || null,
+        internal_note: formData.internal_note.trim() || null,
+        display_order: Number(formData.display_order) || 0,
+        is_active: formData.is_active,
+        tenant_id: tenantId,
+        updated_by: userId,
+      }
+
+      if (macro) {
+        const { error: updateError } = await supabase
+          .from('hrms_ticket_macros')
+          .update(payload)
+          .eq('macro_id', macro.macro_id)
+          .eq('tenant_id', tenantId)
+
+        if (updateError) throw updateError
+      } else {
+        payload.created_by = userId
+        const { error: insertError } = await supabase.from('hrms_ticket_macros').insert(payload)
+
+        if (insertError) throw insertError
+      }
+
+      onSave()
+    } catch (err) {
+      console.error('Error saving macro:', err)
+      const errorMessage =
+        err.code === '23505'
+          ? 'A macro with this name already exists'
+          : err.message || 'Failed to save macro. Please check your input and try again.'
+
+      setErrors({ submit: errorMessage })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }))
+    if (errors[field] || errors.actions) {
+      setErrors((prev) => ({ ...prev, [field]: '', actions: '' }))
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content ticket-macro-form" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{macro ? 'Edit Macro' : 'Add Macro'}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-section">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="macro-name">
+                  Name <span className="required">*</span>
+                </label>
+                <input
+                  id="macro-name"
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => handleChange('name', e.target.value)}
+                  className={errors.name ? 'error' : ''}
+                  placeholder="RFE received"
+                />
+                {errors.name && <span className="error-text">{errors.name}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="macro-department">Team</label>
+                <select
+                  id="macro-department"
+                  value={formData.department}
+                  onChange={(e) => handleChange('department', e.target.value)}
+                >
+                  <option value="">Both teams</option>
+                  <option value="HR">HR</option>
+                  <option value="Immigration">Immigration</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="macro-display-order">Display Order</label>
+                <input
+                  id="macro-display-order"
+                  type="number"
+                  min="0"
+                  value={formData.display_order}
+                  onChange={(e) => handleChange('display_order', e.target.value)}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Actions</h3>
+
+            <div className="form-group">
+              <label htmlFor="macro-reply">Reply with</label>
+              <select
+                id="macro-reply"
+                value={formData.canned_response_id}
+                onChange={(e) => handleChange('canned_response_id', e.target.value)}
+              >
+                <option value="">No reply</option>
+                {availableResponses.map((response) => (
+                  <option key={response.canned_response_id} value={response.canned_response_id}>
+                    {response.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="macro-status">Change status to</label>
+              <select
+                id="macro-status"
+                value={formData.new_status}
+                onChange={(e) => handleChange('new_status', e.target.value)}
+              >
+                <option value="">Leave unchanged</option>
+                {TICKET_STATUSES.map((status) => (
+                  <option key={status.value} value={status.value}>
+                    {status.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="macro-internal-note">Internal note</label>
+              <textarea
+                id="macro-internal-note"
+                rows={3}
+                value={formData.internal_note}
+                onChange={(e) => handleChange('internal_note', e.target.value)}
+                className={errors.internal_note ? 'error' : ''}
+                placeholder="Forwarded to attorney for review"
+              />
+              {errors.internal_note && <span className="error-text">{errors.internal_note}</span>}
+              <small className="form-hint">Not visible to the employee. Variables can be used here too.</small>
+            </div>
+
+            {errors.actions && <span className="error-text">{errors.actions}</span>}
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={formData.is_active}
+                onChange={(e) => handleChange('is_active', e.target.checked)}
+              />
+              Active
+            </label>
+          </div>
+
+          {errors.submit && (
+            <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+              {errors.submit}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isSubmitting}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : macro ? 'Update Macro' : 'Save Macro'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
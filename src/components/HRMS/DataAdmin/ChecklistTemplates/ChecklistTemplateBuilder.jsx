@@ -4,6 +4,7 @@ import { useTenant } from '../../../../contexts/TenantProvider'
 import { useAuth } from '../../../../contexts/AuthProvider'
 import ChecklistItemForm from './ChecklistItemForm'
 import ChecklistGroupForm from './ChecklistGroupForm'
+import { VERSION_STATUS_LABELS } from '../../../../utils/checklistVersions'
 import './ChecklistTemplateBuilder.css'
 
 const EMPLOYEE_TYPES = [
@@ -36,6 +37,14 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
   const [editingItem, setEditingItem] = useState(null)
   const [editingGroup, setEditingGroup] = useState(null)
   const [selectedGroupId, setSelectedGroupId] = useState(null)
+  // Version whose structure is shown: the open draft, else the published version.
+  // Only a draft (or a template not saved yet) can have its groups and items edited.
+  const [version, setVersion] = useState(null)
+  const [changeNotes, setChangeNotes] = useState('')
+  const [versionAction, setVersionAction] = useState(null)
+
+  const isExistingTemplate = Boolean(template?.template_id)
+  const isReadOnly = isExistingTemplate && version?.status !== 'draft'
 
   useEffect(() => {
     loadChecklistTypes()
@@ -77,11 +86,31 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
     try {
       setLoading(true)
 
+      // Load the draft if one is open, else the published version
+      const { data: versionsData, error: versionsError } = await supabase
+        .from('hrms_checklist_template_versions')
+        .select('version_id, version_number, status, change_notes')
+        .eq('template_id', template.template_id)
+        .order('version_number', { ascending: false })
+
+      if (versionsError) throw versionsError
+      const currentVersion =
+        (versionsData || []).find((v) => v.status === 'draft') ||
+        (versionsData || []).find((v) => v.status === 'published') ||
+        null
+      setVersion(currentVersion)
+      setChangeNotes(currentVersion?.status === 'draft' ? currentVersion.change_notes || '' : '')
+      if (!currentVersion) {
+        setGroups([])
+        setItems([])
+        return
+      }
+
       // Load groups
       const { data: groupsData, error: groupsError } = await supabase
         .from('hrms_checklist_groups')
         .select('*')
-        .eq('template_id', template.template_id)
+        .eq('version_id', currentVersion.version_id)
         .order('display_order', { ascending: true })
 
       if (groupsError) throw groupsError
@@ -91,7 +120,7 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
       const { data: itemsData, error: itemsError } = await supabase
         .from('hrms_checklist_items')
         .select('*')
-        .eq('template_id', template.template_id)
+        .eq('version_id', currentVersion.version_id)
         .order('display_order', { ascending: true })
 
       if (itemsError) throw itemsError
@@ -123,7 +152,7 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
     return Object.keys(newErrors).length === 0
   }
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = async (e, { publish = false } = {}) => {
     e.preventDefault()
 
     if (!validateForm()) {
@@ -136,7 +165,7 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
       const effectiveTenantId = tenantId || tenant?.tenant_id
       const effectiveUserId = userId || profile?.id
 
-      if (template) {
+      if (isExistingTemplate) {
         // Update template
         const { data: updatedTemplate, error: updateError } = await supabase
           .from('hrms_checklist_templates')
@@ -151,8 +180,11 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
 
         if (updateError) throw updateError
 
-        // Save groups and items
-        await saveGroupsAndItems(updatedTemplate.template_id)
+        // Published versions are read-only; only a draft's structure is saved
+        if (version?.status === 'draft') {
+          await saveGroupsAndItems(updatedTemplate.template_id, version.version_id)
+          if (publish) await publishVersion(version.version_id)
+        }
       } else {
         // Create template
         const { data: newTemplate, error: insertError } = await supabase
@@ -168,8 +200,24 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
 
         if (insertError) throw insertError
 
+        // A new template starts as a draft of version 1
+        const { data: firstVersion, error: versionError } = await supabase
+          .from('hrms_checklist_template_versions')
+          .insert({
+            tenant_id: effectiveTenantId,
+            template_id: newTemplate.template_id,
+            version_number: 1,
+            status: 'draft',
+            created_by: effectiveUserId,
+          })
+          .select()
+          .single()
+
+        if (versionError) throw versionError
+
         // Save groups and items
-        await saveGroupsAndItems(newTemplate.template_id)
+        await saveGroupsAndItems(newTemplate.template_id, firstVersion?.version_id)
+        if (publish) await publishVersion(firstVersion.version_id)
       }
 
       onSave()
@@ -181,12 +229,20 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
     }
   }
 
-  const saveGroupsAndItems = async (templateId) => {
+  const publishVersion = async (versionId) => {
+    const { error } = await supabase.rpc('publish_hrms_checklist_template_version', {
+      p_version_id: versionId,
+      p_change_notes: changeNotes.trim() || null,
+    })
+    if (error) throw error
+  }
+
+  const saveGroupsAndItems = async (templateId, versionId) => {
     // Save groups
     for (const group of groups) {
       if (group.group_id) {
         // Update existing group
-        await supabase
+        const { error } = await supabase
           .from('hrms_checklist_groups')
           .update({
             group_name: group.group_name,
@@ -194,6 +250,8 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
             display_order: group.display_order,
           })
           .eq('group_id', group.group_id)
+
+        if (error) throw error
       } else {
         // Create new group
         const { data: newGroup, error } = await supabase
@@ -201,6 +259,7 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
           .insert({
             tenant_id: tenantId || tenant?.tenant_id,
             template_id: templateId,
+            version_id: versionId,
             group_name: group.group_name,
             group_description: group.group_description,
             display_order: group.display_order,
@@ -210,11 +269,10 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
 
         if (error) throw error
 
-        // Update items with new group_id
-        const groupItems = items.filter((item) => item.__temp_group_id === group.__temp_id)
+        // Items added to a new group point at its temporary id until now
+        const groupItems = items.filter((item) => item.group_id === group.__temp_id)
         for (const item of groupItems) {
           item.group_id = newGroup.group_id
-          delete item.__temp_group_id
         }
       }
     }
@@ -224,6 +282,7 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
       const itemData = {
         tenant_id: tenantId || tenant?.tenant_id,
         template_id: templateId,
+        version_id: versionId,
         group_id: item.group_id,
         item_name: item.item_name,
         item_description: item.item_description,
@@ -234,13 +293,48 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
         enable_ai_parsing: item.enable_ai_parsing ?? true,
       }
 
-      if (item.item_id) {
-        // Update existing item
-        await supabase.from('hrms_checklist_items').update(itemData).eq('item_id', item.item_id)
-      } else {
-        // Create new item
-        await supabase.from('hrms_checklist_items').insert(itemData)
-      }
+      const { error } = item.item_id
+        ? await supabase.from('hrms_checklist_items').update(itemData).eq('item_id', item.item_id)
+        : await supabase.from('hrms_checklist_items').insert(itemData)
+
+      if (error) throw error
+    }
+  }
+
+  const handleCreateDraft = async () => {
+    try {
+      setVersionAction('draft')
+      const { error } = await supabase.rpc('create_hrms_checklist_template_draft', {
+        p_template_id: template.template_id,
+      })
+      if (error) throw error
+      await loadTemplateData()
+    } catch (err) {
+      console.error('Error creating draft:', err)
+      alert('Failed to create draft: ' + err.message)
+    } finally {
+      setVersionAction(null)
+    }
+  }
+
+  const handleDiscardDraft = async () => {
+    if (!window.confirm(`Discard the draft of version ${version.version_number}? Its changes will be lost.`)) {
+      return
+    }
+
+    try {
+      setVersionAction('discard')
+      const { error } = await supabase
+        .from('hrms_checklist_template_versions')
+        .delete()
+        .eq('version_id', version.version_id)
+      if (error) throw error
+      await loadTemplateData()
+    } catch (err) {
+      console.error('Error discarding draft:', err)
+      alert('Failed to discard draft: ' + err.message)
+    } finally {
+      setVersionAction(null)
     }
   }
 
@@ -453,12 +547,56 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
 
           <div className="form-section">
             <div className="section-header">
-              <h3>Checklist Structure</h3>
-              <button type="button" className="btn btn-primary btn-sm" onClick={handleAddGroup}>
-                + Add Group
-              </button>
+              <h3>
+                Checklist Structure
+                {version && (
+                  <span className={`version-badge version-${version.status}`}>
+                    Version {version.version_number} · {VERSION_STATUS_LABELS[version.status]}
+                  </span>
+                )}
+              </h3>
+              {isReadOnly ? (
+                <button
+                  type="button"
+                  className="btn btn-primary btn-sm"
+                  onClick={handleCreateDraft}
+                  disabled={versionAction !== null || loading}
+                >
+                  {versionAction === 'draft' ? 'Creating...' : 'Create Draft'}
+                </button>
+              ) : (
+                <button type="button" className="btn btn-primary btn-sm" onClick={handleAddGroup}>
+                  + Add Group
+                </button>
+              )}
             </div>
 
+            {isReadOnly && version && (
+              <p className="version-notice">
+                Employees already given this version stay on it. Create a draft to change groups and items,
+                then publish it as version {version.version_number + 1}.
+              </p>
+            )}
+
+            {!isReadOnly && version?.version_number > 1 && (
+              <div className="version-notice">
+                <p>
+                  Draft of version {version.version_number}. Publishing it does not move employees already on an
+                  earlier version; use Versions on the template card to migrate them.
+                </p>
+                <div className="form-group">
+                  <label htmlFor="change-notes">What changed</label>
+                  <textarea
+                    id="change-notes"
+                    value={changeNotes}
+                    onChange={(e) => setChangeNotes(e.target.value)}
+                    rows={2}
+                    placeholder="Added EAD card; I-94 is now required"
+                  />
+                </div>
+              </div>
+            )}
+
             {groups.length === 0 && (
               <div className="empty-groups">
                 <p>No groups yet. Add your first group to start building the checklist.</p>
@@ -478,19 +616,21 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
                         <span className="item-count">{groupItems.length} items</span>
                       </div>
                     </div>
-                    <div className="group-actions">
-                      <button type="button" className="btn-icon" onClick={() => handleEditGroup(group)} title="Edit">
-                        ✏️
-                      </button>
-                      <button
-                        type="button"
-                        className="btn-icon btn-danger"
-                        onClick={() => handleDeleteGroup(group)}
-                        title="Delete"
-                      >
-                        🗑️
-                      </button>
-                    </div>
+                    {!isReadOnly && (
+                      <div className="group-actions">
+                        <button type="button" className="btn-icon" onClick={() => handleEditGroup(group)} title="Edit">
+                          ✏️
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-icon btn-danger"
+                          onClick={() => handleDeleteGroup(group)}
+                          title="Delete"
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   <div className="group-items">
@@ -511,33 +651,37 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
                             {item.visible_to_employee_flag && <span>Visible: ✅</span>}
                           </div>
                         </div>
-                        <div className="item-actions">
-                          <button
-                            type="button"
-                            className="btn-icon"
-                            onClick={() => handleEditItem(item)}
-                            title="Edit"
-                          >
-                            ✏️
-                          </button>
-                          <button
-                            type="button"
-                            className="btn-icon btn-danger"
-                            onClick={() => handleDeleteItem(item)}
-                            title="Delete"
-                          >
-                            🗑️
-                          </button>
-                        </div>
+                        {!isReadOnly && (
+                          <div className="item-actions">
+                            <button
+                              type="button"
+                              className="btn-icon"
+                              onClick={() => handleEditItem(item)}
+                              title="Edit"
+                            >
+                              ✏️
+                            </button>
+                            <button
+                              type="button"
+                              className="btn-icon btn-danger"
+                              onClick={() => handleDeleteItem(item)}
+                              title="Delete"
+                            >
+                              🗑️
+                            </button>
+                          </div>
+                        )}
                       </div>
                     ))}
-                    <button
-                      type="button"
-                      className="btn btn-secondary btn-sm add-item-btn"
-                      onClick={() => handleAddItem(group.group_id || group.__temp_id)}
-                    >
-                      + Add Item to Group
-                    </button>
+                    {!isReadOnly && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm add-item-btn"
+                        onClick={() => handleAddItem(group.group_id || group.__temp_id)}
+                      >
+                        + Add Item to Group
+                      </button>
+                    )}
                   </div>
                 </div>
               )
@@ -548,9 +692,29 @@ export default function ChecklistTemplateBuilder({ template, onClose, onSave, te
             <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isSubmitting}>
               Cancel
             </button>
+            {isExistingTemplate && version?.status === 'draft' && version.version_number > 1 && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleDiscardDraft}
+                disabled={isSubmitting || versionAction !== null}
+              >
+                Discard Draft
+              </button>
+            )}
             <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
-              {isSubmitting ? 'Saving...' : template ? 'Update Template' : 'Save Template'}
+              {isSubmitting ? 'Saving...' : isExistingTemplate ? 'Update Template' : 'Save Template'}
             </button>
+            {!isReadOnly && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={(e) => handleSubmit(e, { publish: true })}
+                disabled={isSubmitting}
+              >
+                Save &amp; Publish{version ? ` Version ${version.version_number}` : ''}
+              </button>
+            )}
           </div>
         </form>
 
@@ -3,6 +3,7 @@
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
 
 // Mock contexts
 vi.mock('../../../../contexts/AuthProvider', () => ({
@@ -33,6 +34,14 @@ const mockChecklistTypes = [
   },
 ]
 
+// Rows each table resolves with; single() resolves with the inserted/updated row
+const mockTableData = {}
+const mockSingleData = {
+  hrms_checklist_templates: { template_id: 'template-001' },
+  hrms_checklist_template_versions: { version_id: 'version-001', version_number: 1, status: 'draft' },
+  hrms_checklist_groups: { group_id: 'group-001' },
+}
+
 vi.mock('../../../../api/supabaseClient', () => {
   const createQueryBuilder = (table) => {
     const builder = {
@@ -42,41 +51,16 @@ vi.mock('../../../../api/supabaseClient', () => {
       update: vi.fn(() => builder),
       delete: vi.fn(() => builder),
       order: vi.fn(() => builder),
-      single: vi.fn(() => Promise.resolve({ data: null, error: null })),
-    }
-
-    if (table === 'hrms_checklist_types') {
-      builder.select.mockResolvedValue({
-        data: mockChecklistTypes,
-        error: null,
-      })
-    } else if (table === 'hrms_checklist_groups') {
-      builder.select.mockResolvedValue({ data: [], error: null })
-      builder.insert.mockResolvedValue({ data: [{ group_id: 'group-001' }], error: null })
-      builder.update.mockResolvedValue({ data: null, error: null })
-      builder.delete.mockResolvedValue({ data: null, error: null })
-    } else if (table === 'hrms_checklist_items') {
-      builder.select.mockResolvedValue({ data: [], error: null })
-      builder.insert.mockResolvedValue({ data: [{ item_id: 'item-001' }], error: null })
-      builder.update.mockResolvedValue({ data: null, error: null })
-      builder.delete.mockResolvedValue({ data: null, error: null })
-    } else if (table === 'hrms_checklist_templates') {
-      builder.insert.mockResolvedValue({
-        data: [{ template_id: 'template-001' }],
-        error: null,
-      })
-      builder.update.mockResolvedValue({
-        data: [{ template_id: 'template-001' }],
-        error: null,
-      })
+      single: vi.fn(() => Promise.resolve({ data: mockSingleData[table] ?? null, error: null })),
+      then: (resolve) => resolve({ data: mockTableData[table] ?? [], error: null }),
     }
-
     return builder
   }
 
   return {
     supabase: {
       from: vi.fn((table) => createQueryBuilder(table)),
+      rpc: vi.fn(),
     },
   }
 })
@@ -104,6 +88,7 @@ vi.mock('./ChecklistItemForm', () => ({
   ),
 }))
 
+import { supabase } from '../../../../api/supabaseClient'
 import ChecklistTemplateBuilder from './ChecklistTemplateBuilder'
 
 const defaultProps = {
@@ -121,6 +106,13 @@ describe('ChecklistTemplateBuilder', () => {
   beforeEach(() => {
     vi.clearAllMocks()
     window.confirm = vi.fn(() => true)
+    Object.assign(mockTableData, {
+      hrms_checklist_types: mockChecklistTypes,
+      hrms_checklist_template_versions: [],
+      hrms_checklist_groups: [],
+      hrms_checklist_items: [],
+    })
+    supabase.rpc.mockResolvedValue({ data: null, error: null })
   })
 
   it('should render form for creating new template', async () => {
@@ -257,4 +249,86 @@ describe('ChecklistTemplateBuilder', () => {
 
     expect(onClose).toHaveBeenCalled()
   })
+
+  describe('versions', () => {
+    const template = {
+      template_id: 'template-001',
+      template_name: 'Client Onboarding Checklist',
+      checklist_type_id: 'type-002',
+      employee_type: null,
+      description: '',
+      is_active: true,
+    }
+    const groups = [{ group_id: 'grp-1', group_name: 'Identity', display_order: 0 }]
+    const items = [
+      { item_id: 'item-1', group_id: 'grp-1', item_name: 'Passport', is_required: true, display_order: 0 },
+    ]
+
+    it('shows the published version read-only until a draft is created', async () => {
+      Object.assign(mockTableData, {
+        hrms_checklist_template_versions: [{ version_id: 'ver-1', version_number: 1, status: 'published' }],
+        hrms_checklist_groups: groups,
+        hrms_checklist_items: items,
+      })
+      renderComponent({ template })
+
+      expect(await screen.findByText('Version 1 · Published')).toBeInTheDocument()
+      expect(screen.getByText('Passport')).toBeInTheDocument()
+      expect(screen.queryByText('+ Add Group')).not.toBeInTheDocument()
+      expect(screen.queryByText('+ Add Item to Group')).not.toBeInTheDocument()
+      expect(screen.queryByText(/save & publish/i)).not.toBeInTheDocument()
+
+      await userEvent.click(screen.getByRole('button', { name: 'Create Draft' }))
+
+      expect(supabase.rpc).toHaveBeenCalledWith('create_hrms_checklist_template_draft', { p_template_id: 'template-001' })
+    })
+
+    it('saves the draft structure and publishes it with change notes', async () => {
+      const onSave = vi.fn()
+      Object.assign(mockTableData, {
+        hrms_checklist_template_versions: [
+          { version_id: 'ver-2', version_number: 2, status: 'draft', change_notes: null },
+          { version_id: 'ver-1', version_number: 1, status: 'published' },
+        ],
+        hrms_checklist_groups: groups,
+        hrms_checklist_items: items,
+      })
+      renderComponent({ template, onSave })
+
+      expect(await screen.findByText('Version 2 · Draft')).toBeInTheDocument()
+      expect(screen.getByText('+ Add Group')).toBeInTheDocument()
+
+      await userEvent.type(screen.getByLabelText('What changed'), 'Passport is now required')
+      await userEvent.click(screen.getByRole('button', { name: 'Save & Publish Version 2' }))
+
+      await waitFor(() => expect(onSave).toHaveBeenCalled())
+      expect(supabase.rpc).toHaveBeenCalledWith('publish_hrms_checklist_template_version', {
+        p_version_id: 'ver-2',
+        p_change_notes: 'Passport is now required',
+      })
+
+      const groupsQuery = supabase.from.mock.results.find(
+        (result, index) => supabase.from.mock.calls[index][0] === 'hrms_checklist_groups'
+      ).value
+      expect(groupsQuery.eq).toHaveBeenCalledWith('version_id', 'ver-2')
+    })
+
+    it('starts a new template as a draft of version 1', async () => {
+      renderComponent()
+
+      await waitFor(() => expect(screen.getByText('Client Onboarding')).toBeInTheDocument())
+      fireEvent.change(screen.getAllByRole('textbox')[0], { target: { value: 'New Template' } })
+      fireEvent.change(screen.getAllByRole('combobox')[0], { target: { value: 'type-002' } })
+      fireEvent.click(screen.getByText(/save template/i))
+
+      await waitFor(() => expect(defaultProps.onSave).toHaveBeenCalled())
+      const versionsQuery = supabase.from.mock.results.find(
+        (result, index) => supabase.from.mock.calls[index][0] === 'hrms_checklist_template_versions'
+      ).value
+      expect(versionsQuery.insert).toHaveBeenCalledWith(
+        expect.objectContaining({ template_id: 'template-001', version_number: 1, status: 'draft' })
+      )
+      expect(supabase.rpc).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,261 @@
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { VERSION_STATUS_LABELS, DIFF_FIELDS, diffChecklistVersions } from '../../../../utils/checklistVersions'
+import ChecklistVersionMigration from './ChecklistVersionMigration'
+import './ChecklistTemplateVersions.css'
+
+const DIFF_STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+}
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—'
+
+const formatFieldValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  return value || '—'
+}
+
+/**
+ * Version history of a checklist template: how many employees are pinned to
+ * each version, a diff between any two versions, and moving employees from an
+ * older version onto the published one
+ */
+export default function ChecklistTemplateVersions({ template, onClose }) {
+  const [versions, setVersions] = useState([])
+  const [employeeCounts, setEmployeeCounts] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [compareFromId, setCompareFromId] = useState('')
+  const [compareToId, setCompareToId] = useState('')
+  const [migratingFromId, setMigratingFromId] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const loadVersions = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+
+      const [versionsResult, assignmentsResult] = await Promise.all([
+        supabase
+          .from('hrms_checklist_template_versions')
+          .select(`
+            version_id,
+            version_number,
+            status,
+            change_notes,
+            published_at,
+            created_at,
+            hrms_checklist_groups(group_id, group_name, display_order),
+            hrms_checklist_items(
+              item_id, group_id, lineage_id, item_name, item_description, display_order,
+              is_required, compliance_tracking_flag, visible_to_employee_flag, enable_ai_parsing
+            )
+          `)
+          .eq('template_id', template.template_id)
+          .order('version_number', { ascending: false }),
+        supabase
+          .from('hrms_employee_checklists')
+          .select('version_id')
+          .eq('template_id', template.template_id),
+      ])
+
+      if (versionsResult.error) throw versionsResult.error
+      if (assignmentsResult.error) throw assignmentsResult.error
+
+      const loaded = versionsResult.data || []
+      setVersions(loaded)
+      setEmployeeCounts(
+        (assignmentsResult.data || []).reduce((counts, row) => {
+          counts[row.version_id] = (counts[row.version_id] || 0) + 1
+          return counts
+        }, {})
+      )
+
+      // Compare the latest version with the one before it
+      setCompareToId(loaded[0]?.version_id || '')
+      setCompareFromId(loaded[1]?.version_id || '')
+    } catch (err) {
+      console.error('Error loading checklist versions:', err)
+      setError(err.message || 'Failed to load versions')
+    } finally {
+      setLoading(false)
+    }
+  }, [template.template_id])
+
+  useEffect(() => {
+    loadVersions()
+  }, [loadVersions])
+
+  const publishedVersion = versions.find((v) => v.status === 'published')
+  const compareFrom = versions.find((v) => v.version_id === compareFromId)
+  const compareTo = versions.find((v) => v.version_id === compareToId)
+  const migratingFrom = versions.find((v) => v.version_id === migratingFromId)
+
+  const diff = useMemo(
+    () => (compareFrom && compareTo ? diffChecklistVersions(compareFrom, compareTo) : []),
+    [compareFrom, compareTo]
+  )
+  const changedRows = diff.filter((row) => row.status !== 'unchanged')
+
+  const handleMigrated = async (count) => {
+    setMigratingFromId(null)
+    setMessage(`${count} employee(s) moved to version ${publishedVersion.version_number}.`)
+    await loadVersions()
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content checklist-template-versions" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Versions · {template.template_name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {loading && <div className="loading">Loading versions...</div>}
+
+        {error && (
+          <div className="alert alert-error" role="alert">
+            {error}
+          </div>
+        )}
+
+        {message && <div className="alert alert-success">{message}</div>}
+
+        {!loading && (
+          <>
+            <table className="version-table">
+              <thead>
+                <tr>
+                  <th>Version</th>
+                  <th>Status</th>
+                  <th>Published</th>
+                  <th>Employees</th>
+                  <th>Changes</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {versions.map((version) => {
+                  const count = employeeCounts[version.version_id] || 0
+                  const canMigrate = version.status === 'superseded' && count > 0 && publishedVersion
+                  return (
+                    <tr key={version.version_id} data-testid={`version-row-${version.version_number}`}>
+                      <td>v{version.version_number}</td>
+                      <td>
+                        <span className={`version-badge version-${version.status}`}>
+                          {VERSION_STATUS_LABELS[version.status]}
+                        </span>
+                      </td>
+                      <td>{formatDate(version.published_at)}</td>
+                      <td>{count}</td>
+                      <td>{version.change_notes || '—'}</td>
+                      <td>
+                        {canMigrate && (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => {
+                              setMessage('')
+                              setMigratingFromId(version.version_id)
+                            }}
+                          >
+                            Migrate to v{publishedVersion.version_number}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+
+            {migratingFrom && (
+              <ChecklistVersionMigration
+                fromVersion={migratingFrom}
+                toVersion={publishedVersion}
+                employeeCount={employeeCounts[migratingFrom.version_id] || 0}
+                onCancel={() => setMigratingFromId(null)}
+                onMigrated={handleMigrated}
+              />
+            )}
+
+            {versions.length > 1 && (
+              <div className="version-diff">
+                <div className="version-diff-header">
+                  <h3>Compare</h3>
+                  <select
+                    aria-label="Compare from version"
+                    value={compareFromId}
+                    onChange={(e) => setCompareFromId(e.target.value)}
+                  >
+                    {versions.map((version) => (
+                      <option key={version.version_id} value={version.version_id}>
+                        v{version.version_number}
+                      </option>
+                    ))}
+                  </select>
+                  <span>→</span>
+                  <select
+                    aria-label="Compare to version"
+                    value={compareToId}
+                    onChange={(e) => setCompareToId(e.target.value)}
+                  >
+                    {versions.map((version) => (
+                      <option key={version.version_id} value={version.version_id}>
+                        v{version.version_number}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {changedRows.length === 0 ? (
+                  <p className="version-diff-empty">No differences between these versions.</p>
+                ) : (
+                  <table className="version-table">
+                    <thead>
+                      <tr>
+                        <th>Change</th>
+                        <th>Item</th>
+                        <th>Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {changedRows.map((row) => {
+                        const item = row.to || row.from
+                        return (
+                          <tr key={item.lineage_id} className={`diff-${row.status}`}>
+                            <td>{DIFF_STATUS_LABELS[row.status]}</td>
+                            <td>{item.item_name}</td>
+                            <td>
+                              {row.status === 'changed' ? (
+                                <ul className="diff-changes">
+                                  {DIFF_FIELDS.filter(({ key }) => row.changes.includes(key)).map(({ key, label }) => (
+                                    <li key={key}>
+                                      {label}: {formatFieldValue(row.from[key])} → {formatFieldValue(row.to[key])}
+                                    </li>
+                                  ))}
+                                </ul>
+                              ) : (
+                                [item.group_name, item.is_required ? 'Required' : 'Optional'].filter(Boolean).join(' · ')
+                              )}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+/**
+ * ChecklistTemplateVersions Component Tests
+ * Version history, diffs and employee migration between versions
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+const mockTableData = {}
+
+vi.mock('../../../../api/supabaseClient', () => {
+  const createQueryBuilder = (table) => {
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn(() => builder),
+      order: vi.fn(() => builder),
+      then: (resolve) => resolve({ data: mockTableData[table] ?? [], error: null }),
+    }
+    return builder
+  }
+
+  return {
+    supabase: {
+      from: vi.fn((table) => createQueryBuilder(table)),
+      rpc: vi.fn(),
+    },
+  }
+})
+
+import { supabase } from '../../../../api/supabaseClient'
+import ChecklistTemplateVersions from './ChecklistTemplateVersions'
+
+const groups = (versionId) => [{ group_id: `grp-${versionId}`, group_name: 'Identity', display_order: 0 }]
+
+const VERSIONS = [
+  {
+    version_id: 'ver-2',
+    version_number: 2,
+    status: 'published',
+    change_notes: 'I-94 is now required; EAD card added',
+    published_at: '2025-03-01T10:00:00Z',
+    hrms_checklist_groups: groups('ver-2'),
+    hrms_checklist_items: [
+      { item_id: 'v2-passport', group_id: 'grp-ver-2', lineage_id: 'lin-passport', item_name: 'Passport', is_required: true, display_order: 0 },
+      { item_id: 'v2-i94', group_id: 'grp-ver-2', lineage_id: 'lin-i94', item_name: 'I-94 Record', is_required: true, display_order: 1 },
+      { item_id: 'v2-ead', group_id: 'grp-ver-2', lineage_id: 'lin-ead', item_name: 'EAD Card', is_required: false, display_order: 2 },
+    ],
+  },
+  {
+    version_id: 'ver-1',
+    version_number: 1,
+    status: 'superseded',
+    change_notes: 'Initial version',
+    published_at: '2025-01-15T10:00:00Z',
+    hrms_checklist_groups: groups('ver-1'),
+    hrms_checklist_items: [
+      { item_id: 'v1-passport', group_id: 'grp-ver-1', lineage_id: 'lin-passport', item_name: 'Passport', is_required: true, display_order: 0 },
+      { item_id: 'v1-i94', group_id: 'grp-ver-1', lineage_id: 'lin-i94', item_name: 'I-94', is_required: false, display_order: 1 },
+      { item_id: 'v1-ssn', group_id: 'grp-ver-1', lineage_id: 'lin-ssn', item_name: 'SSN Card', is_required: false, display_order: 2 },
+    ],
+  },
+]
+
+const template = { template_id: 'tpl-1', template_name: 'IT USA Immigration Documents' }
+
+describe('ChecklistTemplateVersions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    Object.assign(mockTableData, {
+      hrms_checklist_template_versions: VERSIONS,
+      hrms_employee_checklists: [{ version_id: 'ver-1' }, { version_id: 'ver-1' }, { version_id: 'ver-2' }],
+    })
+  })
+
+  it('lists versions with the employees pinned to each', async () => {
+    render(<ChecklistTemplateVersions template={template} onClose={vi.fn()} />)
+
+    const latest = await screen.findByTestId('version-row-2')
+    expect(within(latest).getByText('Published')).toBeInTheDocument()
+    expect(within(latest).getByText('1')).toBeInTheDocument()
+    expect(within(latest).queryByRole('button')).not.toBeInTheDocument()
+
+    const first = screen.getByTestId('version-row-1')
+    expect(within(first).getByText('Superseded')).toBeInTheDocument()
+    expect(within(first).getByText('2')).toBeInTheDocument()
+    expect(within(first).getByRole('button', { name: 'Migrate to v2' })).toBeInTheDocument()
+  })
+
+  it('diffs the latest version against the previous one by item lineage', async () => {
+    render(<ChecklistTemplateVersions template={template} onClose={vi.fn()} />)
+    await screen.findByTestId('version-row-2')
+
+    expect(screen.getByText('I-94 Record').closest('tr')).toHaveTextContent('Changed')
+    expect(screen.getByText('Name: I-94 → I-94 Record')).toBeInTheDocument()
+    expect(screen.getByText('Required: No → Yes')).toBeInTheDocument()
+    expect(screen.getByText('EAD Card').closest('tr')).toHaveTextContent('Added')
+    expect(screen.getByText('SSN Card').closest('tr')).toHaveTextContent('Removed')
+    // Unchanged items are left out
+    expect(screen.queryByText('Passport')).not.toBeInTheDocument()
+  })
+
+  it('shows no differences when a version is compared with itself', async () => {
+    render(<ChecklistTemplateVersions template={template} onClose={vi.fn()} />)
+    await screen.findByTestId('version-row-2')
+
+    await userEvent.selectOptions(screen.getByLabelText('Compare from version'), 'ver-2')
+
+    expect(screen.getByText('No differences between these versions.')).toBeInTheDocument()
+  })
+
+  it('migrates the pinned employees and reloads the counts', async () => {
+    supabase.rpc.mockResolvedValue({ data: 2, error: null })
+    render(<ChecklistTemplateVersions template={template} onClose={vi.fn()} />)
+
+    await userEvent.click(await screen.findByRole('button', { name: 'Migrate to v2' }))
+    expect(screen.getByText('Move 2 employee(s) from version 1 to version 2')).toBeInTheDocument()
+
+    mockTableData.hrms_employee_checklists = [{ version_id: 'ver-2' }, { version_id: 'ver-2' }, { version_id: 'ver-2' }]
+    await userEvent.click(screen.getByRole('button', { name: 'Migrate Employees' }))
+
+    expect(await screen.findByText('2 employee(s) moved to version 2.')).toBeInTheDocument()
+    expect(supabase.rpc).toHaveBeenCalledWith('migrate_hrms_employee_checklists', {
+      p_from_version_id: 'ver-1',
+      p_to_version_id: 'ver-2',
+      p_item_map: { 'v1-passport': 'v2-passport', 'v1-i94': 'v2-i94', 'v1-ssn': null },
+    })
+    expect(within(screen.getByTestId('version-row-2')).getByText('3')).toBeInTheDocument()
+  })
+})
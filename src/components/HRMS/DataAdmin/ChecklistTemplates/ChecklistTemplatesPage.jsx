@@ -3,6 +3,7 @@ import { supabase } from '../../../../api/supabaseClient'
 import { useTenant } from '../../../../contexts/TenantProvider'
 import { useAuth } from '../../../../contexts/AuthProvider'
 import ChecklistTemplateBuilder from './ChecklistTemplateBuilder'
+import ChecklistTemplateVersions from './ChecklistTemplateVersions'
 import './ChecklistTemplatesPage.css'
 
 export default function ChecklistTemplatesPage() {
@@ -16,6 +17,7 @@ export default function ChecklistTemplatesPage() {
   const [filterType, setFilterType] = useState('ALL')
   const [showBuilder, setShowBuilder] = useState(false)
   const [editingTemplate, setEditingTemplate] = useState(null)
+  const [versionsTemplate, setVersionsTemplate] = useState(null)
 
   const fetchData = useCallback(async () => {
     if (!tenant?.tenant_id) return
@@ -44,6 +46,11 @@ export default function ChecklistTemplatesPage() {
             type_name,
             type_code,
             target_entity_type
+          ),
+          hrms_checklist_template_versions (
+            version_id,
+            version_number,
+            status
           )
         `)
         .eq('tenant_id', tenant.tenant_id)
@@ -51,20 +58,28 @@ export default function ChecklistTemplatesPage() {
 
       if (templatesError) throw templatesError
 
-      // Fetch item counts for each template
+      // Fetch item counts for each template's published version (or its first draft)
       const templatesWithCounts = await Promise.all(
         (templatesData || []).map(async (template) => {
-          const { count, error: countError } = await supabase
+          const versions = template.hrms_checklist_template_versions || []
+          const publishedVersion = versions.find((v) => v.status === 'published') || null
+          const draftVersion = versions.find((v) => v.status === 'draft') || null
+          const countedVersion = publishedVersion || draftVersion
+
+          let countQuery = supabase
             .from('hrms_checklist_items')
             .select('*', { count: 'exact', head: true })
             .eq('template_id', template.template_id)
+          if (countedVersion) countQuery = countQuery.eq('version_id', countedVersion.version_id)
+
+          const { count, error: countError } = await countQuery
 
           if (countError) {
             console.error('Error fetching item count:', countError)
-            return { ...template, item_count: 0 }
+            return { ...template, item_count: 0, published_version: publishedVersion, draft_version: draftVersion }
           }
 
-          return { ...template, item_count: count || 0 }
+          return { ...template, item_count: count || 0, published_version: publishedVersion, draft_version: draftVersion }
         })
       )
 
@@ -202,6 +217,13 @@ export default function ChecklistTemplatesPage() {
                       <span className="stat-label">Items:</span>
                       <span className="stat-value">{template.item_count || 0}</span>
                     </div>
+                    <div className="stat-item">
+                      <span className="stat-label">Version:</span>
+                      <span className="stat-value">
+                        {template.published_version ? `v${template.published_version.version_number}` : 'Unpublished'}
+                        {template.draft_version && ` (draft v${template.draft_version.version_number})`}
+                      </span>
+                    </div>
                     <div className="stat-item">
                       <span className="stat-label">Status:</span>
                       <span className="stat-value">
@@ -223,6 +245,9 @@ export default function ChecklistTemplatesPage() {
                   >
                     Edit
                   </button>
+                  <button className="btn btn-sm btn-secondary" onClick={() => setVersionsTemplate(template)}>
+                    Versions
+                  </button>
                   <button
                     className="btn btn-sm btn-secondary"
                     onClick={async () => {
@@ -274,6 +299,16 @@ export default function ChecklistTemplatesPage() {
           userId={profile?.id}
         />
       )}
+
+      {versionsTemplate && (
+        <ChecklistTemplateVersions
+          template={versionsTemplate}
+          onClose={() => {
+            setVersionsTemplate(null)
+            fetchData()
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,104 @@
+import { useMemo, useState } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { buildDefaultItemMap } from '../../../../utils/checklistVersions'
+
+/**
+ * Moves the employees pinned to an older version of a template onto the
+ * published version. Every old item is mapped to a new item (defaulting to the
+ * same item carried forward); documents uploaded against it move with it.
+ * Items mapped to nothing leave their documents on file without a checklist item.
+ */
+export default function ChecklistVersionMigration({ fromVersion, toVersion, employeeCount, onCancel, onMigrated }) {
+  const fromItems = fromVersion.hrms_checklist_items || []
+  const toItems = toVersion.hrms_checklist_items || []
+  const [itemMap, setItemMap] = useState(() => buildDefaultItemMap(fromItems, toItems))
+  const [isMigrating, setIsMigrating] = useState(false)
+  const [error, setError] = useState('')
+
+  const unmappedCount = useMemo(() => Object.values(itemMap).filter((value) => !value).length, [itemMap])
+
+  const handleMigrate = async () => {
+    try {
+      setIsMigrating(true)
+      setError('')
+
+      const { data, error: migrateError } = await supabase.rpc('migrate_hrms_employee_checklists', {
+        p_from_version_id: fromVersion.version_id,
+        p_to_version_id: toVersion.version_id,
+        p_item_map: itemMap,
+      })
+
+      if (migrateError) throw migrateError
+      onMigrated(data ?? 0)
+    } catch (err) {
+      console.error('Error migrating employee checklists:', err)
+      setError(err.message || 'Failed to migrate employees')
+    } finally {
+      setIsMigrating(false)
+    }
+  }
+
+  return (
+    <div className="version-migration" data-testid="version-migration">
+      <h3>
+        Move {employeeCount} employee(s) from version {fromVersion.version_number} to version{' '}
+        {toVersion.version_number}
+      </h3>
+      <p className="version-migration-help">
+        Choose where documents uploaded for each old item should go. Items mapped to nothing keep their documents on
+        file, no longer linked to the checklist.
+      </p>
+
+      <table className="version-table">
+        <thead>
+          <tr>
+            <th>Version {fromVersion.version_number} item</th>
+            <th>Version {toVersion.version_number} item</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fromItems.map((item) => (
+            <tr key={item.item_id}>
+              <td>{item.item_name}</td>
+              <td>
+                <select
+                  aria-label={`New item for ${item.item_name}`}
+                  value={itemMap[item.item_id] || ''}
+                  onChange={(e) => setItemMap((prev) => ({ ...prev, [item.item_id]: e.target.value || null }))}
+                >
+                  <option value="">— No matching item —</option>
+                  {toItems.map((option) => (
+                    <option key={option.item_id} value={option.item_id}>
+                      {option.item_name}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {unmappedCount > 0 && (
+        <p className="version-migration-warning">
+          {unmappedCount} item(s) have no match; their documents will no longer count towards the checklist.
+        </p>
+      )}
+
+      {error && (
+        <div className="alert alert-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isMigrating}>
+          Cancel
+        </button>
+        <button type="button" className="btn btn-primary" onClick={handleMigrate} disabled={isMigrating}>
+          {isMigrating ? 'Migrating...' : 'Migrate Employees'}
+        </button>
+      </div>
+    </div>
+  )
+}
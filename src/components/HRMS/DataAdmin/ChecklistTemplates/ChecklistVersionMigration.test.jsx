@@ -0,0 +1,87 @@
+/**
+ * ChecklistVersionMigration Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../../api/supabaseClient'
+import ChecklistVersionMigration from './ChecklistVersionMigration'
+
+const fromVersion = {
+  version_id: 'ver-1',
+  version_number: 1,
+  hrms_checklist_items: [
+    { item_id: 'v1-passport', lineage_id: 'lin-passport', item_name: 'Passport' },
+    { item_id: 'v1-ssn', lineage_id: 'lin-ssn', item_name: 'SSN Card' },
+  ],
+}
+
+const toVersion = {
+  version_id: 'ver-2',
+  version_number: 2,
+  hrms_checklist_items: [
+    { item_id: 'v2-passport', lineage_id: 'lin-passport', item_name: 'Passport' },
+    { item_id: 'v2-ssa', lineage_id: 'lin-ssa', item_name: 'SSA Letter' },
+  ],
+}
+
+const renderMigration = (props = {}) =>
+  render(
+    <ChecklistVersionMigration
+      fromVersion={fromVersion}
+      toVersion={toVersion}
+      employeeCount={4}
+      onCancel={vi.fn()}
+      onMigrated={vi.fn()}
+      {...props}
+    />
+  )
+
+describe('ChecklistVersionMigration', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('maps each old item to the same item carried forward', () => {
+    renderMigration()
+
+    expect(screen.getByLabelText('New item for Passport')).toHaveValue('v2-passport')
+    expect(screen.getByLabelText('New item for SSN Card')).toHaveValue('')
+    expect(screen.getByText(/1 item\(s\) have no match/)).toBeInTheDocument()
+  })
+
+  it('sends the item map the reviewer chose', async () => {
+    const onMigrated = vi.fn()
+    supabase.rpc.mockResolvedValue({ data: 4, error: null })
+    renderMigration({ onMigrated })
+
+    await userEvent.selectOptions(screen.getByLabelText('New item for SSN Card'), 'v2-ssa')
+    expect(screen.queryByText(/have no match/)).not.toBeInTheDocument()
+    await userEvent.click(screen.getByRole('button', { name: 'Migrate Employees' }))
+
+    expect(supabase.rpc).toHaveBeenCalledWith('migrate_hrms_employee_checklists', {
+      p_from_version_id: 'ver-1',
+      p_to_version_id: 'ver-2',
+      p_item_map: { 'v1-passport': 'v2-passport', 'v1-ssn': 'v2-ssa' },
+    })
+    expect(onMigrated).toHaveBeenCalledWith(4)
+  })
+
+  it('shows the error and keeps the form open when the migration fails', async () => {
+    const onMigrated = vi.fn()
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Employees can only be moved to the published version' } })
+    renderMigration({ onMigrated })
+
+    await userEvent.click(screen.getByRole('button', { name: 'Migrate Employees' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Employees can only be moved to the published version')
+    expect(onMigrated).not.toHaveBeenCalled()
+  })
+})
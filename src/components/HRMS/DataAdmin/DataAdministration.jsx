@@ -13,6 +13,10 @@ import ChecklistTypesPage from './ChecklistTypes/ChecklistTypesPage'
 import ChecklistTemplatesPage from './ChecklistTemplates/ChecklistTemplatesPage'
 import EmailTemplatesPage from './EmailTemplates/EmailTemplatesPage'
 import LCAJobTitlesPage from './LCAJobTitles/LCAJobTitlesPage'
+import TicketSlaPoliciesPage from './TicketSla/TicketSlaPoliciesPage'
+import TicketRoutingRulesPage from './TicketRouting/TicketRoutingRulesPage'
+import CannedResponsesPage from './CannedResponses/CannedResponsesPage'
+import TicketInboundAddressesPage from './TicketInbound/TicketInboundAddressesPage'
 
 const REFERENCE_TABLES = [
   { id: 'rbac_admin', label: 'Access Control', icon: '🛡️', path: 'rbac-admin' },
@@ -25,6 +29,10 @@ const REFERENCE_TABLES = [
   { id: 'businesses', label: 'Businesses', icon: '🏢', path: 'businesses' },
   { id: 'internal_staff', label: 'Internal Staff', icon: '👥', path: 'internal-staff' },
   { id: 'teams', label: 'Teams', icon: '🤝', path: 'teams' },
+  { id: 'ticket_sla', label: 'Ticket SLA Policies', icon: '⏱️', path: 'ticket-sla' },
+  { id: 'ticket_routing', label: 'Ticket Routing Rules', icon: '🔀', path: 'ticket-routing' },
+  { id: 'canned_responses', label: 'Canned Responses & Macros', icon: '💬', path: 'canned-responses' },
+  { id: 'ticket_inbound', label: 'Ticket Email Addresses', icon: '📨', path: 'ticket-inbound' },
   { id: 'visa_status', label: 'Visa Statuses', icon: '🛂' },
   { id: 'job_titles_it', label: 'IT Job Titles', icon: '💼' },
   { id: 'job_titles_healthcare', label: 'Healthcare Job Titles', icon: '🏥' },
@@ -65,6 +73,10 @@ export default function DataAdministration() {
       <Route path="businesses" element={<BusinessesPage />} />
       <Route path="internal-staff" element={<InternalStaffPage />} />
       <Route path="teams" element={<TeamsPage />} />
+      <Route path="ticket-sla" element={<TicketSlaPoliciesPage />} />
+      <Route path="ticket-routing" element={<TicketRoutingRulesPage />} />
+      <Route path="canned-responses" element={<CannedResponsesPage />} />
+      <Route path="ticket-inbound" element={<TicketInboundAddressesPage />} />
       <Route path="/" element={
         <div>
           <div className="crm-header">
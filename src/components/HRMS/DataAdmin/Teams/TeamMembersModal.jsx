@@ -1,8 +1,96 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../../../contexts/AuthProvider';
 import { useTenant } from '../../../../contexts/TenantProvider';
+import { format, parseISO } from 'date-fns';
 import { supabase } from '../../../../api/supabaseClient';
 
+const todayIso = () => format(new Date(), 'yyyy-MM-dd');
+
+const formatShortDate = (isoDate) => format(parseISO(isoDate), 'MMM d');
+
+// Out-of-office badge and date form for one member; ticket routing skips
+// staff while today falls inside their range
+const OutOfOfficeControl = ({ staffName, entry, onSave, onClear }) => {
+  const [editing, setEditing] = useState(false);
+  const [startsOn, setStartsOn] = useState(todayIso());
+  const [endsOn, setEndsOn] = useState(todayIso());
+
+  const inputStyle = {
+    padding: '4px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '13px'
+  };
+
+  if (editing) {
+    return (
+      <form
+        style={{ display: 'flex', alignItems: 'center', gap: '6px' }}
+        onSubmit={async (e) => {
+          e.preventDefault();
+          if (await onSave(startsOn, endsOn)) setEditing(false);
+        }}
+      >
+        <input
+          type="date"
+          aria-label={`${staffName} out of office from`}
+          value={startsOn}
+          onChange={(e) => setStartsOn(e.target.value)}
+          required
+          style={inputStyle}
+        />
+        <input
+          type="date"
+          aria-label={`${staffName} out of office until`}
+          value={endsOn}
+          min={startsOn}
+          onChange={(e) => setEndsOn(e.target.value)}
+          required
+          style={inputStyle}
+        />
+        <button type="submit" className="btn btn-sm btn-primary">Save</button>
+        <button type="button" className="btn btn-sm btn-secondary" onClick={() => setEditing(false)}>
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  if (entry) {
+    const away = entry.starts_on <= todayIso();
+    return (
+      <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <span style={{
+          padding: '4px 10px',
+          backgroundColor: away ? '#fef3c7' : '#f3f4f6',
+          color: away ? '#92400e' : '#4b5563',
+          fontSize: '12px',
+          fontWeight: 500,
+          borderRadius: '12px'
+        }}>
+          {away
+            ? `Out of office until ${formatShortDate(entry.ends_on)}`
+            : `Away ${formatShortDate(entry.starts_on)} – ${formatShortDate(entry.ends_on)}`}
+        </span>
+        <button
+          type="button"
+          onClick={onClear}
+          className="btn btn-sm btn-secondary"
+          aria-label={`Clear out of office for ${staffName}`}
+        >
+          Clear
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <button type="button" onClick={() => setEditing(true)} className="btn btn-sm btn-secondary">
+      Out of Office
+    </button>
+  );
+};
+
 const TeamMembersModal = ({ team, onClose }) => {
   const { user } = useAuth();
   const { tenant } = useTenant();
@@ -14,11 +102,13 @@ const TeamMembersModal = ({ team, onClose }) => {
   const [selectedRole, setSelectedRole] = useState('RECRUITER');
   const [selectedLead, setSelectedLead] = useState(''); // For linking recruiter to lead
   const [error, setError] = useState('');
+  const [outOfOffice, setOutOfOffice] = useState({}); // staff_id -> current or next entry
 
   useEffect(() => {
     if (team?.team_id && tenant?.tenant_id) {
       loadMembers();
       loadAvailableStaff();
+      loadOutOfOffice();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [team?.team_id, tenant?.tenant_id]);
@@ -54,6 +144,85 @@ const TeamMembersModal = ({ team, onClose }) => {
     }
   };
 
+  const loadOutOfOffice = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('hrms_staff_out_of_office')
+        .select('out_of_office_id, staff_id, starts_on, ends_on')
+        .eq('tenant_id', tenant.tenant_id)
+        .gte('ends_on', todayIso())
+        .order('starts_on');
+
+      if (error) throw error;
+
+      // Keep the earliest current or upcoming entry per staff member
+      const byStaff = {};
+      (data || []).forEach((entry) => {
+        if (!byStaff[entry.staff_id]) byStaff[entry.staff_id] = entry;
+      });
+      setOutOfOffice(byStaff);
+    } catch (err) {
+      console.error('Error loading out of office:', err);
+      setError('Failed to load out of office dates');
+    }
+  };
+
+  const handleSetOutOfOffice = async (staffId, startsOn, endsOn) => {
+    if (endsOn < startsOn) {
+      setError('Out of office end date must be on or after the start date');
+      return false;
+    }
+
+    try {
+      setError('');
+      const { error } = await supabase
+        .from('hrms_staff_out_of_office')
+        .insert([{
+          tenant_id: tenant.tenant_id,
+          staff_id: staffId,
+          starts_on: startsOn,
+          ends_on: endsOn,
+          created_by: user?.id
+        }]);
+
+      if (error) throw error;
+      await loadOutOfOffice();
+      return true;
+    } catch (err) {
+      console.error('Error saving out of office:', err);
+      setError(err.message || 'Failed to save out of office dates');
+      return false;
+    }
+  };
+
+  const handleClearOutOfOffice = async (entry) => {
+    try {
+      setError('');
+      const { error } = await supabase
+        .from('hrms_staff_out_of_office')
+        .delete()
+        .eq('out_of_office_id', entry.out_of_office_id);
+
+      if (error) throw error;
+      await loadOutOfOffice();
+    } catch (err) {
+      console.error('Error clearing out of office:', err);
+      setError('Failed to clear out of office dates');
+    }
+  };
+
+  const renderOutOfOffice = (member) => {
+    const entry = outOfOffice[member.staff_id];
+    return (
+      <OutOfOfficeControl
+        staffName={`${member.staff?.first_name} ${member.staff?.last_name}`}
+        entry={entry}
+        onSave={(startsOn, endsOn) => handleSetOutOfOffice(member.staff_id, startsOn, endsOn)}
+        onClear={() => handleClearOutOfOffice(entry)}
+      />
+    );
+  };
+
   const loadAvailableStaff = async () => {
     if (!tenant?.tenant_id) {
       console.log('No tenant_id available');
@@ -494,6 +663,7 @@ const TeamMembersModal = ({ team, onClose }) => {
                           </div>
                         </div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                          {renderOutOfOffice(member)}
                           <span style={{
                             padding: '4px 12px',
                             backgroundColor: '#7c3aed',
@@ -586,6 +756,7 @@ const TeamMembersModal = ({ team, onClose }) => {
                           </div>
                         </div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                          {renderOutOfOffice(member)}
                           <span style={{
                             padding: '4px 12px',
                             backgroundColor: '#2563eb',
@@ -678,6 +849,7 @@ const TeamMembersModal = ({ team, onClose }) => {
                           </div>
                         </div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                          {renderOutOfOffice(member)}
                           <span style={{
                             padding: '4px 12px',
                             backgroundColor: '#d1fae5',
@@ -0,0 +1,377 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { format } from 'date-fns'
+import { supabase } from '../../../../api/supabaseClient'
+import { useTenant } from '../../../../contexts/TenantProvider'
+import { useAuth } from '../../../../contexts/AuthProvider'
+import { validateEmail } from '../../../../utils/validators'
+import './TicketInboundAddressesPage.css'
+
+const DEPARTMENTS = ['HR', 'Immigration']
+
+const OUTCOME_LABELS = {
+  processing: 'Processing',
+  comment_added: 'Added as reply',
+  ticket_created: 'New ticket',
+  rejected: 'Rejected',
+}
+
+const REASON_LABELS = {
+  sender_mismatch: 'Sender is not the ticket employee',
+  unknown_sender: 'No employee with this email',
+}
+
+const RECENT_EMAIL_LIMIT = 20
+
+const EMPTY_ADDRESS = {
+  business_id: '',
+  email_address: '',
+  default_department: 'HR',
+  default_request_type: '',
+}
+
+export default function TicketInboundAddressesPage() {
+  const { tenant } = useTenant()
+  const { profile } = useAuth()
+  const [addresses, setAddresses] = useState([])
+  const [recentEmails, setRecentEmails] = useState([])
+  const [businesses, setBusinesses] = useState([])
+  const [requestTypes, setRequestTypes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS)
+  const [saving, setSaving] = useState(false)
+
+  const fetchAddresses = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError('')
+
+      const [addressesResult, emailsResult, businessesResult, requestTypesResult] = await Promise.all([
+        supabase
+          .from('hrms_ticket_inbound_addresses')
+          .select(`
+            *,
+            business:businesses(business_name)
+          `)
+          .eq('tenant_id', tenant.tenant_id)
+          .order('email_address'),
+        supabase
+          .from('hrms_ticket_inbound_emails')
+          .select(`
+            inbound_email_id,
+            from_email,
+            subject,
+            outcome,
+            reason,
+            created_at,
+            ticket:hrms_tickets(ticket_number)
+          `)
+          .eq('tenant_id', tenant.tenant_id)
+          .order('created_at', { ascending: false })
+          .limit(RECENT_EMAIL_LIMIT),
+        supabase
+          .from('businesses')
+          .select('business_id, business_name')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .order('business_name'),
+        supabase
+          .from('hrms_ticket_request_types')
+          .select('request_type_id, type_name, department')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .order('display_order'),
+      ])
+
+      const failed = [addressesResult, emailsResult, businessesResult, requestTypesResult].find((r) => r.error)
+      if (failed) throw failed.error
+
+      setAddresses(addressesResult.data || [])
+      setRecentEmails(emailsResult.data || [])
+      setBusinesses(businessesResult.data || [])
+      setRequestTypes(requestTypesResult.data || [])
+    } catch (err) {
+      console.error('Error fetching support addresses:', err)
+      setError(err.message || 'Failed to load support addresses. Please try again later.')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchAddresses()
+  }, [fetchAddresses])
+
+  const departmentRequestTypes = useMemo(
+    () => requestTypes.filter((type) => type.department === newAddress.default_department),
+    [requestTypes, newAddress.default_department]
+  )
+
+  const handleAddAddress = async (e) => {
+    e.preventDefault()
+    const emailAddress = newAddress.email_address.trim().toLowerCase()
+
+    if (!newAddress.business_id) {
+      setError('Please select a business')
+      return
+    }
+    const emailValidation = validateEmail(emailAddress)
+    if (!emailValidation.valid) {
+      setError(emailValidation.error)
+      return
+    }
+    if (emailAddress.split('@')[0].includes('+')) {
+      setError('Support addresses cannot contain "+"; it is used to route replies to tickets')
+      return
+    }
+    if (!newAddress.default_request_type) {
+      setError('Please select the request type for new tickets')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const { error: insertError } = await supabase
+        .from('hrms_ticket_inbound_addresses')
+        .insert({
+          tenant_id: tenant.tenant_id,
+          business_id: newAddress.business_id,
+          email_address: emailAddress,
+          default_department: newAddress.default_department,
+          default_request_type: newAddress.default_request_type,
+          created_by: profile?.id,
+        })
+
+      if (insertError) {
+        if (insertError.code === '23505') {
+          throw new Error('This support address is already in use')
+        }
+        throw insertError
+      }
+
+      setNewAddress(EMPTY_ADDRESS)
+      fetchAddresses()
+    } catch (err) {
+      console.error('Error adding support address:', err)
+      setError(err.message || 'Failed to add support address')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (address, isActive) => {
+    try {
+      setError('')
+      const { error: updateError } = await supabase
+        .from('hrms_ticket_inbound_addresses')
+        .update({ is_active: isActive, updated_by: profile?.id })
+        .eq('address_id', address.address_id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (updateError) throw updateError
+
+      setAddresses((prev) =>
+        prev.map((a) => (a.address_id === address.address_id ? { ...a, is_active: isActive } : a))
+      )
+    } catch (err) {
+      console.error('Error updating support address:', err)
+      setError(err.message || 'Failed to update support address')
+    }
+  }
+
+  const handleDeleteAddress = async (address) => {
+    if (!window.confirm(`Delete ${address.email_address}? Mail sent to it will no longer reach tickets.`)) {
+      return
+    }
+
+    try {
+      setError('')
+      const { error: deleteError } = await supabase
+        .from('hrms_ticket_inbound_addresses')
+        .delete()
+        .eq('address_id', address.address_id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (deleteError) throw deleteError
+
+      fetchAddresses()
+    } catch (err) {
+      console.error('Error deleting support address:', err)
+      setError(err.message || 'Failed to delete support address')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="ticket-inbound-page">
+        <div className="loading">Loading support addresses...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="ticket-inbound-page">
+      <div className="crm-header">
+        <h1>Ticket Email Addresses</h1>
+        <p style={{ margin: 0, color: '#64748b' }}>
+          Support addresses that turn employee email into tickets and replies
+        </p>
+      </div>
+
+      <div className="info-banner">
+        <div className="info-icon">ℹ️</div>
+        <div className="info-content">
+          Forward each address to the inbound email webhook. Ticket emails go out with a Reply-To such as
+          <code> hr+iestkt0042@…</code>, so an employee&apos;s reply is added to that ticket. Mail without a
+          ticket number opens a new ticket for the employee whose email matches the sender, using the
+          department and request type below. Mail from unknown senders is rejected.
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+          {error}
+        </div>
+      )}
+
+      <form className="inbound-address-form" onSubmit={handleAddAddress}>
+        <label>
+          Business
+          <select
+            value={newAddress.business_id}
+            onChange={(e) => setNewAddress({ ...newAddress, business_id: e.target.value })}
+          >
+            <option value="">Select business</option>
+            {businesses.map((business) => (
+              <option key={business.business_id} value={business.business_id}>{business.business_name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Support Address
+          <input
+            type="email"
+            placeholder="hr@tickets.example.com"
+            value={newAddress.email_address}
+            onChange={(e) => setNewAddress({ ...newAddress, email_address: e.target.value })}
+          />
+        </label>
+        <label>
+          Department
+          <select
+            value={newAddress.default_department}
+            onChange={(e) =>
+              setNewAddress({ ...newAddress, default_department: e.target.value, default_request_type: '' })
+            }
+          >
+            {DEPARTMENTS.map((department) => (
+              <option key={department} value={department}>{department}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Request Type
+          <select
+            value={newAddress.default_request_type}
+            onChange={(e) => setNewAddress({ ...newAddress, default_request_type: e.target.value })}
+          >
+            <option value="">Select request type</option>
+            {departmentRequestTypes.map((type) => (
+              <option key={type.request_type_id} value={type.type_name}>{type.type_name}</option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Adding...' : '+ Add Address'}
+        </button>
+      </form>
+
+      {addresses.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">📨</div>
+          <h3>No Support Addresses</h3>
+          <p>Employees can only open tickets in the portal until an address is added</p>
+        </div>
+      ) : (
+        <div className="ticket-inbound-table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Support Address</th>
+                <th>Business</th>
+                <th>Department</th>
+                <th>Request Type</th>
+                <th>Active</th>
+                <th style={{ width: '100px' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {addresses.map((address) => (
+                <tr key={address.address_id}>
+                  <td><strong>{address.email_address}</strong></td>
+                  <td>{address.business?.business_name || '—'}</td>
+                  <td>{address.default_department}</td>
+                  <td>{address.default_request_type}</td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`${address.email_address} active`}
+                      checked={address.is_active}
+                      onChange={(e) => handleToggleActive(address, e.target.checked)}
+                    />
+                  </td>
+                  <td>
+                    <button className="btn btn-sm btn-danger" onClick={() => handleDeleteAddress(address)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {recentEmails.length > 0 && (
+        <section className="inbound-recent-emails">
+          <h2>Recent Inbound Email</h2>
+          <div className="ticket-inbound-table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Received</th>
+                  <th>From</th>
+                  <th>Subject</th>
+                  <th>Result</th>
+                  <th>Ticket</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recentEmails.map((email) => (
+                  <tr key={email.inbound_email_id}>
+                    <td>{format(new Date(email.created_at), 'MMM d, yyyy h:mm a')}</td>
+                    <td>{email.from_email}</td>
+                    <td>{email.subject || '—'}</td>
+                    <td>
+                      <span className={`inbound-outcome ${email.outcome}`}>
+                        {OUTCOME_LABELS[email.outcome] || email.outcome}
+                      </span>
+                      {email.reason && (
+                        <div className="inbound-reason">{REASON_LABELS[email.reason] || email.reason}</div>
+                      )}
+                    </td>
+                    <td>{email.ticket?.ticket_number || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,171 @@
+/**
+ * TicketInboundAddressesPage Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react'
+
+vi.mock('../../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({
+    user: { id: 'test-user-id', email: 'admin@example.com' },
+    profile: { id: 'test-profile-id', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+  }),
+}))
+
+vi.mock('../../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../../api/supabaseClient'
+import TicketInboundAddressesPage from './TicketInboundAddressesPage'
+
+const mockTables = {
+  hrms_ticket_inbound_addresses: [
+    {
+      address_id: 'addr-1',
+      tenant_id: 'test-tenant-id',
+      business_id: 'biz-1',
+      email_address: 'immigration@tickets.intuites.com',
+      default_department: 'Immigration',
+      default_request_type: 'General Inquiry',
+      is_active: true,
+      business: { business_name: 'Intuites LLC' },
+    },
+  ],
+  hrms_ticket_inbound_emails: [
+    {
+      inbound_email_id: 'in-1',
+      from_email: 'stranger@example.com',
+      subject: 'Question',
+      outcome: 'rejected',
+      reason: 'unknown_sender',
+      created_at: '2025-03-10T09:00:00Z',
+      ticket: null,
+    },
+  ],
+  businesses: [{ business_id: 'biz-1', business_name: 'Intuites LLC' }],
+  hrms_ticket_request_types: [
+    { request_type_id: 'rt-1', type_name: 'Payroll Discrepancy', department: 'HR' },
+    { request_type_id: 'rt-2', type_name: 'H1B Extension', department: 'Immigration' },
+  ],
+}
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    update: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+let queries
+
+const mockSupabaseTables = (tables, writeError = null) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    const write = () => createQuery(null, writeError)
+    query.insert = vi.fn(write)
+    query.update = vi.fn(write)
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const writesTo = (method) =>
+  queries
+    .filter(({ table }) => table === 'hrms_ticket_inbound_addresses')
+    .flatMap(({ query }) => query[method].mock.calls)
+
+const fillForm = ({ business = 'biz-1', address, requestType = 'Payroll Discrepancy' }) => {
+  fireEvent.change(screen.getByLabelText('Business'), { target: { value: business } })
+  fireEvent.change(screen.getByLabelText('Support Address'), { target: { value: address } })
+  fireEvent.change(screen.getByLabelText('Request Type'), { target: { value: requestType } })
+}
+
+describe('TicketInboundAddressesPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables(mockTables)
+  })
+
+  it('lists support addresses and recent inbound email', async () => {
+    render(<TicketInboundAddressesPage />)
+
+    const row = (await screen.findByText('immigration@tickets.intuites.com')).closest('tr')
+    expect(within(row).getByText('Intuites LLC')).toBeInTheDocument()
+    expect(within(row).getByText('Immigration')).toBeInTheDocument()
+    expect(within(row).getByLabelText('immigration@tickets.intuites.com active')).toBeChecked()
+
+    const logRow = screen.getByText('stranger@example.com').closest('tr')
+    expect(within(logRow).getByText('Rejected')).toBeInTheDocument()
+    expect(within(logRow).getByText('No employee with this email')).toBeInTheDocument()
+  })
+
+  it('adds a lowercased address with the department request type', async () => {
+    render(<TicketInboundAddressesPage />)
+    await screen.findByText('Ticket Email Addresses')
+
+    // Only the department's request types are offered
+    expect(within(screen.getByLabelText('Request Type')).queryByText('H1B Extension')).not.toBeInTheDocument()
+
+    fillForm({ address: ' HR@Tickets.Intuites.com ' })
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Address' }))
+
+    await waitFor(() => expect(writesTo('insert')).toHaveLength(1))
+    expect(writesTo('insert')[0][0]).toEqual({
+      tenant_id: 'test-tenant-id',
+      business_id: 'biz-1',
+      email_address: 'hr@tickets.intuites.com',
+      default_department: 'HR',
+      default_request_type: 'Payroll Discrepancy',
+      created_by: 'test-profile-id',
+    })
+  })
+
+  it('rejects plus addresses, which are reserved for ticket replies', async () => {
+    render(<TicketInboundAddressesPage />)
+    await screen.findByText('Ticket Email Addresses')
+
+    fillForm({ address: 'hr+iestkt0042@tickets.intuites.com' })
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Address' }))
+
+    expect(await screen.findByText(/Support addresses cannot contain "\+"/)).toBeInTheDocument()
+    expect(writesTo('insert')).toHaveLength(0)
+  })
+
+  it('explains an address already in use', async () => {
+    mockSupabaseTables(mockTables, { code: '23505', message: 'duplicate key value' })
+    render(<TicketInboundAddressesPage />)
+    await screen.findByText('Ticket Email Addresses')
+
+    fillForm({ address: 'hr@tickets.intuites.com' })
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Address' }))
+
+    expect(await screen.findByText('This support address is already in use')).toBeInTheDocument()
+  })
+
+  it('deactivates an address', async () => {
+    render(<TicketInboundAddressesPage />)
+
+    fireEvent.click(await screen.findByLabelText('immigration@tickets.intuites.com active'))
+
+    await waitFor(() => expect(writesTo('update')).toHaveLength(1))
+    expect(writesTo('update')[0][0]).toEqual({ is_active: false, updated_by: 'test-profile-id' })
+    expect(screen.getByLabelText('immigration@tickets.intuites.com active')).not.toBeChecked()
+  })
+})
@@ -0,0 +1,332 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { useTenant } from '../../../../contexts/TenantProvider'
+import { useAuth } from '../../../../contexts/AuthProvider'
+import './TicketRoutingRulesPage.css'
+
+const DEPARTMENTS = ['HR', 'Immigration']
+
+const STRATEGIES = [
+  { value: 'round_robin', label: 'Round robin', description: 'Each member in turn' },
+  { value: 'least_loaded', label: 'Least loaded', description: 'Member with the fewest open tickets' },
+]
+
+const EMPTY_RULE = {
+  department: 'HR',
+  business_id: '',
+  request_type: '',
+  team_id: '',
+  strategy: 'round_robin',
+}
+
+export default function TicketRoutingRulesPage() {
+  const { tenant } = useTenant()
+  const { profile } = useAuth()
+  const [rules, setRules] = useState([])
+  const [teams, setTeams] = useState([])
+  const [businesses, setBusinesses] = useState([])
+  const [requestTypes, setRequestTypes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [newRule, setNewRule] = useState(EMPTY_RULE)
+  const [saving, setSaving] = useState(false)
+
+  const fetchRules = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError('')
+
+      const [rulesResult, teamsResult, businessesResult, requestTypesResult] = await Promise.all([
+        supabase
+          .from('hrms_ticket_routing_rules')
+          .select(`
+            *,
+            team:teams(team_name),
+            business:businesses(business_name)
+          `)
+          .eq('tenant_id', tenant.tenant_id)
+          .order('department'),
+        supabase
+          .from('teams')
+          .select('team_id, team_name')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .order('team_name'),
+        supabase
+          .from('businesses')
+          .select('business_id, business_name')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .order('business_name'),
+        supabase
+          .from('hrms_ticket_request_types')
+          .select('request_type_id, type_name, department')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .order('display_order'),
+      ])
+
+      const failed = [rulesResult, teamsResult, businessesResult, requestTypesResult].find((r) => r.error)
+      if (failed) throw failed.error
+
+      setRules(rulesResult.data || [])
+      setTeams(teamsResult.data || [])
+      setBusinesses(businessesResult.data || [])
+      setRequestTypes(requestTypesResult.data || [])
+    } catch (err) {
+      console.error('Error fetching routing rules:', err)
+      setError(err.message || 'Failed to load routing rules. Please try again later.')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchRules()
+  }, [fetchRules])
+
+  const departmentRequestTypes = useMemo(
+    () => requestTypes.filter((type) => type.department === newRule.department),
+    [requestTypes, newRule.department]
+  )
+
+  const handleAddRule = async (e) => {
+    e.preventDefault()
+    if (!newRule.team_id) {
+      setError('Please select a team')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const { error: insertError } = await supabase
+        .from('hrms_ticket_routing_rules')
+        .insert({
+          tenant_id: tenant.tenant_id,
+          department: newRule.department,
+          business_id: newRule.business_id || null,
+          request_type: newRule.request_type || null,
+          team_id: newRule.team_id,
+          strategy: newRule.strategy,
+          created_by: profile?.id,
+        })
+
+      if (insertError) {
+        if (insertError.code === '23505') {
+          throw new Error('A rule for this department, business and request type already exists')
+        }
+        throw insertError
+      }
+
+      setNewRule(EMPTY_RULE)
+      fetchRules()
+    } catch (err) {
+      console.error('Error adding routing rule:', err)
+      setError(err.message || 'Failed to add routing rule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdateRule = async (rule, changes) => {
+    try {
+      setError('')
+      const { error: updateError } = await supabase
+        .from('hrms_ticket_routing_rules')
+        .update({ ...changes, updated_by: profile?.id })
+        .eq('rule_id', rule.rule_id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (updateError) throw updateError
+
+      setRules((prev) => prev.map((r) => (r.rule_id === rule.rule_id ? { ...r, ...changes } : r)))
+    } catch (err) {
+      console.error('Error updating routing rule:', err)
+      setError(err.message || 'Failed to update routing rule')
+    }
+  }
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the routing rule for ${rule.department} tickets to ${rule.team?.team_name}?`)) {
+      return
+    }
+
+    try {
+      setError('')
+      const { error: deleteError } = await supabase
+        .from('hrms_ticket_routing_rules')
+        .delete()
+        .eq('rule_id', rule.rule_id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (deleteError) throw deleteError
+
+      fetchRules()
+    } catch (err) {
+      console.error('Error deleting routing rule:', err)
+      setError(err.message || 'Failed to delete routing rule')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="ticket-routing-page">
+        <div className="loading">Loading routing rules...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="ticket-routing-page">
+      <div className="crm-header">
+        <h1>Ticket Routing Rules</h1>
+        <p style={{ margin: 0, color: '#64748b' }}>
+          Automatically assign new employee tickets to a member of a team
+        </p>
+      </div>
+
+      <div className="info-banner">
+        <div className="info-icon">ℹ️</div>
+        <div className="info-content">
+          The most specific matching rule wins: request type and business, then request type, then business,
+          then department only. Team members are matched to user logins by email, and members marked out of
+          office in <strong>Teams</strong> are skipped. Tickets with no matching rule stay unassigned.
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+          {error}
+        </div>
+      )}
+
+      <form className="routing-rule-form" onSubmit={handleAddRule}>
+        <label>
+          Department
+          <select
+            value={newRule.department}
+            onChange={(e) => setNewRule({ ...newRule, department: e.target.value, request_type: '' })}
+          >
+            {DEPARTMENTS.map((department) => (
+              <option key={department} value={department}>{department}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Business
+          <select
+            value={newRule.business_id}
+            onChange={(e) => setNewRule({ ...newRule, business_id: e.target.value })}
+          >
+            <option value="">Any business</option>
+            {businesses.map((business) => (
+              <option key={business.business_id} value={business.business_id}>{business.business_name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Request Type
+          <select
+            value={newRule.request_type}
+            onChange={(e) => setNewRule({ ...newRule, request_type: e.target.value })}
+          >
+            <option value="">Any request type</option>
+            {departmentRequestTypes.map((type) => (
+              <option key={type.request_type_id} value={type.type_name}>{type.type_name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Team
+          <select
+            value={newRule.team_id}
+            onChange={(e) => setNewRule({ ...newRule, team_id: e.target.value })}
+          >
+            <option value="">Select team</option>
+            {teams.map((team) => (
+              <option key={team.team_id} value={team.team_id}>{team.team_name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Assignment
+          <select
+            value={newRule.strategy}
+            onChange={(e) => setNewRule({ ...newRule, strategy: e.target.value })}
+          >
+            {STRATEGIES.map((strategy) => (
+              <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Adding...' : '+ Add Rule'}
+        </button>
+      </form>
+
+      {rules.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🔀</div>
+          <h3>No Routing Rules</h3>
+          <p>New tickets are assigned by hand until a rule is added</p>
+        </div>
+      ) : (
+        <div className="ticket-routing-table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>Business</th>
+                <th>Request Type</th>
+                <th>Team</th>
+                <th>Assignment</th>
+                <th>Active</th>
+                <th style={{ width: '100px' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.rule_id}>
+                  <td>{rule.department}</td>
+                  <td>{rule.business?.business_name || 'Any'}</td>
+                  <td>{rule.request_type || 'Any'}</td>
+                  <td><strong>{rule.team?.team_name || '—'}</strong></td>
+                  <td>
+                    <select
+                      aria-label={`Assignment for ${rule.team?.team_name}`}
+                      value={rule.strategy}
+                      onChange={(e) => handleUpdateRule(rule, { strategy: e.target.value })}
+                    >
+                      {STRATEGIES.map((strategy) => (
+                        <option key={strategy.value} value={strategy.value} title={strategy.description}>
+                          {strategy.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`Rule for ${rule.team?.team_name} active`}
+                      checked={rule.is_active}
+                      onChange={(e) => handleUpdateRule(rule, { is_active: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    <button className="btn btn-sm btn-danger" onClick={() => handleDeleteRule(rule)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,164 @@
+/**
+ * TicketRoutingRulesPage Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react'
+
+vi.mock('../../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({
+    user: { id: 'test-user-id', email: 'admin@example.com' },
+    profile: { id: 'test-profile-id', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+  }),
+}))
+
+vi.mock('../../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../../api/supabaseClient'
+import TicketRoutingRulesPage from './TicketRoutingRulesPage'
+
+const mockRules = [
+  {
+    rule_id: 'rule-1',
+    tenant_id: 'test-tenant-id',
+    department: 'Immigration',
+    business_id: null,
+    request_type: 'H1B Extension',
+    team_id: 'team-imm',
+    strategy: 'least_loaded',
+    is_active: true,
+    team: { team_name: 'Immigration Desk' },
+    business: null,
+  },
+]
+
+const mockTables = {
+  hrms_ticket_routing_rules: mockRules,
+  teams: [
+    { team_id: 'team-hr', team_name: 'HR Desk' },
+    { team_id: 'team-imm', team_name: 'Immigration Desk' },
+  ],
+  businesses: [{ business_id: 'biz-1', business_name: 'Intuites LLC' }],
+  hrms_ticket_request_types: [
+    { request_type_id: 'rt-1', type_name: 'Payroll Discrepancy', department: 'HR' },
+    { request_type_id: 'rt-2', type_name: 'H1B Extension', department: 'Immigration' },
+  ],
+}
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    update: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+let queries
+
+const mockSupabaseTables = (tables, writeError = null) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    const write = () => createQuery(null, writeError)
+    query.insert = vi.fn(write)
+    query.update = vi.fn(write)
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const writesTo = (method) =>
+  queries
+    .filter(({ table }) => table === 'hrms_ticket_routing_rules')
+    .flatMap(({ query }) => query[method].mock.calls)
+
+describe('TicketRoutingRulesPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables(mockTables)
+  })
+
+  it('lists routing rules with their match and strategy', async () => {
+    render(<TicketRoutingRulesPage />)
+
+    const row = (await screen.findByText('Immigration Desk', { selector: 'strong' })).closest('tr')
+    expect(within(row).getByText('Immigration')).toBeInTheDocument()
+    expect(within(row).getByText('Any')).toBeInTheDocument()
+    expect(within(row).getByText('H1B Extension')).toBeInTheDocument()
+    expect(within(row).getByLabelText('Assignment for Immigration Desk')).toHaveValue('least_loaded')
+  })
+
+  it('adds a rule for the chosen department, request type and team', async () => {
+    render(<TicketRoutingRulesPage />)
+    await screen.findByText('Ticket Routing Rules')
+
+    // Only the department's request types are offered
+    const requestType = screen.getByLabelText('Request Type')
+    expect(within(requestType).queryByText('H1B Extension')).not.toBeInTheDocument()
+
+    fireEvent.change(requestType, { target: { value: 'Payroll Discrepancy' } })
+    fireEvent.change(screen.getByLabelText('Team'), { target: { value: 'team-hr' } })
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Rule' }))
+
+    await waitFor(() => expect(writesTo('insert')).toHaveLength(1))
+    expect(writesTo('insert')[0][0]).toEqual({
+      tenant_id: 'test-tenant-id',
+      department: 'HR',
+      business_id: null,
+      request_type: 'Payroll Discrepancy',
+      team_id: 'team-hr',
+      strategy: 'round_robin',
+      created_by: 'test-profile-id',
+    })
+  })
+
+  it('requires a team before adding a rule', async () => {
+    render(<TicketRoutingRulesPage />)
+    await screen.findByText('Ticket Routing Rules')
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Rule' }))
+
+    expect(await screen.findByText('Please select a team')).toBeInTheDocument()
+    expect(writesTo('insert')).toHaveLength(0)
+  })
+
+  it('explains a duplicate rule', async () => {
+    mockSupabaseTables(mockTables, { code: '23505', message: 'duplicate key value' })
+    render(<TicketRoutingRulesPage />)
+    await screen.findByText('Ticket Routing Rules')
+
+    fireEvent.change(screen.getByLabelText('Team'), { target: { value: 'team-hr' } })
+    fireEvent.click(screen.getByRole('button', { name: '+ Add Rule' }))
+
+    expect(
+      await screen.findByText('A rule for this department, business and request type already exists')
+    ).toBeInTheDocument()
+  })
+
+  it('switches a rule to round robin', async () => {
+    render(<TicketRoutingRulesPage />)
+
+    fireEvent.change(await screen.findByLabelText('Assignment for Immigration Desk'), {
+      target: { value: 'round_robin' },
+    })
+
+    await waitFor(() => expect(writesTo('update')).toHaveLength(1))
+    expect(writesTo('update')[0][0]).toEqual({ strategy: 'round_robin', updated_by: 'test-profile-id' })
+    expect(screen.getByLabelText('Assignment for Immigration Desk')).toHaveValue('round_robin')
+  })
+})
@@ -0,0 +1,268 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../../../../api/supabaseClient'
+import { useTenant } from '../../../../contexts/TenantProvider'
+import { useAuth } from '../../../../contexts/AuthProvider'
+import './TicketSlaPoliciesPage.css'
+
+const DEPARTMENTS = ['HR', 'Immigration']
+
+const PRIORITIES = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'high', label: 'High' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'low', label: 'Low' },
+]
+
+const policyKey = (department, priority) => `${department}:${priority}`
+
+// Form rows for every department/priority pair, blank where no policy exists yet
+const buildRows = (policies) => {
+  const byKey = Object.fromEntries(policies.map((p) => [policyKey(p.department, p.priority), p]))
+  return DEPARTMENTS.flatMap((department) =>
+    PRIORITIES.map(({ value: priority }) => {
+      const policy = byKey[policyKey(department, priority)]
+      return {
+        department,
+        priority,
+        first_response_hours: policy?.first_response_hours ?? '',
+        resolution_hours: policy?.resolution_hours ?? '',
+        escalate_to_user_ids: policy?.escalate_to_user_ids || [],
+        is_active: policy ? policy.is_active : false,
+      }
+    })
+  )
+}
+
+// Rows never filled in stay absent rather than saved as inactive blanks
+const isConfigured = (row) =>
+  row.is_active || row.first_response_hours !== '' || row.resolution_hours !== ''
+
+const validateRow = (row) => {
+  if (!isConfigured(row)) return null
+  const label = `${row.department} / ${row.priority}`
+  const firstResponse = Number(row.first_response_hours)
+  const resolution = Number(row.resolution_hours)
+  if (!Number.isInteger(firstResponse) || firstResponse <= 0) {
+    return `${label}: first response must be a whole number of hours`
+  }
+  if (!Number.isInteger(resolution) || resolution < firstResponse) {
+    return `${label}: resolution must be at least the first response target`
+  }
+  return null
+}
+
+export default function TicketSlaPoliciesPage() {
+  const { tenant } = useTenant()
+  const { profile } = useAuth()
+  const [rows, setRows] = useState([])
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [saved, setSaved] = useState(false)
+
+  const fetchPolicies = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError('')
+
+      const [policiesResult, usersResult] = await Promise.all([
+        supabase
+          .from('hrms_ticket_sla_policies')
+          .select('*')
+          .eq('tenant_id', tenant.tenant_id),
+        supabase
+          .from('profiles')
+          .select('id, full_name, email')
+          .eq('tenant_id', tenant.tenant_id)
+          .order('full_name'),
+      ])
+
+      if (policiesResult.error) throw policiesResult.error
+      if (usersResult.error) throw usersResult.error
+
+      setRows(buildRows(policiesResult.data || []))
+      setUsers(usersResult.data || [])
+    } catch (err) {
+      console.error('Error fetching SLA policies:', err)
+      setError(err.message || 'Failed to load SLA policies. Please try again later.')
+      setRows(buildRows([]))
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchPolicies()
+  }, [fetchPolicies])
+
+  const updateRow = (index, changes) => {
+    setSaved(false)
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  const handleSave = async () => {
+    const validationError = rows.map(validateRow).find(Boolean)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const payload = rows
+        .filter(isConfigured)
+        .map((row) => ({
+          tenant_id: tenant.tenant_id,
+          department: row.department,
+          priority: row.priority,
+          first_response_hours: Number(row.first_response_hours),
+          resolution_hours: Number(row.resolution_hours),
+          escalate_to_user_ids: row.escalate_to_user_ids,
+          is_active: row.is_active,
+          updated_by: profile?.id,
+        }))
+
+      const { error: saveError } = await supabase
+        .from('hrms_ticket_sla_policies')
+        .upsert(payload, { onConflict: 'tenant_id,department,priority' })
+
+      if (saveError) throw saveError
+
+      setSaved(true)
+    } catch (err) {
+      console.error('Error saving SLA policies:', err)
+      setError(err.message || 'Failed to save SLA policies')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="ticket-sla-page">
+        <div className="loading">Loading SLA policies...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="ticket-sla-page">
+      <div className="crm-header">
+        <h1>Ticket SLA Policies</h1>
+        <p style={{ margin: 0, color: '#64748b' }}>
+          First-response and resolution targets for employee tickets
+        </p>
+      </div>
+
+      <div className="info-banner">
+        <div className="info-icon">ℹ️</div>
+        <div className="info-content">
+          Targets are counted in hours from when the ticket is created. A public reply or a status change
+          counts as the first response. When a target is missed on an open ticket, the assignee and the
+          users listed under <strong>Escalate To</strong> get an urgent notification (HR Managers when
+          nobody is listed).
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error" style={{ marginBottom: '16px' }}>
+          {error}
+        </div>
+      )}
+
+      {saved && (
+        <div className="alert alert-success" style={{ marginBottom: '16px' }}>
+          SLA policies saved. New targets apply to tickets created from now on.
+        </div>
+      )}
+
+      <div className="ticket-sla-table-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Department</th>
+              <th>Priority</th>
+              <th>First Response (hours)</th>
+              <th>Resolution (hours)</th>
+              <th>Escalate To</th>
+              <th>Active</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const label = `${row.department} ${row.priority}`
+              return (
+                <tr key={policyKey(row.department, row.priority)}>
+                  <td>{row.department}</td>
+                  <td>
+                    <span className={`sla-priority-badge ${row.priority}`}>
+                      {PRIORITIES.find((p) => p.value === row.priority).label}
+                    </span>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      className="sla-hours-input"
+                      aria-label={`${label} first response hours`}
+                      value={row.first_response_hours}
+                      onChange={(e) => updateRow(index, { first_response_hours: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      className="sla-hours-input"
+                      aria-label={`${label} resolution hours`}
+                      value={row.resolution_hours}
+                      onChange={(e) => updateRow(index, { resolution_hours: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <select
+                      multiple
+                      className="sla-escalation-select"
+                      aria-label={`${label} escalate to`}
+                      value={row.escalate_to_user_ids}
+                      onChange={(e) =>
+                        updateRow(index, {
+                          escalate_to_user_ids: Array.from(e.target.selectedOptions, (option) => option.value),
+                        })
+                      }
+                    >
+                      {users.map((u) => (
+                        <option key={u.id} value={u.id}>
+                          {u.full_name || u.email}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`${label} active`}
+                      checked={row.is_active}
+                      onChange={(e) => updateRow(index, { is_active: e.target.checked })}
+                    />
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="ticket-sla-actions">
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Policies'}
+        </button>
+      </div>
+    </div>
+  )
+}
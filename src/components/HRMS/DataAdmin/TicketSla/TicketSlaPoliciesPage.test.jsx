@@ -0,0 +1,145 @@
+/**
+ * TicketSlaPoliciesPage Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+
+vi.mock('../../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({
+    user: { id: 'test-user-id', email: 'admin@example.com' },
+    profile: { id: 'test-profile-id', tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+  }),
+}))
+
+vi.mock('../../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../../api/supabaseClient'
+import TicketSlaPoliciesPage from './TicketSlaPoliciesPage'
+
+const mockPolicies = [
+  {
+    sla_policy_id: 'sla-1',
+    tenant_id: 'test-tenant-id',
+    department: 'HR',
+    priority: 'high',
+    first_response_hours: 4,
+    resolution_hours: 48,
+    escalate_to_user_ids: ['user-2'],
+    is_active: true,
+  },
+]
+
+const mockUsers = [
+  { id: 'user-1', full_name: 'Alex Rivera', email: 'alex@example.com' },
+  { id: 'user-2', full_name: 'Sarah Johnson', email: 'sarah@example.com' },
+]
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    upsert: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+let queries
+
+const mockSupabaseTables = (tables, upsertError = null) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    query.upsert = vi.fn(() => createQuery(null, upsertError))
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const upsertCall = () => {
+  const entry = queries.find(({ query }) => query.upsert.mock.calls.length > 0)
+  return entry?.query.upsert.mock.calls[0]
+}
+
+describe('TicketSlaPoliciesPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables({ hrms_ticket_sla_policies: mockPolicies, profiles: mockUsers })
+  })
+
+  it('shows a row for every department and priority with saved targets filled in', async () => {
+    render(<TicketSlaPoliciesPage />)
+
+    expect(await screen.findByText('Ticket SLA Policies')).toBeInTheDocument()
+    expect(screen.getAllByRole('row')).toHaveLength(9)
+    expect(screen.getByLabelText('HR high first response hours')).toHaveValue(4)
+    expect(screen.getByLabelText('HR high resolution hours')).toHaveValue(48)
+    expect(screen.getByLabelText('HR high active')).toBeChecked()
+    expect(screen.getByLabelText('Immigration critical first response hours')).toHaveValue(null)
+    expect(screen.getByLabelText('Immigration critical active')).not.toBeChecked()
+
+    const escalation = screen.getByLabelText('HR high escalate to')
+    expect(Array.from(escalation.selectedOptions, (option) => option.value)).toEqual(['user-2'])
+  })
+
+  it('upserts edited policies by department and priority', async () => {
+    render(<TicketSlaPoliciesPage />)
+    await screen.findByText('Ticket SLA Policies')
+
+    fireEvent.change(screen.getByLabelText('HR high first response hours'), { target: { value: '2' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Policies' }))
+
+    await waitFor(() => expect(screen.getByText(/SLA policies saved/)).toBeInTheDocument())
+
+    const [payload, options] = upsertCall()
+    expect(options).toEqual({ onConflict: 'tenant_id,department,priority' })
+    expect(payload).toEqual([
+      {
+        tenant_id: 'test-tenant-id',
+        department: 'HR',
+        priority: 'high',
+        first_response_hours: 2,
+        resolution_hours: 48,
+        escalate_to_user_ids: ['user-2'],
+        is_active: true,
+        updated_by: 'test-profile-id',
+      },
+    ])
+  })
+
+  it('rejects a resolution target shorter than the first response target', async () => {
+    render(<TicketSlaPoliciesPage />)
+    await screen.findByText('Ticket SLA Policies')
+
+    fireEvent.change(screen.getByLabelText('HR high resolution hours'), { target: { value: '1' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Save Policies' }))
+
+    expect(await screen.findByText(/HR \/ high: resolution must be at least the first response target/)).toBeInTheDocument()
+    expect(upsertCall()).toBeUndefined()
+  })
+
+  it('shows the error when saving fails', async () => {
+    mockSupabaseTables(
+      { hrms_ticket_sla_policies: mockPolicies, profiles: mockUsers },
+      { message: 'permission denied for table hrms_ticket_sla_policies' }
+    )
+    render(<TicketSlaPoliciesPage />)
+    await screen.findByText('Ticket SLA Policies')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save Policies' }))
+
+    expect(await screen.findByText('permission denied for table hrms_ticket_sla_policies')).toBeInTheDocument()
+  })
+})
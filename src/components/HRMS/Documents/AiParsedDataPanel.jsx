@@ -0,0 +1,166 @@
+import { useState } from 'react'
+import { CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+import './AiParsedDataPanel.css'
+
+const DOCUMENT_KIND_LABELS = {
+  passport: 'Passport',
+  i94: 'I-94 Arrival/Departure Record',
+  i797: 'I-797 Notice of Action',
+}
+
+const FIELD_LABELS = {
+  passport_number: 'Passport Number',
+  surname: 'Surname',
+  given_names: 'Given Names',
+  nationality: 'Nationality',
+  date_of_birth: 'Date of Birth',
+  issue_date: 'Issue Date',
+  expiry_date: 'Expiry Date',
+  i94_number: 'I-94 Number',
+  most_recent_entry_date: 'Most Recent Entry',
+  class_of_admission: 'Class of Admission',
+  admit_until_date: 'Admit Until',
+  duration_of_status: 'Duration of Status',
+  receipt_number: 'Receipt Number',
+  notice_type: 'Notice Type',
+  classification: 'Classification',
+  beneficiary_name: 'Beneficiary',
+  valid_from: 'Valid From',
+  valid_to: 'Valid To',
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Parsed dates are calendar dates; read them at local midnight so they do not shift a day
+const formatDate = (value) =>
+  new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) return formatDate(value)
+  return String(value)
+}
+
+/**
+ * AiParsedDataPanel - Fields read from a document by the parseDocument edge function,
+ * with the proposed start/expiry dates and a button to apply them to the document
+ */
+function AiParsedDataPanel({ document, onAccepted }) {
+  const { tenant } = useTenant()
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const parsed = document.ai_parsed_data || {}
+  const fields = parsed.fields || {}
+  const warnings = parsed.warnings || []
+
+  // Only dates the model actually read are applied; a missing proposal keeps the current value
+  const changes = {}
+  if (parsed.proposed?.start_date && parsed.proposed.start_date !== document.start_date) {
+    changes.start_date = parsed.proposed.start_date
+  }
+  if (parsed.proposed?.expiry_date && parsed.proposed.expiry_date !== document.expiry_date) {
+    changes.expiry_date = parsed.proposed.expiry_date
+  }
+  const hasProposal = Boolean(parsed.proposed?.start_date || parsed.proposed?.expiry_date)
+  const hasChanges = Object.keys(changes).length > 0
+
+  const handleAccept = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const { error: updateError } = await supabase
+        .from('hrms_documents')
+        .update(changes)
+        .eq('document_id', document.document_id)
+        .eq('tenant_id', tenant.tenant_id)
+
+      if (updateError) throw updateError
+
+      onAccepted?.({ ...document, ...changes })
+    } catch (err) {
+      console.error('Error accepting parsed dates:', err)
+      setError(err.message || 'Failed to update document dates')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="ai-parsed-panel" data-testid="ai-parsed-panel">
+      {parsed.document_kind && (
+        <div className="ai-parsed-kind">
+          Read as {DOCUMENT_KIND_LABELS[parsed.document_kind] || parsed.document_kind}
+        </div>
+      )}
+
+      <table className="ai-parsed-fields">
+        <tbody>
+          {Object.entries(fields).map(([key, value]) => (
+            <tr key={key}>
+              <th scope="row">{FIELD_LABELS[key] || key}</th>
+              <td>{formatValue(value)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {warnings.length > 0 && (
+        <ul className="ai-parsed-warnings">
+          {warnings.map((warning) => (
+            <li key={warning}>
+              <ExclamationTriangleIcon className="icon-sm" />
+              {warning}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasProposal && (
+        <div className="ai-parsed-proposal">
+          <div className="proposal-dates">
+            <div>
+              <label>Proposed Start</label>
+              <span>{formatValue(parsed.proposed.start_date)}</span>
+            </div>
+            <div>
+              <label>Proposed Expiry</label>
+              <span>{formatValue(parsed.proposed.expiry_date)}</span>
+            </div>
+          </div>
+          {hasChanges ? (
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleAccept}
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Accept Dates'}
+            </button>
+          ) : (
+            <span className="proposal-accepted">
+              <CheckCircleIcon className="icon-sm" />
+              Dates applied
+            </span>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="ai-parsed-error" role="alert">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AiParsedDataPanel
@@ -0,0 +1,116 @@
+/**
+ * AiParsedDataPanel Component Tests
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+const mockEq = vi.fn()
+const mockUpdate = vi.fn()
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import AiParsedDataPanel from './AiParsedDataPanel'
+
+const i94Document = {
+  document_id: 'doc-1',
+  document_name: 'I-94 - John Doe',
+  start_date: null,
+  expiry_date: '2026-01-15',
+  ai_confidence_score: 0.93,
+  ai_parsed_data: {
+    document_kind: 'i94',
+    fields: {
+      i94_number: '123456789A1',
+      most_recent_entry_date: '2024-10-05',
+      class_of_admission: 'H1B',
+      admit_until_date: '2027-09-30',
+      duration_of_status: false,
+    },
+    proposed: { start_date: '2024-10-05', expiry_date: '2027-09-30' },
+    warnings: [],
+    prompt_key: 'document_field_extraction',
+  },
+}
+
+describe('AiParsedDataPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockEq.mockReset()
+    const builder = { update: mockUpdate, eq: mockEq }
+    mockUpdate.mockReturnValue(builder)
+    mockEq.mockReturnValueOnce(builder).mockResolvedValueOnce({ error: null })
+    supabase.from.mockReturnValue(builder)
+  })
+
+  it('lists the extracted fields and the proposed dates', () => {
+    render(<AiParsedDataPanel document={i94Document} />)
+
+    expect(screen.getByText('Read as I-94 Arrival/Departure Record')).toBeInTheDocument()
+    expect(screen.getByText('I-94 Number').nextSibling).toHaveTextContent('123456789A1')
+    expect(screen.getByText('Admit Until').nextSibling).toHaveTextContent('Sep 30, 2027')
+    expect(screen.getByText('Duration of Status').nextSibling).toHaveTextContent('No')
+    expect(screen.getByText('Proposed Start').nextSibling).toHaveTextContent('Oct 5, 2024')
+    expect(screen.getByText('Proposed Expiry').nextSibling).toHaveTextContent('Sep 30, 2027')
+  })
+
+  it('applies the proposed dates to the document', async () => {
+    const onAccepted = vi.fn()
+    render(<AiParsedDataPanel document={i94Document} onAccepted={onAccepted} />)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Accept Dates' }))
+
+    await waitFor(() => expect(onAccepted).toHaveBeenCalled())
+    expect(supabase.from).toHaveBeenCalledWith('hrms_documents')
+    expect(mockUpdate).toHaveBeenCalledWith({ start_date: '2024-10-05', expiry_date: '2027-09-30' })
+    expect(mockEq).toHaveBeenCalledWith('document_id', 'doc-1')
+    expect(mockEq).toHaveBeenCalledWith('tenant_id', 'test-tenant-id')
+    expect(onAccepted.mock.calls[0][0]).toMatchObject({ start_date: '2024-10-05', expiry_date: '2027-09-30' })
+  })
+
+  it('keeps the current date when nothing was read for it', async () => {
+    const document = {
+      ...i94Document,
+      ai_parsed_data: { ...i94Document.ai_parsed_data, proposed: { start_date: null, expiry_date: '2027-09-30' } },
+    }
+    render(<AiParsedDataPanel document={document} />)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Accept Dates' }))
+
+    await waitFor(() => expect(mockUpdate).toHaveBeenCalledWith({ expiry_date: '2027-09-30' }))
+  })
+
+  it('shows the dates as applied once the document already has them', () => {
+    render(<AiParsedDataPanel document={{ ...i94Document, start_date: '2024-10-05', expiry_date: '2027-09-30' }} />)
+
+    expect(screen.queryByRole('button', { name: 'Accept Dates' })).not.toBeInTheDocument()
+    expect(screen.getByText('Dates applied')).toBeInTheDocument()
+  })
+
+  it('shows warnings and the update error', async () => {
+    mockEq.mockReset()
+    const builder = { update: mockUpdate, eq: mockEq }
+    mockEq.mockReturnValueOnce(builder).mockResolvedValueOnce({ error: { message: 'permission denied' } })
+    const document = {
+      ...i94Document,
+      ai_parsed_data: { ...i94Document.ai_parsed_data, warnings: ['Admit until date ("D/S" for duration of status) "soon" is not a date'] },
+    }
+    render(<AiParsedDataPanel document={document} />)
+
+    expect(screen.getByText('Admit until date ("D/S" for duration of status) "soon" is not a date')).toBeInTheDocument()
+    await userEvent.click(screen.getByRole('button', { name: 'Accept Dates' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('permission denied')
+  })
+})
@@ -95,6 +95,13 @@ function DocumentList() {
         )
       }
 
+      // Archived documents are only listed on request; older versions are reached from the viewer
+      if (statusFilter === 'archived') {
+        query = query.eq('document_status', 'archived')
+      } else {
+        query = query.eq('is_current_version', true).neq('document_status', 'archived')
+      }
+
       // Filter by entity type
       if (entityTypeFilter !== 'all') {
         query = query.eq('entity_type', entityTypeFilter)
@@ -422,14 +429,22 @@ function DocumentList() {
             Manage and track all documents across employees, projects, and compliance
           </p>
         </div>
-        <button
-          className="btn btn-primary"
-          onClick={() => navigate('/hrms/documents/upload')}
-          data-testid="upload-doc-button"
-        >
-          <PlusIcon className="icon-sm" />
-          Upload Doc
-        </button>
+        <div className="document-list-actions">
+          <Link to="/hrms/documents/missing" className="btn btn-secondary" data-testid="missing-docs-link">
+            Missing Documents
+          </Link>
+          <Link to="/hrms/documents/storage" className="btn btn-secondary" data-testid="storage-check-link">
+            Storage Check
+          </Link>
+          <button
+            className="btn btn-primary"
+            onClick={() => navigate('/hrms/documents/upload')}
+            data-testid="upload-doc-button"
+          >
+            <PlusIcon className="icon-sm" />
+            Upload Doc
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -485,6 +500,7 @@ function DocumentList() {
             <option value="valid">Valid</option>
             <option value="expiring">Expiring Soon</option>
             <option value="expired">Expired</option>
+            <option value="archived">Archived</option>
           </select>
 
           <select
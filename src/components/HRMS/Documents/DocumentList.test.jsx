@@ -6,6 +6,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import userEvent from '@testing-library/user-event'
+import { supabase } from '../../../api/supabaseClient'
 import DocumentList from './DocumentList'
 
 // Mock Supabase
@@ -14,6 +15,7 @@ vi.mock('../../../api/supabaseClient', () => {
     const builder = {
       select: vi.fn(() => builder),
       eq: vi.fn(() => builder),
+      neq: vi.fn(() => builder),
       or: vi.fn(() => builder),
       order: vi.fn(() => builder),
       range: vi.fn(() => Promise.resolve({ data: [], error: null, count: 0 })),
@@ -150,6 +152,25 @@ describe('DocumentList', () => {
 
       expect(entityFilter).toHaveValue('employee')
     })
+
+    it('lists current versions by default and archived documents on request', async () => {
+      render(<DocumentList />, { wrapper: Wrapper })
+
+      await waitFor(() => {
+        expect(screen.getByTestId('status-filter')).toBeInTheDocument()
+      })
+
+      const lastQuery = () => supabase.from.mock.results.at(-1).value
+      expect(lastQuery().eq).toHaveBeenCalledWith('is_current_version', true)
+      expect(lastQuery().neq).toHaveBeenCalledWith('document_status', 'archived')
+
+      await userEvent.selectOptions(screen.getByTestId('status-filter'), 'archived')
+
+      await waitFor(() => {
+        expect(lastQuery().eq).toHaveBeenCalledWith('document_status', 'archived')
+      })
+      expect(lastQuery().eq).not.toHaveBeenCalledWith('is_current_version', true)
+    })
   })
 
   describe('Document Display', () => {
@@ -2,6 +2,8 @@ import { Routes, Route, Navigate } from 'react-router-dom'
 import DocumentList from './DocumentList'
 import DocumentUpload from './DocumentUpload'
 import DocumentViewer from './DocumentViewer'
+import MissingDocumentsReport from './MissingDocumentsReport'
+import DocumentStorageReport from './DocumentStorageReport'
 
 /**
  * DocumentManagement - Main routing component for document management
@@ -12,6 +14,8 @@ function DocumentManagement() {
     <Routes>
       <Route index element={<DocumentList />} />
       <Route path="upload" element={<DocumentUpload />} />
+      <Route path="missing" element={<MissingDocumentsReport />} />
+      <Route path="storage" element={<DocumentStorageReport />} />
       <Route path=":documentId" element={<DocumentViewer />} />
       <Route path="*" element={<Navigate to="/hrms/documents" replace />} />
     </Routes>
@@ -0,0 +1,381 @@
+import { useCallback, useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeftIcon, ArrowPathIcon, CheckCircleIcon, TrashIcon, ArchiveBoxIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../api/supabaseClient'
+import { cleanupDocumentStorage } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import LoadingSpinner from '../../Shared/LoadingSpinner'
+import './DocumentStorageReport.css'
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+const formatFileSize = (bytes) => {
+  if (bytes == null) return '-'
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const SKIP_REASONS = {
+  not_found: 'no longer reported',
+  already_resolved: 'already resolved',
+  not_an_object: 'not an unlinked file',
+  now_referenced: 'a document now uses this file',
+}
+
+/**
+ * DocumentStorageReport - Open findings of the documents bucket reconciliation
+ * (hrms_document_storage_findings): files no document points at, which can be
+ * deleted, and documents whose file is gone, which can be relinked to one of
+ * those files or archived
+ * URL: /hrms/documents/storage
+ */
+function DocumentStorageReport() {
+  const { tenant } = useTenant()
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [findings, setFindings] = useState([])
+  const [selectedObjectIds, setSelectedObjectIds] = useState([])
+  const [selectedMissingIds, setSelectedMissingIds] = useState([])
+  const [relinkTargets, setRelinkTargets] = useState({})
+  const [working, setWorking] = useState(false)
+  const [checkResult, setCheckResult] = useState(null)
+  const [cleanupResult, setCleanupResult] = useState(null)
+
+  const fetchFindings = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: findingsError } = await supabase
+        .from('hrms_document_storage_findings')
+        .select(`
+          finding_id,
+          finding_type,
+          object_path,
+          document_id,
+          size_bytes,
+          object_created_at,
+          first_detected_at,
+          document:hrms_documents(document_name, file_name, entity_type)
+        `)
+        .eq('tenant_id', tenant.tenant_id)
+        .is('resolved_at', null)
+        .order('first_detected_at', { ascending: false })
+
+      if (findingsError) throw findingsError
+
+      setFindings(data || [])
+      setSelectedObjectIds([])
+      setSelectedMissingIds([])
+      setRelinkTargets({})
+    } catch (err) {
+      console.error('Error fetching storage findings:', err)
+      setError(err.message || 'Failed to load storage findings')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchFindings()
+  }, [fetchFindings])
+
+  const unlinkedObjects = findings.filter((f) => f.finding_type !== 'missing_object')
+  const missingFiles = findings.filter((f) => f.finding_type === 'missing_object')
+
+  const toggle = (setSelected, findingId) => {
+    setSelected((prev) =>
+      prev.includes(findingId) ? prev.filter((id) => id !== findingId) : [...prev, findingId]
+    )
+  }
+
+  const toggleAll = (setSelected, rows) => {
+    setSelected((prev) => (prev.length === rows.length ? [] : rows.map((f) => f.finding_id)))
+  }
+
+  // Shared wrapper for the actions: one at a time, then reload the findings
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setWorking(true)
+      setError(null)
+      await action()
+      await fetchFindings()
+    } catch (err) {
+      console.error(fallbackMessage, err)
+      setError(err.message || fallbackMessage)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleRunCheck = () =>
+    runAction(async () => {
+      setCleanupResult(null)
+      const { data, error: checkError } = await supabase.rpc('reconcile_hrms_document_storage')
+      if (checkError) throw checkError
+      setCheckResult(data)
+    }, 'Failed to check document storage')
+
+  const handleDelete = () => {
+    if (
+      !window.confirm(
+        `Permanently delete ${selectedObjectIds.length} file(s) from storage? This cannot be undone.`
+      )
+    ) {
+      return
+    }
+
+    return runAction(async () => {
+      setCheckResult(null)
+      const { data: { session } } = await supabase.auth.getSession()
+      const result = await cleanupDocumentStorage(selectedObjectIds, session?.access_token)
+      setCleanupResult(result)
+    }, 'Failed to delete files')
+  }
+
+  const handleArchive = () =>
+    runAction(async () => {
+      setCheckResult(null)
+      setCleanupResult(null)
+      const { error: archiveError } = await supabase.rpc('archive_hrms_missing_storage_documents', {
+        p_finding_ids: selectedMissingIds,
+      })
+      if (archiveError) throw archiveError
+    }, 'Failed to archive documents')
+
+  const handleRelink = (finding) =>
+    runAction(async () => {
+      setCheckResult(null)
+      setCleanupResult(null)
+      const { error: relinkError } = await supabase.rpc('relink_hrms_document_storage', {
+        p_document_id: finding.document_id,
+        p_object_finding_id: relinkTargets[finding.finding_id],
+      })
+      if (relinkError) throw relinkError
+    }, 'Failed to relink document')
+
+  const pathOf = (findingId) =>
+    findings.find((f) => f.finding_id === findingId)?.object_path || findingId
+
+  if (loading && findings.length === 0) {
+    return <LoadingSpinner fullScreen message="Loading storage findings..." />
+  }
+
+  return (
+    <div className="document-storage-report" data-testid="document-storage-report">
+      <Link to="/hrms/documents" className="back-link">
+        <ArrowLeftIcon className="icon-sm" />
+        Back to Documents
+      </Link>
+
+      <div className="document-storage-header">
+        <div>
+          <h1>Document Storage</h1>
+          <p className="document-storage-subtitle">
+            Files no document points at, and documents whose file is missing. Checked nightly.
+          </p>
+        </div>
+        <button className="btn btn-primary" onClick={handleRunCheck} disabled={working}>
+          <ArrowPathIcon className="icon-sm" />
+          Run Check
+        </button>
+      </div>
+
+      {error && (
+        <div className="document-storage-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      {checkResult && (
+        <div className="document-storage-result" role="status">
+          <p>
+            Found {checkResult.orphan_object} unlinked file(s), {checkResult.temp_leftover} leftover temporary
+            upload(s) and {checkResult.missing_object} missing file(s).
+          </p>
+          {checkResult.cleared > 0 && <p>{checkResult.cleared} earlier finding(s) no longer apply.</p>}
+        </div>
+      )}
+
+      {cleanupResult && (
+        <div className="document-storage-result" role="status">
+          <p>{cleanupResult.deleted} file(s) deleted.</p>
+          {cleanupResult.skipped.map((skip) => (
+            <p key={skip.finding_id}>
+              Kept {pathOf(skip.finding_id)}: {SKIP_REASONS[skip.reason] || skip.reason}
+            </p>
+          ))}
+          {cleanupResult.failed.map((failure) => (
+            <p key={failure.finding_id} className="result-failed">
+              Failed for {pathOf(failure.finding_id)}: {failure.error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {findings.length === 0 ? (
+        <div className="document-storage-empty">
+          <CheckCircleIcon className="empty-icon" />
+          <p>Storage and document records match.</p>
+        </div>
+      ) : (
+        <>
+          <section className="document-storage-section" data-testid="unlinked-files">
+            <div className="document-storage-section-header">
+              <h2>Unlinked Files ({unlinkedObjects.length})</h2>
+              <button
+                className="btn btn-danger"
+                onClick={handleDelete}
+                disabled={selectedObjectIds.length === 0 || working}
+              >
+                <TrashIcon className="icon-sm" />
+                Delete Selected ({selectedObjectIds.length})
+              </button>
+            </div>
+
+            {unlinkedObjects.length === 0 ? (
+              <p className="document-storage-none">No unlinked files.</p>
+            ) : (
+              <table className="document-storage-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <input
+                        type="checkbox"
+                        aria-label="Select all unlinked files"
+                        checked={selectedObjectIds.length === unlinkedObjects.length}
+                        onChange={() => toggleAll(setSelectedObjectIds, unlinkedObjects)}
+                      />
+                    </th>
+                    <th>File</th>
+                    <th>Size</th>
+                    <th>Uploaded</th>
+                    <th>First Reported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {unlinkedObjects.map((finding) => (
+                    <tr key={finding.finding_id} data-testid={`finding-row-${finding.finding_id}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${finding.object_path}`}
+                          checked={selectedObjectIds.includes(finding.finding_id)}
+                          onChange={() => toggle(setSelectedObjectIds, finding.finding_id)}
+                        />
+                      </td>
+                      <td>
+                        <span className="object-path">{finding.object_path}</span>
+                        {finding.finding_type === 'temp_leftover' && (
+                          <span className="finding-badge">Temporary upload</span>
+                        )}
+                      </td>
+                      <td>{formatFileSize(finding.size_bytes)}</td>
+                      <td>{finding.object_created_at ? formatDate(finding.object_created_at) : '-'}</td>
+                      <td>{formatDate(finding.first_detected_at)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section className="document-storage-section" data-testid="missing-files">
+            <div className="document-storage-section-header">
+              <h2>Missing Files ({missingFiles.length})</h2>
+              <button
+                className="btn btn-secondary"
+                onClick={handleArchive}
+                disabled={selectedMissingIds.length === 0 || working}
+              >
+                <ArchiveBoxIcon className="icon-sm" />
+                Archive Selected ({selectedMissingIds.length})
+              </button>
+            </div>
+
+            {missingFiles.length === 0 ? (
+              <p className="document-storage-none">Every document has its file.</p>
+            ) : (
+              <table className="document-storage-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <input
+                        type="checkbox"
+                        aria-label="Select all missing files"
+                        checked={selectedMissingIds.length === missingFiles.length}
+                        onChange={() => toggleAll(setSelectedMissingIds, missingFiles)}
+                      />
+                    </th>
+                    <th>Document</th>
+                    <th>Expected File</th>
+                    <th>First Reported</th>
+                    <th>Relink To</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {missingFiles.map((finding) => (
+                    <tr key={finding.finding_id} data-testid={`finding-row-${finding.finding_id}`}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${finding.document?.document_name || finding.object_path}`}
+                          checked={selectedMissingIds.includes(finding.finding_id)}
+                          onChange={() => toggle(setSelectedMissingIds, finding.finding_id)}
+                        />
+                      </td>
+                      <td>
+                        <Link to={`/hrms/documents/${finding.document_id}`}>
+                          {finding.document?.document_name || finding.document_id}
+                        </Link>
+                        {finding.document?.file_name && (
+                          <div className="cell-secondary">{finding.document.file_name}</div>
+                        )}
+                      </td>
+                      <td>
+                        <span className="object-path">{finding.object_path}</span>
+                      </td>
+                      <td>{formatDate(finding.first_detected_at)}</td>
+                      <td>
+                        <div className="relink-controls">
+                          <select
+                            aria-label={`Relink ${finding.document?.document_name || finding.object_path}`}
+                            value={relinkTargets[finding.finding_id] || ''}
+                            onChange={(e) =>
+                              setRelinkTargets((prev) => ({ ...prev, [finding.finding_id]: e.target.value }))
+                            }
+                            disabled={unlinkedObjects.length === 0}
+                          >
+                            <option value="">Choose an unlinked file</option>
+                            {unlinkedObjects.map((object) => (
+                              <option key={object.finding_id} value={object.finding_id}>
+                                {object.object_path}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleRelink(finding)}
+                            disabled={!relinkTargets[finding.finding_id] || working}
+                          >
+                            Relink
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DocumentStorageReport
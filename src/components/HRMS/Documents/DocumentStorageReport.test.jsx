@@ -0,0 +1,194 @@
+/**
+ * DocumentStorageReport Component Tests
+ * Storage reconciliation findings, cleanup, relinking and archiving
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { BrowserRouter } from 'react-router-dom'
+
+const mockFindingsQuery = vi.fn()
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(() => {
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        is: vi.fn(() => query),
+        order: vi.fn(() => mockFindingsQuery()),
+      }
+      return query
+    }),
+    rpc: vi.fn(),
+    auth: {
+      getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+    },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  cleanupDocumentStorage: vi.fn(),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { cleanupDocumentStorage } from '../../../api/edgeFunctions'
+import DocumentStorageReport from './DocumentStorageReport'
+
+const FINDINGS = [
+  {
+    finding_id: 'f-orphan',
+    finding_type: 'orphan_object',
+    object_path: 'documents/employee/emp-1/1700_passport.pdf',
+    document_id: null,
+    size_bytes: 204800,
+    object_created_at: '2025-03-01T10:00:00Z',
+    first_detected_at: '2025-03-02T02:30:00Z',
+    document: null,
+  },
+  {
+    finding_id: 'f-temp',
+    finding_type: 'temp_leftover',
+    object_path: 'documents/system/temp/1700_msa.pdf',
+    document_id: null,
+    size_bytes: 512,
+    object_created_at: '2025-03-01T11:00:00Z',
+    first_detected_at: '2025-03-02T02:30:00Z',
+    document: null,
+  },
+  {
+    finding_id: 'f-missing',
+    finding_type: 'missing_object',
+    object_path: 'documents/employee/emp-1/passport.pdf',
+    document_id: 'doc-1',
+    size_bytes: 204800,
+    object_created_at: null,
+    first_detected_at: '2025-03-02T02:30:00Z',
+    document: { document_name: 'Passport - John Smith', file_name: 'passport.pdf', entity_type: 'employee' },
+  },
+]
+
+const renderReport = () =>
+  render(
+    <BrowserRouter>
+      <DocumentStorageReport />
+    </BrowserRouter>
+  )
+
+describe('DocumentStorageReport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockFindingsQuery.mockResolvedValue({ data: FINDINGS, error: null })
+    supabase.rpc.mockResolvedValue({ data: null, error: null })
+  })
+
+  it('lists unlinked files and documents whose file is missing', async () => {
+    renderReport()
+
+    const unlinked = await screen.findByTestId('unlinked-files')
+    expect(within(unlinked).getByText('Unlinked Files (2)')).toBeInTheDocument()
+    expect(within(unlinked).getByText('documents/employee/emp-1/1700_passport.pdf')).toBeInTheDocument()
+    expect(within(screen.getByTestId('finding-row-f-temp')).getByText('Temporary upload')).toBeInTheDocument()
+
+    const missing = screen.getByTestId('missing-files')
+    expect(within(missing).getByText('Missing Files (1)')).toBeInTheDocument()
+    expect(within(missing).getByRole('link', { name: 'Passport - John Smith' })).toHaveAttribute(
+      'href',
+      '/hrms/documents/doc-1'
+    )
+    expect(supabase.from).toHaveBeenCalledWith('hrms_document_storage_findings')
+  })
+
+  it('shows an empty state when storage and records match', async () => {
+    mockFindingsQuery.mockResolvedValue({ data: [], error: null })
+    renderReport()
+
+    expect(await screen.findByText('Storage and document records match.')).toBeInTheDocument()
+  })
+
+  it('runs the check on demand and reports the counts', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: { orphan_object: 1, temp_leftover: 1, missing_object: 1, cleared: 2 },
+      error: null,
+    })
+    renderReport()
+    await screen.findByTestId('unlinked-files')
+
+    await userEvent.click(screen.getByRole('button', { name: /Run Check/ }))
+
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'Found 1 unlinked file(s), 1 leftover temporary upload(s) and 1 missing file(s).'
+    )
+    expect(screen.getByRole('status')).toHaveTextContent('2 earlier finding(s) no longer apply.')
+    expect(supabase.rpc).toHaveBeenCalledWith('reconcile_hrms_document_storage')
+    expect(mockFindingsQuery).toHaveBeenCalledTimes(2)
+  })
+
+  it('deletes the selected files after confirmation and reports kept ones', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    cleanupDocumentStorage.mockResolvedValue({
+      deleted: 1,
+      skipped: [{ finding_id: 'f-orphan', reason: 'now_referenced' }],
+      failed: [],
+    })
+    renderReport()
+    await screen.findByTestId('unlinked-files')
+
+    await userEvent.click(screen.getByLabelText('Select all unlinked files'))
+    await userEvent.click(screen.getByRole('button', { name: /Delete Selected \(2\)/ }))
+
+    expect(cleanupDocumentStorage).toHaveBeenCalledWith(['f-orphan', 'f-temp'], 'test-token')
+    const status = await screen.findByRole('status')
+    expect(status).toHaveTextContent('1 file(s) deleted.')
+    expect(status).toHaveTextContent(
+      'Kept documents/employee/emp-1/1700_passport.pdf: a document now uses this file'
+    )
+  })
+
+  it('does not delete anything when the confirmation is cancelled', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false)
+    renderReport()
+    await screen.findByTestId('unlinked-files')
+
+    await userEvent.click(screen.getByLabelText('Select documents/system/temp/1700_msa.pdf'))
+    await userEvent.click(screen.getByRole('button', { name: /Delete Selected \(1\)/ }))
+
+    expect(cleanupDocumentStorage).not.toHaveBeenCalled()
+  })
+
+  it('relinks a missing file to an unlinked file', async () => {
+    renderReport()
+    await screen.findByTestId('missing-files')
+
+    const row = screen.getByTestId('finding-row-f-missing')
+    await userEvent.selectOptions(within(row).getByLabelText('Relink Passport - John Smith'), 'f-orphan')
+    await userEvent.click(within(row).getByRole('button', { name: 'Relink' }))
+
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenCalledWith('relink_hrms_document_storage', {
+        p_document_id: 'doc-1',
+        p_object_finding_id: 'f-orphan',
+      })
+    })
+  })
+
+  it('archives the selected documents and shows errors', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Not authorized to archive documents' } })
+    renderReport()
+    await screen.findByTestId('missing-files')
+
+    await userEvent.click(screen.getByLabelText('Select Passport - John Smith'))
+    await userEvent.click(screen.getByRole('button', { name: /Archive Selected \(1\)/ }))
+
+    expect(supabase.rpc).toHaveBeenCalledWith('archive_hrms_missing_storage_documents', {
+      p_finding_ids: ['f-missing'],
+    })
+    expect(await screen.findByRole('alert')).toHaveTextContent('Not authorized to archive documents')
+  })
+})
@@ -8,8 +8,10 @@ import {
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline'
 import { supabase } from '../../../api/supabaseClient'
+import { parseDocument } from '../../../api/edgeFunctions'
 import { useTenant } from '../../../contexts/TenantProvider'
 import { useAuth } from '../../../contexts/AuthProvider'
+import AiParsedDataPanel from './AiParsedDataPanel'
 import './DocumentUpload.css'
 
 /**
@@ -23,7 +25,7 @@ function DocumentUpload() {
   const navigate = useNavigate()
   const location = useLocation()
 
-  // Get context from location state (if coming from checklist)
+  // Get context from location state (if coming from checklist, or "New Version" in the viewer)
   const contextFromState = location.state || {}
   const {
     entityType,
@@ -31,6 +33,7 @@ function DocumentUpload() {
     checklistItemId,
     documentType,
     entityName,
+    parentDocumentId,
   } = contextFromState
 
   const [files, setFiles] = useState([])
@@ -38,6 +41,10 @@ function DocumentUpload() {
   const [uploading, setUploading] = useState(false)
   const [error, setError] = useState(null)
 
+  // Documents read by the AI parser after upload, shown for date review before leaving
+  const [parsedDocuments, setParsedDocuments] = useState(null)
+  const [parseFailures, setParseFailures] = useState([])
+
   // Form fields
   const [documentName, setDocumentName] = useState('')
   const [documentDescription, setDocumentDescription] = useState('')
@@ -52,6 +59,36 @@ function DocumentUpload() {
   const [entities, setEntities] = useState([])
   const [loadingEntities, setLoadingEntities] = useState(false)
 
+  // Version being replaced; its details prefill the form
+  const [parentDocument, setParentDocument] = useState(null)
+
+  useEffect(() => {
+    if (!parentDocumentId || !tenant?.tenant_id) return
+
+    const loadParentDocument = async () => {
+      const { data, error: fetchError } = await supabase
+        .from('hrms_documents')
+        .select('document_id, document_name, document_description, document_type, version_number, compliance_tracking_flag, visible_to_employee_flag')
+        .eq('document_id', parentDocumentId)
+        .eq('tenant_id', tenant.tenant_id)
+        .single()
+
+      if (fetchError) {
+        console.error('Error loading document to replace:', fetchError)
+        return
+      }
+
+      setParentDocument(data)
+      setDocumentName(data.document_name || '')
+      setDocumentDescription(data.document_description || '')
+      setSelectedDocumentType((current) => data.document_type || current)
+      setComplianceTracking(Boolean(data.compliance_tracking_flag))
+      setVisibleToEmployee(data.visible_to_employee_flag !== false)
+    }
+
+    loadParentDocument()
+  }, [parentDocumentId, tenant?.tenant_id])
+
   // Load entities based on selected entity type
   const loadEntities = useCallback(async () => {
     if (!selectedEntityType || !tenant?.tenant_id) return
@@ -163,7 +200,8 @@ function DocumentUpload() {
       error: null,
     }))
 
-    setFiles((prev) => [...prev, ...fileObjects])
+    // A new version replaces one document with one file
+    setFiles((prev) => (parentDocumentId ? fileObjects.slice(0, 1) : [...prev, ...fileObjects]))
     setError(null)
   }
 
@@ -203,6 +241,8 @@ function DocumentUpload() {
       )
 
       return {
+        file_id: fileObj.id,
+        storage_path: storagePath,
         file_path: `documents/${storagePath}`,
         file_name: fileObj.name,
         content_type: fileObj.type,
@@ -220,6 +260,29 @@ function DocumentUpload() {
     }
   }
 
+  // Removes uploaded files whose document row will not be written, so a failed
+  // upload leaves nothing behind in storage (see the storage reconciliation report)
+  const rollbackUploads = async (uploadResults, cause) => {
+    if (uploadResults.length === 0) return
+
+    const { error: removeError } = await supabase.storage
+      .from('documents')
+      .remove(uploadResults.map((result) => result.storage_path))
+
+    if (removeError) {
+      console.error('Error removing uploaded files:', removeError)
+    }
+
+    const rolledBackIds = uploadResults.map((result) => result.file_id)
+    setFiles((prev) =>
+      prev.map((f) =>
+        rolledBackIds.includes(f.id)
+          ? { ...f, status: 'error', progress: 0, error: `Not saved: ${cause.message}` }
+          : f
+      )
+    )
+  }
+
   const handleUpload = async () => {
     if (files.length === 0) {
       setError('Please select at least one file to upload')
@@ -242,21 +305,31 @@ function DocumentUpload() {
 
       // Upload all files
       const uploadResults = []
-      for (const fileObj of files) {
-        if (fileObj.status === 'pending' || fileObj.status === 'error') {
-          const result = await uploadFile(fileObj)
-          uploadResults.push(result)
+      try {
+        for (const fileObj of files) {
+          if (fileObj.status === 'pending' || fileObj.status === 'error') {
+            const result = await uploadFile(fileObj)
+            uploadResults.push(result)
+          }
         }
+      } catch (uploadError) {
+        await rollbackUploads(uploadResults, uploadError)
+        throw uploadError
       }
 
-      // Create document records in database
-      for (const uploadResult of uploadResults) {
+      // Create document records in database. version_number, and superseding the
+      // current version of the same document, are handled by trg_hrms_documents_chain_version.
+      // Files uploaded together are separate documents, so they are not chained to each other.
+      const multiFileUpload = uploadResults.length > 1
+      const createdDocuments = []
+      for (const [index, uploadResult] of uploadResults.entries()) {
         const documentData = {
           tenant_id: tenant.tenant_id,
           business_id: selectedBusiness?.business_id || null,
           entity_type: selectedEntityType,
           entity_id: selectedEntityId || null,
           checklist_item_id: checklistItemId || null,
+          parent_document_id: parentDocumentId || null,
           document_name: documentName,
           document_description: documentDescription || null,
           document_type: selectedDocumentType || null,
@@ -269,20 +342,59 @@ function DocumentUpload() {
           compliance_tracking_flag: complianceTracking,
           visible_to_employee_flag: visibleToEmployee,
           is_current_version: true,
-          version_number: 1,
           document_status: 'active',
           uploaded_by: user?.id || null,
+          ...(multiFileUpload && { metadata: { multi_file_upload: true } }),
         }
 
-        const { error: insertError } = await supabase
+        const { data: createdDocument, error: insertError } = await supabase
           .from('hrms_documents')
           .insert([documentData])
+          .select('document_id, document_name, file_name, start_date, expiry_date')
+          .single()
 
-        if (insertError) throw insertError
+        if (insertError) {
+          // This file and the ones after it have no row yet
+          await rollbackUploads(uploadResults.slice(index), insertError)
+          throw insertError
+        }
+        createdDocuments.push(createdDocument)
+      }
+
+      // Read supported documents (passport, I-94, I-797) so HR can accept the proposed dates.
+      // The upload already succeeded, so a parsing failure is only reported.
+      const { data: { session } } = await supabase.auth.getSession()
+      const parsed = []
+      const failures = []
+      for (const createdDocument of createdDocuments) {
+        try {
+          const result = await parseDocument(createdDocument.document_id, session?.access_token)
+          if (result?.status === 'parsed') {
+            parsed.push({
+              ...createdDocument,
+              ai_confidence_score: result.confidence,
+              ai_parsed_data: {
+                document_kind: result.document_kind,
+                fields: result.fields,
+                proposed: result.proposed,
+                warnings: result.warnings,
+              },
+            })
+          }
+        } catch (parseError) {
+          console.error('Error parsing document:', parseError)
+          failures.push(`${createdDocument.file_name}: ${parseError.message}`)
+        }
       }
 
-      // Success - navigate back
-      navigate('/hrms/documents')
+      if (parsed.length === 0 && failures.length === 0) {
+        // Success - navigate back
+        navigate('/hrms/documents')
+        return
+      }
+
+      setParsedDocuments(parsed)
+      setParseFailures(failures)
     } catch (err) {
       console.error('Error uploading documents:', err)
       setError(err.message || 'Failed to upload documents')
@@ -304,12 +416,76 @@ function DocumentUpload() {
     return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
   }
 
+  const handleDatesAccepted = (updatedDocument) => {
+    setParsedDocuments((prev) =>
+      prev.map((doc) => (doc.document_id === updatedDocument.document_id ? updatedDocument : doc))
+    )
+  }
+
+  if (parsedDocuments) {
+    return (
+      <div className="document-upload" data-testid="document-upload">
+        <div className="document-upload-container">
+          <div className="document-upload-header">
+            <h1>Review Extracted Data</h1>
+          </div>
+
+          <div className="document-details-section">
+            {parsedDocuments.map((doc) => (
+              <div key={doc.document_id} className="parsed-document">
+                <h3>
+                  {doc.file_name}
+                  {doc.ai_confidence_score !== null && doc.ai_confidence_score !== undefined && (
+                    <span className="parsed-confidence">
+                      {Math.round(doc.ai_confidence_score * 100)}% confidence
+                    </span>
+                  )}
+                </h3>
+                <AiParsedDataPanel document={doc} onAccepted={handleDatesAccepted} />
+              </div>
+            ))}
+
+            {parseFailures.length > 0 && (
+              <div className="error-message" data-testid="parse-failures">
+                <ExclamationTriangleIcon className="error-icon" />
+                <div>
+                  The documents were uploaded, but these could not be read:
+                  <ul>
+                    {parseFailures.map((failure) => (
+                      <li key={failure}>{failure}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="document-upload-actions">
+            <button
+              className="btn btn-primary"
+              onClick={() => navigate('/hrms/documents')}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="document-upload" data-testid="document-upload">
       <div className="document-upload-container">
         {/* Header */}
         <div className="document-upload-header">
-          <h1>Upload Document</h1>
+          <div>
+            <h1>{parentDocumentId ? 'Upload New Version' : 'Upload Document'}</h1>
+            {parentDocument && (
+              <p className="document-upload-subtitle">
+                Replaces version {parentDocument.version_number || 1} of {parentDocument.document_name}
+              </p>
+            )}
+          </div>
           <button
             className="icon-button"
             onClick={() => navigate('/hrms/documents')}
@@ -331,7 +507,7 @@ function DocumentUpload() {
             <input
               type="file"
               id="file-input"
-              multiple
+              multiple={!parentDocumentId}
               accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
               onChange={handleFileSelect}
               className="file-input-hidden"
@@ -445,6 +621,7 @@ function DocumentUpload() {
                   setSelectedEntityType(e.target.value)
                   setSelectedEntityId('')
                 }}
+                disabled={Boolean(parentDocumentId)}
                 data-testid="entity-type-select"
               >
                 <option value="employee">Employee</option>
@@ -467,6 +644,7 @@ function DocumentUpload() {
                     id="entity-id"
                     value={selectedEntityId}
                     onChange={(e) => setSelectedEntityId(e.target.value)}
+                    disabled={Boolean(parentDocumentId)}
                     data-testid="entity-id-select"
                   >
                     <option value="">Select {selectedEntityType}</option>
@@ -502,6 +680,8 @@ function DocumentUpload() {
                 <option value="">Select type</option>
                 <option value="passport">Passport</option>
                 <option value="visa">Visa</option>
+                <option value="i94">I-94</option>
+                <option value="i797">I-797 Notice</option>
                 <option value="i9">I-9 Form</option>
                 <option value="w4">W-4 Form</option>
                 <option value="h1b">H1B</option>
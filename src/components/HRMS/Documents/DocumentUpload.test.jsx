@@ -6,6 +6,8 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import userEvent from '@testing-library/user-event'
+import { supabase } from '../../../api/supabaseClient'
+import { parseDocument } from '../../../api/edgeFunctions'
 import DocumentUpload from './DocumentUpload'
 
 // Mock Supabase
@@ -15,23 +17,39 @@ vi.mock('../../../api/supabaseClient', () => {
       select: vi.fn(() => builder),
       eq: vi.fn(() => builder),
       order: vi.fn(() => Promise.resolve({ data: [{ employee_id: 'emp-1', first_name: 'John', last_name: 'Doe', employee_code: 'IES00001' }], error: null })),
-      insert: vi.fn(() => Promise.resolve({ error: null })),
+      insert: vi.fn(() => builder),
+      update: vi.fn(() => builder),
+      single: vi.fn(() => Promise.resolve({
+        data: { document_id: 'doc-1', document_name: 'I-94 - John Doe', file_name: 'i94.pdf', start_date: null, expiry_date: null },
+        error: null,
+      })),
     }
     return builder
   }
 
+  const storageBucket = {
+    upload: vi.fn(() => Promise.resolve({ data: { path: 'test.pdf' }, error: null })),
+    remove: vi.fn(() => Promise.resolve({ data: [], error: null })),
+  }
+
   return {
     supabase: {
       from: vi.fn(() => createQueryBuilder()),
+      auth: {
+        getSession: vi.fn(() => Promise.resolve({ data: { session: { access_token: 'test-token' } } })),
+      },
       storage: {
-        from: vi.fn(() => ({
-          upload: vi.fn(() => Promise.resolve({ data: { path: 'test.pdf' }, error: null })),
-        })),
+        from: vi.fn(() => storageBucket),
       },
     },
   }
 })
 
+// Mock edge functions
+vi.mock('../../../api/edgeFunctions', () => ({
+  parseDocument: vi.fn(),
+}))
+
 // Mock TenantProvider
 vi.mock('../../../contexts/TenantProvider', () => ({
   useTenant: () => ({
@@ -47,12 +65,13 @@ vi.mock('../../../contexts/AuthProvider', () => ({
 
 // Mock useNavigate and useLocation
 const mockNavigate = vi.fn()
+let mockLocationState = null
 vi.mock('react-router-dom', async () => {
   const actual = await vi.importActual('react-router-dom')
   return {
     ...actual,
     useNavigate: () => mockNavigate,
-    useLocation: () => ({ state: null }),
+    useLocation: () => ({ state: mockLocationState }),
   }
 })
 
@@ -62,6 +81,7 @@ describe('DocumentUpload', () => {
   beforeEach(() => {
     vi.clearAllMocks()
     mockNavigate.mockClear()
+    mockLocationState = null
   })
 
   describe('Initial Render', () => {
@@ -167,4 +187,197 @@ describe('DocumentUpload', () => {
       expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents')
     })
   })
+  describe('AI Parsing', () => {
+    const uploadI94 = async () => {
+      render(<DocumentUpload />, { wrapper: Wrapper })
+
+      await userEvent.upload(
+        document.querySelector('input[type="file"]'),
+        new File(['%PDF-1.4'], 'i94.pdf', { type: 'application/pdf' })
+      )
+      await userEvent.type(screen.getByTestId('document-name-input'), 'I-94 - John Doe')
+      await userEvent.selectOptions(screen.getByTestId('entity-type-select'), 'system')
+      await userEvent.click(screen.getByTestId('upload-button'))
+    }
+
+    it('parses the uploaded document and offers the proposed dates', async () => {
+      parseDocument.mockResolvedValue({
+        status: 'parsed',
+        document_kind: 'i94',
+        fields: { i94_number: '123456789A1', admit_until_date: '2027-09-30', duration_of_status: false },
+        proposed: { start_date: '2024-10-05', expiry_date: '2027-09-30' },
+        confidence: 0.93,
+        model: 'stub',
+        warnings: [],
+      })
+
+      await uploadI94()
+
+      expect(await screen.findByText('Review Extracted Data')).toBeInTheDocument()
+      expect(parseDocument).toHaveBeenCalledWith('doc-1', 'test-token')
+      expect(screen.getByText('93% confidence')).toBeInTheDocument()
+      expect(screen.getByText('123456789A1')).toBeInTheDocument()
+      expect(mockNavigate).not.toHaveBeenCalled()
+
+      await userEvent.click(screen.getByRole('button', { name: 'Accept Dates' }))
+
+      expect(await screen.findByText('Dates applied')).toBeInTheDocument()
+      const updateBuilder = supabase.from.mock.results
+        .map((result) => result.value)
+        .find((builder) => builder.update.mock.calls.length > 0)
+      expect(updateBuilder.update).toHaveBeenCalledWith({ start_date: '2024-10-05', expiry_date: '2027-09-30' })
+
+      await userEvent.click(screen.getByRole('button', { name: 'Done' }))
+      expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents')
+    })
+
+    it('returns to the list when there was nothing to parse', async () => {
+      parseDocument.mockResolvedValue({ status: 'skipped', reason: 'unsupported_document' })
+
+      await uploadI94()
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents'))
+    })
+
+    it('keeps the upload when parsing fails', async () => {
+      parseDocument.mockRejectedValue(new Error('No active document prompt is configured'))
+
+      await uploadI94()
+
+      expect(await screen.findByTestId('parse-failures')).toHaveTextContent(
+        'i94.pdf: No active document prompt is configured'
+      )
+      expect(mockNavigate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Storage Rollback', () => {
+    it('removes the uploaded file when the document row cannot be saved', async () => {
+      const defaultFrom = supabase.from.getMockImplementation()
+      supabase.from.mockImplementation((table) => {
+        const builder = defaultFrom(table)
+        if (table === 'hrms_documents') {
+          builder.single = vi.fn(() => Promise.resolve({
+            data: null,
+            error: { message: 'new row for relation "hrms_documents" violates check constraint "valid_entity_type"' },
+          }))
+        }
+        return builder
+      })
+
+      try {
+        render(<DocumentUpload />, { wrapper: Wrapper })
+
+        await userEvent.upload(
+          document.querySelector('input[type="file"]'),
+          new File(['%PDF-1.4'], 'msa.pdf', { type: 'application/pdf' })
+        )
+        await userEvent.type(screen.getByTestId('document-name-input'), 'Master Services Agreement')
+        await userEvent.selectOptions(screen.getByTestId('entity-type-select'), 'system')
+        await userEvent.click(screen.getByTestId('upload-button'))
+
+        expect(await screen.findByTestId('error-message')).toHaveTextContent('violates check constraint')
+        const bucket = supabase.storage.from('documents')
+        const [storagePath] = bucket.upload.mock.calls[0]
+        expect(storagePath).toMatch(/^system\/temp\/\d+_msa\.pdf$/)
+        expect(bucket.remove).toHaveBeenCalledWith([storagePath])
+        expect(screen.getByText(/Not saved:/)).toBeInTheDocument()
+        expect(parseDocument).not.toHaveBeenCalled()
+      } finally {
+        supabase.from.mockImplementation(defaultFrom)
+      }
+    })
+  })
+
+  describe('Version Chaining', () => {
+    const uploadChecklistFiles = async (files) => {
+      mockLocationState = { entityType: 'employee', entityId: 'emp-1', documentType: 'i94', checklistItemId: 'item-i94' }
+      parseDocument.mockResolvedValue({ status: 'skipped', reason: 'unsupported_document' })
+      render(<DocumentUpload />, { wrapper: Wrapper })
+
+      await userEvent.upload(document.querySelector('input[type="file"]'), files)
+      await userEvent.type(screen.getByTestId('document-name-input'), 'I-94')
+      await userEvent.click(screen.getByTestId('upload-button'))
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents'))
+      return supabase.from.mock.results
+        .map((result) => result.value)
+        .flatMap((builder) => builder.insert.mock.calls.map(([rows]) => rows[0]))
+    }
+
+    it('leaves a single checklist upload to be chained to the current version', async () => {
+      const insertedRows = await uploadChecklistFiles([
+        new File(['%PDF-1.4'], 'i94-2025.pdf', { type: 'application/pdf' }),
+      ])
+
+      // trg_hrms_documents_chain_version supersedes the current I-94 for this checklist item
+      expect(insertedRows).toHaveLength(1)
+      expect(insertedRows[0]).toMatchObject({ entity_id: 'emp-1', document_type: 'i94', checklist_item_id: 'item-i94', parent_document_id: null })
+      expect(insertedRows[0]).not.toHaveProperty('metadata')
+    })
+
+    it('opts files uploaded together out of automatic chaining', async () => {
+      const insertedRows = await uploadChecklistFiles([
+        new File(['%PDF-1.4'], 'i94-john.pdf', { type: 'application/pdf' }),
+        new File(['%PDF-1.4'], 'i94-jane.pdf', { type: 'application/pdf' }),
+      ])
+
+      expect(insertedRows).toEqual([
+        expect.objectContaining({ file_name: 'i94-john.pdf', metadata: { multi_file_upload: true } }),
+        expect.objectContaining({ file_name: 'i94-jane.pdf', metadata: { multi_file_upload: true } }),
+      ])
+    })
+  })
+
+  describe('New Version', () => {
+    beforeEach(() => {
+      mockLocationState = {
+        entityType: 'employee',
+        entityId: 'emp-1',
+        documentType: 'i94',
+        checklistItemId: 'item-i94',
+        parentDocumentId: 'doc-1',
+      }
+      parseDocument.mockResolvedValue({ status: 'skipped', reason: 'unsupported_document' })
+    })
+
+    it('prefills the form from the version being replaced', async () => {
+      render(<DocumentUpload />, { wrapper: Wrapper })
+
+      expect(screen.getByText('Upload New Version')).toBeInTheDocument()
+      expect(await screen.findByText('Replaces version 1 of I-94 - John Doe')).toBeInTheDocument()
+      expect(screen.getByTestId('document-name-input')).toHaveValue('I-94 - John Doe')
+      expect(screen.getByTestId('entity-type-select')).toBeDisabled()
+      expect(document.querySelector('input[type="file"]')).not.toHaveAttribute('multiple')
+    })
+
+    it('links the upload to the version it replaces', async () => {
+      render(<DocumentUpload />, { wrapper: Wrapper })
+      await screen.findByText('Replaces version 1 of I-94 - John Doe')
+
+      const input = document.querySelector('input[type="file"]')
+      await userEvent.upload(input, new File(['%PDF-1.4'], 'i94-old.pdf', { type: 'application/pdf' }))
+      await userEvent.upload(input, new File(['%PDF-1.4'], 'i94-renewed.pdf', { type: 'application/pdf' }))
+
+      // A new version holds a single file
+      expect(screen.queryByText('i94-old.pdf')).not.toBeInTheDocument()
+      expect(screen.getByText('i94-renewed.pdf')).toBeInTheDocument()
+
+      await userEvent.click(screen.getByTestId('upload-button'))
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents'))
+      const insertBuilder = supabase.from.mock.results
+        .map((result) => result.value)
+        .find((builder) => builder.insert.mock.calls.length > 0)
+      expect(insertBuilder.insert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          entity_id: 'emp-1',
+          checklist_item_id: 'item-i94',
+          parent_document_id: 'doc-1',
+          document_type: 'i94',
+          file_name: 'i94-renewed.pdf',
+        }),
+      ])
+    })
+  })
 })
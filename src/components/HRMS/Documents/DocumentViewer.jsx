@@ -5,7 +5,8 @@ import {
   ArrowDownTrayIcon,
   PencilIcon,
   DocumentPlusIcon,
-  TrashIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   MagnifyingGlassMinusIcon,
@@ -16,6 +17,7 @@ import { supabase } from '../../../api/supabaseClient'
 import { useTenant } from '../../../contexts/TenantProvider'
 import { useAuth } from '../../../contexts/AuthProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
+import AiParsedDataPanel from './AiParsedDataPanel'
 import './DocumentViewer.css'
 
 /**
@@ -36,6 +38,7 @@ function DocumentViewer() {
   const [previewUrl, setPreviewUrl] = useState(null)
   const [zoom, setZoom] = useState(100)
   const [rotation, setRotation] = useState(0)
+  const [updatingStatus, setUpdatingStatus] = useState(false)
 
   useEffect(() => {
     if (documentId && tenant?.tenant_id) {
@@ -104,8 +107,8 @@ function DocumentViewer() {
       setDocument(enrichedDocument)
 
       // Load preview URL
-      if (data?.file_path) {
-        const [bucket, ...pathParts] = data.file_path.split('/')
+      if (docData?.file_path) {
+        const [bucket, ...pathParts] = docData.file_path.split('/')
         const filePath = pathParts.join('/')
 
         const { data: urlData, error: urlError } = await supabase.storage
@@ -128,11 +131,10 @@ function DocumentViewer() {
     if (!documentId) return
 
     try {
-      const { data, error: fetchError } = await supabase
-        .from('hrms_documents')
-        .select('*')
-        .or(`document_id.eq.${documentId},parent_document_id.eq.${documentId}`)
-        .order('version_number', { ascending: false })
+      // Walks parent_document_id both ways, so every version shows the whole chain
+      const { data, error: fetchError } = await supabase.rpc('get_hrms_document_versions', {
+        p_document_id: documentId,
+      })
 
       if (fetchError) throw fetchError
 
@@ -142,11 +144,11 @@ function DocumentViewer() {
     }
   }
 
-  const handleDownload = async () => {
-    if (!document) return
+  const handleDownload = async (target = document) => {
+    if (!target) return
 
     try {
-      const [bucket, ...pathParts] = document.file_path.split('/')
+      const [bucket, ...pathParts] = target.file_path.split('/')
       const filePath = pathParts.join('/')
 
       const { data, error: downloadError } = await supabase.storage
@@ -155,20 +157,71 @@ function DocumentViewer() {
 
       if (downloadError) throw downloadError
 
+      // `document` is the record in state, so reach the DOM through window
       const url = window.URL.createObjectURL(data)
-      const a = document.createElement('a')
+      const a = window.document.createElement('a')
       a.href = url
-      a.download = document.file_name
-      document.body.appendChild(a)
+      a.download = target.file_name
+      window.document.body.appendChild(a)
       a.click()
       window.URL.revokeObjectURL(url)
-      document.body.removeChild(a)
+      window.document.body.removeChild(a)
     } catch (err) {
       console.error('Error downloading document:', err)
       alert('Failed to download document')
     }
   }
 
+  const handleNewVersion = () => {
+    navigate('/hrms/documents/upload', {
+      state: {
+        entityType: document.entity_type,
+        entityId: document.entity_id,
+        documentType: document.document_type,
+        checklistItemId: document.checklist_item_id,
+        parentDocumentId: document.document_id,
+      },
+    })
+  }
+
+  // Archiving is a soft delete: the file and its version chain are kept and can be restored
+  const handleArchive = async () => {
+    if (
+      !window.confirm(
+        `Archive "${document.document_name}"? It will be hidden from document lists and checklists until it is restored.`
+      )
+    ) {
+      return
+    }
+
+    await updateStatus('archive_hrms_document', 'Failed to archive document')
+  }
+
+  const handleRestore = () => updateStatus('restore_hrms_document', 'Failed to restore document')
+
+  const updateStatus = async (rpcName, fallbackMessage) => {
+    try {
+      setUpdatingStatus(true)
+
+      const { data, error: rpcError } = await supabase.rpc(rpcName, { p_document_id: documentId })
+
+      if (rpcError) throw rpcError
+
+      setDocument((prev) => ({ ...prev, ...data }))
+      fetchVersions()
+    } catch (err) {
+      console.error(`Error calling ${rpcName}:`, err)
+      alert(err.message || fallbackMessage)
+    } finally {
+      setUpdatingStatus(false)
+    }
+  }
+
+  const getVersionLabel = (version) => {
+    if (version.document_status === 'archived') return 'Archived'
+    return version.is_current_version ? 'CURRENT' : 'Superseded'
+  }
+
   const formatFileSize = (bytes) => {
     if (!bytes) return 'N/A'
     if (bytes < 1024) return `${bytes} B`
@@ -210,6 +263,7 @@ function DocumentViewer() {
 
   const isImage = document.content_type?.startsWith('image/')
   const isPDF = document.content_type === 'application/pdf'
+  const isArchived = document.document_status === 'archived'
 
   return (
     <div className="document-viewer" data-testid="document-viewer">
@@ -225,6 +279,13 @@ function DocumentViewer() {
         </button>
       </div>
 
+      {isArchived && (
+        <div className="document-archived-notice" data-testid="archived-notice">
+          This document was archived{document.archived_at ? ` on ${formatDate(document.archived_at)}` : ''}. It is
+          hidden from document lists and does not count towards checklists.
+        </div>
+      )}
+
       <div className="document-viewer-content">
         {/* Preview Panel */}
         <div className="document-preview-panel">
@@ -249,7 +310,7 @@ function DocumentViewer() {
               <div className="preview-unavailable">
                 <DocumentPlusIcon className="unavailable-icon" />
                 <p>Preview not available</p>
-                <button className="btn btn-primary" onClick={handleDownload}>
+                <button className="btn btn-primary" onClick={() => handleDownload()}>
                   Download Document
                 </button>
               </div>
@@ -347,9 +408,16 @@ function DocumentViewer() {
                   <span>{Math.round((document.ai_confidence_score || 0) * 100)}%</span>
                 </div>
               </div>
-              <div className="ai-data">
-                <pre>{JSON.stringify(document.ai_parsed_data, null, 2)}</pre>
-              </div>
+              {document.ai_parsed_data.fields ? (
+                <AiParsedDataPanel
+                  document={document}
+                  onAccepted={(updated) => setDocument((prev) => ({ ...prev, ...updated }))}
+                />
+              ) : (
+                <div className="ai-data">
+                  <pre>{JSON.stringify(document.ai_parsed_data, null, 2)}</pre>
+                </div>
+              )}
             </div>
           )}
 
@@ -357,7 +425,7 @@ function DocumentViewer() {
           <div className="info-section">
             <h3>ACTIONS</h3>
             <div className="action-buttons">
-              <button className="btn btn-secondary" onClick={handleDownload}>
+              <button className="btn btn-secondary" onClick={() => handleDownload()}>
                 <ArrowDownTrayIcon className="icon-sm" />
                 Download
               </button>
@@ -368,23 +436,23 @@ function DocumentViewer() {
                 <PencilIcon className="icon-sm" />
                 Edit Info
               </button>
-              <button
-                className="btn btn-secondary"
-                onClick={() => navigate(`/hrms/documents/upload`, {
-                  state: {
-                    entityType: document.entity_type,
-                    entityId: document.entity_id,
-                    documentType: document.document_type,
-                  },
-                })}
-              >
-                <DocumentPlusIcon className="icon-sm" />
-                New Version
-              </button>
-              <button className="btn btn-danger">
-                <TrashIcon className="icon-sm" />
-                Delete
-              </button>
+              {document.is_current_version && !isArchived && (
+                <button className="btn btn-secondary" onClick={handleNewVersion}>
+                  <DocumentPlusIcon className="icon-sm" />
+                  New Version
+                </button>
+              )}
+              {isArchived ? (
+                <button className="btn btn-secondary" onClick={handleRestore} disabled={updatingStatus}>
+                  <ArrowUturnLeftIcon className="icon-sm" />
+                  {updatingStatus ? 'Restoring...' : 'Restore'}
+                </button>
+              ) : (
+                <button className="btn btn-danger" onClick={handleArchive} disabled={updatingStatus}>
+                  <ArchiveBoxIcon className="icon-sm" />
+                  {updatingStatus ? 'Archiving...' : 'Archive'}
+                </button>
+              )}
             </div>
           </div>
 
@@ -400,12 +468,11 @@ function DocumentViewer() {
                   >
                     <div className="version-header">
                       <span className="version-number">v{version.version_number}</span>
-                      {version.document_id === documentId && (
-                        <span className="version-badge current">CURRENT</span>
-                      )}
-                      {version.document_id !== documentId && (
-                        <span className="version-badge">Superseded</span>
-                      )}
+                      <span
+                        className={`version-badge ${version.is_current_version && version.document_status !== 'archived' ? 'current' : ''}`}
+                      >
+                        {getVersionLabel(version)}
+                      </span>
                     </div>
                     <div className="version-details">
                       <div>{version.file_name}</div>
@@ -419,13 +486,15 @@ function DocumentViewer() {
                       )}
                     </div>
                     <div className="version-actions">
-                      <button
-                        className="btn-link"
-                        onClick={() => navigate(`/hrms/documents/${version.document_id}`)}
-                      >
-                        View
-                      </button>
-                      <button className="btn-link" onClick={handleDownload}>
+                      {version.document_id !== documentId && (
+                        <button
+                          className="btn-link"
+                          onClick={() => navigate(`/hrms/documents/${version.document_id}`)}
+                        >
+                          View
+                        </button>
+                      )}
+                      <button className="btn-link" onClick={() => handleDownload(version)}>
                         Download
                       </button>
                     </div>
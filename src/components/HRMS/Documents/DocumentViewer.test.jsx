@@ -6,17 +6,24 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, waitFor } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import userEvent from '@testing-library/user-event'
+import { supabase } from '../../../api/supabaseClient'
 import DocumentViewer from './DocumentViewer'
 
+// Per-test changes to the document returned by the mock
+let mockDocumentOverrides = {}
+
 // Mock Supabase
 vi.mock('../../../api/supabaseClient', () => {
-  const createQueryBuilder = () => {
+  const createQueryBuilder = (table) => {
     const builder = {
       select: vi.fn(() => builder),
       eq: vi.fn(() => builder),
       or: vi.fn(() => builder),
       order: vi.fn(() => Promise.resolve({ data: [], error: null })),
-      single: vi.fn(() => Promise.resolve({
+      single: vi.fn(() => Promise.resolve(table === 'hrms_employees' ? {
+        data: { employee_id: 'emp-1', first_name: 'John', last_name: 'Doe', employee_code: 'IES00001' },
+        error: null,
+      } : {
         data: {
           document_id: 'doc-1',
           document_name: 'Test Document',
@@ -28,6 +35,8 @@ vi.mock('../../../api/supabaseClient', () => {
           entity_id: 'emp-1',
           document_type: 'passport',
           document_status: 'active',
+          is_current_version: true,
+          version_number: 1,
           expiry_date: null,
           uploaded_at: '2024-01-01T00:00:00Z',
           employee: {
@@ -41,6 +50,7 @@ vi.mock('../../../api/supabaseClient', () => {
             full_name: 'Admin User',
             email: 'admin@example.com',
           },
+          ...mockDocumentOverrides,
         },
         error: null,
       })),
@@ -50,7 +60,8 @@ vi.mock('../../../api/supabaseClient', () => {
 
   return {
     supabase: {
-      from: vi.fn(() => createQueryBuilder()),
+      from: vi.fn((table) => createQueryBuilder(table)),
+      rpc: vi.fn(() => Promise.resolve({ data: [], error: null })),
       storage: {
         from: vi.fn(() => ({
           download: vi.fn(() => Promise.resolve({ data: new Blob(['test'], { type: 'application/pdf' }), error: null })),
@@ -90,6 +101,7 @@ describe('DocumentViewer', () => {
   beforeEach(() => {
     vi.clearAllMocks()
     mockNavigate.mockClear()
+    mockDocumentOverrides = {}
   })
 
   describe('Initial Render', () => {
@@ -205,4 +217,117 @@ describe('DocumentViewer', () => {
       expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents/doc-1/edit')
     })
   })
+
+  describe('Versions', () => {
+    const versions = [
+      {
+        document_id: 'doc-2',
+        version_number: 2,
+        file_name: 'passport-renewed.pdf',
+        file_path: 'documents/employee/emp-1/passport-renewed.pdf',
+        document_status: 'active',
+        is_current_version: true,
+        uploaded_at: '2025-02-01T00:00:00Z',
+      },
+      {
+        document_id: 'doc-1',
+        version_number: 1,
+        file_name: 'test.pdf',
+        file_path: 'documents/employee/emp-1/test.pdf',
+        document_status: 'superseded',
+        is_current_version: false,
+        uploaded_at: '2024-01-01T00:00:00Z',
+      },
+    ]
+
+    it('shows the whole version chain with the state of each version', async () => {
+      mockDocumentOverrides = { document_status: 'superseded', is_current_version: false }
+      supabase.rpc.mockResolvedValue({ data: versions, error: null })
+
+      render(<DocumentViewer />, { wrapper: Wrapper })
+
+      expect(await screen.findByText('VERSION HISTORY')).toBeInTheDocument()
+      expect(supabase.rpc).toHaveBeenCalledWith('get_hrms_document_versions', { p_document_id: 'doc-1' })
+      expect(screen.getByText('CURRENT')).toBeInTheDocument()
+      expect(screen.getByText('Superseded')).toBeInTheDocument()
+      // Only the current version can be replaced
+      expect(screen.queryByText('New Version')).not.toBeInTheDocument()
+
+      await userEvent.click(screen.getByRole('button', { name: 'View' }))
+      expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents/doc-2')
+    })
+
+    it('uploads a new version of the current document', async () => {
+      mockDocumentOverrides = { checklist_item_id: 'item-passport' }
+
+      render(<DocumentViewer />, { wrapper: Wrapper })
+
+      await userEvent.click(await screen.findByRole('button', { name: /New Version/ }))
+
+      expect(mockNavigate).toHaveBeenCalledWith('/hrms/documents/upload', {
+        state: {
+          entityType: 'employee',
+          entityId: 'emp-1',
+          documentType: 'passport',
+          checklistItemId: 'item-passport',
+          parentDocumentId: 'doc-1',
+        },
+      })
+    })
+  })
+
+  describe('Archiving', () => {
+    it('archives the document after confirmation', async () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(true)
+      supabase.rpc.mockImplementation((name) =>
+        Promise.resolve(
+          name === 'archive_hrms_document'
+            ? { data: { document_status: 'archived', archived_at: '2025-03-01T00:00:00Z' }, error: null }
+            : { data: [], error: null }
+        )
+      )
+
+      render(<DocumentViewer />, { wrapper: Wrapper })
+
+      await userEvent.click(await screen.findByRole('button', { name: /Archive/ }))
+
+      expect(supabase.rpc).toHaveBeenCalledWith('archive_hrms_document', { p_document_id: 'doc-1' })
+      expect(await screen.findByTestId('archived-notice')).toHaveTextContent('archived on March 1, 2025')
+      expect(screen.getByRole('button', { name: /Restore/ })).toBeInTheDocument()
+      expect(screen.queryByText('New Version')).not.toBeInTheDocument()
+    })
+
+    it('keeps the document when archiving is cancelled', async () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(false)
+
+      render(<DocumentViewer />, { wrapper: Wrapper })
+
+      await userEvent.click(await screen.findByRole('button', { name: /Archive/ }))
+
+      expect(supabase.rpc).not.toHaveBeenCalledWith('archive_hrms_document', expect.anything())
+      expect(screen.queryByTestId('archived-notice')).not.toBeInTheDocument()
+    })
+
+    it('restores an archived document', async () => {
+      mockDocumentOverrides = { document_status: 'archived', archived_at: '2025-03-01T00:00:00Z' }
+      supabase.rpc.mockImplementation((name) =>
+        Promise.resolve(
+          name === 'restore_hrms_document'
+            ? { data: { document_status: 'active', archived_at: null }, error: null }
+            : { data: [], error: null }
+        )
+      )
+
+      render(<DocumentViewer />, { wrapper: Wrapper })
+
+      expect(await screen.findByTestId('archived-notice')).toBeInTheDocument()
+      await userEvent.click(screen.getByRole('button', { name: /Restore/ }))
+
+      expect(supabase.rpc).toHaveBeenCalledWith('restore_hrms_document', { p_document_id: 'doc-1' })
+      await waitFor(() => {
+        expect(screen.queryByTestId('archived-notice')).not.toBeInTheDocument()
+      })
+      expect(screen.getByRole('button', { name: /Archive/ })).toBeInTheDocument()
+    })
+  })
 })
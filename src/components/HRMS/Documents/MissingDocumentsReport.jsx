@@ -0,0 +1,263 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeftIcon, EnvelopeIcon, CheckCircleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../api/supabaseClient'
+import { sendChecklistReminders } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import LoadingSpinner from '../../Shared/LoadingSpinner'
+import BusinessFilter from '../../Shared/BusinessFilter'
+import './MissingDocumentsReport.css'
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+const SKIP_REASONS = {
+  no_email: 'no email address on file',
+  nothing_missing: 'nothing is missing anymore',
+}
+
+// One entry per employee from the report rows (one row per missing required item)
+const groupByEmployee = (rows) => {
+  const employees = new Map()
+
+  for (const row of rows) {
+    if (!employees.has(row.employee_id)) {
+      employees.set(row.employee_id, {
+        employee_id: row.employee_id,
+        employee_name: row.employee_name,
+        employee_code: row.employee_code,
+        employee_email: row.employee_email,
+        checklists: new Map(),
+        items: [],
+      })
+    }
+
+    const entry = employees.get(row.employee_id)
+    entry.checklists.set(row.employee_checklist_id, {
+      template_name: row.template_name,
+      required_items: row.required_items,
+      required_completed: row.required_completed,
+      last_reminder_sent_at: row.last_reminder_sent_at,
+    })
+    entry.items.push({ item_id: row.item_id, item_name: row.item_name, group_name: row.group_name })
+  }
+
+  return [...employees.values()].map((entry) => {
+    const checklists = [...entry.checklists.values()]
+    const reminders = checklists.map((c) => c.last_reminder_sent_at).filter(Boolean).sort()
+    return {
+      ...entry,
+      checklists,
+      last_reminder_sent_at: reminders[reminders.length - 1] || null,
+    }
+  })
+}
+
+/**
+ * MissingDocumentsReport - Active employees whose assigned checklists still lack
+ * required documents (get_hrms_missing_required_documents), with email reminders
+ * URL: /hrms/documents/missing
+ */
+function MissingDocumentsReport() {
+  const { tenant, selectedBusiness } = useTenant()
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [rows, setRows] = useState([])
+  const [selectedIds, setSelectedIds] = useState([])
+  const [sendingIds, setSendingIds] = useState([])
+  const [reminderResult, setReminderResult] = useState(null)
+
+  const fetchReport = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: reportError } = await supabase.rpc('get_hrms_missing_required_documents', {
+        p_tenant_id: tenant.tenant_id,
+        p_business_id: selectedBusiness?.business_id || null,
+      })
+
+      if (reportError) throw reportError
+
+      setRows(data || [])
+      setSelectedIds([])
+    } catch (err) {
+      console.error('Error fetching missing documents:', err)
+      setError(err.message || 'Failed to load missing documents')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id])
+
+  useEffect(() => {
+    fetchReport()
+  }, [fetchReport])
+
+  const employees = useMemo(() => groupByEmployee(rows), [rows])
+
+  const toggleSelected = (employeeId) => {
+    setSelectedIds((prev) =>
+      prev.includes(employeeId) ? prev.filter((id) => id !== employeeId) : [...prev, employeeId]
+    )
+  }
+
+  const toggleAll = () => {
+    setSelectedIds((prev) => (prev.length === employees.length ? [] : employees.map((e) => e.employee_id)))
+  }
+
+  const handleRemind = async (employeeIds) => {
+    try {
+      setSendingIds(employeeIds)
+      setError(null)
+      setReminderResult(null)
+
+      const { data: { session } } = await supabase.auth.getSession()
+      const result = await sendChecklistReminders(tenant.tenant_id, employeeIds, session?.access_token)
+
+      setReminderResult(result)
+      await fetchReport()
+    } catch (err) {
+      console.error('Error sending checklist reminders:', err)
+      setError(err.message || 'Failed to send reminders')
+    } finally {
+      setSendingIds([])
+    }
+  }
+
+  const nameOf = (employeeId) =>
+    employees.find((e) => e.employee_id === employeeId)?.employee_name || employeeId
+
+  if (loading && rows.length === 0) {
+    return <LoadingSpinner fullScreen message="Loading missing documents..." />
+  }
+
+  return (
+    <div className="missing-documents-report" data-testid="missing-documents-report">
+      <BusinessFilter />
+
+      <Link to="/hrms/documents" className="back-link">
+        <ArrowLeftIcon className="icon-sm" />
+        Back to Documents
+      </Link>
+
+      <div className="missing-documents-header">
+        <div>
+          <h1>Missing Required Documents</h1>
+          <p className="missing-documents-subtitle">
+            Active employees whose assigned checklists still need required documents
+          </p>
+        </div>
+        <button
+          className="btn btn-primary"
+          onClick={() => handleRemind(selectedIds)}
+          disabled={selectedIds.length === 0 || sendingIds.length > 0}
+        >
+          <EnvelopeIcon className="icon-sm" />
+          Remind Selected ({selectedIds.length})
+        </button>
+      </div>
+
+      {error && (
+        <div className="missing-documents-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      {reminderResult && (
+        <div className="missing-documents-result" role="status">
+          <p>{reminderResult.sent} reminder(s) sent.</p>
+          {reminderResult.skipped.map((skip) => (
+            <p key={skip.employee_id}>
+              Skipped {nameOf(skip.employee_id)}: {SKIP_REASONS[skip.reason] || skip.reason}
+            </p>
+          ))}
+          {reminderResult.failed.map((failure) => (
+            <p key={failure.employee_id} className="result-failed">
+              Failed for {nameOf(failure.employee_id)}: {failure.error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {employees.length === 0 ? (
+        <div className="missing-documents-empty">
+          <CheckCircleIcon className="empty-icon" />
+          <p>Every active employee has uploaded their required documents.</p>
+        </div>
+      ) : (
+        <table className="missing-documents-table">
+          <thead>
+            <tr>
+              <th>
+                <input
+                  type="checkbox"
+                  aria-label="Select all employees"
+                  checked={selectedIds.length === employees.length}
+                  onChange={toggleAll}
+                />
+              </th>
+              <th>Employee</th>
+              <th>Checklist</th>
+              <th>Missing Documents</th>
+              <th>Last Reminder</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {employees.map((employee) => (
+              <tr key={employee.employee_id} data-testid={`missing-row-${employee.employee_id}`}>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${employee.employee_name}`}
+                    checked={selectedIds.includes(employee.employee_id)}
+                    onChange={() => toggleSelected(employee.employee_id)}
+                  />
+                </td>
+                <td>
+                  <Link to={`/hrms/employees/${employee.employee_id}`}>{employee.employee_name}</Link>
+                  <div className="cell-secondary">{employee.employee_code}</div>
+                  {!employee.employee_email && <div className="cell-warning">No email on file</div>}
+                </td>
+                <td>
+                  {employee.checklists.map((checklist) => (
+                    <div key={checklist.template_name}>
+                      {checklist.template_name}
+                      <div className="cell-secondary">
+                        Required: {checklist.required_completed}/{checklist.required_items}
+                      </div>
+                    </div>
+                  ))}
+                </td>
+                <td>
+                  <ul className="missing-items">
+                    {employee.items.map((item) => (
+                      <li key={item.item_id}>
+                        {item.item_name}
+                        {item.group_name && <span className="cell-secondary"> ({item.group_name})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+                <td>{employee.last_reminder_sent_at ? formatDate(employee.last_reminder_sent_at) : 'Never'}</td>
+                <td>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => handleRemind([employee.employee_id])}
+                    disabled={!employee.employee_email || sendingIds.length > 0}
+                  >
+                    {sendingIds.includes(employee.employee_id) ? 'Sending...' : 'Send Reminder'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default MissingDocumentsReport
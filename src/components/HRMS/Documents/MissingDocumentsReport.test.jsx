@@ -0,0 +1,150 @@
+/**
+ * MissingDocumentsReport Component Tests
+ * Missing required checklist documents and reminders
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { BrowserRouter } from 'react-router-dom'
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+    auth: {
+      getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+    },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  sendChecklistReminders: vi.fn(),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'biz-1' },
+  }),
+}))
+
+vi.mock('../../Shared/BusinessFilter', () => ({
+  default: () => <div data-testid="business-filter" />,
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { sendChecklistReminders } from '../../../api/edgeFunctions'
+import MissingDocumentsReport from './MissingDocumentsReport'
+
+const buildRow = (overrides = {}) => ({
+  employee_id: 'emp-1',
+  employee_name: 'John Smith',
+  employee_code: 'IES00012',
+  employee_email: 'john@example.com',
+  employee_checklist_id: 'ec-1',
+  template_name: 'IT USA Immigration Documents',
+  required_items: 3,
+  required_completed: 1,
+  last_reminder_sent_at: null,
+  reminder_sent_count: 0,
+  item_id: 'item-passport',
+  item_name: 'Passport',
+  group_name: 'Identity',
+  ...overrides,
+})
+
+const REPORT_ROWS = [
+  buildRow(),
+  buildRow({ item_id: 'item-i94', item_name: 'I-94', group_name: null }),
+  buildRow({
+    employee_id: 'emp-2',
+    employee_name: 'Asha Rao',
+    employee_code: 'IES00015',
+    employee_email: null,
+    employee_checklist_id: 'ec-2',
+    required_completed: 2,
+    last_reminder_sent_at: '2025-03-01T09:00:00Z',
+    item_id: 'item-i9',
+    item_name: 'Form I-9',
+  }),
+]
+
+const renderReport = () =>
+  render(
+    <BrowserRouter>
+      <MissingDocumentsReport />
+    </BrowserRouter>
+  )
+
+describe('MissingDocumentsReport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.rpc.mockResolvedValue({ data: REPORT_ROWS, error: null })
+  })
+
+  it('lists each employee with their missing required documents', async () => {
+    renderReport()
+
+    const john = await screen.findByTestId('missing-row-emp-1')
+    expect(within(john).getByText('John Smith')).toBeInTheDocument()
+    expect(within(john).getByText('Required: 1/3')).toBeInTheDocument()
+    expect(within(john).getByText('Passport')).toBeInTheDocument()
+    expect(within(john).getByText('I-94')).toBeInTheDocument()
+    expect(within(john).getByText('Never')).toBeInTheDocument()
+
+    const asha = screen.getByTestId('missing-row-emp-2')
+    expect(within(asha).getByText('No email on file')).toBeInTheDocument()
+    expect(within(asha).getByText('Mar 1, 2025')).toBeInTheDocument()
+    expect(within(asha).getByRole('button', { name: 'Send Reminder' })).toBeDisabled()
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_hrms_missing_required_documents', {
+      p_tenant_id: 'test-tenant-id',
+      p_business_id: 'biz-1',
+    })
+  })
+
+  it('shows an empty state when nothing is missing', async () => {
+    supabase.rpc.mockResolvedValue({ data: [], error: null })
+    renderReport()
+
+    expect(await screen.findByText('Every active employee has uploaded their required documents.')).toBeInTheDocument()
+  })
+
+  it('sends a reminder to one employee and refreshes the report', async () => {
+    sendChecklistReminders.mockResolvedValue({ sent: 1, skipped: [], failed: [] })
+    renderReport()
+
+    const john = await screen.findByTestId('missing-row-emp-1')
+    await userEvent.click(within(john).getByRole('button', { name: 'Send Reminder' }))
+
+    expect(await screen.findByText('1 reminder(s) sent.')).toBeInTheDocument()
+    expect(sendChecklistReminders).toHaveBeenCalledWith('test-tenant-id', ['emp-1'], 'test-token')
+    expect(supabase.rpc).toHaveBeenCalledTimes(2)
+  })
+
+  it('reminds the selected employees and reports skipped ones', async () => {
+    sendChecklistReminders.mockResolvedValue({
+      sent: 1,
+      skipped: [{ employee_id: 'emp-2', reason: 'no_email' }],
+      failed: [],
+    })
+    renderReport()
+
+    await userEvent.click(await screen.findByLabelText('Select all employees'))
+    await userEvent.click(screen.getByRole('button', { name: 'Remind Selected (2)' }))
+
+    await waitFor(() =>
+      expect(sendChecklistReminders).toHaveBeenCalledWith('test-tenant-id', ['emp-1', 'emp-2'], 'test-token')
+    )
+    expect(await screen.findByText('Skipped Asha Rao: no email address on file')).toBeInTheDocument()
+  })
+
+  it('shows the error when reminders fail', async () => {
+    sendChecklistReminders.mockRejectedValue(new Error('Resend is not configured'))
+    renderReport()
+
+    const john = await screen.findByTestId('missing-row-emp-1')
+    await userEvent.click(within(john).getByRole('button', { name: 'Send Reminder' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Resend is not configured')
+  })
+})
@@ -1,4 +1,6 @@
 export { default as DocumentList } from './DocumentList'
 export { default as DocumentUpload } from './DocumentUpload'
 export { default as DocumentViewer } from './DocumentViewer'
+export { default as MissingDocumentsReport } from './MissingDocumentsReport'
+export { default as DocumentStorageReport } from './DocumentStorageReport'
 export { default as DocumentManagement } from './DocumentManagement'
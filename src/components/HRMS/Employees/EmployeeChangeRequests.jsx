@@ -0,0 +1,251 @@
+import { useState, useCallback, useEffect } from 'react'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { ClockIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline'
+import './EmployeeChangeRequests.css'
+
+const ADDRESS_TYPE_LABELS = {
+  current: 'Current Address',
+  permanent: 'Permanent Address',
+  mailing: 'Mailing Address'
+}
+
+// Display order and labels of the fields a portal employee can change
+const FIELD_LABELS = {
+  email: 'Email',
+  phone: 'Phone',
+  street_address_1: 'Street Address',
+  street_address_2: 'Apartment, Suite',
+  city_id: 'City',
+  state_id: 'State',
+  country_id: 'Country',
+  postal_code: 'Postal Code',
+  valid_from: 'Effective From'
+}
+
+const LOCATION_LOOKUPS = [
+  { field: 'country_id', table: 'countries' },
+  { field: 'state_id', table: 'states' },
+  { field: 'city_id', table: 'cities' }
+]
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+// Address requests store ids; resolve them to names for the reviewer
+const fetchLocationNames = async (pending) => {
+  const addressValues = pending
+    .filter((request) => request.change_type === 'address')
+    .flatMap((request) => [request.requested_values, request.previous_values].filter(Boolean))
+
+  const results = await Promise.all(
+    LOCATION_LOOKUPS.map(({ field, table }) => {
+      const ids = [...new Set(addressValues.map((values) => values[field]).filter(Boolean))]
+      if (ids.length === 0) return Promise.resolve({ data: [] })
+      return supabase.from(table).select(`${field}, name`).in(field, ids)
+    })
+  )
+
+  return Object.fromEntries(
+    results.flatMap((result, idx) =>
+      (result.data || []).map((row) => [row[LOCATION_LOOKUPS[idx].field], row.name])
+    )
+  )
+}
+
+/**
+ * Pending contact and address changes an employee filed from the portal.
+ * Approving applies the change (see review_hrms_employee_change_request);
+ * rejecting requires a reason, which the employee sees in the portal.
+ */
+function EmployeeChangeRequests({ employeeId, onApplied }) {
+  const { tenant } = useTenant()
+  const [requests, setRequests] = useState([])
+  const [locationNames, setLocationNames] = useState({})
+  const [error, setError] = useState(null)
+  const [reviewingId, setReviewingId] = useState(null)
+  const [rejectingId, setRejectingId] = useState(null)
+  const [rejectReason, setRejectReason] = useState('')
+
+  const fetchRequests = useCallback(async () => {
+    if (!tenant?.tenant_id || !employeeId) return
+
+    try {
+      setError(null)
+
+      const { data, error: requestsError } = await supabase
+        .from('hrms_employee_change_requests')
+        .select('request_id, change_type, address_type, requested_values, previous_values, employee_note, created_at')
+        .eq('tenant_id', tenant.tenant_id)
+        .eq('employee_id', employeeId)
+        .eq('request_status', 'pending')
+        .order('created_at', { ascending: true })
+
+      if (requestsError) throw requestsError
+
+      const pending = data || []
+      setRequests(pending)
+      setLocationNames(await fetchLocationNames(pending))
+    } catch (err) {
+      console.error('Error fetching change requests:', err)
+      setError(err.message || 'Failed to load change requests')
+    }
+  }, [employeeId, tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchRequests()
+  }, [fetchRequests])
+
+  const displayValue = (field, value) => {
+    if (value == null || value === '') return '—'
+    if (field.endsWith('_id')) return locationNames[value] || value
+    return value
+  }
+
+  const handleReview = async (request, approve) => {
+    if (!approve && !rejectReason.trim()) {
+      setError('Please give the employee a reason for rejecting this change')
+      return
+    }
+
+    try {
+      setReviewingId(request.request_id)
+      setError(null)
+
+      const { error: reviewError } = await supabase.rpc('review_hrms_employee_change_request', {
+        p_request_id: request.request_id,
+        p_approve: approve,
+        p_review_notes: approve ? null : rejectReason.trim()
+      })
+
+      if (reviewError) {
+        if (reviewError.code === '23505') {
+          throw new Error('This email address is already used by another employee')
+        }
+        throw reviewError
+      }
+
+      setRequests((prev) => prev.filter((r) => r.request_id !== request.request_id))
+      setRejectingId(null)
+      setRejectReason('')
+      if (approve) onApplied?.()
+    } catch (err) {
+      console.error('Error reviewing change request:', err)
+      setError(err.message || 'Failed to review change request')
+    } finally {
+      setReviewingId(null)
+    }
+  }
+
+  if (requests.length === 0 && !error) return null
+
+  return (
+    <div className="info-card change-requests-card">
+      <h3>
+        <ClockIcon className="icon-sm" />
+        Pending Changes from Employee Portal
+      </h3>
+
+      {error && (
+        <div className="change-requests-error" role="alert">
+          <ExclamationCircleIcon className="icon-sm" />
+          {error}
+        </div>
+      )}
+
+      {requests.map((request) => {
+        const fields = Object.keys(FIELD_LABELS).filter((field) => field in request.requested_values)
+        const title = request.change_type === 'contact'
+          ? 'Contact Information'
+          : ADDRESS_TYPE_LABELS[request.address_type]
+
+        return (
+          <div key={request.request_id} className="change-request" aria-label={`${title} change`}>
+            <div className="change-request-header">
+              <span className="change-request-title">{title}</span>
+              <span className="change-request-date">Requested {formatDate(request.created_at)}</span>
+            </div>
+
+            <table className="change-request-diff">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Current</th>
+                  <th>Requested</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map((field) => {
+                  const previous = request.previous_values?.[field]
+                  const requested = request.requested_values[field]
+                  return (
+                    <tr key={field} className={String(previous ?? '') !== String(requested ?? '') ? 'changed' : ''}>
+                      <td>{FIELD_LABELS[field]}</td>
+                      <td>{displayValue(field, previous)}</td>
+                      <td>{displayValue(field, requested)}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+
+            {request.employee_note && (
+              <p className="change-request-note">Employee note: {request.employee_note}</p>
+            )}
+
+            {rejectingId === request.request_id ? (
+              <div className="change-request-reject">
+                <label>
+                  Reason for rejecting
+                  <textarea
+                    rows={2}
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                  />
+                </label>
+                <div className="change-request-actions">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => { setRejectingId(null); setRejectReason('') }}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    disabled={reviewingId === request.request_id}
+                    onClick={() => handleReview(request, false)}
+                  >
+                    Confirm Reject
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="change-request-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  disabled={reviewingId === request.request_id}
+                  onClick={() => setRejectingId(request.request_id)}
+                >
+                  Reject
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  disabled={reviewingId === request.request_id}
+                  onClick={() => handleReview(request, true)}
+                >
+                  {reviewingId === request.request_id ? 'Applying...' : 'Approve'}
+                </button>
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default EmployeeChangeRequests
@@ -0,0 +1,148 @@
+/**
+ * EmployeeChangeRequests Component Tests
+ * Reviewing contact and address changes filed from the employee portal
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+  }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import EmployeeChangeRequests from './EmployeeChangeRequests'
+
+const mockRequests = [
+  {
+    request_id: 'req-contact',
+    change_type: 'contact',
+    address_type: null,
+    requested_values: { phone: '555-0200' },
+    previous_values: { email: 'john@example.com', phone: '555-0100' },
+    employee_note: 'New mobile number',
+    created_at: '2025-03-01T10:00:00Z',
+  },
+  {
+    request_id: 'req-address',
+    change_type: 'address',
+    address_type: 'current',
+    requested_values: { street_address_1: '9 Elm St', country_id: 'country-us', state_id: 'state-tx', city_id: '' },
+    previous_values: { street_address_1: '1 Main St', country_id: 'country-us', state_id: 'state-nj' },
+    employee_note: null,
+    created_at: '2025-03-02T10:00:00Z',
+  },
+]
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    in: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+const mockSupabaseTables = (tables) => {
+  supabase.from.mockImplementation((table) => createQuery(tables[table] || []))
+}
+
+const renderRequests = (props = {}) => render(<EmployeeChangeRequests employeeId="emp-1" {...props} />)
+
+describe('EmployeeChangeRequests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables({
+      hrms_employee_change_requests: mockRequests,
+      countries: [{ country_id: 'country-us', name: 'United States' }],
+      states: [
+        { state_id: 'state-tx', name: 'Texas' },
+        { state_id: 'state-nj', name: 'New Jersey' },
+      ],
+    })
+    supabase.rpc.mockResolvedValue({ data: { request_status: 'approved' }, error: null })
+  })
+
+  it('renders nothing when there are no pending changes', async () => {
+    mockSupabaseTables({ hrms_employee_change_requests: [] })
+    const { container } = renderRequests()
+
+    await waitFor(() => expect(supabase.from).toHaveBeenCalledWith('hrms_employee_change_requests'))
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('shows current and requested values with location names', async () => {
+    renderRequests()
+
+    const contact = await screen.findByLabelText('Contact Information change')
+    expect(within(contact).getByText('555-0100')).toBeInTheDocument()
+    expect(within(contact).getByText('555-0200')).toBeInTheDocument()
+    expect(within(contact).getByText('Employee note: New mobile number')).toBeInTheDocument()
+
+    const address = screen.getByLabelText('Current Address change')
+    const stateRow = within(address).getByText('State').closest('tr')
+    expect(within(stateRow).getByText('New Jersey')).toBeInTheDocument()
+    expect(within(stateRow).getByText('Texas')).toBeInTheDocument()
+  })
+
+  it('approves a change and lets the page reload the employee', async () => {
+    const onApplied = vi.fn()
+    renderRequests({ onApplied })
+
+    const contact = await screen.findByLabelText('Contact Information change')
+    fireEvent.click(within(contact).getByRole('button', { name: 'Approve' }))
+
+    await waitFor(() => expect(onApplied).toHaveBeenCalled())
+    expect(supabase.rpc).toHaveBeenCalledWith('review_hrms_employee_change_request', {
+      p_request_id: 'req-contact',
+      p_approve: true,
+      p_review_notes: null,
+    })
+    expect(screen.queryByLabelText('Contact Information change')).not.toBeInTheDocument()
+  })
+
+  it('requires a reason before rejecting', async () => {
+    renderRequests()
+
+    const address = await screen.findByLabelText('Current Address change')
+    fireEvent.click(within(address).getByRole('button', { name: 'Reject' }))
+    fireEvent.click(within(address).getByRole('button', { name: 'Confirm Reject' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Please give the employee a reason')
+    expect(supabase.rpc).not.toHaveBeenCalled()
+
+    fireEvent.change(within(address).getByLabelText('Reason for rejecting'), {
+      target: { value: 'Please attach a lease agreement' },
+    })
+    fireEvent.click(within(address).getByRole('button', { name: 'Confirm Reject' }))
+
+    await waitFor(() =>
+      expect(supabase.rpc).toHaveBeenCalledWith('review_hrms_employee_change_request', {
+        p_request_id: 'req-address',
+        p_approve: false,
+        p_review_notes: 'Please attach a lease agreement',
+      })
+    )
+  })
+
+  it('explains an email already used by another employee', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { code: '23505', message: 'duplicate key value' } })
+    renderRequests()
+
+    const contact = await screen.findByLabelText('Contact Information change')
+    fireEvent.click(within(contact).getByRole('button', { name: 'Approve' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This email address is already used by another employee')
+  })
+})
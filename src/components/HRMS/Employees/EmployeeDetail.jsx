@@ -1,7 +1,10 @@
-import { useState, useEffect, useMemo } from 'react'
-import { useParams, Link, useNavigate } from 'react-router-dom'
+import { useState, useCallback, useEffect } from 'react'
+import { useParams, useSearchParams, Link, useNavigate } from 'react-router-dom'
+import { supabase } from '../../../api/supabaseClient'
 import { useTenant } from '../../../contexts/TenantProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
+import EmployeeNotes from './EmployeeNotes'
+import EmployeeChangeRequests from './EmployeeChangeRequests'
 import {
   ArrowLeftIcon,
   PencilIcon,
@@ -72,9 +75,48 @@ const REVIEW_STATUS = {
   draft: { label: 'Draft', bgColor: '#F3F4F6', textColor: '#374151', borderColor: '#D1D5DB' },
   in_progress: { label: 'In Progress', bgColor: '#FEF3C7', textColor: '#92400E', borderColor: '#FCD34D' },
   pending_acknowledgment: { label: 'Pending Acknowledgment', bgColor: '#DBEAFE', textColor: '#1E40AF', borderColor: '#93C5FD' },
+  submitted: { label: 'Pending Acknowledgment', bgColor: '#DBEAFE', textColor: '#1E40AF', borderColor: '#93C5FD' },
+  acknowledged: { label: 'Acknowledged', bgColor: '#D1FAE5', textColor: '#065F46', borderColor: '#6EE7B7' },
   completed: { label: 'Completed', bgColor: '#D1FAE5', textColor: '#065F46', borderColor: '#6EE7B7' }
 }
 
+// Review statuses that close a review
+const CLOSED_REVIEW_STATUSES = ['acknowledged', 'completed']
+
+const REVIEW_TYPES = {
+  annual: 'Annual Performance Review',
+  semi_annual: 'Semi-Annual Review',
+  quarterly: 'Quarterly Review',
+  probation: 'Probation Review',
+  pip: 'Performance Improvement Plan',
+  promotion: 'Promotion Review',
+  other: 'Performance Review'
+}
+
+// Project status configuration
+const PROJECT_STATUSES = {
+  active: { label: 'Active', bgColor: '#D1FAE5', textColor: '#065F46', dotColor: '#10B981' },
+  completed: { label: 'Completed', bgColor: '#DBEAFE', textColor: '#1E40AF', dotColor: '#3B82F6' },
+  on_hold: { label: 'On Hold', bgColor: '#FEF3C7', textColor: '#92400E', dotColor: '#F59E0B' },
+  cancelled: { label: 'Cancelled', bgColor: '#FEE2E2', textColor: '#991B1B', dotColor: '#EF4444' }
+}
+
+// Timesheet status configuration
+const TIMESHEET_STATUSES = {
+  draft: { label: 'Draft', bgColor: '#F3F4F6', textColor: '#374151', dotColor: '#6B7280' },
+  submitted: { label: 'Submitted', bgColor: '#DBEAFE', textColor: '#1E40AF', dotColor: '#3B82F6' },
+  approved: { label: 'Approved', bgColor: '#D1FAE5', textColor: '#065F46', dotColor: '#10B981' },
+  rejected: { label: 'Rejected', bgColor: '#FEE2E2', textColor: '#991B1B', dotColor: '#EF4444' }
+}
+
+const WORK_LOCATION_TYPES = {
+  onsite: 'Onsite',
+  hybrid: 'Hybrid',
+  remote: 'Remote'
+}
+
+const RECENT_TIMESHEETS_LIMIT = 12
+
 // Tab configuration
 const TABS = [
   { id: 'overview', label: 'Overview', icon: UserIcon },
@@ -86,6 +128,158 @@ const TABS = [
   { id: 'notes', label: 'Notes', icon: ChatBubbleLeftRightIcon }
 ]
 
+// Formatting helpers
+const formatDate = (value) => {
+  if (!value) return null
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value)
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+const formatMonthYear = (value) =>
+  value ? new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' }) : null
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return null
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const fullName = (person) => (person ? `${person.first_name} ${person.last_name}` : null)
+
+const toDocumentItem = (document, item) => ({
+  name: item?.item_name || document?.document_name,
+  required: item?.is_required ?? false,
+  uploaded: Boolean(document),
+  ...(document && {
+    document_id: document.document_id,
+    version: document.version_number,
+    file_type: document.file_name?.split('.').pop()?.toUpperCase() || document.content_type,
+    file_size: formatFileSize(document.size_bytes),
+    uploaded_date: formatDate(document.uploaded_at),
+    expiry_date: document.expiry_date
+  })
+})
+
+/**
+ * Lay out the employee's current documents against the template version each
+ * assigned checklist is pinned to: one group per checklist group, with unfilled items shown as
+ * missing, and any documents outside the checklists under "Other Documents".
+ * Progress counts required items only.
+ */
+function buildDocumentGroups(templates, documents) {
+  // Documents arrive newest first, so the first match per item is the one shown
+  const documentsByItem = new Map()
+  documents.forEach((doc) => {
+    if (doc.checklist_item_id && !documentsByItem.has(doc.checklist_item_id)) {
+      documentsByItem.set(doc.checklist_item_id, doc)
+    }
+  })
+
+  const itemIds = new Set()
+  const checklistGroups = []
+  const checklists = templates.map((template) => {
+    const items = [...(template.hrms_checklist_items || [])].sort((a, b) => a.display_order - b.display_order)
+    const groups = [...(template.hrms_checklist_groups || [])].sort((a, b) => a.display_order - b.display_order)
+    items.forEach((item) => itemIds.add(item.item_id))
+
+    const itemsIn = (groupId) => items
+      .filter((item) => (item.group_id || null) === groupId)
+      .map((item) => toDocumentItem(documentsByItem.get(item.item_id), item))
+
+    checklistGroups.push(
+      ...groups.map((group) => ({ key: group.group_id, title: group.group_name, documents: itemsIn(group.group_id) })),
+      { key: `ungrouped-${template.template_id}`, title: template.template_name, documents: itemsIn(null) }
+    )
+
+    const required = items.filter((item) => item.is_required)
+    return {
+      key: template.template_id,
+      name: template.template_name,
+      completed: required.filter((item) => documentsByItem.has(item.item_id)).length,
+      total: required.length
+    }
+  })
+
+  const otherDocuments = documents
+    .filter((doc) => !itemIds.has(doc.checklist_item_id))
+    .map((doc) => toDocumentItem(doc))
+
+  return {
+    groups: [
+      ...checklistGroups,
+      { key: 'other', title: 'Other Documents', documents: otherDocuments }
+    ].filter((group) => group.documents.length > 0),
+    checklists: checklists.filter((checklist) => checklist.total > 0),
+    completed: checklists.reduce((sum, checklist) => sum + checklist.completed, 0),
+    total: checklists.reduce((sum, checklist) => sum + checklist.total, 0)
+  }
+}
+
+/**
+ * Share of tracked compliance items (waived excluded) that are not overdue,
+ * or null when nothing is tracked for the employee
+ */
+function calculateComplianceScore(complianceItems) {
+  const tracked = complianceItems.filter((item) => item.compliance_status !== 'waived')
+  if (tracked.length === 0) return null
+
+  const today = new Date().toISOString().split('T')[0]
+  const overdue = tracked.filter((item) =>
+    item.compliance_status === 'overdue' ||
+    (item.compliance_status === 'pending' && item.due_date < today)
+  ).length
+
+  return Math.round(((tracked.length - overdue) / tracked.length) * 100)
+}
+
+const toAddress = (address) => ({
+  is_current: address.is_current,
+  street_address_1: address.street_address_1,
+  street_address_2: address.street_address_2,
+  city: address.cities?.name,
+  state: address.states?.code || address.states?.name,
+  postal_code: address.postal_code,
+  country: address.countries?.name,
+  valid_from: formatMonthYear(address.valid_from),
+  valid_to: formatMonthYear(address.valid_to)
+})
+
+const toProject = (project) => ({
+  project_id: project.project_id,
+  name: project.project_name,
+  client: project.end_client_name,
+  status: project.project_status,
+  start_date: formatDate(project.project_start_date),
+  end_date: formatDate(project.project_end_date),
+  location: [project.cities?.name, project.states?.code || project.states?.name].filter(Boolean).join(', ') || null,
+  work_type: WORK_LOCATION_TYPES[project.work_location_type],
+  bill_rate: project.actual_client_bill_rate,
+  pay_rate: project.rate_paid_to_candidate,
+  is_lca: project.is_lca_project
+})
+
+const toTimesheet = (timesheet) => ({
+  timesheet_id: timesheet.timesheet_id,
+  period: `${formatDate(timesheet.period_start_date)} - ${formatDate(timesheet.period_end_date)}`,
+  project: timesheet.project?.project_name,
+  hours: Number(timesheet.total_hours_worked || 0),
+  status: timesheet.submission_status,
+  submitted: formatDate(timesheet.submitted_at)
+})
+
+const toReview = (report) => ({
+  report_id: report.report_id,
+  title: [report.review_year, REVIEW_TYPES[report.review_type] || REVIEW_TYPES.other].filter(Boolean).join(' '),
+  status: report.review_status,
+  rating: report.overall_rating != null ? Number(report.overall_rating) : null,
+  period_start: formatDate(report.review_period_start),
+  period_end: formatDate(report.review_period_end),
+  reviewer: fullName(report.reviewer),
+  completed_date: formatDate(report.reviewed_at),
+  summary: report.reviewer_comments,
+  document: report.file_path?.split('/').pop()
+})
+
 // Sub-components
 function EmployeeTypeBadge({ type }) {
   const config = EMPLOYEE_TYPES[type] || EMPLOYEE_TYPES.it_usa
@@ -100,8 +294,8 @@ function EmployeeTypeBadge({ type }) {
   )
 }
 
-function StatusBadge({ status }) {
-  const config = STATUS_CONFIG[status] || STATUS_CONFIG.active
+function StatusBadge({ status, config: statusConfig = STATUS_CONFIG }) {
+  const config = statusConfig[status] || STATUS_CONFIG.active
   return (
     <span 
       className="status-badge"
@@ -257,7 +451,7 @@ function DocumentGroup({ title, documents, expanded = true, onToggle }) {
       {expanded && (
         <div className="document-group-items">
           {documents.map((doc, idx) => (
-            <DocumentItem key={idx} document={doc} />
+            <DocumentItem key={doc.document_id || idx} document={doc} />
           ))}
         </div>
       )}
@@ -285,21 +479,22 @@ function StarRating({ rating, maxRating = 5 }) {
 }
 
 function PerformanceReviewCard({ review, isActive = false }) {
-  const statusIcon = review.status === 'completed' ? CheckCircleSolid : ArrowPathIcon
+  const isClosed = CLOSED_REVIEW_STATUSES.includes(review.status)
+  const StatusIcon = isClosed ? CheckCircleSolid : ArrowPathIcon
   
   return (
     <div className={`review-card ${isActive ? 'review-active' : ''}`}>
       <div className="review-header">
         <div className="review-title-row">
-          <statusIcon className={`icon-md ${review.status === 'completed' ? 'text-success' : 'text-warning'}`} />
+          <StatusIcon className={`icon-md ${isClosed ? 'text-success' : 'text-warning'}`} />
           <h4 className="review-title">{review.title}</h4>
           <ReviewStatusBadge status={review.status} />
         </div>
-        {review.rating && <StarRating rating={review.rating} />}
+        {review.rating != null && <StarRating rating={review.rating} />}
       </div>
       <div className="review-details">
-        <p className="review-period">Review Period: {review.period_start} - {review.period_end}</p>
-        <p className="review-reviewer">Reviewer: {review.reviewer} • {review.status === 'completed' ? `Completed: ${review.completed_date}` : 'In Progress'}</p>
+        <p className="review-period">Review Period: {review.period_start || '—'} - {review.period_end || '—'}</p>
+        <p className="review-reviewer">Reviewer: {review.reviewer || 'Unassigned'} • {isClosed ? `Completed: ${review.completed_date || '—'}` : 'In Progress'}</p>
         {review.summary && <p className="review-summary">{review.summary}</p>}
         {review.document && (
           <p className="review-document">📄 {review.document}</p>
@@ -336,6 +531,9 @@ function AddressCard({ addresses }) {
         </button>
       </div>
       <div className="address-list">
+        {addresses.length === 0 && (
+          <p className="empty-state-text">No addresses on file.</p>
+        )}
         {addresses.map((addr, idx) => (
           <div key={idx} className={`address-item ${addr.is_current ? 'address-current' : ''}`}>
             <div className="address-header">
@@ -347,7 +545,7 @@ function AddressCard({ addresses }) {
             <div className="address-content">
               <p className="address-street">{addr.street_address_1}</p>
               {addr.street_address_2 && <p className="address-street2">{addr.street_address_2}</p>}
-              <p className="address-city">{addr.city}, {addr.state} {addr.postal_code}</p>
+              <p className="address-city">{[addr.city, addr.state].filter(Boolean).join(', ')} {addr.postal_code}</p>
               <p className="address-country">{addr.country}</p>
             </div>
           </div>
@@ -362,20 +560,22 @@ function ProjectCard({ project }) {
     <div className="project-card">
       <div className="project-header">
         <h4 className="project-name">{project.name}</h4>
-        <StatusBadge status={project.status} />
+        <StatusBadge status={project.status} config={PROJECT_STATUSES} />
       </div>
       <div className="project-details">
         <p className="project-client">
           <BuildingOfficeIcon className="icon-sm" /> {project.client}
         </p>
         <p className="project-dates">
-          <CalendarIcon className="icon-sm" /> {project.start_date} - {project.end_date || 'Present'}
-        </p>
-        <p className="project-location">
-          <MapPinIcon className="icon-sm" /> {project.location} ({project.work_type})
+          <CalendarIcon className="icon-sm" /> {project.start_date || '—'} - {project.end_date || 'Present'}
         </p>
+        {(project.location || project.work_type) && (
+          <p className="project-location">
+            <MapPinIcon className="icon-sm" /> {[project.location, project.work_type && `(${project.work_type})`].filter(Boolean).join(' ')}
+          </p>
+        )}
         <p className="project-rate">
-          Bill Rate: ${project.bill_rate}/hr • Pay Rate: ${project.pay_rate}/hr
+          Bill Rate: {project.bill_rate != null ? `$${project.bill_rate}/hr` : '—'} • Pay Rate: {project.pay_rate != null ? `$${project.pay_rate}/hr` : '—'}
         </p>
       </div>
       {project.is_lca && (
@@ -387,19 +587,6 @@ function ProjectCard({ project }) {
   )
 }
 
-function NoteItem({ note }) {
-  return (
-    <div className="note-item">
-      <div className="note-header">
-        <span className="note-author">{note.author}</span>
-        <span className="note-date">{note.date}</span>
-      </div>
-      <p className="note-content">{note.content}</p>
-      {note.category && <span className="note-category">{note.category}</span>}
-    </div>
-  )
-}
-
 // Visa Immigration Tab Component
 function VisaImmigrationTab({ employeeId }) {
   const [showVisaForm, setShowVisaForm] = useState(false)
@@ -463,175 +650,200 @@ function VisaImmigrationTab({ employeeId }) {
   )
 }
 
-function EmployeeDetail({ testMode = false } = {}) {
+function EmployeeDetail() {
   const { employeeId } = useParams()
   const navigate = useNavigate()
-  const { tenant, selectedBusiness } = useTenant()
+  const [searchParams] = useSearchParams()
+  const { tenant, loading: tenantLoading } = useTenant()
   const [loading, setLoading] = useState(true)
   const [employee, setEmployee] = useState(null)
   const [error, setError] = useState(null)
-  const [activeTab, setActiveTab] = useState('overview')
-  const [expandedDocGroups, setExpandedDocGroups] = useState({ immigration: true, educational: false })
-
-  // Mock employee data for development
-  const mockEmployee = useMemo(() => ({
-    id: employeeId,
-    employee_code: 'IES00012',
-    first_name: 'John',
-    last_name: 'Smith',
-    email: 'john.smith@company.com',
-    phone: '+1 (555) 123-4567',
-    date_of_birth: '1990-01-15',
-    ssn: '123-45-6789',
-    employee_type: 'it_usa',
-    employment_status: 'active',
-    start_date: '2024-01-15',
-    department: 'Engineering',
-    job_title: 'Senior React Developer',
-    lca_job_title: 'Software Developer',
-    manager: 'Sarah Johnson',
-    avatar_url: null,
-    
-    // Quick stats
-    active_projects: 2,
-    documents_count: 8,
-    documents_total: 12,
-    compliance_score: 85,
-    performance_rating: 4.2,
-    
-    // Addresses
-    addresses: [
-      {
-        is_current: true,
-        street_address_1: '123 Main Street, Apt 4B',
-        city: 'San Francisco',
-        state: 'CA',
-        postal_code: '94102',
-        country: 'United States',
-        valid_from: 'Jan 2024'
-      },
-      {
-        is_current: false,
-        street_address_1: '456 Oak Avenue',
-        city: 'Los Angeles',
-        state: 'CA',
-        postal_code: '90001',
-        country: 'United States',
-        valid_from: 'Jun 2022',
-        valid_to: 'Dec 2023'
-      }
-    ],
-    
-    // Documents
-    documents: {
-      immigration: [
-        { name: 'H1B Visa Copy', uploaded: true, version: '2.0', file_type: 'PDF', file_size: '2.3 MB', uploaded_date: 'Dec 1, 2024', expiry_date: 'Dec 20, 2025', required: true },
-        { name: 'I-94', uploaded: true, version: '1.0', file_type: 'PDF', file_size: '1.1 MB', uploaded_date: 'Dec 1, 2024', expiry_date: 'Mar 15, 2026', required: true },
-        { name: 'I-797 Approval Notice', uploaded: false, required: true },
-        { name: 'Passport', uploaded: true, version: '1.0', file_type: 'PDF', file_size: '3.5 MB', uploaded_date: 'Dec 1, 2024', expiry_date: 'Jun 2028', status: 'pending', required: true }
-      ],
-      educational: [
-        { name: "Bachelor's Degree", uploaded: true, version: '1.0', file_type: 'PDF', file_size: '1.2 MB', uploaded_date: 'Jan 15, 2024', required: true },
-        { name: "Master's Degree", uploaded: false, required: false }
-      ]
-    },
-    
-    // Projects
-    projects: [
-      { name: 'Acme Corp - Senior Developer', client: 'Acme Corporation', status: 'active', start_date: 'Jan 15, 2024', location: 'San Francisco, CA', work_type: 'Hybrid', bill_rate: 85, pay_rate: 68, is_lca: true },
-      { name: 'TechStart - React Migration', client: 'TechStart Inc', status: 'active', start_date: 'Mar 1, 2024', location: 'Remote', work_type: 'Remote', bill_rate: 90, pay_rate: 72, is_lca: false }
-    ],
-    
-    // Timesheets
-    timesheets: [
-      { period: 'Dec 1-15, 2024', project: 'Acme Corp', hours: 80, status: 'approved', submitted: 'Dec 16, 2024' },
-      { period: 'Nov 16-30, 2024', project: 'Acme Corp', hours: 76, status: 'approved', submitted: 'Dec 1, 2024' },
-      { period: 'Nov 1-15, 2024', project: 'TechStart', hours: 80, status: 'approved', submitted: 'Nov 16, 2024' }
-    ],
-    
-    // Visa status
-    visa: {
-      current_status: 'H1B',
-      receipt_number: 'WAC-123-456-789',
-      petition_number: 'PET-001',
-      valid_from: 'Jan 1, 2024',
-      valid_until: 'Dec 31, 2026',
-      employer: 'Intuites LLC',
-      lca_case_number: 'LCA-2024-001'
-    },
-    
-    // Performance reviews
-    reviews: [
-      { 
-        title: '2025 Annual Performance Review', 
-        status: 'in_progress', 
-        period_start: 'January 1, 2025', 
-        period_end: 'December 31, 2025',
-        reviewer: 'Sarah Johnson (Engineering Manager)'
-      },
-      { 
-        title: '2024 Annual Performance Review', 
-        status: 'completed', 
-        rating: 4.2,
-        period_start: 'Jan 1, 2024', 
-        period_end: 'Dec 31, 2024',
-        reviewer: 'Sarah Johnson',
-        completed_date: 'Jan 15, 2025',
-        summary: 'Exceeded expectations in technical delivery and mentorship. Successfully led microservices migration project.',
-        document: 'Annual_Review_2024_JSmith.pdf'
-      },
-      { 
-        title: '2024 Mid-Year Review', 
-        status: 'completed', 
-        rating: 4.0,
-        period_start: 'Jan 1, 2024', 
-        period_end: 'Jun 30, 2024',
-        reviewer: 'Sarah Johnson',
-        completed_date: 'Jul 20, 2024',
-        summary: 'On track with goals. Strong collaboration with team members.',
-        document: 'MidYear_Review_2024_JSmith.pdf'
-      }
-    ],
-    
-    // Notes
-    notes: [
-      { author: 'Sarah Johnson', date: 'Dec 10, 2024', content: 'Discussed career path and interest in technical lead role.', category: 'Career Development' },
-      { author: 'HR Admin', date: 'Nov 15, 2024', content: 'Completed benefits enrollment for 2025.', category: 'Benefits' },
-      { author: 'Immigration Team', date: 'Oct 1, 2024', content: 'H1B extension filed. Receipt received.', category: 'Immigration' }
-    ]
-  }), [employeeId])
-
+  // Action menu links open a tab directly, e.g. ?tab=notes
+  const [activeTab, setActiveTab] = useState(() =>
+    TABS.some((tab) => tab.id === searchParams.get('tab')) ? searchParams.get('tab') : 'overview'
+  )
+  const [expandedDocGroups, setExpandedDocGroups] = useState({})
+  const [cancellingTermination, setCancellingTermination] = useState(false)
+  const [terminationError, setTerminationError] = useState(null)
 
-  useEffect(() => {
-    if (testMode) {
-      setEmployee(mockEmployee)
+  const fetchEmployee = useCallback(async () => {
+    // Without a tenant there is nothing to load; fall through to the not-found state
+    if (!tenant?.tenant_id || !employeeId) {
+      setEmployee(null)
       setLoading(false)
-      setError(null)
       return
     }
-    fetchEmployee()
-  }, [employeeId, testMode])
 
-  const fetchEmployee = async () => {
     try {
       setLoading(true)
-      // TODO: Replace with actual Supabase query
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 500))
-      setEmployee(mockEmployee)
+      setError(null)
+
+      const { data: employeeRow, error: empError } = await supabase
+        .from('hrms_employees')
+        .select('*, working_title:job_title(job_title)')
+        .eq('employee_id', employeeId)
+        .eq('tenant_id', tenant.tenant_id)
+        .is('deleted_at', null)
+        .maybeSingle()
+
+      if (empError) throw empError
+      if (!employeeRow) {
+        setEmployee(null)
+        return
+      }
+
+      const byEmployee = (table, columns) => supabase
+        .from(table)
+        .select(columns)
+        .eq('tenant_id', tenant.tenant_id)
+        .eq('employee_id', employeeId)
+
+      const [
+        addressesResult,
+        documentsResult,
+        checklistsResult,
+        projectsResult,
+        timesheetsResult,
+        reviewsResult,
+        complianceResult,
+        terminationResult,
+        lcaTitleResult
+      ] = await Promise.all([
+        byEmployee('hrms_employee_addresses', '*, cities(name), states(name, code), countries(name)')
+          .order('is_current', { ascending: false })
+          .order('valid_from', { ascending: false }),
+        supabase
+          .from('hrms_documents')
+          .select('document_id, checklist_item_id, document_name, file_name, content_type, size_bytes, expiry_date, version_number, uploaded_at')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('entity_type', 'employee')
+          .eq('entity_id', employeeId)
+          .eq('is_current_version', true)
+          .in('document_status', ['active', 'expired'])
+          .order('uploaded_at', { ascending: false }),
+        byEmployee('hrms_employee_checklists', `
+          employee_checklist_id,
+          template:hrms_checklist_templates(template_id, template_name),
+          version:hrms_checklist_template_versions(
+            version_id,
+            version_number,
+            hrms_checklist_groups(group_id, group_name, display_order),
+            hrms_checklist_items(item_id, group_id, item_name, is_required, display_order)
+          )
+        `)
+          .order('assigned_at', { ascending: true }),
+        byEmployee('hrms_projects', '*, cities(name), states(name, code)')
+          .order('project_start_date', { ascending: false }),
+        byEmployee('hrms_timesheets', `
+          timesheet_id,
+          period_start_date,
+          period_end_date,
+          total_hours_worked,
+          submission_status,
+          submitted_at,
+          project:hrms_projects!hrms_timesheets_project_id_fkey(project_name)
+        `)
+          .order('period_start_date', { ascending: false })
+          .limit(RECENT_TIMESHEETS_LIMIT),
+        byEmployee('hrms_performance_reports', `
+          *,
+          reviewer:hrms_employees!hrms_performance_reports_reviewer_id_fkey(first_name, last_name)
+        `)
+          .order('review_period_end', { ascending: false, nullsFirst: true }),
+        byEmployee('hrms_compliance_items', 'compliance_status, due_date'),
+        byEmployee('hrms_employee_terminations', 'termination_id, effective_date, termination_type')
+          .eq('termination_status', 'active')
+          .limit(1),
+        employeeRow.lca_job_title_id
+          ? supabase
+            .from('hrms_lca_job_titles')
+            .select('lca_job_title')
+            .eq('lca_job_title_id', employeeRow.lca_job_title_id)
+            .maybeSingle()
+          : Promise.resolve({ data: null, error: null })
+      ])
+
+      const failed = [
+        addressesResult,
+        documentsResult,
+        checklistsResult,
+        projectsResult,
+        timesheetsResult,
+        reviewsResult,
+        complianceResult,
+        terminationResult,
+        lcaTitleResult
+      ].find((result) => result.error)
+      if (failed) throw failed.error
+
+      const projects = (projectsResult.data || []).map(toProject)
+      const reviews = (reviewsResult.data || []).map(toReview)
+      const lastRated = reviews.find((review) => CLOSED_REVIEW_STATUSES.includes(review.status) && review.rating != null)
+      const checklist = buildDocumentGroups(
+        (checklistsResult.data || [])
+          .filter((assignment) => assignment.template && assignment.version)
+          .map((assignment) => ({ ...assignment.version, ...assignment.template })),
+        documentsResult.data || []
+      )
+
+      setEmployee({
+        ...employeeRow,
+        job_title: employeeRow.working_title?.job_title,
+        lca_job_title: lcaTitleResult.data?.lca_job_title,
+        addresses: (addressesResult.data || []).map(toAddress),
+        checklists: checklist.checklists,
+        documents: checklist.groups,
+        documents_count: checklist.completed,
+        documents_total: checklist.total,
+        projects,
+        active_projects: projects.filter((project) => project.status === 'active').length,
+        timesheets: (timesheetsResult.data || []).map(toTimesheet),
+        reviews,
+        performance_rating: lastRated?.rating ?? null,
+        compliance_score: calculateComplianceScore(complianceResult.data || []),
+        termination: terminationResult.data?.[0] || null
+      })
     } catch (err) {
       console.error('Error fetching employee:', err)
-      setError(err.message)
+      setError(err.message || 'Failed to load employee')
     } finally {
       setLoading(false)
     }
+  }, [employeeId, tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchEmployee()
+  }, [fetchEmployee])
+
+  // Reverses the termination; the RPC only allows this before the effective date
+  const handleCancelTermination = async () => {
+    if (!window.confirm('Cancel this termination and restore the employee, their projects and visa statuses?')) return
+
+    setCancellingTermination(true)
+    setTerminationError(null)
+    try {
+      const { error: rpcError } = await supabase.rpc('cancel_hrms_employee_termination', {
+        p_termination_id: employee.termination.termination_id
+      })
+      if (rpcError) throw rpcError
+      await fetchEmployee()
+    } catch (err) {
+      console.error('Error cancelling termination:', err)
+      setTerminationError(err.message || 'Failed to cancel termination')
+    } finally {
+      setCancellingTermination(false)
+    }
   }
 
-  const toggleDocGroup = (groupId) => {
-    setExpandedDocGroups(prev => ({ ...prev, [groupId]: !prev[groupId] }))
+  // Only the first document group starts expanded
+  const isDocGroupExpanded = (groupId, index) => expandedDocGroups[groupId] ?? index === 0
+
+  const toggleDocGroup = (groupId, index) => {
+    setExpandedDocGroups(prev => ({ ...prev, [groupId]: !(prev[groupId] ?? index === 0) }))
   }
 
   const getComplianceVariant = (score) => {
+    if (score == null) return 'default'
     if (score >= 90) return 'success'
     if (score >= 70) return 'warning'
     return 'danger'
@@ -649,7 +861,7 @@ function EmployeeDetail({ testMode = false } = {}) {
     return age
   }
 
-  if (loading) {
+  if (loading || (tenantLoading && !tenant?.tenant_id)) {
     return <LoadingSpinner message="Loading employee details..." />
   }
 
@@ -688,6 +900,7 @@ function EmployeeDetail({ testMode = false } = {}) {
       case 'overview':
         return (
           <div className="tab-content-overview">
+            <EmployeeChangeRequests employeeId={employeeId} onApplied={fetchEmployee} />
             <div className="info-card">
               <h3>Personal Information</h3>
               <div className="info-grid">
@@ -695,13 +908,12 @@ function EmployeeDetail({ testMode = false } = {}) {
                 <InfoField label="Date of Birth" value={employee.date_of_birth ? `${new Date(employee.date_of_birth).toLocaleDateString()} (Age: ${age})` : null} />
                 <InfoField label="Email" value={employee.email} />
                 <InfoField label="Phone" value={employee.phone} />
-                <InfoField label="SSN" value={employee.ssn} masked />
+                <InfoField label="SSN" value={employee.ssn_encrypted ? 'On file' : null} />
                 <InfoField label="Employee Code" value={employee.employee_code} />
                 <InfoField label="Department" value={employee.department} />
                 <InfoField label="Working Title" value={employee.job_title} />
                 <InfoField label="LCA Job Title" value={employee.lca_job_title} />
-                <InfoField label="Reports To" value={employee.manager} />
-                <InfoField label="Start Date" value={employee.start_date} />
+                <InfoField label="Start Date" value={formatDate(employee.start_date)} />
                 <InfoField label="Employee Type" value={EMPLOYEE_TYPES[employee.employee_type]?.label} />
               </div>
             </div>
@@ -712,33 +924,36 @@ function EmployeeDetail({ testMode = false } = {}) {
       case 'documents':
         return (
           <div className="tab-content-documents">
-            <div className="documents-header">
-              <div className="checklist-info">
-                <span className="checklist-name">Checklist: IT USA Immigration Documents</span>
-                <span className="checklist-progress">Progress: {employee.documents_count}/{employee.documents_total}</span>
+            {employee.checklists.map((checklist) => (
+              <div key={checklist.key} className="documents-header">
+                <div className="checklist-info">
+                  <span className="checklist-name">Checklist: {checklist.name}</span>
+                  <span className="checklist-progress">Required: {checklist.completed}/{checklist.total}</span>
+                </div>
+                <div className="progress-bar">
+                  <div 
+                    className="progress-fill" 
+                    style={{ width: `${(checklist.completed / checklist.total) * 100}%` }}
+                  />
+                </div>
+                <span className="progress-percent">{Math.round((checklist.completed / checklist.total) * 100)}%</span>
               </div>
-              <div className="progress-bar">
-                <div 
-                  className="progress-fill" 
-                  style={{ width: `${(employee.documents_count / employee.documents_total) * 100}%` }}
-                />
+            ))}
+            {employee.documents.length === 0 ? (
+              <p className="empty-state-text">No documents uploaded for this employee.</p>
+            ) : (
+              <div className="document-groups">
+                {employee.documents.map((group, idx) => (
+                  <DocumentGroup 
+                    key={group.key}
+                    title={group.title} 
+                    documents={group.documents}
+                    expanded={isDocGroupExpanded(group.key, idx)}
+                    onToggle={() => toggleDocGroup(group.key, idx)}
+                  />
+                ))}
               </div>
-              <span className="progress-percent">{Math.round((employee.documents_count / employee.documents_total) * 100)}%</span>
-            </div>
-            <div className="document-groups">
-              <DocumentGroup 
-                title="Immigration Documents" 
-                documents={employee.documents.immigration}
-                expanded={expandedDocGroups.immigration}
-                onToggle={() => toggleDocGroup('immigration')}
-              />
-              <DocumentGroup 
-                title="Educational Documents" 
-                documents={employee.documents.educational}
-                expanded={expandedDocGroups.educational}
-                onToggle={() => toggleDocGroup('educational')}
-              />
-            </div>
+            )}
           </div>
         )
       
@@ -746,16 +961,20 @@ function EmployeeDetail({ testMode = false } = {}) {
         return (
           <div className="tab-content-projects">
             <div className="projects-header">
-              <h3>Active Projects ({employee.projects.filter(p => p.status === 'active').length})</h3>
+              <h3>Active Projects ({employee.active_projects})</h3>
               <button className="btn-primary btn-sm">
                 <PlusIcon className="icon-sm" /> Assign to Project
               </button>
             </div>
-            <div className="projects-grid">
-              {employee.projects.map((project, idx) => (
-                <ProjectCard key={idx} project={project} />
-              ))}
-            </div>
+            {employee.projects.length === 0 ? (
+              <p className="empty-state-text">This employee has not been assigned to any projects.</p>
+            ) : (
+              <div className="projects-grid">
+                {employee.projects.map((project) => (
+                  <ProjectCard key={project.project_id} project={project} />
+                ))}
+              </div>
+            )}
           </div>
         )
       
@@ -768,32 +987,36 @@ function EmployeeDetail({ testMode = false } = {}) {
                 <PlusIcon className="icon-sm" /> Submit Timesheet
               </button>
             </div>
-            <table className="timesheets-table">
-              <thead>
-                <tr>
-                  <th>Period</th>
-                  <th>Project</th>
-                  <th>Hours</th>
-                  <th>Submitted</th>
-                  <th>Status</th>
-                  <th>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {employee.timesheets.map((ts, idx) => (
-                  <tr key={idx}>
-                    <td>{ts.period}</td>
-                    <td>{ts.project}</td>
-                    <td>{ts.hours}</td>
-                    <td>{ts.submitted}</td>
-                    <td><StatusBadge status={ts.status === 'approved' ? 'active' : 'on_leave'} /></td>
-                    <td>
-                      <button className="btn-secondary btn-xs">View</button>
-                    </td>
+            {employee.timesheets.length === 0 ? (
+              <p className="empty-state-text">No timesheets recorded for this employee.</p>
+            ) : (
+              <table className="timesheets-table">
+                <thead>
+                  <tr>
+                    <th>Period</th>
+                    <th>Project</th>
+                    <th>Hours</th>
+                    <th>Submitted</th>
+                    <th>Status</th>
+                    <th>Actions</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {employee.timesheets.map((ts) => (
+                    <tr key={ts.timesheet_id}>
+                      <td>{ts.period}</td>
+                      <td>{ts.project}</td>
+                      <td>{ts.hours}</td>
+                      <td>{ts.submitted || '—'}</td>
+                      <td><StatusBadge status={ts.status} config={TIMESHEET_STATUSES} /></td>
+                      <td>
+                        <button className="btn-secondary btn-xs" onClick={() => navigate(`/hrms/timesheets/${ts.timesheet_id}`)}>View</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
         )
       
@@ -806,46 +1029,44 @@ function EmployeeDetail({ testMode = false } = {}) {
             <div className="performance-header">
               <div>
                 <p className="employee-info">Employee: {employee.first_name} {employee.last_name} ({employee.employee_code}) • {EMPLOYEE_TYPES[employee.employee_type]?.label}</p>
-                <p className="current-project">Current Project: {employee.projects[0]?.name}</p>
+                <p className="current-project">Current Project: {employee.projects.find(p => p.status === 'active')?.name || '—'}</p>
               </div>
               <button className="btn-primary btn-sm">
                 <PlusIcon className="icon-sm" /> Start Review
               </button>
             </div>
             
-            {employee.reviews.filter(r => r.status !== 'completed').length > 0 && (
+            {employee.reviews.length === 0 && (
+              <p className="empty-state-text">No performance reviews recorded for this employee.</p>
+            )}
+
+            {employee.reviews.some(r => !CLOSED_REVIEW_STATUSES.includes(r.status)) && (
               <div className="reviews-section">
                 <h4 className="section-title">ACTIVE REVIEW</h4>
-                {employee.reviews.filter(r => r.status !== 'completed').map((review, idx) => (
-                  <PerformanceReviewCard key={idx} review={review} isActive />
+                {employee.reviews.filter(r => !CLOSED_REVIEW_STATUSES.includes(r.status)).map((review) => (
+                  <PerformanceReviewCard key={review.report_id} review={review} isActive />
                 ))}
               </div>
             )}
             
-            <div className="reviews-section">
-              <h4 className="section-title">COMPLETED REVIEWS</h4>
-              {employee.reviews.filter(r => r.status === 'completed').map((review, idx) => (
-                <PerformanceReviewCard key={idx} review={review} />
-              ))}
-            </div>
+            {employee.reviews.some(r => CLOSED_REVIEW_STATUSES.includes(r.status)) && (
+              <div className="reviews-section">
+                <h4 className="section-title">COMPLETED REVIEWS</h4>
+                {employee.reviews.filter(r => CLOSED_REVIEW_STATUSES.includes(r.status)).map((review) => (
+                  <PerformanceReviewCard key={review.report_id} review={review} />
+                ))}
+              </div>
+            )}
           </div>
         )
       
       case 'notes':
         return (
-          <div className="tab-content-notes">
-            <div className="notes-header">
-              <h3>Notes & Comments</h3>
-              <button className="btn-primary btn-sm">
-                <PlusIcon className="icon-sm" /> Add Note
-              </button>
-            </div>
-            <div className="notes-list">
-              {employee.notes.map((note, idx) => (
-                <NoteItem key={idx} note={note} />
-              ))}
-            </div>
-          </div>
+          <EmployeeNotes
+            employeeId={employeeId}
+            businessId={employee.business_id}
+            autoFocus={searchParams.get('tab') === 'notes'}
+          />
         )
       
       default:
@@ -871,6 +1092,23 @@ function EmployeeDetail({ testMode = false } = {}) {
         </div>
       </div>
 
+      {employee.termination && (
+        <div className="termination-banner" role="status">
+          <ExclamationTriangleIcon className="icon-sm" />
+          <span>Termination effective {formatDate(employee.termination.effective_date)}</span>
+          {employee.termination.effective_date > new Date().toISOString().split('T')[0] && (
+            <button
+              className="btn-secondary btn-sm"
+              onClick={handleCancelTermination}
+              disabled={cancellingTermination}
+            >
+              {cancellingTermination ? 'Cancelling...' : 'Cancel Termination'}
+            </button>
+          )}
+          {terminationError && <span className="termination-error" role="alert">{terminationError}</span>}
+        </div>
+      )}
+
       {/* Employee Header Card */}
       <div className="employee-header-card">
         <div className="header-main">
@@ -896,13 +1134,15 @@ function EmployeeDetail({ testMode = false } = {}) {
               <EnvelopeIcon className="icon-sm" />
               {employee.email}
             </a>
-            <a href={`tel:${employee.phone}`} className="contact-item">
-              <PhoneIcon className="icon-sm" />
-              {employee.phone}
-            </a>
+            {employee.phone && (
+              <a href={`tel:${employee.phone}`} className="contact-item">
+                <PhoneIcon className="icon-sm" />
+                {employee.phone}
+              </a>
+            )}
             <span className="contact-item">
               <CalendarIcon className="icon-sm" />
-              Started: {employee.start_date}
+              Started: {formatDate(employee.start_date)}
             </span>
           </div>
         </div>
@@ -917,19 +1157,21 @@ function EmployeeDetail({ testMode = false } = {}) {
           <QuickStatCard 
             icon={DocumentTextIcon} 
             label="Documents" 
-            value={`${employee.documents_count}/${employee.documents_total}`}
+            value={employee.documents_total > 0 ? `${employee.documents_count}/${employee.documents_total}` : '—'}
+            subtext={employee.documents_total > 0 ? null : 'No checklist'}
           />
           <QuickStatCard 
             icon={CheckCircleIcon} 
             label="Compliance" 
-            value={`${employee.compliance_score}%`}
+            value={employee.compliance_score != null ? `${employee.compliance_score}%` : '—'}
+            subtext={employee.compliance_score != null ? null : 'Nothing tracked'}
             variant={getComplianceVariant(employee.compliance_score)}
           />
           <QuickStatCard 
             icon={ChartBarIcon} 
             label="Performance" 
-            value={employee.performance_rating.toFixed(1)}
-            subtext="out of 5.0"
+            value={employee.performance_rating != null ? employee.performance_rating.toFixed(1) : '—'}
+            subtext={employee.performance_rating != null ? 'out of 5.0' : 'No completed reviews'}
           />
         </div>
       </div>
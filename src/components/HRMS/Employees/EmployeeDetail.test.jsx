@@ -1,10 +1,11 @@
 /**
  * EmployeeDetail Component Tests
- * Tests for the employee detail view with loading and async data
+ * Tests for the employee detail view loaded from Supabase, with loading,
+ * not-found and empty states
  */
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor, act } from '@testing-library/react'
-import { BrowserRouter, MemoryRouter } from 'react-router-dom'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
 
 vi.mock('../../../contexts/AuthProvider', () => ({
   useAuth: () => ({
@@ -15,54 +16,290 @@ vi.mock('../../../contexts/AuthProvider', () => ({
   AuthProvider: ({ children }) => children,
 }))
 
+const mockTenantState = vi.hoisted(() => ({
+  tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+}))
+
 vi.mock('../../../contexts/TenantProvider', () => ({
   useTenant: () => ({
-    tenant: { id: 'test-tenant-id', company_name: 'Test Company' },
+    tenant: mockTenantState.tenant,
     loading: false,
-    selectedBusiness: { id: 'test-business-id', business_name: 'Test Business' },
+    selectedBusiness: { business_id: 'test-business-id', business_name: 'Test Business' },
   }),
   TenantProvider: ({ children }) => children,
 }))
 
 vi.mock('../../../api/supabaseClient', () => ({
   supabase: {
-    from: vi.fn().mockReturnValue({
-      select: vi.fn().mockReturnThis(),
-      eq: vi.fn().mockReturnThis(),
-      single: vi.fn().mockResolvedValue({ data: null, error: null }),
-    }),
+    from: vi.fn(),
+    rpc: vi.fn(),
   },
 }))
 
+import { supabase } from '../../../api/supabaseClient'
 import EmployeeDetail from './EmployeeDetail'
 
-const TestWrapper = ({ children }) => (
-  <BrowserRouter>
-    {children}
-  </BrowserRouter>
+const mockEmployee = {
+  employee_id: 'emp-1',
+  employee_code: 'IES00012',
+  first_name: 'Mary',
+  last_name: 'Chen',
+  email: 'mary.chen@example.com',
+  phone: null,
+  employee_type: 'it_usa',
+  employment_status: 'active',
+  start_date: '2024-01-15',
+  department: 'Engineering',
+  ssn_encrypted: 'encrypted-value',
+  lca_job_title_id: null,
+  working_title: { job_title: 'Senior React Developer' },
+}
+
+const mockTables = {
+  hrms_employees: mockEmployee,
+  hrms_employee_addresses: [
+    {
+      is_current: true,
+      street_address_1: '12 Market Street',
+      postal_code: '94102',
+      valid_from: '2024-01-01',
+      cities: { name: 'San Francisco' },
+      states: { name: 'California', code: 'CA' },
+      countries: { name: 'United States' },
+    },
+  ],
+  hrms_documents: [
+    {
+      document_id: 'doc-1',
+      checklist_item_id: 'item-passport',
+      document_name: 'passport.pdf',
+      file_name: 'passport.pdf',
+      size_bytes: 2 * 1024 * 1024,
+      version_number: 2,
+      uploaded_at: '2024-12-01T10:00:00Z',
+    },
+    {
+      document_id: 'doc-2',
+      checklist_item_id: null,
+      document_name: 'Offer Letter',
+      file_name: 'offer.pdf',
+      size_bytes: 2048,
+      version_number: 1,
+      uploaded_at: '2024-01-10T10:00:00Z',
+    },
+  ],
+  hrms_employee_checklists: [
+    {
+      employee_checklist_id: 'ec-1',
+      template: { template_id: 'tpl-1', template_name: 'IT USA Immigration Documents' },
+      version: {
+        version_id: 'ver-1',
+        version_number: 1,
+        hrms_checklist_groups: [{ group_id: 'grp-1', group_name: 'Immigration Documents', display_order: 1 }],
+        hrms_checklist_items: [
+          { item_id: 'item-passport', group_id: 'grp-1', item_name: 'Passport', is_required: true, display_order: 1 },
+          { item_id: 'item-i94', group_id: 'grp-1', item_name: 'I-94', is_required: true, display_order: 2 },
+          { item_id: 'item-ead', group_id: 'grp-1', item_name: 'EAD Card', is_required: false, display_order: 3 },
+        ],
+      },
+    },
+  ],
+  hrms_projects: [
+    {
+      project_id: 'proj-1',
+      project_name: 'Acme Corp Dev',
+      end_client_name: 'Acme Corp',
+      project_status: 'active',
+      project_start_date: '2024-02-01',
+      work_location_type: 'remote',
+      actual_client_bill_rate: 95,
+      rate_paid_to_candidate: 70,
+      is_lca_project: true,
+    },
+  ],
+  hrms_timesheets: [
+    {
+      timesheet_id: 'ts-1',
+      period_start_date: '2024-12-01',
+      period_end_date: '2024-12-07',
+      total_hours_worked: 40,
+      submission_status: 'approved',
+      submitted_at: '2024-12-08T09:00:00Z',
+      project: { project_name: 'Acme Corp Dev' },
+    },
+  ],
+  hrms_performance_reports: [
+    {
+      report_id: 'rev-1',
+      review_year: 2024,
+      review_type: 'annual',
+      review_status: 'completed',
+      overall_rating: 4.5,
+      review_period_start: '2024-01-01',
+      review_period_end: '2024-12-31',
+      reviewer_comments: 'Led the platform migration.',
+      reviewer: { first_name: 'Sarah', last_name: 'Johnson' },
+    },
+  ],
+  hrms_compliance_items: [
+    { compliance_status: 'completed', due_date: '2024-06-01' },
+    { compliance_status: 'overdue', due_date: '2024-07-01' },
+    { compliance_status: 'waived', due_date: '2024-08-01' },
+  ],
+}
+
+// Chainable query builder resolving to the table's rows; maybeSingle resolves the single row
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    is: vi.fn(() => query),
+    in: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    maybeSingle: vi.fn(() => Promise.resolve({ data, error: null })),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+const mockSupabaseTables = (tables) => {
+  supabase.from.mockImplementation((table) => createQuery(table in tables ? tables[table] : []))
+}
+
+const renderDetail = () => render(
+  <MemoryRouter initialEntries={['/hrms/employees/emp-1']}>
+    <Routes>
+      <Route path="/hrms/employees/:employeeId" element={<EmployeeDetail />} />
+    </Routes>
+  </MemoryRouter>
 )
 
 describe('EmployeeDetail', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    vi.useFakeTimers()
+    mockTenantState.tenant = { tenant_id: 'test-tenant-id', company_name: 'Test Company' }
+    mockSupabaseTables(mockTables)
   })
 
-  afterEach(() => {
-    vi.useRealTimers()
-  })
-
-
   it('shows loading spinner while fetching data', () => {
-    render(<EmployeeDetail testMode={false} />, { wrapper: TestWrapper })
+    renderDetail()
     expect(screen.getByTestId('loading-spinner')).toBeInTheDocument()
   })
 
   it('renders employee details after loading', async () => {
-    render(<EmployeeDetail testMode={true} />, { wrapper: TestWrapper })
-    await waitFor(() => {
-      expect(screen.queryByTestId('loading-spinner')).not.toBeInTheDocument()
-      // You can add more assertions for employee fields if mock data is present
+    renderDetail()
+
+    expect(await screen.findByRole('heading', { name: 'Mary Chen' })).toBeInTheDocument()
+    expect(screen.queryByTestId('loading-spinner')).not.toBeInTheDocument()
+    expect(screen.getByText('Senior React Developer')).toBeInTheDocument()
+    expect(screen.getByText('12 Market Street')).toBeInTheDocument()
+    expect(screen.getByText('San Francisco, CA 94102')).toBeInTheDocument()
+    expect(screen.getByText('On file')).toBeInTheDocument()
+
+    const employeeQuery = supabase.from.mock.results[0].value
+    expect(supabase.from).toHaveBeenNthCalledWith(1, 'hrms_employees')
+    expect(employeeQuery.eq).toHaveBeenCalledWith('employee_id', 'emp-1')
+    expect(employeeQuery.eq).toHaveBeenCalledWith('tenant_id', 'test-tenant-id')
+  })
+
+  it('computes quick stats from real records', async () => {
+    renderDetail()
+    await screen.findByRole('heading', { name: 'Mary Chen' })
+
+    // One of two required checklist items uploaded (the optional one is not counted),
+    // one of two non-waived compliance items overdue
+    expect(screen.getByText('1/2')).toBeInTheDocument()
+    expect(screen.getByText('50%')).toBeInTheDocument()
+    expect(screen.getByText('4.5')).toBeInTheDocument()
+  })
+
+  it('shows checklist documents, missing items and documents outside the checklist', async () => {
+    renderDetail()
+    await screen.findByRole('heading', { name: 'Mary Chen' })
+
+    fireEvent.click(screen.getByRole('button', { name: /documents/i }))
+
+    expect(screen.getByText('Checklist: IT USA Immigration Documents')).toBeInTheDocument()
+    expect(screen.getByText('Required: 1/2')).toBeInTheDocument()
+    expect(screen.getByText('Passport')).toBeInTheDocument()
+    expect(screen.getByText('Missing - Required')).toBeInTheDocument()
+    expect(screen.getByText('Not uploaded (Optional)')).toBeInTheDocument()
+
+    const checklistQuery = supabase.from.mock.results
+      .find((result, index) => supabase.from.mock.calls[index][0] === 'hrms_employee_checklists').value
+    expect(checklistQuery.eq).toHaveBeenCalledWith('employee_id', 'emp-1')
+
+    fireEvent.click(screen.getByRole('button', { name: /other documents/i }))
+    expect(screen.getByText('Offer Letter')).toBeInTheDocument()
+  })
+
+  it('lists projects, timesheets and reviews from their tables', async () => {
+    renderDetail()
+    await screen.findByRole('heading', { name: 'Mary Chen' })
+
+    fireEvent.click(screen.getByRole('button', { name: /^projects$/i }))
+    expect(screen.getByText('Active Projects (1)')).toBeInTheDocument()
+    expect(screen.getByText('Bill Rate: $95/hr • Pay Rate: $70/hr')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /timesheets/i }))
+    expect(screen.getByText('Approved')).toBeInTheDocument()
+    expect(screen.getByText('40')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /performance reviews/i }))
+    expect(screen.getByText('2024 Annual Performance Review')).toBeInTheDocument()
+    expect(screen.getByText('Led the platform migration.')).toBeInTheDocument()
+  })
+
+  it('shows empty states when the employee has no related records', async () => {
+    mockSupabaseTables({ hrms_employees: mockEmployee })
+    renderDetail()
+    await screen.findByRole('heading', { name: 'Mary Chen' })
+
+    expect(screen.getByText('No addresses on file.')).toBeInTheDocument()
+    expect(screen.getByText('No completed reviews')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /documents/i }))
+    expect(screen.getByText('No documents uploaded for this employee.')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /timesheets/i }))
+    expect(screen.getByText('No timesheets recorded for this employee.')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /notes/i }))
+    expect(await screen.findByText('No notes for this employee yet.')).toBeInTheDocument()
+  })
+
+  it('cancels a pending termination before its effective date', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    supabase.rpc.mockResolvedValue({ data: null, error: null })
+    mockSupabaseTables({
+      ...mockTables,
+      hrms_employee_terminations: [{ termination_id: 'term-1', effective_date: '2099-01-31', termination_type: 'voluntary' }],
     })
+    renderDetail()
+
+    expect(await screen.findByText('Termination effective Jan 31, 2099')).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Termination' }))
+
+    await waitFor(() => expect(supabase.rpc).toHaveBeenCalledWith('cancel_hrms_employee_termination', {
+      p_termination_id: 'term-1',
+    }))
+  })
+
+  it('shows the not-found state when the employee does not exist', async () => {
+    mockSupabaseTables({ hrms_employees: null })
+    renderDetail()
+
+    expect(await screen.findByText('Employee Not Found')).toBeInTheDocument()
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops loading when there is no tenant to load the employee for', async () => {
+    mockTenantState.tenant = null
+    renderDetail()
+
+    expect(await screen.findByText('Employee Not Found')).toBeInTheDocument()
+    expect(screen.queryByTestId('loading-spinner')).not.toBeInTheDocument()
+    expect(supabase.from).not.toHaveBeenCalled()
   })
 })
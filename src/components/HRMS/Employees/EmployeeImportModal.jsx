@@ -0,0 +1,256 @@
+import { useState } from 'react'
+import { supabase } from '../../../api/supabaseClient'
+import { parseSpreadsheet } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { downloadBlob, readFileAsBase64, readFileAsText } from '../../../utils/fileUtils'
+import {
+  buildImportErrorReport,
+  buildImportTemplate,
+  mapImportRows,
+  mergeImportResults,
+  validateEmployeeImportRows
+} from '../../../utils/employeeImport'
+import { parseCSV, toCSV } from '../../../utils/csv'
+import {
+  XMarkIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon
+} from '@heroicons/react/24/outline'
+import './EmployeeImportModal.css'
+
+const ACCEPTED_EXTENSIONS = ['.csv', '.xlsx', '.xls']
+
+const downloadCSV = (rows, fileName) => {
+  downloadBlob(new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' }), fileName)
+}
+
+/**
+ * EmployeeImportModal - Bulk import employees from CSV/XLSX
+ * Every file is dry-run first (client validators + import_hrms_employees with
+ * p_dry_run) and only an error-free file can be committed.
+ */
+function EmployeeImportModal({ onClose, onImported }) {
+  const { tenant, selectedBusiness } = useTenant()
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [results, setResults] = useState(null)
+  const [imported, setImported] = useState(null)
+  const [processing, setProcessing] = useState(false)
+  const [error, setError] = useState(null)
+
+  const errorRows = results ? results.filter(result => result.errors.length > 0) : []
+  const canImport = results && rows.length > 0 && errorRows.length === 0 && !processing
+
+  const readRows = async (file) => {
+    if (file.name.toLowerCase().endsWith('.csv')) {
+      return parseCSV(await readFileAsText(file))
+    }
+
+    const { data: { session } } = await supabase.auth.getSession()
+    return parseSpreadsheet(await readFileAsBase64(file), session?.access_token)
+  }
+
+  const runImport = async (importRows, dryRun) => {
+    const { data, error: rpcError } = await supabase.rpc('import_hrms_employees', {
+      p_tenant_id: tenant.tenant_id,
+      p_business_id: selectedBusiness.business_id,
+      p_rows: importRows,
+      p_dry_run: dryRun
+    })
+
+    if (rpcError) throw rpcError
+    return data
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setFileName(file.name)
+    setRows([])
+    setResults(null)
+    setImported(null)
+    setError(null)
+
+    if (!ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
+      setError(`Please upload a ${ACCEPTED_EXTENSIONS.join(', ')} file`)
+      return
+    }
+
+    setProcessing(true)
+    try {
+      const { rows: importRows, missingColumns } = mapImportRows(await readRows(file))
+
+      if (missingColumns.length > 0) {
+        throw new Error(`Missing required column(s): ${missingColumns.join(', ')}`)
+      }
+      if (importRows.length === 0) {
+        throw new Error('The file has no employee rows')
+      }
+
+      const clientErrors = validateEmployeeImportRows(importRows)
+      const dryRun = await runImport(importRows, true)
+
+      setRows(importRows)
+      setResults(mergeImportResults(importRows, clientErrors, dryRun?.rows))
+    } catch (err) {
+      console.error('Error validating employee import:', err)
+      setError(err.message || 'Failed to read import file')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleImport = async () => {
+    setProcessing(true)
+    setError(null)
+    try {
+      const result = await runImport(rows, false)
+      const merged = mergeImportResults(rows, {}, result?.rows)
+      setResults(merged)
+
+      if (merged.some(row => row.errors.length > 0)) {
+        throw new Error('Some rows failed validation. Nothing was imported.')
+      }
+
+      setImported(result.imported)
+      onImported?.()
+    } catch (err) {
+      console.error('Error importing employees:', err)
+      setError(err.message || 'Failed to import employees')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDownloadReport = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, '') || 'employees'
+    downloadCSV(buildImportErrorReport(results), `${baseName}_validation_report.csv`)
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content employee-import-modal"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="employee-import-title"
+      >
+        <div className="modal-header">
+          <h2 id="employee-import-title">Import Employees</h2>
+          <button className="modal-close-btn" onClick={onClose} aria-label="Close">
+            <XMarkIcon className="icon-md" />
+          </button>
+        </div>
+
+        <div className="import-body">
+          {!selectedBusiness?.business_id ? (
+            <div className="import-notice">
+              Select a business before importing employees. Employee codes are generated per business.
+            </div>
+          ) : (
+            <>
+              <p className="import-help">
+                Upload a CSV or Excel file. Every row is validated first; nothing is saved until you confirm.
+              </p>
+
+              <div className="import-file-row">
+                <label className="btn-secondary import-file-label">
+                  <ArrowUpTrayIcon className="icon-sm" />
+                  {fileName ? 'Choose another file' : 'Choose file'}
+                  <input
+                    type="file"
+                    accept={ACCEPTED_EXTENSIONS.join(',')}
+                    onChange={handleFileChange}
+                    disabled={processing}
+                    data-testid="employee-import-file"
+                  />
+                </label>
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => downloadCSV(buildImportTemplate(), 'employee_import_template.csv')}
+                >
+                  Download template
+                </button>
+              </div>
+              {fileName && <div className="import-file-name">{fileName}</div>}
+            </>
+          )}
+
+          {error && (
+            <div className="error-banner" role="alert">
+              <ExclamationCircleIcon className="icon-sm" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {processing && <div className="import-progress">Processing…</div>}
+
+          {imported !== null ? (
+            <div className="import-success">
+              <CheckCircleIcon className="icon-md" />
+              <span>Imported {imported} employee{imported === 1 ? '' : 's'}.</span>
+            </div>
+          ) : results && (
+            <div className="import-summary">
+              <div className="import-counts">
+                <span className="import-count valid">{results.length - errorRows.length} valid</span>
+                <span className="import-count invalid">{errorRows.length} with errors</span>
+              </div>
+
+              {errorRows.length > 0 && (
+                <table className="import-errors-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Employee</th>
+                      <th>Errors</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {errorRows.map(row => (
+                      <tr key={row.row_number}>
+                        <td>{row.row_number}</td>
+                        <td>
+                          {`${row.first_name} ${row.last_name}`.trim() || '—'}
+                          {row.email && <div className="import-email">{row.email}</div>}
+                        </td>
+                        <td>
+                          <ul>
+                            {row.errors.map(message => <li key={message}>{message}</li>)}
+                          </ul>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <button type="button" className="btn-link" onClick={handleDownloadReport}>
+                <ArrowDownTrayIcon className="icon-sm" />
+                Download validation report
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="btn-secondary" onClick={onClose}>
+            {imported !== null ? 'Close' : 'Cancel'}
+          </button>
+          {imported === null && (
+            <button type="button" className="btn-primary" onClick={handleImport} disabled={!canImport}>
+              {rows.length > 0 ? `Import ${rows.length} Employee${rows.length === 1 ? '' : 's'}` : 'Import Employees'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EmployeeImportModal
@@ -0,0 +1,204 @@
+/**
+ * EmployeeImportModal Component Tests
+ * Dry-run validation, error report and commit of bulk employee imports
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'tenant-1' },
+    selectedBusiness: { business_id: 'biz-1', business_name: 'Intuites LLC' },
+  }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+    auth: { getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'token' } } }) },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  parseSpreadsheet: vi.fn(),
+}))
+
+vi.mock('../../../utils/fileUtils', async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadBlob: vi.fn(),
+  readFileAsBase64: vi.fn().mockResolvedValue('base64'),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { parseSpreadsheet } from '../../../api/edgeFunctions'
+import { downloadBlob, readFileAsText } from '../../../utils/fileUtils'
+import EmployeeImportModal from './EmployeeImportModal'
+
+const HEADER = 'First Name,Last Name,Email,Employee Type,Start Date,City,State,Country'
+
+const csvFile = (lines, name = 'cohort.csv') =>
+  new File([lines.join('\n')], name, { type: 'text/csv' })
+
+const dryRunOk = (rowNumbers) => ({
+  data: {
+    dry_run: true,
+    imported: 0,
+    rows: rowNumbers.map(row_number => ({ row_number, errors: [], employee_id: null, employee_code: null })),
+  },
+  error: null,
+})
+
+describe('EmployeeImportModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('dry-runs a valid CSV and enables the import', async () => {
+    supabase.rpc.mockResolvedValueOnce(dryRunOk([2, 3]))
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      HEADER,
+      'Jane,Doe,Jane.Doe@Example.com,IT USA,2025-01-06,Austin,Texas,USA',
+      'Raj,Patel,raj.patel@example.com,internal_india,2025-01-06,,,',
+    ]))
+
+    expect(await screen.findByText('2 valid')).toBeInTheDocument()
+    expect(screen.getByText('0 with errors')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Import 2 Employees' })).toBeEnabled()
+
+    const [fn, params] = supabase.rpc.mock.calls[0]
+    expect(fn).toBe('import_hrms_employees')
+    expect(params).toMatchObject({ p_tenant_id: 'tenant-1', p_business_id: 'biz-1', p_dry_run: true })
+    expect(params.p_rows[0]).toMatchObject({
+      row_number: 2,
+      email: 'jane.doe@example.com',
+      employee_type: 'it_usa',
+      employment_status: 'active',
+      city: 'Austin',
+      country: 'USA',
+    })
+  })
+
+  it('lists per-row errors from validators and the dry run and blocks the import', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: {
+        dry_run: true,
+        imported: 0,
+        rows: [
+          { row_number: 2, errors: ['An employee with this email already exists'] },
+          { row_number: 3, errors: [] },
+          { row_number: 4, errors: [] },
+        ],
+      },
+      error: null,
+    })
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      HEADER,
+      'Jane,Doe,jane.doe@example.com,IT USA,2025-01-06,,,',
+      'Raj,Patel,not-an-email,Contractor,01/06/2025,Austin,,',
+      'Ana,Lopez,jane.doe@example.com,it_usa,2025-01-06,,,',
+    ]))
+
+    expect(await screen.findByText('0 valid')).toBeInTheDocument()
+    expect(screen.getByText('3 with errors')).toBeInTheDocument()
+    expect(screen.getByText('An employee with this email already exists')).toBeInTheDocument()
+    expect(screen.getByText('Please enter a valid email address (e.g., user@example.com)')).toBeInTheDocument()
+    expect(screen.getByText('Employee type "Contractor" is not recognized')).toBeInTheDocument()
+    expect(screen.getByText('Start date must be in YYYY-MM-DD format')).toBeInTheDocument()
+    expect(screen.getByText('State is required when a city is given')).toBeInTheDocument()
+    expect(screen.getByText('Duplicate email (also on row 2)')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Import 3 Employees' })).toBeDisabled()
+  })
+
+  it('downloads the per-row validation report', async () => {
+    supabase.rpc.mockResolvedValueOnce(dryRunOk([2]))
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      HEADER,
+      'Raj,Patel,not-an-email,it_usa,2025-01-06,,,',
+    ]))
+    await userEvent.click(await screen.findByRole('button', { name: /download validation report/i }))
+
+    const [blob, fileName] = downloadBlob.mock.calls[0]
+    expect(fileName).toBe('cohort_validation_report.csv')
+    const report = await readFileAsText(blob)
+    expect(report.split('\r\n')).toEqual([
+      'Row,First Name,Last Name,Email,Result,Errors',
+      '2,Raj,Patel,not-an-email,Error,"Please enter a valid email address (e.g., user@example.com)"',
+    ])
+  })
+
+  it('writes formula-like cells in the report as text', async () => {
+    supabase.rpc.mockResolvedValueOnce(dryRunOk([2]))
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      HEADER,
+      '=1+2,-Patel,@evil.example.com,it_usa,2025-01-06,,,',
+    ]))
+    await userEvent.click(await screen.findByRole('button', { name: /download validation report/i }))
+
+    const report = await readFileAsText(downloadBlob.mock.calls[0][0])
+    expect(report.split('\r\n')[1]).toMatch(/^2,'=1\+2,'-Patel,'@evil\.example\.com,Error,/)
+  })
+
+  it('rejects files without the required columns', async () => {
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      'First Name,Last Name,Email',
+      'Jane,Doe,jane.doe@example.com',
+    ]))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Missing required column(s): Employee Type, Start Date')
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  it('parses Excel files through the spreadsheet edge function', async () => {
+    parseSpreadsheet.mockResolvedValueOnce([
+      ['First Name', 'Last Name', 'Email', 'Employee Type', 'Start Date'],
+      ['Jane', 'Doe', 'jane.doe@example.com', 'Healthcare USA', '2025-01-06'],
+    ])
+    supabase.rpc.mockResolvedValueOnce(dryRunOk([2]))
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={vi.fn()} />)
+
+    await userEvent.upload(
+      screen.getByTestId('employee-import-file'),
+      new File(['xlsx'], 'cohort.xlsx', { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+    )
+
+    expect(await screen.findByText('1 valid')).toBeInTheDocument()
+    expect(parseSpreadsheet).toHaveBeenCalledWith('base64', 'token')
+    expect(supabase.rpc.mock.calls[0][1].p_rows[0].employee_type).toBe('healthcare_usa')
+  })
+
+  it('commits the import and reports the imported count', async () => {
+    const onImported = vi.fn()
+    supabase.rpc
+      .mockResolvedValueOnce(dryRunOk([2]))
+      .mockResolvedValueOnce({
+        data: {
+          dry_run: false,
+          imported: 1,
+          rows: [{ row_number: 2, errors: [], employee_id: 'emp-1', employee_code: 'IES00042' }],
+        },
+        error: null,
+      })
+    render(<EmployeeImportModal onClose={vi.fn()} onImported={onImported} />)
+
+    await userEvent.upload(screen.getByTestId('employee-import-file'), csvFile([
+      HEADER,
+      'Jane,Doe,jane.doe@example.com,IT USA,2025-01-06,,,',
+    ]))
+    await userEvent.click(await screen.findByRole('button', { name: 'Import 1 Employee' }))
+
+    expect(await screen.findByText('Imported 1 employee.')).toBeInTheDocument()
+    expect(supabase.rpc.mock.calls[1][1]).toMatchObject({ p_dry_run: false })
+    await waitFor(() => expect(onImported).toHaveBeenCalled())
+  })
+})
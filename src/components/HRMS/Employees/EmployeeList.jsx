@@ -1,14 +1,21 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { supabase } from '../../../api/supabaseClient'
+import { renderSpreadsheet } from '../../../api/edgeFunctions'
 import { useTenant } from '../../../contexts/TenantProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
 import BusinessFilter from '../../Shared/BusinessFilter'
+import EmployeeImportModal from './EmployeeImportModal'
+import TerminateEmployeeModal from './TerminateEmployeeModal'
 import { useDebounce } from '../../../utils/debounce'
+import { downloadBlob } from '../../../utils/fileUtils'
+import { buildEmployeeExportRows } from '../../../utils/employeeImport'
+import { toCSV } from '../../../utils/csv'
 import {
   MagnifyingGlassIcon,
   FunnelIcon,
   ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
   Cog6ToothIcon,
   EyeIcon,
   PencilIcon,
@@ -76,6 +83,13 @@ function EmployeeList({ testMode = false }) {
   // Dropdown state
   const [openActionMenu, setOpenActionMenu] = useState(null)
 
+  // Import/export state
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  // Termination state
+  const [terminatingEmployee, setTerminatingEmployee] = useState(null)
+
   // Mock departments for filters
   const departments = ['Engineering', 'Sales', 'HR', 'Finance', 'Marketing', 'Operations', 'Healthcare']
 
@@ -306,10 +320,33 @@ function EmployeeList({ testMode = false }) {
     }
   }
 
-  // Export CSV handler
+  // Export the filtered list (all pages)
+  const getExportRows = () =>
+    buildEmployeeExportRows(filteredEmployees, { types: EMPLOYEE_TYPES, statuses: STATUS_CONFIG })
+
+  const exportBaseName = `employees_${new Date().toISOString().split('T')[0]}`
+
   const handleExportCSV = () => {
-    // TODO: Implement CSV export via Edge Function
-    console.log('Export CSV clicked')
+    const blob = new Blob([toCSV(getExportRows())], { type: 'text/csv;charset=utf-8' })
+    downloadBlob(blob, `${exportBaseName}.csv`)
+  }
+
+  const handleExportExcel = async () => {
+    try {
+      setExporting(true)
+      const { data: { session } } = await supabase.auth.getSession()
+      const { blob, fileName } = await renderSpreadsheet(
+        `${exportBaseName}.xlsx`,
+        [{ name: 'Employees', rows: getExportRows() }],
+        session?.access_token
+      )
+      downloadBlob(blob, fileName || `${exportBaseName}.xlsx`)
+    } catch (err) {
+      console.error('Error exporting employees:', err)
+      alert(`Failed to export employees: ${err.message}`)
+    } finally {
+      setExporting(false)
+    }
   }
 
   if (loading) {
@@ -352,10 +389,18 @@ function EmployeeList({ testMode = false }) {
           <p className="page-subtitle">Manage all employees across your organization</p>
         </div>
         <div className="header-actions">
+          <button className="btn-secondary" onClick={() => setShowImportModal(true)}>
+            <ArrowUpTrayIcon className="icon-sm" />
+            Import
+          </button>
           <button className="btn-secondary" onClick={handleExportCSV}>
             <ArrowDownTrayIcon className="icon-sm" />
             Export CSV
           </button>
+          <button className="btn-secondary" onClick={handleExportExcel} disabled={exporting}>
+            <ArrowDownTrayIcon className="icon-sm" />
+            {exporting ? 'Exporting...' : 'Export Excel'}
+          </button>
           <button className="btn-secondary">
             <Cog6ToothIcon className="icon-sm" />
             Customize
@@ -611,6 +656,7 @@ function EmployeeList({ testMode = false }) {
                             <ActionMenu 
                               employee={employee}
                               onClose={() => setOpenActionMenu(null)}
+                              onTerminate={setTerminatingEmployee}
                             />
                           )}
                         </div>
@@ -684,6 +730,21 @@ function EmployeeList({ testMode = false }) {
           </div>
         </>
       )}
+
+      {showImportModal && (
+        <EmployeeImportModal
+          onClose={() => setShowImportModal(false)}
+          onImported={fetchEmployees}
+        />
+      )}
+
+      {terminatingEmployee && (
+        <TerminateEmployeeModal
+          employee={terminatingEmployee}
+          onClose={() => setTerminatingEmployee(null)}
+          onTerminated={fetchEmployees}
+        />
+      )}
     </div>
   )
 }
@@ -738,7 +799,7 @@ function ComplianceBadge({ count }) {
 }
 
 // Action Menu Component
-function ActionMenu({ employee, onClose }) {
+function ActionMenu({ employee, onClose, onTerminate }) {
   const navigate = useNavigate()
   
   const handleAction = (action) => {
@@ -757,12 +818,10 @@ function ActionMenu({ employee, onClose }) {
         window.location.href = `mailto:${employee.email}`
         break
       case 'note':
-        // TODO: Open add note modal
-        console.log('Add note for', employee.id)
+        navigate(`/hrms/employees/${employee.id}?tab=notes`)
         break
       case 'terminate':
-        // TODO: Open termination confirmation modal
-        console.log('Terminate', employee.id)
+        onTerminate(employee)
         break
       default:
         break
@@ -792,11 +851,15 @@ function ActionMenu({ employee, onClose }) {
         <ChatBubbleLeftIcon className="icon-sm" />
         Add Note
       </button>
-      <div className="menu-divider"></div>
-      <button className="danger" onClick={() => handleAction('terminate')}>
-        <TrashIcon className="icon-sm" />
-        Terminate Employee
-      </button>
+      {employee.employment_status !== 'terminated' && (
+        <>
+          <div className="menu-divider"></div>
+          <button className="danger" onClick={() => handleAction('terminate')}>
+            <TrashIcon className="icon-sm" />
+            Terminate Employee
+          </button>
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,462 @@
+import { useState, useCallback, useEffect, useRef, useMemo, Fragment } from 'react'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { useAuth } from '../../../contexts/AuthProvider'
+import { parseNoteBody, serializeMentions, findMentionQuery } from '../../../utils/noteFormatting'
+import {
+  BookmarkIcon,
+  ExclamationCircleIcon,
+  TrashIcon,
+  ListBulletIcon
+} from '@heroicons/react/24/outline'
+import { BookmarkIcon as BookmarkSolid } from '@heroicons/react/24/solid'
+import './EmployeeNotes.css'
+
+// Visibility levels, narrowest first; enforced by RLS on hrms_employee_notes
+export const NOTE_VISIBILITY = {
+  hr: { label: 'HR only', bgColor: '#F3F4F6', textColor: '#374151' },
+  manager: { label: 'HR & manager', bgColor: '#DBEAFE', textColor: '#1E40AF' },
+  employee: { label: 'Visible to employee', bgColor: '#D1FAE5', textColor: '#065F46' }
+}
+
+const MAX_SUGGESTIONS = 6
+
+const displayName = (profile) => profile?.full_name || profile?.email || 'Unknown user'
+
+const initials = (name) =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('')
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+
+// "Today", "Yesterday" or the calendar date, used to group the activity feed
+const dayLabel = (value) => {
+  const date = new Date(value)
+  const today = new Date()
+  const yesterday = new Date()
+  yesterday.setDate(today.getDate() - 1)
+
+  if (date.toDateString() === today.toDateString()) return 'Today'
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday'
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+const groupByDay = (notes) =>
+  notes.reduce((groups, note) => {
+    const label = dayLabel(note.created_at)
+    const last = groups[groups.length - 1]
+    if (last?.label === label) {
+      last.notes.push(note)
+    } else {
+      groups.push({ label, notes: [note] })
+    }
+    return groups
+  }, [])
+
+function NoteBody({ body }) {
+  const renderSegments = (segments) => segments.map((segment, idx) => {
+    switch (segment.type) {
+      case 'mention':
+        return <span key={idx} className="note-mention">@{segment.text}</span>
+      case 'bold':
+        return <strong key={idx}>{segment.text}</strong>
+      case 'italic':
+        return <em key={idx}>{segment.text}</em>
+      default:
+        return <Fragment key={idx}>{segment.text}</Fragment>
+    }
+  })
+
+  return (
+    <div className="note-content">
+      {parseNoteBody(body).map((block, idx) => (
+        block.type === 'list' ? (
+          <ul key={idx}>
+            {block.lines.map((line, lineIdx) => <li key={lineIdx}>{renderSegments(line)}</li>)}
+          </ul>
+        ) : (
+          <p key={idx}>
+            {block.lines.map((line, lineIdx) => (
+              <Fragment key={lineIdx}>
+                {lineIdx > 0 && <br />}
+                {renderSegments(line)}
+              </Fragment>
+            ))}
+          </p>
+        )
+      ))}
+    </div>
+  )
+}
+
+function NoteItem({ note, author, isOwn, onTogglePin, onDelete }) {
+  const visibility = NOTE_VISIBILITY[note.visibility] || NOTE_VISIBILITY.hr
+  const authorName = displayName(author)
+
+  return (
+    <article className={`note-item ${note.is_pinned ? 'pinned' : ''}`}>
+      <span className="note-avatar" aria-hidden="true">{initials(authorName)}</span>
+      <div className="note-main">
+        <div className="note-header">
+          <span className="note-author">{authorName}</span>
+          <span className="note-date">{formatTime(note.created_at)}</span>
+          <span
+            className="note-visibility"
+            style={{ backgroundColor: visibility.bgColor, color: visibility.textColor }}
+          >
+            {visibility.label}
+          </span>
+          <div className="note-actions">
+            <button
+              className="note-action-btn"
+              onClick={() => onTogglePin(note)}
+              aria-label={note.is_pinned ? 'Unpin note' : 'Pin note'}
+              title={note.is_pinned ? 'Unpin' : 'Pin'}
+            >
+              {note.is_pinned ? <BookmarkSolid className="icon-sm" /> : <BookmarkIcon className="icon-sm" />}
+            </button>
+            {isOwn && (
+              <button
+                className="note-action-btn danger"
+                onClick={() => onDelete(note)}
+                aria-label="Delete note"
+                title="Delete"
+              >
+                <TrashIcon className="icon-sm" />
+              </button>
+            )}
+          </div>
+        </div>
+        <NoteBody body={note.body} />
+      </div>
+    </article>
+  )
+}
+
+/**
+ * EmployeeNotes - Notes tab of the employee detail page
+ * A composer with formatting and @mentions above an activity feed of the
+ * employee's notes, pinned notes first. Which notes are returned depends
+ * on their visibility level and the caller, via RLS.
+ */
+function EmployeeNotes({ employeeId, businessId, autoFocus = false }) {
+  const { tenant } = useTenant()
+  const { user } = useAuth()
+  const textareaRef = useRef(null)
+
+  const [notes, setNotes] = useState([])
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Composer state
+  const [body, setBody] = useState('')
+  const [mentions, setMentions] = useState([])
+  const [visibility, setVisibility] = useState('hr')
+  const [saving, setSaving] = useState(false)
+  const [mentionQuery, setMentionQuery] = useState(null)
+  const [activeSuggestion, setActiveSuggestion] = useState(0)
+
+  useEffect(() => {
+    if (autoFocus && !loading) textareaRef.current?.focus()
+  }, [autoFocus, loading])
+
+  const fetchNotes = useCallback(async () => {
+    if (!tenant?.tenant_id || !employeeId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [notesResult, usersResult] = await Promise.all([
+        supabase
+          .from('hrms_employee_notes')
+          .select('note_id, body, visibility, is_pinned, pinned_at, created_at, created_by')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('employee_id', employeeId)
+          .order('is_pinned', { ascending: false })
+          .order('created_at', { ascending: false }),
+        supabase
+          .from('profiles')
+          .select('id, full_name, email')
+          .eq('tenant_id', tenant.tenant_id)
+          .order('full_name')
+      ])
+
+      if (notesResult.error) throw notesResult.error
+      if (usersResult.error) throw usersResult.error
+
+      setNotes(notesResult.data || [])
+      setUsers(usersResult.data || [])
+    } catch (err) {
+      console.error('Error fetching notes:', err)
+      setError(err.message || 'Failed to load notes')
+    } finally {
+      setLoading(false)
+    }
+  }, [employeeId, tenant?.tenant_id])
+
+  useEffect(() => {
+    fetchNotes()
+  }, [fetchNotes])
+
+  const usersById = useMemo(
+    () => Object.fromEntries(users.map(profile => [profile.id, profile])),
+    [users]
+  )
+
+  const suggestions = useMemo(() => {
+    if (!mentionQuery) return []
+    const query = mentionQuery.query.toLowerCase()
+    return users
+      .filter(profile => profile.id !== user?.id)
+      .filter(profile =>
+        displayName(profile).toLowerCase().includes(query) ||
+        (profile.email || '').toLowerCase().startsWith(query)
+      )
+      .slice(0, MAX_SUGGESTIONS)
+  }, [mentionQuery, users, user?.id])
+
+  const updateMentionQuery = (text, caret) => {
+    setMentionQuery(findMentionQuery(text, caret))
+    setActiveSuggestion(0)
+  }
+
+  const handleBodyChange = (e) => {
+    setBody(e.target.value)
+    updateMentionQuery(e.target.value, e.target.selectionStart)
+  }
+
+  const insertMention = (profile) => {
+    const name = displayName(profile)
+    const caret = textareaRef.current?.selectionStart ?? body.length
+    const before = body.slice(0, mentionQuery.start)
+    const after = body.slice(caret)
+    const inserted = `@${name} `
+
+    setBody(before + inserted + after)
+    setMentions(prev => (prev.some(m => m.id === profile.id) ? prev : [...prev, { id: profile.id, name }]))
+    setMentionQuery(null)
+
+    requestAnimationFrame(() => {
+      const position = before.length + inserted.length
+      textareaRef.current?.focus()
+      textareaRef.current?.setSelectionRange(position, position)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveSuggestion(index => (index + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveSuggestion(index => (index - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      insertMention(suggestions[activeSuggestion])
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null)
+    }
+  }
+
+  // Wrap the selection in a marker, or prefix each selected line for bullets
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current
+    const start = textarea?.selectionStart ?? body.length
+    const end = textarea?.selectionEnd ?? body.length
+    const selected = body.slice(start, end)
+
+    let replacement
+    if (format === 'bullet') {
+      replacement = (selected || '').split('\n').map(line => `- ${line}`).join('\n')
+    } else {
+      const marker = format === 'bold' ? '**' : '*'
+      replacement = `${marker}${selected || (format === 'bold' ? 'bold text' : 'italic text')}${marker}`
+    }
+
+    setBody(body.slice(0, start) + replacement + body.slice(end))
+    requestAnimationFrame(() => {
+      textarea?.focus()
+      textarea?.setSelectionRange(start, start + replacement.length)
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+
+    setSaving(true)
+    setError(null)
+    try {
+      const { error: insertError } = await supabase
+        .from('hrms_employee_notes')
+        .insert({
+          tenant_id: tenant.tenant_id,
+          business_id: businessId || null,
+          employee_id: employeeId,
+          body: serializeMentions(body.trim(), mentions),
+          visibility,
+          created_by: user.id
+        })
+
+      if (insertError) throw insertError
+
+      setBody('')
+      setMentions([])
+      setMentionQuery(null)
+      await fetchNotes()
+    } catch (err) {
+      console.error('Error adding note:', err)
+      setError(err.message || 'Failed to add note')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleTogglePin = async (note) => {
+    setError(null)
+    try {
+      const { error: updateError } = await supabase
+        .from('hrms_employee_notes')
+        .update({ is_pinned: !note.is_pinned, updated_by: user.id })
+        .eq('note_id', note.note_id)
+
+      if (updateError) throw updateError
+      setNotes(prev => prev.map(n => (n.note_id === note.note_id ? { ...n, is_pinned: !note.is_pinned } : n)))
+    } catch (err) {
+      console.error('Error pinning note:', err)
+      setError(err.message || 'Failed to update note')
+    }
+  }
+
+  const handleDelete = async (note) => {
+    if (!window.confirm('Delete this note? This cannot be undone.')) return
+
+    setError(null)
+    try {
+      const { error: deleteError } = await supabase
+        .from('hrms_employee_notes')
+        .delete()
+        .eq('note_id', note.note_id)
+
+      if (deleteError) throw deleteError
+      setNotes(prev => prev.filter(n => n.note_id !== note.note_id))
+    } catch (err) {
+      console.error('Error deleting note:', err)
+      setError(err.message || 'Failed to delete note')
+    }
+  }
+
+  const pinnedNotes = notes.filter(note => note.is_pinned)
+  const feed = groupByDay(notes.filter(note => !note.is_pinned))
+
+  const renderNote = (note) => (
+    <NoteItem
+      key={note.note_id}
+      note={note}
+      author={usersById[note.created_by]}
+      isOwn={note.created_by === user?.id}
+      onTogglePin={handleTogglePin}
+      onDelete={handleDelete}
+    />
+  )
+
+  return (
+    <div className="tab-content-notes">
+      <div className="notes-header">
+        <h3>Notes & Comments</h3>
+      </div>
+
+      {error && (
+        <div className="notes-error" role="alert">
+          <ExclamationCircleIcon className="icon-sm" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <form className="note-composer" onSubmit={handleSubmit}>
+        <div className="note-toolbar">
+          <button type="button" onClick={() => applyFormat('bold')} aria-label="Bold" title="Bold">
+            <strong>B</strong>
+          </button>
+          <button type="button" onClick={() => applyFormat('italic')} aria-label="Italic" title="Italic">
+            <em>I</em>
+          </button>
+          <button type="button" onClick={() => applyFormat('bullet')} aria-label="Bulleted list" title="Bulleted list">
+            <ListBulletIcon className="icon-sm" />
+          </button>
+        </div>
+        <div className="note-input-wrapper">
+          <textarea
+            ref={textareaRef}
+            value={body}
+            onChange={handleBodyChange}
+            onKeyDown={handleKeyDown}
+            onClick={(e) => updateMentionQuery(body, e.target.selectionStart)}
+            placeholder="Add a note… Type @ to mention someone"
+            aria-label="Note"
+            rows={3}
+          />
+          {suggestions.length > 0 && (
+            <ul className="mention-suggestions" role="listbox" aria-label="Mention suggestions">
+              {suggestions.map((profile, idx) => (
+                <li
+                  key={profile.id}
+                  role="option"
+                  aria-selected={idx === activeSuggestion}
+                  className={idx === activeSuggestion ? 'active' : ''}
+                  onMouseDown={(e) => {
+                    e.preventDefault()
+                    insertMention(profile)
+                  }}
+                >
+                  <span className="mention-name">{displayName(profile)}</span>
+                  {profile.full_name && <span className="mention-email">{profile.email}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="note-composer-footer">
+          <label className="note-visibility-select">
+            Visible to
+            <select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+              {Object.entries(NOTE_VISIBILITY).map(([value, config]) => (
+                <option key={value} value={value}>{config.label}</option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" className="btn-primary btn-sm" disabled={saving || !body.trim()}>
+            {saving ? 'Saving...' : 'Add Note'}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <p className="empty-state-text">Loading notes...</p>
+      ) : notes.length === 0 ? (
+        <p className="empty-state-text">No notes for this employee yet.</p>
+      ) : (
+        <>
+          {pinnedNotes.length > 0 && (
+            <section className="notes-section" aria-label="Pinned notes">
+              <h4 className="section-title">PINNED</h4>
+              <div className="notes-list">{pinnedNotes.map(renderNote)}</div>
+            </section>
+          )}
+          {feed.map(group => (
+            <section key={group.label} className="notes-section" aria-label={`Notes from ${group.label}`}>
+              <h4 className="section-title">{group.label.toUpperCase()}</h4>
+              <div className="notes-list notes-feed">{group.notes.map(renderNote)}</div>
+            </section>
+          ))}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EmployeeNotes
@@ -0,0 +1,165 @@
+/**
+ * EmployeeNotes Component Tests
+ * Activity feed rendering, pinning, @mention autocomplete and visibility
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+
+const CURRENT_USER_ID = '11111111-1111-4111-8111-111111111111'
+const SARAH_ID = '22222222-2222-4222-8222-222222222222'
+
+vi.mock('../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({ user: { id: '11111111-1111-4111-8111-111111111111' } }),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import EmployeeNotes from './EmployeeNotes'
+
+const mockProfiles = [
+  { id: CURRENT_USER_ID, full_name: 'Alex Rivera', email: 'alex@example.com' },
+  { id: SARAH_ID, full_name: 'Sarah Johnson', email: 'sarah@example.com' },
+]
+
+const mockNotes = [
+  {
+    note_id: 'note-pinned',
+    body: 'Prefers **remote** work',
+    visibility: 'manager',
+    is_pinned: true,
+    created_at: '2024-11-02T15:00:00Z',
+    created_by: SARAH_ID,
+  },
+  {
+    note_id: 'note-1',
+    body: `H-1B extension filed\n- I-797 received\n- Ask @[Sarah Johnson](${SARAH_ID}) to *confirm* dates`,
+    visibility: 'hr',
+    is_pinned: false,
+    created_at: '2024-12-01T10:00:00Z',
+    created_by: CURRENT_USER_ID,
+  },
+]
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    insert: vi.fn(() => query),
+    update: vi.fn(() => query),
+    delete: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+let queries
+
+const mockSupabaseTables = (tables) => {
+  queries = []
+  supabase.from.mockImplementation((table) => {
+    const query = createQuery(tables[table] || [])
+    queries.push({ table, query })
+    return query
+  })
+}
+
+const queriesFor = (table) => queries.filter((entry) => entry.table === table).map((entry) => entry.query)
+
+const renderNotes = () => render(<EmployeeNotes employeeId="emp-1" businessId="test-business-id" />)
+
+describe('EmployeeNotes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSupabaseTables({ hrms_employee_notes: mockNotes, profiles: mockProfiles })
+  })
+
+  it('renders pinned notes first and formats the activity feed', async () => {
+    renderNotes()
+
+    const pinned = await screen.findByRole('region', { name: 'Pinned notes' })
+    expect(within(pinned).getByText('Sarah Johnson')).toBeInTheDocument()
+    expect(within(pinned).getByText('remote').tagName).toBe('STRONG')
+    expect(within(pinned).getByText('HR & manager')).toBeInTheDocument()
+
+    const feedNote = screen.getByText('H-1B extension filed').closest('article')
+    expect(within(feedNote).getByText('Alex Rivera')).toBeInTheDocument()
+    expect(within(feedNote).getByText('HR only')).toBeInTheDocument()
+    expect(within(feedNote).getByText('I-797 received').tagName).toBe('LI')
+    expect(within(feedNote).getByText('@Sarah Johnson')).toHaveClass('note-mention')
+    expect(within(feedNote).getByText('confirm').tagName).toBe('EM')
+
+    const [notesQuery] = queriesFor('hrms_employee_notes')
+    expect(notesQuery.eq).toHaveBeenCalledWith('employee_id', 'emp-1')
+    expect(notesQuery.order).toHaveBeenCalledWith('is_pinned', { ascending: false })
+  })
+
+  it('only offers delete on the current user\'s notes', async () => {
+    renderNotes()
+    await screen.findByText('H-1B extension filed')
+
+    expect(screen.getAllByRole('button', { name: 'Delete note' })).toHaveLength(1)
+    const ownNote = screen.getByText('H-1B extension filed').closest('article')
+    expect(within(ownNote).getByRole('button', { name: 'Delete note' })).toBeInTheDocument()
+  })
+
+  it('pins a note', async () => {
+    renderNotes()
+    await screen.findByText('H-1B extension filed')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pin note' }))
+
+    await waitFor(() => expect(screen.getAllByRole('button', { name: 'Unpin note' })).toHaveLength(2))
+    const updateQuery = queriesFor('hrms_employee_notes')[1]
+    expect(updateQuery.update).toHaveBeenCalledWith({ is_pinned: true, updated_by: CURRENT_USER_ID })
+    expect(updateQuery.eq).toHaveBeenCalledWith('note_id', 'note-1')
+  })
+
+  it('stores picked @mentions as tokens with the chosen visibility', async () => {
+    renderNotes()
+    await screen.findByText('H-1B extension filed')
+
+    const textarea = screen.getByLabelText('Note')
+    fireEvent.change(textarea, { target: { value: 'Please review @sa' } })
+
+    const option = screen.getByRole('option', { name: /Sarah Johnson/ })
+    expect(screen.queryByRole('option', { name: /Alex Rivera/ })).not.toBeInTheDocument()
+    fireEvent.mouseDown(option)
+    expect(textarea).toHaveValue('Please review @Sarah Johnson ')
+
+    fireEvent.change(screen.getByLabelText('Visible to'), { target: { value: 'manager' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Add Note' }))
+
+    await waitFor(() => expect(textarea).toHaveValue(''))
+    const insertQuery = queriesFor('hrms_employee_notes').find((query) => query.insert.mock.calls.length > 0)
+    expect(insertQuery.insert).toHaveBeenCalledWith({
+      tenant_id: 'test-tenant-id',
+      business_id: 'test-business-id',
+      employee_id: 'emp-1',
+      body: `Please review @[Sarah Johnson](${SARAH_ID})`,
+      visibility: 'manager',
+      created_by: CURRENT_USER_ID,
+    })
+  })
+
+  it('shows the empty state when there are no visible notes', async () => {
+    mockSupabaseTables({ profiles: mockProfiles })
+    renderNotes()
+
+    expect(await screen.findByText('No notes for this employee yet.')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Add Note' })).toBeDisabled()
+  })
+})
@@ -0,0 +1,404 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+import {
+  XMarkIcon,
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline'
+import './TerminateEmployeeModal.css'
+
+export const TERMINATION_TYPES = {
+  voluntary: 'Voluntary resignation',
+  involuntary: 'Involuntary termination',
+  end_of_contract: 'End of contract',
+  layoff: 'Layoff',
+  retirement: 'Retirement',
+  other: 'Other'
+}
+
+// Work visas tied to this employer; closed by default when the employee leaves
+const EMPLOYER_SPONSORED_VISA = /^(H-?1B|L-?1|E-?3|TN|O-?1)/i
+
+const isH1b = (visa) => /^H-?1B/i.test(visa.visa_type_name || '')
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const formatDate = (value) =>
+  new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+// Prefer the template for the employee's type, then a template for all types
+const pickOffboardingTemplate = (templates, employeeType) =>
+  templates.find(t => t.employee_type === employeeType) ||
+  templates.find(t => !t.employee_type) ||
+  null
+
+/**
+ * TerminateEmployeeModal - Guided offboarding for one employee
+ * Step 1 collects the details, step 2 reviews everything that will change,
+ * then initiate_hrms_employee_termination applies it in one transaction.
+ * The termination can be cancelled from the employee's page until its effective date.
+ */
+function TerminateEmployeeModal({ employee, onClose, onTerminated }) {
+  const { tenant } = useTenant()
+  const employeeId = employee.employee_id || employee.id
+  const [step, setStep] = useState('details')
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [validationErrors, setValidationErrors] = useState({})
+  const [terminated, setTerminated] = useState(null)
+
+  const [projects, setProjects] = useState([])
+  const [visaStatuses, setVisaStatuses] = useState([])
+  const [templates, setTemplates] = useState([])
+
+  const [form, setForm] = useState({
+    effective_date: today(),
+    termination_type: '',
+    termination_reason: '',
+    eligible_for_rehire: true,
+    checklist_template_id: '',
+    close_visa_status_ids: [],
+    revoke_portal_access: true
+  })
+
+  const loadOffboardingContext = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      const [projectsResult, visasResult, templatesResult] = await Promise.all([
+        supabase
+          .from('hrms_projects')
+          .select('project_id, project_name, end_client_name, project_end_date')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('employee_id', employeeId)
+          .eq('project_status', 'active'),
+        supabase
+          .from('hrms_visa_statuses')
+          .select('visa_status_id, visa_type_name, end_date')
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('employee_id', employeeId)
+          .eq('is_current', true),
+        supabase
+          .from('hrms_checklist_templates')
+          .select(`
+            template_id, template_name, employee_type,
+            hrms_checklist_types!inner(type_code),
+            hrms_checklist_template_versions!inner(hrms_checklist_items(item_id))
+          `)
+          .eq('tenant_id', tenant.tenant_id)
+          .eq('is_active', true)
+          .eq('hrms_checklist_types.type_code', 'offboarding')
+          .eq('hrms_checklist_template_versions.status', 'published')
+          .order('template_name', { ascending: true })
+      ])
+
+      const failed = [projectsResult, visasResult, templatesResult].find(result => result.error)
+      if (failed) throw failed.error
+
+      const visas = visasResult.data || []
+      const offboardingTemplates = templatesResult.data || []
+
+      setProjects(projectsResult.data || [])
+      setVisaStatuses(visas)
+      setTemplates(offboardingTemplates)
+      setForm(prev => ({
+        ...prev,
+        checklist_template_id: pickOffboardingTemplate(offboardingTemplates, employee.employee_type)?.template_id || '',
+        close_visa_status_ids: visas
+          .filter(visa => EMPLOYER_SPONSORED_VISA.test(visa.visa_type_name || ''))
+          .map(visa => visa.visa_status_id)
+      }))
+    } catch (err) {
+      console.error('Error loading offboarding details:', err)
+      setError(err.message || 'Failed to load offboarding details')
+    } finally {
+      setLoading(false)
+    }
+  }, [employeeId, tenant?.tenant_id])
+
+  useEffect(() => {
+    loadOffboardingContext()
+  }, [loadOffboardingContext])
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }))
+  }
+
+  const toggleVisa = (visaStatusId) => {
+    setForm(prev => ({
+      ...prev,
+      close_visa_status_ids: prev.close_visa_status_ids.includes(visaStatusId)
+        ? prev.close_visa_status_ids.filter(id => id !== visaStatusId)
+        : [...prev.close_visa_status_ids, visaStatusId]
+    }))
+  }
+
+  const validate = () => {
+    const errors = {}
+    if (!form.effective_date) {
+      errors.effective_date = 'Effective date is required'
+    } else if (employee.start_date && form.effective_date < employee.start_date) {
+      errors.effective_date = 'Effective date cannot be before the start date'
+    }
+    if (!form.termination_type) {
+      errors.termination_type = 'Termination type is required'
+    }
+    setValidationErrors(errors)
+    return Object.keys(errors).length === 0
+  }
+
+  const handleReview = (e) => {
+    e.preventDefault()
+    if (validate()) setStep('review')
+  }
+
+  const handleTerminate = async () => {
+    setSubmitting(true)
+    setError(null)
+    try {
+      const { data, error: rpcError } = await supabase.rpc('initiate_hrms_employee_termination', {
+        p_employee_id: employeeId,
+        p_effective_date: form.effective_date,
+        p_termination_type: form.termination_type,
+        p_termination_reason: form.termination_reason.trim() || null,
+        p_eligible_for_rehire: form.eligible_for_rehire,
+        p_checklist_template_id: form.checklist_template_id || null,
+        p_close_visa_status_ids: form.close_visa_status_ids,
+        p_revoke_portal_access: form.revoke_portal_access
+      })
+
+      if (rpcError) throw rpcError
+      setTerminated(data)
+      onTerminated?.(data)
+    } catch (err) {
+      console.error('Error terminating employee:', err)
+      setError(err.message || 'Failed to terminate employee')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const selectedTemplate = templates.find(t => t.template_id === form.checklist_template_id)
+  const closingVisas = visaStatuses.filter(visa => form.close_visa_status_ids.includes(visa.visa_status_id))
+  const exitItemCount = 1 + (visaStatuses.some(isH1b) ? 3 : 0)
+  const employeeName = `${employee.first_name} ${employee.last_name}`
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content terminate-employee-modal"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="terminate-employee-title"
+      >
+        <div className="modal-header">
+          <h2 id="terminate-employee-title">Terminate {employeeName}</h2>
+          <button className="modal-close-btn" onClick={onClose} aria-label="Close">
+            <XMarkIcon className="icon-md" />
+          </button>
+        </div>
+
+        <div className="terminate-body">
+          {error && (
+            <div className="error-banner" role="alert">
+              <ExclamationCircleIcon className="icon-sm" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {terminated ? (
+            <div className="terminate-success">
+              <CheckCircleIcon className="icon-md" />
+              <div>
+                <p>{employeeName} is terminated effective {formatDate(terminated.effective_date)}.</p>
+                {terminated.effective_date > today() && (
+                  <p className="terminate-hint">
+                    You can cancel this termination from the employee&apos;s page until {formatDate(terminated.effective_date)}.
+                  </p>
+                )}
+              </div>
+            </div>
+          ) : loading ? (
+            <div className="terminate-progress">Loading offboarding details…</div>
+          ) : step === 'details' ? (
+            <form id="terminate-details-form" onSubmit={handleReview} className="terminate-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="effective_date">
+                    Effective Date <span className="required">*</span>
+                  </label>
+                  <input
+                    id="effective_date"
+                    name="effective_date"
+                    type="date"
+                    value={form.effective_date}
+                    onChange={handleChange}
+                    className={validationErrors.effective_date ? 'error' : ''}
+                  />
+                  {validationErrors.effective_date && (
+                    <span className="error-message">{validationErrors.effective_date}</span>
+                  )}
+                </div>
+                <div className="form-group">
+                  <label htmlFor="termination_type">
+                    Termination Type <span className="required">*</span>
+                  </label>
+                  <select
+                    id="termination_type"
+                    name="termination_type"
+                    value={form.termination_type}
+                    onChange={handleChange}
+                    className={validationErrors.termination_type ? 'error' : ''}
+                  >
+                    <option value="">Select type...</option>
+                    {Object.entries(TERMINATION_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {validationErrors.termination_type && (
+                    <span className="error-message">{validationErrors.termination_type}</span>
+                  )}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="termination_reason">Reason</label>
+                <textarea
+                  id="termination_reason"
+                  name="termination_reason"
+                  rows={3}
+                  value={form.termination_reason}
+                  onChange={handleChange}
+                  placeholder="Internal notes on why the employee is leaving..."
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="checklist_template_id">Offboarding Checklist</label>
+                <select
+                  id="checklist_template_id"
+                  name="checklist_template_id"
+                  value={form.checklist_template_id}
+                  onChange={handleChange}
+                >
+                  <option value="">No checklist</option>
+                  {templates.map(template => (
+                    <option key={template.template_id} value={template.template_id}>
+                      {template.template_name}
+                    </option>
+                  ))}
+                </select>
+                {templates.length === 0 && (
+                  <span className="help-text">No active offboarding checklist templates. Create one in Data Admin.</span>
+                )}
+              </div>
+
+              {visaStatuses.length > 0 && (
+                <fieldset className="form-group">
+                  <legend>Close Current Visa Statuses</legend>
+                  {visaStatuses.map(visa => (
+                    <label key={visa.visa_status_id} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={form.close_visa_status_ids.includes(visa.visa_status_id)}
+                        onChange={() => toggleVisa(visa.visa_status_id)}
+                      />
+                      <span>
+                        {visa.visa_type_name || 'Visa'}
+                        {visa.end_date && ` (valid until ${formatDate(visa.end_date)})`}
+                      </span>
+                    </label>
+                  ))}
+                </fieldset>
+              )}
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="revoke_portal_access"
+                  checked={form.revoke_portal_access}
+                  onChange={handleChange}
+                />
+                <span>Revoke employee portal access</span>
+              </label>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="eligible_for_rehire"
+                  checked={form.eligible_for_rehire}
+                  onChange={handleChange}
+                />
+                <span>Eligible for rehire</span>
+              </label>
+            </form>
+          ) : (
+            <div className="terminate-review">
+              <div className="terminate-warning">
+                <ExclamationTriangleIcon className="icon-sm" />
+                <span>
+                  Review the changes below. They can be reversed by cancelling the termination before {formatDate(form.effective_date)}.
+                </span>
+              </div>
+              <ul className="terminate-summary">
+                <li>
+                  Status set to <strong>Terminated</strong> with end date <strong>{formatDate(form.effective_date)}</strong>
+                  {' '}({TERMINATION_TYPES[form.termination_type]})
+                </li>
+                <li>
+                  {projects.length === 0
+                    ? 'No active projects to end'
+                    : `${projects.length} active project${projects.length === 1 ? '' : 's'} ended: ${projects.map(p => p.project_name).join(', ')}`}
+                </li>
+                <li>
+                  {closingVisas.length === 0
+                    ? 'No visa statuses closed'
+                    : `Visa status closed: ${closingVisas.map(v => v.visa_type_name).join(', ')}`}
+                </li>
+                <li>
+                  {selectedTemplate
+                    ? `Offboarding checklist "${selectedTemplate.template_name}" (${selectedTemplate.hrms_checklist_template_versions?.[0]?.hrms_checklist_items?.length || 0} items) added as compliance items`
+                    : 'No offboarding checklist'}
+                </li>
+                <li>
+                  {exitItemCount} exit compliance item{exitItemCount === 1 ? '' : 's'}: final paycheck
+                  {visaStatuses.some(isH1b) && ', H-1B petition withdrawal, LCA withdrawal, return transportation offer'}
+                </li>
+                <li>{form.revoke_portal_access ? 'Employee portal access revoked' : 'Employee portal access kept'}</li>
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          {terminated ? (
+            <button type="button" className="btn-secondary" onClick={onClose}>Close</button>
+          ) : step === 'details' ? (
+            <>
+              <button type="button" className="btn-secondary" onClick={onClose}>Cancel</button>
+              <button type="submit" form="terminate-details-form" className="btn-primary" disabled={loading}>
+                Review
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="btn-secondary" onClick={() => setStep('details')} disabled={submitting}>
+                Back
+              </button>
+              <button type="button" className="btn-danger" onClick={handleTerminate} disabled={submitting}>
+                {submitting ? 'Terminating...' : 'Terminate Employee'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TerminateEmployeeModal
@@ -0,0 +1,133 @@
+/**
+ * TerminateEmployeeModal Component Tests
+ * Guided termination: defaults, validation, review summary and the termination RPC
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import TerminateEmployeeModal from './TerminateEmployeeModal'
+
+const mockEmployee = {
+  id: 'emp-1',
+  first_name: 'Mary',
+  last_name: 'Chen',
+  employee_type: 'it_usa',
+  employment_status: 'active',
+  start_date: '2024-01-15',
+}
+
+const mockTables = {
+  hrms_projects: [{ project_id: 'proj-1', project_name: 'Acme Corp Dev', end_client_name: 'Acme Corp' }],
+  hrms_visa_statuses: [
+    { visa_status_id: 'visa-h1b', visa_type_name: 'H-1B', end_date: '2027-09-30' },
+    { visa_status_id: 'visa-gc', visa_type_name: 'Green Card EAD', end_date: null },
+  ],
+  hrms_checklist_templates: [
+    { template_id: 'tpl-all', template_name: 'General Offboarding', employee_type: null, hrms_checklist_template_versions: [{ hrms_checklist_items: [{ item_id: 'a' }] }] },
+    { template_id: 'tpl-it', template_name: 'IT USA Offboarding', employee_type: 'it_usa', hrms_checklist_template_versions: [{ hrms_checklist_items: [{ item_id: 'b' }, { item_id: 'c' }] }] },
+  ],
+}
+
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+const renderModal = (props = {}) => render(
+  <TerminateEmployeeModal employee={mockEmployee} onClose={vi.fn()} {...props} />
+)
+
+describe('TerminateEmployeeModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.from.mockImplementation((table) => createQuery(mockTables[table] || []))
+  })
+
+  it('defaults the checklist to the employee type and pre-selects employer-sponsored visas', async () => {
+    renderModal()
+
+    await waitFor(() => expect(screen.getByLabelText('Offboarding Checklist')).toHaveValue('tpl-it'))
+    expect(screen.getByRole('checkbox', { name: /H-1B/ })).toBeChecked()
+    expect(screen.getByRole('checkbox', { name: /Green Card EAD/ })).not.toBeChecked()
+    expect(screen.getByRole('checkbox', { name: /revoke employee portal access/i })).toBeChecked()
+  })
+
+  it('requires a termination type and an effective date on or after the start date', async () => {
+    renderModal()
+    await waitFor(() => expect(screen.getByLabelText('Offboarding Checklist')).toHaveValue('tpl-it'))
+
+    fireEvent.change(screen.getByLabelText(/effective date/i), { target: { value: '2023-12-31' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Review' }))
+
+    expect(screen.getByText('Effective date cannot be before the start date')).toBeInTheDocument()
+    expect(screen.getByText('Termination type is required')).toBeInTheDocument()
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  it('summarizes the changes and submits the termination', async () => {
+    const onTerminated = vi.fn()
+    supabase.rpc.mockResolvedValue({
+      data: { termination_id: 'term-1', effective_date: '2099-01-31' },
+      error: null,
+    })
+    renderModal({ onTerminated })
+    await waitFor(() => expect(screen.getByLabelText('Offboarding Checklist')).toHaveValue('tpl-it'))
+
+    fireEvent.change(screen.getByLabelText(/effective date/i), { target: { value: '2099-01-31' } })
+    fireEvent.change(screen.getByLabelText(/termination type/i), { target: { value: 'voluntary' } })
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: '  Relocating  ' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Review' }))
+
+    expect(screen.getByText('1 active project ended: Acme Corp Dev')).toBeInTheDocument()
+    expect(screen.getByText('Visa status closed: H-1B')).toBeInTheDocument()
+    expect(screen.getByText(/"IT USA Offboarding" \(2 items\)/)).toBeInTheDocument()
+    expect(screen.getByText(/H-1B petition withdrawal, LCA withdrawal, return transportation offer/)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Terminate Employee' }))
+
+    await waitFor(() => expect(onTerminated).toHaveBeenCalled())
+    expect(supabase.rpc).toHaveBeenCalledWith('initiate_hrms_employee_termination', {
+      p_employee_id: 'emp-1',
+      p_effective_date: '2099-01-31',
+      p_termination_type: 'voluntary',
+      p_termination_reason: 'Relocating',
+      p_eligible_for_rehire: true,
+      p_checklist_template_id: 'tpl-it',
+      p_close_visa_status_ids: ['visa-h1b'],
+      p_revoke_portal_access: true,
+    })
+    expect(screen.getByText(/can cancel this termination/i)).toBeInTheDocument()
+  })
+
+  it('shows the error when the termination is rejected', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Employee is already terminated' } })
+    renderModal()
+    await waitFor(() => expect(screen.getByLabelText('Offboarding Checklist')).toHaveValue('tpl-it'))
+
+    fireEvent.change(screen.getByLabelText(/termination type/i), { target: { value: 'layoff' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Review' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Terminate Employee' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Employee is already terminated')
+  })
+})
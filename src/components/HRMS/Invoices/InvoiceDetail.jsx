@@ -0,0 +1,273 @@
+import { useState, useCallback, useEffect } from 'react'
+import { useParams, Link, useNavigate } from 'react-router-dom'
+import { supabase } from '../../../api/supabaseClient'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { useToast } from '../../../contexts/ToastProvider'
+import { normalizeError } from '../../../utils/errorResponse'
+import LoadingSpinner from '../../Shared/LoadingSpinner'
+import { INVOICE_STATUSES, INVOICE_FREQUENCIES, formatCurrency, formatDate } from './InvoiceList'
+import './InvoiceList.css'
+import './InvoiceDetail.css'
+
+/**
+ * InvoiceDetail - Invoice header, billed lines and status actions
+ * URL: /hrms/invoices/:invoiceId
+ * Note: sent/paid dates and the due date are stamped by the status trigger
+ */
+function InvoiceDetail() {
+  const { invoiceId } = useParams()
+  const navigate = useNavigate()
+  const { tenant } = useTenant()
+  const { showSuccess, showErrorResponse } = useToast()
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [invoice, setInvoice] = useState(null)
+  const [lines, setLines] = useState([])
+  const [processing, setProcessing] = useState(false)
+
+  const fetchInvoice = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: queryError } = await supabase
+        .from('hrms_invoices')
+        .select('*')
+        .eq('invoice_id', invoiceId)
+        .eq('tenant_id', tenant.tenant_id)
+        .single()
+
+      if (queryError) throw queryError
+      setInvoice(data)
+    } catch (err) {
+      console.error('Error fetching invoice:', err)
+      setError(err.message || 'Failed to load invoice')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id, invoiceId])
+
+  const fetchLines = useCallback(async () => {
+    try {
+      const { data, error: queryError } = await supabase
+        .from('hrms_invoice_lines')
+        .select(`
+          invoice_line_id,
+          work_date,
+          entry_type,
+          hours,
+          bill_rate,
+          amount,
+          vms_charges_amount,
+          description,
+          employee:hrms_employees!hrms_invoice_lines_employee_id_fkey(
+            first_name,
+            last_name,
+            employee_code
+          ),
+          project:hrms_projects!hrms_invoice_lines_project_id_fkey(
+            project_name
+          )
+        `)
+        .eq('invoice_id', invoiceId)
+        .order('work_date', { ascending: true })
+
+      if (queryError) throw queryError
+      setLines(data || [])
+    } catch (err) {
+      console.error('Error fetching invoice lines:', err)
+    }
+  }, [invoiceId])
+
+  useEffect(() => {
+    if (tenant?.tenant_id && invoiceId) {
+      fetchInvoice()
+      fetchLines()
+    }
+  }, [tenant?.tenant_id, invoiceId, fetchInvoice, fetchLines])
+
+  const updateStatus = async (status) => {
+    try {
+      setProcessing(true)
+      const { error: updateError } = await supabase
+        .from('hrms_invoices')
+        .update({ invoice_status: status })
+        .eq('invoice_id', invoiceId)
+
+      if (updateError) throw updateError
+      showSuccess(`Invoice marked as ${INVOICE_STATUSES[status].label.toLowerCase()}`)
+      fetchInvoice()
+    } catch (err) {
+      showErrorResponse(normalizeError(err, 'updating invoice status'))
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete draft invoice ${invoice.invoice_number}? Its hours become billable again.`)) return
+
+    try {
+      setProcessing(true)
+      const { error: deleteError } = await supabase
+        .from('hrms_invoices')
+        .delete()
+        .eq('invoice_id', invoiceId)
+
+      if (deleteError) throw deleteError
+      showSuccess('Draft invoice deleted')
+      navigate('/hrms/invoices')
+    } catch (err) {
+      showErrorResponse(normalizeError(err, 'deleting invoice'))
+      setProcessing(false)
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading invoice..." />
+  }
+
+  if (error || !invoice) {
+    return (
+      <div className="invoice-detail-container">
+        <div className="error-banner">
+          <p>{error || 'Invoice not found'}</p>
+          <Link to="/hrms/invoices" className="btn btn-secondary">Back to Invoices</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const status = INVOICE_STATUSES[invoice.invoice_status] || INVOICE_STATUSES.draft
+
+  return (
+    <div className="invoice-detail-container">
+      <div className="invoice-detail-header">
+        <Link to="/hrms/invoices" className="back-link">
+          ← Back to Invoices
+        </Link>
+        <div className="header-actions">
+          <h1>
+            {invoice.invoice_number}
+            <span className="status-badge" style={{ backgroundColor: status.bg, color: status.text }}>
+              {status.label}
+            </span>
+          </h1>
+          <div className="invoice-actions">
+            {invoice.invoice_status === 'draft' && (
+              <>
+                <button className="btn btn-secondary" onClick={handleDelete} disabled={processing}>
+                  Delete Draft
+                </button>
+                <button className="btn btn-primary" onClick={() => updateStatus('sent')} disabled={processing}>
+                  Mark as Sent
+                </button>
+              </>
+            )}
+            {['sent', 'overdue'].includes(invoice.invoice_status) && (
+              <button className="btn btn-primary" onClick={() => updateStatus('paid')} disabled={processing}>
+                Mark as Paid
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="invoice-detail-content">
+        <div className="invoice-summary-card">
+          <div className="summary-row">
+            <div className="summary-item">
+              <label>Bill To</label>
+              <div><strong>{invoice.bill_to_name}</strong></div>
+              {invoice.bill_to_email && <div className="summary-subtext">{invoice.bill_to_email}</div>}
+            </div>
+            <div className="summary-item">
+              <label>Period</label>
+              <div><strong>{formatDate(invoice.period_start_date)} - {formatDate(invoice.period_end_date)}</strong></div>
+              <div className="summary-subtext">{INVOICE_FREQUENCIES[invoice.invoice_frequency]}</div>
+            </div>
+            <div className="summary-item">
+              <label>Invoice Date</label>
+              <div><strong>{formatDate(invoice.invoice_date)}</strong></div>
+              <div className="summary-subtext">Net {invoice.payment_terms_days}</div>
+            </div>
+            <div className="summary-item">
+              <label>Due Date</label>
+              <div><strong>{formatDate(invoice.due_date)}</strong></div>
+              {invoice.paid_at && <div className="summary-subtext">Paid {formatDate(invoice.paid_at)}</div>}
+            </div>
+          </div>
+          <div className="summary-row">
+            <div className="summary-item">
+              <label>Total Hours</label>
+              <div><strong>{Number(invoice.total_hours).toFixed(2)} hrs</strong></div>
+            </div>
+            <div className="summary-item">
+              <label>Subtotal</label>
+              <div><strong>{formatCurrency(invoice.subtotal_amount)}</strong></div>
+            </div>
+            <div className="summary-item">
+              <label>Discounts</label>
+              <div><strong>-{formatCurrency(invoice.discount_amount)}</strong></div>
+            </div>
+            <div className="summary-item">
+              <label>VMS Charges</label>
+              <div><strong>-{formatCurrency(invoice.vms_charges_amount)}</strong></div>
+            </div>
+            <div className="summary-item">
+              <label>Total Due</label>
+              <div className="invoice-total">{formatCurrency(invoice.total_amount)}</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="invoice-lines-section">
+          <h2>Billed Hours</h2>
+          <table className="invoice-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Employee</th>
+                <th>Project</th>
+                <th>Type</th>
+                <th>Hours</th>
+                <th>Rate</th>
+                <th>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="empty-state">No lines found</td>
+                </tr>
+              ) : (
+                lines.map((line) => (
+                  <tr key={line.invoice_line_id}>
+                    <td>{formatDate(line.work_date)}</td>
+                    <td>
+                      {line.employee?.first_name} {line.employee?.last_name}
+                      <span className="invoice-frequency"> ({line.employee?.employee_code})</span>
+                    </td>
+                    <td>{line.project?.project_name || '-'}</td>
+                    <td><span className="entry-type-badge">{line.entry_type}</span></td>
+                    <td>{Number(line.hours).toFixed(2)}</td>
+                    <td>{formatCurrency(line.bill_rate)}</td>
+                    <td>{formatCurrency(line.amount)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {invoice.notes && (
+          <div className="invoice-notes">
+            <p><strong>Notes:</strong> {invoice.notes}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default InvoiceDetail
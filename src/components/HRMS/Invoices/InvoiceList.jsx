@@ -0,0 +1,333 @@
+import { useCallback, useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  DocumentPlusIcon,
+  EyeIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline'
+import { supabase } from '../../../api/supabaseClient'
+import { generateInvoices } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { useToast } from '../../../contexts/ToastProvider'
+import { normalizeError } from '../../../utils/errorResponse'
+import LoadingSpinner from '../../Shared/LoadingSpinner'
+import BusinessFilter from '../../Shared/BusinessFilter'
+import './InvoiceList.css'
+
+// Invoice status configuration with colors
+export const INVOICE_STATUSES = {
+  draft: { label: 'Draft', bg: '#F3F4F6', text: '#374151' },
+  sent: { label: 'Sent', bg: '#DBEAFE', text: '#1E40AF' },
+  paid: { label: 'Paid', bg: '#D1FAE5', text: '#065F46' },
+  overdue: { label: 'Overdue', bg: '#FEE2E2', text: '#991B1B' },
+}
+
+export const INVOICE_FREQUENCIES = {
+  weekly: 'Weekly',
+  bi_weekly: 'Bi-Weekly',
+  semi_monthly: 'Semi-Monthly',
+  monthly: 'Monthly',
+}
+
+export const formatCurrency = (amount) =>
+  Number(amount || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+
+export const formatDate = (dateString) => {
+  if (!dateString) return '-'
+  return new Date(`${dateString.slice(0, 10)}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  })
+}
+
+/**
+ * InvoiceList - Invoices billed from approved timesheets
+ * URL: /hrms/invoices
+ */
+function InvoiceList() {
+  const { tenant, selectedBusiness } = useTenant()
+  const { showSuccess, showErrorResponse } = useToast()
+  const [invoices, setInvoices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [preview, setPreview] = useState(null)
+  const [generating, setGenerating] = useState(false)
+
+  const fetchInvoices = useCallback(async () => {
+    if (!tenant?.tenant_id) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      let query = supabase
+        .from('hrms_invoices')
+        .select(`
+          invoice_id,
+          invoice_number,
+          bill_to_name,
+          invoice_frequency,
+          period_start_date,
+          period_end_date,
+          invoice_date,
+          due_date,
+          total_hours,
+          total_amount,
+          invoice_status
+        `)
+        .eq('tenant_id', tenant.tenant_id)
+        .order('created_at', { ascending: false })
+
+      if (selectedBusiness?.business_id) {
+        query = query.eq('business_id', selectedBusiness.business_id)
+      }
+      if (statusFilter !== 'all') {
+        query = query.eq('invoice_status', statusFilter)
+      }
+
+      const { data, error: queryError } = await query
+      if (queryError) throw queryError
+
+      setInvoices(data || [])
+    } catch (err) {
+      console.error('Error fetching invoices:', err)
+      setError(err.message || 'Failed to load invoices')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id, statusFilter])
+
+  useEffect(() => {
+    fetchInvoices()
+  }, [fetchInvoices])
+
+  const runGeneration = async (dryRun) => {
+    const { data: { session } } = await supabase.auth.getSession()
+    return generateInvoices({
+      tenant_id: tenant.tenant_id,
+      business_id: selectedBusiness?.business_id || null,
+      dry_run: dryRun,
+    }, session?.access_token)
+  }
+
+  const handlePreview = async () => {
+    try {
+      setGenerating(true)
+      setPreview(await runGeneration(true))
+    } catch (err) {
+      showErrorResponse(normalizeError(err, 'previewing invoices'))
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  const handleCreate = async () => {
+    try {
+      setGenerating(true)
+      const result = await runGeneration(false)
+      const created = result.invoices?.length || 0
+      showSuccess(`Created ${created} draft invoice${created === 1 ? '' : 's'}`)
+      result.failed?.forEach((failure) => {
+        showErrorResponse(normalizeError(new Error(failure.error), `creating invoice for ${failure.bill_to_name}`))
+      })
+      setPreview(null)
+      fetchInvoices()
+    } catch (err) {
+      showErrorResponse(normalizeError(err, 'creating invoices'))
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  if (loading && invoices.length === 0) {
+    return <LoadingSpinner message="Loading invoices..." />
+  }
+
+  return (
+    <div className="invoice-list-container">
+      <BusinessFilter />
+
+      <div className="invoice-list-header">
+        <div>
+          <h1 className="page-title">Invoices</h1>
+          <p className="page-subtitle">Bill vendors and clients from approved timesheet hours</p>
+        </div>
+        <div className="header-actions">
+          <button className="btn btn-primary" onClick={handlePreview} disabled={generating}>
+            <DocumentPlusIcon className="icon-sm" />
+            {generating && !preview ? 'Checking...' : 'Generate Invoices'}
+          </button>
+        </div>
+      </div>
+
+      <div className="filters-bar">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="filter-select"
+          aria-label="Status"
+        >
+          <option value="all">All Status</option>
+          {Object.entries(INVOICE_STATUSES).map(([key, config]) => (
+            <option key={key} value={key}>{config.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <div className="error-banner">
+          <p>{error}</p>
+          <button onClick={fetchInvoices}>Retry</button>
+        </div>
+      ) : (
+        <div className="invoice-table-wrapper">
+          <table className="invoice-table">
+            <thead>
+              <tr>
+                <th>Invoice #</th>
+                <th>Bill To</th>
+                <th>Period</th>
+                <th>Hours</th>
+                <th>Amount</th>
+                <th>Due</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="empty-state">
+                    <p>No invoices found</p>
+                  </td>
+                </tr>
+              ) : (
+                invoices.map((invoice) => {
+                  const status = INVOICE_STATUSES[invoice.invoice_status] || INVOICE_STATUSES.draft
+                  return (
+                    <tr key={invoice.invoice_id}>
+                      <td className="invoice-number">{invoice.invoice_number}</td>
+                      <td>
+                        <div>{invoice.bill_to_name}</div>
+                        <div className="invoice-frequency">{INVOICE_FREQUENCIES[invoice.invoice_frequency]}</div>
+                      </td>
+                      <td>{formatDate(invoice.period_start_date)} - {formatDate(invoice.period_end_date)}</td>
+                      <td>{Number(invoice.total_hours || 0).toFixed(2)}</td>
+                      <td>{formatCurrency(invoice.total_amount)}</td>
+                      <td>{formatDate(invoice.due_date)}</td>
+                      <td>
+                        <span className="status-badge" style={{ backgroundColor: status.bg, color: status.text }}>
+                          {status.label}
+                        </span>
+                      </td>
+                      <td>
+                        <Link to={`/hrms/invoices/${invoice.invoice_id}`} className="icon-button" title="View">
+                          <EyeIcon className="icon-sm" />
+                        </Link>
+                      </td>
+                    </tr>
+                  )
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {preview && (
+        <GeneratePreviewModal
+          preview={preview}
+          processing={generating}
+          onClose={() => setPreview(null)}
+          onConfirm={handleCreate}
+        />
+      )}
+    </div>
+  )
+}
+
+/**
+ * Dry-run result: draft invoices that would be created plus entries that cannot be billed
+ */
+function GeneratePreviewModal({ preview, processing, onClose, onConfirm }) {
+  const drafts = preview.invoices || []
+  const skipped = preview.skipped || []
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content invoice-preview-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Generate Invoices</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {drafts.length === 0 ? (
+          <p className="preview-empty">No approved, uninvoiced hours are ready to bill.</p>
+        ) : (
+          <table className="invoice-table preview-table">
+            <thead>
+              <tr>
+                <th>Bill To</th>
+                <th>Period</th>
+                <th>Lines</th>
+                <th>Hours</th>
+                <th>Subtotal</th>
+                <th>Discount</th>
+                <th>VMS</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drafts.map((draft) => (
+                <tr key={`${draft.business_id}-${draft.invoice.bill_to_name}`}>
+                  <td>{draft.invoice.bill_to_name}</td>
+                  <td>{formatDate(draft.invoice.period_start_date)} - {formatDate(draft.invoice.period_end_date)}</td>
+                  <td>{draft.lines.length}</td>
+                  <td>{draft.totals.hours.toFixed(2)}</td>
+                  <td>{formatCurrency(draft.totals.subtotal)}</td>
+                  <td>{formatCurrency(draft.totals.discount)}</td>
+                  <td>{formatCurrency(draft.totals.vms)}</td>
+                  <td>{formatCurrency(draft.totals.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {skipped.length > 0 && (
+          <div className="preview-skipped">
+            <ExclamationTriangleIcon className="icon-sm" />
+            <div>
+              <strong>{skipped.length} entr{skipped.length === 1 ? 'y' : 'ies'} cannot be billed</strong>
+              <ul>
+                {[...new Set(skipped.map((item) => item.reason))].map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose} disabled={processing}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={onConfirm}
+            disabled={processing || drafts.length === 0}
+          >
+            {processing ? 'Creating...' : `Create ${drafts.length} Draft Invoice${drafts.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InvoiceList
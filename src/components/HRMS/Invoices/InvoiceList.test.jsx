@@ -0,0 +1,157 @@
+/**
+ * InvoiceList Component Tests
+ * Invoice listing and the dry-run preview before generating draft invoices
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { BrowserRouter } from 'react-router-dom'
+
+const mockInvoices = [
+  {
+    invoice_id: 'inv-1',
+    invoice_number: 'INV-IES-00001',
+    bill_to_name: 'TechStaff Inc',
+    invoice_frequency: 'weekly',
+    period_start_date: '2025-03-03',
+    period_end_date: '2025-03-09',
+    invoice_date: '2025-03-12',
+    due_date: '2025-04-26',
+    total_hours: 40,
+    total_amount: 3880,
+    invoice_status: 'sent',
+  },
+]
+
+const mockDraft = {
+  business_id: 'test-business-id',
+  invoice: {
+    bill_to_name: 'Globex',
+    period_start_date: '2025-02-24',
+    period_end_date: '2025-03-09',
+  },
+  lines: [{ entry_id: 'e-1' }, { entry_id: 'e-2' }],
+  totals: { hours: 16, subtotal: 1280, discount: 0, vms: 38.4, total: 1241.6 },
+}
+
+const createInvoicesQuery = (data = mockInvoices) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error: null }),
+  }
+  return query
+}
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    auth: { getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'token' } } }) },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  generateInvoices: vi.fn(),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: vi.fn(() => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  })),
+}))
+
+const mockShowSuccess = vi.fn()
+const mockShowErrorResponse = vi.fn()
+vi.mock('../../../contexts/ToastProvider', () => ({
+  useToast: () => ({
+    showSuccess: mockShowSuccess,
+    showErrorResponse: mockShowErrorResponse,
+  }),
+}))
+
+vi.mock('../../Shared/BusinessFilter', () => ({
+  default: () => <div data-testid="business-filter" />,
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { generateInvoices } from '../../../api/edgeFunctions'
+import InvoiceList from './InvoiceList'
+
+const renderList = () => render(
+  <BrowserRouter>
+    <InvoiceList />
+  </BrowserRouter>
+)
+
+describe('InvoiceList', () => {
+  let query
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    query = createInvoicesQuery()
+    supabase.from.mockReturnValue(query)
+  })
+
+  it('lists invoices for the selected business', async () => {
+    renderList()
+
+    expect(await screen.findByText('INV-IES-00001')).toBeInTheDocument()
+    expect(screen.getByText('TechStaff Inc')).toBeInTheDocument()
+    expect(screen.getByText('$3,880.00')).toBeInTheDocument()
+    expect(screen.getByText('Sent', { selector: '.status-badge' })).toBeInTheDocument()
+    expect(supabase.from).toHaveBeenCalledWith('hrms_invoices')
+    expect(query.eq).toHaveBeenCalledWith('tenant_id', 'test-tenant-id')
+    expect(query.eq).toHaveBeenCalledWith('business_id', 'test-business-id')
+  })
+
+  it('filters by status', async () => {
+    renderList()
+    await screen.findByText('INV-IES-00001')
+
+    fireEvent.change(screen.getByLabelText('Status'), { target: { value: 'overdue' } })
+
+    await waitFor(() => expect(query.eq).toHaveBeenCalledWith('invoice_status', 'overdue'))
+  })
+
+  it('previews drafts and skipped entries before creating invoices', async () => {
+    generateInvoices
+      .mockResolvedValueOnce({
+        success: true,
+        invoices: [mockDraft],
+        skipped: [{ entry_id: 'e-9', work_date: '2025-03-04', reason: 'No bill rate in effect for Unpriced' }],
+        failed: [],
+      })
+      .mockResolvedValueOnce({ success: true, invoices: [{ invoice_id: 'inv-2' }], skipped: [], failed: [] })
+
+    renderList()
+    await screen.findByText('INV-IES-00001')
+    fireEvent.click(screen.getByRole('button', { name: /generate invoices/i }))
+
+    expect(await screen.findByText('Globex')).toBeInTheDocument()
+    expect(screen.getByText('$1,241.60')).toBeInTheDocument()
+    expect(screen.getByText('1 entry cannot be billed')).toBeInTheDocument()
+    expect(screen.getByText('No bill rate in effect for Unpriced')).toBeInTheDocument()
+    expect(generateInvoices).toHaveBeenCalledWith(
+      { tenant_id: 'test-tenant-id', business_id: 'test-business-id', dry_run: true },
+      'token'
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: 'Create 1 Draft Invoice' }))
+
+    await waitFor(() => expect(mockShowSuccess).toHaveBeenCalledWith('Created 1 draft invoice'))
+    expect(generateInvoices.mock.calls[1][0]).toMatchObject({ dry_run: false })
+    expect(screen.queryByText('1 entry cannot be billed')).not.toBeInTheDocument()
+  })
+
+  it('reports preview failures through the toast', async () => {
+    generateInvoices.mockRejectedValueOnce(new Error('Edge function unavailable'))
+
+    renderList()
+    await screen.findByText('INV-IES-00001')
+    fireEvent.click(screen.getByRole('button', { name: /generate invoices/i }))
+
+    await waitFor(() => expect(mockShowErrorResponse).toHaveBeenCalled())
+    expect(screen.queryByText('Create 0 Draft Invoices')).not.toBeInTheDocument()
+  })
+})
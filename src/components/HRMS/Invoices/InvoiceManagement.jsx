@@ -0,0 +1,18 @@
+import { Routes, Route } from 'react-router-dom'
+import InvoiceList from './InvoiceList'
+import InvoiceDetail from './InvoiceDetail'
+
+/**
+ * InvoiceManagement - Router component for invoicing
+ * Handles routing for /hrms/invoices/*
+ */
+function InvoiceManagement() {
+  return (
+    <Routes>
+      <Route index element={<InvoiceList />} />
+      <Route path=":invoiceId" element={<InvoiceDetail />} />
+    </Routes>
+  )
+}
+
+export default InvoiceManagement
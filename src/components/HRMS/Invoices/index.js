@@ -0,0 +1,3 @@
+export { default as InvoiceManagement } from './InvoiceManagement'
+export { default as InvoiceList } from './InvoiceList'
+export { default as InvoiceDetail } from './InvoiceDetail'
@@ -416,6 +416,19 @@ function ProjectDetail({ testMode = false }) {
                         <span>• Reason: {rate.change_reason}</span>
                       )}
                     </div>
+                    {(rate.current_applicable_tenure_discount != null || rate.current_applicable_volume_discount != null) && (
+                      <div className="rate-history-details">
+                        {rate.current_applicable_tenure_discount != null && (
+                          <span>Tenure discount: {rate.current_applicable_tenure_discount}%</span>
+                        )}
+                        {rate.current_applicable_volume_discount != null && (
+                          <span>Volume discount: {rate.current_applicable_volume_discount}%</span>
+                        )}
+                      </div>
+                    )}
+                    {rate.change_notes && (
+                      <div className="rate-history-notes">{rate.change_notes}</div>
+                    )}
                   </div>
                 ))}
               </div>
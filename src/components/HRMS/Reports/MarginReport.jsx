@@ -0,0 +1,294 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { ArrowDownTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../api/supabaseClient'
+import { renderSpreadsheet } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { useToast } from '../../../contexts/ToastProvider'
+import { normalizeError } from '../../../utils/errorResponse'
+import { downloadBlob } from '../../../utils/fileUtils'
+import { toCSV } from '../../../utils/csv'
+import {
+  MARGIN_DIMENSIONS,
+  summarizeMargin,
+  groupMarginRows,
+  buildMarginTrend,
+  buildMarginExportSheets,
+} from '../../../utils/marginReport'
+import LoadingSpinner from '../../Shared/LoadingSpinner'
+import BusinessFilter from '../../Shared/BusinessFilter'
+import './MarginReport.css'
+
+const toDateInput = (date) => date.toISOString().split('T')[0]
+
+// Default range: the current month and the five before it
+const defaultRange = () => {
+  const today = new Date()
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 5, 1))
+  return { start: toDateInput(start), end: toDateInput(today) }
+}
+
+const formatCurrency = (amount) =>
+  Number(amount || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+
+const formatPeriod = (periodStart, interval) => {
+  const date = new Date(`${periodStart}T00:00:00`)
+  return interval === 'month'
+    ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+/**
+ * MarginReport - Gross margin by project, employee, vendor chain or end client
+ * URL: /hrms/reports/margin
+ * Rows are priced server-side at the rate history in effect on each work date.
+ */
+function MarginReport() {
+  const { tenant, selectedBusiness } = useTenant()
+  const { showErrorResponse } = useToast()
+  const [range, setRange] = useState(defaultRange)
+  const [trendInterval, setTrendInterval] = useState('month')
+  const [dimension, setDimension] = useState('project')
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [exporting, setExporting] = useState(false)
+
+  const fetchReport = useCallback(async () => {
+    if (!tenant?.tenant_id || !range.start || !range.end) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: rpcError } = await supabase.rpc('get_hrms_margin_report', {
+        p_tenant_id: tenant.tenant_id,
+        p_business_id: selectedBusiness?.business_id || null,
+        p_start_date: range.start,
+        p_end_date: range.end,
+        p_interval: trendInterval,
+      })
+
+      if (rpcError) throw rpcError
+      setRows(data || [])
+    } catch (err) {
+      console.error('Error fetching margin report:', err)
+      setError(err.message || 'Failed to load margin report')
+    } finally {
+      setLoading(false)
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id, range.start, range.end, trendInterval])
+
+  useEffect(() => {
+    fetchReport()
+  }, [fetchReport])
+
+  const totals = useMemo(() => summarizeMargin(rows), [rows])
+  const groups = useMemo(() => groupMarginRows(rows, dimension), [rows, dimension])
+  const trend = useMemo(() => buildMarginTrend(rows), [rows])
+
+  const exportBaseName = `gross_margin_by_${dimension}_${range.start}_to_${range.end}`
+
+  const handleExportCSV = () => {
+    const [summary] = buildMarginExportSheets(rows, dimension)
+    downloadBlob(new Blob([toCSV(summary.rows)], { type: 'text/csv;charset=utf-8' }), `${exportBaseName}.csv`)
+  }
+
+  const handleExportExcel = async () => {
+    try {
+      setExporting(true)
+      const { data: { session } } = await supabase.auth.getSession()
+      const { blob, fileName } = await renderSpreadsheet(
+        `${exportBaseName}.xlsx`,
+        buildMarginExportSheets(rows, dimension),
+        session?.access_token
+      )
+      downloadBlob(blob, fileName || `${exportBaseName}.xlsx`)
+    } catch (err) {
+      showErrorResponse(normalizeError(err, 'exporting margin report'))
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target
+    setRange((prev) => ({ ...prev, [name]: value }))
+  }
+
+  return (
+    <div className="margin-report-container">
+      <BusinessFilter />
+
+      <div className="margin-report-header">
+        <div>
+          <h1 className="page-title">Gross Margin Report</h1>
+          <p className="page-subtitle">Revenue, cost and margin from approved timesheet hours</p>
+        </div>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={handleExportCSV} disabled={rows.length === 0}>
+            <ArrowDownTrayIcon className="icon-sm" />
+            Export CSV
+          </button>
+          <button className="btn btn-secondary" onClick={handleExportExcel} disabled={rows.length === 0 || exporting}>
+            <ArrowDownTrayIcon className="icon-sm" />
+            {exporting ? 'Exporting...' : 'Export Excel'}
+          </button>
+        </div>
+      </div>
+
+      <div className="filters-bar">
+        <label className="filter-field">
+          From
+          <input type="date" name="start" value={range.start} max={range.end} onChange={handleRangeChange} className="filter-select" />
+        </label>
+        <label className="filter-field">
+          To
+          <input type="date" name="end" value={range.end} min={range.start} onChange={handleRangeChange} className="filter-select" />
+        </label>
+        <select value={trendInterval} onChange={(e) => setTrendInterval(e.target.value)} className="filter-select" aria-label="Trend interval">
+          <option value="month">Monthly</option>
+          <option value="week">Weekly</option>
+        </select>
+      </div>
+
+      {loading && rows.length === 0 ? (
+        <LoadingSpinner message="Loading margin report..." />
+      ) : error ? (
+        <div className="error-banner">
+          <p>{error}</p>
+          <button onClick={fetchReport}>Retry</button>
+        </div>
+      ) : (
+        <>
+          <div className="margin-summary-grid">
+            <SummaryCard label="Net Revenue" value={formatCurrency(totals.net_revenue)} />
+            <SummaryCard label="Cost" value={formatCurrency(totals.cost)} />
+            <SummaryCard label="Gross Margin" value={formatCurrency(totals.margin)} highlighted />
+            <SummaryCard label="Margin %" value={`${totals.margin_percent.toFixed(1)}%`} />
+            <SummaryCard label="Approved Hours" value={totals.hours.toFixed(2)} />
+          </div>
+
+          {totals.unpriced_hours > 0 && (
+            <div className="margin-warning" role="status">
+              <ExclamationTriangleIcon className="icon-sm" />
+              {totals.unpriced_hours.toFixed(2)} approved hours have no bill rate in effect and are counted as cost only.
+            </div>
+          )}
+
+          <div className="chart-card">
+            <div className="chart-header">
+              <h3 className="chart-title">Revenue &amp; Margin Trend</h3>
+            </div>
+            <MarginTrendChart trend={trend} interval={trendInterval} />
+          </div>
+
+          <div className="dimension-tabs" role="tablist">
+            {Object.entries(MARGIN_DIMENSIONS).map(([key, config]) => (
+              <button
+                key={key}
+                role="tab"
+                aria-selected={dimension === key}
+                className={`dimension-tab ${dimension === key ? 'active' : ''}`}
+                onClick={() => setDimension(key)}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="margin-table-wrapper">
+            <table className="margin-table">
+              <thead>
+                <tr>
+                  <th>{MARGIN_DIMENSIONS[dimension].label}</th>
+                  <th>Hours</th>
+                  <th>Gross Revenue</th>
+                  <th>Discounts</th>
+                  <th>VMS</th>
+                  <th>Net Revenue</th>
+                  <th>Cost</th>
+                  <th>Gross Margin</th>
+                  <th>Margin %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.length === 0 ? (
+                  <tr>
+                    <td colSpan="9" className="empty-state">
+                      <p>No approved hours in this date range</p>
+                    </td>
+                  </tr>
+                ) : (
+                  groups.map((group) => (
+                    <tr key={group.key}>
+                      <td className="group-name">{group.name}</td>
+                      <td>{group.hours.toFixed(2)}</td>
+                      <td>{formatCurrency(group.gross_revenue)}</td>
+                      <td>{formatCurrency(group.discount_amount)}</td>
+                      <td>{formatCurrency(group.vms_amount)}</td>
+                      <td>{formatCurrency(group.net_revenue)}</td>
+                      <td>{formatCurrency(group.cost)}</td>
+                      <td className={group.margin < 0 ? 'negative' : ''}>{formatCurrency(group.margin)}</td>
+                      <td className={group.margin < 0 ? 'negative' : ''}>{group.margin_percent.toFixed(1)}%</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Headline figure card
+ */
+function SummaryCard({ label, value, highlighted }) {
+  return (
+    <div className={`margin-summary-card ${highlighted ? 'highlighted' : ''}`}>
+      <span className="summary-label">{label}</span>
+      <span className="summary-value">{value}</span>
+    </div>
+  )
+}
+
+/**
+ * Column chart of net revenue vs gross margin per period
+ */
+function MarginTrendChart({ trend, interval }) {
+  const max = Math.max(...trend.map((period) => Math.max(period.net_revenue, period.margin)), 0)
+
+  if (max === 0) {
+    return (
+      <div className="chart-placeholder">
+        <p>No revenue in this date range</p>
+      </div>
+    )
+  }
+
+  const height = (value) => `${(Math.max(value, 0) / max) * 100}%`
+
+  return (
+    <div className="trend-chart">
+      <div className="trend-columns">
+        {trend.map((period) => (
+          <div key={period.period_start} className="trend-column" title={`${formatPeriod(period.period_start, interval)}: ${formatCurrency(period.net_revenue)} revenue, ${formatCurrency(period.margin)} margin (${period.margin_percent.toFixed(1)}%)`}>
+            <div className="trend-bars">
+              <div className="trend-bar revenue" style={{ height: height(period.net_revenue) }} />
+              <div className="trend-bar margin" style={{ height: height(period.margin) }} />
+            </div>
+            <span className="trend-label">{formatPeriod(period.period_start, interval)}</span>
+          </div>
+        ))}
+      </div>
+      <div className="trend-legend">
+        <span><i className="legend-swatch revenue" /> Net Revenue</span>
+        <span><i className="legend-swatch margin" /> Gross Margin</span>
+      </div>
+    </div>
+  )
+}
+
+export default MarginReport
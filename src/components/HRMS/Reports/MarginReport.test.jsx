@@ -0,0 +1,194 @@
+/**
+ * MarginReport Component Tests
+ * Grouping by dimension, rate-history-priced totals, trend and export
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react'
+import { BrowserRouter } from 'react-router-dom'
+
+// Same project across a rate change: January priced at $90, February at $100 with a 2% tenure discount
+const mockRows = [
+  {
+    period_start: '2025-01-01',
+    project_id: 'proj-1',
+    project_name: 'Acme Corp Dev',
+    employee_id: 'emp-1',
+    employee_name: 'Mary Chen',
+    employee_code: 'IES00013',
+    client_name: 'Acme Corp',
+    vendor_chain: 'TechStaff Inc > Prime Vendor',
+    hours: 160,
+    unpriced_hours: 0,
+    gross_revenue: 14400,
+    discount_amount: 0,
+    vms_amount: 432,
+    net_revenue: 13968,
+    cost: 9600,
+    margin: 4368,
+  },
+  {
+    period_start: '2025-02-01',
+    project_id: 'proj-1',
+    project_name: 'Acme Corp Dev',
+    employee_id: 'emp-1',
+    employee_name: 'Mary Chen',
+    employee_code: 'IES00013',
+    client_name: 'Acme Corp',
+    vendor_chain: 'TechStaff Inc > Prime Vendor',
+    hours: 160,
+    unpriced_hours: 0,
+    gross_revenue: 16000,
+    discount_amount: 320,
+    vms_amount: 480,
+    net_revenue: 15200,
+    cost: 9600,
+    margin: 5600,
+  },
+  {
+    period_start: '2025-02-01',
+    project_id: 'proj-2',
+    project_name: 'Globex Portal',
+    employee_id: 'emp-2',
+    employee_name: 'John Smith',
+    employee_code: 'IES00012',
+    client_name: 'Globex',
+    vendor_chain: null,
+    hours: 80,
+    unpriced_hours: 8,
+    gross_revenue: 5760,
+    discount_amount: 0,
+    vms_amount: 0,
+    net_revenue: 5760,
+    cost: 4800,
+    margin: 960,
+  },
+]
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    rpc: vi.fn(),
+    auth: { getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'token' } } }) },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  renderSpreadsheet: vi.fn(),
+}))
+
+vi.mock('../../../utils/fileUtils', async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadBlob: vi.fn(),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: vi.fn(() => ({
+    tenant: { tenant_id: 'test-tenant-id' },
+    selectedBusiness: { business_id: 'test-business-id' },
+  })),
+}))
+
+vi.mock('../../../contexts/ToastProvider', () => ({
+  useToast: () => ({
+    showSuccess: vi.fn(),
+    showErrorResponse: vi.fn(),
+  }),
+}))
+
+vi.mock('../../Shared/BusinessFilter', () => ({
+  default: () => <div data-testid="business-filter" />,
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { renderSpreadsheet } from '../../../api/edgeFunctions'
+import { downloadBlob, readFileAsText } from '../../../utils/fileUtils'
+import MarginReport from './MarginReport'
+
+const renderReport = () => render(
+  <BrowserRouter>
+    <MarginReport />
+  </BrowserRouter>
+)
+
+describe('MarginReport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.rpc.mockResolvedValue({ data: mockRows, error: null })
+  })
+
+  it('loads the report for the tenant, business and date range', async () => {
+    renderReport()
+
+    expect(await screen.findByText('Acme Corp Dev')).toBeInTheDocument()
+    const [fn, params] = supabase.rpc.mock.calls[0]
+    expect(fn).toBe('get_hrms_margin_report')
+    expect(params).toMatchObject({
+      p_tenant_id: 'test-tenant-id',
+      p_business_id: 'test-business-id',
+      p_interval: 'month',
+    })
+    expect(params.p_start_date <= params.p_end_date).toBe(true)
+  })
+
+  it('totals margin across rate periods and warns about unpriced hours', async () => {
+    renderReport()
+    await screen.findByText('Acme Corp Dev')
+
+    expect(screen.getByText('$34,928.00')).toBeInTheDocument()
+    expect(screen.getByText('$10,928.00')).toBeInTheDocument()
+    expect(screen.getByText('31.3%')).toBeInTheDocument()
+    expect(screen.getByRole('status')).toHaveTextContent('8.00 approved hours have no bill rate in effect')
+
+    const acmeRow = screen.getByText('Acme Corp Dev').closest('tr')
+    expect(within(acmeRow).getByText('$29,168.00')).toBeInTheDocument()
+    expect(within(acmeRow).getByText('$9,968.00')).toBeInTheDocument()
+  })
+
+  it('regroups by vendor chain and end client', async () => {
+    renderReport()
+    await screen.findByText('Acme Corp Dev')
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Vendor Chain' }))
+    expect(screen.getByText('TechStaff Inc > Prime Vendor')).toBeInTheDocument()
+    expect(screen.getByText('Direct to client')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('tab', { name: 'End Client' }))
+    expect(screen.getByText('Globex')).toBeInTheDocument()
+    expect(screen.queryByText('Acme Corp Dev')).not.toBeInTheDocument()
+  })
+
+  it('reloads with weekly buckets', async () => {
+    renderReport()
+    await screen.findByText('Acme Corp Dev')
+
+    fireEvent.change(screen.getByLabelText('Trend interval'), { target: { value: 'week' } })
+
+    await waitFor(() => expect(supabase.rpc).toHaveBeenLastCalledWith(
+      'get_hrms_margin_report',
+      expect.objectContaining({ p_interval: 'week' })
+    ))
+  })
+
+  it('exports the grouped summary as CSV and all sheets as Excel', async () => {
+    renderSpreadsheet.mockResolvedValueOnce({ blob: new Blob(['xlsx']), fileName: 'report.xlsx' })
+    renderReport()
+    await screen.findByText('Acme Corp Dev')
+
+    fireEvent.click(screen.getByRole('button', { name: /export csv/i }))
+    const [csvBlob, csvName] = downloadBlob.mock.calls[0]
+    expect(csvName).toMatch(/^gross_margin_by_project_.*\.csv$/)
+    const csv = (await readFileAsText(csvBlob)).split('\r\n')
+    expect(csv[0]).toBe('Project,Hours,Gross Revenue,Discounts,VMS Charges,Net Revenue,Cost,Gross Margin,Margin %')
+    expect(csv[1]).toBe('Acme Corp Dev,320,30400,320,912,29168,19200,9968,34.17')
+    expect(csv[3]).toBe('Total,400,36160,320,912,34928,24000,10928,31.29')
+
+    fireEvent.click(screen.getByRole('button', { name: /export excel/i }))
+    await waitFor(() => expect(renderSpreadsheet).toHaveBeenCalled())
+    const [, sheets, token] = renderSpreadsheet.mock.calls[0]
+    expect(sheets.map((sheet) => sheet.name)).toEqual(['By Project', 'Trend', 'Detail'])
+    expect(sheets[1].rows.slice(1).map((row) => [row[0], row[7]])).toEqual([
+      ['2025-01-01', 4368],
+      ['2025-02-01', 6560],
+    ])
+    expect(token).toBe('token')
+  })
+})
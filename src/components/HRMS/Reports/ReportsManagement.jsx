@@ -0,0 +1,17 @@
+import { Routes, Route, Navigate } from 'react-router-dom'
+import MarginReport from './MarginReport'
+
+/**
+ * ReportsManagement - Router component for financial reports
+ * Handles routing for /hrms/reports/*
+ */
+function ReportsManagement() {
+  return (
+    <Routes>
+      <Route index element={<Navigate to="margin" replace />} />
+      <Route path="margin" element={<MarginReport />} />
+    </Routes>
+  )
+}
+
+export default ReportsManagement
@@ -0,0 +1,2 @@
+export { default as ReportsManagement } from './ReportsManagement'
+export { default as MarginReport } from './MarginReport'
@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
 import { useAuth } from '../../../contexts/AuthProvider'
 import { useTenant } from '../../../contexts/TenantProvider'
 import {
@@ -33,6 +34,7 @@ function ChangeStatusModal({ ticket, onClose, onSuccess }) {
   const [validationErrors, setValidationErrors] = useState({})
   const [submitting, setSubmitting] = useState(false)
   const [submitError, setSubmitError] = useState(null)
+  const [statusUpdated, setStatusUpdated] = useState(false)
 
   const currentStatusConfig = STATUS_CONFIG[ticket.status] || STATUS_CONFIG.ticket_created
 
@@ -88,10 +90,11 @@ function ChangeStatusModal({ ticket, onClose, onSuccess }) {
 
       if (updateError) throw updateError
 
-      // Update status history with reason if provided
-      // Note: The trigger creates the history record, but we can update it with reason
-      if (reason.trim()) {
-        const { data: historyData, error: historyError } = await supabase
+      // The trigger creates the history record; look it up to add the reason
+      // and to email the employee about this specific change
+      let historyData = null
+      if (reason.trim() || notifyEmployee) {
+        const { data, error: historyError } = await supabase
           .from('hrms_ticket_status_history')
           .select('history_id')
           .eq('ticket_id', ticket.ticket_id)
@@ -100,19 +103,31 @@ function ChangeStatusModal({ ticket, onClose, onSuccess }) {
           .limit(1)
           .single()
 
-        if (!historyError && historyData) {
-          await supabase
-            .from('hrms_ticket_status_history')
-            .update({
-              change_reason: reason.trim(),
-              changed_by_name: user.email || 'Team Member' // Would use profile name in production
-            })
-            .eq('history_id', historyData.history_id)
-        }
+        if (!historyError) historyData = data
+      }
+
+      if (historyData && reason.trim()) {
+        await supabase
+          .from('hrms_ticket_status_history')
+          .update({
+            change_reason: reason.trim(),
+            changed_by_name: user.email || 'Team Member' // Would use profile name in production
+          })
+          .eq('history_id', historyData.history_id)
       }
 
-      // TODO: Send email notification if notifyEmployee is true
-      // This would typically be handled by a Supabase Edge Function or backend service
+      if (historyData && notifyEmployee) {
+        try {
+          const { data: { session } } = await supabase.auth.getSession()
+          await sendTicketNotification({ history_id: historyData.history_id }, session?.access_token)
+        } catch (notifyErr) {
+          // The status change stands; leave the modal open so the failure is seen
+          console.error('Error sending status notification:', notifyErr)
+          setStatusUpdated(true)
+          setSubmitError(`Status updated, but the employee email could not be sent: ${notifyErr.message}`)
+          return
+        }
+      }
 
       if (onSuccess) {
         onSuccess()
@@ -219,23 +234,31 @@ function ChangeStatusModal({ ticket, onClose, onSuccess }) {
             </label>
           </div>
 
-          <div className="form-actions">
-            <button
-              type="button"
-              className="btn-secondary"
-              onClick={onClose}
-              disabled={submitting}
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="btn-primary"
-              disabled={submitting}
-            >
-              {submitting ? 'Updating...' : 'Update Status'}
-            </button>
-          </div>
+          {statusUpdated ? (
+            <div className="form-actions">
+              <button type="button" className="btn-primary" onClick={onSuccess}>
+                Done
+              </button>
+            </div>
+          ) : (
+            <div className="form-actions">
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={onClose}
+                disabled={submitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={submitting}
+              >
+                {submitting ? 'Updating...' : 'Update Status'}
+              </button>
+            </div>
+          )}
         </form>
       </div>
     </div>
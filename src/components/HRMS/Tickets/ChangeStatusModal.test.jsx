@@ -0,0 +1,111 @@
+/**
+ * ChangeStatusModal Component Tests
+ * Status updates and the employee email notification
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+
+vi.mock('../../../contexts/AuthProvider', () => ({
+  useAuth: () => ({ user: { id: 'test-user-id', email: 'admin@example.com' } }),
+}))
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({ tenant: { tenant_id: 'test-tenant-id' } }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    auth: {
+      getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+    },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  sendTicketNotification: vi.fn(),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
+import ChangeStatusModal from './ChangeStatusModal'
+
+// Chainable query builder; every call is recorded on the returned query
+const createQuery = (data) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    limit: vi.fn(() => query),
+    update: vi.fn(() => query),
+    single: vi.fn(() => Promise.resolve({ data, error: null })),
+    then: (resolve) => resolve({ data: null, error: null }),
+  }
+  return query
+}
+
+let queries
+
+const ticket = { ticket_id: 'tkt-001', status: 'in_team_review' }
+
+const submitStatusChange = (status, reason) => {
+  fireEvent.change(screen.getByLabelText(/new status/i), { target: { value: status } })
+  if (reason) {
+    fireEvent.change(screen.getByLabelText(/reason for status change/i), { target: { value: reason } })
+  }
+  fireEvent.click(screen.getByRole('button', { name: 'Update Status' }))
+}
+
+describe('ChangeStatusModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    queries = []
+    supabase.from.mockImplementation((table) => {
+      const query = createQuery(table === 'hrms_ticket_status_history' ? { history_id: 'hist-new' } : null)
+      queries.push({ table, query })
+      return query
+    })
+  })
+
+  it('emails the employee about the new history entry', async () => {
+    sendTicketNotification.mockResolvedValueOnce({ success: true, data: { sent: true } })
+    const onSuccess = vi.fn()
+    render(<ChangeStatusModal ticket={ticket} onClose={vi.fn()} onSuccess={onSuccess} />)
+
+    submitStatusChange('closed', 'Extension approved')
+
+    await waitFor(() => expect(onSuccess).toHaveBeenCalled())
+    expect(sendTicketNotification).toHaveBeenCalledWith({ history_id: 'hist-new' }, 'test-token')
+    const reasonUpdate = queries.find(({ table, query }) =>
+      table === 'hrms_ticket_status_history' && query.update.mock.calls.length > 0
+    )
+    expect(reasonUpdate.query.update).toHaveBeenCalledWith(expect.objectContaining({ change_reason: 'Extension approved' }))
+  })
+
+  it('skips the email when notify is unchecked', async () => {
+    const onSuccess = vi.fn()
+    render(<ChangeStatusModal ticket={ticket} onClose={vi.fn()} onSuccess={onSuccess} />)
+
+    fireEvent.click(screen.getByLabelText(/notify employee/i))
+    submitStatusChange('sent_to_candidate_review')
+
+    await waitFor(() => expect(onSuccess).toHaveBeenCalled())
+    expect(sendTicketNotification).not.toHaveBeenCalled()
+  })
+
+  it('reports a failed email without undoing the status change', async () => {
+    sendTicketNotification.mockRejectedValueOnce(new Error('Resend API key is not configured'))
+    const onSuccess = vi.fn()
+    render(<ChangeStatusModal ticket={ticket} onClose={vi.fn()} onSuccess={onSuccess} />)
+
+    submitStatusChange('sent_to_candidate_review')
+
+    expect(await screen.findByText(
+      'Status updated, but the employee email could not be sent: Resend API key is not configured'
+    )).toBeInTheDocument()
+    expect(onSuccess).not.toHaveBeenCalled()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Done' }))
+    expect(onSuccess).toHaveBeenCalled()
+  })
+})
@@ -12,6 +12,7 @@ import { useTenant } from '../../../contexts/TenantProvider'
 import { useAuth } from '../../../contexts/AuthProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
 import BusinessFilter from '../../Shared/BusinessFilter'
+import { formatDurationHours, getTicketSlaStatus } from '../../../utils/ticketSla'
 import './EmployeeTickets.css'
 
 /**
@@ -36,12 +37,20 @@ function EmployeeTickets() {
   const [showClosed, setShowClosed] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
 
+  const [resolutionStats, setResolutionStats] = useState(null)
+
   useEffect(() => {
     if (tenant?.tenant_id) {
       fetchTickets()
     }
   }, [tenant?.tenant_id, selectedBusiness?.business_id, dateRangeFilter, assignedToMeOnly, showClosed])
 
+  useEffect(() => {
+    if (tenant?.tenant_id) {
+      fetchResolutionStats()
+    }
+  }, [tenant?.tenant_id, selectedBusiness?.business_id, dateRangeFilter, activeTab, requestTypeFilter])
+
   const handleAssignToMe = async (ticketId) => {
     if (!user?.id || !tenant?.tenant_id) {
       alert('Unable to assign ticket: User not available')
@@ -76,25 +85,7 @@ function EmployeeTickets() {
         return
       }
 
-      // Build date range filter
-      const now = new Date()
-      let dateFrom = null
-      switch (dateRangeFilter) {
-        case 'today':
-          dateFrom = new Date(now.setHours(0, 0, 0, 0))
-          break
-        case 'last_7_days':
-          dateFrom = new Date(now.setDate(now.getDate() - 7))
-          break
-        case 'last_30_days':
-          dateFrom = new Date(now.setDate(now.getDate() - 30))
-          break
-        case 'last_90_days':
-          dateFrom = new Date(now.setDate(now.getDate() - 90))
-          break
-        default:
-          dateFrom = new Date(now.setDate(now.getDate() - 30))
-      }
+      const dateFrom = getDateRangeStart(dateRangeFilter)
 
       // Build query
       let query = supabase
@@ -109,6 +100,10 @@ function EmployeeTickets() {
           priority,
           created_at,
           last_activity_at,
+          resolved_at,
+          first_response_at,
+          first_response_due_at,
+          resolution_due_at,
           assigned_to,
           assigned_team,
           employee:hrms_employees!hrms_tickets_employee_id_fkey(
@@ -172,6 +167,8 @@ function EmployeeTickets() {
           assignedToName = ticket.assigned_team === 'HR_Team' ? 'HR Admin' : 'Immigration Team'
         }
 
+        const sla = getTicketSlaStatus(ticket, now)
+
         return {
           id: ticket.ticket_id,
           ticketNumber: ticket.ticket_number,
@@ -188,6 +185,8 @@ function EmployeeTickets() {
           assignedToId: ticket.assigned_to, // Store ID for filtering
           commentsCount,
           hoursAgo,
+          firstResponseBreached: sla.firstResponse === 'breached',
+          resolutionBreached: sla.resolution === 'breached',
         }
       })
 
@@ -200,6 +199,25 @@ function EmployeeTickets() {
     }
   }
 
+  // Resolution times for the current tab, date range and request type
+  const fetchResolutionStats = async () => {
+    try {
+      const { data, error: rpcError } = await supabase.rpc('get_hrms_ticket_resolution_stats', {
+        p_tenant_id: tenant.tenant_id,
+        p_business_id: selectedBusiness?.business_id || null,
+        p_resolved_from: getDateRangeStart(dateRangeFilter).toISOString(),
+        p_assigned_team: `${activeTab}_Team`,
+        p_request_type: requestTypeFilter === 'all' ? null : requestTypeFilter,
+      })
+
+      if (rpcError) throw rpcError
+      setResolutionStats(data)
+    } catch (err) {
+      console.error('Error fetching resolution stats:', err)
+      setResolutionStats(null)
+    }
+  }
+
   const filteredTickets = useMemo(() => {
     return tickets.filter((ticket) => {
       if (ticket.department !== activeTab) return false
@@ -242,10 +260,9 @@ function EmployeeTickets() {
         if (!matches) return false
       }
 
-      // dateRangeFilter currently not applied (mock only)
       return true
     })
-  }, [tickets, activeTab, statusFilter, requestTypeFilter, assignedToMeOnly, showClosed, searchQuery, dateRangeFilter])
+  }, [tickets, activeTab, statusFilter, requestTypeFilter, assignedToMeOnly, showClosed, searchQuery])
 
   // Calculate stats from actual tickets
   const hrTickets = tickets.filter((t) => t.department === 'HR')
@@ -270,8 +287,8 @@ function EmployeeTickets() {
     t.status === 'sent_to_candidate_review'
   ).length
 
-  // Calculate average resolve time (simplified - would need resolved_at)
-  const avgResolve = '2.3d' // TODO: Calculate from resolved_at when available
+  const avgResolve = formatDurationHours(resolutionStats?.avgResolveHours)
+  const medianResolve = formatDurationHours(resolutionStats?.medianResolveHours)
 
   if (loading) {
     return <LoadingSpinner message="Loading tickets..." />
@@ -334,6 +351,9 @@ function EmployeeTickets() {
         <div className="stat-card">
           <div className="stat-label">Avg Resolve</div>
           <div className="stat-value">{avgResolve}</div>
+          <div className="stat-detail">
+            Median {medianResolve} · {resolutionStats?.resolvedCount ?? 0} resolved
+          </div>
           <div className="stat-icon gray">
             <ArrowTrendingUpIcon />
           </div>
@@ -465,6 +485,16 @@ function EmployeeTickets() {
                   <span>🏷️ {ticket.requestType}</span>
                   <span>📅 {new Date(ticket.createdAt).toLocaleDateString('en-US')}</span>
                 </div>
+                {ticket.firstResponseBreached && (
+                  <div className="ticket-flag breached">
+                    🚨 First response SLA breached
+                  </div>
+                )}
+                {ticket.resolutionBreached && (
+                  <div className="ticket-flag breached">
+                    🚨 Resolution SLA breached
+                  </div>
+                )}
                 {ticket.awaitingEmployee && (
                   <div className="ticket-flag">
                     ⚠️ Awaiting employee response
@@ -509,6 +539,22 @@ function EmployeeTickets() {
   )
 }
 
+// Start of the selected date range; defaults to the last 30 days
+function getDateRangeStart(dateRange) {
+  const now = new Date()
+  switch (dateRange) {
+    case 'today':
+      return new Date(now.setHours(0, 0, 0, 0))
+    case 'last_7_days':
+      return new Date(now.setDate(now.getDate() - 7))
+    case 'last_90_days':
+      return new Date(now.setDate(now.getDate() - 90))
+    case 'last_30_days':
+    default:
+      return new Date(now.setDate(now.getDate() - 30))
+  }
+}
+
 function formatStatus(status) {
   switch (status) {
     case 'ticket_created':
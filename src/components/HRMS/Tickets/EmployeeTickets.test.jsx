@@ -2,7 +2,7 @@
  * EmployeeTickets (admin) Component Tests
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 
 // Mock contexts
@@ -35,6 +35,9 @@ const mockTicketsData = [
     status: 'ticket_created',
     priority: 'high',
     created_at: '2025-12-15T10:00:00Z',
+    first_response_at: null,
+    first_response_due_at: '2025-12-15T14:00:00Z',
+    resolution_due_at: '2099-12-17T10:00:00Z',
     assigned_to: null,
     assigned_team: 'HR_Team',
     employee: {
@@ -58,6 +61,9 @@ const mockTicketsData = [
     status: 'in_team_review',
     priority: 'normal',
     created_at: '2025-12-14T09:00:00Z',
+    first_response_at: '2025-12-14T11:00:00Z',
+    first_response_due_at: '2025-12-14T17:00:00Z',
+    resolution_due_at: '2099-12-19T09:00:00Z',
     assigned_to: 'test-user-id',
     assigned_team: 'HR_Team',
     employee: {
@@ -74,6 +80,14 @@ const mockTicketsData = [
   },
 ]
 
+const mockResolutionStats = {
+  resolvedCount: 12,
+  avgResolveHours: 55.2,
+  medianResolveHours: 20,
+  firstResponseBreaches: 1,
+  resolutionBreaches: 0,
+}
+
 vi.mock('../../../api/supabaseClient', () => {
   const createQueryBuilder = () => {
     const builder = {
@@ -89,10 +103,12 @@ vi.mock('../../../api/supabaseClient', () => {
   return {
     supabase: {
       from: vi.fn(() => createQueryBuilder()),
+      rpc: vi.fn(() => Promise.resolve({ data: mockResolutionStats, error: null })),
     },
   }
 })
 
+import { supabase } from '../../../api/supabaseClient'
 import EmployeeTickets from './EmployeeTickets'
 
 const Wrapper = ({ children }) => <BrowserRouter>{children}</BrowserRouter>
@@ -146,6 +162,47 @@ describe('EmployeeTickets (admin)', () => {
       expect(screen.getByText(/Benefits Enrollment Question/i)).toBeInTheDocument()
     })
   })
-})
 
+  it('flags tickets that breached their first response SLA', async () => {
+    render(<EmployeeTickets />, { wrapper: Wrapper })
+
+    const breachedRow = (await screen.findByText(/Payroll Discrepancy - Missing December Bonus/i)).closest('.ticket-row')
+    expect(within(breachedRow).getByText(/First response SLA breached/i)).toBeInTheDocument()
+
+    const respondedRow = screen.getByText(/Benefits Enrollment Question/i).closest('.ticket-row')
+    expect(within(respondedRow).queryByText(/SLA breached/i)).not.toBeInTheDocument()
+  })
+
+  it('shows average and median resolve time from resolved tickets', async () => {
+    render(<EmployeeTickets />, { wrapper: Wrapper })
+
+    expect(await screen.findByText('2.3d')).toBeInTheDocument()
+    expect(screen.getByText(/Median 20h · 12 resolved/)).toBeInTheDocument()
+    expect(supabase.rpc).toHaveBeenCalledWith('get_hrms_ticket_resolution_stats', expect.objectContaining({
+      p_tenant_id: 'test-tenant-id',
+      p_business_id: 'test-business-id',
+      p_assigned_team: 'HR_Team',
+      p_request_type: null,
+    }))
+  })
 
+  it('refetches resolution stats for the selected team and request type', async () => {
+    render(<EmployeeTickets />, { wrapper: Wrapper })
+    await screen.findByText(/Benefits Enrollment Question/i)
+
+    fireEvent.change(screen.getByLabelText('Request Type'), { target: { value: 'Benefits Inquiry' } })
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenLastCalledWith('get_hrms_ticket_resolution_stats', expect.objectContaining({
+        p_assigned_team: 'HR_Team',
+        p_request_type: 'Benefits Inquiry',
+      }))
+    })
+
+    fireEvent.click(screen.getByRole('button', { name: /Immigration/i }))
+    await waitFor(() => {
+      expect(supabase.rpc).toHaveBeenLastCalledWith('get_hrms_ticket_resolution_stats', expect.objectContaining({
+        p_assigned_team: 'Immigration_Team',
+      }))
+    })
+  })
+})
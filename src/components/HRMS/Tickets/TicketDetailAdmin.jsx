@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
 import { useTenant } from '../../../contexts/TenantProvider'
 import { useAuth } from '../../../contexts/AuthProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
@@ -26,6 +27,7 @@ import {
 import { format, formatDistanceToNow } from 'date-fns'
 import './TicketDetailAdmin.css'
 import ChangeStatusModal from './ChangeStatusModal'
+import TicketReplyToolbar from './TicketReplyToolbar'
 
 // Status configuration with colors
 const STATUS_CONFIG = {
@@ -87,14 +89,32 @@ const STATUS_CONFIG = {
   }
 }
 
+const ASSIGNMENT_METHOD_LABELS = {
+  round_robin: 'round robin',
+  least_loaded: 'least loaded',
+}
+
+// Timeline text for an hrms_ticket_assignment_history row
+function formatAssignment(item) {
+  const to = item.new_assignee || 'Unassigned'
+  if (item.method !== 'manual') {
+    return `Auto-assigned to ${to} (${ASSIGNMENT_METHOD_LABELS[item.method] || item.method})`
+  }
+  const by = item.assigned_by || 'System'
+  if (!item.new_assignee) return `${by} unassigned ${item.previous_assignee || 'the ticket'}`
+  return item.previous_assignee
+    ? `${by} reassigned from ${item.previous_assignee} to ${to}`
+    : `${by} assigned to ${to}`
+}
+
 /**
  * TicketDetailAdmin Component - Admin ticket detail view with status management
  * Based on UI_DESIGN_DOCS/04_EMPLOYEE_TICKETS.md
  */
 function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode = false }) {
   const { ticketId } = useParams()
-  const { selectedBusiness } = useTenant()
-  const { user } = useAuth()
+  const { tenant, selectedBusiness } = useTenant()
+  const { user, profile } = useAuth()
   const navigate = useNavigate()
 
   // Core data state
@@ -108,6 +128,7 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
   const [isInternalNote, setIsInternalNote] = useState(false)
   const [sendEmailNotification, setSendEmailNotification] = useState(true)
   const [submittingComment, setSubmittingComment] = useState(false)
+  const [commentEmailError, setCommentEmailError] = useState(null)
 
   useEffect(() => {
     fetchTicket()
@@ -152,6 +173,7 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             employee_type: 'it_usa',
             business: { business_name: 'Intuites LLC' }
           },
+          current_visa: { visa_type_name: 'H1B', end_date: '2026-03-15' },
           attachments: [
             { id: 'att-001', file_name: 'I-797_copy.pdf', file_size: 1259520, file_url: '#' },
             { id: 'att-002', file_name: 'passport_scan.pdf', file_size: 2519040, file_url: '#' }
@@ -222,6 +244,11 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             business:businesses!hrms_employees_business_id_fkey(
               business_id,
               business_name
+            ),
+            visa_statuses:hrms_visa_statuses(
+              visa_type_name,
+              end_date,
+              is_current
             )
           ),
           comments:hrms_ticket_comments(
@@ -231,10 +258,12 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             author_type,
             author_display_name,
             created_at,
-            email_sent
+            email_sent,
+            source
           ),
           attachments:hrms_ticket_attachments(
             attachment_id,
+            comment_id,
             file_name,
             file_path,
             file_size_bytes,
@@ -246,6 +275,15 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             new_status,
             change_reason,
             changed_by_name,
+            notification_sent,
+            created_at
+          ),
+          assignment_history:hrms_ticket_assignment_history(
+            history_id,
+            previous_assignee_name,
+            new_assignee_name,
+            assignment_method,
+            assigned_by_name,
             created_at
           )
         `)
@@ -272,6 +310,18 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
         return
       }
 
+      const assignmentHistory = (ticketData.assignment_history || [])
+        .map(hist => ({
+          id: hist.history_id,
+          previous_assignee: hist.previous_assignee_name,
+          new_assignee: hist.new_assignee_name,
+          method: hist.assignment_method,
+          assigned_by: hist.assigned_by_name,
+          changed_at: hist.created_at
+        }))
+        .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at))
+      const latestAssignment = assignmentHistory[assignmentHistory.length - 1]
+
       // Transform the data to match component format
       const transformedTicket = {
         ticket_id: ticketData.ticket_id,
@@ -285,7 +335,10 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
         created_at: ticketData.created_at,
         updated_at: ticketData.updated_at,
         assigned_team: ticketData.assigned_team,
-        assigned_to: ticketData.assigned_to ? { id: ticketData.assigned_to } : null,
+        assigned_to: ticketData.assigned_to ? {
+          id: ticketData.assigned_to,
+          name: latestAssignment?.new_assignee || null
+        } : null,
         employee: ticketData.employee ? {
           employee_id: ticketData.employee.employee_id,
           first_name: ticketData.employee.first_name,
@@ -298,6 +351,7 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             business_name: ticketData.employee.business.business_name
           } : null
         } : null,
+        current_visa: ticketData.employee?.visa_statuses?.find(visa => visa.is_current) || null,
         attachments: (ticketData.attachments || []).map(att => ({
           id: att.attachment_id,
           file_name: att.file_name,
@@ -313,18 +367,28 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
             id: null, // Would need to join with profiles
             name: comment.author_display_name || 'System'
           },
-          email_sent: comment.email_sent
+          email_sent: comment.email_sent,
+          source: comment.source,
+          attachments: (ticketData.attachments || [])
+            .filter(att => att.comment_id === comment.comment_id)
+            .map(att => ({
+              id: att.attachment_id,
+              file_name: att.file_name,
+              file_size: att.file_size_bytes || 0
+            }))
         })),
         status_history: (ticketData.status_history || []).map(hist => ({
           id: hist.history_id,
           old_status: hist.previous_status,
           new_status: hist.new_status,
           changed_at: hist.created_at,
+          notification_sent: hist.notification_sent,
           changed_by: {
             id: null,
             name: hist.changed_by_name || 'System'
           }
-        }))
+        })),
+        assignment_history: assignmentHistory
       }
 
       setTicket(transformedTicket)
@@ -340,8 +404,9 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
     if (!commentText.trim() || !ticket || !tenant?.tenant_id || !user?.id) return
 
     setSubmittingComment(true)
+    setCommentEmailError(null)
     try {
-      const { error: commentError } = await supabase
+      const { data: newComment, error: commentError } = await supabase
         .from('hrms_ticket_comments')
         .insert({
           tenant_id: tenant.tenant_id,
@@ -350,12 +415,24 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
           is_internal_note: isInternalNote,
           author_type: 'team_member',
           author_user_id: user.id,
-          author_display_name: user.email || 'Team Member', // Would use profile name in production
-          email_sent: sendEmailNotification
+          author_display_name: user.email || 'Team Member' // Would use profile name in production
         })
+        .select('comment_id')
+        .single()
 
       if (commentError) throw commentError
-      
+
+      // email_sent is set by the edge function once delivery succeeds
+      if (sendEmailNotification && !isInternalNote) {
+        try {
+          const { data: { session } } = await supabase.auth.getSession()
+          await sendTicketNotification({ comment_id: newComment.comment_id }, session?.access_token)
+        } catch (notifyErr) {
+          console.error('Failed to email comment:', notifyErr)
+          setCommentEmailError(`Comment added, but the employee email could not be sent: ${notifyErr.message}`)
+        }
+      }
+
       // Refresh ticket data
       setCommentText('')
       setIsInternalNote(false)
@@ -369,6 +446,10 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
     }
   }
 
+  const handleInsertCannedResponse = (text) => {
+    setCommentText(prev => (prev.trim() ? `${prev.trimEnd()}\n\n${text}` : text))
+  }
+
   const handleStatusChanged = () => {
     setShowChangeStatusModal(false)
     fetchTicket()
@@ -582,12 +663,26 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
           {/* Combine comments and status changes, sort by date */}
           {[
             ...(ticket.comments || []).map(c => ({ ...c, type: 'comment' })),
-            ...(ticket.status_history || []).map(h => ({ ...h, type: 'status_change' }))
+            ...(ticket.status_history || []).map(h => ({ ...h, type: 'status_change' })),
+            ...(ticket.assignment_history || []).map(a => ({ ...a, type: 'assignment' }))
           ]
             .sort((a, b) => new Date(b.created_at || b.changed_at) - new Date(a.created_at || a.changed_at))
             .map((item, idx) => (
               <div key={idx} className={`activity-item ${item.type}`}>
-                {item.type === 'status_change' ? (
+                {item.type === 'assignment' ? (
+                  <>
+                    <div className="activity-header">
+                      <UserIcon className="activity-icon assignment" />
+                      <span className="activity-type">ASSIGNMENT</span>
+                      <span className="activity-date">
+                        {format(new Date(item.changed_at), 'MMM d, yyyy h:mm a')}
+                      </span>
+                    </div>
+                    <div className="activity-content">
+                      {formatAssignment(item)}
+                    </div>
+                  </>
+                ) : item.type === 'status_change' ? (
                   <>
                     <div className="activity-header">
                       <ClockIcon className="activity-icon status-change" />
@@ -599,6 +694,11 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
                     <div className="activity-content">
                       {item.changed_by?.name} changed status from "{STATUS_CONFIG[item.old_status]?.label || item.old_status}" to "{STATUS_CONFIG[item.new_status]?.label || item.new_status}"
                     </div>
+                    {item.notification_sent && (
+                      <div className="email-notification-badge">
+                        ✉️ Email notification sent to employee
+                      </div>
+                    )}
                   </>
                 ) : (
                   <>
@@ -613,6 +713,9 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
                           Internal Only
                         </span>
                       )}
+                      {item.source === 'email' && (
+                        <span className="email-source-badge">📧 Received by email</span>
+                      )}
                       <span className="activity-date">
                         {format(new Date(item.created_at), 'MMM d, yyyy h:mm a')}
                       </span>
@@ -650,6 +753,13 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
         <div className="add-comment-section">
           <h3 className="subsection-title">Add Comment / Update</h3>
           <form onSubmit={handleAddComment} className="comment-form">
+            <TicketReplyToolbar
+              ticket={ticket}
+              agentName={profile?.full_name || user?.email}
+              notifyEmployee={sendEmailNotification}
+              onInsert={handleInsertCannedResponse}
+              onApplied={fetchTicket}
+            />
             <textarea
               className="comment-textarea"
               placeholder="Type your comment here..."
@@ -658,6 +768,9 @@ function TicketDetailAdmin({ testMode = false, errorMode = false, notFoundMode =
               rows={4}
               aria-label="Add comment"
             />
+            {commentEmailError && (
+              <p className="comment-email-error" role="alert">{commentEmailError}</p>
+            )}
             <div className="comment-options">
               <label className="checkbox-label">
                 <input
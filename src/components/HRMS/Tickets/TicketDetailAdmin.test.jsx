@@ -5,7 +5,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
-import { BrowserRouter } from 'react-router-dom'
+import { BrowserRouter, MemoryRouter, Routes, Route } from 'react-router-dom'
 
 // Mock contexts
 vi.mock('../../../contexts/AuthProvider', () => ({
@@ -17,14 +17,18 @@ vi.mock('../../../contexts/AuthProvider', () => ({
   AuthProvider: ({ children }) => children,
 }))
 
-vi.mock('../../../contexts/TenantProvider', () => ({
-  useTenant: () => ({
+// Same object every render - selectedBusiness is an effect dependency
+vi.mock('../../../contexts/TenantProvider', () => {
+  const tenantContext = {
     tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
     loading: false,
     selectedBusiness: { business_id: 'test-business-id', business_name: 'Test Business', short_name: 'TEST' },
-  }),
-  TenantProvider: ({ children }) => children,
-}))
+  }
+  return {
+    useTenant: () => tenantContext,
+    TenantProvider: ({ children }) => children,
+  }
+})
 
 const mockTicketData = {
   ticket_id: 'tkt-001',
@@ -106,6 +110,24 @@ const mockTicketData = {
       created_at: '2025-12-12T10:15:00Z',
     },
   ],
+  assignment_history: [
+    {
+      history_id: 'asg-002',
+      previous_assignee_name: 'Priya Patel',
+      new_assignee_name: 'Sam Lee',
+      assignment_method: 'manual',
+      assigned_by_name: 'HR Admin',
+      created_at: '2025-12-11T08:00:00Z',
+    },
+    {
+      history_id: 'asg-001',
+      previous_assignee_name: null,
+      new_assignee_name: 'Priya Patel',
+      assignment_method: 'round_robin',
+      assigned_by_name: null,
+      created_at: '2025-12-10T09:30:00Z',
+    },
+  ],
 }
 
 vi.mock('../../../api/supabaseClient', () => ({
@@ -113,13 +135,23 @@ vi.mock('../../../api/supabaseClient', () => ({
     from: vi.fn().mockReturnValue({
       select: vi.fn().mockReturnThis(),
       eq: vi.fn().mockReturnThis(),
-      single: vi.fn().mockResolvedValue({ data: mockTicketData, error: null }),
+      order: vi.fn().mockReturnThis(),
+      single: vi.fn(() => Promise.resolve({ data: mockTicketData, error: null })),
       update: vi.fn().mockReturnThis(),
-      insert: vi.fn().mockResolvedValue({ data: { comment_id: 'cmt-new' }, error: null }),
+      insert: vi.fn().mockReturnThis(),
     }),
+    auth: {
+      getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+    },
   },
 }))
 
+vi.mock('../../../api/edgeFunctions', () => ({
+  sendTicketNotification: vi.fn(),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
 import TicketDetailAdmin from './TicketDetailAdmin'
 
 // Test wrapper component
@@ -136,7 +168,13 @@ describe('TicketDetailAdmin', () => {
 
   describe('Loading State', () => {
     it('shows loading spinner while fetching ticket', async () => {
-      render(<TicketDetailAdmin />, { wrapper: TestWrapper })
+      render(
+        <MemoryRouter initialEntries={['/hrms/tickets/tkt-001']}>
+          <Routes>
+            <Route path="/hrms/tickets/:ticketId" element={<TicketDetailAdmin />} />
+          </Routes>
+        </MemoryRouter>
+      )
       expect(screen.getByTestId('loading-spinner')).toBeInTheDocument()
       // Wait for data to load
       await waitFor(() => {
@@ -149,7 +187,7 @@ describe('TicketDetailAdmin', () => {
     it('renders ticket detail page header after loading', async () => {
       render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
       await waitFor(() => {
-        expect(screen.getByText(/TESTTKT0042/i)).toBeInTheDocument()
+        expect(screen.getByText('TESTTKT0042', { selector: '.ticket-number-header' })).toBeInTheDocument()
         expect(screen.queryByTestId('loading-spinner')).not.toBeInTheDocument()
       })
     })
@@ -178,9 +216,9 @@ describe('TicketDetailAdmin', () => {
     it('displays ticket department, type, and status badges', async () => {
       render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
       await waitFor(() => {
-        expect(screen.getByText(/Immigration/i)).toBeInTheDocument()
-        expect(screen.getByText(/H1B Extension/i)).toBeInTheDocument()
-        expect(screen.getByText(/Sent to Candidate for Review/i)).toBeInTheDocument()
+        expect(screen.getByText('Immigration', { selector: '.department-badge' })).toBeInTheDocument()
+        expect(screen.getByText('H1B Extension', { selector: '.request-type-badge' })).toBeInTheDocument()
+        expect(screen.getByText(/Sent to Candidate for Review/i, { selector: '.status-badge' })).toBeInTheDocument()
       })
     })
 
@@ -219,11 +257,27 @@ describe('TicketDetailAdmin', () => {
     it('displays activity timeline with comments and status changes', async () => {
       render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
       await waitFor(() => {
-        expect(screen.getByText(/STATUS CHANGE/i)).toBeInTheDocument()
-        expect(screen.getByText(/COMMENT/i)).toBeInTheDocument()
+        expect(screen.getAllByText('STATUS CHANGE')).toHaveLength(2)
+        expect(screen.getByText('COMMENT')).toBeInTheDocument()
       })
     })
 
+    it('shows routing and reassignments in the activity timeline', async () => {
+      render(
+        <MemoryRouter initialEntries={['/hrms/tickets/tkt-001']}>
+          <Routes>
+            <Route path="/hrms/tickets/:ticketId" element={<TicketDetailAdmin />} />
+          </Routes>
+        </MemoryRouter>
+      )
+
+      expect(await screen.findByText('Auto-assigned to Priya Patel (round robin)')).toBeInTheDocument()
+      expect(screen.getByText('HR Admin reassigned from Priya Patel to Sam Lee')).toBeInTheDocument()
+      expect(screen.getAllByText('ASSIGNMENT')).toHaveLength(2)
+      // The latest assignment names the current assignee
+      expect(screen.getByText('Assigned To:').nextSibling).toHaveTextContent('Sam Lee')
+    })
+
     it('displays add comment form', async () => {
       render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
       await waitFor(() => {
@@ -243,7 +297,7 @@ describe('TicketDetailAdmin', () => {
       const changeStatusButton = screen.getByRole('button', { name: /change status/i })
       await user.click(changeStatusButton)
       await waitFor(() => {
-        expect(screen.getByText(/change status/i)).toBeInTheDocument()
+        expect(screen.getByRole('heading', { name: /change status/i })).toBeInTheDocument()
       })
     })
 
@@ -286,6 +340,49 @@ describe('TicketDetailAdmin', () => {
         expect(screen.getByLabelText(/send email notification/i)).toBeInTheDocument()
       })
     })
+
+    it('emails the employee after adding a comment', async () => {
+      const query = supabase.from()
+      query.single.mockResolvedValueOnce({ data: { comment_id: 'cmt-new' }, error: null })
+      sendTicketNotification.mockResolvedValueOnce({ success: true, data: { sent: true } })
+      render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
+
+      fireEvent.change(await screen.findByPlaceholderText(/type your comment/i), { target: { value: 'Documents received' } })
+      fireEvent.click(screen.getByRole('button', { name: /add comment/i }))
+
+      await waitFor(() => {
+        expect(sendTicketNotification).toHaveBeenCalledWith({ comment_id: 'cmt-new' }, 'test-token')
+      })
+      expect(query.insert).toHaveBeenCalledWith(expect.not.objectContaining({ email_sent: expect.anything() }))
+    })
+
+    it('never emails internal notes', async () => {
+      const query = supabase.from()
+      query.single.mockResolvedValueOnce({ data: { comment_id: 'cmt-new' }, error: null })
+      render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
+
+      fireEvent.change(await screen.findByPlaceholderText(/type your comment/i), { target: { value: 'Checked with PM' } })
+      fireEvent.click(screen.getByLabelText(/internal note/i))
+      fireEvent.click(screen.getByRole('button', { name: /add comment/i }))
+
+      await waitFor(() => {
+        expect(query.insert).toHaveBeenCalledWith(expect.objectContaining({ is_internal_note: true }))
+      })
+      expect(sendTicketNotification).not.toHaveBeenCalled()
+    })
+
+    it('keeps the comment when the email fails', async () => {
+      supabase.from().single.mockResolvedValueOnce({ data: { comment_id: 'cmt-new' }, error: null })
+      sendTicketNotification.mockRejectedValueOnce(new Error('Resend API key is not configured'))
+      render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
+
+      fireEvent.change(await screen.findByPlaceholderText(/type your comment/i), { target: { value: 'Documents received' } })
+      fireEvent.click(screen.getByRole('button', { name: /add comment/i }))
+
+      expect(await screen.findByRole('alert')).toHaveTextContent(
+        'Comment added, but the employee email could not be sent: Resend API key is not configured'
+      )
+    })
   })
 
   describe('Navigation', () => {
@@ -334,7 +431,7 @@ describe('TicketDetailAdmin', () => {
     it('has accessible page structure', async () => {
       render(<TicketDetailAdmin testMode={true} />, { wrapper: TestWrapper })
       await waitFor(() => {
-        expect(screen.getByRole('article')).toBeInTheDocument()
+        expect(screen.getByRole('heading', { level: 1, name: /Request for H1B Extension Filing/i })).toBeInTheDocument()
       })
     })
 
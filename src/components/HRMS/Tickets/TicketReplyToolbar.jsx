@@ -0,0 +1,158 @@
+import { useState, useEffect, useMemo } from 'react'
+import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
+import { useTenant } from '../../../contexts/TenantProvider'
+import { fillCannedResponse, getCannedResponseVariables } from '../../../utils/cannedResponses'
+import './TicketReplyToolbar.css'
+
+// A NULL department means the response or macro serves both teams
+const forDepartment = (department) => (item) => !item.department || item.department === department
+
+/**
+ * TicketReplyToolbar Component - Canned responses and macros above the comment form
+ * Canned responses are inserted into the comment box for editing; macros post
+ * their reply, status change and internal note at once.
+ */
+function TicketReplyToolbar({ ticket, agentName, notifyEmployee = true, onInsert, onApplied }) {
+  const { tenant } = useTenant()
+  const [responses, setResponses] = useState([])
+  const [macros, setMacros] = useState([])
+  const [applyingMacroId, setApplyingMacroId] = useState(null)
+  const [macroError, setMacroError] = useState(null)
+
+  useEffect(() => {
+    if (!tenant?.tenant_id) return
+
+    const fetchLibrary = async () => {
+      try {
+        const [responsesResult, macrosResult] = await Promise.all([
+          supabase
+            .from('hrms_ticket_canned_responses')
+            .select('canned_response_id, department, title, category, body')
+            .eq('tenant_id', tenant.tenant_id)
+            .eq('is_active', true)
+            .order('title'),
+          supabase
+            .from('hrms_ticket_macros')
+            .select(`
+              macro_id,
+              department,
+              name,
+              new_status,
+              internal_note,
+              canned_response:hrms_ticket_canned_responses(body)
+            `)
+            .eq('tenant_id', tenant.tenant_id)
+            .eq('is_active', true)
+            .order('display_order'),
+        ])
+
+        if (responsesResult.error) throw responsesResult.error
+        if (macrosResult.error) throw macrosResult.error
+
+        setResponses(responsesResult.data || [])
+        setMacros(macrosResult.data || [])
+      } catch (err) {
+        // The comment form still works without the library
+        console.error('Error loading canned responses:', err)
+      }
+    }
+
+    fetchLibrary()
+  }, [tenant?.tenant_id])
+
+  const variables = useMemo(() => getCannedResponseVariables(ticket, agentName), [ticket, agentName])
+  const departmentResponses = responses.filter(forDepartment(ticket.department))
+  const departmentMacros = macros.filter(forDepartment(ticket.department))
+
+  const handleInsert = (e) => {
+    const response = responses.find((r) => r.canned_response_id === e.target.value)
+    if (response) {
+      onInsert(fillCannedResponse(response.body, variables))
+    }
+  }
+
+  const handleApplyMacro = async (macro) => {
+    setApplyingMacroId(macro.macro_id)
+    setMacroError(null)
+    try {
+      const { data, error } = await supabase.rpc('apply_hrms_ticket_macro', {
+        p_ticket_id: ticket.ticket_id,
+        p_macro_id: macro.macro_id,
+        p_reply_text: fillCannedResponse(macro.canned_response?.body, variables) || null,
+        p_internal_note: fillCannedResponse(macro.internal_note, variables) || null,
+      })
+
+      if (error) throw error
+
+      // The reply already tells the employee what happened; only email the
+      // status change on its own when the macro posted no reply
+      const notification = data?.comment_id
+        ? { comment_id: data.comment_id }
+        : data?.history_id && { history_id: data.history_id }
+      if (notifyEmployee && notification) {
+        try {
+          const { data: { session } } = await supabase.auth.getSession()
+          await sendTicketNotification(notification, session?.access_token)
+        } catch (notifyErr) {
+          console.error('Failed to email macro update:', notifyErr)
+          setMacroError(`${macro.name} applied, but the employee email could not be sent: ${notifyErr.message}`)
+        }
+      }
+
+      if (onApplied) {
+        onApplied()
+      }
+    } catch (err) {
+      console.error('Failed to apply macro:', err)
+      setMacroError(err.message || `Failed to apply ${macro.name}`)
+    } finally {
+      setApplyingMacroId(null)
+    }
+  }
+
+  if (departmentResponses.length === 0 && departmentMacros.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="reply-toolbar">
+      {departmentResponses.length > 0 && (
+        <select
+          className="reply-toolbar-select"
+          aria-label="Insert canned response"
+          value=""
+          onChange={handleInsert}
+        >
+          <option value="">Insert canned response...</option>
+          {departmentResponses.map((response) => (
+            <option key={response.canned_response_id} value={response.canned_response_id}>
+              {response.category ? `${response.category}: ${response.title}` : response.title}
+            </option>
+          ))}
+        </select>
+      )}
+      {departmentMacros.length > 0 && (
+        <div className="reply-toolbar-macros">
+          <span className="reply-toolbar-label">Macros:</span>
+          {departmentMacros.map((macro) => (
+            <button
+              key={macro.macro_id}
+              type="button"
+              className="btn-macro"
+              onClick={() => handleApplyMacro(macro)}
+              disabled={applyingMacroId !== null}
+            >
+              {applyingMacroId === macro.macro_id ? 'Applying...' : macro.name}
+            </button>
+          ))}
+        </div>
+      )}
+      {macroError && (
+        <p className="comment-email-error" role="alert">{macroError}</p>
+      )}
+    </div>
+  )
+}
+
+export default TicketReplyToolbar
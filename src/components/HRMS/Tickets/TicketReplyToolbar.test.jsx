@@ -0,0 +1,174 @@
+/**
+ * TicketReplyToolbar Component Tests
+ * Canned responses and one-click macros on the ticket detail page
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+
+vi.mock('../../../contexts/TenantProvider', () => ({
+  useTenant: () => ({
+    tenant: { tenant_id: 'test-tenant-id', company_name: 'Test Company' },
+  }),
+}))
+
+vi.mock('../../../api/supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    auth: {
+      getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+    },
+  },
+}))
+
+vi.mock('../../../api/edgeFunctions', () => ({
+  sendTicketNotification: vi.fn(),
+}))
+
+import { supabase } from '../../../api/supabaseClient'
+import { sendTicketNotification } from '../../../api/edgeFunctions'
+import TicketReplyToolbar from './TicketReplyToolbar'
+
+const ticket = {
+  ticket_id: 'tkt-001',
+  ticket_number: 'IESTKT0042',
+  subject: 'RFE on my extension',
+  department: 'Immigration',
+  request_type: 'H1B Extension',
+  employee: { first_name: 'John', last_name: 'Doe' },
+  current_visa: { visa_type_name: 'H1B', end_date: '2026-03-15' },
+}
+
+const mockTables = {
+  hrms_ticket_canned_responses: [
+    {
+      canned_response_id: 'cr-1',
+      department: 'Immigration',
+      title: 'Visa stamping guidance',
+      category: 'Stamping',
+      body: 'Hi {{employee_first_name}}, your {{visa_type}} is valid until {{visa_end_date}} ({{ticket_number}}). {{unknown}}',
+    },
+    {
+      canned_response_id: 'cr-2',
+      department: 'HR',
+      title: 'Payroll correction',
+      category: null,
+      body: 'Payroll will correct this.',
+    },
+  ],
+  hrms_ticket_macros: [
+    {
+      macro_id: 'macro-1',
+      department: 'Immigration',
+      name: 'RFE received',
+      new_status: 'need_attorney_discussion',
+      internal_note: 'RFE for {{employee_name}} forwarded to attorney',
+      canned_response: { body: 'Hi {{employee_first_name}}, we received the RFE. - {{agent_name}}' },
+    },
+    {
+      macro_id: 'macro-2',
+      department: null,
+      name: 'Escalate',
+      new_status: 'need_leadership_discussion',
+      internal_note: null,
+      canned_response: null,
+    },
+  ],
+}
+
+const createQuery = (data, error = null) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve) => resolve({ data, error }),
+  }
+  return query
+}
+
+const renderToolbar = (props = {}) => {
+  const handlers = { onInsert: vi.fn(), onApplied: vi.fn() }
+  render(<TicketReplyToolbar ticket={ticket} agentName="Priya Patel" {...handlers} {...props} />)
+  return handlers
+}
+
+describe('TicketReplyToolbar', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.from.mockImplementation((table) => createQuery(mockTables[table] || []))
+  })
+
+  it('offers only responses and macros for the ticket department', async () => {
+    renderToolbar()
+
+    const select = await screen.findByLabelText('Insert canned response')
+    expect(screen.getByRole('option', { name: 'Stamping: Visa stamping guidance' })).toBeInTheDocument()
+    expect(screen.queryByRole('option', { name: 'Payroll correction' })).not.toBeInTheDocument()
+    expect(select).toHaveValue('')
+    expect(screen.getByRole('button', { name: 'RFE received' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Escalate' })).toBeInTheDocument()
+  })
+
+  it('inserts a canned response with the ticket variables filled in', async () => {
+    const { onInsert } = renderToolbar()
+
+    fireEvent.change(await screen.findByLabelText('Insert canned response'), { target: { value: 'cr-1' } })
+
+    expect(onInsert).toHaveBeenCalledWith(
+      'Hi John, your H1B is valid until Mar 15, 2026 (IESTKT0042). {{unknown}}'
+    )
+  })
+
+  it('applies a macro and emails the employee the reply', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: { comment_id: 'cmt-new', history_id: 'hist-new', note_id: 'note-new' },
+      error: null,
+    })
+    sendTicketNotification.mockResolvedValueOnce({ success: true })
+    const { onApplied } = renderToolbar()
+
+    fireEvent.click(await screen.findByRole('button', { name: 'RFE received' }))
+
+    await waitFor(() => expect(onApplied).toHaveBeenCalled())
+    expect(supabase.rpc).toHaveBeenCalledWith('apply_hrms_ticket_macro', {
+      p_ticket_id: 'tkt-001',
+      p_macro_id: 'macro-1',
+      p_reply_text: 'Hi John, we received the RFE. - Priya Patel',
+      p_internal_note: 'RFE for John Doe forwarded to attorney',
+    })
+    expect(sendTicketNotification).toHaveBeenCalledTimes(1)
+    expect(sendTicketNotification).toHaveBeenCalledWith({ comment_id: 'cmt-new' }, 'test-token')
+  })
+
+  it('emails the status change when the macro posts no reply', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { comment_id: null, history_id: 'hist-new', note_id: null }, error: null })
+    renderToolbar()
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Escalate' }))
+
+    await waitFor(() => {
+      expect(sendTicketNotification).toHaveBeenCalledWith({ history_id: 'hist-new' }, 'test-token')
+    })
+    expect(supabase.rpc.mock.calls[0][1]).toMatchObject({ p_reply_text: null, p_internal_note: null })
+  })
+
+  it('does not email when notifications are off', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { comment_id: 'cmt-new' }, error: null })
+    const { onApplied } = renderToolbar({ notifyEmployee: false })
+
+    fireEvent.click(await screen.findByRole('button', { name: 'RFE received' }))
+
+    await waitFor(() => expect(onApplied).toHaveBeenCalled())
+    expect(sendTicketNotification).not.toHaveBeenCalled()
+  })
+
+  it('shows the error when a macro fails', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'Macro "RFE received" is for Immigration tickets' } })
+    const { onApplied } = renderToolbar()
+
+    fireEvent.click(await screen.findByRole('button', { name: 'RFE received' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Macro "RFE received" is for Immigration tickets')
+    expect(onApplied).not.toHaveBeenCalled()
+  })
+})
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { ArrowDownTrayIcon } from '@heroicons/react/24/outline'
 import { supabase } from '../../../api/supabaseClient'
+import { generateTimesheetPdf } from '../../../api/edgeFunctions'
+import { downloadBlob } from '../../../utils/fileUtils'
 import { useTenant } from '../../../contexts/TenantProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
 import './TimesheetDetail.css'
@@ -18,11 +20,13 @@ function TimesheetDetail() {
   const [error, setError] = useState(null)
   const [timesheet, setTimesheet] = useState(null)
   const [entries, setEntries] = useState([])
+  const [attachments, setAttachments] = useState([])
 
   useEffect(() => {
     if (tenant?.tenant_id && timesheetId) {
       fetchTimesheet()
       fetchEntries()
+      fetchAttachments()
     }
   }, [tenant?.tenant_id, timesheetId])
 
@@ -84,14 +88,47 @@ function TimesheetDetail() {
     }
   }
 
+  // Client-approved timesheets uploaded from the employee portal
+  const fetchAttachments = async () => {
+    try {
+      const { data, error: queryError } = await supabase
+        .from('hrms_documents')
+        .select('document_id, document_name, file_path, file_name, uploaded_at')
+        .eq('tenant_id', tenant.tenant_id)
+        .eq('entity_type', 'timesheet')
+        .eq('entity_id', timesheetId)
+        .order('uploaded_at', { ascending: false })
+
+      if (queryError) throw queryError
+      setAttachments(data || [])
+    } catch (err) {
+      console.error('Error fetching attachments:', err)
+    }
+  }
+
+  const handleDownloadAttachment = async (doc) => {
+    try {
+      const [bucket, ...pathParts] = doc.file_path.split('/')
+      const { data, error: urlError } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(pathParts.join('/'), 3600)
+
+      if (urlError) throw urlError
+      window.open(data.signedUrl, '_blank', 'noopener')
+    } catch (err) {
+      console.error('Error downloading attachment:', err)
+      alert(`Failed to download file: ${err.message}`)
+    }
+  }
+
   const handleDownloadPDF = async () => {
     try {
-      // TODO: Implement PDF generation via Edge Function
-      console.log('Download PDF for timesheet:', timesheetId)
-      alert('PDF download functionality will be implemented via Edge Function')
+      const { data: { session } } = await supabase.auth.getSession()
+      const { blob, fileName } = await generateTimesheetPdf(timesheetId, session?.access_token)
+      downloadBlob(blob, fileName || `timesheet_${timesheetId}.pdf`)
     } catch (err) {
       console.error('Error downloading PDF:', err)
-      alert('Failed to download PDF')
+      alert(`Failed to download PDF: ${err.message}`)
     }
   }
 
@@ -238,6 +275,27 @@ function TimesheetDetail() {
           </table>
         </div>
 
+        {/* Client-Approved Timesheet */}
+        <div className="timesheet-entries-section">
+          <h2>Client-Approved Timesheet</h2>
+          {attachments.length === 0 ? (
+            <p className="empty-state">No client-approved timesheet attached</p>
+          ) : (
+            <ul className="attachment-list">
+              {attachments.map((doc) => (
+                <li key={doc.document_id}>
+                  <span>{doc.file_name}</span>
+                  <span className="attachment-date">Uploaded {formatDate(doc.uploaded_at)}</span>
+                  <button className="btn btn-secondary" onClick={() => handleDownloadAttachment(doc)}>
+                    <ArrowDownTrayIcon className="icon-sm" />
+                    Download
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Approval Info */}
         {timesheet.submission_status === 'approved' && timesheet.approved_at && (
           <div className="approval-info">
@@ -8,6 +8,8 @@ import {
   DocumentArrowDownIcon,
 } from '@heroicons/react/24/outline'
 import { supabase } from '../../../api/supabaseClient'
+import { generateTimesheetPdf, exportTimesheetsExcel } from '../../../api/edgeFunctions'
+import { downloadBlob } from '../../../utils/fileUtils'
 import { useTenant } from '../../../contexts/TenantProvider'
 import LoadingSpinner from '../../Shared/LoadingSpinner'
 import BusinessFilter from '../../Shared/BusinessFilter'
@@ -302,19 +304,18 @@ function TimesheetList({ testMode = false }) {
   // Download PDF
   const handleDownloadPDF = async (timesheet) => {
     try {
-      // TODO: Implement PDF generation via Edge Function
-      console.log('Download PDF for timesheet:', timesheet.timesheet_id)
-      alert('PDF download functionality will be implemented via Edge Function')
+      const { data: { session } } = await supabase.auth.getSession()
+      const { blob, fileName } = await generateTimesheetPdf(timesheet.timesheet_id, session?.access_token)
+      downloadBlob(blob, fileName || `timesheet_${timesheet.timesheet_id}.pdf`)
     } catch (err) {
       console.error('Error downloading PDF:', err)
-      alert('Failed to download PDF')
+      alert(`Failed to download PDF: ${err.message}`)
     }
   }
 
   // Download Excel
   const handleDownloadExcel = async () => {
     try {
-      // TODO: Implement Excel export via Edge Function
       const filters = {
         tenant_id: tenant?.tenant_id,
         business_id: selectedBusiness?.business_id,
@@ -323,12 +324,14 @@ function TimesheetList({ testMode = false }) {
         status: statusFilter !== 'all' ? statusFilter : null,
         start_date: startDate,
         end_date: endDate,
+        search: debouncedSearchQuery || null,
       }
-      console.log('Download Excel with filters:', filters)
-      alert('Excel download functionality will be implemented via Edge Function')
+      const { data: { session } } = await supabase.auth.getSession()
+      const { blob, fileName } = await exportTimesheetsExcel(filters, session?.access_token)
+      downloadBlob(blob, fileName || 'timesheets.xlsx')
     } catch (err) {
       console.error('Error downloading Excel:', err)
-      alert('Failed to download Excel')
+      alert(`Failed to download Excel: ${err.message}`)
     }
   }
 
@@ -47,10 +47,18 @@ vi.mock('../../../api/supabaseClient', () => {
   return {
     supabase: {
       from: mockFrom,
+      auth: {
+        getSession: vi.fn().mockResolvedValue({ data: { session: { access_token: 'test-token' } } }),
+      },
     },
   }
 })
 
+vi.mock('../../../api/edgeFunctions', () => ({
+  generateTimesheetPdf: vi.fn(),
+  exportTimesheetsExcel: vi.fn().mockResolvedValue({ blob: new Blob(['xlsx']), fileName: 'timesheets.xlsx' }),
+}))
+
 vi.mock('../../../contexts/TenantProvider', () => ({
   useTenant: vi.fn(() => ({
     tenant: { tenant_id: 'test-tenant-id' },
@@ -59,6 +67,7 @@ vi.mock('../../../contexts/TenantProvider', () => ({
 }))
 
 import TimesheetList from './TimesheetList'
+import { exportTimesheetsExcel } from '../../../api/edgeFunctions'
 
 const TestWrapper = ({ children }) => <BrowserRouter>{children}</BrowserRouter>
 
@@ -95,6 +104,23 @@ describe('TimesheetList (HRMS Read-only)', () => {
     })
   })
 
+  it('exports with the active search filter', async () => {
+    window.URL.createObjectURL = vi.fn(() => 'blob:timesheets')
+    window.URL.revokeObjectURL = vi.fn()
+    render(<TimesheetList />, { wrapper: TestWrapper })
+
+    fireEvent.change(await screen.findByTestId('search-timesheets-input'), { target: { value: 'smith' } })
+    await new Promise((resolve) => setTimeout(resolve, 350))
+    fireEvent.click(await screen.findByText(/Export Excel/i))
+
+    await waitFor(() => {
+      expect(exportTimesheetsExcel).toHaveBeenCalledWith(
+        expect.objectContaining({ tenant_id: 'test-tenant-id', search: 'smith' }),
+        'test-token'
+      )
+    })
+  })
+
   it('renders filters bar with period, employee, status, and project filters', async () => {
     render(<TimesheetList />, { wrapper: TestWrapper })
 
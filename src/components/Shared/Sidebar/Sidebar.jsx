@@ -19,7 +19,7 @@ import {
   NewsletterIcon,
   ProfileIcon,
 } from './ColorfulIcons'
-import { BellIcon, LightBulbIcon, BugAntIcon } from '@heroicons/react/24/outline'
+import { BellIcon, LightBulbIcon, BugAntIcon, BanknotesIcon, ChartBarIcon } from '@heroicons/react/24/outline'
 import { usePermissions } from '../../../contexts/PermissionsProvider'
 import './Sidebar.css'
 
@@ -84,6 +84,18 @@ const menuItems = [
     icon: TimesheetsIcon,
     path: '/hrms/timesheets',
   },
+  {
+    id: 'invoices',
+    label: 'Invoices',
+    icon: BanknotesIcon,
+    path: '/hrms/invoices',
+  },
+  {
+    id: 'reports',
+    label: 'Margin Reports',
+    icon: ChartBarIcon,
+    path: '/hrms/reports',
+  },
   { type: 'divider' },
   {
     id: 'admin',
@@ -208,6 +220,10 @@ function Sidebar({ collapsed, onToggle }) {
               if (colorfulIcons.includes(item.id)) return undefined
               if (isActive) return '#FFFFFF'
               switch (item.id) {
+                case 'invoices':
+                  return '#34D399'
+                case 'reports':
+                  return '#60A5FA'
                 case 'notifications':
                   return '#FBBF24'
                 case 'suggestions':
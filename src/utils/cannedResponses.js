@@ -0,0 +1,67 @@
+/**
+ * Canned response helpers
+ * Bodies in hrms_ticket_canned_responses (and macro internal notes) may use
+ * {{variable}} placeholders that are filled in from the ticket being answered.
+ */
+import { format, parseISO } from 'date-fns'
+
+export const CANNED_RESPONSE_VARIABLES = [
+  { name: 'employee_name', description: 'Employee full name' },
+  { name: 'employee_first_name', description: 'Employee first name' },
+  { name: 'ticket_number', description: 'Ticket number, e.g. IESTKT0042' },
+  { name: 'ticket_subject', description: 'Ticket subject' },
+  { name: 'request_type', description: 'Ticket request type' },
+  { name: 'visa_type', description: 'Current visa type' },
+  { name: 'visa_end_date', description: 'Current visa end date' },
+  { name: 'agent_name', description: 'Your name' },
+]
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g
+
+/**
+ * Variable values for a ticket as shown on the ticket detail page
+ * @param {object} ticket - ticket with employee and optional current_visa
+ * @param {string} [agentName] - name of the team member replying
+ * @returns {Object<string, string>}
+ */
+export function getCannedResponseVariables(ticket, agentName) {
+  const employee = ticket?.employee
+  const visa = ticket?.current_visa
+  return {
+    employee_name: employee ? [employee.first_name, employee.last_name].filter(Boolean).join(' ') : '',
+    employee_first_name: employee?.first_name || '',
+    ticket_number: ticket?.ticket_number || '',
+    ticket_subject: ticket?.subject || '',
+    request_type: ticket?.request_type || '',
+    visa_type: visa?.visa_type_name || '',
+    visa_end_date: visa?.end_date ? format(parseISO(visa.end_date), 'MMM d, yyyy') : '',
+    agent_name: agentName || '',
+  }
+}
+
+/**
+ * Replace {{variable}} placeholders in a canned response body.
+ * Unknown or empty variables are left as written so the agent notices
+ * them before sending.
+ * @param {string} body
+ * @param {Object<string, string>} variables
+ * @returns {string}
+ */
+export function fillCannedResponse(body, variables) {
+  if (!body) return ''
+  return body.replace(PLACEHOLDER, (placeholder, name) => variables[name] || placeholder)
+}
+
+/**
+ * Placeholders in a body that are not known variables
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function findUnknownVariables(body) {
+  const known = new Set(CANNED_RESPONSE_VARIABLES.map((v) => v.name))
+  const unknown = new Set()
+  for (const [, name] of (body || '').matchAll(PLACEHOLDER)) {
+    if (!known.has(name)) unknown.add(name)
+  }
+  return [...unknown]
+}
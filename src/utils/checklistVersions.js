@@ -0,0 +1,84 @@
+/**
+ * Checklist template version helpers
+ * Items copied into a new draft keep the lineage_id of the item they came
+ * from (see create_hrms_checklist_template_draft), so the same item can be
+ * followed across versions even after it is renamed or moved to another group.
+ */
+
+export const VERSION_STATUS_LABELS = {
+  draft: 'Draft',
+  published: 'Published',
+  superseded: 'Superseded',
+}
+
+// Item fields shown in a diff, in display order
+export const DIFF_FIELDS = [
+  { key: 'item_name', label: 'Name' },
+  { key: 'group_name', label: 'Group' },
+  { key: 'item_description', label: 'Description' },
+  { key: 'is_required', label: 'Required' },
+  { key: 'compliance_tracking_flag', label: 'Compliance tracking' },
+  { key: 'visible_to_employee_flag', label: 'Visible to employee' },
+  { key: 'enable_ai_parsing', label: 'AI parsing' },
+]
+
+const normalize = (value) => (value === undefined || value === '' ? null : value)
+
+// Items with their group name, ordered by group then item display order
+const flattenItems = (version) => {
+  const groups = version?.hrms_checklist_groups || []
+  return (version?.hrms_checklist_items || [])
+    .map((item) => {
+      const group = groups.find((g) => g.group_id === item.group_id)
+      return {
+        ...item,
+        group_name: group?.group_name || null,
+        group_order: group?.display_order ?? Number.MAX_SAFE_INTEGER,
+      }
+    })
+    .sort((a, b) => a.group_order - b.group_order || (a.display_order || 0) - (b.display_order || 0))
+}
+
+/**
+ * Compare the items of two versions of a template
+ * @param {object} fromVersion - version with hrms_checklist_groups and hrms_checklist_items
+ * @param {object} toVersion
+ * @returns {Array<{status: 'added'|'removed'|'changed'|'unchanged', from: object|null, to: object|null, changes: string[]}>}
+ *   changes lists the DIFF_FIELDS keys that differ
+ */
+export function diffChecklistVersions(fromVersion, toVersion) {
+  const fromItems = flattenItems(fromVersion)
+  const toItems = flattenItems(toVersion)
+
+  const rows = toItems.map((to) => {
+    const from = fromItems.find((item) => item.lineage_id === to.lineage_id) || null
+    if (!from) return { status: 'added', from: null, to, changes: [] }
+
+    const changes = DIFF_FIELDS
+      .map(({ key }) => key)
+      .filter((key) => normalize(from[key]) !== normalize(to[key]))
+    return { status: changes.length > 0 ? 'changed' : 'unchanged', from, to, changes }
+  })
+
+  const removed = fromItems
+    .filter((from) => !toItems.some((item) => item.lineage_id === from.lineage_id))
+    .map((from) => ({ status: 'removed', from, to: null, changes: [] }))
+
+  return [...rows, ...removed]
+}
+
+/**
+ * Default item map for moving employees between versions: each old item goes
+ * to the new item of the same lineage, or nowhere when it was removed
+ * @param {Array<object>} fromItems
+ * @param {Array<object>} toItems
+ * @returns {Object<string, string|null>} old item_id -> new item_id
+ */
+export function buildDefaultItemMap(fromItems, toItems) {
+  return Object.fromEntries(
+    (fromItems || []).map((from) => [
+      from.item_id,
+      (toItems || []).find((to) => to.lineage_id === from.lineage_id)?.item_id || null,
+    ])
+  )
+}
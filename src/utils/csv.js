@@ -0,0 +1,66 @@
+/**
+ * CSV read/write helpers shared by the imports and report exports
+ */
+
+/**
+ * Parse CSV text into rows of trimmed cells (RFC 4180 quoting, blank rows dropped)
+ */
+export const parseCSV = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  const input = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  row.push(cell)
+  rows.push(row)
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''))
+}
+
+// Text a spreadsheet would run as a formula when the CSV is opened
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/
+
+/**
+ * Serialize rows to CSV, quoting cells that need it
+ * Text cells that start like a formula are prefixed with ' so spreadsheet
+ * apps show them as text; numbers are written as they are.
+ */
+export const toCSV = (rows) =>
+  rows
+    .map(cells => cells.map((value) => {
+      let text = value === null || value === undefined ? '' : String(value)
+      if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }).join(','))
+    .join('\r\n')
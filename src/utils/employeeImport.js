@@ -0,0 +1,238 @@
+/**
+ * Employee directory import/export helpers
+ * Turns CSV/XLSX rows into import payloads for the import_hrms_employees RPC,
+ * validates them with the shared validators, and lays out the export and
+ * error-report sheets.
+ */
+import {
+  validateDate,
+  validateEmail,
+  validateName,
+  validatePhone,
+  validateSelect,
+  validateTextField
+} from './validators'
+
+export const EMPLOYEE_IMPORT_COLUMNS = [
+  { key: 'first_name', label: 'First Name', required: true },
+  { key: 'last_name', label: 'Last Name', required: true },
+  { key: 'email', label: 'Email', required: true },
+  { key: 'phone', label: 'Phone' },
+  { key: 'employee_type', label: 'Employee Type', required: true },
+  { key: 'employment_status', label: 'Employment Status' },
+  { key: 'department', label: 'Department' },
+  { key: 'start_date', label: 'Start Date', required: true },
+  { key: 'date_of_birth', label: 'Date of Birth' },
+  { key: 'street_address_1', label: 'Street Address 1' },
+  { key: 'street_address_2', label: 'Street Address 2' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'country', label: 'Country' },
+  { key: 'postal_code', label: 'Postal Code' }
+]
+
+const COLUMN_ALIASES = {
+  type: 'employee_type',
+  status: 'employment_status',
+  dob: 'date_of_birth',
+  address: 'street_address_1',
+  address_1: 'street_address_1',
+  address_2: 'street_address_2',
+  zip: 'postal_code',
+  zip_code: 'postal_code'
+}
+
+const EMPLOYEE_TYPE_VALUES = ['internal_india', 'internal_usa', 'it_usa', 'nonit_usa', 'healthcare_usa']
+const EMPLOYMENT_STATUS_VALUES = ['active', 'inactive', 'on_leave', 'terminated']
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const normalizeHeader = (header) =>
+  String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+
+// Accepts either the stored value or its display label ("IT USA" -> it_usa, "On Leave" -> on_leave)
+const matchOption = (value, options) => {
+  const compact = String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+  return options.find(option => option.replace(/_/g, '') === compact) || null
+}
+
+/**
+ * Map a parsed sheet (header row first) to import row objects
+ * row_number is the 1-based spreadsheet line so it lines up with the user's file.
+ *
+ * @param {string[][]} table
+ * @returns {{rows: object[], missingColumns: string[]}}
+ */
+export const mapImportRows = (table) => {
+  const [header = [], ...body] = table
+  const knownKeys = EMPLOYEE_IMPORT_COLUMNS.map(column => column.key)
+  const columnKeys = header.map((name) => {
+    const normalized = normalizeHeader(name)
+    const key = COLUMN_ALIASES[normalized] || normalized
+    return knownKeys.includes(key) ? key : null
+  })
+
+  const missingColumns = EMPLOYEE_IMPORT_COLUMNS
+    .filter(column => column.required && !columnKeys.includes(column.key))
+    .map(column => column.label)
+
+  const rows = body.map((cells, index) => {
+    const row = { row_number: index + 2 }
+    knownKeys.forEach((key) => { row[key] = '' })
+    columnKeys.forEach((key, columnIndex) => {
+      if (key) row[key] = String(cells[columnIndex] ?? '').trim()
+    })
+
+    row.email = row.email.toLowerCase()
+    row.employee_type = matchOption(row.employee_type, EMPLOYEE_TYPE_VALUES) || row.employee_type
+    row.employment_status = row.employment_status
+      ? matchOption(row.employment_status, EMPLOYMENT_STATUS_VALUES) || row.employment_status
+      : 'active'
+    return row
+  })
+
+  return { rows, missingColumns }
+}
+
+const validateIsoDate = (value, fieldName, options = {}) => {
+  if (value && !ISO_DATE_PATTERN.test(value)) {
+    return { valid: false, error: `${fieldName} must be in YYYY-MM-DD format` }
+  }
+  return validateDate(value, fieldName, options)
+}
+
+/**
+ * Validate a single import row
+ *
+ * @returns {string[]} Error messages, empty when the row is valid
+ */
+export const validateEmployeeImportRow = (row) => {
+  const results = [
+    validateName(row.first_name, 'First name'),
+    validateName(row.last_name, 'Last name'),
+    validateEmail(row.email),
+    validatePhone(row.phone),
+    validateSelect(row.employee_type, 'Employee type'),
+    validateTextField(row.department, 'Department', { required: false, maxLength: 100 }),
+    validateIsoDate(row.start_date, 'Start date'),
+    validateIsoDate(row.date_of_birth, 'Date of birth', { required: false, maxDate: new Date() }),
+    validateTextField(row.street_address_1, 'Street address 1', { required: false }),
+    validateTextField(row.street_address_2, 'Street address 2', { required: false }),
+    validateTextField(row.postal_code, 'Postal code', { required: false, maxLength: 20 })
+  ]
+  const errors = results.filter(result => !result.valid).map(result => result.error)
+
+  if (row.employee_type && !EMPLOYEE_TYPE_VALUES.includes(row.employee_type)) {
+    errors.push(`Employee type "${row.employee_type}" is not recognized`)
+  }
+  if (row.employment_status && !EMPLOYMENT_STATUS_VALUES.includes(row.employment_status)) {
+    errors.push(`Employment status "${row.employment_status}" is not recognized`)
+  }
+  if (row.city && !row.state) {
+    errors.push('State is required when a city is given')
+  }
+  if (row.state && !row.country) {
+    errors.push('Country is required when a state is given')
+  }
+
+  return errors
+}
+
+/**
+ * Validate every row, including duplicate emails within the file
+ *
+ * @returns {Object<number, string[]>} Errors keyed by row_number
+ */
+export const validateEmployeeImportRows = (rows) => {
+  const firstRowByEmail = {}
+
+  return rows.reduce((acc, row) => {
+    const errors = validateEmployeeImportRow(row)
+
+    if (row.email) {
+      if (firstRowByEmail[row.email]) {
+        errors.push(`Duplicate email (also on row ${firstRowByEmail[row.email]})`)
+      } else {
+        firstRowByEmail[row.email] = row.row_number
+      }
+    }
+
+    acc[row.row_number] = errors
+    return acc
+  }, {})
+}
+
+/**
+ * Combine client-side validation with the RPC's per-row results
+ *
+ * @param {object[]} rows - Output of mapImportRows()
+ * @param {Object<number, string[]>} clientErrors - Output of validateEmployeeImportRows()
+ * @param {Array<{row_number: number, errors: string[], employee_code?: string}>} serverRows
+ */
+export const mergeImportResults = (rows, clientErrors, serverRows = []) => {
+  const serverByRow = Object.fromEntries(serverRows.map(result => [result.row_number, result]))
+
+  return rows.map((row) => {
+    const server = serverByRow[row.row_number]
+    return {
+      row_number: row.row_number,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      email: row.email,
+      employee_code: server?.employee_code || null,
+      errors: [...(clientErrors[row.row_number] || []), ...(server?.errors || [])]
+    }
+  })
+}
+
+/**
+ * Per-row validation report for download
+ */
+export const buildImportErrorReport = (results) => [
+  ['Row', 'First Name', 'Last Name', 'Email', 'Result', 'Errors'],
+  ...results.map(result => [
+    result.row_number,
+    result.first_name,
+    result.last_name,
+    result.email,
+    result.errors.length > 0 ? 'Error' : 'Valid',
+    result.errors.join('; ')
+  ])
+]
+
+/**
+ * Blank import template with one example row
+ */
+export const buildImportTemplate = () => [
+  EMPLOYEE_IMPORT_COLUMNS.map(column => column.label),
+  [
+    'Jane', 'Doe', 'jane.doe@example.com', '555-123-4567', 'IT USA', 'Active', 'Engineering',
+    '2025-01-06', '1990-04-12', '100 Main St', 'Suite 200', 'Austin', 'Texas', 'USA', '73301'
+  ]
+]
+
+/**
+ * Lay out the (filtered) employee list for export
+ * Type and status are written as labels, which the importer accepts back.
+ *
+ * @param {object[]} employees
+ * @param {{types: object, statuses: object}} labels - EMPLOYEE_TYPES / STATUS_CONFIG maps
+ */
+export const buildEmployeeExportRows = (employees, labels = {}) => [
+  [
+    'Employee Code', 'First Name', 'Last Name', 'Email', 'Employee Type', 'Employment Status',
+    'Department', 'Start Date', 'Active Projects', 'Compliance Pending'
+  ],
+  ...employees.map(emp => [
+    emp.employee_code,
+    emp.first_name,
+    emp.last_name,
+    emp.email,
+    labels.types?.[emp.employee_type]?.label || emp.employee_type,
+    labels.statuses?.[emp.employment_status]?.label || emp.employment_status,
+    emp.department || '',
+    emp.start_date || '',
+    emp.active_projects ?? 0,
+    emp.compliance_pending ?? 0
+  ])
+]
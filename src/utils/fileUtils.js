@@ -23,3 +23,28 @@ export const formatFileSize = (bytes) => {
   const value = bytes / Math.pow(k, i)
   return `${Math.round(value * 100) / 100} ${sizes[i]}`
 }
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+export const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+  reader.onerror = () => reject(reader.error || new Error('Failed to read file'))
+  reader.readAsDataURL(file)
+})
+
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(String(reader.result))
+  reader.onerror = () => reject(reader.error || new Error('Failed to read file'))
+  reader.readAsText(file)
+})
@@ -0,0 +1,162 @@
+/**
+ * Gross margin report helpers
+ * Regroups get_hrms_margin_report rows (one per project/employee/period)
+ * by a reporting dimension, builds the trend series and export sheets.
+ */
+
+export const MARGIN_DIMENSIONS = {
+  project: {
+    label: 'Project',
+    key: (row) => row.project_id,
+    name: (row) => row.project_name,
+  },
+  employee: {
+    label: 'Employee',
+    key: (row) => row.employee_id,
+    name: (row) => (row.employee_code ? `${row.employee_name} (${row.employee_code})` : row.employee_name),
+  },
+  vendor: {
+    label: 'Vendor Chain',
+    key: (row) => row.vendor_chain || '',
+    name: (row) => row.vendor_chain || 'Direct to client',
+  },
+  client: {
+    label: 'End Client',
+    key: (row) => row.client_name || '',
+    name: (row) => row.client_name || 'Unknown client',
+  },
+}
+
+const AMOUNT_FIELDS = [
+  'hours',
+  'unpriced_hours',
+  'gross_revenue',
+  'discount_amount',
+  'vms_amount',
+  'net_revenue',
+  'cost',
+  'margin',
+]
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const emptyTotals = () => Object.fromEntries(AMOUNT_FIELDS.map((field) => [field, 0]))
+
+const addRow = (totals, row) => {
+  AMOUNT_FIELDS.forEach((field) => {
+    totals[field] = round2(totals[field] + Number(row[field] || 0))
+  })
+  return totals
+}
+
+const withMarginPercent = (totals) => ({
+  ...totals,
+  margin_percent: totals.net_revenue ? round2((totals.margin / totals.net_revenue) * 100) : 0,
+})
+
+/**
+ * Report-wide totals
+ */
+export function summarizeMargin(rows) {
+  return withMarginPercent(rows.reduce(addRow, emptyTotals()))
+}
+
+/**
+ * Totals per dimension value, highest margin first
+ *
+ * @param {object[]} rows - get_hrms_margin_report rows
+ * @param {keyof MARGIN_DIMENSIONS} dimension
+ * @returns {Array<{key: string, name: string, margin_percent: number}>}
+ */
+export function groupMarginRows(rows, dimension) {
+  const { key, name } = MARGIN_DIMENSIONS[dimension]
+  const groups = new Map()
+
+  rows.forEach((row) => {
+    const groupKey = key(row)
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: groupKey, name: name(row), ...emptyTotals() })
+    }
+    addRow(groups.get(groupKey), row)
+  })
+
+  return [...groups.values()]
+    .map(withMarginPercent)
+    .sort((a, b) => b.margin - a.margin)
+}
+
+/**
+ * Totals per period in date order, for the trend chart
+ */
+export function buildMarginTrend(rows) {
+  const periods = new Map()
+
+  rows.forEach((row) => {
+    if (!periods.has(row.period_start)) {
+      periods.set(row.period_start, { period_start: row.period_start, ...emptyTotals() })
+    }
+    addRow(periods.get(row.period_start), row)
+  })
+
+  return [...periods.values()]
+    .map(withMarginPercent)
+    .sort((a, b) => a.period_start.localeCompare(b.period_start))
+}
+
+const AMOUNT_HEADERS = [
+  'Hours', 'Gross Revenue', 'Discounts', 'VMS Charges', 'Net Revenue', 'Cost', 'Gross Margin', 'Margin %',
+]
+
+const amountCells = (totals) => [
+  totals.hours,
+  totals.gross_revenue,
+  totals.discount_amount,
+  totals.vms_amount,
+  totals.net_revenue,
+  totals.cost,
+  totals.margin,
+  totals.margin_percent,
+]
+
+/**
+ * Export sheets: the grouped summary, the trend and the underlying rows
+ *
+ * @returns {Array<{name: string, rows: Array<Array<string|number>>}>}
+ */
+export function buildMarginExportSheets(rows, dimension) {
+  const { label } = MARGIN_DIMENSIONS[dimension]
+  const totals = summarizeMargin(rows)
+
+  return [
+    {
+      name: `By ${label}`,
+      rows: [
+        [label, ...AMOUNT_HEADERS],
+        ...groupMarginRows(rows, dimension).map((group) => [group.name, ...amountCells(group)]),
+        ['Total', ...amountCells(totals)],
+      ],
+    },
+    {
+      name: 'Trend',
+      rows: [
+        ['Period Start', ...AMOUNT_HEADERS],
+        ...buildMarginTrend(rows).map((period) => [period.period_start, ...amountCells(period)]),
+      ],
+    },
+    {
+      name: 'Detail',
+      rows: [
+        ['Period Start', 'Project', 'Employee Code', 'Employee', 'End Client', 'Vendor Chain', ...AMOUNT_HEADERS],
+        ...rows.map((row) => [
+          row.period_start,
+          row.project_name,
+          row.employee_code || '',
+          row.employee_name,
+          row.client_name || '',
+          row.vendor_chain || '',
+          ...amountCells(withMarginPercent(addRow(emptyTotals(), row))),
+        ]),
+      ],
+    },
+  ]
+}
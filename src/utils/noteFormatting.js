@@ -0,0 +1,100 @@
+/**
+ * Employee note formatting helpers
+ * Note bodies are a small rich-text subset: **bold**, *italic*, "- " bullet
+ * lines and mentions stored as @[Full Name](user_id). Bodies are parsed into
+ * blocks and inline segments so they render as React elements, never as HTML.
+ */
+
+const MENTION_TOKEN = /@\[([^\]]+)\]\(([0-9a-fA-F-]{36})\)/
+const INLINE_TOKEN = new RegExp(`${MENTION_TOKEN.source}|\\*\\*([^*]+)\\*\\*|\\*([^*]+)\\*`, 'g')
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Replace the plain "@Full Name" mentions picked in the composer with
+ * stored mention tokens. Mentions whose text was deleted are dropped.
+ * @param {string} text - Composer text
+ * @param {Array<{id: string, name: string}>} mentions - Users picked from the mention list
+ * @returns {string}
+ */
+export function serializeMentions(text, mentions) {
+  // Longest names first so "@Ann Lee" is not consumed by "@Ann"
+  const sorted = [...mentions].sort((a, b) => b.name.length - a.name.length)
+  return sorted.reduce(
+    (body, { id, name }) => body.replace(
+      new RegExp(`@${escapeRegExp(name)}(?![\\w\\]])`, 'g'),
+      `@[${name}](${id})`
+    ),
+    text
+  )
+}
+
+/**
+ * Find the "@query" being typed just before the caret, if any
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{query: string, start: number} | null}
+ */
+export function findMentionQuery(text, caret) {
+  const match = /(^|\s)@([\w.'-]*)$/.exec(text.slice(0, caret))
+  if (!match) return null
+  return { query: match[2], start: caret - match[2].length - 1 }
+}
+
+/**
+ * Split a line into text, bold, italic and mention segments
+ * @param {string} line
+ * @returns {Array<{type: string, text: string, userId?: string}>}
+ */
+export function parseInline(line) {
+  const segments = []
+  let lastIndex = 0
+
+  for (const match of line.matchAll(INLINE_TOKEN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', text: line.slice(lastIndex, match.index) })
+    }
+    if (match[1]) {
+      segments.push({ type: 'mention', text: match[1], userId: match[2] })
+    } else if (match[3]) {
+      segments.push({ type: 'bold', text: match[3] })
+    } else {
+      segments.push({ type: 'italic', text: match[4] })
+    }
+    lastIndex = match.index + match[0].length
+  }
+
+  if (lastIndex < line.length) {
+    segments.push({ type: 'text', text: line.slice(lastIndex) })
+  }
+  return segments
+}
+
+/**
+ * Parse a note body into paragraph and list blocks. Blank lines end a
+ * paragraph; consecutive "- " lines form one list.
+ * @param {string} body
+ * @returns {Array<{type: 'paragraph' | 'list', lines: Array<Array<object>>}>}
+ */
+export function parseNoteBody(body) {
+  const blocks = []
+  let current = null
+
+  for (const rawLine of (body || '').split(/\r?\n/)) {
+    const line = rawLine.trimEnd()
+    if (!line.trim()) {
+      current = null
+      continue
+    }
+
+    const bullet = /^\s*[-*]\s+(.*)$/.exec(line)
+    const type = bullet ? 'list' : 'paragraph'
+    if (!current || current.type !== type) {
+      current = { type, lines: [] }
+      blocks.push(current)
+    }
+    current.lines.push(parseInline(bullet ? bullet[1] : line))
+  }
+
+  return blocks
+}
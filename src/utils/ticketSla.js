@@ -0,0 +1,49 @@
+/**
+ * Ticket SLA helpers
+ * Due dates come from hrms_ticket_sla_policies and are stamped on the ticket
+ * (first_response_due_at, resolution_due_at); first_response_at is set by the
+ * first public team comment or status change.
+ */
+
+const CLOSED_STATUSES = ['closed', 'auto_closed']
+
+const isLate = (doneAt, dueAt, now) => new Date(doneAt || now) > new Date(dueAt)
+
+/**
+ * SLA state of a ticket
+ * @param {object} ticket - hrms_tickets row
+ * @param {Date} [now]
+ * @returns {{firstResponse: 'met'|'breached'|'pending'|null, resolution: 'met'|'breached'|'pending'|null}}
+ *   null when the ticket has no target for that measure
+ */
+export function getTicketSlaStatus(ticket, now = new Date()) {
+  const resolvedAt = CLOSED_STATUSES.includes(ticket.status) ? ticket.resolved_at || now : null
+
+  let firstResponse = null
+  if (ticket.first_response_due_at) {
+    // A ticket closed without any reply is responded to by the close
+    const respondedAt = ticket.first_response_at || resolvedAt
+    if (isLate(respondedAt, ticket.first_response_due_at, now)) firstResponse = 'breached'
+    else firstResponse = respondedAt ? 'met' : 'pending'
+  }
+
+  let resolution = null
+  if (ticket.resolution_due_at) {
+    if (isLate(resolvedAt, ticket.resolution_due_at, now)) resolution = 'breached'
+    else resolution = resolvedAt ? 'met' : 'pending'
+  }
+
+  return { firstResponse, resolution }
+}
+
+/**
+ * Format a duration in hours for stat cards: "5.5h" under a day, else "2.3d"
+ * @param {number|null} hours
+ * @returns {string}
+ */
+export function formatDurationHours(hours) {
+  if (hours == null || Number.isNaN(Number(hours))) return '—'
+  const value = Number(hours)
+  if (value < 24) return `${Math.round(value * 10) / 10}h`
+  return `${Math.round((value / 24) * 10) / 10}d`
+}
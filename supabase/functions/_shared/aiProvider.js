@@ -0,0 +1,88 @@
+/**
+ * AI model providers for edge functions
+ * Every provider exposes complete({ model, messages, temperature, maxTokens, metadata })
+ * and resolves to { content, model }. messages use the OpenAI chat format
+ * (content may be a string or an array of text/image_url/file parts);
+ * metadata is ignored by real providers and lets the stub pick a canned answer.
+ */
+
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions'
+
+/**
+ * Provider that calls models through the OpenRouter chat completions API
+ *
+ * @param {{apiKey?: string, fetchImpl?: typeof fetch}} [options]
+ */
+export function createOpenRouterProvider({ apiKey, fetchImpl = fetch } = {}) {
+  return {
+    name: 'openrouter',
+    async complete({ model, messages, temperature, maxTokens }) {
+      if (!apiKey) {
+        throw new Error('OpenRouter API key is not configured')
+      }
+
+      const response = await fetchImpl(OPENROUTER_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+        }),
+      })
+
+      const body = await response.json().catch(() => null)
+
+      if (!response.ok) {
+        throw new Error(body?.error?.message || `OpenRouter request failed with status ${response.status}`)
+      }
+
+      const content = body?.choices?.[0]?.message?.content
+      if (typeof content !== 'string') {
+        throw new Error('OpenRouter returned no content')
+      }
+
+      return { content, model: body.model || model }
+    },
+  }
+}
+
+/**
+ * Deterministic provider for local runs and tests - records each request and
+ * answers with responses[metadata.documentKind] (or responses.default)
+ *
+ * @param {Object<string, string|Object>} [responses]
+ */
+export function createStubProvider(responses = {}) {
+  const requests = []
+
+  return {
+    name: 'stub',
+    requests,
+    async complete(request) {
+      requests.push(request)
+      const response = responses[request.metadata?.documentKind] ?? responses.default ?? {}
+      return {
+        content: typeof response === 'string' ? response : JSON.stringify(response),
+        model: 'stub',
+      }
+    },
+  }
+}
+
+/**
+ * Pick a provider from the environment
+ * AI_PROVIDER=stub swaps OpenRouter for the stub (local development)
+ *
+ * @param {{AI_PROVIDER?: string, OPENROUTER_API_KEY?: string}} env
+ * @param {{stubResponses?: Object}} [options]
+ */
+export function createAiProvider(env = {}, { stubResponses } = {}) {
+  return env.AI_PROVIDER === 'stub'
+    ? createStubProvider(stubResponses)
+    : createOpenRouterProvider({ apiKey: env.OPENROUTER_API_KEY })
+}
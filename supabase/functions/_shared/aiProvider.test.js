@@ -0,0 +1,74 @@
+/**
+ * AI provider tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { createOpenRouterProvider, createStubProvider, createAiProvider } from './aiProvider.js'
+
+const request = {
+  model: 'anthropic/claude-sonnet-4-5',
+  messages: [{ role: 'user', content: 'Read this passport' }],
+  temperature: 0,
+  maxTokens: 1000,
+  metadata: { documentKind: 'passport' },
+}
+
+describe('createOpenRouterProvider', () => {
+  it('posts the chat request and returns the reply', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        model: 'anthropic/claude-sonnet-4.5',
+        choices: [{ message: { content: '{"passport_number":"X1234567"}' } }],
+      }),
+    })
+
+    const result = await createOpenRouterProvider({ apiKey: 'sk-or-test', fetchImpl }).complete(request)
+
+    expect(result).toEqual({ content: '{"passport_number":"X1234567"}', model: 'anthropic/claude-sonnet-4.5' })
+    const [url, options] = fetchImpl.mock.calls[0]
+    expect(url).toBe('https://openrouter.ai/api/v1/chat/completions')
+    expect(options.headers.Authorization).toBe('Bearer sk-or-test')
+    expect(JSON.parse(options.body)).toEqual({
+      model: 'anthropic/claude-sonnet-4-5',
+      messages: request.messages,
+      temperature: 0,
+      max_tokens: 1000,
+    })
+  })
+
+  it('throws the OpenRouter error message on failure', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 402,
+      json: () => Promise.resolve({ error: { message: 'Insufficient credits' } }),
+    })
+
+    await expect(createOpenRouterProvider({ apiKey: 'sk-or-test', fetchImpl }).complete(request))
+      .rejects.toThrow('Insufficient credits')
+  })
+
+  it('refuses to call without an API key', async () => {
+    const fetchImpl = vi.fn()
+
+    await expect(createOpenRouterProvider({ fetchImpl }).complete(request))
+      .rejects.toThrow('OpenRouter API key is not configured')
+    expect(fetchImpl).not.toHaveBeenCalled()
+  })
+})
+
+describe('createStubProvider', () => {
+  it('answers from the canned response for the document kind and records the request', async () => {
+    const provider = createStubProvider({ passport: { passport_number: 'X1234567' }, default: 'nothing' })
+
+    expect(await provider.complete(request)).toEqual({ content: '{"passport_number":"X1234567"}', model: 'stub' })
+    expect(await provider.complete({ ...request, metadata: {} })).toEqual({ content: 'nothing', model: 'stub' })
+    expect(provider.requests).toHaveLength(2)
+  })
+})
+
+describe('createAiProvider', () => {
+  it('uses the stub when AI_PROVIDER=stub', () => {
+    expect(createAiProvider({ AI_PROVIDER: 'stub' }).name).toBe('stub')
+    expect(createAiProvider({ OPENROUTER_API_KEY: 'sk-or-test' }).name).toBe('openrouter')
+  })
+})
@@ -0,0 +1,151 @@
+/**
+ * Missing checklist document reminders
+ * Emails each selected employee the required checklist documents they have
+ * not uploaded (from get_hrms_missing_required_documents), rendered from the
+ * tenant's checklist_missing_documents template, and stamps the reminder on
+ * their hrms_employee_checklists rows.
+ */
+import { loadEmailTemplate, renderEmailTemplate } from './ticketNotifications.js'
+
+export const CHECKLIST_REMINDER_TEMPLATE_KEY = 'checklist_missing_documents'
+
+// Used when the tenant has no active template for the key
+export const DEFAULT_CHECKLIST_REMINDER_TEMPLATE = {
+  subject: 'Action Required: {{missing_count}} Document(s) Still Needed',
+  body_html: '<h2>Documents Still Needed</h2><p>Dear {{employee_name}},</p><p>We are still waiting for the following required documents:</p><p>{{missing_documents}}</p><p>Please upload them from the Documents page of the employee portal.</p><p>Thank you,<br>HR Team</p>',
+  body_text: 'Dear {{employee_name}},\n\nWe are still waiting for the following required documents:\n\n{{missing_documents}}\n\nPlease upload them from the Documents page of the employee portal.\n\nThank you,\nHR Team',
+}
+
+/**
+ * Group report rows (one per missing item) into one entry per employee
+ *
+ * @param {Array<object>} rows - get_hrms_missing_required_documents rows
+ * @returns {Map<string, {employee: object, checklists: Map<string, object>, items: Array<object>}>}
+ */
+export function groupMissingByEmployee(rows) {
+  const employees = new Map()
+
+  for (const row of rows || []) {
+    if (!employees.has(row.employee_id)) {
+      employees.set(row.employee_id, {
+        employee: {
+          employee_id: row.employee_id,
+          name: row.employee_name,
+          email: row.employee_email,
+          user_id: row.employee_user_id,
+          business_id: row.business_id,
+        },
+        checklists: new Map(),
+        items: [],
+      })
+    }
+
+    const entry = employees.get(row.employee_id)
+    entry.checklists.set(row.employee_checklist_id, {
+      employee_checklist_id: row.employee_checklist_id,
+      reminder_sent_count: row.reminder_sent_count || 0,
+    })
+    entry.items.push({ item_name: row.item_name, group_name: row.group_name, template_name: row.template_name })
+  }
+
+  return employees
+}
+
+/**
+ * One line per missing document, with its checklist group when it has one
+ */
+export function formatMissingDocuments(items) {
+  return items
+    .map((item) => `- ${item.item_name}${item.group_name ? ` (${item.group_name})` : ''}`)
+    .join('\n')
+}
+
+/**
+ * Send missing document reminders
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client (scoped to the caller)
+ * @param {{send: Function}} deps.mailer - Mail transport (see _shared/mailer.js)
+ * @param {Function} deps.getResendConfig - (businessId, tenantId) => Resend config
+ * @param {string} deps.tenantId
+ * @param {string[]} deps.employeeIds
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{sent: number, skipped: Array<{employee_id: string, reason: string}>, failed: Array<{employee_id: string, error: string}>}>}
+ */
+export async function sendChecklistReminders({ supabase, mailer, getResendConfig, tenantId, employeeIds, now = new Date() }) {
+  const timestamp = now.toISOString()
+
+  const { data: rows, error: reportError } = await supabase.rpc('get_hrms_missing_required_documents', {
+    p_tenant_id: tenantId,
+    p_employee_ids: employeeIds,
+  })
+  if (reportError) throw reportError
+
+  const missingByEmployee = groupMissingByEmployee(rows)
+  const template = (await loadEmailTemplate(supabase, tenantId, CHECKLIST_REMINDER_TEMPLATE_KEY))
+    || DEFAULT_CHECKLIST_REMINDER_TEMPLATE
+  const result = { sent: 0, skipped: [], failed: [] }
+
+  for (const employeeId of employeeIds) {
+    const entry = missingByEmployee.get(employeeId)
+    if (!entry) {
+      result.skipped.push({ employee_id: employeeId, reason: 'nothing_missing' })
+      continue
+    }
+
+    const { employee, checklists, items } = entry
+    if (!employee.email) {
+      result.skipped.push({ employee_id: employeeId, reason: 'no_email' })
+      continue
+    }
+
+    try {
+      const email = renderEmailTemplate(template, {
+        employee_name: employee.name,
+        missing_count: items.length,
+        missing_documents: formatMissingDocuments(items),
+      })
+      const config = await getResendConfig(employee.business_id, tenantId)
+
+      await mailer.send({
+        config,
+        to: [employee.email],
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+      })
+
+      const { error: notificationError } = await supabase.from('hrms_notifications').insert([{
+        tenant_id: tenantId,
+        user_id: employee.user_id || null,
+        employee_id: employeeId,
+        notification_type: 'compliance_reminder',
+        title: email.subject,
+        message: `Still needed: ${items.map((item) => item.item_name).join(', ')}`,
+        related_entity_type: 'employee',
+        related_entity_id: employeeId,
+        priority: 'normal',
+        action_url: '/documents',
+      }])
+      if (notificationError) throw notificationError
+
+      for (const checklist of checklists.values()) {
+        const { error: checklistError } = await supabase
+          .from('hrms_employee_checklists')
+          .update({
+            last_reminder_sent_at: timestamp,
+            reminder_sent_count: checklist.reminder_sent_count + 1,
+          })
+          .eq('employee_checklist_id', checklist.employee_checklist_id)
+        if (checklistError) throw checklistError
+      }
+
+      result.sent += 1
+    } catch (err) {
+      console.error(`Error sending checklist reminder to employee ${employeeId}:`, err)
+      result.failed.push({ employee_id: employeeId, error: err.message })
+    }
+  }
+
+  return result
+}
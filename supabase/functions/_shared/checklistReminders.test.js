@@ -0,0 +1,203 @@
+/**
+ * Missing checklist document reminder tests (runs against the stub mailer)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { sendChecklistReminders, groupMissingByEmployee, formatMissingDocuments } from './checklistReminders.js'
+import { createStubMailer } from './mailer.js'
+
+const NOW = new Date('2025-03-10T09:00:00Z')
+
+const buildRow = (overrides = {}) => ({
+  employee_id: 'emp-1',
+  employee_name: 'John Smith',
+  employee_code: 'IES00012',
+  employee_email: 'john@example.com',
+  employee_type: 'it_usa',
+  employee_user_id: 'portal-user-1',
+  business_id: 'biz-1',
+  employee_checklist_id: 'ec-1',
+  template_name: 'IT USA Immigration Documents',
+  required_items: 3,
+  required_completed: 1,
+  last_reminder_sent_at: null,
+  reminder_sent_count: 1,
+  item_id: 'item-passport',
+  item_name: 'Passport',
+  group_name: 'Identity',
+  ...overrides,
+})
+
+const REPORT_ROWS = [
+  buildRow(),
+  buildRow({ item_id: 'item-i94', item_name: 'I-94', group_name: null }),
+  buildRow({
+    employee_id: 'emp-2',
+    employee_name: 'Asha Rao',
+    employee_email: null,
+    employee_checklist_id: 'ec-2',
+    item_id: 'item-passport',
+  }),
+]
+
+/**
+ * Minimal Supabase double: serves the report from rpc, the template from
+ * maybeSingle and records inserts/updates
+ */
+function createFakeSupabase({ rows = REPORT_ROWS, template = null, failInsert = false } = {}) {
+  const writes = []
+  const rpc = vi.fn().mockResolvedValue({ data: rows, error: null })
+
+  const from = vi.fn((table) => {
+    const state = { table, op: 'select', payload: null, filters: [] }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push([column, value])
+        return builder
+      }),
+      insert: vi.fn((payload) => {
+        Object.assign(state, { op: 'insert', payload })
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      maybeSingle: vi.fn(() => Promise.resolve({ data: template, error: null })),
+      then: (resolve, reject) => {
+        writes.push(state)
+        const error = failInsert && state.op === 'insert' ? new Error('insert failed') : null
+        return Promise.resolve({ data: null, error }).then(resolve, reject)
+      },
+    }
+    return builder
+  })
+
+  return { client: { rpc, from }, writes, rpc }
+}
+
+describe('groupMissingByEmployee', () => {
+  it('collects the missing items and checklists of each employee', () => {
+    const grouped = groupMissingByEmployee(REPORT_ROWS)
+
+    expect([...grouped.keys()]).toEqual(['emp-1', 'emp-2'])
+    expect(grouped.get('emp-1').items.map((item) => item.item_name)).toEqual(['Passport', 'I-94'])
+    expect([...grouped.get('emp-1').checklists.keys()]).toEqual(['ec-1'])
+  })
+})
+
+describe('formatMissingDocuments', () => {
+  it('lists each document with its group', () => {
+    expect(formatMissingDocuments([
+      { item_name: 'Passport', group_name: 'Identity' },
+      { item_name: 'I-94', group_name: null },
+    ])).toBe('- Passport (Identity)\n- I-94')
+  })
+})
+
+describe('sendChecklistReminders', () => {
+  let mailer
+  let getResendConfig
+
+  beforeEach(() => {
+    mailer = createStubMailer()
+    getResendConfig = vi.fn().mockResolvedValue({ apiKey: 're_test', fromEmail: 'hr@example.com', fromName: 'HR' })
+  })
+
+  it('emails the missing documents and stamps the checklist', async () => {
+    const fake = createFakeSupabase()
+
+    const result = await sendChecklistReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig,
+      tenantId: 'tenant-1',
+      employeeIds: ['emp-1'],
+      now: NOW,
+    })
+
+    expect(result).toEqual({
+      sent: 1,
+      skipped: [],
+      failed: [],
+    })
+    expect(fake.rpc).toHaveBeenCalledWith('get_hrms_missing_required_documents', {
+      p_tenant_id: 'tenant-1',
+      p_employee_ids: ['emp-1'],
+    })
+    expect(getResendConfig).toHaveBeenCalledWith('biz-1', 'tenant-1')
+
+    const [message] = mailer.sent
+    expect(message.to).toEqual(['john@example.com'])
+    expect(message.subject).toBe('Action Required: 2 Document(s) Still Needed')
+    expect(message.text).toContain('- Passport (Identity)\n- I-94')
+    expect(message.html).toContain('- Passport (Identity)<br>- I-94')
+
+    const notification = fake.writes.find((write) => write.table === 'hrms_notifications')
+    expect(notification.payload[0]).toMatchObject({
+      tenant_id: 'tenant-1',
+      user_id: 'portal-user-1',
+      employee_id: 'emp-1',
+      notification_type: 'compliance_reminder',
+      message: 'Still needed: Passport, I-94',
+    })
+
+    const checklistUpdate = fake.writes.find((write) => write.table === 'hrms_employee_checklists')
+    expect(checklistUpdate.payload).toEqual({ last_reminder_sent_at: NOW.toISOString(), reminder_sent_count: 2 })
+    expect(checklistUpdate.filters).toEqual([['employee_checklist_id', 'ec-1']])
+  })
+
+  it('renders the tenant template when one is active', async () => {
+    const fake = createFakeSupabase({
+      template: { subject: 'Please send {{missing_count}} documents', body_html: '<p>{{missing_documents}}</p>' },
+    })
+
+    await sendChecklistReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig,
+      tenantId: 'tenant-1',
+      employeeIds: ['emp-1'],
+      now: NOW,
+    })
+
+    expect(mailer.sent[0].subject).toBe('Please send 2 documents')
+  })
+
+  it('skips employees with nothing missing or no email address', async () => {
+    const fake = createFakeSupabase()
+
+    const result = await sendChecklistReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig,
+      tenantId: 'tenant-1',
+      employeeIds: ['emp-2', 'emp-3'],
+      now: NOW,
+    })
+
+    expect(result.sent).toBe(0)
+    expect(result.skipped).toEqual([
+      { employee_id: 'emp-2', reason: 'no_email' },
+      { employee_id: 'emp-3', reason: 'nothing_missing' },
+    ])
+    expect(mailer.sent).toHaveLength(0)
+    expect(fake.writes.filter((write) => write.op !== 'select')).toHaveLength(0)
+  })
+
+  it('reports a failed employee and does not stamp the reminder', async () => {
+    const fake = createFakeSupabase({ failInsert: true })
+
+    const result = await sendChecklistReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig,
+      tenantId: 'tenant-1',
+      employeeIds: ['emp-1'],
+      now: NOW,
+    })
+
+    expect(result.failed).toEqual([{ employee_id: 'emp-1', error: 'insert failed' }])
+    expect(fake.writes.find((write) => write.table === 'hrms_employee_checklists')).toBeUndefined()
+  })
+})
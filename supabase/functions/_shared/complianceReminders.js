@@ -0,0 +1,215 @@
+/**
+ * Compliance reminder job
+ * Flags overdue compliance items, then dispatches every hrms_compliance_reminders
+ * row whose send date (due_date - remind_before_days) has arrived.
+ * A reminder is claimed (reminder_sent = true) before its email goes out and
+ * released again only if sending fails, so a failed write afterwards can never
+ * make the next run email the same reminder twice.
+ */
+import { escapeHtml } from './mailer.js'
+
+const OPEN_STATUSES = ['pending', 'overdue']
+
+const NOTIFICATION_PRIORITY = {
+  critical: 'urgent',
+  high: 'high',
+  medium: 'normal',
+  low: 'low',
+}
+
+const toDateString = (date) => date.toISOString().split('T')[0]
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return toDateString(date)
+}
+
+/**
+ * A reminder is due once its item is still open and today is on or after
+ * due_date - remind_before_days
+ */
+export function isReminderDue(reminder, today) {
+  const item = reminder.hrms_compliance_items
+  if (!item || !OPEN_STATUSES.includes(item.compliance_status)) {
+    return false
+  }
+  return addDays(item.due_date, -(reminder.remind_before_days || 0)) <= today
+}
+
+/**
+ * Build the reminder email subject/body for a compliance item
+ */
+export function buildReminderEmail(item, today) {
+  const employee = item.hrms_employees
+  const employeeName = employee ? `${employee.first_name} ${employee.last_name}` : 'Employee'
+  const daysLeft = Math.round(
+    (new Date(`${item.due_date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / (1000 * 60 * 60 * 24)
+  )
+  const timing = daysLeft < 0
+    ? `was due on ${item.due_date} (${Math.abs(daysLeft)} days overdue)`
+    : `is due on ${item.due_date} (${daysLeft} days remaining)`
+
+  const subject = daysLeft < 0
+    ? `Overdue: ${item.item_name} - ${employeeName}`
+    : `Reminder: ${item.item_name} - ${employeeName}`
+  const message = `${item.item_name} for ${employeeName} ${timing}.`
+  const description = item.description ? `<p>${escapeHtml(item.description)}</p>` : ''
+
+  return {
+    subject,
+    message,
+    html: `<p>${escapeHtml(message)}</p>${description}<p>Priority: ${escapeHtml(item.priority)}</p>`,
+    text: message,
+  }
+}
+
+async function resolveRecipientEmails(supabase, reminder) {
+  const emails = new Set((reminder.recipient_emails || []).filter(Boolean))
+  const userIds = reminder.recipient_user_ids || []
+
+  if (userIds.length > 0) {
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, email')
+      .in('id', userIds)
+
+    if (error) throw error
+    ;(profiles || []).forEach((profile) => profile.email && emails.add(profile.email))
+  }
+
+  return [...emails]
+}
+
+/**
+ * Run the compliance reminder job
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client (service role)
+ * @param {{send: Function}} deps.mailer - Mail transport (see _shared/mailer.js)
+ * @param {Function} deps.getResendConfig - (businessId, tenantId) => Resend config
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{checked: number, due: number, sent: number, failed: Array<{reminder_id: string, error: string}>}>}
+ *   A reminder whose email went out but whose notification or counter writes
+ *   failed counts as sent and is also listed in failed.
+ */
+export async function processComplianceReminders({ supabase, mailer, getResendConfig, now = new Date() }) {
+  const today = toDateString(now)
+  const timestamp = now.toISOString()
+
+  const { error: overdueError } = await supabase.rpc('fn_update_overdue_compliance')
+  if (overdueError) throw overdueError
+
+  const { data: reminders, error: remindersError } = await supabase
+    .from('hrms_compliance_reminders')
+    .select(`
+      reminder_id,
+      tenant_id,
+      compliance_id,
+      remind_before_days,
+      recipient_emails,
+      recipient_user_ids,
+      hrms_compliance_items (
+        compliance_id,
+        business_id,
+        employee_id,
+        item_name,
+        description,
+        due_date,
+        compliance_status,
+        priority,
+        reminder_sent_count,
+        hrms_employees (
+          first_name,
+          last_name,
+          employee_code
+        )
+      )
+    `)
+    .eq('reminder_sent', false)
+
+  if (remindersError) throw remindersError
+
+  const dueReminders = (reminders || []).filter((reminder) => isReminderDue(reminder, today))
+  const sentCounts = new Map()
+  const result = { checked: (reminders || []).length, due: dueReminders.length, sent: 0, failed: [] }
+
+  for (const reminder of dueReminders) {
+    const item = reminder.hrms_compliance_items
+
+    try {
+      const recipients = await resolveRecipientEmails(supabase, reminder)
+      if (recipients.length === 0) {
+        throw new Error('Reminder has no recipients')
+      }
+
+      const email = buildReminderEmail(item, today)
+      const config = await getResendConfig(item.business_id, reminder.tenant_id)
+
+      // Claim the reminder; an overlapping run that got there first wins
+      const { data: claimed, error: claimError } = await supabase
+        .from('hrms_compliance_reminders')
+        .update({ reminder_sent: true, reminder_sent_at: timestamp })
+        .eq('reminder_id', reminder.reminder_id)
+        .eq('reminder_sent', false)
+        .select('reminder_id')
+      if (claimError) throw claimError
+      if (!claimed || claimed.length === 0) continue
+
+      try {
+        await mailer.send({
+          config,
+          to: recipients,
+          subject: email.subject,
+          html: email.html,
+          text: email.text,
+        })
+      } catch (sendError) {
+        const { error: releaseError } = await supabase
+          .from('hrms_compliance_reminders')
+          .update({ reminder_sent: false, reminder_sent_at: null })
+          .eq('reminder_id', reminder.reminder_id)
+        if (releaseError) {
+          console.error(`Error releasing compliance reminder ${reminder.reminder_id}:`, releaseError)
+        }
+        throw sendError
+      }
+
+      result.sent += 1
+
+      const userIds = reminder.recipient_user_ids || []
+      const notificationBase = {
+        tenant_id: reminder.tenant_id,
+        employee_id: item.employee_id,
+        notification_type: 'compliance_reminder',
+        title: email.subject,
+        message: email.message,
+        related_entity_type: 'compliance_item',
+        related_entity_id: item.compliance_id,
+        priority: NOTIFICATION_PRIORITY[item.priority] || 'normal',
+        action_url: '/hrms/compliance',
+      }
+      const notifications = userIds.length > 0
+        ? userIds.map((userId) => ({ ...notificationBase, user_id: userId }))
+        : [notificationBase]
+
+      const { error: notificationError } = await supabase.from('hrms_notifications').insert(notifications)
+      if (notificationError) throw notificationError
+
+      // Several reminders can share one item; count from what this run already wrote
+      const sentCount = (sentCounts.get(item.compliance_id) ?? item.reminder_sent_count ?? 0) + 1
+      sentCounts.set(item.compliance_id, sentCount)
+
+      const { error: itemError } = await supabase
+        .from('hrms_compliance_items')
+        .update({ reminder_sent_count: sentCount, last_reminder_sent_at: timestamp })
+        .eq('compliance_id', item.compliance_id)
+      if (itemError) throw itemError
+    } catch (err) {
+      console.error(`Error sending compliance reminder ${reminder.reminder_id}:`, err)
+      result.failed.push({ reminder_id: reminder.reminder_id, error: err.message })
+    }
+  }
+
+  return result
+}
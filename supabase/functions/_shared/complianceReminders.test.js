@@ -0,0 +1,291 @@
+/**
+ * Compliance reminder job tests (runs against the stub mailer)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { processComplianceReminders, isReminderDue } from './complianceReminders.js'
+import { createStubMailer } from './mailer.js'
+import { createResendConfigResolver } from './resendConfig.js'
+
+const NOW = new Date('2025-03-10T09:00:00Z')
+
+const buildReminder = (overrides = {}, itemOverrides = {}) => ({
+  reminder_id: 'rem-001',
+  tenant_id: 'tenant-1',
+  compliance_id: 'comp-001',
+  remind_before_days: 7,
+  recipient_emails: ['hr@example.com'],
+  recipient_user_ids: ['user-1'],
+  hrms_compliance_items: {
+    compliance_id: 'comp-001',
+    business_id: 'biz-1',
+    employee_id: 'emp-1',
+    item_name: 'H1B Visa Renewal',
+    description: null,
+    due_date: '2025-03-15',
+    compliance_status: 'pending',
+    priority: 'high',
+    reminder_sent_count: 2,
+    hrms_employees: { first_name: 'John', last_name: 'Smith', employee_code: 'IES00012' },
+    ...itemOverrides,
+  },
+  ...overrides,
+})
+
+/**
+ * Minimal Supabase double: records writes and serves canned reads per table
+ */
+function createFakeSupabase({
+  reminders = [],
+  profiles = [],
+  resendConfig = null,
+  failInsert = false,
+  claimedElsewhere = [],
+} = {}) {
+  const writes = []
+  const rpc = vi.fn().mockResolvedValue({ data: null, error: null })
+
+  const from = vi.fn((table) => {
+    const state = { table, op: 'select', payload: null, filters: [] }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push([column, value])
+        return builder
+      }),
+      in: vi.fn(() => builder),
+      insert: vi.fn((payload) => {
+        Object.assign(state, { op: 'insert', payload })
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      maybeSingle: vi.fn(() => Promise.resolve({ data: resendConfig, error: null })),
+      then: (resolve, reject) => {
+        let response = { data: null, error: null }
+        if (state.op === 'select' && table === 'hrms_compliance_reminders') {
+          response = { data: reminders, error: null }
+        } else if (state.op === 'select' && table === 'profiles') {
+          response = { data: profiles, error: null }
+        } else if (state.op !== 'select') {
+          writes.push(state)
+          if (failInsert && state.op === 'insert') {
+            response = { data: null, error: new Error('insert failed') }
+          } else if (table === 'hrms_compliance_reminders' && state.payload.reminder_sent) {
+            // Claim: only reminders nobody else has marked sent come back
+            const [, reminderId] = state.filters.find(([column]) => column === 'reminder_id')
+            response = { data: claimedElsewhere.includes(reminderId) ? [] : [{ reminder_id: reminderId }], error: null }
+          }
+        }
+        return Promise.resolve(response).then(resolve, reject)
+      },
+    }
+    return builder
+  })
+
+  return { client: { rpc, from }, writes, rpc }
+}
+
+describe('isReminderDue', () => {
+  it('is due once today reaches due_date minus remind_before_days', () => {
+    expect(isReminderDue(buildReminder(), '2025-03-08')).toBe(true)
+    expect(isReminderDue(buildReminder(), '2025-03-07')).toBe(false)
+  })
+
+  it('skips items that are no longer open', () => {
+    expect(isReminderDue(buildReminder({}, { compliance_status: 'completed' }), '2025-03-10')).toBe(false)
+    expect(isReminderDue(buildReminder({}, { compliance_status: 'overdue' }), '2025-03-20')).toBe(true)
+  })
+})
+
+describe('processComplianceReminders', () => {
+  let mailer
+
+  beforeEach(() => {
+    mailer = createStubMailer()
+  })
+
+  it('runs fn_update_overdue_compliance before dispatching', async () => {
+    const fake = createFakeSupabase()
+
+    await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn(),
+      now: NOW,
+    })
+
+    expect(fake.rpc).toHaveBeenCalledWith('fn_update_overdue_compliance')
+  })
+
+  it('emails recipients using the business Resend config', async () => {
+    const fake = createFakeSupabase({
+      reminders: [buildReminder()],
+      profiles: [{ id: 'user-1', email: 'manager@example.com' }],
+      resendConfig: { resend_api_key: 're_biz', from_email: 'hr@acme.com', from_name: 'Acme HR' },
+    })
+
+    const result = await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: createResendConfigResolver(fake.client, { apiKey: 're_default' }),
+      now: NOW,
+    })
+
+    expect(result).toEqual({ checked: 1, due: 1, sent: 1, failed: [] })
+    expect(mailer.sent).toHaveLength(1)
+    expect(mailer.sent[0].to).toEqual(['hr@example.com', 'manager@example.com'])
+    expect(mailer.sent[0].subject).toBe('Reminder: H1B Visa Renewal - John Smith')
+    expect(mailer.sent[0].config).toEqual({ apiKey: 're_biz', fromEmail: 'hr@acme.com', fromName: 'Acme HR' })
+  })
+
+  it('creates notifications and updates reminder counters', async () => {
+    const fake = createFakeSupabase({ reminders: [buildReminder()] })
+
+    await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    const notificationInsert = fake.writes.find((w) => w.table === 'hrms_notifications')
+    expect(notificationInsert.payload).toEqual([
+      expect.objectContaining({
+        tenant_id: 'tenant-1',
+        user_id: 'user-1',
+        employee_id: 'emp-1',
+        notification_type: 'compliance_reminder',
+        related_entity_type: 'compliance_item',
+        related_entity_id: 'comp-001',
+        priority: 'high',
+      }),
+    ])
+
+    const reminderUpdate = fake.writes.find((w) => w.table === 'hrms_compliance_reminders')
+    expect(reminderUpdate.payload).toEqual({ reminder_sent: true, reminder_sent_at: NOW.toISOString() })
+    expect(reminderUpdate.filters).toEqual([['reminder_id', 'rem-001'], ['reminder_sent', false]])
+
+    const itemUpdate = fake.writes.find((w) => w.table === 'hrms_compliance_items')
+    expect(itemUpdate.payload).toEqual({ reminder_sent_count: 3, last_reminder_sent_at: NOW.toISOString() })
+  })
+
+  it('counts multiple reminders for the same item within one run', async () => {
+    const fake = createFakeSupabase({
+      reminders: [
+        buildReminder({ reminder_id: 'rem-001', remind_before_days: 30 }),
+        buildReminder({ reminder_id: 'rem-002', remind_before_days: 7 }),
+      ],
+    })
+
+    await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    const counts = fake.writes
+      .filter((w) => w.table === 'hrms_compliance_items')
+      .map((w) => w.payload.reminder_sent_count)
+    expect(counts).toEqual([3, 4])
+  })
+
+  it('leaves reminders that are not yet due untouched', async () => {
+    const fake = createFakeSupabase({ reminders: [buildReminder({ remind_before_days: 1 })] })
+
+    const result = await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn(),
+      now: NOW,
+    })
+
+    expect(result).toEqual({ checked: 1, due: 0, sent: 0, failed: [] })
+    expect(mailer.sent).toHaveLength(0)
+    expect(fake.writes).toHaveLength(0)
+  })
+
+  it('claims the reminder before emailing so a later write failure cannot resend it', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const fake = createFakeSupabase({ reminders: [buildReminder()], failInsert: true })
+
+    const result = await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    expect(result.sent).toBe(1)
+    expect(result.failed).toEqual([{ reminder_id: 'rem-001', error: 'insert failed' }])
+    expect(mailer.sent).toHaveLength(1)
+    const reminderWrites = fake.writes.filter((w) => w.table === 'hrms_compliance_reminders')
+    expect(reminderWrites.map((w) => w.payload)).toEqual([{ reminder_sent: true, reminder_sent_at: NOW.toISOString() }])
+    expect(fake.writes.indexOf(reminderWrites[0])).toBeLessThan(
+      fake.writes.findIndex((w) => w.table === 'hrms_notifications')
+    )
+  })
+
+  it('releases the claim when the email cannot be sent', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const fake = createFakeSupabase({ reminders: [buildReminder()] })
+    const failingMailer = { send: vi.fn().mockRejectedValue(new Error('Resend unavailable')) }
+
+    const result = await processComplianceReminders({
+      supabase: fake.client,
+      mailer: failingMailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    expect(result.sent).toBe(0)
+    expect(result.failed).toEqual([{ reminder_id: 'rem-001', error: 'Resend unavailable' }])
+    expect(fake.writes.filter((w) => w.table === 'hrms_compliance_reminders').map((w) => w.payload)).toEqual([
+      { reminder_sent: true, reminder_sent_at: NOW.toISOString() },
+      { reminder_sent: false, reminder_sent_at: null },
+    ])
+    expect(fake.writes.some((w) => w.table === 'hrms_notifications')).toBe(false)
+  })
+
+  it('skips reminders another run has already claimed', async () => {
+    const fake = createFakeSupabase({ reminders: [buildReminder()], claimedElsewhere: ['rem-001'] })
+
+    const result = await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    expect(result.sent).toBe(0)
+    expect(mailer.sent).toHaveLength(0)
+    expect(fake.writes.some((w) => w.table === 'hrms_notifications')).toBe(false)
+  })
+
+  it('escapes names and descriptions in the HTML body', async () => {
+    const fake = createFakeSupabase({
+      reminders: [
+        buildReminder({}, {
+          item_name: 'I-9 <Section 2>',
+          description: '<script>alert(1)</script>',
+          hrms_employees: { first_name: 'Ann & "Jo"', last_name: "O'Neil", employee_code: 'IES00013' },
+        }),
+      ],
+    })
+
+    await processComplianceReminders({
+      supabase: fake.client,
+      mailer,
+      getResendConfig: vi.fn().mockResolvedValue({ apiKey: 're_test' }),
+      now: NOW,
+    })
+
+    const { html, text } = mailer.sent[0]
+    expect(html).toContain('I-9 &lt;Section 2&gt; for Ann &amp; &quot;Jo&quot; O&#39;Neil')
+    expect(html).toContain('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>')
+    expect(html).not.toContain('<script>')
+    expect(text).toContain('I-9 <Section 2> for Ann & "Jo" O\'Neil')
+  })
+})
@@ -0,0 +1,395 @@
+/**
+ * AI document parsing
+ * Reads an uploaded hrms_documents file with the tenant's document prompt
+ * (hrms_ai_prompts, prompt_category 'document') and stores the extracted
+ * fields in ai_parsed_data. Immigration documents also get proposed
+ * start/expiry dates, which HR accepts with one click; nothing is written to
+ * start_date/expiry_date here.
+ *
+ * ai_parsed_data shape:
+ *   { document_kind, fields: {...}, proposed: { start_date, expiry_date },
+ *     warnings: [string], prompt_key }
+ */
+
+export const DOCUMENT_PROMPT_KEY = 'document_field_extraction'
+
+// Models can read PDFs and images; Word files are skipped
+const PARSEABLE_TYPES = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png']
+
+/**
+ * Fields extracted per kind of document. startField/expiryField name the
+ * fields proposed as the document's start_date/expiry_date.
+ */
+export const DOCUMENT_KINDS = {
+  passport: {
+    label: 'Passport',
+    fields: {
+      passport_number: 'Passport number',
+      surname: 'Surname',
+      given_names: 'Given names',
+      nationality: 'Nationality',
+      date_of_birth: 'Date of birth',
+      issue_date: 'Date of issue',
+      expiry_date: 'Date of expiration',
+    },
+    startField: 'issue_date',
+    expiryField: 'expiry_date',
+  },
+  i94: {
+    label: 'I-94 Arrival/Departure Record',
+    fields: {
+      i94_number: 'Admission (I-94) record number',
+      most_recent_entry_date: 'Most recent date of entry',
+      class_of_admission: 'Class of admission',
+      admit_until_date: 'Admit until date ("D/S" for duration of status)',
+    },
+    startField: 'most_recent_entry_date',
+    expiryField: 'admit_until_date',
+  },
+  i797: {
+    label: 'I-797 Notice of Action',
+    fields: {
+      receipt_number: 'Receipt number',
+      notice_type: 'Notice type',
+      classification: 'Classification',
+      beneficiary_name: 'Beneficiary',
+      valid_from: 'Valid from date',
+      valid_to: 'Valid to date',
+    },
+    startField: 'valid_from',
+    expiryField: 'valid_to',
+  },
+}
+
+const DATE_FIELDS = [
+  'date_of_birth', 'issue_date', 'expiry_date', 'most_recent_entry_date',
+  'admit_until_date', 'valid_from', 'valid_to',
+]
+
+/**
+ * Canned answers for the stub provider (AI_PROVIDER=stub)
+ */
+export const SAMPLE_EXTRACTIONS = {
+  passport: {
+    passport_number: 'X1234567',
+    surname: 'DOE',
+    given_names: 'JOHN',
+    nationality: 'IND',
+    date_of_birth: '1990-04-12',
+    issue_date: '2019-06-01',
+    expiry_date: '2029-05-31',
+    confidence: 0.96,
+  },
+  i94: {
+    i94_number: '123456789A1',
+    most_recent_entry_date: '2024-10-05',
+    class_of_admission: 'H1B',
+    admit_until_date: '2027-09-30',
+    confidence: 0.93,
+  },
+  i797: {
+    receipt_number: 'WAC2512345678',
+    notice_type: 'Approval Notice',
+    classification: 'I-129 H1B',
+    beneficiary_name: 'JOHN DOE',
+    valid_from: '2024-10-01',
+    valid_to: '2027-09-30',
+    confidence: 0.95,
+  },
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Normalise the date formats found on US immigration documents to YYYY-MM-DD
+ * (2027-09-30, 09/30/2027, 30 Sep 2027, Sep 30, 2027). Anything else -
+ * including "D/S" - becomes null.
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function normalizeDate(value) {
+  if (!value || typeof value !== 'string') return null
+  const text = value.trim()
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]))
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+  if (match) return toIsoDate(Number(match[3]), Number(match[1]), Number(match[2]))
+
+  match = text.match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/)
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1
+    return month ? toIsoDate(Number(match[3]), month, Number(match[1])) : null
+  }
+
+  match = text.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/)
+  if (match) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1
+    return month ? toIsoDate(Number(match[3]), month, Number(match[2])) : null
+  }
+
+  return null
+}
+
+/**
+ * Work out which kind of document this is from its type, name and file name
+ * @param {{document_type?: string, document_name?: string, file_name?: string}} document
+ * @returns {'passport'|'i94'|'i797'|null}
+ */
+export function detectDocumentKind(document) {
+  const type = (document.document_type || '').toLowerCase()
+  if (type === 'passport') return 'passport'
+  if (type === 'i94') return 'i94'
+  if (type === 'i797' || type === 'h1b') return 'i797'
+
+  const text = `${document.document_name || ''} ${document.file_name || ''}`.toLowerCase()
+  if (/\bi[-_ ]?94\b/.test(text)) return 'i94'
+  if (/\bi[-_ ]?797|approval notice|receipt notice/.test(text)) return 'i797'
+  if (/passport/.test(text)) return 'passport'
+  return null
+}
+
+/**
+ * The first JSON object in a model reply (which may be wrapped in prose or a code fence)
+ * @param {string} content
+ * @returns {Object}
+ */
+export function parseModelResponse(content) {
+  const text = String(content || '').replace(/```(?:json)?/gi, '')
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end <= start) {
+    throw new Error('The model did not return JSON')
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1))
+  } catch {
+    throw new Error('The model did not return JSON')
+  }
+}
+
+/**
+ * Keep only the known fields of a kind, with dates and document numbers normalised
+ * @param {string} kind
+ * @param {Object} raw
+ * @returns {{fields: Object, confidence: number|null, warnings: string[]}}
+ */
+export function normalizeExtraction(kind, raw) {
+  const definition = DOCUMENT_KINDS[kind]
+  const fields = {}
+  const warnings = []
+
+  Object.keys(definition.fields).forEach((key) => {
+    const value = raw?.[key]
+    if (value === undefined || value === null || value === '') {
+      fields[key] = null
+    } else if (DATE_FIELDS.includes(key)) {
+      fields[key] = normalizeDate(String(value))
+      if (!fields[key] && !(key === 'admit_until_date' && /^d\/?s$/i.test(String(value).trim()))) {
+        warnings.push(`${definition.fields[key]} "${value}" is not a date`)
+      }
+    } else {
+      fields[key] = String(value).trim()
+    }
+  })
+
+  if (kind === 'i94') {
+    fields.duration_of_status = /^d\/?s$/i.test(String(raw?.admit_until_date || '').trim())
+  }
+
+  if (kind === 'i797' && fields.receipt_number) {
+    const receipt = fields.receipt_number.replace(/[\s-]/g, '').toUpperCase()
+    if (/^[A-Z]{3}\d{10}$/.test(receipt)) {
+      fields.receipt_number = receipt
+    } else {
+      warnings.push(`Receipt number "${fields.receipt_number}" does not look like a USCIS receipt number`)
+      fields.receipt_number = null
+    }
+  }
+
+  if (kind === 'passport' && fields.passport_number) {
+    fields.passport_number = fields.passport_number.replace(/\s/g, '').toUpperCase()
+  }
+
+  const score = raw?.confidence === null || raw?.confidence === undefined ? NaN : Number(raw.confidence)
+  const confidence = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : null
+
+  return { fields, confidence, warnings }
+}
+
+/**
+ * Start/expiry dates to offer HR for the document (null when not found).
+ * A start date after the expiry date is dropped rather than proposed.
+ * @param {string} kind
+ * @param {Object} fields
+ * @returns {{start_date: string|null, expiry_date: string|null}}
+ */
+export function proposeValidityDates(kind, fields) {
+  const { startField, expiryField } = DOCUMENT_KINDS[kind]
+  const expiryDate = fields[expiryField] || null
+  let startDate = fields[startField] || null
+  if (startDate && expiryDate && startDate > expiryDate) startDate = null
+  return { start_date: startDate, expiry_date: expiryDate }
+}
+
+const toBase64 = (bytes) => {
+  let binary = ''
+  const chunkSize = 0x8000
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Chat messages asking the model to read the file into the kind's fields
+ * @param {{prompt: Object, kind: string, document: Object, bytes: Uint8Array}} params
+ */
+export function buildExtractionMessages({ prompt, kind, document, bytes }) {
+  const definition = DOCUMENT_KINDS[kind]
+  const fieldList = Object.entries(definition.fields)
+    .map(([key, description]) => `- ${key}: ${description}`)
+    .join('\n')
+  const dataUrl = `data:${document.content_type};base64,${toBase64(bytes)}`
+
+  const filePart = document.content_type === 'application/pdf'
+    ? { type: 'file', file: { filename: document.file_name, file_data: dataUrl } }
+    : { type: 'image_url', image_url: { url: dataUrl } }
+
+  return [
+    { role: 'system', content: prompt.system_prompt },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'text',
+          text: [
+            `This file is a ${definition.label}.`,
+            'Reply with a single JSON object with exactly these keys:',
+            fieldList,
+            '- confidence: your confidence in the extraction from 0 to 1',
+            'Write dates as YYYY-MM-DD and use null for anything that is not on the document.',
+          ].join('\n'),
+        },
+        filePart,
+      ],
+    },
+  ]
+}
+
+async function loadDocumentPrompt(supabase, tenantId) {
+  const { data, error } = await supabase
+    .from('hrms_ai_prompts')
+    .select('prompt_id, prompt_key, system_prompt, ai_model, temperature, max_tokens, usage_count')
+    .eq('tenant_id', tenantId)
+    .eq('prompt_category', 'document')
+    .eq('is_active', true)
+  if (error) throw error
+
+  const prompts = data || []
+  return prompts.find((prompt) => prompt.prompt_key === DOCUMENT_PROMPT_KEY) || prompts[0] || null
+}
+
+async function downloadFile(supabase, filePath) {
+  const [bucket, ...pathParts] = filePath.split('/')
+  const { data, error } = await supabase.storage.from(bucket).download(pathParts.join('/'))
+  if (error) throw error
+  return new Uint8Array(await data.arrayBuffer())
+}
+
+/**
+ * Parse one uploaded document and store the result on the document row
+ *
+ * @param {Object} deps
+ * @param {Object} deps.supabase - client scoped to the caller (RLS limits it to their tenant)
+ * @param {Object} deps.provider - see aiProvider.js
+ * @param {string} deps.documentId
+ * @param {Date} [deps.now]
+ * @returns {Promise<Object>} { status: 'parsed', document_kind, fields, proposed, confidence, model, warnings }
+ *   or { status: 'skipped', reason }
+ */
+export async function parseDocument({ supabase, provider, documentId, now = new Date() }) {
+  const { data: document, error: documentError } = await supabase
+    .from('hrms_documents')
+    .select(`
+      document_id,
+      tenant_id,
+      document_name,
+      document_type,
+      file_path,
+      file_name,
+      content_type,
+      checklist_item:hrms_checklist_items(
+        enable_ai_parsing,
+        template:hrms_checklist_templates(
+          checklist_type:hrms_checklist_types(enable_ai_parsing)
+        )
+      )
+    `)
+    .eq('document_id', documentId)
+    .single()
+  if (documentError) throw documentError
+
+  // Either the checklist item or its checklist type can switch parsing off
+  const checklistType = document.checklist_item?.template?.checklist_type
+  if (document.checklist_item?.enable_ai_parsing === false || checklistType?.enable_ai_parsing === false) {
+    return { status: 'skipped', reason: 'parsing_disabled' }
+  }
+
+  const kind = detectDocumentKind(document)
+  if (!kind) return { status: 'skipped', reason: 'unsupported_document' }
+  if (!PARSEABLE_TYPES.includes(document.content_type)) {
+    return { status: 'skipped', reason: 'unsupported_file' }
+  }
+
+  const prompt = await loadDocumentPrompt(supabase, document.tenant_id)
+  if (!prompt) throw new Error('No active document prompt is configured')
+
+  const bytes = await downloadFile(supabase, document.file_path)
+  const response = await provider.complete({
+    model: prompt.ai_model,
+    temperature: Number(prompt.temperature ?? 0),
+    maxTokens: prompt.max_tokens,
+    messages: buildExtractionMessages({ prompt, kind, document, bytes }),
+    metadata: { documentKind: kind },
+  })
+
+  const { fields, confidence, warnings } = normalizeExtraction(kind, parseModelResponse(response.content))
+  const proposed = proposeValidityDates(kind, fields)
+
+  const { error: updateError } = await supabase
+    .from('hrms_documents')
+    .update({
+      ai_parsed_data: { document_kind: kind, fields, proposed, warnings, prompt_key: prompt.prompt_key },
+      ai_parsed_at: now.toISOString(),
+      ai_confidence_score: confidence,
+      ai_model_used: response.model,
+    })
+    .eq('document_id', documentId)
+  if (updateError) throw updateError
+
+  // Usage stats only; a failure here must not lose the parse
+  const { error: usageError } = await supabase
+    .from('hrms_ai_prompts')
+    .update({ usage_count: (prompt.usage_count || 0) + 1, last_used_at: now.toISOString() })
+    .eq('prompt_id', prompt.prompt_id)
+  if (usageError) console.error('Failed to record prompt usage:', usageError)
+
+  return {
+    status: 'parsed',
+    document_kind: kind,
+    fields,
+    proposed,
+    confidence,
+    model: response.model,
+    warnings,
+  }
+}
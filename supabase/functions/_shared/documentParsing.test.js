@@ -0,0 +1,288 @@
+/**
+ * AI document parsing tests (model answers come from the stub provider)
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  parseDocument,
+  detectDocumentKind,
+  normalizeDate,
+  normalizeExtraction,
+  parseModelResponse,
+  proposeValidityDates,
+  SAMPLE_EXTRACTIONS,
+} from './documentParsing.js'
+import { createStubProvider } from './aiProvider.js'
+
+const NOW = new Date('2025-03-11T14:00:00Z')
+
+const PROMPTS = [
+  {
+    prompt_id: 'prompt-review',
+    tenant_id: 'tenant-1',
+    prompt_key: 'performance_review_summary',
+    prompt_category: 'document',
+    is_active: true,
+    system_prompt: 'Summarise performance notes',
+  },
+  {
+    prompt_id: 'prompt-extract',
+    tenant_id: 'tenant-1',
+    prompt_key: 'document_field_extraction',
+    prompt_category: 'document',
+    is_active: true,
+    system_prompt: 'You read US immigration documents',
+    ai_model: 'anthropic/claude-sonnet-4-5',
+    temperature: 0,
+    max_tokens: 1000,
+    usage_count: 4,
+  },
+]
+
+const buildDocument = (overrides = {}) => ({
+  document_id: 'doc-1',
+  tenant_id: 'tenant-1',
+  document_name: 'I-94 - John Doe',
+  document_type: 'visa',
+  file_path: 'documents/employee/emp-1/1741700000000_i94.pdf',
+  file_name: 'i94.pdf',
+  content_type: 'application/pdf',
+  checklist_item: null,
+  ...overrides,
+})
+
+/**
+ * Minimal Supabase double: filters table rows by eq, records updates and downloads
+ */
+function createFakeSupabase(tables = {}) {
+  const updates = []
+  const downloads = []
+
+  const from = vi.fn((table) => {
+    const state = { op: 'select', payload: null, filters: [] }
+    const resolve = (single) => {
+      if (state.op === 'update') {
+        updates.push({ table, payload: state.payload, filters: state.filters.map((f) => f.label) })
+        return { data: null, error: null }
+      }
+      const rows = (tables[table] || []).filter((row) => state.filters.every((filter) => filter.match(row)))
+      return { data: single ? rows[0] ?? null : rows, error: null }
+    }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push({ label: `${column}=${value}`, match: (row) => row[column] === value })
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      single: vi.fn(() => Promise.resolve(resolve(true))),
+      then: (onFulfilled, onRejected) => Promise.resolve(resolve(false)).then(onFulfilled, onRejected),
+    }
+    return builder
+  })
+
+  const storage = {
+    from: vi.fn((bucket) => ({
+      download: vi.fn(async (path) => {
+        downloads.push({ bucket, path })
+        const bytes = new TextEncoder().encode('%PDF-1.4 test')
+        return { data: { arrayBuffer: async () => bytes.buffer }, error: null }
+      }),
+    })),
+  }
+
+  return { client: { from, storage }, updates, downloads }
+}
+
+const documentUpdates = (updates) => updates.filter((entry) => entry.table === 'hrms_documents')
+
+describe('detectDocumentKind', () => {
+  it('uses the document type first, then the name', () => {
+    expect(detectDocumentKind({ document_type: 'passport' })).toBe('passport')
+    expect(detectDocumentKind({ document_type: 'h1b', document_name: 'H1B approval' })).toBe('i797')
+    expect(detectDocumentKind({ document_type: 'visa', document_name: 'I-94 record' })).toBe('i94')
+    expect(detectDocumentKind({ document_type: 'other', file_name: 'I797_approval.pdf' })).toBe('i797')
+    expect(detectDocumentKind({ document_type: 'w4', document_name: 'W-4 2025' })).toBeNull()
+  })
+})
+
+describe('normalizeDate', () => {
+  it('reads the date formats printed on immigration documents', () => {
+    expect(normalizeDate('2027-09-30')).toBe('2027-09-30')
+    expect(normalizeDate('09/30/2027')).toBe('2027-09-30')
+    expect(normalizeDate('30 Sep 2027')).toBe('2027-09-30')
+    expect(normalizeDate('September 30, 2027')).toBe('2027-09-30')
+    expect(normalizeDate('02/30/2027')).toBeNull()
+    expect(normalizeDate('D/S')).toBeNull()
+  })
+})
+
+describe('parseModelResponse', () => {
+  it('takes the JSON object out of a fenced reply', () => {
+    expect(parseModelResponse('Here you go:\n```json\n{"i94_number": "123"}\n```')).toEqual({ i94_number: '123' })
+    expect(() => parseModelResponse('I could not read this file')).toThrow('The model did not return JSON')
+  })
+})
+
+describe('normalizeExtraction', () => {
+  it('normalises I-797 receipt numbers and validity dates', () => {
+    const { fields, confidence, warnings } = normalizeExtraction('i797', {
+      receipt_number: 'wac 25 123 45678',
+      valid_from: '10/01/2024',
+      valid_to: 'Sep 30, 2027',
+      beneficiary_name: 'JOHN DOE',
+      unexpected_key: 'dropped',
+      confidence: 1.4,
+    })
+
+    expect(fields).toMatchObject({ receipt_number: 'WAC2512345678', valid_from: '2024-10-01', valid_to: '2027-09-30' })
+    expect(fields).not.toHaveProperty('unexpected_key')
+    expect(confidence).toBe(1)
+    expect(warnings).toEqual([])
+  })
+
+  it('flags values that cannot be used', () => {
+    const { fields, warnings } = normalizeExtraction('i797', { receipt_number: 'N/A', valid_to: 'soon' })
+
+    expect(fields.receipt_number).toBeNull()
+    expect(fields.valid_to).toBeNull()
+    expect(warnings).toHaveLength(2)
+  })
+
+  it('treats an I-94 admitted for duration of status as having no expiry', () => {
+    const { fields, warnings } = normalizeExtraction('i94', { admit_until_date: 'D/S', class_of_admission: 'F1' })
+
+    expect(fields).toMatchObject({ admit_until_date: null, duration_of_status: true })
+    expect(warnings).toEqual([])
+    expect(proposeValidityDates('i94', fields)).toEqual({ start_date: null, expiry_date: null })
+  })
+})
+
+describe('proposeValidityDates', () => {
+  it('maps the kind-specific fields and drops a start date after the expiry', () => {
+    expect(proposeValidityDates('passport', { issue_date: '2019-06-01', expiry_date: '2029-05-31' }))
+      .toEqual({ start_date: '2019-06-01', expiry_date: '2029-05-31' })
+    expect(proposeValidityDates('i797', { valid_from: '2028-01-01', valid_to: '2027-09-30' }))
+      .toEqual({ start_date: null, expiry_date: '2027-09-30' })
+  })
+})
+
+describe('parseDocument', () => {
+  it('extracts the I-94 with the document prompt and stores the result', async () => {
+    const { client, updates, downloads } = createFakeSupabase({
+      hrms_documents: [buildDocument()],
+      hrms_ai_prompts: PROMPTS,
+    })
+    const provider = createStubProvider(SAMPLE_EXTRACTIONS)
+
+    const result = await parseDocument({ supabase: client, provider, documentId: 'doc-1', now: NOW })
+
+    expect(result).toMatchObject({
+      status: 'parsed',
+      document_kind: 'i94',
+      fields: { i94_number: '123456789A1', admit_until_date: '2027-09-30', duration_of_status: false },
+      proposed: { start_date: '2024-10-05', expiry_date: '2027-09-30' },
+      confidence: 0.93,
+      model: 'stub',
+    })
+
+    expect(downloads).toEqual([{ bucket: 'documents', path: 'employee/emp-1/1741700000000_i94.pdf' }])
+
+    const [sent] = provider.requests
+    expect(sent).toMatchObject({ model: 'anthropic/claude-sonnet-4-5', temperature: 0, maxTokens: 1000 })
+    expect(sent.messages[0]).toEqual({ role: 'system', content: 'You read US immigration documents' })
+    expect(sent.messages[1].content[0].text).toContain('admit_until_date')
+    expect(sent.messages[1].content[1]).toMatchObject({
+      type: 'file',
+      file: { filename: 'i94.pdf', file_data: expect.stringMatching(/^data:application\/pdf;base64,/) },
+    })
+
+    const [documentUpdate] = documentUpdates(updates)
+    expect(documentUpdate.filters).toEqual(['document_id=doc-1'])
+    expect(documentUpdate.payload).toMatchObject({
+      ai_parsed_at: NOW.toISOString(),
+      ai_confidence_score: 0.93,
+      ai_model_used: 'stub',
+      ai_parsed_data: {
+        document_kind: 'i94',
+        proposed: { start_date: '2024-10-05', expiry_date: '2027-09-30' },
+        prompt_key: 'document_field_extraction',
+      },
+    })
+    expect(documentUpdate.payload).not.toHaveProperty('expiry_date')
+
+    const promptUpdate = updates.find((entry) => entry.table === 'hrms_ai_prompts')
+    expect(promptUpdate).toMatchObject({ payload: { usage_count: 5 }, filters: ['prompt_id=prompt-extract'] })
+  })
+
+  it('sends images as an image part', async () => {
+    const { client } = createFakeSupabase({
+      hrms_documents: [buildDocument({ document_type: 'passport', content_type: 'image/png', file_name: 'passport.png' })],
+      hrms_ai_prompts: PROMPTS,
+    })
+    const provider = createStubProvider(SAMPLE_EXTRACTIONS)
+
+    const result = await parseDocument({ supabase: client, provider, documentId: 'doc-1', now: NOW })
+
+    expect(result.fields.passport_number).toBe('X1234567')
+    expect(provider.requests[0].messages[1].content[1].image_url.url).toMatch(/^data:image\/png;base64,/)
+  })
+
+  it('skips documents whose checklist item or type turned parsing off', async () => {
+    const provider = createStubProvider(SAMPLE_EXTRACTIONS)
+    const itemOff = createFakeSupabase({
+      hrms_documents: [buildDocument({ checklist_item: { enable_ai_parsing: false } })],
+      hrms_ai_prompts: PROMPTS,
+    })
+    const typeOff = createFakeSupabase({
+      hrms_documents: [buildDocument({
+        checklist_item: { enable_ai_parsing: true, template: { checklist_type: { enable_ai_parsing: false } } },
+      })],
+      hrms_ai_prompts: PROMPTS,
+    })
+
+    expect(await parseDocument({ supabase: itemOff.client, provider, documentId: 'doc-1' }))
+      .toEqual({ status: 'skipped', reason: 'parsing_disabled' })
+    expect(await parseDocument({ supabase: typeOff.client, provider, documentId: 'doc-1' }))
+      .toEqual({ status: 'skipped', reason: 'parsing_disabled' })
+    expect(provider.requests).toHaveLength(0)
+    expect(itemOff.updates).toHaveLength(0)
+  })
+
+  it('skips documents it has no fields for and Word files', async () => {
+    const provider = createStubProvider(SAMPLE_EXTRACTIONS)
+    const w4 = createFakeSupabase({ hrms_documents: [buildDocument({ document_type: 'w4', document_name: 'W-4', file_name: 'w4.pdf' })] })
+    const word = createFakeSupabase({
+      hrms_documents: [buildDocument({ content_type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' })],
+    })
+
+    expect(await parseDocument({ supabase: w4.client, provider, documentId: 'doc-1' }))
+      .toEqual({ status: 'skipped', reason: 'unsupported_document' })
+    expect(await parseDocument({ supabase: word.client, provider, documentId: 'doc-1' }))
+      .toEqual({ status: 'skipped', reason: 'unsupported_file' })
+  })
+
+  it('fails without an active document prompt and leaves the document untouched', async () => {
+    const { client, updates } = createFakeSupabase({
+      hrms_documents: [buildDocument()],
+      hrms_ai_prompts: [{ ...PROMPTS[1], is_active: false }],
+    })
+
+    await expect(parseDocument({ supabase: client, provider: createStubProvider(SAMPLE_EXTRACTIONS), documentId: 'doc-1' }))
+      .rejects.toThrow('No active document prompt is configured')
+    expect(updates).toHaveLength(0)
+  })
+
+  it('does not store anything when the model reply is not JSON', async () => {
+    const { client, updates } = createFakeSupabase({
+      hrms_documents: [buildDocument()],
+      hrms_ai_prompts: PROMPTS,
+    })
+
+    await expect(parseDocument({ supabase: client, provider: createStubProvider({ i94: 'Sorry, the scan is unreadable' }), documentId: 'doc-1' }))
+      .rejects.toThrow('The model did not return JSON')
+    expect(updates).toHaveLength(0)
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * Document storage cleanup
+ * Deletes the storage objects behind open orphan_object / temp_leftover
+ * findings of the storage reconciliation (hrms_document_storage_findings).
+ * Findings are read with the caller's client, so row level security limits
+ * them to HR staff of the caller's tenant; objects are removed with the
+ * service role client. Every path is checked again right before deletion, in case a row
+ * has started pointing at it since the scan.
+ */
+
+export const DOCUMENT_BUCKET = 'documents'
+
+// Tables whose file_path can point into the documents bucket
+export const FILE_REFERENCE_TABLES = [
+  'hrms_documents',
+  'hrms_employee_resumes',
+  'hrms_background_checks',
+  'hrms_performance_reports',
+  'hrms_ticket_attachments',
+]
+
+const OBJECT_FINDING_TYPES = ['orphan_object', 'temp_leftover']
+
+/**
+ * Object name inside the documents bucket for a stored file_path
+ * ('documents/employee/123/file.pdf' -> 'employee/123/file.pdf')
+ *
+ * @param {string} objectPath
+ * @returns {string|null} null when the path is not in the documents bucket
+ */
+export function toObjectName(objectPath) {
+  const prefix = `${DOCUMENT_BUCKET}/`
+  if (!objectPath?.startsWith(prefix) || objectPath.length === prefix.length) return null
+  return objectPath.slice(prefix.length)
+}
+
+/**
+ * Which of the paths a row now points at
+ *
+ * @param {object} admin - Service role Supabase client
+ * @param {string[]} paths - file_path values
+ * @returns {Promise<Set<string>>}
+ */
+export async function findReferencedPaths(admin, paths) {
+  const referenced = new Set()
+  if (paths.length === 0) return referenced
+
+  for (const table of FILE_REFERENCE_TABLES) {
+    const { data, error } = await admin.from(table).select('file_path').in('file_path', paths)
+    if (error) throw error
+    for (const row of data || []) referenced.add(row.file_path)
+  }
+
+  return referenced
+}
+
+/**
+ * Delete unlinked storage objects
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client scoped to the caller
+ * @param {object} deps.admin - Service role Supabase client
+ * @param {string[]} deps.findingIds - hrms_document_storage_findings ids
+ * @param {string|null} deps.userId - Caller, recorded as resolved_by
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{deleted: number, skipped: Array<{finding_id: string, reason: string}>, failed: Array<{finding_id: string, error: string}>}>}
+ */
+export async function deleteOrphanedObjects({ supabase, admin, findingIds, userId, now = new Date() }) {
+  const timestamp = now.toISOString()
+  const result = { deleted: 0, skipped: [], failed: [] }
+
+  const { data: findings, error: findingsError } = await supabase
+    .from('hrms_document_storage_findings')
+    .select('finding_id, finding_type, object_path, resolved_at')
+    .in('finding_id', findingIds)
+  if (findingsError) throw findingsError
+
+  const candidates = []
+  for (const findingId of findingIds) {
+    const finding = (findings || []).find((f) => f.finding_id === findingId)
+    if (!finding) {
+      result.skipped.push({ finding_id: findingId, reason: 'not_found' })
+    } else if (finding.resolved_at) {
+      result.skipped.push({ finding_id: findingId, reason: 'already_resolved' })
+    } else if (!OBJECT_FINDING_TYPES.includes(finding.finding_type) || !toObjectName(finding.object_path)) {
+      result.skipped.push({ finding_id: findingId, reason: 'not_an_object' })
+    } else {
+      candidates.push(finding)
+    }
+  }
+
+  const referenced = await findReferencedPaths(admin, candidates.map((f) => f.object_path))
+  const relinked = candidates.filter((f) => referenced.has(f.object_path))
+  const toDelete = candidates.filter((f) => !referenced.has(f.object_path))
+
+  if (relinked.length > 0) {
+    const { error: clearError } = await supabase
+      .from('hrms_document_storage_findings')
+      .update({ resolved_at: timestamp, resolution: 'cleared' })
+      .in('finding_id', relinked.map((f) => f.finding_id))
+    if (clearError) throw clearError
+
+    for (const finding of relinked) {
+      result.skipped.push({ finding_id: finding.finding_id, reason: 'now_referenced' })
+    }
+  }
+
+  if (toDelete.length === 0) return result
+
+  // Objects that are already gone are not reported back, which is the outcome we want anyway
+  const { error: removeError } = await admin.storage
+    .from(DOCUMENT_BUCKET)
+    .remove(toDelete.map((f) => toObjectName(f.object_path)))
+  if (removeError) {
+    console.error('Error removing orphaned document objects:', removeError)
+    for (const finding of toDelete) {
+      result.failed.push({ finding_id: finding.finding_id, error: removeError.message })
+    }
+    return result
+  }
+
+  const { error: resolveError } = await supabase
+    .from('hrms_document_storage_findings')
+    .update({ resolved_at: timestamp, resolution: 'deleted', resolved_by: userId || null })
+    .in('finding_id', toDelete.map((f) => f.finding_id))
+  if (resolveError) throw resolveError
+
+  result.deleted = toDelete.length
+  return result
+}
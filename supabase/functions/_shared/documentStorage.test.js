@@ -0,0 +1,164 @@
+/**
+ * Document storage cleanup tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { deleteOrphanedObjects, findReferencedPaths, toObjectName } from './documentStorage.js'
+
+const NOW = new Date('2025-03-10T02:30:00Z')
+
+const FINDINGS = [
+  { finding_id: 'f-orphan', finding_type: 'orphan_object', object_path: 'documents/employee/emp-1/1700_passport.pdf', resolved_at: null },
+  { finding_id: 'f-temp', finding_type: 'temp_leftover', object_path: 'documents/system/temp/1700_msa.pdf', resolved_at: null },
+  { finding_id: 'f-missing', finding_type: 'missing_object', object_path: 'documents/employee/emp-1/gone.pdf', resolved_at: null },
+  { finding_id: 'f-done', finding_type: 'orphan_object', object_path: 'documents/employee/emp-2/old.pdf', resolved_at: '2025-03-09T02:30:00Z' },
+]
+
+/**
+ * Minimal Supabase double: serves rows per table from `tables`, records
+ * updates and storage removals
+ */
+function createFakeClient({ tables = {}, removeError = null } = {}) {
+  const updates = []
+  const remove = vi.fn().mockResolvedValue({ data: [], error: removeError })
+
+  const from = vi.fn((table) => {
+    const state = { payload: null }
+    const builder = {
+      select: vi.fn(() => builder),
+      update: vi.fn((payload) => {
+        state.payload = payload
+        return builder
+      }),
+      in: vi.fn((column, values) => {
+        if (state.payload) {
+          updates.push({ table, payload: state.payload, ids: values })
+          return Promise.resolve({ error: null })
+        }
+        const rows = (tables[table] || []).filter((row) => values.includes(row[column]))
+        return Promise.resolve({ data: rows, error: null })
+      }),
+    }
+    return builder
+  })
+
+  return { from, updates, remove, storage: { from: vi.fn(() => ({ remove })) } }
+}
+
+describe('toObjectName', () => {
+  it('strips the bucket from a stored file path', () => {
+    expect(toObjectName('documents/employee/emp-1/file.pdf')).toBe('employee/emp-1/file.pdf')
+  })
+
+  it('rejects paths outside the documents bucket', () => {
+    expect(toObjectName('hrms-assets/logo.png')).toBeNull()
+    expect(toObjectName('documents/')).toBeNull()
+    expect(toObjectName(null)).toBeNull()
+  })
+})
+
+describe('findReferencedPaths', () => {
+  it('checks every table that stores files in the bucket', async () => {
+    const admin = createFakeClient({
+      tables: {
+        hrms_documents: [{ file_path: 'documents/a.pdf' }],
+        hrms_ticket_attachments: [{ file_path: 'documents/b.pdf' }],
+      },
+    })
+
+    const referenced = await findReferencedPaths(admin, ['documents/a.pdf', 'documents/b.pdf', 'documents/c.pdf'])
+
+    expect([...referenced].sort()).toEqual(['documents/a.pdf', 'documents/b.pdf'])
+    expect(admin.from).toHaveBeenCalledTimes(5)
+  })
+})
+
+describe('deleteOrphanedObjects', () => {
+  it('removes unlinked objects and resolves their findings', async () => {
+    const supabase = createFakeClient({ tables: { hrms_document_storage_findings: FINDINGS } })
+    const admin = createFakeClient()
+
+    const result = await deleteOrphanedObjects({
+      supabase,
+      admin,
+      findingIds: ['f-orphan', 'f-temp'],
+      userId: 'user-1',
+      now: NOW,
+    })
+
+    expect(result).toEqual({ deleted: 2, skipped: [], failed: [] })
+    expect(admin.storage.from).toHaveBeenCalledWith('documents')
+    expect(admin.remove).toHaveBeenCalledWith(['employee/emp-1/1700_passport.pdf', 'system/temp/1700_msa.pdf'])
+    expect(supabase.updates).toEqual([
+      {
+        table: 'hrms_document_storage_findings',
+        payload: { resolved_at: NOW.toISOString(), resolution: 'deleted', resolved_by: 'user-1' },
+        ids: ['f-orphan', 'f-temp'],
+      },
+    ])
+  })
+
+  it('skips findings it cannot delete', async () => {
+    const supabase = createFakeClient({ tables: { hrms_document_storage_findings: FINDINGS } })
+    const admin = createFakeClient()
+
+    const result = await deleteOrphanedObjects({
+      supabase,
+      admin,
+      findingIds: ['f-missing', 'f-done', 'f-other-tenant'],
+      userId: 'user-1',
+      now: NOW,
+    })
+
+    expect(result.deleted).toBe(0)
+    expect(result.skipped).toEqual([
+      { finding_id: 'f-missing', reason: 'not_an_object' },
+      { finding_id: 'f-done', reason: 'already_resolved' },
+      { finding_id: 'f-other-tenant', reason: 'not_found' },
+    ])
+    expect(admin.remove).not.toHaveBeenCalled()
+  })
+
+  it('keeps objects a row has started pointing at since the scan', async () => {
+    const supabase = createFakeClient({ tables: { hrms_document_storage_findings: FINDINGS } })
+    const admin = createFakeClient({
+      tables: { hrms_documents: [{ file_path: 'documents/employee/emp-1/1700_passport.pdf' }] },
+    })
+
+    const result = await deleteOrphanedObjects({
+      supabase,
+      admin,
+      findingIds: ['f-orphan', 'f-temp'],
+      userId: 'user-1',
+      now: NOW,
+    })
+
+    expect(result.deleted).toBe(1)
+    expect(result.skipped).toEqual([{ finding_id: 'f-orphan', reason: 'now_referenced' }])
+    expect(admin.remove).toHaveBeenCalledWith(['system/temp/1700_msa.pdf'])
+    expect(supabase.updates[0]).toEqual({
+      table: 'hrms_document_storage_findings',
+      payload: { resolved_at: NOW.toISOString(), resolution: 'cleared' },
+      ids: ['f-orphan'],
+    })
+  })
+
+  it('reports every finding as failed when storage rejects the removal', async () => {
+    const supabase = createFakeClient({ tables: { hrms_document_storage_findings: FINDINGS } })
+    const admin = createFakeClient({ removeError: { message: 'Bucket not found' } })
+
+    const result = await deleteOrphanedObjects({
+      supabase,
+      admin,
+      findingIds: ['f-orphan', 'f-temp'],
+      userId: 'user-1',
+      now: NOW,
+    })
+
+    expect(result.deleted).toBe(0)
+    expect(result.failed).toEqual([
+      { finding_id: 'f-orphan', error: 'Bucket not found' },
+      { finding_id: 'f-temp', error: 'Bucket not found' },
+    ])
+    expect(supabase.updates).toEqual([])
+  })
+})
@@ -0,0 +1,24 @@
+/**
+ * HTTP helpers shared by the edge functions
+ */
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-request-id',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  // File downloads (PDF, XLSX, CSV) name the file in Content-Disposition
+  'Access-Control-Expose-Headers': 'content-disposition',
+}
+
+/**
+ * JSON response with the CORS headers
+ *
+ * @param {unknown} body
+ * @param {number} [status]
+ * @returns {Response}
+ */
+export const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
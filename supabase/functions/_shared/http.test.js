@@ -0,0 +1,23 @@
+/**
+ * Edge function HTTP helper tests
+ */
+import { describe, it, expect } from 'vitest'
+import { corsHeaders, jsonResponse } from './http.js'
+
+describe('jsonResponse', () => {
+  it('serialises the body with the CORS headers', async () => {
+    const response = jsonResponse({ success: true, data: { sent: 2 } })
+
+    expect(response.status).toBe(200)
+    expect(response.headers.get('Content-Type')).toBe('application/json')
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe(corsHeaders['Access-Control-Allow-Origin'])
+    expect(await response.json()).toEqual({ success: true, data: { sent: 2 } })
+  })
+
+  it('uses the given status', async () => {
+    const response = jsonResponse({ success: false, error: 'Authentication required' }, 401)
+
+    expect(response.status).toBe(401)
+    expect(await response.json()).toEqual({ success: false, error: 'Authentication required' })
+  })
+})
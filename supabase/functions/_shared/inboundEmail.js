@@ -0,0 +1,426 @@
+/**
+ * Inbound ticket email
+ * Turns a parsed inbound message (posted by the mail provider's webhook) into
+ * an employee comment on an existing ticket or a new ticket. Messages reach us
+ * through a business's support address (hrms_ticket_inbound_addresses); the
+ * ticket is found by a ticket number in the plus part of the recipient
+ * (support+IESTKT0042@...) or in the subject ("Re: Ticket #IESTKT0042").
+ *
+ * Parsed message shape (see fixtures/inboundTicketReply.json):
+ *   { message_id, from, to, cc, subject, text, html,
+ *     attachments: [{ filename, content_type, content (base64) }] }
+ * to/cc may be a comma-separated string or an array of addresses.
+ */
+
+// Same bucket and path layout as HRMS document uploads
+export const ATTACHMENT_BUCKET = 'documents'
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+
+const SUBJECT_MAX_LENGTH = 200
+
+const TEAM_DEPARTMENTS = {
+  HR_Team: 'HR',
+  Immigration_Team: 'Immigration',
+}
+
+/**
+ * Split "John Smith <John@Example.com>" into a lowercase email and a name
+ * @param {string} value
+ * @returns {{email: string, name: string}|null}
+ */
+export function parseEmailAddress(value) {
+  if (!value) return null
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/)
+  const email = (match ? match[2] : value).trim().toLowerCase()
+  if (!email.includes('@')) return null
+  return { email, name: match ? match[1].trim() : '' }
+}
+
+/**
+ * Parse a To/Cc header value or array into addresses
+ * @param {string|string[]} value
+ * @returns {{email: string, name: string}[]}
+ */
+export function parseAddressList(value) {
+  if (!value) return []
+  const entries = Array.isArray(value) ? value : String(value).split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  return entries.map(parseEmailAddress).filter(Boolean)
+}
+
+/**
+ * support+IESTKT0042@x.com -> { base: 'support@x.com', tag: 'IESTKT0042' }
+ */
+export function splitPlusAddress(email) {
+  const [local, domain] = email.split('@')
+  const plus = local.indexOf('+')
+  if (plus === -1) return { base: email, tag: null }
+  return { base: `${local.slice(0, plus)}@${domain}`, tag: local.slice(plus + 1) || null }
+}
+
+/**
+ * Reply-To address that routes an employee's reply back to a ticket
+ */
+export function buildTicketReplyAddress(supportAddress, ticketNumber) {
+  const { base } = splitPlusAddress(supportAddress.toLowerCase())
+  const [local, domain] = base.split('@')
+  return `${local}+${ticketNumber.toLowerCase()}@${domain}`
+}
+
+/**
+ * Ticket number from the recipients' plus tags, else from the subject.
+ * Ticket numbers are <short_name>TKT<seq>; outgoing subjects also write
+ * them as "#<ticket_number>".
+ * @returns {string|null} Upper-cased ticket number
+ */
+export function findTicketNumber({ subject, recipients = [] }) {
+  for (const recipient of recipients) {
+    const { tag } = splitPlusAddress(recipient.email)
+    if (tag) return tag.toUpperCase()
+  }
+
+  const text = subject || ''
+  const match = text.match(/\b([A-Z0-9]+TKT\d{4,})\b/i) || text.match(/#([A-Z0-9][A-Z0-9-]*\d)\b/i)
+  return match ? match[1].toUpperCase() : null
+}
+
+/**
+ * Drop the quoted original message from a reply
+ */
+export function stripQuotedReply(text) {
+  const lines = (text || '').replace(/\r\n/g, '\n').split('\n')
+  const kept = []
+  for (const line of lines) {
+    if (/^On .+ wrote:\s*$/.test(line.trim())) break
+    if (/^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())) break
+    if (/^From:\s/.test(line) && kept.length > 0 && kept[kept.length - 1].trim() === '') break
+    if (line.startsWith('>')) continue
+    kept.push(line)
+  }
+  return kept.join('\n').trim()
+}
+
+const htmlToText = (html) =>
+  (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`)
+
+const sanitizeFileName = (name) => (name || 'attachment').replace(/[^a-zA-Z0-9._-]/g, '_')
+
+const decodeBase64 = (content) => Uint8Array.from(atob(content), (char) => char.charCodeAt(0))
+
+/**
+ * Build a getReplyAddress(ticket) bound to a Supabase client, for ticket
+ * emails. Prefers the business's address for the ticket's department.
+ *
+ * @param {object} supabase - Supabase client
+ * @returns {(ticket: object) => Promise<string|null>}
+ */
+export function createTicketReplyAddressResolver(supabase) {
+  return async function getReplyAddress(ticket) {
+    if (!ticket?.business_id || !ticket?.ticket_number) return null
+
+    try {
+      const { data, error } = await supabase
+        .from('hrms_ticket_inbound_addresses')
+        .select('email_address, default_department')
+        .eq('tenant_id', ticket.tenant_id)
+        .eq('business_id', ticket.business_id)
+        .eq('is_active', true)
+
+      if (error || !data?.length) return null
+
+      const department = TEAM_DEPARTMENTS[ticket.assigned_team]
+      const address = data.find((a) => a.default_department === department) || data[0]
+      return buildTicketReplyAddress(address.email_address, ticket.ticket_number)
+    } catch (err) {
+      console.error('Error getting ticket reply address:', err)
+      return null
+    }
+  }
+}
+
+async function findInboundAddress(supabase, recipients) {
+  const candidates = [...new Set(recipients.map((r) => splitPlusAddress(r.email).base))]
+  if (candidates.length === 0) return null
+
+  const { data, error } = await supabase
+    .from('hrms_ticket_inbound_addresses')
+    .select('address_id, tenant_id, business_id, email_address, default_department, default_request_type')
+    .in('email_address', candidates)
+    .eq('is_active', true)
+
+  if (error) throw error
+  // Keep the recipient order so To wins over Cc
+  return candidates.map((email) => (data || []).find((a) => a.email_address === email)).find(Boolean) || null
+}
+
+async function saveAttachments(supabase, { tenantId, ticketId, commentId, employeeId, attachments, now }) {
+  const result = { saved: 0, skipped: [] }
+
+  for (const [index, attachment] of (attachments || []).entries()) {
+    const fileName = attachment.filename || `attachment-${index + 1}`
+    if (!attachment.content) {
+      result.skipped.push({ file_name: fileName, reason: 'empty' })
+      continue
+    }
+
+    const bytes = decodeBase64(attachment.content)
+    if (bytes.length > MAX_ATTACHMENT_BYTES) {
+      result.skipped.push({ file_name: fileName, reason: 'too_large' })
+      continue
+    }
+
+    const storagePath = `tickets/${ticketId}/${now.getTime()}_${index}_${sanitizeFileName(fileName)}`
+    const { error: uploadError } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(storagePath, bytes, { contentType: attachment.content_type || 'application/octet-stream' })
+    if (uploadError) throw uploadError
+
+    const { error: insertError } = await supabase.from('hrms_ticket_attachments').insert({
+      tenant_id: tenantId,
+      ticket_id: ticketId,
+      comment_id: commentId,
+      file_name: fileName,
+      file_path: `${ATTACHMENT_BUCKET}/${storagePath}`,
+      content_type: attachment.content_type || null,
+      file_size_bytes: bytes.length,
+      uploaded_by_employee_id: employeeId,
+    })
+    if (insertError) throw insertError
+
+    result.saved += 1
+  }
+
+  return result
+}
+
+async function findEmployee(supabase, address, email) {
+  const { data, error } = await supabase
+    .from('hrms_employees')
+    .select('employee_id, first_name, last_name, email')
+    .eq('tenant_id', address.tenant_id)
+    .eq('business_id', address.business_id)
+    .ilike('email', escapeLike(email))
+    .limit(1)
+
+  if (error) throw error
+  return data?.[0] || null
+}
+
+async function addReply(supabase, { ticket, sender, body, attachments, now }) {
+  const { data: comment, error } = await supabase
+    .from('hrms_ticket_comments')
+    .insert({
+      tenant_id: ticket.tenant_id,
+      ticket_id: ticket.ticket_id,
+      comment_text: body || '(attachments only)',
+      is_internal_note: false,
+      author_type: 'employee',
+      author_employee_id: ticket.employee.employee_id,
+      author_display_name: sender.name || `${ticket.employee.first_name} ${ticket.employee.last_name}`,
+      source: 'email',
+    })
+    .select('comment_id')
+    .single()
+
+  if (error) throw error
+
+  const saved = await saveAttachments(supabase, {
+    tenantId: ticket.tenant_id,
+    ticketId: ticket.ticket_id,
+    commentId: comment.comment_id,
+    employeeId: ticket.employee.employee_id,
+    attachments,
+    now,
+  })
+
+  return { comment_id: comment.comment_id, ...saved }
+}
+
+async function openTicket(supabase, { address, employee, subject, body, attachments, now }) {
+  const { data: ticketNumber, error: numberError } = await supabase.rpc('fn_generate_ticket_number', {
+    p_business_id: address.business_id,
+  })
+  if (numberError) throw numberError
+
+  const { data: requestType, error: requestTypeError } = await supabase
+    .from('hrms_ticket_request_types')
+    .select('request_type_id')
+    .eq('tenant_id', address.tenant_id)
+    .eq('department', address.default_department)
+    .eq('type_name', address.default_request_type)
+    .maybeSingle()
+  if (requestTypeError) throw requestTypeError
+
+  const { data: ticket, error } = await supabase
+    .from('hrms_tickets')
+    .insert({
+      tenant_id: address.tenant_id,
+      business_id: address.business_id,
+      ticket_number: ticketNumber,
+      employee_id: employee.employee_id,
+      department: address.default_department,
+      request_type: address.default_request_type,
+      request_type_id: requestType?.request_type_id || null,
+      subject: (subject || '(no subject)').slice(0, SUBJECT_MAX_LENGTH),
+      description: body || '(no message)',
+      assigned_team: `${address.default_department}_Team`,
+      priority: 'normal',
+      source: 'email',
+    })
+    .select('ticket_id, ticket_number')
+    .single()
+
+  if (error) throw error
+
+  const saved = await saveAttachments(supabase, {
+    tenantId: address.tenant_id,
+    ticketId: ticket.ticket_id,
+    commentId: null,
+    employeeId: employee.employee_id,
+    attachments,
+    now,
+  })
+
+  return { ticket_id: ticket.ticket_id, ticket_number: ticket.ticket_number, ...saved }
+}
+
+/**
+ * Reply to the ticket named in the message, or open a ticket for the sender
+ */
+async function routeInboundEmail(supabase, { address, sender, recipients, email, now }) {
+  const body = stripQuotedReply(email.text || htmlToText(email.html))
+
+  const ticketNumber = findTicketNumber({ subject: email.subject, recipients })
+  let ticket = null
+  if (ticketNumber) {
+    const { data, error } = await supabase
+      .from('hrms_tickets')
+      .select(`
+        ticket_id,
+        tenant_id,
+        ticket_number,
+        employee:hrms_employees!hrms_tickets_employee_id_fkey(employee_id, first_name, last_name, email)
+      `)
+      .eq('tenant_id', address.tenant_id)
+      .eq('ticket_number', ticketNumber)
+      .maybeSingle()
+    if (error) throw error
+    ticket = data
+  }
+
+  if (ticket) {
+    // Only the ticket's employee may reply into it
+    if (ticket.employee?.email?.toLowerCase() !== sender.email) {
+      return { outcome: 'rejected', reason: 'sender_mismatch', ticket_id: ticket.ticket_id }
+    }
+
+    const reply = await addReply(supabase, { ticket, sender, body, attachments: email.attachments, now })
+    return {
+      outcome: 'comment_added',
+      ticket_id: ticket.ticket_id,
+      ticket_number: ticket.ticket_number,
+      comment_id: reply.comment_id,
+      attachments: reply.saved,
+      skipped_attachments: reply.skipped,
+    }
+  }
+
+  const employee = await findEmployee(supabase, address, sender.email)
+  if (!employee) return { outcome: 'rejected', reason: 'unknown_sender' }
+
+  const opened = await openTicket(supabase, {
+    address,
+    employee,
+    subject: email.subject,
+    body,
+    attachments: email.attachments,
+    now,
+  })
+  return {
+    outcome: 'ticket_created',
+    ticket_id: opened.ticket_id,
+    ticket_number: opened.ticket_number,
+    attachments: opened.saved,
+    skipped_attachments: opened.skipped,
+  }
+}
+
+/**
+ * Add an inbound message to its ticket, or open a ticket for it
+ * The Message-ID is claimed in hrms_ticket_inbound_emails (unique per tenant)
+ * before anything is written, so a webhook retry that arrives while the first
+ * delivery is still running is reported as a duplicate. A failed delivery
+ * releases its claim so the provider's retry can process the message.
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client (service role)
+ * @param {object} deps.email - Parsed message (see module comment)
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{outcome: 'comment_added'|'ticket_created'|'rejected'|'ignored'|'duplicate',
+ *   reason?: string, ticket_id?: string, ticket_number?: string, comment_id?: string,
+ *   attachments?: number, skipped_attachments?: object[]}>}
+ */
+export async function processInboundTicketEmail({ supabase, email, now = new Date() }) {
+  const sender = parseEmailAddress(email.from)
+  if (!sender) throw new Error('Inbound email has no sender address')
+  if (!email.message_id) throw new Error('Inbound email has no Message-ID')
+
+  const recipients = [...parseAddressList(email.to), ...parseAddressList(email.cc)]
+  const address = await findInboundAddress(supabase, recipients)
+  if (!address) return { outcome: 'ignored', reason: 'unknown_recipient' }
+
+  const { data: claim, error: claimError } = await supabase
+    .from('hrms_ticket_inbound_emails')
+    .insert({
+      tenant_id: address.tenant_id,
+      address_id: address.address_id,
+      message_id: email.message_id,
+      from_email: sender.email,
+      subject: (email.subject || '').slice(0, 500),
+      outcome: 'processing',
+    })
+    .select('inbound_email_id')
+    .single()
+
+  if (claimError?.code === '23505') {
+    const { data: existing, error: existingError } = await supabase
+      .from('hrms_ticket_inbound_emails')
+      .select('outcome, reason, ticket_id, comment_id')
+      .eq('tenant_id', address.tenant_id)
+      .eq('message_id', email.message_id)
+      .maybeSingle()
+    if (existingError) throw existingError
+    return { ...existing, outcome: 'duplicate' }
+  }
+  if (claimError) throw claimError
+
+  let result
+  try {
+    result = await routeInboundEmail(supabase, { address, sender, recipients, email, now })
+  } catch (err) {
+    await supabase.from('hrms_ticket_inbound_emails').delete().eq('inbound_email_id', claim.inbound_email_id)
+    throw err
+  }
+
+  const { error: logError } = await supabase
+    .from('hrms_ticket_inbound_emails')
+    .update({
+      outcome: result.outcome,
+      reason: result.reason || null,
+      ticket_id: result.ticket_id || null,
+      comment_id: result.comment_id || null,
+      attachment_count: result.attachments || 0,
+    })
+    .eq('inbound_email_id', claim.inbound_email_id)
+  if (logError) throw logError
+
+  return result
+}
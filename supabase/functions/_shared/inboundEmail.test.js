@@ -0,0 +1,384 @@
+/**
+ * Inbound ticket email tests (parsed MIME fixtures in ./fixtures)
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  processInboundTicketEmail,
+  findTicketNumber,
+  parseAddressList,
+  stripQuotedReply,
+  buildTicketReplyAddress,
+  createTicketReplyAddressResolver,
+} from './inboundEmail.js'
+import replyFixture from './fixtures/inboundTicketReply.json'
+import newTicketFixture from './fixtures/inboundNewTicket.json'
+
+const NOW = new Date('2025-03-11T14:00:00Z')
+
+const ADDRESSES = [
+  {
+    address_id: 'addr-imm',
+    tenant_id: 'tenant-1',
+    business_id: 'biz-1',
+    email_address: 'immigration@tickets.intuites.com',
+    default_department: 'Immigration',
+    default_request_type: 'General Immigration Question',
+    is_active: true,
+  },
+  {
+    address_id: 'addr-hr',
+    tenant_id: 'tenant-1',
+    business_id: 'biz-1',
+    email_address: 'hr@tickets.intuites.com',
+    default_department: 'HR',
+    default_request_type: 'Payroll Discrepancy',
+    is_active: true,
+  },
+]
+
+const EMPLOYEE = {
+  employee_id: 'emp-1',
+  tenant_id: 'tenant-1',
+  business_id: 'biz-1',
+  first_name: 'John',
+  last_name: 'Smith',
+  email: 'John.Smith@example.com',
+}
+
+const TICKET = {
+  ticket_id: 'tkt-1',
+  tenant_id: 'tenant-1',
+  ticket_number: 'IESTKT0042',
+  employee: EMPLOYEE,
+}
+
+/**
+ * Minimal Supabase double: filters table rows by eq/in/ilike, records
+ * inserts, updates, deletes, storage uploads and rpc calls. Inbound email
+ * rows are unique per tenant and Message-ID, like the table.
+ */
+function createFakeSupabase(tables = {}, { failUploads = false } = {}) {
+  const inserts = []
+  const updates = []
+  const deletes = []
+  const uploads = []
+
+  const from = vi.fn((table) => {
+    const state = { op: 'select', payload: null, filters: [] }
+    const resolve = (single) => {
+      if (state.op === 'insert') {
+        if (table === 'hrms_ticket_inbound_emails') {
+          const taken = (tables[table] || []).some((row) =>
+            row.tenant_id === state.payload.tenant_id && row.message_id === state.payload.message_id
+          )
+          if (taken) return { data: null, error: { code: '23505', message: 'duplicate key value' } }
+        }
+        inserts.push({ table, payload: state.payload })
+        const returned = {
+          hrms_ticket_comments: { comment_id: 'cmt-new' },
+          hrms_tickets: { ticket_id: 'tkt-new', ticket_number: state.payload.ticket_number },
+          hrms_ticket_inbound_emails: { inbound_email_id: 'in-new' },
+        }[table]
+        return { data: returned ?? null, error: null }
+      }
+      if (state.op === 'update' || state.op === 'delete') {
+        const match = Object.fromEntries(state.eqs)
+        ;(state.op === 'update' ? updates : deletes).push({ table, payload: state.payload, match })
+        return { data: null, error: null }
+      }
+      const rows = (tables[table] || []).filter((row) => state.filters.every((match) => match(row)))
+      return { data: single ? rows[0] ?? null : rows, error: null }
+    }
+    state.eqs = []
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push((row) => row[column] === value)
+        state.eqs.push([column, value])
+        return builder
+      }),
+      in: vi.fn((column, values) => {
+        state.filters.push((row) => values.includes(row[column]))
+        return builder
+      }),
+      ilike: vi.fn((column, pattern) => {
+        const value = pattern.replace(/\\(.)/g, '$1').toLowerCase()
+        state.filters.push((row) => row[column]?.toLowerCase() === value)
+        return builder
+      }),
+      limit: vi.fn(() => builder),
+      insert: vi.fn((payload) => {
+        Object.assign(state, { op: 'insert', payload })
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      delete: vi.fn(() => {
+        state.op = 'delete'
+        return builder
+      }),
+      single: vi.fn(() => Promise.resolve(resolve(true))),
+      maybeSingle: vi.fn(() => Promise.resolve(resolve(true))),
+      then: (onFulfilled, onRejected) => Promise.resolve(resolve(false)).then(onFulfilled, onRejected),
+    }
+    return builder
+  })
+
+  const storage = {
+    from: vi.fn((bucket) => ({
+      upload: vi.fn(async (path, bytes, options) => {
+        if (failUploads) throw new Error('Storage unavailable')
+        uploads.push({ bucket, path, size: bytes.length, options })
+        return { data: { path }, error: null }
+      }),
+    })),
+  }
+
+  const rpc = vi.fn(async () => ({ data: 'IESTKT0043', error: null }))
+
+  return { client: { from, storage, rpc }, inserts, updates, deletes, uploads }
+}
+
+const insertsInto = (inserts, table) => inserts.filter((entry) => entry.table === table).map((entry) => entry.payload)
+const updatesOf = (updates, table) => updates.filter((entry) => entry.table === table)
+
+describe('findTicketNumber', () => {
+  it('prefers the plus tag of a recipient address', () => {
+    const recipients = parseAddressList('Immigration <immigration+iestkt0042@tickets.intuites.com>')
+    expect(findTicketNumber({ subject: 'Re: Ticket #IESTKT0007', recipients })).toBe('IESTKT0042')
+  })
+
+  it('falls back to the ticket number in the subject', () => {
+    expect(findTicketNumber({ subject: 'RE: New Reply on Ticket #IESTKT0042: W-2', recipients: [] })).toBe('IESTKT0042')
+    expect(findTicketNumber({ subject: 'Fwd: [#IES-HR-0042] W-2 correction', recipients: [] })).toBe('IES-HR-0042')
+    expect(findTicketNumber({ subject: 'Question about my W-2', recipients: [] })).toBeNull()
+  })
+})
+
+describe('stripQuotedReply', () => {
+  it('keeps only the new text of a reply', () => {
+    expect(stripQuotedReply(replyFixture.text)).toBe(
+      'Hi team,\n\nAttached is my I-797. I will send the client letter tomorrow.\n\nThanks,\nJohn'
+    )
+  })
+})
+
+describe('buildTicketReplyAddress', () => {
+  it('plus-addresses the support address with the ticket number', () => {
+    expect(buildTicketReplyAddress('HR@tickets.intuites.com', 'IESTKT0042')).toBe('hr+iestkt0042@tickets.intuites.com')
+  })
+})
+
+describe('createTicketReplyAddressResolver', () => {
+  it("uses the business's address for the ticket's department", async () => {
+    const { client } = createFakeSupabase({ hrms_ticket_inbound_addresses: ADDRESSES })
+    const getReplyAddress = createTicketReplyAddressResolver(client)
+
+    await expect(
+      getReplyAddress({ tenant_id: 'tenant-1', business_id: 'biz-1', ticket_number: 'IESTKT0042', assigned_team: 'HR_Team' })
+    ).resolves.toBe('hr+iestkt0042@tickets.intuites.com')
+    await expect(
+      getReplyAddress({ tenant_id: 'tenant-1', business_id: 'biz-2', ticket_number: 'ABCTKT0001', assigned_team: 'HR_Team' })
+    ).resolves.toBeNull()
+  })
+})
+
+describe('processInboundTicketEmail', () => {
+  it('adds a reply to the ticket with its attachment', async () => {
+    const { client, inserts, updates, uploads } = createFakeSupabase({
+      hrms_ticket_inbound_addresses: ADDRESSES,
+      hrms_tickets: [TICKET],
+    })
+
+    const result = await processInboundTicketEmail({ supabase: client, email: replyFixture, now: NOW })
+
+    expect(result).toEqual({
+      outcome: 'comment_added',
+      ticket_id: 'tkt-1',
+      ticket_number: 'IESTKT0042',
+      comment_id: 'cmt-new',
+      attachments: 1,
+      skipped_attachments: [],
+    })
+    expect(insertsInto(inserts, 'hrms_ticket_comments')).toEqual([
+      {
+        tenant_id: 'tenant-1',
+        ticket_id: 'tkt-1',
+        comment_text: 'Hi team,\n\nAttached is my I-797. I will send the client letter tomorrow.\n\nThanks,\nJohn',
+        is_internal_note: false,
+        author_type: 'employee',
+        author_employee_id: 'emp-1',
+        author_display_name: 'John Smith',
+        source: 'email',
+      },
+    ])
+    expect(uploads).toEqual([
+      {
+        bucket: 'documents',
+        path: `tickets/tkt-1/${NOW.getTime()}_0_I-797_approval.pdf`,
+        size: 48,
+        options: { contentType: 'application/pdf' },
+      },
+    ])
+    expect(insertsInto(inserts, 'hrms_ticket_attachments')).toEqual([
+      expect.objectContaining({
+        ticket_id: 'tkt-1',
+        comment_id: 'cmt-new',
+        file_name: 'I-797 approval.pdf',
+        file_path: `documents/tickets/tkt-1/${NOW.getTime()}_0_I-797_approval.pdf`,
+        file_size_bytes: 48,
+        uploaded_by_employee_id: 'emp-1',
+      }),
+    ])
+    // The Message-ID is claimed before the comment is written
+    expect(inserts[0]).toEqual({
+      table: 'hrms_ticket_inbound_emails',
+      payload: expect.objectContaining({
+        tenant_id: 'tenant-1',
+        address_id: 'addr-imm',
+        message_id: replyFixture.message_id,
+        from_email: 'john.smith@example.com',
+        outcome: 'processing',
+      }),
+    })
+    expect(updatesOf(updates, 'hrms_ticket_inbound_emails')).toEqual([
+      {
+        table: 'hrms_ticket_inbound_emails',
+        payload: { outcome: 'comment_added', reason: null, ticket_id: 'tkt-1', comment_id: 'cmt-new', attachment_count: 1 },
+        match: { inbound_email_id: 'in-new' },
+      },
+    ])
+  })
+
+  it('opens a ticket from a support address for the matching employee', async () => {
+    const { client, inserts } = createFakeSupabase({
+      hrms_ticket_inbound_addresses: ADDRESSES,
+      hrms_employees: [EMPLOYEE],
+      hrms_ticket_request_types: [
+        { request_type_id: 'rt-payroll', tenant_id: 'tenant-1', department: 'HR', type_name: 'Payroll Discrepancy' },
+      ],
+    })
+
+    const result = await processInboundTicketEmail({ supabase: client, email: newTicketFixture, now: NOW })
+
+    expect(result).toMatchObject({ outcome: 'ticket_created', ticket_id: 'tkt-new', ticket_number: 'IESTKT0043', attachments: 1 })
+    expect(client.rpc).toHaveBeenCalledWith('fn_generate_ticket_number', { p_business_id: 'biz-1' })
+    expect(insertsInto(inserts, 'hrms_tickets')).toEqual([
+      {
+        tenant_id: 'tenant-1',
+        business_id: 'biz-1',
+        ticket_number: 'IESTKT0043',
+        employee_id: 'emp-1',
+        department: 'HR',
+        request_type: 'Payroll Discrepancy',
+        request_type_id: 'rt-payroll',
+        subject: 'Pay stub for February is missing overtime',
+        description: newTicketFixture.text,
+        assigned_team: 'HR_Team',
+        priority: 'normal',
+        source: 'email',
+      },
+    ])
+    expect(insertsInto(inserts, 'hrms_ticket_attachments')).toEqual([
+      expect.objectContaining({ ticket_id: 'tkt-new', comment_id: null, file_name: 'feb-paystub.pdf' }),
+    ])
+  })
+
+  it('rejects a reply from someone other than the ticket employee', async () => {
+    const { client, inserts, updates, uploads } = createFakeSupabase({
+      hrms_ticket_inbound_addresses: ADDRESSES,
+      hrms_tickets: [TICKET],
+    })
+
+    const result = await processInboundTicketEmail({
+      supabase: client,
+      email: { ...replyFixture, from: 'Someone Else <someone@example.com>' },
+      now: NOW,
+    })
+
+    expect(result).toEqual({ outcome: 'rejected', reason: 'sender_mismatch', ticket_id: 'tkt-1' })
+    expect(insertsInto(inserts, 'hrms_ticket_comments')).toHaveLength(0)
+    expect(uploads).toHaveLength(0)
+    expect(updatesOf(updates, 'hrms_ticket_inbound_emails')).toEqual([
+      expect.objectContaining({ payload: expect.objectContaining({ outcome: 'rejected', reason: 'sender_mismatch' }) }),
+    ])
+  })
+
+  it('rejects a new ticket from an unknown sender', async () => {
+    const { client, inserts } = createFakeSupabase({ hrms_ticket_inbound_addresses: ADDRESSES, hrms_employees: [] })
+
+    const result = await processInboundTicketEmail({ supabase: client, email: newTicketFixture, now: NOW })
+
+    expect(result).toEqual({ outcome: 'rejected', reason: 'unknown_sender' })
+    expect(client.rpc).not.toHaveBeenCalled()
+    expect(insertsInto(inserts, 'hrms_tickets')).toHaveLength(0)
+  })
+
+  it('ignores mail that was not sent to a support address', async () => {
+    const { client, inserts } = createFakeSupabase({ hrms_ticket_inbound_addresses: ADDRESSES })
+
+    const result = await processInboundTicketEmail({
+      supabase: client,
+      email: { ...newTicketFixture, to: 'payroll@intuites.com' },
+      now: NOW,
+    })
+
+    expect(result).toEqual({ outcome: 'ignored', reason: 'unknown_recipient' })
+    expect(inserts).toHaveLength(0)
+  })
+
+  it('processes a retried webhook only once', async () => {
+    const { client, inserts } = createFakeSupabase({
+      hrms_ticket_inbound_addresses: ADDRESSES,
+      hrms_tickets: [TICKET],
+      hrms_ticket_inbound_emails: [
+        {
+          tenant_id: 'tenant-1',
+          message_id: replyFixture.message_id,
+          outcome: 'comment_added',
+          reason: null,
+          ticket_id: 'tkt-1',
+          comment_id: 'cmt-earlier',
+        },
+      ],
+    })
+
+    const result = await processInboundTicketEmail({ supabase: client, email: replyFixture, now: NOW })
+
+    expect(result).toMatchObject({ outcome: 'duplicate', ticket_id: 'tkt-1', comment_id: 'cmt-earlier' })
+    expect(inserts).toHaveLength(0)
+  })
+
+  it('treats a delivery that arrives while the first is still running as a duplicate', async () => {
+    const { client, inserts, updates } = createFakeSupabase({
+      hrms_ticket_inbound_addresses: ADDRESSES,
+      hrms_tickets: [TICKET],
+      hrms_ticket_inbound_emails: [
+        { tenant_id: 'tenant-1', message_id: replyFixture.message_id, outcome: 'processing', reason: null, ticket_id: null, comment_id: null },
+      ],
+    })
+
+    const result = await processInboundTicketEmail({ supabase: client, email: replyFixture, now: NOW })
+
+    expect(result).toMatchObject({ outcome: 'duplicate', ticket_id: null })
+    expect(insertsInto(inserts, 'hrms_ticket_comments')).toHaveLength(0)
+    expect(updates).toHaveLength(0)
+  })
+
+  it('releases the Message-ID when the message cannot be stored', async () => {
+    const { client, deletes, updates } = createFakeSupabase(
+      { hrms_ticket_inbound_addresses: ADDRESSES, hrms_tickets: [TICKET] },
+      { failUploads: true }
+    )
+
+    await expect(processInboundTicketEmail({ supabase: client, email: replyFixture, now: NOW }))
+      .rejects.toThrow('Storage unavailable')
+
+    expect(deletes).toEqual([
+      { table: 'hrms_ticket_inbound_emails', payload: null, match: { inbound_email_id: 'in-new' } },
+    ])
+    expect(updates).toHaveLength(0)
+  })
+})
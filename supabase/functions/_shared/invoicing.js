@@ -0,0 +1,361 @@
+/**
+ * Invoice generation from approved timesheets
+ * loadBillingData() pulls uninvoiced approved entries and their projects,
+ * buildInvoiceDrafts() prices each entry at the rate in effect on its work_date
+ * and groups the lines per bill-to party and billing period, and
+ * createInvoices() persists the drafts through the create_hrms_invoice RPC,
+ * which re-prices every line from its entry on the server.
+ */
+
+export const BILLABLE_ENTRY_TYPES = ['regular', 'overtime', 'holiday']
+
+const DEFAULT_FREQUENCY = 'bi_weekly'
+const DEFAULT_PAYMENT_TERMS_DAYS = 30
+
+// Bi-weekly periods are 14-day blocks counted from this Monday
+const BI_WEEKLY_ANCHOR = '2024-01-01'
+
+const PAGE_SIZE = 1000
+const PROJECT_CHUNK_SIZE = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`)
+const toIso = (date) => date.toISOString().split('T')[0]
+const addDays = (iso, days) => toIso(new Date(toDate(iso).getTime() + days * DAY_MS))
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Most recent billing period that ended before asOf
+ *   weekly       -> Monday-Sunday
+ *   bi_weekly    -> 14 days from BI_WEEKLY_ANCHOR
+ *   semi_monthly -> 1st-15th, 16th-month end
+ *   monthly      -> calendar month
+ *
+ * @param {string} frequency - hrms_vendors.invoice_frequency
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {{start: string, end: string}}
+ */
+export function getBillingPeriod(frequency, asOf) {
+  const date = toDate(asOf)
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth()
+
+  switch (frequency) {
+    case 'weekly': {
+      const monday = addDays(asOf, -((date.getUTCDay() + 6) % 7))
+      return { start: addDays(monday, -7), end: addDays(monday, -1) }
+    }
+    case 'semi_monthly': {
+      if (date.getUTCDate() > 15) {
+        return { start: `${year}-${pad(month + 1)}-01`, end: `${year}-${pad(month + 1)}-15` }
+      }
+      const prev = new Date(Date.UTC(year, month - 1, 1))
+      const prevYear = prev.getUTCFullYear()
+      const prevMonth = prev.getUTCMonth()
+      return {
+        start: `${prevYear}-${pad(prevMonth + 1)}-16`,
+        end: `${prevYear}-${pad(prevMonth + 1)}-${lastDayOfMonth(prevYear, prevMonth)}`,
+      }
+    }
+    case 'monthly': {
+      const prev = new Date(Date.UTC(year, month - 1, 1))
+      const prevYear = prev.getUTCFullYear()
+      const prevMonth = prev.getUTCMonth()
+      return {
+        start: `${prevYear}-${pad(prevMonth + 1)}-01`,
+        end: `${prevYear}-${pad(prevMonth + 1)}-${lastDayOfMonth(prevYear, prevMonth)}`,
+      }
+    }
+    default: {
+      const elapsed = Math.floor((date - toDate(BI_WEEKLY_ANCHOR)) / DAY_MS)
+      const currentStart = addDays(BI_WEEKLY_ANCHOR, Math.floor(elapsed / 14) * 14)
+      return { start: addDays(currentStart, -14), end: addDays(currentStart, -1) }
+    }
+  }
+}
+
+/**
+ * Rate history row in effect on workDate (effective_to_date is inclusive, NULL = open-ended)
+ */
+export function findRateForDate(rates, workDate) {
+  return (rates || []).find((rate) =>
+    rate.effective_from_date <= workDate &&
+    (!rate.effective_to_date || rate.effective_to_date >= workDate)
+  ) || null
+}
+
+/**
+ * Who the project's hours are billed to
+ * The lowest-level vendor in the chain is the one we contract with; projects with
+ * no vendor chain (or a direct-to-client first level) are billed to the end client.
+ */
+export function resolveBillingParty(project) {
+  const [link] = [...(project.vendors || [])].sort((a, b) => a.vendor_level - b.vendor_level)
+
+  if (link && !link.is_direct_to_client) {
+    const vendor = link.vendor || null
+    return {
+      key: vendor ? `vendor:${vendor.vendor_id}` : `vendor-name:${link.vendor_name}`,
+      vendorId: vendor?.vendor_id || null,
+      clientId: null,
+      name: vendor?.vendor_name || link.vendor_name,
+      email: vendor?.accounts_payable_email || link.vendor_invoicing_email || null,
+      frequency: vendor?.invoice_frequency || DEFAULT_FREQUENCY,
+      paymentTermsDays: vendor?.payment_terms_days ?? DEFAULT_PAYMENT_TERMS_DAYS,
+      otBillRate: vendor?.default_ot_bill_rate ?? null,
+      holidayBillRate: vendor?.default_holiday_bill_rate ?? null,
+    }
+  }
+
+  return {
+    key: `client:${project.client_id || project.end_client_name}`,
+    vendorId: null,
+    clientId: project.client_id || null,
+    name: project.end_client_name,
+    email: null,
+    frequency: DEFAULT_FREQUENCY,
+    paymentTermsDays: DEFAULT_PAYMENT_TERMS_DAYS,
+    otBillRate: null,
+    holidayBillRate: null,
+  }
+}
+
+/**
+ * Bill rate for an entry type; OT/holiday fall back to the regular rate
+ */
+export function getBillRate(entryType, baseRate, party) {
+  if (entryType === 'overtime') return Number(party.otBillRate ?? baseRate)
+  if (entryType === 'holiday') return Number(party.holidayBillRate ?? baseRate)
+  return Number(baseRate)
+}
+
+const employeeName = (employee) => `${employee?.first_name || ''} ${employee?.last_name || ''}`.trim()
+
+/**
+ * Price entries and group them into draft invoices
+ * Entries dated after their party's current billing period are left for a later run.
+ *
+ * @param {{entries: object[], projects: object[], asOf: string}} params
+ * @returns {{drafts: object[], skipped: Array<{entry_id: string, work_date: string, reason: string}>}}
+ */
+export function buildInvoiceDrafts({ entries, projects, asOf }) {
+  const projectsById = new Map(projects.map((project) => [project.project_id, project]))
+  const draftsByKey = new Map()
+  const skipped = []
+
+  ;[...entries]
+    .sort((a, b) => a.work_date.localeCompare(b.work_date))
+    .forEach((entry) => {
+      const { timesheet } = entry
+      const project = projectsById.get(timesheet.project_id)
+      if (!project || !BILLABLE_ENTRY_TYPES.includes(entry.entry_type)) return
+
+      const party = resolveBillingParty(project)
+      const period = getBillingPeriod(party.frequency, asOf)
+      if (entry.work_date > period.end) return
+
+      const rate = findRateForDate(project.rates, entry.work_date)
+      const baseRate = rate?.actual_client_bill_rate ?? project.actual_client_bill_rate
+      if (baseRate === null || baseRate === undefined) {
+        skipped.push({ entry_id: entry.entry_id, work_date: entry.work_date, reason: `No bill rate in effect for ${project.project_name}` })
+        return
+      }
+
+      const hours = Number(entry.hours_worked || 0)
+      if (hours <= 0) return
+
+      const billRate = getBillRate(entry.entry_type, baseRate, party)
+      const amount = round2(hours * billRate)
+      // Tenure and volume discounts come off the amount, as in the margin report
+      const discountPercentage = Number(rate?.current_applicable_tenure_discount ?? project.current_applicable_tenure_discount ?? 0)
+        + Number(rate?.current_applicable_volume_discount ?? project.current_applicable_volume_discount ?? 0)
+      const discountAmount = round2(amount * discountPercentage / 100)
+      // VMS charges are a flat amount per billed hour
+      const vmsChargeRate = Number(rate?.vms_charges ?? project.vms_charges ?? 0)
+      const vmsAmount = round2(hours * vmsChargeRate)
+
+      const key = `${timesheet.business_id}|${party.key}`
+      if (!draftsByKey.has(key)) {
+        draftsByKey.set(key, {
+          business_id: timesheet.business_id,
+          invoice: {
+            vendor_id: party.vendorId,
+            client_id: party.clientId,
+            bill_to_name: party.name,
+            bill_to_email: party.email,
+            invoice_frequency: party.frequency,
+            payment_terms_days: party.paymentTermsDays,
+            period_start_date: period.start,
+            period_end_date: period.end,
+          },
+          lines: [],
+          totals: { hours: 0, subtotal: 0, discount: 0, vms: 0, total: 0 },
+        })
+      }
+
+      const draft = draftsByKey.get(key)
+      // Late-approved entries from earlier periods are caught up on this invoice
+      if (entry.work_date < draft.invoice.period_start_date) {
+        draft.invoice.period_start_date = entry.work_date
+      }
+
+      const name = employeeName(timesheet.employee)
+      draft.lines.push({
+        timesheet_id: timesheet.timesheet_id,
+        entry_id: entry.entry_id,
+        project_id: project.project_id,
+        employee_id: timesheet.employee_id,
+        rate_history_id: rate?.rate_history_id || null,
+        work_date: entry.work_date,
+        entry_type: entry.entry_type,
+        hours,
+        bill_rate: billRate,
+        amount,
+        discount_percentage: discountPercentage,
+        discount_amount: discountAmount,
+        vms_charge_rate: vmsChargeRate,
+        vms_charges_amount: vmsAmount,
+        description: [name, project.project_name].filter(Boolean).join(' - '),
+      })
+
+      draft.totals.hours = round2(draft.totals.hours + hours)
+      draft.totals.subtotal = round2(draft.totals.subtotal + amount)
+      draft.totals.discount = round2(draft.totals.discount + discountAmount)
+      draft.totals.vms = round2(draft.totals.vms + vmsAmount)
+      draft.totals.total = round2(draft.totals.subtotal - draft.totals.discount - draft.totals.vms)
+    })
+
+  const drafts = [...draftsByKey.values()]
+    .sort((a, b) => a.invoice.bill_to_name.localeCompare(b.invoice.bill_to_name))
+
+  return { drafts, skipped }
+}
+
+/**
+ * Load uninvoiced approved entries up to the day before asOf, plus their projects
+ *
+ * @param {object} supabase - Caller-scoped Supabase client
+ * @param {{tenant_id: string, business_id?: string, asOf: string}} filters
+ */
+export async function loadBillingData(supabase, filters) {
+  const entries = []
+  const lastBillableDate = addDays(filters.asOf, -1)
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('hrms_timesheet_entries')
+      .select(`
+        entry_id,
+        work_date,
+        hours_worked,
+        entry_type,
+        timesheet:hrms_timesheets!inner(
+          timesheet_id,
+          business_id,
+          employee_id,
+          project_id,
+          submission_status,
+          employee:hrms_employees!hrms_timesheets_employee_id_fkey(
+            first_name,
+            last_name,
+            employee_code
+          )
+        ),
+        invoice_lines:hrms_invoice_lines(invoice_line_id)
+      `)
+      .eq('tenant_id', filters.tenant_id)
+      .eq('timesheet.submission_status', 'approved')
+      .in('entry_type', BILLABLE_ENTRY_TYPES)
+      .lte('work_date', lastBillableDate)
+
+    if (filters.business_id) query = query.eq('timesheet.business_id', filters.business_id)
+
+    const { data, error } = await query
+      .order('work_date', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    entries.push(...(data || []).filter((entry) => !entry.invoice_lines?.length))
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  const projectIds = [...new Set(entries.map((entry) => entry.timesheet.project_id))]
+  const projects = []
+
+  for (let i = 0; i < projectIds.length; i += PROJECT_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('hrms_projects')
+      .select(`
+        project_id,
+        project_name,
+        client_id,
+        end_client_name,
+        actual_client_bill_rate,
+        vms_charges,
+        current_applicable_tenure_discount,
+        current_applicable_volume_discount,
+        rates:hrms_project_rate_history(
+          rate_history_id,
+          actual_client_bill_rate,
+          vms_charges,
+          current_applicable_tenure_discount,
+          current_applicable_volume_discount,
+          effective_from_date,
+          effective_to_date
+        ),
+        vendors:hrms_project_vendors(
+          vendor_level,
+          vendor_name,
+          is_direct_to_client,
+          vendor_invoicing_email,
+          vendor:hrms_vendors(
+            vendor_id,
+            vendor_name,
+            accounts_payable_email,
+            invoice_frequency,
+            payment_terms_days,
+            default_ot_bill_rate,
+            default_holiday_bill_rate
+          )
+        )
+      `)
+      .in('project_id', projectIds.slice(i, i + PROJECT_CHUNK_SIZE))
+
+    if (error) throw error
+    projects.push(...(data || []))
+  }
+
+  return { entries, projects }
+}
+
+/**
+ * Persist drafts one invoice at a time; a failure (e.g. an entry invoiced by a
+ * concurrent run) is reported without stopping the remaining invoices.
+ *
+ * @returns {Promise<{invoices: object[], failed: Array<{bill_to_name: string, error: string}>}>}
+ */
+export async function createInvoices(supabase, tenantId, drafts) {
+  const invoices = []
+  const failed = []
+
+  for (const draft of drafts) {
+    const { data, error } = await supabase.rpc('create_hrms_invoice', {
+      p_tenant_id: tenantId,
+      p_business_id: draft.business_id,
+      p_invoice: draft.invoice,
+      p_lines: draft.lines,
+    })
+
+    if (error) {
+      failed.push({ bill_to_name: draft.invoice.bill_to_name, error: error.message })
+    } else {
+      invoices.push(data)
+    }
+  }
+
+  return { invoices, failed }
+}
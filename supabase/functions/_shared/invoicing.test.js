@@ -0,0 +1,275 @@
+/**
+ * Invoice generation tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  getBillingPeriod,
+  findRateForDate,
+  resolveBillingParty,
+  buildInvoiceDrafts,
+  loadBillingData,
+  createInvoices,
+} from './invoicing.js'
+
+const techVendor = {
+  vendor_id: 'vendor-1',
+  vendor_name: 'TechStaff Inc',
+  accounts_payable_email: 'ap@techstaff.com',
+  invoice_frequency: 'weekly',
+  payment_terms_days: 45,
+  default_ot_bill_rate: 120,
+  default_holiday_bill_rate: null,
+}
+
+const vendorProject = {
+  project_id: 'proj-1',
+  project_name: 'Acme Corp Dev',
+  client_id: 'client-1',
+  end_client_name: 'Acme Corp',
+  actual_client_bill_rate: 90,
+  vms_charges: 0,
+  rates: [
+    { rate_history_id: 'rate-2', actual_client_bill_rate: 100, vms_charges: 3, effective_from_date: '2025-03-05', effective_to_date: null },
+    { rate_history_id: 'rate-1', actual_client_bill_rate: 90, vms_charges: 3, effective_from_date: '2025-01-01', effective_to_date: '2025-03-04' },
+  ],
+  vendors: [
+    { vendor_level: 2, vendor_name: 'Prime Vendor', is_direct_to_client: true, vendor: null },
+    { vendor_level: 1, vendor_name: 'TechStaff Inc', is_direct_to_client: false, vendor: techVendor },
+  ],
+}
+
+const directProject = {
+  project_id: 'proj-2',
+  project_name: 'Globex Portal',
+  client_id: 'client-2',
+  end_client_name: 'Globex',
+  actual_client_bill_rate: 80,
+  vms_charges: null,
+  rates: [],
+  vendors: [],
+}
+
+const entry = (entry_id, work_date, hours_worked, entry_type = 'regular', project_id = 'proj-1') => ({
+  entry_id,
+  work_date,
+  hours_worked,
+  entry_type,
+  timesheet: {
+    timesheet_id: `ts-${project_id}`,
+    business_id: 'biz-1',
+    employee_id: 'emp-1',
+    project_id,
+    employee: { first_name: 'Mary', last_name: 'Chen', employee_code: 'IES00013' },
+  },
+})
+
+describe('getBillingPeriod', () => {
+  it('returns the last completed period for each frequency', () => {
+    // 2025-03-12 is a Wednesday
+    expect(getBillingPeriod('weekly', '2025-03-12')).toEqual({ start: '2025-03-03', end: '2025-03-09' })
+    expect(getBillingPeriod('bi_weekly', '2025-03-12')).toEqual({ start: '2025-02-24', end: '2025-03-09' })
+    expect(getBillingPeriod('semi_monthly', '2025-03-12')).toEqual({ start: '2025-02-16', end: '2025-02-28' })
+    expect(getBillingPeriod('semi_monthly', '2025-03-20')).toEqual({ start: '2025-03-01', end: '2025-03-15' })
+    expect(getBillingPeriod('monthly', '2025-01-10')).toEqual({ start: '2024-12-01', end: '2024-12-31' })
+  })
+})
+
+describe('findRateForDate', () => {
+  it('picks the rate effective on the work date', () => {
+    expect(findRateForDate(vendorProject.rates, '2025-03-04').rate_history_id).toBe('rate-1')
+    expect(findRateForDate(vendorProject.rates, '2025-03-05').rate_history_id).toBe('rate-2')
+    expect(findRateForDate(vendorProject.rates, '2024-12-31')).toBeNull()
+  })
+})
+
+describe('resolveBillingParty', () => {
+  it('bills the lowest-level vendor with its invoicing settings', () => {
+    expect(resolveBillingParty(vendorProject)).toMatchObject({
+      vendorId: 'vendor-1',
+      name: 'TechStaff Inc',
+      email: 'ap@techstaff.com',
+      frequency: 'weekly',
+      paymentTermsDays: 45,
+    })
+  })
+
+  it('bills the end client when there is no vendor chain', () => {
+    expect(resolveBillingParty(directProject)).toMatchObject({
+      vendorId: null,
+      clientId: 'client-2',
+      name: 'Globex',
+      frequency: 'bi_weekly',
+      paymentTermsDays: 30,
+    })
+  })
+})
+
+describe('buildInvoiceDrafts', () => {
+  it('prices entries at the effective rate and deducts VMS charges', () => {
+    const { drafts, skipped } = buildInvoiceDrafts({
+      entries: [
+        entry('e-1', '2025-03-04', 8),
+        entry('e-2', '2025-03-05', 8),
+        entry('e-3', '2025-03-05', 2, 'overtime'),
+        entry('e-4', '2025-03-06', 8, 'holiday'),
+        entry('e-5', '2025-03-10', 8),
+      ],
+      projects: [vendorProject],
+      asOf: '2025-03-12',
+    })
+
+    expect(skipped).toEqual([])
+    expect(drafts).toHaveLength(1)
+    const [draft] = drafts
+    expect(draft.invoice).toMatchObject({
+      vendor_id: 'vendor-1',
+      bill_to_name: 'TechStaff Inc',
+      invoice_frequency: 'weekly',
+      payment_terms_days: 45,
+      period_start_date: '2025-03-03',
+      period_end_date: '2025-03-09',
+    })
+    // e-5 falls in the current week and waits for the next run
+    expect(draft.lines.map((line) => [line.entry_id, line.bill_rate, line.amount])).toEqual([
+      ['e-1', 90, 720],
+      ['e-2', 100, 800],
+      ['e-3', 120, 240],
+      ['e-4', 100, 800],
+    ])
+    // VMS charges are $3 per billed hour, whatever the bill rate
+    expect(draft.lines[0]).toMatchObject({ rate_history_id: 'rate-1', vms_charge_rate: 3, vms_charges_amount: 24, description: 'Mary Chen - Acme Corp Dev' })
+    expect(draft.lines[2]).toMatchObject({ entry_id: 'e-3', vms_charges_amount: 6 })
+    expect(draft.totals).toEqual({ hours: 26, subtotal: 2560, discount: 0, vms: 78, total: 2482 })
+  })
+
+  it('groups per bill-to party and catches up late-approved entries', () => {
+    const { drafts } = buildInvoiceDrafts({
+      entries: [
+        entry('e-1', '2025-03-04', 8),
+        entry('e-2', '2025-02-10', 8, 'regular', 'proj-2'),
+        entry('e-3', '2025-03-03', 4, 'regular', 'proj-2'),
+      ],
+      projects: [vendorProject, directProject],
+      asOf: '2025-03-12',
+    })
+
+    expect(drafts.map((draft) => draft.invoice.bill_to_name)).toEqual(['Globex', 'TechStaff Inc'])
+    expect(drafts[0].invoice.period_start_date).toBe('2025-02-10')
+    expect(drafts[0].totals).toEqual({ hours: 12, subtotal: 960, discount: 0, vms: 0, total: 960 })
+  })
+
+  it('takes the tenure and volume discounts in effect off each line', () => {
+    const discountedProject = {
+      ...vendorProject,
+      current_applicable_tenure_discount: 5,
+      current_applicable_volume_discount: 2,
+      rates: [
+        { ...vendorProject.rates[0], current_applicable_tenure_discount: 5, current_applicable_volume_discount: 2 },
+        { ...vendorProject.rates[1], current_applicable_tenure_discount: 2, current_applicable_volume_discount: 0 },
+      ],
+    }
+
+    const { drafts } = buildInvoiceDrafts({
+      entries: [
+        entry('e-1', '2025-03-04', 8),
+        entry('e-2', '2025-03-05', 8),
+      ],
+      projects: [discountedProject],
+      asOf: '2025-03-12',
+    })
+
+    const [draft] = drafts
+    expect(draft.lines.map((line) => [line.entry_id, line.discount_percentage, line.discount_amount])).toEqual([
+      ['e-1', 2, 14.4],
+      ['e-2', 7, 56],
+    ])
+    expect(draft.totals).toEqual({ hours: 16, subtotal: 1520, discount: 70.4, vms: 48, total: 1401.6 })
+  })
+
+  it('skips entries with no bill rate in effect', () => {
+    const { drafts, skipped } = buildInvoiceDrafts({
+      entries: [entry('e-1', '2025-03-04', 8, 'regular', 'proj-3')],
+      projects: [{ ...directProject, project_id: 'proj-3', project_name: 'Unpriced', actual_client_bill_rate: null }],
+      asOf: '2025-03-12',
+    })
+
+    expect(drafts).toEqual([])
+    expect(skipped).toEqual([{ entry_id: 'e-1', work_date: '2025-03-04', reason: 'No bill rate in effect for Unpriced' }])
+  })
+})
+
+describe('loadBillingData', () => {
+  const createClient = (entryPages, projects) => {
+    const calls = { eq: [], lte: [], range: [], in: [] }
+    let page = 0
+    const entriesQuery = {
+      select: vi.fn(() => entriesQuery),
+      eq: vi.fn((...args) => { calls.eq.push(args); return entriesQuery }),
+      in: vi.fn(() => entriesQuery),
+      lte: vi.fn((...args) => { calls.lte.push(args); return entriesQuery }),
+      order: vi.fn(() => entriesQuery),
+      range: vi.fn((...args) => {
+        calls.range.push(args)
+        return Promise.resolve({ data: entryPages[page++] || [], error: null })
+      }),
+    }
+    const projectsQuery = {
+      select: vi.fn(() => projectsQuery),
+      in: vi.fn((...args) => {
+        calls.in.push(args)
+        return Promise.resolve({ data: projects, error: null })
+      }),
+    }
+    const supabase = {
+      from: vi.fn((table) => (table === 'hrms_projects' ? projectsQuery : entriesQuery)),
+    }
+    return { supabase, calls }
+  }
+
+  it('loads approved, uninvoiced entries before asOf and their projects', async () => {
+    const { supabase, calls } = createClient(
+      [[
+        { ...entry('e-1', '2025-03-04', 8), invoice_lines: [] },
+        { ...entry('e-2', '2025-03-05', 8), invoice_lines: [{ invoice_line_id: 'line-1' }] },
+      ]],
+      [vendorProject]
+    )
+
+    const result = await loadBillingData(supabase, { tenant_id: 'tenant-1', business_id: 'biz-1', asOf: '2025-03-12' })
+
+    expect(result.entries.map((item) => item.entry_id)).toEqual(['e-1'])
+    expect(result.projects).toEqual([vendorProject])
+    expect(calls.eq).toEqual([
+      ['tenant_id', 'tenant-1'],
+      ['timesheet.submission_status', 'approved'],
+      ['timesheet.business_id', 'biz-1'],
+    ])
+    expect(calls.lte).toEqual([['work_date', '2025-03-11']])
+    expect(calls.in).toEqual([['project_id', ['proj-1']]])
+  })
+})
+
+describe('createInvoices', () => {
+  it('reports failed drafts without stopping the run', async () => {
+    const rpc = vi.fn()
+      .mockResolvedValueOnce({ data: null, error: { message: 'Timesheet entries already invoiced' } })
+      .mockResolvedValueOnce({ data: { invoice_id: 'inv-2' }, error: null })
+    const drafts = [
+      { business_id: 'biz-1', invoice: { bill_to_name: 'Globex' }, lines: [] },
+      { business_id: 'biz-1', invoice: { bill_to_name: 'TechStaff Inc' }, lines: [] },
+    ]
+
+    const result = await createInvoices({ rpc }, 'tenant-1', drafts)
+
+    expect(result).toEqual({
+      invoices: [{ invoice_id: 'inv-2' }],
+      failed: [{ bill_to_name: 'Globex', error: 'Timesheet entries already invoiced' }],
+    })
+    expect(rpc).toHaveBeenCalledWith('create_hrms_invoice', {
+      p_tenant_id: 'tenant-1',
+      p_business_id: 'biz-1',
+      p_invoice: { bill_to_name: 'Globex' },
+      p_lines: [],
+    })
+  })
+})
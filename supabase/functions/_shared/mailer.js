@@ -0,0 +1,86 @@
+/**
+ * Mail transports for edge functions
+ * Every transport exposes send({ config, to, subject, html, text, replyTo })
+ * where config is the object returned by getResendConfig().
+ */
+
+const RESEND_API_URL = 'https://api.resend.com/emails'
+
+/**
+ * Escape a value for interpolation into an HTML email body
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+/**
+ * Transport that delivers through the Resend HTTP API
+ *
+ * @param {{fetchImpl?: typeof fetch}} [options]
+ */
+export function createResendMailer({ fetchImpl = fetch } = {}) {
+  return {
+    async send({ config, to, subject, html, text, replyTo, headers }) {
+      if (!config?.apiKey) {
+        throw new Error('Resend API key is not configured')
+      }
+
+      const response = await fetchImpl(RESEND_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${config.apiKey}`,
+        },
+        body: JSON.stringify({
+          from: `${config.fromName} <${config.fromEmail}>`,
+          to: Array.isArray(to) ? to : [to],
+          subject,
+          html,
+          text,
+          reply_to: replyTo,
+          headers,
+        }),
+      })
+
+      const body = await response.json().catch(() => null)
+
+      if (!response.ok) {
+        throw new Error(body?.message || `Resend request failed with status ${response.status}`)
+      }
+
+      return { id: body?.id || null }
+    },
+  }
+}
+
+/**
+ * In-memory transport for local runs and tests - records instead of sending
+ */
+export function createStubMailer() {
+  const sent = []
+
+  return {
+    sent,
+    async send(message) {
+      sent.push(message)
+      return { id: `stub_${sent.length}` }
+    },
+  }
+}
+
+/**
+ * Pick a transport from the environment
+ * MAIL_TRANSPORT=stub swaps Resend for the in-memory stub (local development)
+ *
+ * @param {{MAIL_TRANSPORT?: string}} env
+ */
+export function createMailer(env = {}) {
+  return env.MAIL_TRANSPORT === 'stub' ? createStubMailer() : createResendMailer()
+}
@@ -0,0 +1,69 @@
+/**
+ * Mail transport tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { createResendMailer, createStubMailer, createMailer } from './mailer.js'
+
+const config = { apiKey: 're_test', fromEmail: 'hr@acme.com', fromName: 'Acme HR' }
+
+describe('createResendMailer', () => {
+  it('posts the message to Resend with the business sender', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ id: 'email_123' }),
+    })
+
+    const result = await createResendMailer({ fetchImpl }).send({
+      config,
+      to: 'john@example.com',
+      subject: 'Hello',
+      html: '<p>Hi</p>',
+    })
+
+    expect(result).toEqual({ id: 'email_123' })
+    const [url, request] = fetchImpl.mock.calls[0]
+    expect(url).toBe('https://api.resend.com/emails')
+    expect(request.headers.Authorization).toBe('Bearer re_test')
+    expect(JSON.parse(request.body)).toMatchObject({
+      from: 'Acme HR <hr@acme.com>',
+      to: ['john@example.com'],
+      subject: 'Hello',
+    })
+  })
+
+  it('throws the Resend error message on failure', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 422,
+      json: () => Promise.resolve({ message: 'Invalid from address' }),
+    })
+
+    await expect(
+      createResendMailer({ fetchImpl }).send({ config, to: 'a@b.com', subject: 'x', html: 'x' })
+    ).rejects.toThrow('Invalid from address')
+  })
+
+  it('refuses to send without an API key', async () => {
+    await expect(
+      createResendMailer({ fetchImpl: vi.fn() }).send({ config: { apiKey: '' }, to: 'a@b.com' })
+    ).rejects.toThrow('Resend API key is not configured')
+  })
+})
+
+describe('createMailer', () => {
+  it('returns the stub transport when MAIL_TRANSPORT=stub', async () => {
+    const mailer = createMailer({ MAIL_TRANSPORT: 'stub' })
+
+    await mailer.send({ config, to: 'a@b.com', subject: 'x' })
+
+    expect(mailer.sent).toHaveLength(1)
+  })
+
+  it('stub transport records messages in order', async () => {
+    const mailer = createStubMailer()
+
+    expect(await mailer.send({ subject: 'one' })).toEqual({ id: 'stub_1' })
+    expect(await mailer.send({ subject: 'two' })).toEqual({ id: 'stub_2' })
+    expect(mailer.sent.map((m) => m.subject)).toEqual(['one', 'two'])
+  })
+})
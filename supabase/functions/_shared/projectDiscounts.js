@@ -0,0 +1,252 @@
+/**
+ * Project discount job
+ * Works out the tenure/volume discount tier each active project has reached
+ * and writes changes back through the apply_hrms_project_discount RPC, which
+ * logs a 'discount_applied' row in hrms_project_rate_history.
+ *
+ * Tiers come from the project's tenure_discount_1..5 / volume_discount_1..3
+ * columns; a project with no tiers of a kind inherits the single tier set on
+ * the vendor it is billed through (hrms_vendors.tenure_discount_* /
+ * volume_discount_*).
+ */
+
+const TENURE_TIERS = 5
+const VOLUME_TIERS = 3
+const PAGE_SIZE = 1000
+const PROJECT_CHUNK_SIZE = 100
+
+// "<number> [unit]" - tenure periods default to months, volume periods to hours
+const TENURE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(m|mo|mos|month|months|y|yr|yrs|year|years)?\s*$/i
+const VOLUME_PATTERN = /^\s*(\d[\d,]*(?:\.\d+)?)\s*(h|hr|hrs|hour|hours)?\s*$/i
+
+const toDateString = (date) => date.toISOString().split('T')[0]
+
+/**
+ * Tenure period text (e.g. "6 months", "1 year", "18") as a number of months
+ * @returns {number|null} null when the text cannot be read
+ */
+export function parseTenureMonths(period) {
+  if (period === null || period === undefined || period === '') return null
+  const match = String(period).match(TENURE_PATTERN)
+  if (!match) return null
+  const value = Number(match[1])
+  return /^y/i.test(match[2] || '') ? value * 12 : value
+}
+
+/**
+ * Volume period text (e.g. "1,000 hours", "2000 hrs", "500") as a number of hours
+ * @returns {number|null} null when the text cannot be read
+ */
+export function parseVolumeHours(period) {
+  if (period === null || period === undefined || period === '') return null
+  const match = String(period).match(VOLUME_PATTERN)
+  return match ? Number(match[1].replace(/,/g, '')) : null
+}
+
+/**
+ * Whole months from startDate to asOf (a month completes on the same day-of-month)
+ */
+export function monthsElapsed(startDate, asOf) {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number)
+  const [year, month, day] = asOf.split('-').map(Number)
+  const months = (year - startYear) * 12 + (month - startMonth) - (day < startDay ? 1 : 0)
+  return Math.max(months, 0)
+}
+
+const billingVendor = (project) =>
+  [...(project.vendors || [])]
+    .sort((a, b) => a.vendor_level - b.vendor_level)
+    .find((link) => !link.is_direct_to_client)?.vendor || null
+
+const hasValue = (value) => value !== null && value !== undefined && value !== ''
+
+/**
+ * Configured tiers for a project, plus any period text that could not be read
+ *
+ * @returns {{tenure: Array<{level: number, percentage: number, threshold: number}>,
+ *            volume: Array<{level: number, percentage: number, threshold: number}>,
+ *            invalid: Array<{field: string, value: string}>}}
+ */
+export function getDiscountTiers(project) {
+  const invalid = []
+
+  const readTiers = (kind, count, parse) => {
+    const tiers = []
+    for (let level = 1; level <= count; level++) {
+      const percentage = project[`${kind}_discount_${level}`]
+      if (!hasValue(percentage)) continue
+
+      const field = `${kind}_discount_${level}_period`
+      const threshold = parse(project[field])
+      if (threshold === null) {
+        invalid.push({ field, value: project[field] ?? '' })
+        continue
+      }
+      tiers.push({ level, percentage: Number(percentage), threshold })
+    }
+    return tiers
+  }
+
+  let tenure = readTiers('tenure', TENURE_TIERS, parseTenureMonths)
+  let volume = readTiers('volume', VOLUME_TIERS, parseVolumeHours)
+
+  const vendor = billingVendor(project)
+  if (tenure.length === 0 && hasValue(vendor?.tenure_discount_percentage) && hasValue(vendor?.tenure_discount_threshold_months)) {
+    tenure = [{ level: 1, percentage: Number(vendor.tenure_discount_percentage), threshold: Number(vendor.tenure_discount_threshold_months) }]
+  }
+  if (volume.length === 0 && hasValue(vendor?.volume_discount_percentage) && hasValue(vendor?.volume_discount_threshold_hours)) {
+    volume = [{ level: 1, percentage: Number(vendor.volume_discount_percentage), threshold: Number(vendor.volume_discount_threshold_hours) }]
+  }
+
+  return { tenure, volume, invalid }
+}
+
+/**
+ * Highest-threshold tier already reached, or null
+ */
+export function pickTier(tiers, reached) {
+  return tiers
+    .filter((tier) => tier.threshold <= reached)
+    .sort((a, b) => b.threshold - a.threshold)[0] || null
+}
+
+const sameDiscount = (a, b) => Number(a || 0) === Number(b || 0)
+
+/**
+ * Discounts a project should carry as of asOf
+ * A kind with no tiers configured keeps the project's current value, so
+ * hand-entered discounts on projects without tiers are left alone.
+ *
+ * @param {object} project - hrms_projects row with tier columns and vendor chain
+ * @param {{approvedHours: number, asOf: string}} usage
+ * @returns {{tenure_discount: number|null, volume_discount: number|null, changed: boolean, notes: string[], invalid: object[]}}
+ */
+export function computeProjectDiscounts(project, { approvedHours, asOf }) {
+  const { tenure, volume, invalid } = getDiscountTiers(project)
+  const notes = []
+
+  let tenureDiscount = project.current_applicable_tenure_discount ?? null
+  if (tenure.length > 0 && project.project_start_date) {
+    const months = monthsElapsed(project.project_start_date, asOf)
+    const tier = pickTier(tenure, months)
+    tenureDiscount = tier ? tier.percentage : null
+    if (!sameDiscount(tenureDiscount, project.current_applicable_tenure_discount)) {
+      notes.push(tier
+        ? `Tenure discount ${tier.level} (${tier.percentage}%) reached at ${months} months since ${project.project_start_date}`
+        : `No tenure discount tier reached at ${months} months since ${project.project_start_date}`)
+    }
+  }
+
+  let volumeDiscount = project.current_applicable_volume_discount ?? null
+  if (volume.length > 0) {
+    const tier = pickTier(volume, approvedHours)
+    volumeDiscount = tier ? tier.percentage : null
+    if (!sameDiscount(volumeDiscount, project.current_applicable_volume_discount)) {
+      notes.push(tier
+        ? `Volume discount ${tier.level} (${tier.percentage}%) reached at ${approvedHours} approved hours`
+        : `No volume discount tier reached at ${approvedHours} approved hours`)
+    }
+  }
+
+  return {
+    tenure_discount: tenureDiscount,
+    volume_discount: volumeDiscount,
+    changed: notes.length > 0,
+    notes,
+    invalid,
+  }
+}
+
+async function loadActiveProjects(supabase) {
+  const tierColumns = [
+    ...Array.from({ length: TENURE_TIERS }, (_, i) => `tenure_discount_${i + 1}, tenure_discount_${i + 1}_period`),
+    ...Array.from({ length: VOLUME_TIERS }, (_, i) => `volume_discount_${i + 1}, volume_discount_${i + 1}_period`),
+  ].join(',\n        ')
+
+  const projects = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('hrms_projects')
+      .select(`
+        project_id,
+        tenant_id,
+        project_name,
+        project_start_date,
+        current_applicable_tenure_discount,
+        current_applicable_volume_discount,
+        ${tierColumns},
+        vendors:hrms_project_vendors(
+          vendor_level,
+          is_direct_to_client,
+          vendor:hrms_vendors(
+            tenure_discount_percentage,
+            tenure_discount_threshold_months,
+            volume_discount_percentage,
+            volume_discount_threshold_hours
+          )
+        )
+      `)
+      .eq('is_active', true)
+      .eq('project_status', 'active')
+      .order('project_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) throw error
+    projects.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) break
+  }
+  return projects
+}
+
+async function loadApprovedHours(supabase, projectIds) {
+  const hours = new Map()
+  for (let i = 0; i < projectIds.length; i += PROJECT_CHUNK_SIZE) {
+    const { data, error } = await supabase.rpc('fn_get_project_approved_hours', {
+      p_project_ids: projectIds.slice(i, i + PROJECT_CHUNK_SIZE),
+    })
+    if (error) throw error
+    ;(data || []).forEach((row) => hours.set(row.project_id, Number(row.approved_hours)))
+  }
+  return hours
+}
+
+/**
+ * Run the project discount job
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client (service role)
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{checked: number, changed: number, failed: Array<{project_id: string, error: string}>,
+ *                    warnings: Array<{project_id: string, field: string, value: string}>}>}
+ */
+export async function applyProjectDiscounts({ supabase, now = new Date() }) {
+  const asOf = toDateString(now)
+  const projects = await loadActiveProjects(supabase)
+  const hours = await loadApprovedHours(supabase, projects.map((project) => project.project_id))
+  const result = { checked: projects.length, changed: 0, failed: [], warnings: [] }
+
+  for (const project of projects) {
+    const discounts = computeProjectDiscounts(project, {
+      approvedHours: hours.get(project.project_id) || 0,
+      asOf,
+    })
+    discounts.invalid.forEach((item) => result.warnings.push({ project_id: project.project_id, ...item }))
+    if (!discounts.changed) continue
+
+    const { error } = await supabase.rpc('apply_hrms_project_discount', {
+      p_project_id: project.project_id,
+      p_tenure_discount: discounts.tenure_discount,
+      p_volume_discount: discounts.volume_discount,
+      p_effective_date: asOf,
+      p_change_notes: discounts.notes.join('; '),
+    })
+
+    if (error) {
+      result.failed.push({ project_id: project.project_id, error: error.message })
+    } else {
+      result.changed++
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,171 @@
+/**
+ * Project discount job tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  parseTenureMonths,
+  parseVolumeHours,
+  monthsElapsed,
+  getDiscountTiers,
+  computeProjectDiscounts,
+  applyProjectDiscounts,
+} from './projectDiscounts.js'
+
+const tieredProject = {
+  project_id: 'proj-1',
+  tenant_id: 'tenant-1',
+  project_name: 'Acme Corp Dev',
+  project_start_date: '2024-01-15',
+  current_applicable_tenure_discount: 2,
+  current_applicable_volume_discount: null,
+  tenure_discount_1: 2,
+  tenure_discount_1_period: '6 months',
+  tenure_discount_2: 4,
+  tenure_discount_2_period: '1 year',
+  tenure_discount_3: 6,
+  tenure_discount_3_period: '24',
+  volume_discount_1: 1.5,
+  volume_discount_1_period: '1,000 hours',
+  volume_discount_2: 3,
+  volume_discount_2_period: '2000 hrs',
+  vendors: [],
+}
+
+describe('period parsing', () => {
+  it('reads tenure periods as months', () => {
+    expect(parseTenureMonths('6 months')).toBe(6)
+    expect(parseTenureMonths('1 Year')).toBe(12)
+    expect(parseTenureMonths('18')).toBe(18)
+    expect(parseTenureMonths('2 yrs')).toBe(24)
+    expect(parseTenureMonths('after a while')).toBeNull()
+    expect(parseTenureMonths(null)).toBeNull()
+  })
+
+  it('reads volume periods as hours', () => {
+    expect(parseVolumeHours('1,000 hours')).toBe(1000)
+    expect(parseVolumeHours('2000 hrs')).toBe(2000)
+    expect(parseVolumeHours('500')).toBe(500)
+    expect(parseVolumeHours('6 months')).toBeNull()
+  })
+
+  it('counts whole months of tenure', () => {
+    expect(monthsElapsed('2024-01-15', '2024-07-14')).toBe(5)
+    expect(monthsElapsed('2024-01-15', '2024-07-15')).toBe(6)
+    expect(monthsElapsed('2024-01-15', '2025-01-15')).toBe(12)
+    expect(monthsElapsed('2024-01-15', '2023-12-01')).toBe(0)
+  })
+})
+
+describe('getDiscountTiers', () => {
+  it('reports period text it cannot read', () => {
+    const { tenure, invalid } = getDiscountTiers({ ...tieredProject, tenure_discount_3_period: 'two years' })
+
+    expect(tenure.map((tier) => tier.threshold)).toEqual([6, 12])
+    expect(invalid).toEqual([{ field: 'tenure_discount_3_period', value: 'two years' }])
+  })
+
+  it('falls back to the billing vendor thresholds', () => {
+    const { tenure, volume } = getDiscountTiers({
+      project_id: 'proj-2',
+      vendors: [
+        { vendor_level: 1, is_direct_to_client: false, vendor: {
+          tenure_discount_percentage: 3,
+          tenure_discount_threshold_months: 9,
+          volume_discount_percentage: null,
+          volume_discount_threshold_hours: null,
+        } },
+      ],
+    })
+
+    expect(tenure).toEqual([{ level: 1, percentage: 3, threshold: 9 }])
+    expect(volume).toEqual([])
+  })
+})
+
+describe('computeProjectDiscounts', () => {
+  it('picks the highest tier reached for tenure and volume', () => {
+    const result = computeProjectDiscounts(tieredProject, { approvedHours: 1250, asOf: '2025-02-01' })
+
+    expect(result).toMatchObject({ tenure_discount: 4, volume_discount: 1.5, changed: true })
+    expect(result.notes).toEqual([
+      'Tenure discount 2 (4%) reached at 12 months since 2024-01-15',
+      'Volume discount 1 (1.5%) reached at 1250 approved hours',
+    ])
+  })
+
+  it('reports no change when the current tiers still apply', () => {
+    const result = computeProjectDiscounts(
+      { ...tieredProject, current_applicable_volume_discount: 0 },
+      { approvedHours: 400, asOf: '2024-10-01' }
+    )
+
+    expect(result).toMatchObject({ tenure_discount: 2, volume_discount: null, changed: false })
+  })
+
+  it('leaves hand-entered discounts alone when no tiers are configured', () => {
+    const result = computeProjectDiscounts(
+      { project_id: 'proj-3', project_start_date: '2020-01-01', current_applicable_tenure_discount: 5, vendors: [] },
+      { approvedHours: 9000, asOf: '2025-02-01' }
+    )
+
+    expect(result).toMatchObject({ tenure_discount: 5, volume_discount: null, changed: false })
+  })
+})
+
+describe('applyProjectDiscounts', () => {
+  const createClient = ({ projects, hours, applyError = null }) => {
+    const query = {
+      select: vi.fn(() => query),
+      eq: vi.fn(() => query),
+      order: vi.fn(() => query),
+      range: vi.fn().mockResolvedValue({ data: projects, error: null }),
+    }
+    const rpc = vi.fn((name) => {
+      if (name === 'fn_get_project_approved_hours') {
+        return Promise.resolve({ data: hours, error: null })
+      }
+      return Promise.resolve({ data: null, error: applyError })
+    })
+    return { from: vi.fn(() => query), rpc, query }
+  }
+
+  it('writes changed discounts with an audit note', async () => {
+    const supabase = createClient({
+      projects: [tieredProject, { ...tieredProject, project_id: 'proj-2', project_start_date: '2024-09-01' }],
+      hours: [{ project_id: 'proj-1', approved_hours: '2100.00' }],
+    })
+
+    const result = await applyProjectDiscounts({ supabase, now: new Date('2025-02-01T05:00:00Z') })
+
+    expect(result).toEqual({ checked: 2, changed: 2, failed: [], warnings: [] })
+    expect(supabase.query.eq).toHaveBeenCalledWith('project_status', 'active')
+    expect(supabase.rpc).toHaveBeenCalledWith('fn_get_project_approved_hours', { p_project_ids: ['proj-1', 'proj-2'] })
+    expect(supabase.rpc).toHaveBeenCalledWith('apply_hrms_project_discount', {
+      p_project_id: 'proj-1',
+      p_tenure_discount: 4,
+      p_volume_discount: 3,
+      p_effective_date: '2025-02-01',
+      p_change_notes: 'Tenure discount 2 (4%) reached at 12 months since 2024-01-15; Volume discount 2 (3%) reached at 2100 approved hours',
+    })
+    // proj-2 is only 5 months in and has no approved hours, so its tenure discount drops off
+    expect(supabase.rpc).toHaveBeenCalledWith('apply_hrms_project_discount', expect.objectContaining({
+      p_project_id: 'proj-2',
+      p_tenure_discount: null,
+      p_volume_discount: null,
+    }))
+  })
+
+  it('reports failures and unreadable periods without stopping the run', async () => {
+    const supabase = createClient({
+      projects: [{ ...tieredProject, volume_discount_2_period: 'lots' }],
+      hours: [],
+      applyError: { message: 'Project proj-1 not found' },
+    })
+
+    const result = await applyProjectDiscounts({ supabase, now: new Date('2025-02-01T05:00:00Z') })
+
+    expect(result.changed).toBe(0)
+    expect(result.failed).toEqual([{ project_id: 'proj-1', error: 'Project proj-1 not found' }])
+    expect(result.warnings).toEqual([{ project_id: 'proj-1', field: 'volume_discount_2_period', value: 'lots' }])
+  })
+})
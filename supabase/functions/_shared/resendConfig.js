@@ -0,0 +1,50 @@
+/**
+ * Server-side Resend configuration resolver
+ * Mirrors src/api/resendConfig.js for edge functions, where the Supabase
+ * client and environment defaults are injected instead of read from Vite.
+ */
+
+/**
+ * Build a getResendConfig(businessId, tenantId) bound to a Supabase client
+ * Falls back to the system default if no business-specific config exists
+ *
+ * @param {object} supabase - Supabase client (service role)
+ * @param {{apiKey: string, fromEmail?: string, fromName?: string}} defaults - System default config
+ * @returns {(businessId: string, tenantId: string) => Promise<{apiKey: string, fromEmail: string, fromName: string}>}
+ */
+export function createResendConfigResolver(supabase, defaults = {}) {
+  const systemConfig = {
+    apiKey: defaults.apiKey || '',
+    fromEmail: defaults.fromEmail || 'noreply@staffingcrm.com',
+    fromName: defaults.fromName || 'Staffing CRM',
+  }
+
+  return async function getResendConfig(businessId, tenantId) {
+    if (!businessId || !tenantId) {
+      return systemConfig
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('business_resend_api_keys')
+        .select('resend_api_key, from_email, from_name')
+        .eq('tenant_id', tenantId)
+        .eq('business_id', businessId)
+        .eq('is_active', true)
+        .maybeSingle()
+
+      if (error || !data) {
+        return systemConfig
+      }
+
+      return {
+        apiKey: data.resend_api_key,
+        fromEmail: data.from_email,
+        fromName: data.from_name || systemConfig.fromName,
+      }
+    } catch (err) {
+      console.error('Error getting Resend config:', err)
+      return systemConfig
+    }
+  }
+}
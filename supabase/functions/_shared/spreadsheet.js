@@ -0,0 +1,71 @@
+/**
+ * Spreadsheet conversion helpers
+ * parseSpreadsheetRows() reads the first sheet of an uploaded workbook into rows,
+ * renderSpreadsheet() writes row arrays back out as .xlsx. Both take an injected
+ * SheetJS module so they run unchanged under Deno and vitest.
+ */
+
+const MAX_FILE_NAME_LENGTH = 100
+
+/**
+ * Decode a base64 string to bytes
+ */
+export function decodeBase64(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Read the first sheet of a workbook as an array of string rows
+ * Dates are formatted as YYYY-MM-DD and fully blank rows are dropped.
+ *
+ * @param {Uint8Array} bytes - Workbook file contents (.xlsx, .xls or .csv)
+ * @param {object} XLSX - SheetJS module
+ * @returns {string[][]}
+ */
+export function parseSpreadsheetRows(bytes, XLSX) {
+  const workbook = XLSX.read(bytes, { type: 'array', cellDates: true })
+  const sheetName = workbook.SheetNames[0]
+  if (!sheetName) return []
+
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    header: 1,
+    defval: '',
+    raw: false,
+    dateNF: 'yyyy-mm-dd',
+  })
+
+  return rows
+    .map((row) => row.map((cell) => String(cell ?? '').trim()))
+    .filter((row) => row.some((cell) => cell !== ''))
+}
+
+/**
+ * Strip anything that is not safe in a Content-Disposition file name
+ */
+export function sanitizeFileName(fileName, fallback = 'export.xlsx') {
+  const safe = String(fileName || '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '_')
+    .slice(0, MAX_FILE_NAME_LENGTH)
+  if (!safe) return fallback
+  return safe.toLowerCase().endsWith('.xlsx') ? safe : `${safe}.xlsx`
+}
+
+/**
+ * Write sheets to .xlsx bytes
+ *
+ * @param {Array<{name: string, rows: Array<Array<string|number>>}>} sheets
+ * @param {object} XLSX - SheetJS module
+ * @returns {Uint8Array}
+ */
+export function renderSpreadsheet(sheets, XLSX) {
+  const workbook = XLSX.utils.book_new()
+  sheets.forEach((sheet) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name)
+  })
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }))
+}
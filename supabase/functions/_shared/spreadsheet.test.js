@@ -0,0 +1,71 @@
+/**
+ * Spreadsheet conversion tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { decodeBase64, parseSpreadsheetRows, renderSpreadsheet, sanitizeFileName } from './spreadsheet.js'
+
+describe('parseSpreadsheetRows', () => {
+  it('reads the first sheet as trimmed string rows and drops blank rows', () => {
+    const XLSX = {
+      read: vi.fn(() => ({ SheetNames: ['People', 'Other'], Sheets: { People: 'sheet-1' } })),
+      utils: {
+        sheet_to_json: vi.fn(() => [
+          ['First Name', 'Start Date'],
+          [' Jane ', '2025-01-06'],
+          ['', ''],
+          ['Raj', 45678],
+        ]),
+      },
+    }
+
+    const rows = parseSpreadsheetRows(new Uint8Array([1]), XLSX)
+
+    expect(rows).toEqual([['First Name', 'Start Date'], ['Jane', '2025-01-06'], ['Raj', '45678']])
+    expect(XLSX.read).toHaveBeenCalledWith(new Uint8Array([1]), { type: 'array', cellDates: true })
+    expect(XLSX.utils.sheet_to_json).toHaveBeenCalledWith('sheet-1', {
+      header: 1,
+      defval: '',
+      raw: false,
+      dateNF: 'yyyy-mm-dd',
+    })
+  })
+
+  it('returns no rows for an empty workbook', () => {
+    const XLSX = { read: () => ({ SheetNames: [], Sheets: {} }), utils: {} }
+
+    expect(parseSpreadsheetRows(new Uint8Array(), XLSX)).toEqual([])
+  })
+})
+
+describe('renderSpreadsheet', () => {
+  it('appends each sheet in order', () => {
+    const appended = []
+    const XLSX = {
+      utils: {
+        book_new: () => ({}),
+        aoa_to_sheet: (rows) => ({ rows }),
+        book_append_sheet: (_book, sheet, name) => appended.push([name, sheet.rows.length]),
+      },
+      write: vi.fn(() => new ArrayBuffer(2)),
+    }
+
+    const bytes = renderSpreadsheet([{ name: 'Employees', rows: [['Code'], ['IES00001']] }], XLSX)
+
+    expect(appended).toEqual([['Employees', 2]])
+    expect(bytes).toBeInstanceOf(Uint8Array)
+  })
+})
+
+describe('sanitizeFileName', () => {
+  it('keeps safe characters and forces an .xlsx extension', () => {
+    expect(sanitizeFileName('employees_2025-03-01.xlsx')).toBe('employees_2025-03-01.xlsx')
+    expect(sanitizeFileName('my "list"\r\n')).toBe('my_list_.xlsx')
+    expect(sanitizeFileName('')).toBe('export.xlsx')
+  })
+})
+
+describe('decodeBase64', () => {
+  it('decodes to bytes', () => {
+    expect(decodeBase64('AQID')).toEqual(new Uint8Array([1, 2, 3]))
+  })
+})
@@ -0,0 +1,187 @@
+/**
+ * Ticket auto-close job
+ * Tickets waiting on the employee (sent_to_candidate_review) get a reminder,
+ * then a final warning, and are finally auto-closed with a system comment once
+ * they have been idle (last_activity_at) for their request type's thresholds.
+ */
+import { TICKET_EMAIL_COLUMNS, sendTicketEmail } from './ticketNotifications.js'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+// Applies to tickets without a request type
+export const DEFAULT_AUTO_CLOSE_POLICY = {
+  enabled: true,
+  reminderDays: 3,
+  warningDays: 5,
+  closeAfterDays: 7,
+}
+
+/**
+ * Auto-close thresholds for a ticket, from its hrms_ticket_request_types row
+ */
+export function getAutoClosePolicy(requestType) {
+  if (!requestType) return DEFAULT_AUTO_CLOSE_POLICY
+  return {
+    enabled: requestType.auto_close_enabled !== false,
+    reminderDays: requestType.auto_close_reminder_days ?? DEFAULT_AUTO_CLOSE_POLICY.reminderDays,
+    warningDays: requestType.auto_close_warning_days ?? DEFAULT_AUTO_CLOSE_POLICY.warningDays,
+    closeAfterDays: requestType.auto_close_after_days ?? DEFAULT_AUTO_CLOSE_POLICY.closeAfterDays,
+  }
+}
+
+const daysSince = (timestamp, now) => (now - new Date(timestamp)) / DAY_MS
+
+/**
+ * When the ticket will close. The employee always gets the full gap between
+ * the warning and the close, even if the warning went out late.
+ */
+export function getAutoCloseDate(ticket, policy, warningSentAt = ticket.auto_close_warning_sent_at) {
+  const byIdle = new Date(ticket.last_activity_at).getTime() + policy.closeAfterDays * DAY_MS
+  const byWarning = warningSentAt
+    ? new Date(warningSentAt).getTime() + (policy.closeAfterDays - policy.warningDays) * DAY_MS
+    : byIdle
+  return new Date(Math.max(byIdle, byWarning))
+}
+
+/**
+ * Which step is due for a ticket: 'reminder', 'warning', 'close' or null
+ */
+export function getAutoCloseStage(ticket, policy, now) {
+  if (!policy.enabled || ticket.status !== 'sent_to_candidate_review') return null
+
+  const idleDays = daysSince(ticket.last_activity_at, now)
+
+  if (ticket.auto_close_warning_sent_at) {
+    return getAutoCloseDate(ticket, policy) <= now ? 'close' : null
+  }
+  if (idleDays >= policy.warningDays) return 'warning'
+  if (idleDays >= policy.reminderDays && !ticket.auto_close_reminder_sent_at) return 'reminder'
+  return null
+}
+
+// Returns the system comment, or null when the ticket is no longer waiting
+async function closeTicket(supabase, ticket, daysInactive, timestamp) {
+  // Guard on status so a reply that lands mid-run keeps the ticket open
+  const { data: closed, error: closeError } = await supabase
+    .from('hrms_tickets')
+    .update({ status: 'auto_closed', resolved_at: timestamp, updated_by: null })
+    .eq('ticket_id', ticket.ticket_id)
+    .eq('status', 'sent_to_candidate_review')
+    .select('ticket_id')
+  if (closeError) throw closeError
+  if (!closed || closed.length === 0) return null
+
+  const { data: comment, error: commentError } = await supabase
+    .from('hrms_ticket_comments')
+    .insert({
+      tenant_id: ticket.tenant_id,
+      ticket_id: ticket.ticket_id,
+      comment_text: `This ticket was closed automatically after ${daysInactive} days without a response. Please open a new ticket if you still need help.`,
+      is_internal_note: false,
+      author_type: 'system',
+      author_display_name: 'System',
+    })
+    .select('comment_id')
+    .single()
+  if (commentError) throw commentError
+
+  return comment
+}
+
+/**
+ * Run the ticket auto-close job
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client (service role)
+ * @param {{send: Function}} deps.mailer - Mail transport (see _shared/mailer.js)
+ * @param {Function} deps.getResendConfig - (businessId, tenantId) => Resend config
+ * @param {Function} [deps.getReplyAddress] - ticket => Reply-To address for employee replies
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{checked: number, reminded: number, warned: number, closed: number, failed: Array<{ticket_id: string, error: string}>}>}
+ */
+export async function processTicketAutoClose({ supabase, mailer, getResendConfig, getReplyAddress, now = new Date() }) {
+  const timestamp = now.toISOString()
+
+  const { data: tickets, error: ticketsError } = await supabase
+    .from('hrms_tickets')
+    .select(`
+      ${TICKET_EMAIL_COLUMNS},
+      status,
+      last_activity_at,
+      auto_close_reminder_sent_at,
+      auto_close_warning_sent_at,
+      request_type_config:hrms_ticket_request_types (
+        auto_close_enabled,
+        auto_close_reminder_days,
+        auto_close_warning_days,
+        auto_close_after_days
+      )
+    `)
+    .eq('status', 'sent_to_candidate_review')
+
+  if (ticketsError) throw ticketsError
+
+  const result = { checked: (tickets || []).length, reminded: 0, warned: 0, closed: 0, failed: [] }
+
+  for (const ticket of tickets || []) {
+    const policy = getAutoClosePolicy(ticket.request_type_config)
+    const stage = getAutoCloseStage(ticket, policy, now)
+    if (!stage) continue
+
+    const daysInactive = Math.floor(daysSince(ticket.last_activity_at, now))
+
+    try {
+      if (stage === 'close') {
+        const comment = await closeTicket(supabase, ticket, daysInactive, timestamp)
+        if (!comment) continue
+        result.closed += 1
+
+        await sendTicketEmail({
+          supabase,
+          mailer,
+          getResendConfig,
+          getReplyAddress,
+          ticket,
+          templateKey: 'ticket_auto_closed',
+          variables: { days_inactive: daysInactive },
+        })
+
+        const { error: emailError } = await supabase
+          .from('hrms_ticket_comments')
+          .update({ email_sent: true, email_sent_at: timestamp })
+          .eq('comment_id', comment.comment_id)
+        if (emailError) throw emailError
+        continue
+      }
+
+      const warning = stage === 'warning'
+      const closeDate = getAutoCloseDate(ticket, policy, warning ? timestamp : null)
+
+      await sendTicketEmail({
+        supabase,
+        mailer,
+        getResendConfig,
+        getReplyAddress,
+        ticket,
+        templateKey: warning ? 'ticket_auto_close_warning' : 'ticket_auto_close_reminder',
+        variables: {
+          days_inactive: daysInactive,
+          close_date: closeDate.toISOString().split('T')[0],
+        },
+      })
+
+      const { error: stampError } = await supabase
+        .from('hrms_tickets')
+        .update(warning ? { auto_close_warning_sent_at: timestamp } : { auto_close_reminder_sent_at: timestamp })
+        .eq('ticket_id', ticket.ticket_id)
+      if (stampError) throw stampError
+
+      result[warning ? 'warned' : 'reminded'] += 1
+    } catch (err) {
+      console.error(`Error processing auto-close for ticket ${ticket.ticket_id}:`, err)
+      result.failed.push({ ticket_id: ticket.ticket_id, error: err.message })
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,210 @@
+/**
+ * Ticket auto-close job tests (runs against the stub mailer)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  processTicketAutoClose,
+  getAutoClosePolicy,
+  getAutoCloseStage,
+  DEFAULT_AUTO_CLOSE_POLICY,
+} from './ticketAutoClose.js'
+import { createStubMailer } from './mailer.js'
+
+const NOW = new Date('2025-03-10T09:00:00Z')
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString()
+
+const buildTicket = (overrides = {}) => ({
+  ticket_id: 'tkt-1',
+  tenant_id: 'tenant-1',
+  business_id: 'biz-1',
+  ticket_number: 'IESTKT0042',
+  subject: 'H1B extension documents',
+  assigned_team: 'Immigration_Team',
+  status: 'sent_to_candidate_review',
+  last_activity_at: daysAgo(1),
+  auto_close_reminder_sent_at: null,
+  auto_close_warning_sent_at: null,
+  request_type_config: null,
+  employee: { first_name: 'John', last_name: 'Smith', email: 'john@example.com' },
+  business: { business_name: 'Intuites' },
+  ...overrides,
+})
+
+/**
+ * Minimal Supabase double: serves the waiting tickets, records writes and
+ * reports every guarded close as applied unless told otherwise
+ */
+function createFakeSupabase({ tickets = [], closeApplies = true } = {}) {
+  const writes = []
+
+  const from = vi.fn((table) => {
+    const state = { table, op: 'select', payload: null, filters: [] }
+    const resolve = () => {
+      if (state.op === 'select') {
+        return { data: table === 'hrms_tickets' ? tickets : null, error: null }
+      }
+      writes.push(state)
+      if (state.op === 'insert') return { data: { comment_id: 'cmt-system' }, error: null }
+      if (table === 'hrms_tickets' && state.payload.status === 'auto_closed') {
+        return { data: closeApplies ? [{ ticket_id: 'tkt-1' }] : [], error: null }
+      }
+      return { data: null, error: null }
+    }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push([column, value])
+        return builder
+      }),
+      insert: vi.fn((payload) => {
+        Object.assign(state, { op: 'insert', payload })
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      single: vi.fn(() => Promise.resolve(resolve())),
+      maybeSingle: vi.fn(() => Promise.resolve({ data: null, error: null })),
+      then: (onFulfilled, onRejected) => Promise.resolve(resolve()).then(onFulfilled, onRejected),
+    }
+    return builder
+  })
+
+  return { client: { from }, writes }
+}
+
+const getResendConfig = vi.fn(async () => ({ apiKey: 're_test', fromEmail: 'hr@intuites.com', fromName: 'Intuites HR' }))
+
+describe('getAutoCloseStage', () => {
+  const policy = DEFAULT_AUTO_CLOSE_POLICY
+
+  it('moves from reminder to warning to close as the ticket stays idle', () => {
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(2) }), policy, NOW)).toBeNull()
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(3) }), policy, NOW)).toBe('reminder')
+    expect(getAutoCloseStage(buildTicket({
+      last_activity_at: daysAgo(4), auto_close_reminder_sent_at: daysAgo(1),
+    }), policy, NOW)).toBeNull()
+    expect(getAutoCloseStage(buildTicket({
+      last_activity_at: daysAgo(5), auto_close_reminder_sent_at: daysAgo(2),
+    }), policy, NOW)).toBe('warning')
+    expect(getAutoCloseStage(buildTicket({
+      last_activity_at: daysAgo(7), auto_close_reminder_sent_at: daysAgo(4), auto_close_warning_sent_at: daysAgo(2),
+    }), policy, NOW)).toBe('close')
+  })
+
+  it('never closes without a warning and keeps the full grace period after a late warning', () => {
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(30) }), policy, NOW)).toBe('warning')
+    expect(getAutoCloseStage(buildTicket({
+      last_activity_at: daysAgo(30), auto_close_warning_sent_at: daysAgo(1),
+    }), policy, NOW)).toBeNull()
+  })
+
+  it('uses request type thresholds and honours a disabled policy', () => {
+    const custom = getAutoClosePolicy({
+      auto_close_enabled: true, auto_close_reminder_days: 10, auto_close_warning_days: 12, auto_close_after_days: 14,
+    })
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(5) }), custom, NOW)).toBeNull()
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(10) }), custom, NOW)).toBe('reminder')
+
+    const disabled = getAutoClosePolicy({ ...custom, auto_close_enabled: false })
+    expect(getAutoCloseStage(buildTicket({ last_activity_at: daysAgo(30) }), disabled, NOW)).toBeNull()
+  })
+})
+
+describe('processTicketAutoClose', () => {
+  let mailer
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mailer = createStubMailer()
+  })
+
+  it('sends the reminder and warning emails and stamps the ticket', async () => {
+    const { client, writes } = createFakeSupabase({
+      tickets: [
+        buildTicket({ ticket_id: 'tkt-reminder', last_activity_at: daysAgo(3) }),
+        buildTicket({ ticket_id: 'tkt-warning', last_activity_at: daysAgo(5), auto_close_reminder_sent_at: daysAgo(2) }),
+        buildTicket({ ticket_id: 'tkt-recent' }),
+      ],
+    })
+
+    const result = await processTicketAutoClose({ supabase: client, mailer, getResendConfig, now: NOW })
+
+    expect(result).toEqual({ checked: 3, reminded: 1, warned: 1, closed: 0, failed: [] })
+    expect(mailer.sent.map((message) => message.subject)).toEqual([
+      'Reminder: Ticket #IESTKT0042 Is Waiting for Your Response',
+      'Final Notice: Ticket #IESTKT0042 Will Close on 2025-03-12',
+    ])
+    expect(mailer.sent[0].text).toContain('closed automatically on 2025-03-14')
+    expect(writes).toEqual([
+      expect.objectContaining({
+        table: 'hrms_tickets',
+        payload: { auto_close_reminder_sent_at: NOW.toISOString() },
+        filters: [['ticket_id', 'tkt-reminder']],
+      }),
+      expect.objectContaining({
+        table: 'hrms_tickets',
+        payload: { auto_close_warning_sent_at: NOW.toISOString() },
+        filters: [['ticket_id', 'tkt-warning']],
+      }),
+    ])
+  })
+
+  it('auto-closes with a system comment and emails the employee', async () => {
+    const { client, writes } = createFakeSupabase({
+      tickets: [buildTicket({
+        last_activity_at: daysAgo(7), auto_close_reminder_sent_at: daysAgo(4), auto_close_warning_sent_at: daysAgo(2),
+      })],
+    })
+
+    const result = await processTicketAutoClose({ supabase: client, mailer, getResendConfig, now: NOW })
+
+    expect(result.closed).toBe(1)
+    expect(writes[0]).toMatchObject({
+      table: 'hrms_tickets',
+      payload: { status: 'auto_closed', resolved_at: NOW.toISOString(), updated_by: null },
+      filters: [['ticket_id', 'tkt-1'], ['status', 'sent_to_candidate_review']],
+    })
+    expect(writes[1]).toMatchObject({
+      table: 'hrms_ticket_comments',
+      op: 'insert',
+      payload: {
+        author_type: 'system',
+        is_internal_note: false,
+        comment_text: expect.stringContaining('closed automatically after 7 days'),
+      },
+    })
+    expect(mailer.sent[0].subject).toBe('Ticket #IESTKT0042 Was Closed')
+    expect(writes[2]).toMatchObject({
+      table: 'hrms_ticket_comments',
+      payload: { email_sent: true, email_sent_at: NOW.toISOString() },
+      filters: [['comment_id', 'cmt-system']],
+    })
+  })
+
+  it('leaves a ticket alone when the employee replied before the close landed', async () => {
+    const { client, writes } = createFakeSupabase({
+      closeApplies: false,
+      tickets: [buildTicket({ last_activity_at: daysAgo(8), auto_close_warning_sent_at: daysAgo(3) })],
+    })
+
+    const result = await processTicketAutoClose({ supabase: client, mailer, getResendConfig, now: NOW })
+
+    expect(result.closed).toBe(0)
+    expect(writes).toHaveLength(1)
+    expect(mailer.sent).toHaveLength(0)
+  })
+
+  it('records failures without stamping so the email is retried', async () => {
+    const { client, writes } = createFakeSupabase({
+      tickets: [buildTicket({ last_activity_at: daysAgo(3), employee: { first_name: 'John', last_name: 'Smith', email: null } })],
+    })
+
+    const result = await processTicketAutoClose({ supabase: client, mailer, getResendConfig, now: NOW })
+
+    expect(result.failed).toEqual([{ ticket_id: 'tkt-1', error: 'Employee has no email address' }])
+    expect(writes).toHaveLength(0)
+  })
+})
@@ -0,0 +1,262 @@
+/**
+ * Ticket lifecycle emails
+ * Renders the tenant's hrms_email_templates (by template_key) for a ticket
+ * status change, a new team comment or an auto-close notice, sends it through
+ * the mail transport with the business's Resend config and records delivery
+ * on the source row (hrms_ticket_status_history.notification_sent /
+ * hrms_ticket_comments.email_sent).
+ */
+import { escapeHtml } from './mailer.js'
+
+export const TICKET_STATUS_LABELS = {
+  ticket_created: 'Ticket Created',
+  in_team_review: 'In Team Review',
+  need_leadership_discussion: 'Need to Discuss with Leadership',
+  need_attorney_discussion: 'Need to Discuss with Attorney',
+  need_team_discussion: 'Need to Discuss with Team',
+  sent_to_candidate_review: 'Sent to Candidate for Review',
+  closed: 'Closed',
+  auto_closed: 'Auto-Closed',
+}
+
+const TEAM_LABELS = {
+  HR_Team: 'HR',
+  Immigration_Team: 'Immigration',
+}
+
+// Used when a tenant has no active template for the key
+export const DEFAULT_TICKET_TEMPLATES = {
+  ticket_status_changed: {
+    subject: 'Ticket #{{ticket_number}} Updated: {{new_status}}',
+    body_html: '<h2>Your Support Ticket Was Updated</h2><p>Dear {{employee_name}},</p><p>The status of your ticket <strong>{{ticket_number}}</strong> ({{subject}}) changed from {{previous_status}} to <strong>{{new_status}}</strong>.</p><p>{{change_reason}}</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    body_text: 'Dear {{employee_name}},\n\nThe status of your ticket {{ticket_number}} ({{subject}}) changed from {{previous_status}} to {{new_status}}.\n\n{{change_reason}}\n\nBest regards,\n{{assigned_team}} Team',
+  },
+  ticket_comment_added: {
+    subject: 'New Reply on Ticket #{{ticket_number}}: {{subject}}',
+    body_html: '<h2>New Reply on Your Support Ticket</h2><p>Dear {{employee_name}},</p><p>{{author_name}} replied to your ticket <strong>{{ticket_number}}</strong> ({{subject}}):</p><blockquote>{{comment_text}}</blockquote><p>Best regards,<br>{{assigned_team}} Team</p>',
+    body_text: 'Dear {{employee_name}},\n\n{{author_name}} replied to your ticket {{ticket_number}} ({{subject}}):\n\n{{comment_text}}\n\nBest regards,\n{{assigned_team}} Team',
+  },
+  ticket_auto_close_reminder: {
+    subject: 'Reminder: Ticket #{{ticket_number}} Is Waiting for Your Response',
+    body_html: '<h2>We Are Waiting for Your Response</h2><p>Dear {{employee_name}},</p><p>Your ticket <strong>{{ticket_number}}</strong> ({{subject}}) was sent to you for review {{days_inactive}} days ago.</p><p>Please reply so we can continue. Tickets without a response are closed automatically on {{close_date}}.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    body_text: 'Dear {{employee_name}},\n\nYour ticket {{ticket_number}} ({{subject}}) was sent to you for review {{days_inactive}} days ago.\n\nPlease reply so we can continue. Tickets without a response are closed automatically on {{close_date}}.\n\nBest regards,\n{{assigned_team}} Team',
+  },
+  ticket_auto_close_warning: {
+    subject: 'Final Notice: Ticket #{{ticket_number}} Will Close on {{close_date}}',
+    body_html: '<h2>Your Ticket Will Be Closed Soon</h2><p>Dear {{employee_name}},</p><p>We have not heard from you on ticket <strong>{{ticket_number}}</strong> ({{subject}}) for {{days_inactive}} days.</p><p>If we do not receive a reply, the ticket will be closed automatically on <strong>{{close_date}}</strong>.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    body_text: 'Dear {{employee_name}},\n\nWe have not heard from you on ticket {{ticket_number}} ({{subject}}) for {{days_inactive}} days.\n\nIf we do not receive a reply, the ticket will be closed automatically on {{close_date}}.\n\nBest regards,\n{{assigned_team}} Team',
+  },
+  ticket_auto_closed: {
+    subject: 'Ticket #{{ticket_number}} Was Closed',
+    body_html: '<h2>Your Ticket Was Closed</h2><p>Dear {{employee_name}},</p><p>Ticket <strong>{{ticket_number}}</strong> ({{subject}}) was closed automatically after {{days_inactive}} days without a response.</p><p>If you still need help, please open a new ticket.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    body_text: 'Dear {{employee_name}},\n\nTicket {{ticket_number}} ({{subject}}) was closed automatically after {{days_inactive}} days without a response.\n\nIf you still need help, please open a new ticket.\n\nBest regards,\n{{assigned_team}} Team',
+  },
+}
+
+// Ticket fields every ticket email needs; embed in selects on hrms_tickets
+export const TICKET_EMAIL_COLUMNS = `
+  ticket_id,
+  tenant_id,
+  business_id,
+  ticket_number,
+  subject,
+  assigned_team,
+  employee:hrms_employees!hrms_tickets_employee_id_fkey(first_name, last_name, email),
+  business:businesses(business_name)
+`
+
+/**
+ * Replace {{variable}} placeholders. Values are HTML-escaped (with line
+ * breaks kept) in the HTML body; unknown placeholders render empty.
+ *
+ * @param {{subject: string, body_html: string, body_text?: string}} template
+ * @param {Record<string, string|number|null>} variables
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderEmailTemplate(template, variables) {
+  const fill = (source, encode) =>
+    (source || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      const value = variables[name]
+      return value == null ? '' : encode(String(value))
+    })
+  const plain = (value) => value
+  // Derive the text body from the HTML markup before values go in
+  const textSource = template.body_text
+    || (template.body_html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')
+
+  return {
+    subject: fill(template.subject, plain),
+    html: fill(template.body_html, (value) => escapeHtml(value).replace(/\r?\n/g, '<br>')),
+    text: fill(textSource, plain),
+  }
+}
+
+/**
+ * Load the tenant's active template for a key, falling back to the default
+ */
+export async function loadEmailTemplate(supabase, tenantId, templateKey) {
+  const { data, error } = await supabase
+    .from('hrms_email_templates')
+    .select('subject, body_html, body_text')
+    .eq('tenant_id', tenantId)
+    .eq('template_key', templateKey)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) throw error
+  return data || DEFAULT_TICKET_TEMPLATES[templateKey]
+}
+
+const ticketVariables = (ticket) => ({
+  employee_name: ticket.employee ? `${ticket.employee.first_name} ${ticket.employee.last_name}` : 'Employee',
+  ticket_number: ticket.ticket_number,
+  subject: ticket.subject,
+  assigned_team: TEAM_LABELS[ticket.assigned_team] || ticket.assigned_team,
+  company_name: ticket.business?.business_name || '',
+})
+
+/**
+ * Render a ticket template for the ticket's employee and send it
+ *
+ * @param {object} deps
+ * @param {object} deps.ticket - hrms_tickets row selected with TICKET_EMAIL_COLUMNS
+ * @param {string} deps.templateKey - hrms_email_templates.template_key
+ * @param {Record<string, string|number|null>} [deps.variables] - Extra template variables
+ * @param {Function} [deps.getReplyAddress] - ticket => Reply-To address that routes replies back
+ *   to the ticket (see _shared/inboundEmail.js)
+ * @returns {Promise<{id: string|null}>}
+ */
+export async function sendTicketEmail({
+  supabase,
+  mailer,
+  getResendConfig,
+  getReplyAddress,
+  ticket,
+  templateKey,
+  variables = {},
+}) {
+  if (!ticket.employee?.email) {
+    throw new Error('Employee has no email address')
+  }
+
+  const template = await loadEmailTemplate(supabase, ticket.tenant_id, templateKey)
+  const email = renderEmailTemplate(template, { ...ticketVariables(ticket), ...variables })
+  const config = await getResendConfig(ticket.business_id, ticket.tenant_id)
+  const replyTo = getReplyAddress ? await getReplyAddress(ticket) : null
+
+  return mailer.send({
+    config,
+    to: ticket.employee.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    replyTo: replyTo || undefined,
+  })
+}
+
+/**
+ * Email the employee about a status change and mark the history row notified
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client
+ * @param {{send: Function}} deps.mailer - Mail transport (see _shared/mailer.js)
+ * @param {Function} deps.getResendConfig - (businessId, tenantId) => Resend config
+ * @param {Function} [deps.getReplyAddress] - ticket => Reply-To address for employee replies
+ * @param {string} deps.historyId - hrms_ticket_status_history.history_id
+ * @param {Date} [deps.now] - Clock override for tests
+ * @returns {Promise<{sent: boolean, skipped?: string, message_id?: string}>}
+ */
+export async function sendTicketStatusNotification({
+  supabase,
+  mailer,
+  getResendConfig,
+  getReplyAddress,
+  historyId,
+  now = new Date(),
+}) {
+  const { data: history, error } = await supabase
+    .from('hrms_ticket_status_history')
+    .select(`history_id, previous_status, new_status, change_reason, notification_sent, ticket:hrms_tickets(${TICKET_EMAIL_COLUMNS})`)
+    .eq('history_id', historyId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!history) throw new Error('Status change not found')
+  if (history.notification_sent) return { sent: false, skipped: 'already_sent' }
+
+  const result = await sendTicketEmail({
+    supabase,
+    mailer,
+    getResendConfig,
+    getReplyAddress,
+    ticket: history.ticket,
+    templateKey: 'ticket_status_changed',
+    variables: {
+      previous_status: TICKET_STATUS_LABELS[history.previous_status] || history.previous_status || '',
+      new_status: TICKET_STATUS_LABELS[history.new_status] || history.new_status,
+      change_reason: history.change_reason || '',
+    },
+  })
+
+  // RLS can filter the update down to no rows without an error; treat that as a failure
+  // so the row is not left unmarked and emailed again on the next attempt
+  const { data: marked, error: updateError } = await supabase
+    .from('hrms_ticket_status_history')
+    .update({ notification_sent: true, notification_sent_at: now.toISOString() })
+    .eq('history_id', historyId)
+    .select('history_id')
+    .maybeSingle()
+  if (updateError) throw updateError
+  if (!marked) throw new Error('Status change could not be marked as notified')
+
+  return { sent: true, message_id: result.id }
+}
+
+/**
+ * Email the employee a team member's reply and mark the comment emailed.
+ * Internal notes and the employee's own comments are never emailed.
+ *
+ * @param {object} deps - Same as sendTicketStatusNotification, with commentId
+ * @returns {Promise<{sent: boolean, skipped?: string, message_id?: string}>}
+ */
+export async function sendTicketCommentNotification({
+  supabase,
+  mailer,
+  getResendConfig,
+  getReplyAddress,
+  commentId,
+  now = new Date(),
+}) {
+  const { data: comment, error } = await supabase
+    .from('hrms_ticket_comments')
+    .select(`comment_id, comment_text, is_internal_note, author_type, author_display_name, email_sent, ticket:hrms_tickets(${TICKET_EMAIL_COLUMNS})`)
+    .eq('comment_id', commentId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!comment) throw new Error('Comment not found')
+  if (comment.is_internal_note) return { sent: false, skipped: 'internal_note' }
+  if (comment.author_type === 'employee') return { sent: false, skipped: 'employee_comment' }
+  if (comment.email_sent) return { sent: false, skipped: 'already_sent' }
+
+  const result = await sendTicketEmail({
+    supabase,
+    mailer,
+    getResendConfig,
+    getReplyAddress,
+    ticket: comment.ticket,
+    templateKey: 'ticket_comment_added',
+    variables: {
+      comment_text: comment.comment_text,
+      author_name: comment.author_display_name || 'Our team',
+    },
+  })
+
+  const { error: updateError } = await supabase
+    .from('hrms_ticket_comments')
+    .update({ email_sent: true, email_sent_at: now.toISOString() })
+    .eq('comment_id', commentId)
+  if (updateError) throw updateError
+
+  return { sent: true, message_id: result.id }
+}
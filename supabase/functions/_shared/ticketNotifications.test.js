@@ -0,0 +1,229 @@
+/**
+ * Ticket lifecycle email tests (runs against the stub mailer)
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  renderEmailTemplate,
+  sendTicketStatusNotification,
+  sendTicketCommentNotification,
+} from './ticketNotifications.js'
+import { createStubMailer } from './mailer.js'
+
+const NOW = new Date('2025-03-10T09:00:00Z')
+
+const TICKET = {
+  ticket_id: 'tkt-1',
+  tenant_id: 'tenant-1',
+  business_id: 'biz-1',
+  ticket_number: 'IES-HR-0042',
+  subject: 'W-2 correction',
+  assigned_team: 'HR_Team',
+  employee: { first_name: 'John', last_name: 'Smith', email: 'john@example.com' },
+  business: { business_name: 'Intuites' },
+}
+
+/**
+ * Minimal Supabase double: serves one row per table from maybeSingle and
+ * records updates. Updates to lockedTables match no rows, as RLS would.
+ */
+function createFakeSupabase(rows = {}, { lockedTables = [] } = {}) {
+  const writes = []
+
+  const from = vi.fn((table) => {
+    const state = { table, op: 'select', payload: null, filters: [] }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((column, value) => {
+        state.filters.push([column, value])
+        return builder
+      }),
+      update: vi.fn((payload) => {
+        Object.assign(state, { op: 'update', payload })
+        return builder
+      }),
+      maybeSingle: vi.fn(() => {
+        if (state.op === 'update') {
+          writes.push(state)
+          return Promise.resolve({ data: lockedTables.includes(table) ? null : rows[table] ?? null, error: null })
+        }
+        return Promise.resolve({ data: rows[table] ?? null, error: null })
+      }),
+      then: (resolve, reject) => {
+        writes.push(state)
+        return Promise.resolve({ data: null, error: null }).then(resolve, reject)
+      },
+    }
+    return builder
+  })
+
+  return { client: { from }, writes }
+}
+
+const getResendConfig = vi.fn(async () => ({ apiKey: 're_test', fromEmail: 'hr@intuites.com', fromName: 'Intuites HR' }))
+
+describe('renderEmailTemplate', () => {
+  it('fills placeholders and escapes values in the HTML body only', () => {
+    const email = renderEmailTemplate(
+      { subject: 'Re: {{subject}}', body_html: '<p>{{comment_text}}</p><p>{{missing}}</p>' },
+      { subject: 'Pay <stub>', comment_text: 'Line one\nLine <two>' }
+    )
+
+    expect(email.subject).toBe('Re: Pay <stub>')
+    expect(email.html).toBe('<p>Line one<br>Line &lt;two&gt;</p><p></p>')
+    expect(email.text).toBe('Line one\nLine <two>')
+  })
+})
+
+describe('sendTicketStatusNotification', () => {
+  let mailer
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mailer = createStubMailer()
+  })
+
+  it('emails the employee from the tenant template and marks the history row', async () => {
+    const { client, writes } = createFakeSupabase({
+      hrms_ticket_status_history: {
+        history_id: 'hist-1',
+        previous_status: 'ticket_created',
+        new_status: 'in_team_review',
+        change_reason: 'Payroll is checking',
+        notification_sent: false,
+        ticket: TICKET,
+      },
+      hrms_email_templates: {
+        subject: '[{{company_name}}] {{ticket_number}} is now {{new_status}}',
+        body_html: '<p>{{employee_name}}: {{previous_status}} → {{new_status}}. {{change_reason}}</p>',
+        body_text: null,
+      },
+    })
+
+    const result = await sendTicketStatusNotification({
+      supabase: client, mailer, getResendConfig, historyId: 'hist-1', now: NOW,
+    })
+
+    expect(result).toEqual({ sent: true, message_id: 'stub_1' })
+    expect(getResendConfig).toHaveBeenCalledWith('biz-1', 'tenant-1')
+    expect(mailer.sent).toHaveLength(1)
+    expect(mailer.sent[0]).toMatchObject({
+      to: 'john@example.com',
+      subject: '[Intuites] IES-HR-0042 is now In Team Review',
+      html: '<p>John Smith: Ticket Created → In Team Review. Payroll is checking</p>',
+      text: 'John Smith: Ticket Created → In Team Review. Payroll is checking',
+    })
+    expect(writes).toContainEqual({
+      table: 'hrms_ticket_status_history',
+      op: 'update',
+      payload: { notification_sent: true, notification_sent_at: NOW.toISOString() },
+      filters: [['history_id', 'hist-1']],
+    })
+  })
+
+  it('falls back to the built-in template and skips rows already notified', async () => {
+    const history = {
+      history_id: 'hist-2', previous_status: 'in_team_review', new_status: 'closed',
+      change_reason: null, notification_sent: false, ticket: TICKET,
+    }
+    const { client } = createFakeSupabase({ hrms_ticket_status_history: history })
+
+    await sendTicketStatusNotification({ supabase: client, mailer, getResendConfig, historyId: 'hist-2', now: NOW })
+    expect(mailer.sent[0].subject).toBe('Ticket #IES-HR-0042 Updated: Closed')
+
+    const { client: notified } = createFakeSupabase({
+      hrms_ticket_status_history: { ...history, notification_sent: true },
+    })
+    const result = await sendTicketStatusNotification({ supabase: notified, mailer, getResendConfig, historyId: 'hist-2' })
+    expect(result).toEqual({ sent: false, skipped: 'already_sent' })
+    expect(mailer.sent).toHaveLength(1)
+  })
+
+  it('fails when the history row cannot be marked as notified', async () => {
+    const { client } = createFakeSupabase({
+      hrms_ticket_status_history: {
+        history_id: 'hist-3', previous_status: 'in_team_review', new_status: 'closed',
+        change_reason: null, notification_sent: false, ticket: TICKET,
+      },
+    }, { lockedTables: ['hrms_ticket_status_history'] })
+
+    await expect(
+      sendTicketStatusNotification({ supabase: client, mailer, getResendConfig, historyId: 'hist-3', now: NOW })
+    ).rejects.toThrow('Status change could not be marked as notified')
+  })
+})
+
+describe('sendTicketCommentNotification', () => {
+  let mailer
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mailer = createStubMailer()
+  })
+
+  const buildComment = (overrides = {}) => ({
+    comment_id: 'cmt-1',
+    comment_text: 'Corrected W-2 is attached.',
+    is_internal_note: false,
+    author_type: 'team_member',
+    author_display_name: 'Sarah Johnson',
+    email_sent: false,
+    ticket: TICKET,
+    ...overrides,
+  })
+
+  it('emails a team reply to the employee and marks the comment', async () => {
+    const { client, writes } = createFakeSupabase({ hrms_ticket_comments: buildComment() })
+
+    const result = await sendTicketCommentNotification({
+      supabase: client, mailer, getResendConfig, commentId: 'cmt-1', now: NOW,
+    })
+
+    expect(result.sent).toBe(true)
+    expect(mailer.sent[0].subject).toBe('New Reply on Ticket #IES-HR-0042: W-2 correction')
+    expect(mailer.sent[0].text).toContain('Sarah Johnson replied to your ticket IES-HR-0042')
+    expect(mailer.sent[0].html).toContain('<blockquote>Corrected W-2 is attached.</blockquote>')
+    expect(writes).toContainEqual({
+      table: 'hrms_ticket_comments',
+      op: 'update',
+      payload: { email_sent: true, email_sent_at: NOW.toISOString() },
+      filters: [['comment_id', 'cmt-1']],
+    })
+  })
+
+  it('sets Reply-To so the employee can answer by email', async () => {
+    const { client } = createFakeSupabase({ hrms_ticket_comments: buildComment() })
+    const getReplyAddress = vi.fn(async () => 'hr+ies-hr-0042@tickets.intuites.com')
+
+    await sendTicketCommentNotification({
+      supabase: client, mailer, getResendConfig, getReplyAddress, commentId: 'cmt-1', now: NOW,
+    })
+
+    expect(getReplyAddress).toHaveBeenCalledWith(TICKET)
+    expect(mailer.sent[0].replyTo).toBe('hr+ies-hr-0042@tickets.intuites.com')
+  })
+
+  it('never emails internal notes or employee comments', async () => {
+    for (const [overrides, skipped] of [
+      [{ is_internal_note: true }, 'internal_note'],
+      [{ author_type: 'employee' }, 'employee_comment'],
+      [{ email_sent: true }, 'already_sent'],
+    ]) {
+      const { client, writes } = createFakeSupabase({ hrms_ticket_comments: buildComment(overrides) })
+      const result = await sendTicketCommentNotification({ supabase: client, mailer, getResendConfig, commentId: 'cmt-1' })
+
+      expect(result).toEqual({ sent: false, skipped })
+      expect(writes).toHaveLength(0)
+    }
+    expect(mailer.sent).toHaveLength(0)
+  })
+
+  it('leaves the flag unset when delivery fails', async () => {
+    const { client, writes } = createFakeSupabase({ hrms_ticket_comments: buildComment() })
+    const failing = { send: vi.fn().mockRejectedValue(new Error('Resend API key is not configured')) }
+
+    await expect(
+      sendTicketCommentNotification({ supabase: client, mailer: failing, getResendConfig, commentId: 'cmt-1' })
+    ).rejects.toThrow('Resend API key is not configured')
+    expect(writes).toHaveLength(0)
+  })
+})
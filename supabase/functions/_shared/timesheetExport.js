@@ -0,0 +1,196 @@
+/**
+ * Timesheet Excel export
+ * loadTimesheetsForExport() applies the TimesheetList filters, buildTimesheetExportSheets()
+ * lays out the raw-entry and pivot sheets, and renderTimesheetWorkbook() writes them
+ * with an injected SheetJS module.
+ */
+
+const ENTRY_TYPES = ['regular', 'overtime', 'holiday', 'sick', 'vacation']
+
+const PAGE_SIZE = 1000
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Same match as the TimesheetList search box: employee name, employee code
+ * or project name contains the search text (case-insensitive)
+ */
+export function matchesTimesheetSearch(timesheet, search) {
+  if (!search) return true
+  const query = search.toLowerCase()
+  const name = `${timesheet.employee?.first_name || ''} ${timesheet.employee?.last_name || ''}`.toLowerCase()
+  const code = timesheet.employee?.employee_code?.toLowerCase() || ''
+  const project = timesheet.project?.project_name?.toLowerCase() || ''
+  return name.includes(query) || code.includes(query) || project.includes(query)
+}
+
+/**
+ * Load timesheets (with entries) matching the list filters
+ * Filters mirror TimesheetList: business, employee, project, status, the
+ * period window (period_start_date >= start_date, period_end_date <= end_date)
+ * and the search text, which spans the embedded employee and project and so
+ * is applied after loading, as the list does.
+ *
+ * @param {object} supabase - Caller-scoped Supabase client
+ * @param {{tenant_id: string, business_id?: string, employee_id?: string, project_id?: string, status?: string, start_date?: string, end_date?: string, search?: string}} filters
+ */
+export async function loadTimesheetsForExport(supabase, filters) {
+  const timesheets = []
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('hrms_timesheets')
+      .select(`
+        timesheet_id,
+        period_start_date,
+        period_end_date,
+        submission_status,
+        employee:hrms_employees!hrms_timesheets_employee_id_fkey(
+          first_name,
+          last_name,
+          employee_code
+        ),
+        project:hrms_projects!hrms_timesheets_project_id_fkey(
+          project_name,
+          end_client_name
+        ),
+        entries:hrms_timesheet_entries(
+          work_date,
+          hours_worked,
+          entry_type,
+          task_description
+        )
+      `)
+      .eq('tenant_id', filters.tenant_id)
+
+    if (filters.business_id) query = query.eq('business_id', filters.business_id)
+    if (filters.employee_id) query = query.eq('employee_id', filters.employee_id)
+    if (filters.project_id) query = query.eq('project_id', filters.project_id)
+    if (filters.status) query = query.eq('submission_status', filters.status)
+    if (filters.start_date) query = query.gte('period_start_date', filters.start_date)
+    if (filters.end_date) query = query.lte('period_end_date', filters.end_date)
+
+    const { data, error } = await query
+      .order('period_start_date', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    timesheets.push(...(data || []).filter((timesheet) => matchesTimesheetSearch(timesheet, filters.search)))
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  return timesheets
+}
+
+const employeeName = (employee) => `${employee?.first_name || ''} ${employee?.last_name || ''}`.trim()
+
+/**
+ * Lay out both sheets as arrays of rows (first row is the header)
+ *
+ * @returns {{entries: Array<Array<string|number>>, pivot: Array<Array<string|number>>}}
+ */
+export function buildTimesheetExportSheets(timesheets) {
+  const entries = [[
+    'Employee Code', 'Employee Name', 'Project', 'End Client', 'Period Start', 'Period End',
+    'Status', 'Work Date', 'Entry Type', 'Hours', 'Description',
+  ]]
+  const pivotRows = new Map()
+
+  timesheets.forEach((timesheet) => {
+    const code = timesheet.employee?.employee_code || ''
+    const name = employeeName(timesheet.employee)
+    const project = timesheet.project?.project_name || ''
+    const key = [code, name, project, timesheet.period_start_date, timesheet.period_end_date].join('|')
+
+    if (!pivotRows.has(key)) {
+      pivotRows.set(key, {
+        code,
+        name,
+        project,
+        periodStart: timesheet.period_start_date,
+        periodEnd: timesheet.period_end_date,
+        hours: Object.fromEntries(ENTRY_TYPES.map((type) => [type, 0])),
+      })
+    }
+    const pivot = pivotRows.get(key)
+
+    const sortedEntries = [...(timesheet.entries || [])].sort((a, b) => a.work_date.localeCompare(b.work_date))
+    sortedEntries.forEach((entry) => {
+      const type = ENTRY_TYPES.includes(entry.entry_type) ? entry.entry_type : 'regular'
+      const hours = Number(entry.hours_worked || 0)
+      pivot.hours[type] = round2(pivot.hours[type] + hours)
+
+      entries.push([
+        code,
+        name,
+        project,
+        timesheet.project?.end_client_name || '',
+        timesheet.period_start_date,
+        timesheet.period_end_date,
+        timesheet.submission_status,
+        entry.work_date,
+        type,
+        hours,
+        entry.task_description || '',
+      ])
+    })
+  })
+
+  const pivot = [[
+    'Employee Code', 'Employee Name', 'Project', 'Period Start', 'Period End',
+    'Regular', 'Overtime', 'Holiday', 'Sick', 'Vacation', 'Total',
+  ]]
+  const grandTotals = Object.fromEntries(ENTRY_TYPES.map((type) => [type, 0]))
+
+  ;[...pivotRows.values()]
+    .sort((a, b) =>
+      a.name.localeCompare(b.name) ||
+      a.project.localeCompare(b.project) ||
+      a.periodStart.localeCompare(b.periodStart)
+    )
+    .forEach((row) => {
+      ENTRY_TYPES.forEach((type) => {
+        grandTotals[type] = round2(grandTotals[type] + row.hours[type])
+      })
+      pivot.push([
+        row.code,
+        row.name,
+        row.project,
+        row.periodStart,
+        row.periodEnd,
+        ...ENTRY_TYPES.map((type) => row.hours[type]),
+        round2(ENTRY_TYPES.reduce((sum, type) => sum + row.hours[type], 0)),
+      ])
+    })
+
+  pivot.push([
+    'Total', '', '', '', '',
+    ...ENTRY_TYPES.map((type) => grandTotals[type]),
+    round2(ENTRY_TYPES.reduce((sum, type) => sum + grandTotals[type], 0)),
+  ])
+
+  return { entries, pivot }
+}
+
+/**
+ * Export file name reflecting the filtered period
+ */
+export function buildExportFileName(filters) {
+  const period = [filters.start_date, filters.end_date].filter(Boolean).join('_to_')
+  return `timesheets${period ? `_${period}` : ''}.xlsx`
+}
+
+/**
+ * Write the sheets to .xlsx bytes
+ *
+ * @param {{entries: Array, pivot: Array}} sheets - Output of buildTimesheetExportSheets()
+ * @param {object} XLSX - SheetJS module
+ * @returns {Uint8Array}
+ */
+export function renderTimesheetWorkbook(sheets, XLSX) {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets.entries), 'Entries')
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets.pivot), 'Hours by Project')
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }))
+}
@@ -0,0 +1,178 @@
+/**
+ * Timesheet Excel export tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  loadTimesheetsForExport,
+  matchesTimesheetSearch,
+  buildTimesheetExportSheets,
+  buildExportFileName,
+  renderTimesheetWorkbook,
+} from './timesheetExport.js'
+
+const john = { first_name: 'John', last_name: 'Smith', employee_code: 'IES00012' }
+const mary = { first_name: 'Mary', last_name: 'Chen', employee_code: 'IES00013' }
+
+const timesheets = [
+  {
+    timesheet_id: 'ts-1',
+    period_start_date: '2025-03-03',
+    period_end_date: '2025-03-09',
+    submission_status: 'approved',
+    employee: mary,
+    project: { project_name: 'Acme Corp Dev', end_client_name: 'Globex' },
+    entries: [
+      { work_date: '2025-03-04', hours_worked: 8, entry_type: 'regular', task_description: 'QA' },
+      { work_date: '2025-03-03', hours_worked: 8, entry_type: 'holiday', task_description: null },
+    ],
+  },
+  {
+    timesheet_id: 'ts-2',
+    period_start_date: '2025-03-03',
+    period_end_date: '2025-03-09',
+    submission_status: 'submitted',
+    employee: john,
+    project: { project_name: 'Acme Corp Dev', end_client_name: 'Globex' },
+    entries: [
+      { work_date: '2025-03-03', hours_worked: 8, entry_type: 'regular', task_description: 'API' },
+      { work_date: '2025-03-03', hours_worked: 2.5, entry_type: 'overtime', task_description: null },
+      { work_date: '2025-03-05', hours_worked: 8, entry_type: 'sick', task_description: null },
+      { work_date: '2025-03-06', hours_worked: 8, entry_type: 'vacation', task_description: null },
+    ],
+  },
+]
+
+describe('buildTimesheetExportSheets', () => {
+  it('writes one raw row per entry in date order', () => {
+    const { entries } = buildTimesheetExportSheets(timesheets)
+
+    expect(entries[0]).toEqual([
+      'Employee Code', 'Employee Name', 'Project', 'End Client', 'Period Start', 'Period End',
+      'Status', 'Work Date', 'Entry Type', 'Hours', 'Description',
+    ])
+    expect(entries).toHaveLength(7)
+    expect(entries[1]).toEqual([
+      'IES00013', 'Mary Chen', 'Acme Corp Dev', 'Globex', '2025-03-03', '2025-03-09',
+      'approved', '2025-03-03', 'holiday', 8, '',
+    ])
+  })
+
+  it('pivots hours per employee per project per period with a grand total', () => {
+    const { pivot } = buildTimesheetExportSheets(timesheets)
+
+    expect(pivot).toEqual([
+      ['Employee Code', 'Employee Name', 'Project', 'Period Start', 'Period End',
+        'Regular', 'Overtime', 'Holiday', 'Sick', 'Vacation', 'Total'],
+      ['IES00012', 'John Smith', 'Acme Corp Dev', '2025-03-03', '2025-03-09', 8, 2.5, 0, 8, 8, 26.5],
+      ['IES00013', 'Mary Chen', 'Acme Corp Dev', '2025-03-03', '2025-03-09', 8, 0, 8, 0, 0, 16],
+      ['Total', '', '', '', '', 16, 2.5, 8, 8, 8, 42.5],
+    ])
+  })
+
+  it('merges timesheets for the same employee, project and period', () => {
+    const split = [
+      { ...timesheets[1], timesheet_id: 'ts-a', entries: [timesheets[1].entries[0]] },
+      { ...timesheets[1], timesheet_id: 'ts-b', entries: [timesheets[1].entries[1]] },
+    ]
+
+    const { pivot } = buildTimesheetExportSheets(split)
+
+    expect(pivot).toHaveLength(3)
+    expect(pivot[1].slice(5)).toEqual([8, 2.5, 0, 0, 0, 10.5])
+  })
+})
+
+describe('loadTimesheetsForExport', () => {
+  const createQuery = (pages) => {
+    const calls = { eq: [], gte: [], lte: [], range: [] }
+    let page = 0
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn((...args) => { calls.eq.push(args); return builder }),
+      gte: vi.fn((...args) => { calls.gte.push(args); return builder }),
+      lte: vi.fn((...args) => { calls.lte.push(args); return builder }),
+      order: vi.fn(() => builder),
+      range: vi.fn((...args) => {
+        calls.range.push(args)
+        return Promise.resolve({ data: pages[page++] || [], error: null })
+      }),
+    }
+    return { supabase: { from: vi.fn(() => builder) }, calls }
+  }
+
+  it('applies the list filters', async () => {
+    const { supabase, calls } = createQuery([timesheets])
+
+    const result = await loadTimesheetsForExport(supabase, {
+      tenant_id: 'tenant-1',
+      business_id: 'biz-1',
+      employee_id: 'emp-1',
+      project_id: null,
+      status: 'approved',
+      start_date: '2025-03-01',
+      end_date: '2025-03-31',
+    })
+
+    expect(result).toEqual(timesheets)
+    expect(calls.eq).toEqual([
+      ['tenant_id', 'tenant-1'],
+      ['business_id', 'biz-1'],
+      ['employee_id', 'emp-1'],
+      ['submission_status', 'approved'],
+    ])
+    expect(calls.gte).toEqual([['period_start_date', '2025-03-01']])
+    expect(calls.lte).toEqual([['period_end_date', '2025-03-31']])
+  })
+
+  it('keeps only timesheets matching the list search', async () => {
+    const { supabase } = createQuery([timesheets])
+
+    const byName = await loadTimesheetsForExport(supabase, { tenant_id: 'tenant-1', search: 'mary' })
+    expect(byName.map((t) => t.timesheet_id)).toEqual(['ts-1'])
+  })
+
+  it('matches the search on employee code and project name', () => {
+    expect(matchesTimesheetSearch(timesheets[1], 'ies00012')).toBe(true)
+    expect(matchesTimesheetSearch(timesheets[1], 'ACME')).toBe(true)
+    expect(matchesTimesheetSearch(timesheets[1], 'globex')).toBe(false)
+    expect(matchesTimesheetSearch(timesheets[1], '')).toBe(true)
+  })
+
+  it('pages through large result sets', async () => {
+    const fullPage = Array.from({ length: 1000 }, (_, i) => ({ timesheet_id: `ts-${i}` }))
+    const { supabase, calls } = createQuery([fullPage, [{ timesheet_id: 'ts-last' }]])
+
+    const result = await loadTimesheetsForExport(supabase, { tenant_id: 'tenant-1' })
+
+    expect(result).toHaveLength(1001)
+    expect(calls.range).toEqual([[0, 999], [1000, 1999]])
+  })
+})
+
+describe('buildExportFileName', () => {
+  it('includes the filtered period', () => {
+    expect(buildExportFileName({ start_date: '2025-03-01', end_date: '2025-03-31' }))
+      .toBe('timesheets_2025-03-01_to_2025-03-31.xlsx')
+    expect(buildExportFileName({})).toBe('timesheets.xlsx')
+  })
+})
+
+describe('renderTimesheetWorkbook', () => {
+  it('appends the entries and pivot sheets', () => {
+    const appended = []
+    const XLSX = {
+      utils: {
+        book_new: () => ({}),
+        aoa_to_sheet: (rows) => ({ rows }),
+        book_append_sheet: (_book, sheet, name) => appended.push([name, sheet.rows.length]),
+      },
+      write: vi.fn(() => new ArrayBuffer(4)),
+    }
+
+    const bytes = renderTimesheetWorkbook(buildTimesheetExportSheets(timesheets), XLSX)
+
+    expect(appended).toEqual([['Entries', 7], ['Hours by Project', 4]])
+    expect(XLSX.write).toHaveBeenCalledWith({}, { type: 'array', bookType: 'xlsx' })
+    expect(bytes).toBeInstanceOf(Uint8Array)
+  })
+})
@@ -0,0 +1,307 @@
+/**
+ * Timesheet PDF rendering
+ * loadTimesheetPdfData() reads one hrms_timesheets record, buildTimesheetPdfModel()
+ * turns it into a print model, and renderTimesheetPdf() draws that model with
+ * an injected pdf-lib module so the layout code stays runtime-agnostic.
+ */
+
+const ENTRY_TYPES = ['regular', 'overtime', 'holiday', 'sick', 'vacation']
+
+const DEFAULT_BRAND_COLOR = '#1F2937'
+
+const toDateString = (date) => date.toISOString().split('T')[0]
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const formatDate = (dateString) =>
+  new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  })
+
+const formatWeekday = (dateString) =>
+  new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })
+
+/**
+ * Load everything the PDF needs for a single timesheet
+ * Uses the caller's client, so RLS decides whether the timesheet is visible.
+ *
+ * @returns {Promise<{timesheet: object, entries: object[], business: object|null, approver: object|null}>}
+ */
+export async function loadTimesheetPdfData(supabase, timesheetId) {
+  const { data: timesheet, error: timesheetError } = await supabase
+    .from('hrms_timesheets')
+    .select(`
+      timesheet_id,
+      tenant_id,
+      business_id,
+      timesheet_type,
+      period_start_date,
+      period_end_date,
+      total_hours_worked,
+      regular_hours,
+      overtime_hours,
+      submission_status,
+      submitted_at,
+      approved_by,
+      approved_at,
+      employee:hrms_employees!hrms_timesheets_employee_id_fkey(
+        first_name,
+        last_name,
+        employee_code
+      ),
+      project:hrms_projects!hrms_timesheets_project_id_fkey(
+        project_name,
+        end_client_name
+      )
+    `)
+    .eq('timesheet_id', timesheetId)
+    .single()
+
+  if (timesheetError) throw timesheetError
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('hrms_timesheet_entries')
+    .select('work_date, hours_worked, entry_type, task_description')
+    .eq('timesheet_id', timesheetId)
+    .order('work_date', { ascending: true })
+
+  if (entriesError) throw entriesError
+
+  let business = null
+  if (timesheet.business_id) {
+    const { data } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('business_id', timesheet.business_id)
+      .maybeSingle()
+    business = data
+  }
+
+  let approver = null
+  if (timesheet.approved_by) {
+    const { data } = await supabase
+      .from('profiles')
+      .select('full_name, email')
+      .eq('id', timesheet.approved_by)
+      .maybeSingle()
+    approver = data
+  }
+
+  return { timesheet, entries: entries || [], business, approver }
+}
+
+/**
+ * Build the print model: one grid row per day in the period plus totals
+ */
+export function buildTimesheetPdfModel({ timesheet, entries = [], business = null, approver = null }) {
+  const byDate = new Map()
+  const cursor = new Date(`${timesheet.period_start_date}T00:00:00Z`)
+  const end = new Date(`${timesheet.period_end_date}T00:00:00Z`)
+
+  while (cursor <= end) {
+    const date = toDateString(cursor)
+    byDate.set(date, { date, hours: Object.fromEntries(ENTRY_TYPES.map((type) => [type, 0])), descriptions: [] })
+    cursor.setUTCDate(cursor.getUTCDate() + 1)
+  }
+
+  entries.forEach((entry) => {
+    const row = byDate.get(entry.work_date)
+    if (!row) return
+    const type = ENTRY_TYPES.includes(entry.entry_type) ? entry.entry_type : 'regular'
+    row.hours[type] = round2(row.hours[type] + Number(entry.hours_worked || 0))
+    if (entry.task_description) row.descriptions.push(entry.task_description)
+  })
+
+  const rows = [...byDate.values()].map((row) => ({
+    date: row.date,
+    label: `${formatWeekday(row.date)} ${formatDate(row.date)}`,
+    ...row.hours,
+    timeOff: round2(row.hours.sick + row.hours.vacation),
+    total: round2(ENTRY_TYPES.reduce((sum, type) => sum + row.hours[type], 0)),
+    description: row.descriptions.join('; '),
+  }))
+
+  const sum = (type) => round2(rows.reduce((total, row) => total + row[type], 0))
+  const totals = {
+    regular: sum('regular'),
+    overtime: sum('overtime'),
+    holiday: sum('holiday'),
+    timeOff: sum('timeOff'),
+    total: sum('total'),
+  }
+
+  const employee = timesheet.employee || {}
+  const employeeName = `${employee.first_name || ''} ${employee.last_name || ''}`.trim()
+
+  return {
+    branding: {
+      name: business?.business_name || 'Timesheet',
+      logoUrl: business?.logo_url || null,
+      color: business?.brand_color || DEFAULT_BRAND_COLOR,
+    },
+    employee: { name: employeeName, code: employee.employee_code || '' },
+    project: {
+      name: timesheet.project?.project_name || '-',
+      endClient: timesheet.project?.end_client_name || '-',
+    },
+    period: `${formatDate(timesheet.period_start_date)} - ${formatDate(timesheet.period_end_date)}`,
+    status: timesheet.submission_status,
+    rows,
+    totals,
+    approval: timesheet.submission_status === 'approved' && timesheet.approved_at
+      ? {
+          approvedBy: approver?.full_name || approver?.email || 'Approver',
+          approvedAt: formatDate(timesheet.approved_at.split('T')[0]),
+        }
+      : null,
+    fileName: `timesheet_${employee.employee_code || timesheet.timesheet_id}_${timesheet.period_start_date}.pdf`,
+  }
+}
+
+const hexToRgb = (rgb, hex) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '')
+  if (!match) return hexToRgb(rgb, DEFAULT_BRAND_COLOR)
+  return rgb(parseInt(match[1], 16) / 255, parseInt(match[2], 16) / 255, parseInt(match[3], 16) / 255)
+}
+
+const formatHours = (value) => (value ? value.toFixed(2) : '-')
+
+// Characters the standard (WinAnsi-encoded) fonts can draw besides Latin-1:
+// the extra Windows-1252 punctuation and letters in 0x80-0x9F
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ')
+
+const isWinAnsi = (char) => {
+  const code = char.codePointAt(0)
+  return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.has(char)
+}
+
+/**
+ * Make text drawable with pdf-lib's standard fonts, which throw on anything
+ * outside WinAnsi: accented letters lose their accent when that helps
+ * (ő -> o), whitespace becomes a space and everything else becomes '?'
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function toWinAnsi(value) {
+  return Array.from(String(value ?? ''), (char) => {
+    if (isWinAnsi(char)) return char
+    if (/\s/.test(char)) return ' '
+    const base = char.normalize('NFKD').replace(/\p{M}/gu, '')
+    return base && Array.from(base).every(isWinAnsi) ? base : '?'
+  }).join('')
+}
+
+/**
+ * Render the model to PDF bytes
+ *
+ * @param {object} model - Output of buildTimesheetPdfModel()
+ * @param {{PDFDocument: object, StandardFonts: object, rgb: Function}} pdfLib - pdf-lib module
+ * @param {{logoBytes?: Uint8Array, logoType?: 'png'|'jpg'}} [assets]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function renderTimesheetPdf(model, pdfLib, assets = {}) {
+  const { PDFDocument, StandardFonts, rgb } = pdfLib
+  const doc = await PDFDocument.create()
+  const font = await doc.embedFont(StandardFonts.Helvetica)
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold)
+  const brand = hexToRgb(rgb, model.branding.color)
+  const drawText = (target, text, options) => target.drawText(toWinAnsi(text), options)
+  const muted = rgb(0.42, 0.45, 0.5)
+  const dark = rgb(0.12, 0.16, 0.22)
+
+  const PAGE_WIDTH = 612
+  const PAGE_HEIGHT = 792
+  const MARGIN = 40
+  const ROW_HEIGHT = 16
+  const columns = [
+    { key: 'label', title: 'Date', x: MARGIN, width: 110 },
+    { key: 'regular', title: 'Regular', x: 150, width: 50, numeric: true },
+    { key: 'overtime', title: 'OT', x: 200, width: 40, numeric: true },
+    { key: 'holiday', title: 'Holiday', x: 240, width: 50, numeric: true },
+    { key: 'timeOff', title: 'PTO', x: 290, width: 40, numeric: true },
+    { key: 'total', title: 'Total', x: 330, width: 45, numeric: true },
+    { key: 'description', title: 'Description', x: 385, width: 187 },
+  ]
+
+  let page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT])
+  let y
+
+  // Branded header band
+  page.drawRectangle({ x: 0, y: PAGE_HEIGHT - 80, width: PAGE_WIDTH, height: 80, color: brand })
+  let titleX = MARGIN
+  if (assets.logoBytes) {
+    const logo = assets.logoType === 'jpg'
+      ? await doc.embedJpg(assets.logoBytes)
+      : await doc.embedPng(assets.logoBytes)
+    const scaled = logo.scaleToFit(120, 48)
+    page.drawImage(logo, { x: MARGIN, y: PAGE_HEIGHT - 64, width: scaled.width, height: scaled.height })
+    titleX = MARGIN + scaled.width + 16
+  }
+  drawText(page, model.branding.name, { x: titleX, y: PAGE_HEIGHT - 45, size: 18, font: bold, color: rgb(1, 1, 1) })
+  drawText(page, 'TIMESHEET', { x: PAGE_WIDTH - MARGIN - 90, y: PAGE_HEIGHT - 45, size: 14, font: bold, color: rgb(1, 1, 1) })
+  y = PAGE_HEIGHT - 110
+
+  // Summary block
+  const summary = [
+    ['Employee', `${model.employee.name}${model.employee.code ? ` (${model.employee.code})` : ''}`],
+    ['Project', model.project.name],
+    ['End Client', model.project.endClient],
+    ['Period', model.period],
+    ['Status', model.status],
+  ]
+  summary.forEach(([label, value]) => {
+    drawText(page, `${label}:`, { x: MARGIN, y, size: 10, font: bold, color: dark })
+    drawText(page, String(value), { x: MARGIN + 70, y, size: 10, font, color: dark })
+    y -= 15
+  })
+  y -= 10
+
+  const drawHeaderRow = () => {
+    page.drawRectangle({ x: MARGIN, y: y - 4, width: PAGE_WIDTH - MARGIN * 2, height: ROW_HEIGHT, color: rgb(0.95, 0.96, 0.97) })
+    columns.forEach((column) => {
+      drawText(page, column.title, { x: column.x + 2, y, size: 9, font: bold, color: dark })
+    })
+    y -= ROW_HEIGHT
+  }
+
+  drawHeaderRow()
+
+  model.rows.forEach((row) => {
+    if (y < MARGIN + 140) {
+      page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT])
+      y = PAGE_HEIGHT - MARGIN
+      drawHeaderRow()
+    }
+    columns.forEach((column) => {
+      let text = column.numeric ? formatHours(row[column.key]) : String(row[column.key] || '')
+      if (column.key === 'description' && text.length > 40) text = `${text.slice(0, 37)}...`
+      drawText(page, text, { x: column.x + 2, y, size: 9, font, color: row.total ? dark : muted })
+    })
+    y -= ROW_HEIGHT
+  })
+
+  // Totals
+  page.drawLine({ start: { x: MARGIN, y: y + 10 }, end: { x: PAGE_WIDTH - MARGIN, y: y + 10 }, thickness: 1, color: dark })
+  columns.slice(0, 6).forEach((column) => {
+    const text = column.numeric ? model.totals[column.key].toFixed(2) : 'Totals'
+    drawText(page, text, { x: column.x + 2, y: y - 4, size: 10, font: bold, color: dark })
+  })
+  y -= 50
+
+  // Approval stamp
+  if (model.approval) {
+    const green = rgb(0.02, 0.59, 0.41)
+    page.drawRectangle({ x: MARGIN, y: y - 50, width: 220, height: 62, borderColor: green, borderWidth: 2 })
+    drawText(page, 'APPROVED', { x: MARGIN + 12, y: y - 8, size: 16, font: bold, color: green })
+    drawText(page, `By: ${model.approval.approvedBy}`, { x: MARGIN + 12, y: y - 26, size: 10, font, color: dark })
+    drawText(page, `On: ${model.approval.approvedAt}`, { x: MARGIN + 12, y: y - 40, size: 10, font, color: dark })
+  } else {
+    drawText(page, `Not approved (status: ${model.status})`, { x: MARGIN, y: y - 8, size: 10, font: bold, color: muted })
+  }
+
+  return doc.save()
+}
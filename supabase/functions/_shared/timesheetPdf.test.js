@@ -0,0 +1,190 @@
+/**
+ * Timesheet PDF model/renderer tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { buildTimesheetPdfModel, loadTimesheetPdfData, renderTimesheetPdf, toWinAnsi } from './timesheetPdf.js'
+
+const timesheet = {
+  timesheet_id: 'ts-001',
+  business_id: 'biz-1',
+  period_start_date: '2025-03-03',
+  period_end_date: '2025-03-05',
+  submission_status: 'approved',
+  approved_by: 'user-9',
+  approved_at: '2025-03-07T15:30:00Z',
+  employee: { first_name: 'John', last_name: 'Smith', employee_code: 'IES00012' },
+  project: { project_name: 'Acme Corp Dev', end_client_name: 'Globex' },
+}
+
+const entries = [
+  { work_date: '2025-03-03', hours_worked: 8, entry_type: 'regular', task_description: 'API work' },
+  { work_date: '2025-03-03', hours_worked: 2, entry_type: 'overtime', task_description: 'Release' },
+  { work_date: '2025-03-04', hours_worked: 8, entry_type: 'holiday', task_description: null },
+  { work_date: '2025-03-05', hours_worked: 4, entry_type: 'sick', task_description: null },
+  { work_date: '2025-03-05', hours_worked: 4.5, entry_type: 'regular', task_description: null },
+]
+
+const business = { business_name: 'Intuites LLC', logo_url: 'https://cdn.example.com/logo.png', brand_color: '#0EA5E9' }
+
+describe('buildTimesheetPdfModel', () => {
+  it('builds one grid row per day in the period', () => {
+    const model = buildTimesheetPdfModel({ timesheet, entries, business })
+
+    expect(model.rows.map((row) => row.date)).toEqual(['2025-03-03', '2025-03-04', '2025-03-05'])
+    expect(model.rows[0]).toMatchObject({ regular: 8, overtime: 2, total: 10, description: 'API work; Release' })
+    expect(model.rows[2]).toMatchObject({ regular: 4.5, sick: 4, timeOff: 4, total: 8.5 })
+  })
+
+  it('totals regular, overtime, holiday and time off hours', () => {
+    const model = buildTimesheetPdfModel({ timesheet, entries, business })
+
+    expect(model.totals).toEqual({ regular: 12.5, overtime: 2, holiday: 8, timeOff: 4, total: 26.5 })
+  })
+
+  it('carries project, end client and business branding', () => {
+    const model = buildTimesheetPdfModel({ timesheet, entries, business })
+
+    expect(model.project).toEqual({ name: 'Acme Corp Dev', endClient: 'Globex' })
+    expect(model.employee).toEqual({ name: 'John Smith', code: 'IES00012' })
+    expect(model.branding).toEqual({ name: 'Intuites LLC', logoUrl: 'https://cdn.example.com/logo.png', color: '#0EA5E9' })
+    expect(model.fileName).toBe('timesheet_IES00012_2025-03-03.pdf')
+  })
+
+  it('stamps approval with the approver and date', () => {
+    const model = buildTimesheetPdfModel({
+      timesheet,
+      entries,
+      business,
+      approver: { full_name: 'Alex Manager', email: 'alex@example.com' },
+    })
+
+    expect(model.approval).toEqual({ approvedBy: 'Alex Manager', approvedAt: 'Mar 7, 2025' })
+  })
+
+  it('omits the approval stamp for unapproved timesheets', () => {
+    const model = buildTimesheetPdfModel({
+      timesheet: { ...timesheet, submission_status: 'submitted', approved_at: null },
+      entries,
+    })
+
+    expect(model.approval).toBeNull()
+    expect(model.branding.name).toBe('Timesheet')
+  })
+})
+
+describe('loadTimesheetPdfData', () => {
+  it('loads the timesheet, entries, business and approver', async () => {
+    const responses = {
+      hrms_timesheets: { data: timesheet, error: null },
+      hrms_timesheet_entries: { data: entries, error: null },
+      businesses: { data: business, error: null },
+      profiles: { data: { full_name: 'Alex Manager' }, error: null },
+    }
+    const from = vi.fn((table) => {
+      const builder = {
+        select: vi.fn(() => builder),
+        eq: vi.fn(() => builder),
+        order: vi.fn(() => Promise.resolve(responses[table])),
+        single: vi.fn(() => Promise.resolve(responses[table])),
+        maybeSingle: vi.fn(() => Promise.resolve(responses[table])),
+      }
+      return builder
+    })
+
+    const data = await loadTimesheetPdfData({ from }, 'ts-001')
+
+    expect(data).toEqual({ timesheet, entries, business, approver: { full_name: 'Alex Manager' } })
+  })
+
+  it('throws when the timesheet is not visible', async () => {
+    const notFound = { code: 'PGRST116', message: 'No rows found' }
+    const builder = {
+      select: vi.fn(() => builder),
+      eq: vi.fn(() => builder),
+      single: vi.fn(() => Promise.resolve({ data: null, error: notFound })),
+    }
+
+    await expect(loadTimesheetPdfData({ from: () => builder }, 'missing')).rejects.toBe(notFound)
+  })
+})
+
+describe('renderTimesheetPdf', () => {
+  const createFakePdfLib = () => {
+    const drawn = []
+    const page = {
+      drawText: vi.fn((text) => drawn.push(text)),
+      drawRectangle: vi.fn(),
+      drawLine: vi.fn(),
+      drawImage: vi.fn(),
+    }
+    const doc = {
+      embedFont: vi.fn().mockResolvedValue({}),
+      embedPng: vi.fn().mockResolvedValue({ scaleToFit: () => ({ width: 100, height: 40 }) }),
+      embedJpg: vi.fn(),
+      addPage: vi.fn(() => page),
+      save: vi.fn().mockResolvedValue(new Uint8Array([37, 80, 68, 70])),
+    }
+    return {
+      drawn,
+      doc,
+      page,
+      pdfLib: {
+        PDFDocument: { create: vi.fn().mockResolvedValue(doc) },
+        StandardFonts: { Helvetica: 'Helvetica', HelveticaBold: 'Helvetica-Bold' },
+        rgb: (r, g, b) => ({ r, g, b }),
+      },
+    }
+  }
+
+  it('draws the branding, grid totals and approval stamp', async () => {
+    const fake = createFakePdfLib()
+    const model = buildTimesheetPdfModel({ timesheet, entries, business, approver: { full_name: 'Alex Manager' } })
+
+    const bytes = await renderTimesheetPdf(model, fake.pdfLib, { logoBytes: new Uint8Array([1]), logoType: 'png' })
+
+    expect(bytes).toEqual(new Uint8Array([37, 80, 68, 70]))
+    expect(fake.doc.embedPng).toHaveBeenCalled()
+    expect(fake.page.drawImage).toHaveBeenCalled()
+    expect(fake.drawn).toEqual(expect.arrayContaining([
+      'Intuites LLC',
+      'Acme Corp Dev',
+      'Globex',
+      'Totals',
+      '26.50',
+      'APPROVED',
+      'By: Alex Manager',
+      'On: Mar 7, 2025',
+    ]))
+    expect(fake.page.drawRectangle.mock.calls[0][0].color).toEqual({ r: 14 / 255, g: 165 / 255, b: 233 / 255 })
+  })
+
+  it('only draws text the standard fonts can encode', async () => {
+    const fake = createFakePdfLib()
+    const model = buildTimesheetPdfModel({
+      timesheet: {
+        ...timesheet,
+        employee: { ...timesheet.employee, first_name: 'Zoë', last_name: 'Łukasz 李' },
+      },
+      entries,
+      business,
+      approver: { full_name: 'Ōtani Shōhei' },
+    })
+
+    await renderTimesheetPdf(model, fake.pdfLib)
+
+    expect(fake.drawn).toEqual(expect.arrayContaining([expect.stringMatching(/^Zoë \?ukasz \?/), 'By: Otani Shohei']))
+    expect(fake.drawn.every((text) => Array.from(text).every((char) => toWinAnsi(char) === char))).toBe(true)
+  })
+})
+
+describe('toWinAnsi', () => {
+  it('keeps Latin-1 and Windows-1252 punctuation', () => {
+    expect(toWinAnsi('José Müller – “Lead” €')).toBe('José Müller – “Lead” €')
+  })
+
+  it('drops accents it cannot encode and replaces the rest', () => {
+    expect(toWinAnsi('Erdős Łukasz 李')).toBe('Erdos ?ukasz ?')
+    expect(toWinAnsi('Line\nbreak\tand tab')).toBe('Line break and tab')
+    expect(toWinAnsi(null)).toBe('')
+  })
+})
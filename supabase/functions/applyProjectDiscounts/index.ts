@@ -0,0 +1,30 @@
+// supabase/functions/applyProjectDiscounts/index.ts
+// Daily job (pg_cron): recomputes each active project's tenure/volume discount tier
+// and logs changes to hrms_project_rate_history.
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { applyProjectDiscounts } from '../_shared/projectDiscounts.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+  // Only the scheduler (service role) may trigger the job
+  if (req.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return jsonResponse({ success: false, error: 'Not authorized' }, 401);
+  }
+
+  try {
+    const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey);
+    const result = await applyProjectDiscounts({ supabase });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('applyProjectDiscounts failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
@@ -0,0 +1,67 @@
+// supabase/functions/cleanupDocumentStorage/index.ts
+// Deletes documents bucket objects reported by the storage reconciliation as unlinked.
+// { findingIds } -> { success, data: { deleted, skipped, failed } }
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { deleteOrphanedObjects } from '../_shared/documentStorage.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!Array.isArray(body?.findingIds) || body.findingIds.length === 0) {
+    return jsonResponse({ success: false, error: 'findingIds is required' }, 400);
+  }
+
+  try {
+    // Findings are read as the caller so RLS scopes them to their tenant;
+    // only the service role may remove objects other users uploaded
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+    const admin = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    );
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+    }
+
+    // Portal employees share the tenant but must not delete files
+    const { data: isHrStaff, error: staffError } = await supabase.rpc('fn_hrms_is_hr_staff', { p_user_id: user.id });
+    if (staffError) throw staffError;
+    if (!isHrStaff) {
+      return jsonResponse({ success: false, error: 'Only HR staff can clean up document storage' }, 403);
+    }
+
+    const result = await deleteOrphanedObjects({
+      supabase,
+      admin,
+      findingIds: body.findingIds,
+      userId: user.id,
+    });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('cleanupDocumentStorage failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
@@ -0,0 +1,70 @@
+// supabase/functions/convertSpreadsheet/index.ts
+// Converts between .xlsx and row arrays for client-side import/export screens.
+//   { action: 'parse', file: <base64> }                    -> { success, rows }
+//   { action: 'render', fileName, sheets: [{name, rows}] } -> .xlsx download
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+// SheetJS stopped publishing to npm at 0.18.5, which has known parser vulnerabilities;
+// use the patched build from the SheetJS CDN
+import * as XLSX from 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+import {
+  decodeBase64,
+  parseSpreadsheetRows,
+  renderSpreadsheet,
+  sanitizeFileName,
+} from '../_shared/spreadsheet.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+// Base64 of a 10MB workbook
+const MAX_FILE_BASE64_LENGTH = 14 * 1024 * 1024;
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (!req.headers.get('Authorization')) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  try {
+    if (body?.action === 'parse') {
+      if (typeof body.file !== 'string' || !body.file) {
+        return jsonResponse({ success: false, error: 'file is required' }, 400);
+      }
+      if (body.file.length > MAX_FILE_BASE64_LENGTH) {
+        return jsonResponse({ success: false, error: 'File is too large (maximum 10MB)' }, 413);
+      }
+
+      const rows = parseSpreadsheetRows(decodeBase64(body.file), XLSX);
+      return jsonResponse({ success: true, rows });
+    }
+
+    if (body?.action === 'render') {
+      if (!Array.isArray(body.sheets) || body.sheets.length === 0) {
+        return jsonResponse({ success: false, error: 'sheets are required' }, 400);
+      }
+
+      const workbook = renderSpreadsheet(body.sheets, XLSX);
+      return new Response(workbook, {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'Content-Disposition': `attachment; filename="${sanitizeFileName(body.fileName)}"`,
+        },
+      });
+    }
+
+    return jsonResponse({ success: false, error: 'action must be "parse" or "render"' }, 400);
+  } catch (error) {
+    console.error('convertSpreadsheet failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
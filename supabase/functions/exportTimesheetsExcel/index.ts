@@ -0,0 +1,59 @@
+// supabase/functions/exportTimesheetsExcel/index.ts
+// Exports filtered timesheets to .xlsx: raw entries plus a per-employee/project/period pivot.
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+// Patched SheetJS build; the last npm release (0.18.5) is vulnerable
+import * as XLSX from 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+import {
+  loadTimesheetsForExport,
+  buildTimesheetExportSheets,
+  buildExportFileName,
+  renderTimesheetWorkbook,
+} from '../_shared/timesheetExport.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let filters;
+  try {
+    ({ filters } = await req.json());
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!filters?.tenant_id) {
+    return jsonResponse({ success: false, error: 'filters.tenant_id is required' }, 400);
+  }
+
+  try {
+    // Query as the caller so RLS scopes the export to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const timesheets = await loadTimesheetsForExport(supabase, filters);
+    const workbook = renderTimesheetWorkbook(buildTimesheetExportSheets(timesheets), XLSX);
+
+    return new Response(workbook, {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${buildExportFileName(filters)}"`,
+      },
+    });
+  } catch (error) {
+    console.error('exportTimesheetsExcel failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
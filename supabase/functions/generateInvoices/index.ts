@@ -0,0 +1,64 @@
+// supabase/functions/generateInvoices/index.ts
+// Builds draft invoices per vendor/client and billing period from approved timesheet hours.
+// { tenant_id, business_id?, as_of?, dry_run? } -> { success, invoices, skipped, failed }
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import {
+  loadBillingData,
+  buildInvoiceDrafts,
+  createInvoices,
+} from '../_shared/invoicing.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!body?.tenant_id) {
+    return jsonResponse({ success: false, error: 'tenant_id is required' }, 400);
+  }
+
+  const asOf = body.as_of || new Date().toISOString().split('T')[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    return jsonResponse({ success: false, error: 'as_of must be a YYYY-MM-DD date' }, 400);
+  }
+
+  try {
+    // Query as the caller so RLS scopes billing to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const data = await loadBillingData(supabase, {
+      tenant_id: body.tenant_id,
+      business_id: body.business_id || null,
+      asOf,
+    });
+    const { drafts, skipped } = buildInvoiceDrafts({ ...data, asOf });
+
+    if (body.dry_run) {
+      return jsonResponse({ success: true, invoices: drafts, skipped, failed: [] });
+    }
+
+    const { invoices, failed } = await createInvoices(supabase, body.tenant_id, drafts);
+    return jsonResponse({ success: true, invoices, skipped, failed });
+  } catch (error) {
+    console.error('generateInvoices failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
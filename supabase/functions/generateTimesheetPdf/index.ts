@@ -0,0 +1,75 @@
+// supabase/functions/generateTimesheetPdf/index.ts
+// Renders a single hrms_timesheets record as a branded PDF.
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import * as pdfLib from 'https://esm.sh/pdf-lib@1.17.1';
+import {
+  loadTimesheetPdfData,
+  buildTimesheetPdfModel,
+  renderTimesheetPdf,
+} from '../_shared/timesheetPdf.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+// Fetch the business logo; a missing or unsupported logo falls back to text-only branding
+async function loadLogo(logoUrl: string | null) {
+  if (!logoUrl) return {};
+  try {
+    const response = await fetch(logoUrl);
+    if (!response.ok) return {};
+    const contentType = response.headers.get('content-type') || '';
+    const logoType = contentType.includes('jpeg') || /\.jpe?g$/i.test(logoUrl) ? 'jpg' : 'png';
+    return { logoBytes: new Uint8Array(await response.arrayBuffer()), logoType };
+  } catch (error) {
+    console.error('Error loading business logo:', error);
+    return {};
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!body?.timesheetId) {
+    return jsonResponse({ success: false, error: 'timesheetId is required' }, 400);
+  }
+
+  try {
+    // Query as the caller so RLS scopes the timesheet to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const data = await loadTimesheetPdfData(supabase, body.timesheetId);
+    const model = buildTimesheetPdfModel(data);
+    const pdfBytes = await renderTimesheetPdf(model, pdfLib, await loadLogo(model.branding.logoUrl));
+
+    return new Response(pdfBytes, {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${model.fileName}"`,
+      },
+    });
+  } catch (error) {
+    console.error('generateTimesheetPdf failed:', error);
+    const status = (error as { code?: string }).code === 'PGRST116' ? 404 : 500;
+    const message = status === 404 ? 'Timesheet not found' : (error as Error).message;
+    return jsonResponse({ success: false, error: message }, status);
+  }
+});
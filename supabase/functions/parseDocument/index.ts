@@ -0,0 +1,57 @@
+// supabase/functions/parseDocument/index.ts
+// Extracts structured fields from an uploaded hrms_documents file into ai_parsed_data.
+// { documentId } -> { success, data: { status, document_kind?, fields?, proposed?, confidence?, reason? } }
+// AI_PROVIDER=stub answers with canned extractions instead of calling OpenRouter (local development).
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { parseDocument, SAMPLE_EXTRACTIONS } from '../_shared/documentParsing.js';
+import { createAiProvider } from '../_shared/aiProvider.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!body?.documentId) {
+    return jsonResponse({ success: false, error: 'documentId is required' }, 400);
+  }
+
+  try {
+    // Query and download as the caller so RLS scopes the document to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const provider = createAiProvider(
+      {
+        AI_PROVIDER: Deno.env.get('AI_PROVIDER'),
+        OPENROUTER_API_KEY: Deno.env.get('OPENROUTER_API_KEY'),
+      },
+      { stubResponses: SAMPLE_EXTRACTIONS }
+    );
+
+    const result = await parseDocument({ supabase, provider, documentId: body.documentId });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('parseDocument failed:', error);
+    const status = (error as { code?: string }).code === 'PGRST116' ? 404 : 500;
+    const message = status === 404 ? 'Document not found' : (error as Error).message;
+    return jsonResponse({ success: false, error: message }, status);
+  }
+});
@@ -0,0 +1,40 @@
+// supabase/functions/processComplianceReminders/index.ts
+// Daily job (pg_cron): flags overdue compliance items and dispatches due reminders.
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { processComplianceReminders } from '../_shared/complianceReminders.js';
+import { createResendConfigResolver } from '../_shared/resendConfig.js';
+import { createMailer } from '../_shared/mailer.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+  // Only the scheduler (service role) may trigger the job
+  if (req.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return jsonResponse({ success: false, error: 'Not authorized' }, 401);
+  }
+
+  try {
+    const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey);
+
+    const result = await processComplianceReminders({
+      supabase,
+      mailer: createMailer({ MAIL_TRANSPORT: Deno.env.get('MAIL_TRANSPORT') }),
+      getResendConfig: createResendConfigResolver(supabase, {
+        apiKey: Deno.env.get('RESEND_API_KEY'),
+        fromEmail: Deno.env.get('DEFAULT_FROM_EMAIL'),
+        fromName: Deno.env.get('DEFAULT_FROM_NAME'),
+      }),
+    });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('processComplianceReminders failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
@@ -0,0 +1,47 @@
+// supabase/functions/processInboundTicketEmail/index.ts
+// Inbound mail webhook: adds employee replies to their ticket or opens a ticket from a support address.
+// Parsed message (see _shared/fixtures/inboundTicketReply.json) -> { success, data: { outcome, ticket_id?, ... } }
+// Local run: curl -H "Authorization: Bearer $INBOUND_EMAIL_SECRET" -d @supabase/functions/_shared/fixtures/inboundTicketReply.json
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { processInboundTicketEmail } from '../_shared/inboundEmail.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const secret = Deno.env.get('INBOUND_EMAIL_SECRET') ?? '';
+
+  // Only the mail provider's webhook knows the shared secret
+  if (!secret || req.headers.get('Authorization') !== `Bearer ${secret}`) {
+    return jsonResponse({ success: false, error: 'Not authorized' }, 401);
+  }
+
+  let email;
+  try {
+    email = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!email?.from || !email?.message_id) {
+    return jsonResponse({ success: false, error: 'from and message_id are required' }, 400);
+  }
+
+  try {
+    // No user session on a webhook; tenant scoping comes from the support address
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    );
+
+    const result = await processInboundTicketEmail({ supabase, email });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('processInboundTicketEmail failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
@@ -0,0 +1,58 @@
+// supabase/functions/sendChecklistReminders/index.ts
+// Emails employees the required checklist documents they have not uploaded yet.
+// { tenantId, employeeIds } -> { success, data: { sent, skipped, failed } }
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { sendChecklistReminders } from '../_shared/checklistReminders.js';
+import { createResendConfigResolver } from '../_shared/resendConfig.js';
+import { createMailer } from '../_shared/mailer.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!body?.tenantId || !Array.isArray(body?.employeeIds) || body.employeeIds.length === 0) {
+    return jsonResponse({ success: false, error: 'tenantId and employeeIds are required' }, 400);
+  }
+
+  try {
+    // Query as the caller so the report RPC and RLS scope employees to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const result = await sendChecklistReminders({
+      supabase,
+      mailer: createMailer({ MAIL_TRANSPORT: Deno.env.get('MAIL_TRANSPORT') }),
+      getResendConfig: createResendConfigResolver(supabase, {
+        apiKey: Deno.env.get('RESEND_API_KEY'),
+        fromEmail: Deno.env.get('DEFAULT_FROM_EMAIL'),
+        fromName: Deno.env.get('DEFAULT_FROM_NAME'),
+      }),
+      tenantId: body.tenantId,
+      employeeIds: body.employeeIds,
+    });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('sendChecklistReminders failed:', error);
+    const status = (error as { code?: string }).code === '42501' ? 403 : 500;
+    return jsonResponse({ success: false, error: (error as Error).message }, status);
+  }
+});
@@ -0,0 +1,64 @@
+// supabase/functions/sendTicketNotification/index.ts
+// Emails the employee about a ticket status change or a team reply, rendered from hrms_email_templates.
+// { history_id } | { comment_id } -> { success, data: { sent, skipped?, message_id? } }
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import {
+  sendTicketStatusNotification,
+  sendTicketCommentNotification,
+} from '../_shared/ticketNotifications.js';
+import { createResendConfigResolver } from '../_shared/resendConfig.js';
+import { createMailer } from '../_shared/mailer.js';
+import { createTicketReplyAddressResolver } from '../_shared/inboundEmail.js';
+import { corsHeaders, jsonResponse } from '../_shared/http.js';
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Authentication required' }, 401);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ success: false, error: 'Invalid JSON in request body' }, 400);
+  }
+
+  if (!body?.history_id === !body?.comment_id) {
+    return jsonResponse({ success: false, error: 'Provide either history_id or comment_id' }, 400);
+  }
+
+  try {
+    // Query as the caller so RLS scopes tickets and flags to their tenant
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const deps = {
+      supabase,
+      mailer: createMailer({ MAIL_TRANSPORT: Deno.env.get('MAIL_TRANSPORT') }),
+      getResendConfig: createResendConfigResolver(supabase, {
+        apiKey: Deno.env.get('RESEND_API_KEY'),
+        fromEmail: Deno.env.get('DEFAULT_FROM_EMAIL'),
+        fromName: Deno.env.get('DEFAULT_FROM_NAME'),
+      }),
+      getReplyAddress: createTicketReplyAddressResolver(supabase),
+    };
+
+    const result = body.history_id
+      ? await sendTicketStatusNotification({ ...deps, historyId: body.history_id })
+      : await sendTicketCommentNotification({ ...deps, commentId: body.comment_id });
+
+    return jsonResponse({ success: true, data: result });
+  } catch (error) {
+    console.error('sendTicketNotification failed:', error);
+    return jsonResponse({ success: false, error: (error as Error).message }, 500);
+  }
+});
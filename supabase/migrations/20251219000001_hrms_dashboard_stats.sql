@@ -0,0 +1,237 @@
+-- =====================================================
+-- HRMS Dashboard Statistics Migration
+-- =====================================================
+-- Functions: fn_get_user_record_scope, fn_hrms_can_view_record,
+--            get_dashboard_stats
+-- =====================================================
+
+-- =====================================================
+-- Helper Function: Resolve the caller's RBAC record scope
+-- =====================================================
+-- Returns 'all', 'subordinate', 'own' or 'none' based on the
+-- user_permissions view (role-level record visibility flags).
+CREATE OR REPLACE FUNCTION fn_get_user_record_scope()
+RETURNS VARCHAR AS $$
+DECLARE
+  v_perms RECORD;
+BEGIN
+  IF fn_is_super_admin() THEN
+    RETURN 'all';
+  END IF;
+
+  SELECT can_view_all_records, can_view_subordinate_records, can_view_own_records
+  INTO v_perms
+  FROM user_permissions
+  WHERE user_id = auth.uid()
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RETURN 'none';
+  END IF;
+
+  IF v_perms.can_view_all_records THEN
+    RETURN 'all';
+  ELSIF v_perms.can_view_subordinate_records THEN
+    RETURN 'subordinate';
+  ELSIF v_perms.can_view_own_records THEN
+    RETURN 'own';
+  END IF;
+
+  RETURN 'none';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- Helper Function: Check a record owner against the scope
+-- =====================================================
+-- 'subordinate' covers the caller's own records plus records owned by
+-- users holding a lower role_level in the same tenant.
+CREATE OR REPLACE FUNCTION fn_hrms_can_view_record(p_scope VARCHAR, p_owner_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF p_scope = 'all' THEN
+    RETURN true;
+  ELSIF p_scope = 'own' THEN
+    RETURN p_owner_id = auth.uid();
+  ELSIF p_scope = 'subordinate' THEN
+    RETURN p_owner_id = auth.uid() OR EXISTS (
+      SELECT 1
+      FROM user_permissions owner_perms
+      JOIN user_permissions my_perms ON my_perms.user_id = auth.uid()
+      WHERE owner_perms.user_id = p_owner_id
+        AND owner_perms.role_level < my_perms.role_level
+    );
+  END IF;
+
+  RETURN false;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- RPC: get_dashboard_stats
+-- =====================================================
+-- Computes the HRMS dashboard cards for a tenant, optionally narrowed
+-- to a single business. Runs as the caller so RLS still applies.
+CREATE OR REPLACE FUNCTION get_dashboard_stats(
+  p_tenant_id UUID,
+  p_business_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_scope VARCHAR;
+  v_month_start DATE := date_trunc('month', CURRENT_DATE)::DATE;
+  v_week_start DATE := date_trunc('week', CURRENT_DATE)::DATE;
+  v_active_employees INTEGER;
+  v_employees_added INTEGER;
+  v_employees_by_type JSONB;
+  v_on_leave INTEGER;
+  v_active_projects INTEGER;
+  v_projects_added INTEGER;
+  v_pending_timesheets INTEGER;
+  v_overdue_timesheets INTEGER;
+  v_open_tickets INTEGER;
+  v_unassigned_tickets INTEGER;
+  v_compliance_pending INTEGER;
+  v_compliance_overdue INTEGER;
+  v_compliance_critical INTEGER;
+  v_compliance_by_status JSONB;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view dashboard for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  v_scope := fn_get_user_record_scope();
+
+  -- Employees
+  SELECT
+    COUNT(*) FILTER (WHERE e.employment_status = 'active'),
+    COUNT(*) FILTER (WHERE e.employment_status = 'active' AND e.start_date >= v_month_start),
+    COUNT(*) FILTER (WHERE e.employment_status = 'on_leave')
+  INTO v_active_employees, v_employees_added, v_on_leave
+  FROM hrms_employees e
+  WHERE e.tenant_id = p_tenant_id
+    AND (p_business_id IS NULL OR e.business_id = p_business_id)
+    AND e.deleted_at IS NULL
+    AND fn_hrms_can_view_record(v_scope, e.created_by);
+
+  SELECT COALESCE(jsonb_object_agg(t.employee_type, t.total), '{}'::JSONB)
+  INTO v_employees_by_type
+  FROM (
+    SELECT e.employee_type, COUNT(*) AS total
+    FROM hrms_employees e
+    WHERE e.tenant_id = p_tenant_id
+      AND (p_business_id IS NULL OR e.business_id = p_business_id)
+      AND e.deleted_at IS NULL
+      AND e.employment_status = 'active'
+      AND fn_hrms_can_view_record(v_scope, e.created_by)
+    GROUP BY e.employee_type
+  ) t;
+
+  -- Projects
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE p.project_start_date >= v_week_start)
+  INTO v_active_projects, v_projects_added
+  FROM hrms_projects p
+  WHERE p.tenant_id = p_tenant_id
+    AND (p_business_id IS NULL OR p.business_id = p_business_id)
+    AND p.project_status = 'active'
+    AND fn_hrms_can_view_record(v_scope, p.created_by);
+
+  -- Timesheets awaiting approval
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE ts.submitted_at < NOW() - INTERVAL '7 days')
+  INTO v_pending_timesheets, v_overdue_timesheets
+  FROM hrms_timesheets ts
+  WHERE ts.tenant_id = p_tenant_id
+    AND (p_business_id IS NULL OR ts.business_id = p_business_id)
+    AND ts.submission_status = 'submitted'
+    AND fn_hrms_can_view_record(v_scope, ts.created_by);
+
+  -- Open tickets (team members see tickets assigned to them in "own" scope)
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE t.assigned_to IS NULL)
+  INTO v_open_tickets, v_unassigned_tickets
+  FROM hrms_tickets t
+  WHERE t.tenant_id = p_tenant_id
+    AND (p_business_id IS NULL OR t.business_id = p_business_id)
+    AND t.status NOT IN ('closed', 'auto_closed')
+    AND (
+      fn_hrms_can_view_record(v_scope, t.created_by)
+      OR t.assigned_to = auth.uid()
+    );
+
+  -- Compliance items
+  SELECT
+    COUNT(*) FILTER (WHERE c.compliance_status IN ('pending', 'overdue')),
+    COUNT(*) FILTER (WHERE c.compliance_status = 'overdue'
+                        OR (c.compliance_status = 'pending' AND c.due_date < CURRENT_DATE)),
+    COUNT(*) FILTER (WHERE c.compliance_status IN ('pending', 'overdue') AND c.priority = 'critical')
+  INTO v_compliance_pending, v_compliance_overdue, v_compliance_critical
+  FROM hrms_compliance_items c
+  WHERE c.tenant_id = p_tenant_id
+    AND (p_business_id IS NULL OR c.business_id = p_business_id)
+    AND fn_hrms_can_view_record(v_scope, c.created_by);
+
+  SELECT COALESCE(jsonb_object_agg(s.compliance_status, s.total), '{}'::JSONB)
+  INTO v_compliance_by_status
+  FROM (
+    SELECT c.compliance_status, COUNT(*) AS total
+    FROM hrms_compliance_items c
+    WHERE c.tenant_id = p_tenant_id
+      AND (p_business_id IS NULL OR c.business_id = p_business_id)
+      AND fn_hrms_can_view_record(v_scope, c.created_by)
+    GROUP BY c.compliance_status
+  ) s;
+
+  RETURN jsonb_build_object(
+    'scope', v_scope,
+    'totalEmployees', jsonb_build_object(
+      'count', v_active_employees,
+      'change', v_employees_added,
+      'changePercent', CASE WHEN v_active_employees - v_employees_added > 0
+        THEN ROUND(v_employees_added * 100.0 / (v_active_employees - v_employees_added), 1)
+        ELSE NULL END,
+      'period', 'month',
+      'byType', v_employees_by_type
+    ),
+    'activeProjects', jsonb_build_object(
+      'count', v_active_projects,
+      'change', v_projects_added,
+      'changePercent', CASE WHEN v_active_projects - v_projects_added > 0
+        THEN ROUND(v_projects_added * 100.0 / (v_active_projects - v_projects_added), 1)
+        ELSE NULL END,
+      'period', 'week'
+    ),
+    'onLeave', jsonb_build_object(
+      'count', v_on_leave
+    ),
+    'pendingTimesheets', jsonb_build_object(
+      'count', v_pending_timesheets,
+      'overdue', v_overdue_timesheets
+    ),
+    'openTickets', jsonb_build_object(
+      'count', v_open_tickets,
+      'unassigned', v_unassigned_tickets
+    ),
+    'compliancePending', jsonb_build_object(
+      'count', v_compliance_pending,
+      'overdue', v_compliance_overdue,
+      'critical', v_compliance_critical,
+      'byStatus', v_compliance_by_status
+    )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_dashboard_stats(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION fn_get_user_record_scope() IS 'Resolves the current user record visibility scope (all/subordinate/own/none) from user_permissions';
+COMMENT ON FUNCTION fn_hrms_can_view_record(VARCHAR, UUID) IS 'Checks whether a record owned by p_owner_id is visible under the given record scope';
+COMMENT ON FUNCTION get_dashboard_stats(UUID, UUID) IS 'Returns per-tenant/per-business HRMS dashboard statistics honoring RBAC record scope';
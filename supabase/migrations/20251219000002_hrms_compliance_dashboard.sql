@@ -0,0 +1,194 @@
+-- =====================================================
+-- HRMS Compliance Dashboard Migration
+-- =====================================================
+-- Columns: hrms_compliance_items.assigned_to, waiver_reason
+-- Functions: get_compliance_dashboard_data, bulk_update_compliance_items
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_compliance_items (Ownership & Waivers)
+-- =====================================================
+ALTER TABLE hrms_compliance_items
+  ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES auth.users(id),
+  ADD COLUMN IF NOT EXISTS waiver_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_hrms_compliance_assigned_to
+  ON hrms_compliance_items(assigned_to)
+  WHERE compliance_status IN ('pending', 'overdue');
+
+-- =====================================================
+-- RPC: get_compliance_dashboard_data
+-- =====================================================
+-- Aging buckets are driven by due_date for open (pending/overdue) items:
+--   overdue  -> due_date before today
+--   days7    -> due in 0-7 days
+--   days30   -> due in 8-30 days
+--   days60   -> due in 31-60 days
+--   beyond60 -> due in more than 60 days
+CREATE OR REPLACE FUNCTION get_compliance_dashboard_data(
+  p_tenant_id UUID,
+  p_business_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_scope VARCHAR;
+  v_aging JSONB;
+  v_by_status JSONB;
+  v_by_type JSONB;
+  v_critical JSONB;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view compliance data for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  v_scope := fn_get_user_record_scope();
+
+  WITH scoped AS (
+    SELECT
+      c.compliance_id,
+      c.employee_id,
+      c.compliance_type,
+      c.item_name,
+      c.due_date,
+      c.priority,
+      c.compliance_status,
+      c.compliance_status IN ('pending', 'overdue') AS is_open,
+      c.due_date - CURRENT_DATE AS days_until_due
+    FROM hrms_compliance_items c
+    WHERE c.tenant_id = p_tenant_id
+      AND (p_business_id IS NULL OR c.business_id = p_business_id)
+      AND (
+        fn_hrms_can_view_record(v_scope, c.created_by)
+        OR c.assigned_to = auth.uid()
+      )
+  )
+  SELECT
+    (SELECT jsonb_build_object(
+      'total', COUNT(*) FILTER (WHERE is_open),
+      'overdue', COUNT(*) FILTER (WHERE is_open AND days_until_due < 0),
+      'days7', COUNT(*) FILTER (WHERE is_open AND days_until_due BETWEEN 0 AND 7),
+      'days30', COUNT(*) FILTER (WHERE is_open AND days_until_due BETWEEN 8 AND 30),
+      'days60', COUNT(*) FILTER (WHERE is_open AND days_until_due BETWEEN 31 AND 60),
+      'beyond60', COUNT(*) FILTER (WHERE is_open AND days_until_due > 60)
+    ) FROM scoped),
+    (SELECT jsonb_build_object(
+      'pending', COUNT(*) FILTER (WHERE compliance_status = 'pending'),
+      'overdue', COUNT(*) FILTER (WHERE compliance_status = 'overdue'),
+      'completed', COUNT(*) FILTER (WHERE compliance_status = 'completed'),
+      'waived', COUNT(*) FILTER (WHERE compliance_status = 'waived')
+    ) FROM scoped),
+    (SELECT COALESCE(jsonb_agg(t ORDER BY t.open DESC, t.compliance_type), '[]'::JSONB)
+     FROM (
+       SELECT
+         compliance_type,
+         COUNT(*) FILTER (WHERE is_open) AS open,
+         COUNT(*) FILTER (WHERE compliance_status = 'pending') AS pending,
+         COUNT(*) FILTER (WHERE compliance_status = 'overdue') AS overdue,
+         COUNT(*) FILTER (WHERE compliance_status = 'completed') AS completed,
+         COUNT(*) FILTER (WHERE compliance_status = 'waived') AS waived,
+         COUNT(*) AS total
+       FROM scoped
+       GROUP BY compliance_type
+     ) t),
+    (SELECT COALESCE(jsonb_agg(ci ORDER BY ci.days_until_due), '[]'::JSONB)
+     FROM (
+       SELECT
+         s.compliance_id,
+         s.employee_id,
+         TRIM(e.first_name || ' ' || e.last_name) AS employee_name,
+         s.compliance_type,
+         s.item_name,
+         s.due_date,
+         s.priority,
+         s.compliance_status,
+         s.days_until_due
+       FROM scoped s
+       JOIN hrms_employees e ON e.employee_id = s.employee_id
+       WHERE s.is_open
+         AND (s.days_until_due <= 7 OR s.priority = 'critical')
+       ORDER BY s.days_until_due
+       LIMIT 10
+     ) ci)
+  INTO v_aging, v_by_status, v_by_type, v_critical;
+
+  RETURN jsonb_build_object(
+    'scope', v_scope,
+    'aging', v_aging,
+    'byStatus', v_by_status,
+    'byType', v_by_type,
+    'criticalItems', v_critical
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_compliance_dashboard_data(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- RPC: bulk_update_compliance_items
+-- =====================================================
+-- Actions:
+--   complete -> status 'completed'
+--   waive    -> status 'waived', requires p_reason
+--   reassign -> assigned_to = p_assigned_to, requires p_assigned_to
+-- Every action stamps completed_by/completion_date with the acting user
+-- and today's date. Only open (pending/overdue) items are touched; RLS
+-- limits the update to the caller's tenant. Returns the updated count.
+CREATE OR REPLACE FUNCTION bulk_update_compliance_items(
+  p_compliance_ids UUID[],
+  p_action VARCHAR,
+  p_reason TEXT DEFAULT NULL,
+  p_assigned_to UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  IF p_compliance_ids IS NULL OR array_length(p_compliance_ids, 1) IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  IF p_action NOT IN ('complete', 'waive', 'reassign') THEN
+    RAISE EXCEPTION 'Invalid compliance action: %', p_action
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_action = 'waive' AND NULLIF(TRIM(p_reason), '') IS NULL THEN
+    RAISE EXCEPTION 'A reason is required to waive compliance items'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_action = 'reassign' AND p_assigned_to IS NULL THEN
+    RAISE EXCEPTION 'An assignee is required to reassign compliance items'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_compliance_items
+  SET compliance_status = CASE p_action
+        WHEN 'complete' THEN 'completed'
+        WHEN 'waive' THEN 'waived'
+        ELSE compliance_status
+      END,
+      waiver_reason = CASE WHEN p_action = 'waive' THEN TRIM(p_reason) ELSE waiver_reason END,
+      assigned_to = CASE WHEN p_action = 'reassign' THEN p_assigned_to ELSE assigned_to END,
+      completed_by = auth.uid(),
+      completion_date = CURRENT_DATE,
+      updated_by = auth.uid()
+  WHERE compliance_id = ANY(p_compliance_ids)
+    AND tenant_id = fn_get_user_tenant_id()
+    AND compliance_status IN ('pending', 'overdue');
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION bulk_update_compliance_items(UUID[], VARCHAR, TEXT, UUID) TO authenticated;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN hrms_compliance_items.assigned_to IS 'User responsible for resolving the compliance item';
+COMMENT ON COLUMN hrms_compliance_items.waiver_reason IS 'Reason recorded when a compliance item is waived';
+COMMENT ON FUNCTION get_compliance_dashboard_data(UUID, UUID) IS 'Returns compliance counts by type/status and due_date aging buckets honoring RBAC record scope';
+COMMENT ON FUNCTION bulk_update_compliance_items(UUID[], VARCHAR, TEXT, UUID) IS 'Bulk complete, waive or reassign open compliance items, stamping completed_by and completion_date';
@@ -0,0 +1,60 @@
+-- =====================================================
+-- HRMS Compliance Reminder Job Migration
+-- =====================================================
+-- Schedules: hrms-process-compliance-reminders (daily, 9 AM UTC)
+-- The processComplianceReminders edge function runs
+-- fn_update_overdue_compliance() and dispatches due
+-- hrms_compliance_reminders rows.
+--
+-- Requires database settings (Dashboard > Database > Settings):
+--   app.settings.functions_url     e.g. https://<project>.functions.supabase.co
+--   app.settings.service_role_key  service role JWT
+-- =====================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- =====================================================
+-- Function: Invoke an HRMS edge function from pg_cron
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_invoke_hrms_edge_function(p_function_name TEXT, p_body JSONB DEFAULT '{}'::JSONB)
+RETURNS BIGINT AS $$
+DECLARE
+  v_request_id BIGINT;
+BEGIN
+  SELECT net.http_post(
+    url := current_setting('app.settings.functions_url') || '/' || p_function_name,
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || current_setting('app.settings.service_role_key')
+    ),
+    body := p_body
+  ) INTO v_request_id;
+
+  RETURN v_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_invoke_hrms_edge_function(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_invoke_hrms_edge_function(TEXT, JSONB) TO service_role;
+
+-- =====================================================
+-- Index: Unsent reminders by compliance item
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_hrms_compliance_reminders_unsent_item
+  ON hrms_compliance_reminders(compliance_id)
+  WHERE reminder_sent = false;
+
+-- =====================================================
+-- Schedule
+-- =====================================================
+SELECT cron.schedule(
+  'hrms-process-compliance-reminders',
+  '0 9 * * *',
+  $$ SELECT fn_invoke_hrms_edge_function('processComplianceReminders'); $$
+);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION fn_invoke_hrms_edge_function(TEXT, JSONB) IS 'Posts to an HRMS edge function with the service role key; used by pg_cron jobs';
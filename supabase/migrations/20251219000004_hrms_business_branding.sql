@@ -0,0 +1,22 @@
+-- =====================================================
+-- HRMS Business Branding Migration
+-- =====================================================
+-- Columns: businesses.logo_url, businesses.brand_color
+-- Used to brand generated documents (timesheet PDFs).
+-- =====================================================
+
+ALTER TABLE businesses
+  ADD COLUMN IF NOT EXISTS logo_url TEXT,
+  ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7);
+
+ALTER TABLE businesses
+  DROP CONSTRAINT IF EXISTS valid_brand_color;
+
+ALTER TABLE businesses
+  ADD CONSTRAINT valid_brand_color CHECK (brand_color IS NULL OR brand_color ~ '^#[0-9A-Fa-f]{6}$');
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN businesses.logo_url IS 'Public URL of the business logo (PNG/JPG) used on generated documents';
+COMMENT ON COLUMN businesses.brand_color IS 'Hex brand color (#RRGGBB) used on generated documents';
@@ -0,0 +1,358 @@
+-- =====================================================
+-- HRMS Employee Bulk Import Migration
+-- =====================================================
+-- Functions: fn_hrms_parse_iso_date,
+--            fn_hrms_employee_import_row_errors,
+--            import_hrms_employees
+-- =====================================================
+
+-- =====================================================
+-- 1. Function: Parse a YYYY-MM-DD Date
+-- =====================================================
+-- NULL when the value is empty, not in YYYY-MM-DD form or not a real date
+CREATE OR REPLACE FUNCTION fn_hrms_parse_iso_date(p_value TEXT)
+RETURNS DATE AS $$
+BEGIN
+  IF p_value IS NULL OR p_value !~ '^\d{4}-\d{2}-\d{2}$' THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN p_value::DATE;
+EXCEPTION
+  WHEN datetime_field_overflow OR invalid_datetime_format THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- =====================================================
+-- 2. Function: Validate One Import Row
+-- =====================================================
+-- The same field rules the importer applies in the browser
+-- (validateEmployeeImportRow); the RPC never relies on the client having
+-- run them.
+CREATE OR REPLACE FUNCTION fn_hrms_employee_import_row_errors(p_row JSONB)
+RETURNS TEXT[] AS $$
+DECLARE
+  v_errors TEXT[] := ARRAY[]::TEXT[];
+  v_first_name TEXT := TRIM(COALESCE(p_row->>'first_name', ''));
+  v_last_name TEXT := TRIM(COALESCE(p_row->>'last_name', ''));
+  v_email TEXT := TRIM(COALESCE(p_row->>'email', ''));
+  v_phone TEXT := regexp_replace(COALESCE(p_row->>'phone', ''), '[\s().-]', '', 'g');
+  v_employee_type TEXT := COALESCE(p_row->>'employee_type', '');
+  v_employment_status TEXT := NULLIF(p_row->>'employment_status', '');
+  v_start_date TEXT := NULLIF(TRIM(COALESCE(p_row->>'start_date', '')), '');
+  v_date_of_birth TEXT := NULLIF(TRIM(COALESCE(p_row->>'date_of_birth', '')), '');
+BEGIN
+  IF jsonb_typeof(p_row) IS DISTINCT FROM 'object' THEN
+    RETURN ARRAY['Row must be an object'];
+  END IF;
+
+  IF length(v_first_name) < 2 OR length(v_first_name) > 50 OR v_first_name !~ '^[A-Za-z\s''-]+$' THEN
+    v_errors := array_append(v_errors, 'First name must be 2-50 letters, spaces, hyphens or apostrophes');
+  END IF;
+
+  IF length(v_last_name) < 2 OR length(v_last_name) > 50 OR v_last_name !~ '^[A-Za-z\s''-]+$' THEN
+    v_errors := array_append(v_errors, 'Last name must be 2-50 letters, spaces, hyphens or apostrophes');
+  END IF;
+
+  IF v_email = '' THEN
+    v_errors := array_append(v_errors, 'Email is required');
+  ELSIF length(v_email) > 255 OR v_email !~ '^[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}$' THEN
+    v_errors := array_append(v_errors, 'Email is not a valid email address');
+  END IF;
+
+  IF v_phone <> '' AND v_phone !~ '^\+?[0-9]{10,15}$' THEN
+    v_errors := array_append(v_errors, 'Phone must have 10-15 digits');
+  END IF;
+
+  IF v_employee_type NOT IN ('internal_india', 'internal_usa', 'it_usa', 'nonit_usa', 'healthcare_usa') THEN
+    v_errors := array_append(v_errors, format('Employee type "%s" is not recognized', v_employee_type));
+  END IF;
+
+  IF v_employment_status IS NOT NULL
+     AND v_employment_status NOT IN ('active', 'inactive', 'on_leave', 'terminated') THEN
+    v_errors := array_append(v_errors, format('Employment status "%s" is not recognized', v_employment_status));
+  END IF;
+
+  IF v_start_date IS NULL THEN
+    v_errors := array_append(v_errors, 'Start date is required');
+  ELSIF fn_hrms_parse_iso_date(v_start_date) IS NULL THEN
+    v_errors := array_append(v_errors, 'Start date must be a valid date in YYYY-MM-DD format');
+  END IF;
+
+  IF v_date_of_birth IS NOT NULL THEN
+    IF fn_hrms_parse_iso_date(v_date_of_birth) IS NULL THEN
+      v_errors := array_append(v_errors, 'Date of birth must be a valid date in YYYY-MM-DD format');
+    ELSIF fn_hrms_parse_iso_date(v_date_of_birth) > CURRENT_DATE THEN
+      v_errors := array_append(v_errors, 'Date of birth cannot be in the future');
+    END IF;
+  END IF;
+
+  IF length(COALESCE(p_row->>'department', '')) > 100 THEN
+    v_errors := array_append(v_errors, 'Department is too long (maximum 100 characters)');
+  END IF;
+
+  IF length(COALESCE(p_row->>'street_address_1', '')) > 255
+     OR length(COALESCE(p_row->>'street_address_2', '')) > 255 THEN
+    v_errors := array_append(v_errors, 'Street address is too long (maximum 255 characters)');
+  END IF;
+
+  IF length(COALESCE(p_row->>'postal_code', '')) > 20 THEN
+    v_errors := array_append(v_errors, 'Postal code is too long (maximum 20 characters)');
+  END IF;
+
+  IF NULLIF(TRIM(p_row->>'city'), '') IS NOT NULL AND NULLIF(TRIM(p_row->>'state'), '') IS NULL THEN
+    v_errors := array_append(v_errors, 'State is required when a city is given');
+  END IF;
+
+  IF NULLIF(TRIM(p_row->>'state'), '') IS NOT NULL AND NULLIF(TRIM(p_row->>'country'), '') IS NULL THEN
+    v_errors := array_append(v_errors, 'Country is required when a state is given');
+  END IF;
+
+  RETURN v_errors;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =====================================================
+-- 3. RPC: import_hrms_employees
+-- =====================================================
+-- p_rows is a JSONB array of flat row objects as produced by the
+-- EmployeeList importer:
+--   row_number, first_name, last_name, email, phone, employee_type,
+--   employment_status, department, start_date, date_of_birth,
+--   street_address_1, street_address_2, city, state, country, postal_code
+-- Country/state/city are matched case-insensitively on name or code.
+--
+-- Every row is validated again here (fn_hrms_employee_import_row_errors,
+-- duplicate emails within the file) along with what only the database
+-- can check: existing emails and location lookups. Dry run (default)
+-- writes nothing and consumes no employee codes. With p_dry_run = false every row is inserted in this one
+-- transaction; if any row has errors nothing is inserted.
+--
+-- Returns { dry_run, imported, rows: [{ row_number, errors[], employee_id, employee_code }] }
+CREATE OR REPLACE FUNCTION import_hrms_employees(
+  p_tenant_id UUID,
+  p_business_id UUID,
+  p_rows JSONB,
+  p_dry_run BOOLEAN DEFAULT true
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_row JSONB;
+  v_errors TEXT[];
+  v_checked JSONB := '[]'::JSONB;
+  v_results JSONB := '[]'::JSONB;
+  v_error_count INTEGER := 0;
+  v_country_id UUID;
+  v_state_id UUID;
+  v_city_id UUID;
+  v_employee_id UUID;
+  v_employee_code VARCHAR(50);
+  v_row_number INTEGER;
+  v_first_row_by_email JSONB := '{}'::JSONB;
+  v_email TEXT;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to import employees for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF p_business_id IS NULL THEN
+    RAISE EXCEPTION 'A business is required to import employees'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' THEN
+    RAISE EXCEPTION 'Import rows must be a JSON array'
+      USING ERRCODE = '22023';
+  END IF;
+
+  -- Pass 1: validate every row
+  FOR v_row, v_row_number IN SELECT value, ordinality FROM jsonb_array_elements(p_rows) WITH ORDINALITY LOOP
+    v_errors := fn_hrms_employee_import_row_errors(v_row);
+    v_country_id := NULL;
+    v_state_id := NULL;
+    v_city_id := NULL;
+
+    -- Report against the caller's spreadsheet line when it is given
+    IF jsonb_typeof(v_row) = 'object' AND COALESCE(v_row->>'row_number', '') ~ '^\d{1,9}$' THEN
+      v_row_number := (v_row->>'row_number')::INTEGER;
+    END IF;
+    IF jsonb_typeof(v_row) IS DISTINCT FROM 'object' THEN
+      v_row := '{}'::JSONB;
+    END IF;
+    v_row := v_row || jsonb_build_object('row_number', v_row_number);
+
+    v_email := LOWER(TRIM(COALESCE(v_row->>'email', '')));
+    IF v_email <> '' THEN
+      IF v_first_row_by_email ? v_email THEN
+        v_errors := array_append(v_errors, format('Duplicate email (also on row %s)', v_first_row_by_email->>v_email));
+      ELSE
+        v_first_row_by_email := v_first_row_by_email || jsonb_build_object(v_email, v_row_number);
+      END IF;
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM hrms_employees
+      WHERE LOWER(email) = v_email
+    ) THEN
+      v_errors := array_append(v_errors, 'An employee with this email already exists');
+    END IF;
+
+    IF NULLIF(TRIM(v_row->>'country'), '') IS NOT NULL THEN
+      SELECT country_id INTO v_country_id
+      FROM countries
+      WHERE LOWER(name) = LOWER(TRIM(v_row->>'country'))
+         OR LOWER(code) = LOWER(TRIM(v_row->>'country'))
+      LIMIT 1;
+
+      IF v_country_id IS NULL THEN
+        v_errors := array_append(v_errors, format('Country "%s" was not found', TRIM(v_row->>'country')));
+      END IF;
+    END IF;
+
+    IF NULLIF(TRIM(v_row->>'state'), '') IS NOT NULL AND v_country_id IS NOT NULL THEN
+      SELECT state_id INTO v_state_id
+      FROM states
+      WHERE country_id = v_country_id
+        AND (LOWER(name) = LOWER(TRIM(v_row->>'state')) OR LOWER(code) = LOWER(TRIM(v_row->>'state')))
+      LIMIT 1;
+
+      IF v_state_id IS NULL THEN
+        v_errors := array_append(v_errors, format('State "%s" was not found in %s', TRIM(v_row->>'state'), TRIM(v_row->>'country')));
+      END IF;
+    END IF;
+
+    IF NULLIF(TRIM(v_row->>'city'), '') IS NOT NULL AND v_state_id IS NOT NULL THEN
+      SELECT city_id INTO v_city_id
+      FROM cities
+      WHERE state_id = v_state_id
+        AND LOWER(name) = LOWER(TRIM(v_row->>'city'))
+      LIMIT 1;
+
+      IF v_city_id IS NULL THEN
+        v_errors := array_append(v_errors, format('City "%s" was not found in %s', TRIM(v_row->>'city'), TRIM(v_row->>'state')));
+      END IF;
+    END IF;
+
+    IF array_length(v_errors, 1) IS NOT NULL THEN
+      v_error_count := v_error_count + 1;
+    END IF;
+
+    v_checked := v_checked || jsonb_build_array(jsonb_build_object(
+      'row', v_row,
+      'errors', to_jsonb(v_errors),
+      'country_id', v_country_id,
+      'state_id', v_state_id,
+      'city_id', v_city_id
+    ));
+  END LOOP;
+
+  IF p_dry_run OR v_error_count > 0 THEN
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+      'row_number', (c->'row'->>'row_number')::INTEGER,
+      'errors', c->'errors',
+      'employee_id', NULL,
+      'employee_code', NULL
+    )), '[]'::JSONB)
+    INTO v_results
+    FROM jsonb_array_elements(v_checked) c;
+
+    RETURN jsonb_build_object('dry_run', p_dry_run, 'imported', 0, 'rows', v_results);
+  END IF;
+
+  -- Pass 2: insert employees and their current address
+  FOR v_row IN SELECT value FROM jsonb_array_elements(v_checked) LOOP
+    v_employee_code := fn_generate_employee_code(p_business_id);
+
+    INSERT INTO hrms_employees (
+      tenant_id,
+      business_id,
+      employee_code,
+      first_name,
+      last_name,
+      email,
+      phone,
+      employee_type,
+      employment_status,
+      department,
+      start_date,
+      date_of_birth,
+      is_active,
+      created_by
+    ) VALUES (
+      p_tenant_id,
+      p_business_id,
+      v_employee_code,
+      TRIM(v_row->'row'->>'first_name'),
+      TRIM(v_row->'row'->>'last_name'),
+      LOWER(TRIM(v_row->'row'->>'email')),
+      NULLIF(TRIM(v_row->'row'->>'phone'), ''),
+      v_row->'row'->>'employee_type',
+      COALESCE(NULLIF(v_row->'row'->>'employment_status', ''), 'active'),
+      NULLIF(TRIM(v_row->'row'->>'department'), ''),
+      fn_hrms_parse_iso_date(TRIM(v_row->'row'->>'start_date')),
+      fn_hrms_parse_iso_date(NULLIF(TRIM(v_row->'row'->>'date_of_birth'), '')),
+      COALESCE(NULLIF(v_row->'row'->>'employment_status', ''), 'active') = 'active',
+      auth.uid()
+    )
+    RETURNING employee_id INTO v_employee_id;
+
+    IF NULLIF(TRIM(v_row->'row'->>'street_address_1'), '') IS NOT NULL
+       OR (v_row->>'country_id') IS NOT NULL THEN
+      INSERT INTO hrms_employee_addresses (
+        tenant_id,
+        business_id,
+        employee_id,
+        address_type,
+        street_address_1,
+        street_address_2,
+        city_id,
+        state_id,
+        country_id,
+        postal_code,
+        valid_from,
+        is_current,
+        created_by
+      ) VALUES (
+        p_tenant_id,
+        p_business_id,
+        v_employee_id,
+        'current',
+        NULLIF(TRIM(v_row->'row'->>'street_address_1'), ''),
+        NULLIF(TRIM(v_row->'row'->>'street_address_2'), ''),
+        (v_row->>'city_id')::UUID,
+        (v_row->>'state_id')::UUID,
+        (v_row->>'country_id')::UUID,
+        NULLIF(TRIM(v_row->'row'->>'postal_code'), ''),
+        CURRENT_DATE,
+        true,
+        auth.uid()
+      );
+    END IF;
+
+    v_results := v_results || jsonb_build_array(jsonb_build_object(
+      'row_number', (v_row->'row'->>'row_number')::INTEGER,
+      'errors', '[]'::JSONB,
+      'employee_id', v_employee_id,
+      'employee_code', v_employee_code
+    ));
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'dry_run', false,
+    'imported', jsonb_array_length(v_results),
+    'rows', v_results
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION import_hrms_employees(UUID, UUID, JSONB, BOOLEAN) TO authenticated;
+REVOKE EXECUTE ON FUNCTION fn_hrms_employee_import_row_errors(JSONB) FROM PUBLIC;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION fn_hrms_parse_iso_date(TEXT) IS 'YYYY-MM-DD text as a DATE, NULL when empty or invalid';
+COMMENT ON FUNCTION fn_hrms_employee_import_row_errors(JSONB) IS 'Field validation errors for one employee import row, matching the importer''s client-side rules';
+COMMENT ON FUNCTION import_hrms_employees(UUID, UUID, JSONB, BOOLEAN) IS 'Dry-runs or atomically imports employees and current addresses, generating codes via fn_generate_employee_code';
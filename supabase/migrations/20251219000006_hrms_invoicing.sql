@@ -0,0 +1,479 @@
+-- =====================================================
+-- HRMS Invoicing Migration
+-- =====================================================
+-- Tables: hrms_invoice_sequences, hrms_invoices, hrms_invoice_lines
+-- Functions: fn_generate_invoice_number, create_hrms_invoice,
+--            fn_mark_overdue_invoices
+-- Schedules: hrms-mark-overdue-invoices (daily, 6 AM UTC)
+--
+-- Invoices are built by the generateInvoices edge function from
+-- approved timesheet entries. Each entry is billed at most once
+-- (hrms_invoice_lines.entry_id is unique).
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_invoice_sequences (Invoice Number Sequence per Business)
+-- =====================================================
+CREATE TABLE hrms_invoice_sequences (
+  sequence_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID NOT NULL UNIQUE REFERENCES businesses(business_id) ON DELETE CASCADE,
+  next_sequence INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_hrms_invoice_sequences_tenant ON hrms_invoice_sequences(tenant_id);
+
+-- =====================================================
+-- 2. hrms_invoices (Invoice Header)
+-- =====================================================
+CREATE TABLE hrms_invoices (
+  invoice_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID NOT NULL REFERENCES businesses(business_id) ON DELETE CASCADE,
+
+  -- Bill To (vendor from the project's vendor chain, or the client when billed direct)
+  vendor_id UUID REFERENCES hrms_vendors(vendor_id) ON DELETE SET NULL,
+  client_id UUID,
+  bill_to_name VARCHAR(255) NOT NULL,
+  bill_to_email VARCHAR(255),
+
+  -- Invoice Identification (format: INV-<business_short_name>-<5-digit-seq>)
+  invoice_number VARCHAR(50) NOT NULL,
+  invoice_frequency VARCHAR(20) NOT NULL,
+  period_start_date DATE NOT NULL,
+  period_end_date DATE NOT NULL,
+
+  -- Dates & Terms (invoice_date/due_date are reset when the invoice is sent)
+  invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  payment_terms_days INTEGER NOT NULL DEFAULT 30,
+  due_date DATE,
+
+  -- Amounts (discount_amount and vms_charges_amount are deducted from the subtotal)
+  total_hours DECIMAL(10,2) NOT NULL DEFAULT 0,
+  subtotal_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  vms_charges_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+
+  -- Status
+  invoice_status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  sent_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  notes TEXT,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT hrms_invoices_unique_number UNIQUE(tenant_id, invoice_number),
+  CONSTRAINT hrms_invoices_valid_status CHECK (invoice_status IN ('draft', 'sent', 'paid', 'overdue')),
+  CONSTRAINT hrms_invoices_valid_frequency CHECK (invoice_frequency IN ('weekly', 'bi_weekly', 'semi_monthly', 'monthly')),
+  CONSTRAINT hrms_invoices_valid_period CHECK (period_end_date >= period_start_date)
+);
+
+CREATE INDEX idx_hrms_invoices_tenant ON hrms_invoices(tenant_id);
+CREATE INDEX idx_hrms_invoices_business ON hrms_invoices(tenant_id, business_id);
+CREATE INDEX idx_hrms_invoices_vendor ON hrms_invoices(vendor_id);
+CREATE INDEX idx_hrms_invoices_status ON hrms_invoices(invoice_status);
+CREATE INDEX idx_hrms_invoices_due ON hrms_invoices(due_date) WHERE invoice_status = 'sent';
+
+-- =====================================================
+-- 3. hrms_invoice_lines (One Line per Billed Timesheet Entry)
+-- =====================================================
+CREATE TABLE hrms_invoice_lines (
+  invoice_line_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  invoice_id UUID NOT NULL REFERENCES hrms_invoices(invoice_id) ON DELETE CASCADE,
+
+  -- Source
+  timesheet_id UUID NOT NULL REFERENCES hrms_timesheets(timesheet_id) ON DELETE RESTRICT,
+  entry_id UUID NOT NULL UNIQUE REFERENCES hrms_timesheet_entries(entry_id) ON DELETE RESTRICT,
+  project_id UUID NOT NULL REFERENCES hrms_projects(project_id) ON DELETE RESTRICT,
+  employee_id UUID NOT NULL REFERENCES hrms_employees(employee_id) ON DELETE RESTRICT,
+  rate_history_id UUID REFERENCES hrms_project_rate_history(rate_history_id) ON DELETE SET NULL,
+
+  -- Billing
+  work_date DATE NOT NULL,
+  entry_type VARCHAR(50) NOT NULL,
+  hours DECIMAL(10,2) NOT NULL,
+  bill_rate DECIMAL(10,2) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  discount_percentage DECIMAL(5,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  vms_charge_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+  vms_charges_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  description TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT hrms_invoice_lines_valid_entry_type CHECK (entry_type IN ('regular', 'overtime', 'holiday'))
+);
+
+CREATE INDEX idx_hrms_invoice_lines_tenant ON hrms_invoice_lines(tenant_id);
+CREATE INDEX idx_hrms_invoice_lines_invoice ON hrms_invoice_lines(invoice_id);
+CREATE INDEX idx_hrms_invoice_lines_timesheet ON hrms_invoice_lines(timesheet_id);
+CREATE INDEX idx_hrms_invoice_lines_project ON hrms_invoice_lines(project_id);
+
+-- =====================================================
+-- 4. Function to Generate Invoice Number
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_generate_invoice_number(p_business_id UUID)
+RETURNS VARCHAR(50) AS $$
+DECLARE
+  v_short_name VARCHAR(10);
+  v_tenant_id UUID;
+  v_next_seq INTEGER;
+BEGIN
+  SELECT short_name, tenant_id INTO v_short_name, v_tenant_id
+  FROM businesses
+  WHERE business_id = p_business_id;
+
+  IF v_short_name IS NULL THEN
+    RAISE EXCEPTION 'Business short_name not found for business_id %', p_business_id;
+  END IF;
+
+  INSERT INTO hrms_invoice_sequences (tenant_id, business_id, next_sequence)
+  VALUES (v_tenant_id, p_business_id, 2)
+  ON CONFLICT (business_id)
+  DO UPDATE SET
+    next_sequence = hrms_invoice_sequences.next_sequence + 1,
+    updated_at = NOW()
+  RETURNING next_sequence - 1 INTO v_next_seq;
+
+  RETURN 'INV-' || v_short_name || '-' || LPAD(v_next_seq::TEXT, 5, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- 5. Status Transitions
+-- =====================================================
+-- draft -> sent -> paid, sent -> overdue -> paid.
+-- Sending stamps invoice_date and due_date (invoice_date + payment_terms_days).
+CREATE OR REPLACE FUNCTION fn_hrms_invoice_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.invoice_status = OLD.invoice_status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT (
+    (OLD.invoice_status = 'draft' AND NEW.invoice_status = 'sent')
+    OR (OLD.invoice_status = 'sent' AND NEW.invoice_status IN ('paid', 'overdue'))
+    OR (OLD.invoice_status = 'overdue' AND NEW.invoice_status = 'paid')
+  ) THEN
+    RAISE EXCEPTION 'Invoice % cannot move from % to %', OLD.invoice_number, OLD.invoice_status, NEW.invoice_status
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NEW.invoice_status = 'sent' THEN
+    NEW.sent_at := NOW();
+    NEW.invoice_date := CURRENT_DATE;
+    NEW.due_date := CURRENT_DATE + NEW.payment_terms_days;
+  ELSIF NEW.invoice_status = 'paid' THEN
+    NEW.paid_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_invoices_status_change
+  BEFORE UPDATE OF invoice_status ON hrms_invoices
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_invoice_status_change();
+
+CREATE TRIGGER trg_hrms_invoices_updated_at
+  BEFORE UPDATE ON hrms_invoices
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+CREATE TRIGGER trg_hrms_invoice_sequences_updated_at
+  BEFORE UPDATE ON hrms_invoice_sequences
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- RPC: create_hrms_invoice
+-- =====================================================
+-- Inserts a draft invoice and its lines in one transaction. Lines are
+-- priced here from the timesheet entries; only entry_id and description
+-- are read from p_lines. Every entry must come from an approved timesheet
+-- of the tenant and business, on a project billed to the invoice's vendor
+-- or client. An entry that is already invoiced fails the unique constraint
+-- on hrms_invoice_lines.entry_id and rolls back the invoice.
+--
+-- Bill rate: the project rate in effect on the work date, with the
+-- vendor's OT/holiday defaults for those entry types; an entry with no
+-- rate in effect fails the NOT NULL on bill_rate. The tenure and volume
+-- discounts in effect on the work date are taken off the line amount and
+-- VMS charges are a flat amount per billed hour, the same way
+-- get_hrms_margin_report works out net revenue.
+--
+-- p_invoice: { vendor_id, client_id, bill_to_name, bill_to_email, invoice_frequency,
+--              payment_terms_days, period_start_date, period_end_date }
+-- p_lines:   [{ entry_id, description }]
+CREATE OR REPLACE FUNCTION create_hrms_invoice(
+  p_tenant_id UUID,
+  p_business_id UUID,
+  p_invoice JSONB,
+  p_lines JSONB
+)
+RETURNS hrms_invoices AS $$
+DECLARE
+  v_invoice hrms_invoices;
+  v_vendor_id UUID := NULLIF(p_invoice->>'vendor_id', '')::UUID;
+  v_client_id UUID := NULLIF(p_invoice->>'client_id', '')::UUID;
+  v_vendor hrms_vendors;
+  v_entry_id UUID;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to create invoices for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF p_lines IS NULL OR jsonb_array_length(p_lines) = 0 THEN
+    RAISE EXCEPTION 'An invoice needs at least one line'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_vendor_id IS NOT NULL THEN
+    SELECT * INTO v_vendor
+    FROM hrms_vendors
+    WHERE vendor_id = v_vendor_id AND tenant_id = p_tenant_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Vendor % not found', v_vendor_id
+        USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  SELECT (l->>'entry_id')::UUID INTO v_entry_id
+  FROM jsonb_array_elements(p_lines) l
+  LEFT JOIN hrms_timesheet_entries e ON e.entry_id = (l->>'entry_id')::UUID
+  LEFT JOIN hrms_timesheets t ON t.timesheet_id = e.timesheet_id
+  LEFT JOIN hrms_projects p ON p.project_id = t.project_id
+  WHERE e.entry_id IS NULL
+     OR e.tenant_id <> p_tenant_id
+     OR t.tenant_id <> p_tenant_id
+     OR t.business_id IS DISTINCT FROM p_business_id
+     OR t.submission_status <> 'approved'
+     OR p.tenant_id <> p_tenant_id
+     OR e.entry_type NOT IN ('regular', 'overtime', 'holiday')
+     OR e.hours_worked <= 0
+     OR (v_vendor_id IS NOT NULL AND NOT EXISTS (
+          SELECT 1 FROM hrms_project_vendors pv
+          WHERE pv.project_id = p.project_id AND pv.hrms_vendor_id = v_vendor_id
+        ))
+     OR (v_vendor_id IS NULL AND v_client_id IS NOT NULL
+         AND p.client_id IS DISTINCT FROM v_client_id)
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Entry % is not a billable entry of an approved timesheet for this business and bill-to party', v_entry_id
+      USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO hrms_invoices (
+    tenant_id,
+    business_id,
+    vendor_id,
+    client_id,
+    bill_to_name,
+    bill_to_email,
+    invoice_number,
+    invoice_frequency,
+    period_start_date,
+    period_end_date,
+    payment_terms_days,
+    created_by,
+    updated_by
+  ) VALUES (
+    p_tenant_id,
+    p_business_id,
+    v_vendor_id,
+    v_client_id,
+    p_invoice->>'bill_to_name',
+    NULLIF(p_invoice->>'bill_to_email', ''),
+    fn_generate_invoice_number(p_business_id),
+    p_invoice->>'invoice_frequency',
+    (p_invoice->>'period_start_date')::DATE,
+    (p_invoice->>'period_end_date')::DATE,
+    COALESCE((p_invoice->>'payment_terms_days')::INTEGER, 30),
+    auth.uid(),
+    auth.uid()
+  )
+  RETURNING * INTO v_invoice;
+
+  WITH priced AS (
+    SELECT
+      e.entry_id,
+      t.timesheet_id,
+      t.project_id,
+      t.employee_id,
+      r.rate_history_id,
+      e.work_date,
+      e.entry_type,
+      e.hours_worked AS hours,
+      CASE e.entry_type
+        WHEN 'overtime' THEN COALESCE(v_vendor.default_ot_bill_rate, r.actual_client_bill_rate, p.actual_client_bill_rate)
+        WHEN 'holiday' THEN COALESCE(v_vendor.default_holiday_bill_rate, r.actual_client_bill_rate, p.actual_client_bill_rate)
+        ELSE COALESCE(r.actual_client_bill_rate, p.actual_client_bill_rate)
+      END AS bill_rate,
+      COALESCE(r.current_applicable_tenure_discount, p.current_applicable_tenure_discount, 0)
+        + COALESCE(r.current_applicable_volume_discount, p.current_applicable_volume_discount, 0)
+        AS discount_percentage,
+      COALESCE(r.vms_charges, p.vms_charges, 0) AS vms_charge_rate,
+      l->>'description' AS description
+    FROM jsonb_array_elements(p_lines) l
+    JOIN hrms_timesheet_entries e ON e.entry_id = (l->>'entry_id')::UUID
+    JOIN hrms_timesheets t ON t.timesheet_id = e.timesheet_id
+    JOIN hrms_projects p ON p.project_id = t.project_id
+    LEFT JOIN LATERAL (
+      SELECT
+        rh.rate_history_id,
+        rh.actual_client_bill_rate,
+        rh.vms_charges,
+        rh.current_applicable_tenure_discount,
+        rh.current_applicable_volume_discount
+      FROM hrms_project_rate_history rh
+      WHERE rh.project_id = p.project_id
+        AND rh.effective_from_date <= e.work_date
+        AND (rh.effective_to_date IS NULL OR rh.effective_to_date >= e.work_date)
+      ORDER BY rh.effective_from_date DESC
+      LIMIT 1
+    ) r ON true
+  )
+  INSERT INTO hrms_invoice_lines (
+    tenant_id,
+    invoice_id,
+    timesheet_id,
+    entry_id,
+    project_id,
+    employee_id,
+    rate_history_id,
+    work_date,
+    entry_type,
+    hours,
+    bill_rate,
+    amount,
+    discount_percentage,
+    discount_amount,
+    vms_charge_rate,
+    vms_charges_amount,
+    description
+  )
+  SELECT
+    p_tenant_id,
+    v_invoice.invoice_id,
+    timesheet_id,
+    entry_id,
+    project_id,
+    employee_id,
+    rate_history_id,
+    work_date,
+    entry_type,
+    hours,
+    bill_rate,
+    ROUND(hours * bill_rate, 2),
+    discount_percentage,
+    ROUND(ROUND(hours * bill_rate, 2) * discount_percentage / 100, 2),
+    vms_charge_rate,
+    ROUND(hours * vms_charge_rate, 2),
+    description
+  FROM priced;
+
+  UPDATE hrms_invoices i
+  SET total_hours = totals.hours,
+      subtotal_amount = totals.amount,
+      discount_amount = totals.discount,
+      vms_charges_amount = totals.vms,
+      total_amount = totals.amount - totals.discount - totals.vms
+  FROM (
+    SELECT
+      SUM(hours) AS hours,
+      SUM(amount) AS amount,
+      SUM(discount_amount) AS discount,
+      SUM(vms_charges_amount) AS vms
+    FROM hrms_invoice_lines
+    WHERE invoice_id = v_invoice.invoice_id
+  ) totals
+  WHERE i.invoice_id = v_invoice.invoice_id
+  RETURNING i.* INTO v_invoice;
+
+  RETURN v_invoice;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION create_hrms_invoice(UUID, UUID, JSONB, JSONB) TO authenticated;
+
+-- =====================================================
+-- Function: Mark Overdue Invoices
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_mark_overdue_invoices()
+RETURNS INTEGER AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  UPDATE hrms_invoices
+  SET invoice_status = 'overdue'
+  WHERE invoice_status = 'sent'
+    AND due_date < CURRENT_DATE;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT cron.schedule(
+  'hrms-mark-overdue-invoices',
+  '0 6 * * *',
+  $$ SELECT fn_mark_overdue_invoices(); $$
+);
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_invoice_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_invoice_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_invoice_sequences_tenant_all" ON hrms_invoice_sequences
+  FOR ALL USING (tenant_id = fn_get_user_tenant_id())
+  WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_invoices_tenant_select" ON hrms_invoices
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_invoices_tenant_insert" ON hrms_invoices
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_invoices_tenant_update" ON hrms_invoices
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+-- Only drafts can be deleted; their lines cascade and the entries become billable again
+CREATE POLICY "hrms_invoices_tenant_delete" ON hrms_invoices
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id() AND invoice_status = 'draft');
+
+CREATE POLICY "hrms_invoice_lines_tenant_select" ON hrms_invoice_lines
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_invoice_lines_tenant_insert" ON hrms_invoice_lines
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_invoices IS 'Invoices billed to vendors/clients from approved timesheet hours';
+COMMENT ON TABLE hrms_invoice_lines IS 'One line per billed timesheet entry; entry_id is unique so hours are never billed twice';
+COMMENT ON TABLE hrms_invoice_sequences IS 'Auto-increment sequence per business for invoice numbers';
+COMMENT ON COLUMN hrms_invoices.discount_amount IS 'Tenure and volume discounts deducted from the subtotal';
+COMMENT ON COLUMN hrms_invoices.vms_charges_amount IS 'VMS fees (flat charge per billed hour) deducted from the subtotal';
+COMMENT ON COLUMN hrms_invoice_lines.discount_percentage IS 'Tenure plus volume discount % in effect on the work date';
+COMMENT ON COLUMN hrms_invoice_lines.vms_charge_rate IS 'VMS charge per billed hour in effect on the work date';
+COMMENT ON FUNCTION fn_generate_invoice_number IS 'Generates invoice number in format INV-<business_short_name>-<5-digit-seq>';
+COMMENT ON FUNCTION create_hrms_invoice(UUID, UUID, JSONB, JSONB) IS 'Atomically creates a draft invoice, pricing its lines from the approved timesheet entries';
+COMMENT ON FUNCTION fn_mark_overdue_invoices IS 'Moves sent invoices past due_date to overdue; scheduled daily';
@@ -0,0 +1,175 @@
+-- =====================================================
+-- HRMS Project Discount Engine Migration
+-- =====================================================
+-- Functions: fn_get_project_approved_hours, apply_hrms_project_discount
+-- Schedules: hrms-apply-project-discounts (daily, 5 AM UTC)
+--
+-- The applyProjectDiscounts edge function works out which
+-- tenure_discount_N / volume_discount_N tier each active project has
+-- reached (months since project_start_date, cumulative approved hours)
+-- and writes changes back through apply_hrms_project_discount(), which
+-- logs a 'discount_applied' row in hrms_project_rate_history.
+-- Both functions are service-role only.
+-- =====================================================
+
+-- =====================================================
+-- 1. Function: Cumulative Approved Hours per Project
+-- =====================================================
+-- Counts the same entry types the invoicing engine bills
+-- (regular, overtime, holiday); sick/vacation hours are excluded.
+CREATE OR REPLACE FUNCTION fn_get_project_approved_hours(p_project_ids UUID[])
+RETURNS TABLE (project_id UUID, approved_hours DECIMAL) AS $$
+  SELECT t.project_id, COALESCE(SUM(e.hours_worked), 0)::DECIMAL AS approved_hours
+  FROM hrms_timesheets t
+  JOIN hrms_timesheet_entries e ON e.timesheet_id = t.timesheet_id
+  WHERE t.project_id = ANY(p_project_ids)
+    AND t.submission_status = 'approved'
+    AND e.entry_type IN ('regular', 'overtime', 'holiday')
+  GROUP BY t.project_id;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION fn_get_project_approved_hours(UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_get_project_approved_hours(UUID[]) TO service_role;
+
+-- =====================================================
+-- 2. RPC: apply_hrms_project_discount
+-- =====================================================
+-- Updates the project's current_applicable_* discounts and logs the
+-- change in hrms_project_rate_history:
+--   * the open rate row is closed the day before p_effective_date and
+--     a copy carrying the new discounts starts on p_effective_date, so
+--     invoice lines already priced against the old row keep their rate;
+--   * if the open row already starts on p_effective_date it is updated
+--     in place (the no_overlapping_dates constraint allows one row per day);
+--   * projects without any rate history get their first row built from
+--     the project's current rates.
+-- Returns the rate history row now in effect, or NULL when the project
+-- has no bill rate to log against (the project itself is still updated).
+CREATE OR REPLACE FUNCTION apply_hrms_project_discount(
+  p_project_id UUID,
+  p_tenure_discount DECIMAL,
+  p_volume_discount DECIMAL,
+  p_effective_date DATE DEFAULT CURRENT_DATE,
+  p_change_notes TEXT DEFAULT NULL
+)
+RETURNS hrms_project_rate_history AS $$
+DECLARE
+  v_project hrms_projects;
+  v_current hrms_project_rate_history;
+  v_result hrms_project_rate_history;
+BEGIN
+  SELECT * INTO v_project
+  FROM hrms_projects
+  WHERE project_id = p_project_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Project % not found', p_project_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE hrms_projects
+  SET current_applicable_tenure_discount = p_tenure_discount,
+      current_applicable_volume_discount = p_volume_discount
+  WHERE project_id = p_project_id;
+
+  SELECT * INTO v_current
+  FROM hrms_project_rate_history
+  WHERE project_id = p_project_id
+    AND effective_to_date IS NULL
+  ORDER BY effective_from_date DESC
+  LIMIT 1
+  FOR UPDATE;
+
+  IF FOUND AND v_current.effective_from_date >= p_effective_date THEN
+    UPDATE hrms_project_rate_history
+    SET current_applicable_tenure_discount = p_tenure_discount,
+        current_applicable_volume_discount = p_volume_discount,
+        change_reason = 'discount_applied',
+        change_notes = p_change_notes
+    WHERE rate_history_id = v_current.rate_history_id
+    RETURNING * INTO v_result;
+
+    RETURN v_result;
+  END IF;
+
+  IF FOUND THEN
+    UPDATE hrms_project_rate_history
+    SET effective_to_date = p_effective_date - 1
+    WHERE rate_history_id = v_current.rate_history_id;
+  ELSIF v_project.actual_client_bill_rate IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO hrms_project_rate_history (
+    tenant_id,
+    business_id,
+    project_id,
+    actual_client_bill_rate,
+    informed_rate_to_candidate,
+    candidate_percentage,
+    rate_paid_to_candidate,
+    lca_rate,
+    vms_charges,
+    tenure_discount_1, tenure_discount_1_period,
+    tenure_discount_2, tenure_discount_2_period,
+    tenure_discount_3, tenure_discount_3_period,
+    tenure_discount_4, tenure_discount_4_period,
+    tenure_discount_5, tenure_discount_5_period,
+    current_applicable_tenure_discount,
+    volume_discount_1, volume_discount_1_period,
+    volume_discount_2, volume_discount_2_period,
+    volume_discount_3, volume_discount_3_period,
+    current_applicable_volume_discount,
+    effective_from_date,
+    change_reason,
+    change_notes
+  ) VALUES (
+    v_project.tenant_id,
+    v_project.business_id,
+    p_project_id,
+    COALESCE(v_current.actual_client_bill_rate, v_project.actual_client_bill_rate),
+    COALESCE(v_current.informed_rate_to_candidate, v_project.informed_rate_to_candidate),
+    COALESCE(v_current.candidate_percentage, v_project.candidate_percentage),
+    COALESCE(v_current.rate_paid_to_candidate, v_project.rate_paid_to_candidate),
+    COALESCE(v_current.lca_rate, v_project.lca_rate),
+    COALESCE(v_current.vms_charges, v_project.vms_charges),
+    v_project.tenure_discount_1, v_project.tenure_discount_1_period,
+    v_project.tenure_discount_2, v_project.tenure_discount_2_period,
+    v_project.tenure_discount_3, v_project.tenure_discount_3_period,
+    v_project.tenure_discount_4, v_project.tenure_discount_4_period,
+    v_project.tenure_discount_5, v_project.tenure_discount_5_period,
+    p_tenure_discount,
+    v_project.volume_discount_1, v_project.volume_discount_1_period,
+    v_project.volume_discount_2, v_project.volume_discount_2_period,
+    v_project.volume_discount_3, v_project.volume_discount_3_period,
+    p_volume_discount,
+    p_effective_date,
+    'discount_applied',
+    p_change_notes
+  )
+  RETURNING * INTO v_result;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+REVOKE EXECUTE ON FUNCTION apply_hrms_project_discount(UUID, DECIMAL, DECIMAL, DATE, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_hrms_project_discount(UUID, DECIMAL, DECIMAL, DATE, TEXT) TO service_role;
+
+-- =====================================================
+-- 3. Schedule
+-- =====================================================
+SELECT cron.schedule(
+  'hrms-apply-project-discounts',
+  '0 5 * * *',
+  $$ SELECT fn_invoke_hrms_edge_function('applyProjectDiscounts'); $$
+);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION fn_get_project_approved_hours(UUID[]) IS 'Cumulative approved billable hours per project; drives volume discount tiers';
+COMMENT ON FUNCTION apply_hrms_project_discount(UUID, DECIMAL, DECIMAL, DATE, TEXT) IS 'Writes computed tenure/volume discounts to a project and logs a discount_applied rate history row';
+COMMENT ON COLUMN hrms_projects.current_applicable_tenure_discount IS 'Tenure discount tier reached; maintained daily by the applyProjectDiscounts job';
+COMMENT ON COLUMN hrms_projects.current_applicable_volume_discount IS 'Volume discount tier reached; maintained daily by the applyProjectDiscounts job';
@@ -0,0 +1,186 @@
+-- =====================================================
+-- HRMS Gross Margin Report Migration
+-- =====================================================
+-- Functions: get_hrms_margin_report
+--
+-- Prices every approved billable timesheet entry in a date range at
+-- the hrms_project_rate_history row in effect on its work_date
+-- (falling back to the project's current rates when a project has no
+-- history for that date) and returns revenue, cost and margin per
+-- project/employee/period. The UI regroups the rows by project,
+-- employee, vendor chain or end client.
+--
+-- Per entry:
+--   gross_revenue   = hours * bill rate (OT/holiday use the billing
+--                     vendor's default_ot/holiday_bill_rate, as invoices do)
+--   discount_amount = gross_revenue * (tenure + volume discount %)
+--   vms_amount      = hours * vms_charges (a flat charge per billed hour)
+--   net_revenue     = gross_revenue - discount_amount - vms_amount
+--   cost            = hours * rate_paid_to_candidate
+--   margin          = net_revenue - cost
+-- Hours with no bill rate in effect are returned as unpriced_hours.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION get_hrms_margin_report(
+  p_tenant_id UUID,
+  p_business_id UUID,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval VARCHAR DEFAULT 'month'
+)
+RETURNS TABLE (
+  period_start DATE,
+  project_id UUID,
+  project_name TEXT,
+  employee_id UUID,
+  employee_name TEXT,
+  employee_code TEXT,
+  client_name TEXT,
+  vendor_chain TEXT,
+  hours DECIMAL,
+  unpriced_hours DECIMAL,
+  gross_revenue DECIMAL,
+  discount_amount DECIMAL,
+  vms_amount DECIMAL,
+  net_revenue DECIMAL,
+  cost DECIMAL,
+  margin DECIMAL
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_scope VARCHAR;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view margin report for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF p_interval NOT IN ('week', 'month') THEN
+    RAISE EXCEPTION 'Interval must be week or month'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_start_date IS NULL OR p_end_date IS NULL OR p_end_date < p_start_date THEN
+    RAISE EXCEPTION 'A valid date range is required'
+      USING ERRCODE = '22023';
+  END IF;
+
+  v_scope := fn_get_user_record_scope();
+
+  RETURN QUERY
+  WITH projects AS (
+    SELECT
+      p.*,
+      chain.vendor_chain,
+      billing.default_ot_bill_rate,
+      billing.default_holiday_bill_rate
+    FROM hrms_projects p
+    LEFT JOIN LATERAL (
+      SELECT string_agg(pv.vendor_name, ' > ' ORDER BY pv.vendor_level) AS vendor_chain
+      FROM hrms_project_vendors pv
+      WHERE pv.project_id = p.project_id
+    ) chain ON true
+    -- Same billing party as the invoicing engine: lowest-level vendor not billed direct to client
+    LEFT JOIN LATERAL (
+      SELECT v.default_ot_bill_rate, v.default_holiday_bill_rate
+      FROM hrms_project_vendors pv
+      JOIN hrms_vendors v ON v.vendor_id = pv.hrms_vendor_id
+      WHERE pv.project_id = p.project_id
+        AND NOT COALESCE(pv.is_direct_to_client, false)
+      ORDER BY pv.vendor_level
+      LIMIT 1
+    ) billing ON true
+    WHERE p.tenant_id = p_tenant_id
+      AND fn_hrms_can_view_record(v_scope, p.created_by)
+  ),
+  priced AS (
+    SELECT
+      date_trunc(p_interval, e.work_date)::DATE AS period_start,
+      p.project_id,
+      p.project_name,
+      t.employee_id,
+      p.end_client_name,
+      p.vendor_chain,
+      e.hours_worked,
+      CASE e.entry_type
+        WHEN 'overtime' THEN COALESCE(p.default_ot_bill_rate, rates.bill_rate)
+        WHEN 'holiday' THEN COALESCE(p.default_holiday_bill_rate, rates.bill_rate)
+        ELSE rates.bill_rate
+      END AS bill_rate,
+      rates.pay_rate,
+      rates.vms_charge_rate,
+      rates.discount_percentage
+    FROM hrms_timesheet_entries e
+    JOIN hrms_timesheets t ON t.timesheet_id = e.timesheet_id
+    JOIN projects p ON p.project_id = t.project_id
+    LEFT JOIN LATERAL (
+      SELECT rh.*
+      FROM hrms_project_rate_history rh
+      WHERE rh.project_id = p.project_id
+        AND rh.effective_from_date <= e.work_date
+        AND (rh.effective_to_date IS NULL OR rh.effective_to_date >= e.work_date)
+      ORDER BY rh.effective_from_date DESC
+      LIMIT 1
+    ) rh ON true
+    CROSS JOIN LATERAL (
+      SELECT
+        CASE WHEN rh.rate_history_id IS NOT NULL THEN rh.actual_client_bill_rate ELSE p.actual_client_bill_rate END AS bill_rate,
+        COALESCE(CASE WHEN rh.rate_history_id IS NOT NULL THEN rh.rate_paid_to_candidate ELSE p.rate_paid_to_candidate END, 0) AS pay_rate,
+        COALESCE(CASE WHEN rh.rate_history_id IS NOT NULL THEN rh.vms_charges ELSE p.vms_charges END, 0) AS vms_charge_rate,
+        COALESCE(CASE WHEN rh.rate_history_id IS NOT NULL THEN rh.current_applicable_tenure_discount ELSE p.current_applicable_tenure_discount END, 0)
+          + COALESCE(CASE WHEN rh.rate_history_id IS NOT NULL THEN rh.current_applicable_volume_discount ELSE p.current_applicable_volume_discount END, 0)
+          AS discount_percentage
+    ) rates
+    WHERE t.tenant_id = p_tenant_id
+      AND (p_business_id IS NULL OR t.business_id = p_business_id)
+      AND t.submission_status = 'approved'
+      AND e.entry_type IN ('regular', 'overtime', 'holiday')
+      AND e.work_date BETWEEN p_start_date AND p_end_date
+  ),
+  amounts AS (
+    SELECT
+      pr.*,
+      COALESCE(pr.hours_worked * pr.bill_rate, 0) AS gross,
+      CASE WHEN pr.bill_rate IS NULL THEN 0 ELSE pr.hours_worked * pr.vms_charge_rate END AS vms,
+      pr.hours_worked * pr.pay_rate AS line_cost
+    FROM priced pr
+  )
+  SELECT
+    a.period_start,
+    a.project_id,
+    a.project_name::TEXT,
+    a.employee_id,
+    TRIM(CONCAT(emp.first_name, ' ', emp.last_name))::TEXT,
+    emp.employee_code::TEXT,
+    a.end_client_name::TEXT,
+    a.vendor_chain::TEXT,
+    ROUND(SUM(a.hours_worked), 2)::DECIMAL,
+    ROUND(COALESCE(SUM(a.hours_worked) FILTER (WHERE a.bill_rate IS NULL), 0), 2)::DECIMAL,
+    ROUND(SUM(a.gross), 2)::DECIMAL,
+    ROUND(SUM(a.gross * a.discount_percentage / 100), 2)::DECIMAL,
+    ROUND(SUM(a.vms), 2)::DECIMAL,
+    ROUND(SUM(a.gross * (1 - a.discount_percentage / 100) - a.vms), 2)::DECIMAL,
+    ROUND(SUM(a.line_cost), 2)::DECIMAL,
+    ROUND(SUM(a.gross * (1 - a.discount_percentage / 100) - a.vms - a.line_cost), 2)::DECIMAL
+  FROM amounts a
+  JOIN hrms_employees emp ON emp.employee_id = a.employee_id
+  GROUP BY
+    a.period_start,
+    a.project_id,
+    a.project_name,
+    a.employee_id,
+    emp.first_name,
+    emp.last_name,
+    emp.employee_code,
+    a.end_client_name,
+    a.vendor_chain
+  ORDER BY a.period_start, a.project_name;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_hrms_margin_report(UUID, UUID, DATE, DATE, VARCHAR) TO authenticated;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION get_hrms_margin_report(UUID, UUID, DATE, DATE, VARCHAR) IS 'Gross margin per project/employee/period from approved hours, priced at the rate history in effect on each work date';
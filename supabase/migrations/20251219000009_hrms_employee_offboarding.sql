@@ -0,0 +1,403 @@
+-- =====================================================
+-- HRMS Employee Offboarding Migration
+-- =====================================================
+-- Tables: hrms_employee_terminations
+-- Columns: hrms_employees.portal_access_enabled,
+--          hrms_compliance_items.termination_id
+-- Functions: initiate_hrms_employee_termination,
+--            cancel_hrms_employee_termination
+--
+-- Terminating an employee is a single transaction that:
+--   * sets employment_status = 'terminated' and end_date
+--   * ends the employee's active projects on the effective date
+--   * closes the selected current visa statuses
+--   * turns the offboarding checklist template's items, plus the
+--     standard exit obligations (final paycheck, H-1B withdrawal),
+--     into hrms_compliance_items tied to the termination
+--   * clears portal_access_enabled (optional). This migration only
+--     records the flag; nothing reads it until the self-service portal
+--     migration, whose fn_hrms_portal_employee_id() ignores employees
+--     with the flag off.
+-- The prior state of every row it changes is kept in
+-- reversal_snapshot, so a termination cancelled before its effective
+-- date puts everything back and removes its compliance items.
+-- =====================================================
+
+-- =====================================================
+-- 1. Portal Access Flag
+-- =====================================================
+ALTER TABLE hrms_employees
+  ADD COLUMN portal_access_enabled BOOLEAN NOT NULL DEFAULT true;
+
+-- =====================================================
+-- 2. hrms_employee_terminations (Termination Record & Reversal Snapshot)
+-- =====================================================
+CREATE TABLE hrms_employee_terminations (
+  termination_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(business_id) ON DELETE SET NULL,
+  employee_id UUID NOT NULL REFERENCES hrms_employees(employee_id) ON DELETE CASCADE,
+
+  -- Termination Details
+  effective_date DATE NOT NULL,
+  termination_type VARCHAR(50) NOT NULL,
+  termination_reason TEXT,
+  eligible_for_rehire BOOLEAN DEFAULT true,
+  checklist_template_id UUID REFERENCES hrms_checklist_templates(template_id) ON DELETE SET NULL,
+
+  -- Prior state restored on cancellation:
+  -- { employee: {...}, projects: [{...}], visa_statuses: [{...}] }
+  reversal_snapshot JSONB NOT NULL DEFAULT '{}'::JSONB,
+
+  -- Status
+  termination_status VARCHAR(20) NOT NULL DEFAULT 'active',
+  cancelled_at TIMESTAMPTZ,
+  cancelled_by UUID REFERENCES auth.users(id),
+  cancellation_reason TEXT,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT hrms_terminations_valid_type CHECK (termination_type IN (
+    'voluntary', 'involuntary', 'end_of_contract', 'layoff', 'retirement', 'other'
+  )),
+  CONSTRAINT hrms_terminations_valid_status CHECK (termination_status IN ('active', 'cancelled'))
+);
+
+CREATE INDEX idx_hrms_terminations_tenant ON hrms_employee_terminations(tenant_id);
+CREATE INDEX idx_hrms_terminations_employee ON hrms_employee_terminations(employee_id);
+CREATE UNIQUE INDEX idx_hrms_terminations_one_active ON hrms_employee_terminations(employee_id)
+  WHERE termination_status = 'active';
+
+CREATE TRIGGER trg_hrms_employee_terminations_updated_at
+  BEFORE UPDATE ON hrms_employee_terminations
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 3. Compliance Items Raised by a Termination
+-- =====================================================
+ALTER TABLE hrms_compliance_items
+  ADD COLUMN termination_id UUID REFERENCES hrms_employee_terminations(termination_id) ON DELETE CASCADE;
+
+CREATE INDEX idx_hrms_compliance_termination ON hrms_compliance_items(termination_id)
+  WHERE termination_id IS NOT NULL;
+
+-- =====================================================
+-- 4. Function: Initiate Termination
+-- =====================================================
+CREATE OR REPLACE FUNCTION initiate_hrms_employee_termination(
+  p_employee_id UUID,
+  p_effective_date DATE,
+  p_termination_type VARCHAR,
+  p_termination_reason TEXT DEFAULT NULL,
+  p_eligible_for_rehire BOOLEAN DEFAULT true,
+  p_checklist_template_id UUID DEFAULT NULL,
+  p_close_visa_status_ids UUID[] DEFAULT '{}',
+  p_revoke_portal_access BOOLEAN DEFAULT true
+)
+RETURNS hrms_employee_terminations AS $$
+DECLARE
+  v_employee hrms_employees;
+  v_template hrms_checklist_templates;
+  v_termination hrms_employee_terminations;
+  v_projects JSONB;
+  v_visa_statuses JSONB;
+  v_has_h1b BOOLEAN;
+BEGIN
+  SELECT * INTO v_employee
+  FROM hrms_employees
+  WHERE employee_id = p_employee_id
+  FOR UPDATE;
+
+  IF v_employee.employee_id IS NULL THEN
+    RAISE EXCEPTION 'Employee % not found', p_employee_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_employee.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to terminate employees for tenant %', v_employee.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_employee.employment_status = 'terminated' THEN
+    RAISE EXCEPTION 'Employee % is already terminated', v_employee.employee_code
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_effective_date IS NULL OR p_effective_date < v_employee.start_date THEN
+    RAISE EXCEPTION 'Effective date must be on or after the employee start date'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_checklist_template_id IS NOT NULL THEN
+    SELECT t.* INTO v_template
+    FROM hrms_checklist_templates t
+    JOIN hrms_checklist_types ct ON ct.checklist_type_id = t.checklist_type_id
+    WHERE t.template_id = p_checklist_template_id
+      AND t.tenant_id = v_employee.tenant_id
+      AND ct.type_code = 'offboarding';
+
+    IF v_template.template_id IS NULL THEN
+      RAISE EXCEPTION 'Checklist template % is not an offboarding template', p_checklist_template_id
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  -- Snapshot everything this termination changes, before changing it
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'project_id', p.project_id,
+    'project_status', p.project_status,
+    'project_end_date', p.project_end_date,
+    'is_active', p.is_active
+  )), '[]'::JSONB)
+  INTO v_projects
+  FROM hrms_projects p
+  WHERE p.employee_id = p_employee_id
+    AND p.project_status = 'active'
+    AND (p.project_end_date IS NULL OR p.project_end_date > p_effective_date);
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'visa_status_id', v.visa_status_id,
+    'is_current', v.is_current,
+    'visa_status', v.visa_status,
+    'end_date', v.end_date
+  )), '[]'::JSONB)
+  INTO v_visa_statuses
+  FROM hrms_visa_statuses v
+  WHERE v.employee_id = p_employee_id
+    AND v.visa_status_id = ANY(COALESCE(p_close_visa_status_ids, '{}'))
+    AND v.is_current;
+
+  SELECT EXISTS (
+    SELECT 1
+    FROM hrms_visa_statuses v
+    WHERE v.employee_id = p_employee_id
+      AND v.is_current
+      AND v.visa_type_name ~* '^H-?1B'
+  ) INTO v_has_h1b;
+
+  INSERT INTO hrms_employee_terminations (
+    tenant_id,
+    business_id,
+    employee_id,
+    effective_date,
+    termination_type,
+    termination_reason,
+    eligible_for_rehire,
+    checklist_template_id,
+    reversal_snapshot,
+    created_by,
+    updated_by
+  ) VALUES (
+    v_employee.tenant_id,
+    v_employee.business_id,
+    p_employee_id,
+    p_effective_date,
+    p_termination_type,
+    p_termination_reason,
+    COALESCE(p_eligible_for_rehire, true),
+    p_checklist_template_id,
+    jsonb_build_object(
+      'employee', jsonb_build_object(
+        'employment_status', v_employee.employment_status,
+        'end_date', v_employee.end_date,
+        'is_active', v_employee.is_active,
+        'portal_access_enabled', v_employee.portal_access_enabled
+      ),
+      'projects', v_projects,
+      'visa_statuses', v_visa_statuses
+    ),
+    auth.uid(),
+    auth.uid()
+  )
+  RETURNING * INTO v_termination;
+
+  UPDATE hrms_employees
+  SET employment_status = 'terminated',
+      end_date = p_effective_date,
+      is_active = false,
+      portal_access_enabled = CASE WHEN p_revoke_portal_access THEN false ELSE portal_access_enabled END,
+      updated_by = auth.uid()
+  WHERE employee_id = p_employee_id;
+
+  -- Projects that would only have started after the last day are cancelled outright
+  UPDATE hrms_projects p
+  SET project_status = CASE WHEN p.project_start_date > p_effective_date THEN 'cancelled' ELSE 'completed' END,
+      project_end_date = GREATEST(p_effective_date, p.project_start_date),
+      is_active = false,
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_projects) AS s(project_id UUID)
+  WHERE p.project_id = s.project_id;
+
+  UPDATE hrms_visa_statuses v
+  SET is_current = false,
+      visa_status = 'cancelled',
+      end_date = GREATEST(v.start_date, LEAST(COALESCE(v.end_date, p_effective_date), p_effective_date)),
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_visa_statuses) AS s(visa_status_id UUID)
+  WHERE v.visa_status_id = s.visa_status_id;
+
+  -- Offboarding checklist items become compliance items due on the last day
+  IF v_template.template_id IS NOT NULL THEN
+    INSERT INTO hrms_compliance_items (
+      tenant_id, business_id, employee_id, termination_id,
+      compliance_type, item_name, description, due_date, priority, created_by
+    )
+    SELECT
+      v_employee.tenant_id,
+      v_employee.business_id,
+      p_employee_id,
+      v_termination.termination_id,
+      'other',
+      COALESCE(i.item_name, 'Offboarding checklist item'),
+      CONCAT_WS(' / ', 'Offboarding checklist: ' || v_template.template_name, g.group_name),
+      p_effective_date,
+      CASE WHEN i.is_required THEN 'high' ELSE 'medium' END,
+      auth.uid()
+    FROM hrms_checklist_items i
+    LEFT JOIN hrms_checklist_groups g ON g.group_id = i.group_id
+    WHERE i.template_id = v_template.template_id
+    ORDER BY g.display_order NULLS LAST, i.display_order;
+  END IF;
+
+  -- Standard exit obligations
+  INSERT INTO hrms_compliance_items (
+    tenant_id, business_id, employee_id, termination_id,
+    compliance_type, item_name, description, due_date, priority, created_by
+  )
+  SELECT
+    v_employee.tenant_id,
+    v_employee.business_id,
+    p_employee_id,
+    v_termination.termination_id,
+    o.compliance_type,
+    o.item_name,
+    o.description,
+    p_effective_date,
+    o.priority,
+    auth.uid()
+  FROM (
+    VALUES
+      ('other', 'Final paycheck', 'Issue the final paycheck, including any payout of accrued leave required by state law', 'critical', true),
+      ('other', 'H-1B petition withdrawal notice', 'Notify USCIS in writing to withdraw the H-1B petition', 'critical', v_has_h1b),
+      ('other', 'LCA withdrawal', 'Withdraw the certified LCA with the Department of Labor', 'high', v_has_h1b),
+      ('other', 'Return transportation offer', 'Offer to pay reasonable costs of return transportation to the employee''s home country', 'high', v_has_h1b)
+  ) AS o(compliance_type, item_name, description, priority, applies)
+  WHERE o.applies;
+
+  RETURN v_termination;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION initiate_hrms_employee_termination(UUID, DATE, VARCHAR, TEXT, BOOLEAN, UUID, UUID[], BOOLEAN) TO authenticated;
+
+-- =====================================================
+-- 5. Function: Cancel Termination (before its effective date)
+-- =====================================================
+CREATE OR REPLACE FUNCTION cancel_hrms_employee_termination(
+  p_termination_id UUID,
+  p_cancellation_reason TEXT DEFAULT NULL
+)
+RETURNS hrms_employee_terminations AS $$
+DECLARE
+  v_termination hrms_employee_terminations;
+  v_snapshot JSONB;
+BEGIN
+  SELECT * INTO v_termination
+  FROM hrms_employee_terminations
+  WHERE termination_id = p_termination_id
+  FOR UPDATE;
+
+  IF v_termination.termination_id IS NULL THEN
+    RAISE EXCEPTION 'Termination % not found', p_termination_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_termination.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to cancel terminations for tenant %', v_termination.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_termination.termination_status <> 'active' THEN
+    RAISE EXCEPTION 'Termination is already cancelled'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_termination.effective_date <= CURRENT_DATE THEN
+    RAISE EXCEPTION 'A termination can only be cancelled before its effective date (%)', v_termination.effective_date
+      USING ERRCODE = '22023';
+  END IF;
+
+  v_snapshot := v_termination.reversal_snapshot;
+
+  UPDATE hrms_employees
+  SET employment_status = v_snapshot->'employee'->>'employment_status',
+      end_date = (v_snapshot->'employee'->>'end_date')::DATE,
+      is_active = (v_snapshot->'employee'->>'is_active')::BOOLEAN,
+      portal_access_enabled = (v_snapshot->'employee'->>'portal_access_enabled')::BOOLEAN,
+      updated_by = auth.uid()
+  WHERE employee_id = v_termination.employee_id;
+
+  UPDATE hrms_projects p
+  SET project_status = s.project_status,
+      project_end_date = s.project_end_date,
+      is_active = s.is_active,
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_snapshot->'projects')
+    AS s(project_id UUID, project_status VARCHAR, project_end_date DATE, is_active BOOLEAN)
+  WHERE p.project_id = s.project_id;
+
+  UPDATE hrms_visa_statuses v
+  SET is_current = s.is_current,
+      visa_status = s.visa_status,
+      end_date = s.end_date,
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_snapshot->'visa_statuses')
+    AS s(visa_status_id UUID, is_current BOOLEAN, visa_status VARCHAR, end_date DATE)
+  WHERE v.visa_status_id = s.visa_status_id;
+
+  DELETE FROM hrms_compliance_items
+  WHERE termination_id = p_termination_id;
+
+  UPDATE hrms_employee_terminations
+  SET termination_status = 'cancelled',
+      cancelled_at = NOW(),
+      cancelled_by = auth.uid(),
+      cancellation_reason = p_cancellation_reason,
+      updated_by = auth.uid()
+  WHERE termination_id = p_termination_id
+  RETURNING * INTO v_termination;
+
+  RETURN v_termination;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION cancel_hrms_employee_termination(UUID, TEXT) TO authenticated;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_employee_terminations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_employee_terminations_tenant_select" ON hrms_employee_terminations
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_employee_terminations_tenant_insert" ON hrms_employee_terminations
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_employee_terminations_tenant_update" ON hrms_employee_terminations
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_employee_terminations IS 'Employee terminations with the prior state needed to reverse them before the effective date';
+COMMENT ON COLUMN hrms_employee_terminations.reversal_snapshot IS 'Employee, project and visa status values as they were before the termination';
+COMMENT ON COLUMN hrms_employees.portal_access_enabled IS 'Whether the employee may use the self-service portal; cleared on termination. Enforced by fn_hrms_portal_employee_id';
+COMMENT ON COLUMN hrms_compliance_items.termination_id IS 'Offboarding obligation raised by this termination; removed if it is cancelled';
+COMMENT ON FUNCTION initiate_hrms_employee_termination(UUID, DATE, VARCHAR, TEXT, BOOLEAN, UUID, UUID[], BOOLEAN) IS 'Atomically terminates an employee: status, projects, visas, offboarding compliance items and the portal access flag';
+COMMENT ON FUNCTION cancel_hrms_employee_termination(UUID, TEXT) IS 'Reverses an active termination from its snapshot; only allowed before the effective date';
@@ -0,0 +1,322 @@
+-- =====================================================
+-- HRMS Employee Notes Migration
+-- =====================================================
+-- Tables: hrms_employee_notes
+-- Columns: hrms_employees.user_id, hrms_employees.manager_user_id
+-- Functions: fn_hrms_is_hr_staff, fn_hrms_can_view_employee_note,
+--            fn_hrms_prepare_employee_note, fn_hrms_guard_employee_note_update,
+--            fn_hrms_notify_note_mentions
+--
+-- Note bodies are lightweight rich text (**bold**, *italic*, "- "
+-- bullets). Mentions are stored inline as @[Full Name](user_id); the
+-- mentioned user ids are extracted on write and each newly mentioned
+-- user who can see the note gets an hrms_notifications row.
+--
+-- Visibility widens in three steps, enforced by RLS:
+--   hr       - HR staff (role_level >= 2) only
+--   manager  - HR staff and the employee's manager
+--   employee - HR staff, the manager and the employee themselves
+-- Authors can always see their own notes.
+-- =====================================================
+
+-- =====================================================
+-- 1. Employee Login & Manager Links
+-- =====================================================
+ALTER TABLE hrms_employees
+  ADD COLUMN user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN manager_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX idx_hrms_employees_user ON hrms_employees(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_hrms_employees_manager_user ON hrms_employees(manager_user_id);
+
+-- =====================================================
+-- 2. Mention Notification Type
+-- =====================================================
+ALTER TABLE hrms_notifications DROP CONSTRAINT valid_notification_type;
+ALTER TABLE hrms_notifications ADD CONSTRAINT valid_notification_type CHECK (notification_type IN (
+  'compliance_reminder', 'document_expiry', 'project_update', 'ticket_update',
+  'visa_expiry', 'performance_review', 'timesheet_reminder', 'approval_required',
+  'system_announcement', 'newsletter', 'note_mention', 'other'
+));
+
+-- =====================================================
+-- 3. hrms_employee_notes (Notes & Comments on an Employee)
+-- =====================================================
+CREATE TABLE hrms_employee_notes (
+  note_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(business_id) ON DELETE SET NULL,
+  employee_id UUID NOT NULL REFERENCES hrms_employees(employee_id) ON DELETE CASCADE,
+
+  -- Content
+  body TEXT NOT NULL,
+  mentioned_user_ids UUID[] NOT NULL DEFAULT '{}',
+
+  -- Visibility
+  visibility VARCHAR(20) NOT NULL DEFAULT 'hr',
+
+  -- Pinning
+  is_pinned BOOLEAN NOT NULL DEFAULT false,
+  pinned_at TIMESTAMPTZ,
+  pinned_by UUID REFERENCES auth.users(id),
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT hrms_notes_valid_visibility CHECK (visibility IN ('hr', 'manager', 'employee')),
+  CONSTRAINT hrms_notes_body_length CHECK (char_length(btrim(body)) BETWEEN 1 AND 10000)
+);
+
+CREATE INDEX idx_hrms_notes_tenant ON hrms_employee_notes(tenant_id);
+CREATE INDEX idx_hrms_notes_employee_feed ON hrms_employee_notes(employee_id, is_pinned DESC, created_at DESC);
+CREATE INDEX idx_hrms_notes_mentions ON hrms_employee_notes USING GIN (mentioned_user_ids);
+
+CREATE TRIGGER trg_hrms_employee_notes_updated_at
+  BEFORE UPDATE ON hrms_employee_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 4. Helper Function: Is the user HR staff
+-- =====================================================
+-- HR Specialist (level 2) and above; Read Only users and portal
+-- employees are not.
+CREATE OR REPLACE FUNCTION fn_hrms_is_hr_staff(p_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1
+    FROM profiles
+    WHERE id = p_user_id
+      AND role_level >= 2
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- 5. Helper Function: Can a user see a note
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_can_view_employee_note(
+  p_user_id UUID,
+  p_employee_id UUID,
+  p_visibility VARCHAR,
+  p_created_by UUID
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF p_user_id IS NULL THEN
+    RETURN false;
+  END IF;
+
+  IF p_created_by = p_user_id OR fn_hrms_is_hr_staff(p_user_id) THEN
+    RETURN true;
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM hrms_employees e
+    WHERE e.employee_id = p_employee_id
+      AND (
+        (p_visibility IN ('manager', 'employee') AND e.manager_user_id = p_user_id)
+        OR (p_visibility = 'employee' AND e.user_id = p_user_id)
+      )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- 6. Trigger: Extract Mentions & Stamp Pinning
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_prepare_employee_note()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.mentioned_user_ids := ARRAY(
+    SELECT DISTINCT m[1]::UUID
+    FROM regexp_matches(NEW.body, '@\[[^\]]+\]\(([0-9a-fA-F-]{36})\)', 'g') AS m
+  );
+
+  IF TG_OP = 'UPDATE' AND NEW.is_pinned IS DISTINCT FROM OLD.is_pinned THEN
+    NEW.pinned_at := CASE WHEN NEW.is_pinned THEN NOW() END;
+    NEW.pinned_by := CASE WHEN NEW.is_pinned THEN auth.uid() END;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_employee_notes_prepare
+  BEFORE INSERT OR UPDATE ON hrms_employee_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_prepare_employee_note();
+
+-- =====================================================
+-- 7. Trigger: Keep Note Ownership Fixed
+-- =====================================================
+-- A note never moves to another author, tenant or employee. HR staff
+-- who did not write a note may only pin or unpin it.
+CREATE OR REPLACE FUNCTION fn_hrms_guard_employee_note_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.created_by IS DISTINCT FROM OLD.created_by
+     OR NEW.tenant_id IS DISTINCT FROM OLD.tenant_id
+     OR NEW.business_id IS DISTINCT FROM OLD.business_id
+     OR NEW.employee_id IS DISTINCT FROM OLD.employee_id THEN
+    RAISE EXCEPTION 'A note''s author, tenant and employee cannot be changed'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF auth.uid() IS NOT NULL
+     AND OLD.created_by IS DISTINCT FROM auth.uid()
+     AND (NEW.body IS DISTINCT FROM OLD.body OR NEW.visibility IS DISTINCT FROM OLD.visibility) THEN
+    RAISE EXCEPTION 'Only the author can edit a note'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_employee_notes_guard
+  BEFORE UPDATE ON hrms_employee_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_guard_employee_note_update();
+
+-- =====================================================
+-- 8. Trigger: Notify Mentioned Users
+-- =====================================================
+-- Runs as definer because hrms_notifications only lets callers insert
+-- rows for themselves. Users already mentioned before an edit, the
+-- author, users outside the tenant and users who cannot see the note
+-- are skipped.
+CREATE OR REPLACE FUNCTION fn_hrms_notify_note_mentions()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_previous UUID[] := '{}';
+  v_author_name TEXT;
+  v_employee_name TEXT;
+  v_excerpt TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    v_previous := OLD.mentioned_user_ids;
+  END IF;
+
+  IF NEW.mentioned_user_ids <@ v_previous THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COALESCE(full_name, email) INTO v_author_name
+  FROM profiles
+  WHERE id = NEW.created_by;
+
+  SELECT first_name || ' ' || last_name INTO v_employee_name
+  FROM hrms_employees
+  WHERE employee_id = NEW.employee_id;
+
+  v_excerpt := left(regexp_replace(NEW.body, '@\[([^\]]+)\]\([^)]+\)', '@\1', 'g'), 200);
+
+  INSERT INTO hrms_notifications (
+    tenant_id,
+    user_id,
+    notification_type,
+    title,
+    message,
+    related_entity_type,
+    related_entity_id,
+    action_url
+  )
+  SELECT
+    NEW.tenant_id,
+    p.id,
+    'note_mention',
+    COALESCE(v_author_name, 'Someone') || ' mentioned you in a note',
+    'On ' || v_employee_name || ': ' || v_excerpt,
+    'employee_note',
+    NEW.note_id,
+    '/hrms/employees/' || NEW.employee_id || '?tab=notes'
+  FROM profiles p
+  WHERE p.id = ANY (NEW.mentioned_user_ids)
+    AND NOT (p.id = ANY (v_previous))
+    AND p.id IS DISTINCT FROM NEW.created_by
+    AND p.tenant_id = NEW.tenant_id
+    AND fn_hrms_can_view_employee_note(p.id, NEW.employee_id, NEW.visibility, NEW.created_by);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_employee_notes_notify
+  AFTER INSERT OR UPDATE OF body ON hrms_employee_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_notify_note_mentions();
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_employee_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_employee_notes_visibility_select" ON hrms_employee_notes
+  FOR SELECT USING (
+    tenant_id = fn_get_user_tenant_id()
+    AND fn_hrms_can_view_employee_note(auth.uid(), employee_id, visibility, created_by)
+  );
+
+-- HR staff and the employee's manager can write notes, always as themselves
+CREATE POLICY "hrms_employee_notes_author_insert" ON hrms_employee_notes
+  FOR INSERT WITH CHECK (
+    tenant_id = fn_get_user_tenant_id()
+    AND created_by = auth.uid()
+    AND (
+      fn_hrms_is_hr_staff(auth.uid())
+      OR EXISTS (
+        SELECT 1 FROM hrms_employees e
+        WHERE e.employee_id = hrms_employee_notes.employee_id
+          AND e.manager_user_id = auth.uid()
+      )
+    )
+  );
+
+-- Authors edit their own notes
+CREATE POLICY "hrms_employee_notes_author_update" ON hrms_employee_notes
+  FOR UPDATE USING (
+    tenant_id = fn_get_user_tenant_id()
+    AND created_by = auth.uid()
+  )
+  WITH CHECK (
+    tenant_id = fn_get_user_tenant_id()
+    AND created_by = auth.uid()
+  );
+
+-- HR staff can also pin and unpin; trg_hrms_employee_notes_guard keeps
+-- them from changing anything else on notes they did not write
+CREATE POLICY "hrms_employee_notes_hr_pin" ON hrms_employee_notes
+  FOR UPDATE USING (
+    tenant_id = fn_get_user_tenant_id()
+    AND fn_hrms_is_hr_staff(auth.uid())
+  )
+  WITH CHECK (
+    tenant_id = fn_get_user_tenant_id()
+    AND fn_hrms_is_hr_staff(auth.uid())
+  );
+
+CREATE POLICY "hrms_employee_notes_author_delete" ON hrms_employee_notes
+  FOR DELETE USING (
+    tenant_id = fn_get_user_tenant_id()
+    AND created_by = auth.uid()
+  );
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_employee_notes IS 'Notes and comments on an employee with mentions, pinning and visibility levels';
+COMMENT ON COLUMN hrms_employee_notes.body IS 'Lightweight rich text; mentions are stored as @[Full Name](user_id)';
+COMMENT ON COLUMN hrms_employee_notes.mentioned_user_ids IS 'User ids mentioned in the body; maintained by trigger';
+COMMENT ON COLUMN hrms_employee_notes.visibility IS 'hr = HR staff only, manager = HR and the employee''s manager, employee = also the employee';
+COMMENT ON COLUMN hrms_employees.user_id IS 'Login the employee uses for the self-service portal';
+COMMENT ON COLUMN hrms_employees.manager_user_id IS 'Internal user who manages this employee';
+COMMENT ON FUNCTION fn_hrms_is_hr_staff(UUID) IS 'True for users with role_level >= 2 (HR Specialist and above)';
+COMMENT ON FUNCTION fn_hrms_can_view_employee_note(UUID, UUID, VARCHAR, UUID) IS 'Applies note visibility levels for a user: author, HR staff, manager, employee';
+COMMENT ON FUNCTION fn_hrms_guard_employee_note_update() IS 'Blocks moving a note to another author, tenant or employee, and non-author edits other than pinning';
+COMMENT ON FUNCTION fn_hrms_notify_note_mentions() IS 'Creates note_mention notifications for newly mentioned users who can see the note';
@@ -0,0 +1,93 @@
+-- =====================================================
+-- HRMS Ticket Email Templates Migration
+-- =====================================================
+-- Seeds: hrms_email_templates ticket_status_changed, ticket_comment_added
+-- Functions: fn_hrms_guard_ticket_status_history_update
+-- Policies: hrms_ticket_status_history_tenant_update
+--
+-- Ticket lifecycle emails are rendered from these templates by the
+-- sendTicketNotification edge function. Delivery is recorded on
+-- hrms_ticket_status_history.notification_sent and
+-- hrms_ticket_comments.email_sent; internal notes are never emailed.
+-- =====================================================
+
+-- =====================================================
+-- 1. Seed Ticket Email Templates
+-- =====================================================
+INSERT INTO hrms_email_templates (
+  tenant_id, template_name, template_key, template_category,
+  subject, body_html, body_text, is_system_template, is_active, available_variables
+)
+SELECT
+  t.tenant_id,
+  template_name,
+  template_key,
+  template_category,
+  subject,
+  body_html,
+  body_text,
+  true as is_system_template,
+  true as is_active,
+  available_variables::jsonb
+FROM tenants t
+CROSS JOIN (VALUES
+  (
+    'Ticket Status Changed',
+    'ticket_status_changed',
+    'ticket',
+    'Ticket #{{ticket_number}} Updated: {{new_status}}',
+    '<h2>Your Support Ticket Was Updated</h2><p>Dear {{employee_name}},</p><p>The status of your ticket <strong>{{ticket_number}}</strong> ({{subject}}) changed from {{previous_status}} to <strong>{{new_status}}</strong>.</p><p>{{change_reason}}</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    E'Dear {{employee_name}},\n\nThe status of your ticket {{ticket_number}} ({{subject}}) changed from {{previous_status}} to {{new_status}}.\n\n{{change_reason}}\n\nBest regards,\n{{assigned_team}} Team',
+    '[{"name": "employee_name"}, {"name": "ticket_number"}, {"name": "subject"}, {"name": "previous_status"}, {"name": "new_status"}, {"name": "change_reason"}, {"name": "assigned_team"}, {"name": "company_name"}]'
+  ),
+  (
+    'Ticket Reply Added',
+    'ticket_comment_added',
+    'ticket',
+    'New Reply on Ticket #{{ticket_number}}: {{subject}}',
+    '<h2>New Reply on Your Support Ticket</h2><p>Dear {{employee_name}},</p><p>{{author_name}} replied to your ticket <strong>{{ticket_number}}</strong> ({{subject}}):</p><blockquote>{{comment_text}}</blockquote><p>Best regards,<br>{{assigned_team}} Team</p>',
+    E'Dear {{employee_name}},\n\n{{author_name}} replied to your ticket {{ticket_number}} ({{subject}}):\n\n{{comment_text}}\n\nBest regards,\n{{assigned_team}} Team',
+    '[{"name": "employee_name"}, {"name": "ticket_number"}, {"name": "subject"}, {"name": "author_name"}, {"name": "comment_text"}, {"name": "assigned_team"}, {"name": "company_name"}]'
+  )
+) AS seed(template_name, template_key, template_category, subject, body_html, body_text, available_variables)
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- 2. Status History Updates
+-- =====================================================
+-- The edge function stamps notification_sent as the caller, and the
+-- status modal records the change reason, so tenant users may update
+-- history rows. Only those annotations can change; the transition
+-- itself stays as trg_record_ticket_status_change wrote it.
+CREATE OR REPLACE FUNCTION fn_hrms_guard_ticket_status_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.tenant_id IS DISTINCT FROM OLD.tenant_id
+     OR NEW.ticket_id IS DISTINCT FROM OLD.ticket_id
+     OR NEW.previous_status IS DISTINCT FROM OLD.previous_status
+     OR NEW.new_status IS DISTINCT FROM OLD.new_status
+     OR NEW.changed_by IS DISTINCT FROM OLD.changed_by
+     OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'Only the reason and notification of a status change can be updated'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_ticket_status_history_guard_update
+  BEFORE UPDATE ON hrms_ticket_status_history
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_guard_ticket_status_history_update();
+
+CREATE POLICY "hrms_ticket_status_history_tenant_update" ON hrms_ticket_status_history
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id())
+  WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN hrms_ticket_comments.email_sent IS 'Set by sendTicketNotification once the reply was emailed to the employee; never set for internal notes';
+COMMENT ON COLUMN hrms_ticket_status_history.notification_sent IS 'Set by sendTicketNotification once the employee was emailed about the status change';
+COMMENT ON FUNCTION fn_hrms_guard_ticket_status_history_update() IS 'Keeps the recorded transition of a status history row immutable; only change_reason, changed_by_name and notification fields may be updated';
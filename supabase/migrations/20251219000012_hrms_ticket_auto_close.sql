@@ -0,0 +1,157 @@
+-- =====================================================
+-- HRMS Ticket Auto-Close Migration
+-- =====================================================
+-- Columns: hrms_ticket_request_types.auto_close_enabled,
+--          auto_close_reminder_days, auto_close_warning_days,
+--          auto_close_after_days
+-- Functions: fn_update_ticket_last_activity (replaced),
+--            fn_hrms_reset_ticket_auto_close
+-- Seeds: hrms_email_templates ticket_auto_close_reminder,
+--        ticket_auto_close_warning, ticket_auto_closed
+-- Schedules: hrms-process-ticket-auto-close (hourly)
+--
+-- A ticket in sent_to_candidate_review is waiting on the employee.
+-- The processTicketAutoClose edge function emails a reminder once it
+-- has been idle (last_activity_at) for the request type's reminder
+-- days, a final warning after the warning days, and auto-closes it
+-- with a system comment after the close days. Entering the status or
+-- a comment from the employee restarts the clock; team replies and
+-- system comments do not.
+-- =====================================================
+
+-- =====================================================
+-- 1. Auto-Close Policy per Request Type
+-- =====================================================
+ALTER TABLE hrms_ticket_request_types
+  ADD COLUMN auto_close_enabled BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN auto_close_reminder_days INTEGER NOT NULL DEFAULT 3,
+  ADD COLUMN auto_close_warning_days INTEGER NOT NULL DEFAULT 5,
+  ADD COLUMN auto_close_after_days INTEGER NOT NULL DEFAULT 7,
+  ADD CONSTRAINT valid_auto_close_days CHECK (
+    auto_close_reminder_days > 0
+    AND auto_close_warning_days > auto_close_reminder_days
+    AND auto_close_after_days > auto_close_warning_days
+  );
+
+CREATE INDEX idx_hrms_tickets_awaiting_candidate
+  ON hrms_tickets(last_activity_at)
+  WHERE status = 'sent_to_candidate_review';
+
+-- =====================================================
+-- 2. Function: Update Last Activity on Ticket
+-- =====================================================
+-- last_activity_at is the employee's last activity: only their
+-- comments restart the auto-close clock. Team and system comments
+-- (such as the auto-close notice) only touch updated_at.
+CREATE OR REPLACE FUNCTION fn_update_ticket_last_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.author_type <> 'employee' THEN
+    UPDATE hrms_tickets
+    SET updated_at = NOW()
+    WHERE ticket_id = NEW.ticket_id;
+
+    RETURN NEW;
+  END IF;
+
+  UPDATE hrms_tickets
+  SET last_activity_at = NOW(),
+      auto_close_reminder_sent_at = NULL,
+      auto_close_warning_sent_at = NULL,
+      updated_at = NOW()
+  WHERE ticket_id = NEW.ticket_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- 3. Trigger: Restart the Clock When Sent to the Employee
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_reset_ticket_auto_close()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'sent_to_candidate_review' AND OLD.status IS DISTINCT FROM NEW.status THEN
+    NEW.last_activity_at := NOW();
+    NEW.auto_close_reminder_sent_at := NULL;
+    NEW.auto_close_warning_sent_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_tickets_reset_auto_close
+  BEFORE UPDATE OF status ON hrms_tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_reset_ticket_auto_close();
+
+-- =====================================================
+-- 4. Seed Auto-Close Email Templates
+-- =====================================================
+INSERT INTO hrms_email_templates (
+  tenant_id, template_name, template_key, template_category,
+  subject, body_html, body_text, is_system_template, is_active, available_variables
+)
+SELECT
+  t.tenant_id,
+  template_name,
+  template_key,
+  template_category,
+  subject,
+  body_html,
+  body_text,
+  true as is_system_template,
+  true as is_active,
+  available_variables::jsonb
+FROM tenants t
+CROSS JOIN (VALUES
+  (
+    'Ticket Awaiting Response Reminder',
+    'ticket_auto_close_reminder',
+    'ticket',
+    'Reminder: Ticket #{{ticket_number}} Is Waiting for Your Response',
+    '<h2>We Are Waiting for Your Response</h2><p>Dear {{employee_name}},</p><p>Your ticket <strong>{{ticket_number}}</strong> ({{subject}}) was sent to you for review {{days_inactive}} days ago.</p><p>Please reply so we can continue. Tickets without a response are closed automatically on {{close_date}}.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    E'Dear {{employee_name}},\n\nYour ticket {{ticket_number}} ({{subject}}) was sent to you for review {{days_inactive}} days ago.\n\nPlease reply so we can continue. Tickets without a response are closed automatically on {{close_date}}.\n\nBest regards,\n{{assigned_team}} Team',
+    '[{"name": "employee_name"}, {"name": "ticket_number"}, {"name": "subject"}, {"name": "days_inactive"}, {"name": "close_date"}, {"name": "assigned_team"}, {"name": "company_name"}]'
+  ),
+  (
+    'Ticket Auto-Close Final Warning',
+    'ticket_auto_close_warning',
+    'ticket',
+    'Final Notice: Ticket #{{ticket_number}} Will Close on {{close_date}}',
+    '<h2>Your Ticket Will Be Closed Soon</h2><p>Dear {{employee_name}},</p><p>We have not heard from you on ticket <strong>{{ticket_number}}</strong> ({{subject}}) for {{days_inactive}} days.</p><p>If we do not receive a reply, the ticket will be closed automatically on <strong>{{close_date}}</strong>.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    E'Dear {{employee_name}},\n\nWe have not heard from you on ticket {{ticket_number}} ({{subject}}) for {{days_inactive}} days.\n\nIf we do not receive a reply, the ticket will be closed automatically on {{close_date}}.\n\nBest regards,\n{{assigned_team}} Team',
+    '[{"name": "employee_name"}, {"name": "ticket_number"}, {"name": "subject"}, {"name": "days_inactive"}, {"name": "close_date"}, {"name": "assigned_team"}, {"name": "company_name"}]'
+  ),
+  (
+    'Ticket Auto-Closed',
+    'ticket_auto_closed',
+    'ticket',
+    'Ticket #{{ticket_number}} Was Closed',
+    '<h2>Your Ticket Was Closed</h2><p>Dear {{employee_name}},</p><p>Ticket <strong>{{ticket_number}}</strong> ({{subject}}) was closed automatically after {{days_inactive}} days without a response.</p><p>If you still need help, please open a new ticket.</p><p>Best regards,<br>{{assigned_team}} Team</p>',
+    E'Dear {{employee_name}},\n\nTicket {{ticket_number}} ({{subject}}) was closed automatically after {{days_inactive}} days without a response.\n\nIf you still need help, please open a new ticket.\n\nBest regards,\n{{assigned_team}} Team',
+    '[{"name": "employee_name"}, {"name": "ticket_number"}, {"name": "subject"}, {"name": "days_inactive"}, {"name": "assigned_team"}, {"name": "company_name"}]'
+  )
+) AS seed(template_name, template_key, template_category, subject, body_html, body_text, available_variables)
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- 5. Schedule
+-- =====================================================
+SELECT cron.schedule(
+  'hrms-process-ticket-auto-close',
+  '15 * * * *',
+  $$ SELECT fn_invoke_hrms_edge_function('processTicketAutoClose'); $$
+);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN hrms_ticket_request_types.auto_close_enabled IS 'When false, tickets of this type are never auto-closed';
+COMMENT ON COLUMN hrms_ticket_request_types.auto_close_reminder_days IS 'Idle days in sent_to_candidate_review before the reminder email';
+COMMENT ON COLUMN hrms_ticket_request_types.auto_close_warning_days IS 'Idle days in sent_to_candidate_review before the final warning email';
+COMMENT ON COLUMN hrms_ticket_request_types.auto_close_after_days IS 'Idle days in sent_to_candidate_review before the ticket is auto-closed';
+COMMENT ON COLUMN hrms_tickets.auto_close_reminder_sent_at IS 'Set by processTicketAutoClose; cleared when the auto-close clock restarts';
+COMMENT ON COLUMN hrms_tickets.auto_close_warning_sent_at IS 'Set by processTicketAutoClose; cleared when the auto-close clock restarts';
+COMMENT ON FUNCTION fn_hrms_reset_ticket_auto_close() IS 'Restarts the auto-close clock when a ticket is sent to the employee for review';
@@ -0,0 +1,427 @@
+-- =====================================================
+-- HRMS Ticket SLA Migration
+-- =====================================================
+-- Tables: hrms_ticket_sla_policies
+-- Columns: hrms_tickets.first_response_at, first_response_due_at,
+--          resolution_due_at, sla_first_response_escalated_at,
+--          sla_resolution_escalated_at
+-- Functions: fn_hrms_apply_ticket_sla, fn_hrms_record_ticket_first_response,
+--            fn_hrms_ticket_sla_recipients, fn_hrms_escalate_ticket_sla,
+--            get_hrms_ticket_resolution_stats
+-- Seeds: hrms_ticket_sla_policies (one row per department/priority)
+-- Schedules: hrms-escalate-ticket-sla (every 15 minutes)
+--
+-- Each department/priority pair has a first-response and a resolution
+-- target in hours. Due dates are stamped on the ticket when it is
+-- created (and recomputed when its priority or department changes).
+-- The first response is the first public team comment or the first
+-- status change made by a user, whichever comes first. Open tickets
+-- past a due date raise one urgent notification per breach to the
+-- assignee and the policy's escalation list.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_ticket_sla_policies
+-- =====================================================
+CREATE TABLE hrms_ticket_sla_policies (
+  sla_policy_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+
+  department VARCHAR(50) NOT NULL,
+  priority VARCHAR(20) NOT NULL,
+
+  -- Targets (hours from ticket creation)
+  first_response_hours INTEGER NOT NULL,
+  resolution_hours INTEGER NOT NULL,
+
+  -- Extra users notified on breach (the assignee always is)
+  escalate_to_user_ids UUID[] NOT NULL DEFAULT '{}',
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_sla_department CHECK (department IN ('HR', 'Immigration')),
+  CONSTRAINT valid_sla_priority CHECK (priority IN ('low', 'normal', 'high', 'critical')),
+  CONSTRAINT valid_sla_hours CHECK (
+    first_response_hours > 0
+    AND resolution_hours >= first_response_hours
+  ),
+  CONSTRAINT unique_sla_policy UNIQUE (tenant_id, department, priority)
+);
+
+CREATE INDEX idx_hrms_ticket_sla_policies_tenant ON hrms_ticket_sla_policies(tenant_id);
+
+CREATE TRIGGER trg_hrms_ticket_sla_policies_updated_at
+  BEFORE UPDATE ON hrms_ticket_sla_policies
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. SLA Columns on Tickets
+-- =====================================================
+ALTER TABLE hrms_tickets
+  ADD COLUMN first_response_at TIMESTAMPTZ,
+  ADD COLUMN first_response_due_at TIMESTAMPTZ,
+  ADD COLUMN resolution_due_at TIMESTAMPTZ,
+  ADD COLUMN sla_first_response_escalated_at TIMESTAMPTZ,
+  ADD COLUMN sla_resolution_escalated_at TIMESTAMPTZ;
+
+CREATE INDEX idx_hrms_tickets_sla_open
+  ON hrms_tickets(resolution_due_at)
+  WHERE status NOT IN ('closed', 'auto_closed');
+
+CREATE INDEX idx_hrms_tickets_resolved
+  ON hrms_tickets(tenant_id, resolved_at)
+  WHERE resolved_at IS NOT NULL;
+
+-- =====================================================
+-- 3. Trigger: Stamp Due Dates from the Policy
+-- =====================================================
+-- A ticket without an active policy has no targets. Changing the
+-- priority or department moves the due dates and re-arms escalation.
+CREATE OR REPLACE FUNCTION fn_hrms_apply_ticket_sla()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_policy hrms_ticket_sla_policies%ROWTYPE;
+  v_created_at TIMESTAMPTZ := COALESCE(NEW.created_at, NOW());
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.priority IS NOT DISTINCT FROM NEW.priority
+     AND OLD.department IS NOT DISTINCT FROM NEW.department THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_policy
+  FROM hrms_ticket_sla_policies
+  WHERE tenant_id = NEW.tenant_id
+    AND department = NEW.department
+    AND priority = NEW.priority
+    AND is_active = true;
+
+  IF FOUND THEN
+    NEW.first_response_due_at := v_created_at + make_interval(hours => v_policy.first_response_hours);
+    NEW.resolution_due_at := v_created_at + make_interval(hours => v_policy.resolution_hours);
+  ELSE
+    NEW.first_response_due_at := NULL;
+    NEW.resolution_due_at := NULL;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    NEW.sla_first_response_escalated_at := NULL;
+    NEW.sla_resolution_escalated_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_tickets_apply_sla
+  BEFORE INSERT OR UPDATE OF priority, department ON hrms_tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_apply_ticket_sla();
+
+-- =====================================================
+-- 4. Triggers: Record the First Response
+-- =====================================================
+-- Internal notes, employee comments, system comments and status
+-- changes made by jobs (changed_by is null) do not count.
+CREATE OR REPLACE FUNCTION fn_hrms_record_ticket_first_response()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'hrms_ticket_comments' THEN
+    IF NEW.author_type <> 'team_member' OR NEW.is_internal_note THEN
+      RETURN NEW;
+    END IF;
+  ELSIF NEW.changed_by IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  UPDATE hrms_tickets
+  SET first_response_at = NEW.created_at
+  WHERE ticket_id = NEW.ticket_id
+    AND first_response_at IS NULL;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_ticket_comments_first_response
+  AFTER INSERT ON hrms_ticket_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_record_ticket_first_response();
+
+CREATE TRIGGER trg_hrms_ticket_status_history_first_response
+  AFTER INSERT ON hrms_ticket_status_history
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_record_ticket_first_response();
+
+-- =====================================================
+-- 5. Seed Default Policies
+-- =====================================================
+INSERT INTO hrms_ticket_sla_policies (tenant_id, department, priority, first_response_hours, resolution_hours)
+SELECT t.tenant_id, d.department, seed.priority, seed.first_response_hours, seed.resolution_hours
+FROM tenants t
+CROSS JOIN (VALUES ('HR'), ('Immigration')) AS d(department)
+CROSS JOIN (VALUES
+  ('critical', 2, 24),
+  ('high', 4, 48),
+  ('normal', 8, 120),
+  ('low', 24, 240)
+) AS seed(priority, first_response_hours, resolution_hours)
+ON CONFLICT DO NOTHING;
+
+-- Backfill existing tickets
+UPDATE hrms_tickets t
+SET first_response_due_at = t.created_at + make_interval(hours => p.first_response_hours),
+    resolution_due_at = t.created_at + make_interval(hours => p.resolution_hours)
+FROM hrms_ticket_sla_policies p
+WHERE p.tenant_id = t.tenant_id
+  AND p.department = t.department
+  AND p.priority = t.priority;
+
+UPDATE hrms_tickets t
+SET first_response_at = r.responded_at
+FROM (
+  SELECT ticket_id, MIN(responded_at) AS responded_at
+  FROM (
+    SELECT ticket_id, created_at AS responded_at
+    FROM hrms_ticket_comments
+    WHERE author_type = 'team_member' AND is_internal_note = false
+    UNION ALL
+    SELECT ticket_id, created_at
+    FROM hrms_ticket_status_history
+    WHERE changed_by IS NOT NULL
+  ) responses
+  GROUP BY ticket_id
+) r
+WHERE r.ticket_id = t.ticket_id;
+
+-- Old breaches are history, not something to escalate now. Tickets still
+-- within their targets are left for fn_hrms_escalate_ticket_sla().
+UPDATE hrms_tickets
+SET sla_first_response_escalated_at = CASE
+      WHEN COALESCE(first_response_at, NOW()) > first_response_due_at THEN NOW()
+    END,
+    sla_resolution_escalated_at = CASE
+      WHEN COALESCE(resolved_at, NOW()) > resolution_due_at THEN NOW()
+    END
+WHERE first_response_due_at IS NOT NULL
+   OR resolution_due_at IS NOT NULL;
+
+-- =====================================================
+-- 6. Function: Who Hears About a Breach
+-- =====================================================
+-- The assignee and the policy's escalation list. When neither names
+-- anyone, HR Managers and above in the tenant.
+CREATE OR REPLACE FUNCTION fn_hrms_ticket_sla_recipients(p_ticket_id UUID)
+RETURNS SETOF UUID AS $$
+  WITH ticket AS (
+    SELECT t.tenant_id, t.assigned_to, COALESCE(p.escalate_to_user_ids, '{}') AS escalate_to_user_ids
+    FROM hrms_tickets t
+    LEFT JOIN hrms_ticket_sla_policies p
+      ON p.tenant_id = t.tenant_id
+     AND p.department = t.department
+     AND p.priority = t.priority
+    WHERE t.ticket_id = p_ticket_id
+  ),
+  named AS (
+    SELECT assigned_to AS user_id FROM ticket WHERE assigned_to IS NOT NULL
+    UNION
+    SELECT unnest(escalate_to_user_ids) FROM ticket
+  )
+  SELECT pr.id
+  FROM profiles pr, ticket
+  WHERE pr.tenant_id = ticket.tenant_id
+    AND (
+      pr.id IN (SELECT user_id FROM named)
+      OR (NOT EXISTS (SELECT 1 FROM named) AND pr.role_level >= 3)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- 7. Function: Escalate SLA Breaches
+-- =====================================================
+-- Runs as definer because hrms_notifications only lets callers insert
+-- rows for themselves. Each breach is escalated once; the stamps are
+-- cleared when the due dates move.
+CREATE OR REPLACE FUNCTION fn_hrms_escalate_ticket_sla()
+RETURNS INTEGER AS $$
+DECLARE
+  v_ticket RECORD;
+  v_escalated INTEGER := 0;
+BEGIN
+  FOR v_ticket IN
+    SELECT
+      t.ticket_id,
+      t.tenant_id,
+      t.ticket_number,
+      t.subject,
+      (
+        t.first_response_at IS NULL
+        AND t.first_response_due_at < NOW()
+        AND t.sla_first_response_escalated_at IS NULL
+      ) AS first_response_breached,
+      (
+        t.resolution_due_at < NOW()
+        AND t.sla_resolution_escalated_at IS NULL
+      ) AS resolution_breached
+    FROM hrms_tickets t
+    WHERE t.status NOT IN ('closed', 'auto_closed')
+      AND (
+        (t.first_response_at IS NULL AND t.first_response_due_at < NOW() AND t.sla_first_response_escalated_at IS NULL)
+        OR (t.resolution_due_at < NOW() AND t.sla_resolution_escalated_at IS NULL)
+      )
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    INSERT INTO hrms_notifications (
+      tenant_id,
+      user_id,
+      notification_type,
+      title,
+      message,
+      related_entity_type,
+      related_entity_id,
+      priority,
+      action_url
+    )
+    SELECT
+      v_ticket.tenant_id,
+      r.user_id,
+      'ticket_update',
+      breach.title || ': ' || v_ticket.ticket_number,
+      breach.message || ' "' || v_ticket.subject || '"',
+      'ticket',
+      v_ticket.ticket_id,
+      breach.priority,
+      '/hrms/tickets/' || v_ticket.ticket_id
+    FROM fn_hrms_ticket_sla_recipients(v_ticket.ticket_id) AS r(user_id)
+    CROSS JOIN (VALUES
+      (v_ticket.first_response_breached, 'First response overdue', 'No one has responded yet to', 'high'),
+      (v_ticket.resolution_breached, 'Resolution overdue', 'The resolution target has passed for', 'urgent')
+    ) AS breach(is_breached, title, message, priority)
+    WHERE breach.is_breached;
+
+    UPDATE hrms_tickets
+    SET sla_first_response_escalated_at = CASE
+          WHEN v_ticket.first_response_breached THEN NOW()
+          ELSE sla_first_response_escalated_at
+        END,
+        sla_resolution_escalated_at = CASE
+          WHEN v_ticket.resolution_breached THEN NOW()
+          ELSE sla_resolution_escalated_at
+        END
+    WHERE ticket_id = v_ticket.ticket_id;
+
+    v_escalated := v_escalated + 1;
+  END LOOP;
+
+  RETURN v_escalated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_escalate_ticket_sla() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_escalate_ticket_sla() TO service_role;
+REVOKE EXECUTE ON FUNCTION fn_hrms_ticket_sla_recipients(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_ticket_sla_recipients(UUID) TO service_role;
+
+-- =====================================================
+-- 8. Function: Resolution Metrics
+-- =====================================================
+-- Time to resolve is resolved_at - created_at for closed tickets.
+-- Auto-closed tickets were abandoned, not resolved, so they are left
+-- out. p_resolved_from limits to tickets resolved on or after it.
+CREATE OR REPLACE FUNCTION get_hrms_ticket_resolution_stats(
+  p_tenant_id UUID,
+  p_business_id UUID DEFAULT NULL,
+  p_resolved_from TIMESTAMPTZ DEFAULT NULL,
+  p_assigned_team VARCHAR DEFAULT NULL,
+  p_request_type VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_result JSONB;
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view ticket metrics for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT jsonb_build_object(
+    'resolvedCount', COUNT(*),
+    'avgResolveHours', ROUND(AVG(hours)::numeric, 1),
+    'medianResolveHours', ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours))::numeric, 1),
+    'firstResponseBreaches', COUNT(*) FILTER (
+      WHERE first_response_due_at IS NOT NULL
+        AND COALESCE(first_response_at, resolved_at) > first_response_due_at
+    ),
+    'resolutionBreaches', COUNT(*) FILTER (
+      WHERE resolution_due_at IS NOT NULL
+        AND resolved_at > resolution_due_at
+    )
+  ) INTO v_result
+  FROM (
+    SELECT
+      EXTRACT(EPOCH FROM (t.resolved_at - t.created_at)) / 3600 AS hours,
+      t.resolved_at,
+      t.first_response_at,
+      t.first_response_due_at,
+      t.resolution_due_at
+    FROM hrms_tickets t
+    WHERE t.tenant_id = p_tenant_id
+      AND t.status = 'closed'
+      AND t.resolved_at IS NOT NULL
+      AND (p_business_id IS NULL OR t.business_id = p_business_id)
+      AND (p_resolved_from IS NULL OR t.resolved_at >= p_resolved_from)
+      AND (p_assigned_team IS NULL OR t.assigned_team = p_assigned_team)
+      AND (p_request_type IS NULL OR t.request_type = p_request_type)
+  ) resolved;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_hrms_ticket_resolution_stats(UUID, UUID, TIMESTAMPTZ, VARCHAR, VARCHAR) TO authenticated;
+
+-- =====================================================
+-- 9. Schedule
+-- =====================================================
+SELECT cron.schedule(
+  'hrms-escalate-ticket-sla',
+  '*/15 * * * *',
+  $$ SELECT fn_hrms_escalate_ticket_sla(); $$
+);
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_ticket_sla_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_ticket_sla_policies_tenant_select" ON hrms_ticket_sla_policies
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_sla_policies_tenant_insert" ON hrms_ticket_sla_policies
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_sla_policies_tenant_update" ON hrms_ticket_sla_policies
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_sla_policies_tenant_delete" ON hrms_ticket_sla_policies
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_ticket_sla_policies IS 'First-response and resolution targets per department and priority';
+COMMENT ON COLUMN hrms_ticket_sla_policies.escalate_to_user_ids IS 'Users notified on breach in addition to the assignee';
+COMMENT ON COLUMN hrms_tickets.first_response_at IS 'First public team comment or user status change; maintained by trigger';
+COMMENT ON COLUMN hrms_tickets.first_response_due_at IS 'created_at + policy first_response_hours; null when no policy applies';
+COMMENT ON COLUMN hrms_tickets.resolution_due_at IS 'created_at + policy resolution_hours; null when no policy applies';
+COMMENT ON COLUMN hrms_tickets.sla_first_response_escalated_at IS 'Set when the first-response breach was escalated';
+COMMENT ON COLUMN hrms_tickets.sla_resolution_escalated_at IS 'Set when the resolution breach was escalated';
+COMMENT ON FUNCTION fn_hrms_escalate_ticket_sla() IS 'Notifies the assignee and escalation list once per SLA breach on open tickets';
+COMMENT ON FUNCTION get_hrms_ticket_resolution_stats(UUID, UUID, TIMESTAMPTZ, VARCHAR, VARCHAR) IS 'Average/median hours to resolve closed tickets and SLA breach counts';
@@ -0,0 +1,350 @@
+-- =====================================================
+-- HRMS Ticket Routing Migration
+-- =====================================================
+-- Tables: hrms_ticket_routing_rules, hrms_staff_out_of_office,
+--         hrms_ticket_assignment_history
+-- Columns: hrms_tickets.routing_rule_id
+-- Functions: fn_hrms_pick_ticket_assignee, fn_hrms_route_ticket,
+--            fn_hrms_record_ticket_assignment
+--
+-- A routing rule sends new tickets for a department (optionally
+-- narrowed to a business and/or request type) to a team from the Teams
+-- admin. The most specific active rule wins: request type + business,
+-- then request type, then business, then department only.
+--
+-- Members are matched to logins by email (internal_staff.email =
+-- profiles.email). Inactive members, inactive staff and staff out of
+-- office today are skipped.
+--   round_robin  - the next member after the last one the rule picked
+--   least_loaded - the member with the fewest open tickets
+-- Every change of hrms_tickets.assigned_to is recorded in
+-- hrms_ticket_assignment_history.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_ticket_routing_rules
+-- =====================================================
+CREATE TABLE hrms_ticket_routing_rules (
+  rule_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+
+  -- Match (NULL business_id / request_type = any)
+  department VARCHAR(50) NOT NULL,
+  business_id UUID REFERENCES businesses(business_id) ON DELETE CASCADE,
+  request_type VARCHAR(255),
+
+  -- Target
+  team_id UUID NOT NULL REFERENCES teams(team_id) ON DELETE CASCADE,
+  strategy VARCHAR(20) NOT NULL DEFAULT 'round_robin',
+
+  -- Round-robin cursor
+  last_assigned_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  last_assigned_at TIMESTAMPTZ,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_routing_department CHECK (department IN ('HR', 'Immigration')),
+  CONSTRAINT valid_routing_strategy CHECK (strategy IN ('round_robin', 'least_loaded'))
+);
+
+-- One rule per match
+CREATE UNIQUE INDEX idx_hrms_ticket_routing_rules_match
+  ON hrms_ticket_routing_rules(
+    tenant_id,
+    department,
+    COALESCE(business_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(request_type, '')
+  );
+
+CREATE INDEX idx_hrms_ticket_routing_rules_team ON hrms_ticket_routing_rules(team_id);
+
+CREATE TRIGGER trg_hrms_ticket_routing_rules_updated_at
+  BEFORE UPDATE ON hrms_ticket_routing_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. hrms_staff_out_of_office
+-- =====================================================
+CREATE TABLE hrms_staff_out_of_office (
+  out_of_office_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES internal_staff(staff_id) ON DELETE CASCADE,
+
+  starts_on DATE NOT NULL,
+  ends_on DATE NOT NULL,
+  note TEXT,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_out_of_office_dates CHECK (ends_on >= starts_on)
+);
+
+CREATE INDEX idx_hrms_staff_out_of_office_staff ON hrms_staff_out_of_office(staff_id, ends_on);
+
+CREATE TRIGGER trg_hrms_staff_out_of_office_updated_at
+  BEFORE UPDATE ON hrms_staff_out_of_office
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 3. hrms_ticket_assignment_history
+-- =====================================================
+CREATE TABLE hrms_ticket_assignment_history (
+  history_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  ticket_id UUID NOT NULL REFERENCES hrms_tickets(ticket_id) ON DELETE CASCADE,
+
+  previous_assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  previous_assignee_name VARCHAR(255),
+  new_assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  new_assignee_name VARCHAR(255),
+
+  assignment_method VARCHAR(20) NOT NULL,
+  routing_rule_id UUID REFERENCES hrms_ticket_routing_rules(rule_id) ON DELETE SET NULL,
+
+  assigned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  assigned_by_name VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT valid_assignment_method CHECK (assignment_method IN ('round_robin', 'least_loaded', 'manual'))
+);
+
+CREATE INDEX idx_hrms_ticket_assignment_history_ticket ON hrms_ticket_assignment_history(ticket_id, created_at);
+
+ALTER TABLE hrms_tickets
+  ADD COLUMN routing_rule_id UUID REFERENCES hrms_ticket_routing_rules(rule_id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 4. Function: Pick an Assignee for a Rule
+-- =====================================================
+-- Returns NULL when no member is available. Locks the rule so
+-- concurrent tickets advance the round-robin cursor one at a time.
+CREATE OR REPLACE FUNCTION fn_hrms_pick_ticket_assignee(p_rule_id UUID)
+RETURNS UUID AS $$
+DECLARE
+  v_rule hrms_ticket_routing_rules%ROWTYPE;
+  v_user_id UUID;
+BEGIN
+  SELECT * INTO v_rule
+  FROM hrms_ticket_routing_rules
+  WHERE rule_id = p_rule_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH candidates AS (
+    SELECT DISTINCT p.id AS user_id
+    FROM team_members tm
+    JOIN internal_staff s ON s.staff_id = tm.staff_id
+    JOIN profiles p
+      ON lower(p.email) = lower(s.email)
+     AND p.tenant_id = v_rule.tenant_id
+    WHERE tm.team_id = v_rule.team_id
+      AND tm.is_active = true
+      AND s.status = 'ACTIVE'
+      AND NOT EXISTS (
+        SELECT 1
+        FROM hrms_staff_out_of_office o
+        WHERE o.staff_id = s.staff_id
+          AND CURRENT_DATE BETWEEN o.starts_on AND o.ends_on
+      )
+  )
+  SELECT c.user_id INTO v_user_id
+  FROM candidates c
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) AS open_tickets
+    FROM hrms_tickets t
+    WHERE t.tenant_id = v_rule.tenant_id
+      AND t.assigned_to = c.user_id
+      AND t.status NOT IN ('closed', 'auto_closed')
+  ) load ON v_rule.strategy = 'least_loaded'
+  ORDER BY
+    CASE WHEN v_rule.strategy = 'least_loaded' THEN load.open_tickets END ASC,
+    -- Round robin: members after the last pick come first, in id order
+    CASE WHEN v_rule.strategy = 'round_robin'
+      THEN c.user_id <= COALESCE(v_rule.last_assigned_user_id, '00000000-0000-0000-0000-000000000000'::uuid)
+    END ASC,
+    c.user_id ASC
+  LIMIT 1;
+
+  IF v_user_id IS NOT NULL THEN
+    UPDATE hrms_ticket_routing_rules
+    SET last_assigned_user_id = v_user_id,
+        last_assigned_at = NOW()
+    WHERE rule_id = p_rule_id;
+  END IF;
+
+  RETURN v_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_pick_ticket_assignee(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_pick_ticket_assignee(UUID) TO service_role;
+
+-- =====================================================
+-- 5. Trigger: Route New Tickets
+-- =====================================================
+-- Runs as definer because employees creating tickets from the portal
+-- cannot read teams, staff or other users' tickets. Tickets created
+-- with an assignee are left alone.
+CREATE OR REPLACE FUNCTION fn_hrms_route_ticket()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_rule_id UUID;
+  v_user_id UUID;
+BEGIN
+  IF NEW.assigned_to IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT rule_id INTO v_rule_id
+  FROM hrms_ticket_routing_rules
+  WHERE tenant_id = NEW.tenant_id
+    AND department = NEW.department
+    AND is_active = true
+    AND (business_id IS NULL OR business_id = NEW.business_id)
+    AND (request_type IS NULL OR request_type = NEW.request_type)
+  ORDER BY
+    (request_type IS NOT NULL) DESC,
+    (business_id IS NOT NULL) DESC
+  LIMIT 1;
+
+  IF v_rule_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  v_user_id := fn_hrms_pick_ticket_assignee(v_rule_id);
+
+  IF v_user_id IS NOT NULL THEN
+    NEW.assigned_to := v_user_id;
+    NEW.routing_rule_id := v_rule_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_tickets_route
+  BEFORE INSERT ON hrms_tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_route_ticket();
+
+-- =====================================================
+-- 6. Trigger: Record Assignment Changes
+-- =====================================================
+-- The routed assignment on insert carries the rule's strategy; any
+-- later change is manual and credited to the current user.
+CREATE OR REPLACE FUNCTION fn_hrms_record_ticket_assignment()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_method VARCHAR(20) := 'manual';
+  v_rule_id UUID;
+  v_assigned_by UUID := COALESCE(auth.uid(), NEW.updated_by);
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.assigned_to IS NULL THEN
+      RETURN NEW;
+    END IF;
+
+    IF NEW.routing_rule_id IS NOT NULL THEN
+      SELECT strategy INTO v_method
+      FROM hrms_ticket_routing_rules
+      WHERE rule_id = NEW.routing_rule_id;
+      v_rule_id := NEW.routing_rule_id;
+      v_assigned_by := NULL;
+    END IF;
+  ELSIF OLD.assigned_to IS NOT DISTINCT FROM NEW.assigned_to THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO hrms_ticket_assignment_history (
+    tenant_id,
+    ticket_id,
+    previous_assigned_to,
+    previous_assignee_name,
+    new_assigned_to,
+    new_assignee_name,
+    assignment_method,
+    routing_rule_id,
+    assigned_by,
+    assigned_by_name
+  )
+  SELECT
+    NEW.tenant_id,
+    NEW.ticket_id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.assigned_to END,
+    (SELECT COALESCE(full_name, email) FROM profiles WHERE id = CASE WHEN TG_OP = 'UPDATE' THEN OLD.assigned_to END),
+    NEW.assigned_to,
+    (SELECT COALESCE(full_name, email) FROM profiles WHERE id = NEW.assigned_to),
+    COALESCE(v_method, 'manual'),
+    v_rule_id,
+    v_assigned_by,
+    (SELECT COALESCE(full_name, email) FROM profiles WHERE id = v_assigned_by);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_tickets_record_assignment
+  AFTER INSERT OR UPDATE OF assigned_to ON hrms_tickets
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_record_ticket_assignment();
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_ticket_routing_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_staff_out_of_office ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_ticket_assignment_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_ticket_routing_rules_tenant_select" ON hrms_ticket_routing_rules
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_routing_rules_tenant_insert" ON hrms_ticket_routing_rules
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_routing_rules_tenant_update" ON hrms_ticket_routing_rules
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_routing_rules_tenant_delete" ON hrms_ticket_routing_rules
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_staff_out_of_office_tenant_select" ON hrms_staff_out_of_office
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_staff_out_of_office_tenant_insert" ON hrms_staff_out_of_office
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_staff_out_of_office_tenant_update" ON hrms_staff_out_of_office
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_staff_out_of_office_tenant_delete" ON hrms_staff_out_of_office
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+-- History is written by trigger only
+CREATE POLICY "hrms_ticket_assignment_history_tenant_select" ON hrms_ticket_assignment_history
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_ticket_routing_rules IS 'Routes new tickets to a team member by department, business and request type';
+COMMENT ON COLUMN hrms_ticket_routing_rules.strategy IS 'round_robin = next member in turn, least_loaded = fewest open tickets';
+COMMENT ON COLUMN hrms_ticket_routing_rules.last_assigned_user_id IS 'Round-robin cursor; the member picked last';
+COMMENT ON TABLE hrms_staff_out_of_office IS 'Dates an internal staff member is away; routing skips them';
+COMMENT ON TABLE hrms_ticket_assignment_history IS 'Every assignment of a ticket, automatic or manual';
+COMMENT ON COLUMN hrms_tickets.routing_rule_id IS 'Rule that auto-assigned the ticket, if any';
+COMMENT ON FUNCTION fn_hrms_pick_ticket_assignee(UUID) IS 'Next available team member for a routing rule, skipping out-of-office staff';
@@ -0,0 +1,281 @@
+-- =====================================================
+-- HRMS Ticket Canned Responses and Macros Migration
+-- =====================================================
+-- Tables: hrms_ticket_canned_responses, hrms_ticket_macros
+-- Functions: apply_hrms_ticket_macro
+-- Seeds: Immigration canned responses and macros per tenant
+--
+-- A canned response is a reusable reply body. Bodies may contain
+-- {{variables}} (employee_name, ticket_number, visa_end_date, ...)
+-- which the ticket screen fills in before the text is posted; see
+-- src/utils/cannedResponses.js for the list.
+--
+-- A macro bundles up to three actions applied in one click:
+--   canned_response_id - post the response as a public reply
+--   new_status         - move the ticket to this status
+--   internal_note      - add an internal note (may use variables too)
+-- A NULL department makes a response or macro available to both teams.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_ticket_canned_responses
+-- =====================================================
+CREATE TABLE hrms_ticket_canned_responses (
+  canned_response_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+
+  department VARCHAR(50),
+  title VARCHAR(255) NOT NULL,
+  category VARCHAR(100),
+  body TEXT NOT NULL,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT unique_canned_response_title UNIQUE(tenant_id, title),
+  CONSTRAINT valid_canned_response_department CHECK (department IS NULL OR department IN ('HR', 'Immigration'))
+);
+
+CREATE INDEX idx_hrms_ticket_canned_responses_tenant ON hrms_ticket_canned_responses(tenant_id, department);
+
+CREATE TRIGGER trg_hrms_ticket_canned_responses_updated_at
+  BEFORE UPDATE ON hrms_ticket_canned_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. hrms_ticket_macros
+-- =====================================================
+CREATE TABLE hrms_ticket_macros (
+  macro_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+
+  department VARCHAR(50),
+  name VARCHAR(255) NOT NULL,
+
+  -- Actions (at least one)
+  canned_response_id UUID REFERENCES hrms_ticket_canned_responses(canned_response_id) ON DELETE SET NULL,
+  new_status VARCHAR(50),
+  internal_note TEXT,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT unique_macro_name UNIQUE(tenant_id, name),
+  CONSTRAINT valid_macro_department CHECK (department IS NULL OR department IN ('HR', 'Immigration')),
+  CONSTRAINT valid_macro_status CHECK (new_status IS NULL OR new_status IN (
+    'ticket_created',
+    'in_team_review',
+    'need_leadership_discussion',
+    'need_attorney_discussion',
+    'need_team_discussion',
+    'sent_to_candidate_review',
+    'closed',
+    'auto_closed'
+  ))
+);
+
+CREATE INDEX idx_hrms_ticket_macros_tenant ON hrms_ticket_macros(tenant_id, department, display_order);
+
+CREATE TRIGGER trg_hrms_ticket_macros_updated_at
+  BEFORE UPDATE ON hrms_ticket_macros
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 3. Seed Immigration Responses and Macros
+-- =====================================================
+INSERT INTO hrms_ticket_canned_responses (tenant_id, department, title, category, body)
+SELECT t.tenant_id, 'Immigration', seed.title, seed.category, seed.body
+FROM tenants t
+CROSS JOIN (VALUES
+  (
+    'RFE received',
+    'RFE',
+    E'Hi {{employee_first_name}},\n\nUSCIS has issued a Request for Evidence (RFE) on your {{visa_type}} petition. Our team and the attorney are reviewing it now.\n\nWe will send you the list of documents needed for the response within 2 business days. Please keep an eye on this ticket ({{ticket_number}}).\n\nThanks,\n{{agent_name}}'
+  ),
+  (
+    'Amendment required',
+    'Amendment',
+    E'Hi {{employee_first_name}},\n\nThe change you described requires an amendment to your {{visa_type}} petition before it takes effect. Please do not start working at the new location or role until the amendment is filed.\n\nWe will share the document checklist on this ticket ({{ticket_number}}).\n\nThanks,\n{{agent_name}}'
+  ),
+  (
+    'Visa stamping guidance',
+    'Stamping',
+    E'Hi {{employee_first_name}},\n\nFor your {{visa_type}} stamping appointment, please carry your passport, the original I-797 approval notice, your DS-160 confirmation, your last 3 pay stubs and a current client letter.\n\nYour current status is valid until {{visa_end_date}}. Let us know your appointment date on this ticket ({{ticket_number}}).\n\nThanks,\n{{agent_name}}'
+  )
+) AS seed(title, category, body)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO hrms_ticket_macros (tenant_id, department, name, canned_response_id, new_status, internal_note, display_order)
+SELECT t.tenant_id, 'Immigration', seed.name, cr.canned_response_id, seed.new_status, seed.internal_note, seed.display_order
+FROM tenants t
+CROSS JOIN (VALUES
+  ('RFE received', 'RFE received', 'need_attorney_discussion', 'RFE received; forwarded to attorney for review.', 1),
+  ('Amendment required', 'Amendment required', 'in_team_review', 'Amendment needed; start amendment filing checklist.', 2),
+  ('Send stamping checklist', 'Visa stamping guidance', 'sent_to_candidate_review', NULL, 3)
+) AS seed(name, response_title, new_status, internal_note, display_order)
+JOIN hrms_ticket_canned_responses cr
+  ON cr.tenant_id = t.tenant_id
+  AND cr.title = seed.response_title
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- 4. Function: Apply a Macro to a Ticket
+-- =====================================================
+-- Runs the macro's actions in one transaction. Reply and note text are
+-- passed in already filled with the ticket's variables; the status comes
+-- from the macro. Returns the ids of the rows written so the caller can
+-- email the employee about the reply (or the status change).
+CREATE OR REPLACE FUNCTION apply_hrms_ticket_macro(
+  p_ticket_id UUID,
+  p_macro_id UUID,
+  p_reply_text TEXT DEFAULT NULL,
+  p_internal_note TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_ticket hrms_tickets%ROWTYPE;
+  v_macro hrms_ticket_macros%ROWTYPE;
+  v_author_name TEXT;
+  v_comment_id UUID;
+  v_note_id UUID;
+  v_history_id UUID;
+BEGIN
+  SELECT * INTO v_ticket FROM hrms_tickets WHERE ticket_id = p_ticket_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket % not found', p_ticket_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_ticket.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to update tickets for tenant %', v_ticket.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_macro
+  FROM hrms_ticket_macros
+  WHERE macro_id = p_macro_id
+    AND tenant_id = v_ticket.tenant_id
+    AND is_active = true;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Macro % not found', p_macro_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_macro.department IS NOT NULL AND v_macro.department IS DISTINCT FROM v_ticket.department THEN
+    RAISE EXCEPTION 'Macro "%" is for % tickets', v_macro.name, v_macro.department
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(p.full_name, p.email) INTO v_author_name
+  FROM profiles p
+  WHERE p.id = auth.uid();
+
+  IF NULLIF(TRIM(p_reply_text), '') IS NOT NULL THEN
+    INSERT INTO hrms_ticket_comments (
+      tenant_id, ticket_id, comment_text, is_internal_note,
+      author_type, author_user_id, author_display_name
+    ) VALUES (
+      v_ticket.tenant_id, v_ticket.ticket_id, TRIM(p_reply_text), false,
+      'team_member', auth.uid(), COALESCE(v_author_name, 'Team Member')
+    )
+    RETURNING comment_id INTO v_comment_id;
+  END IF;
+
+  IF v_macro.new_status IS NOT NULL AND v_macro.new_status IS DISTINCT FROM v_ticket.status THEN
+    UPDATE hrms_tickets
+    SET status = v_macro.new_status,
+        updated_by = auth.uid(),
+        resolved_at = CASE WHEN v_macro.new_status IN ('closed', 'auto_closed') THEN NOW() END
+    WHERE ticket_id = v_ticket.ticket_id;
+
+    -- History row comes from trg_record_ticket_status_change; the reason
+    -- is written through the hrms_ticket_status_history_tenant_update policy
+    SELECT history_id INTO v_history_id
+    FROM hrms_ticket_status_history
+    WHERE ticket_id = v_ticket.ticket_id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    UPDATE hrms_ticket_status_history
+    SET change_reason = 'Macro: ' || v_macro.name,
+        changed_by_name = v_author_name
+    WHERE history_id = v_history_id;
+  END IF;
+
+  IF NULLIF(TRIM(p_internal_note), '') IS NOT NULL THEN
+    INSERT INTO hrms_ticket_comments (
+      tenant_id, ticket_id, comment_text, is_internal_note,
+      author_type, author_user_id, author_display_name
+    ) VALUES (
+      v_ticket.tenant_id, v_ticket.ticket_id, TRIM(p_internal_note), true,
+      'team_member', auth.uid(), COALESCE(v_author_name, 'Team Member')
+    )
+    RETURNING comment_id INTO v_note_id;
+  END IF;
+
+  IF v_comment_id IS NULL AND v_history_id IS NULL AND v_note_id IS NULL THEN
+    RAISE EXCEPTION 'Macro "%" has nothing to apply to this ticket', v_macro.name
+      USING ERRCODE = '22023';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'comment_id', v_comment_id,
+    'history_id', v_history_id,
+    'note_id', v_note_id
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION apply_hrms_ticket_macro(UUID, UUID, TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_ticket_canned_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_ticket_macros ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_ticket_canned_responses_tenant_select" ON hrms_ticket_canned_responses
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_canned_responses_tenant_insert" ON hrms_ticket_canned_responses
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_canned_responses_tenant_update" ON hrms_ticket_canned_responses
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_canned_responses_tenant_delete" ON hrms_ticket_canned_responses
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_macros_tenant_select" ON hrms_ticket_macros
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_macros_tenant_insert" ON hrms_ticket_macros
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_macros_tenant_update" ON hrms_ticket_macros
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_macros_tenant_delete" ON hrms_ticket_macros
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_ticket_canned_responses IS 'Reusable ticket replies with {{variables}} filled in per ticket';
+COMMENT ON COLUMN hrms_ticket_canned_responses.department IS 'HR or Immigration; NULL = available to both teams';
+COMMENT ON TABLE hrms_ticket_macros IS 'One-click ticket actions: public reply, status change and internal note';
+COMMENT ON COLUMN hrms_ticket_macros.new_status IS 'Status the ticket moves to; NULL leaves the status unchanged';
+COMMENT ON FUNCTION apply_hrms_ticket_macro(UUID, UUID, TEXT, TEXT) IS 'Posts the reply, changes status and adds the internal note of a macro in one transaction';
@@ -0,0 +1,127 @@
+-- =====================================================
+-- HRMS Ticket Inbound Email Migration
+-- =====================================================
+-- Tables: hrms_ticket_inbound_addresses, hrms_ticket_inbound_emails
+-- Columns: hrms_tickets.source, hrms_ticket_comments.source
+--
+-- Each business can have support addresses (support@intuites.com).
+-- Mail to one of them is posted to the processInboundTicketEmail edge
+-- function by the mail provider's inbound webhook:
+--   - a ticket number in the subject ("Re: Ticket #IESTKT0042") or in
+--     the plus part of the address (support+IESTKT0042@...) adds the
+--     message to that ticket as an employee comment
+--   - otherwise a new ticket is opened for the employee whose email
+--     matches the sender, using the address's default department and
+--     request type
+-- Outgoing ticket emails set Reply-To to the plus address so employee
+-- replies come back to the right ticket. Each message claims its
+-- Message-ID in hrms_ticket_inbound_emails (outcome 'processing')
+-- before the ticket or comment is written and records the outcome at
+-- the end, so webhook retries, even concurrent ones, are processed once.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_ticket_inbound_addresses
+-- =====================================================
+CREATE TABLE hrms_ticket_inbound_addresses (
+  address_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID NOT NULL REFERENCES businesses(business_id) ON DELETE CASCADE,
+
+  email_address VARCHAR(255) NOT NULL,
+
+  -- Used for tickets opened by email
+  default_department VARCHAR(50) NOT NULL DEFAULT 'HR',
+  default_request_type VARCHAR(100) NOT NULL DEFAULT 'General Inquiry',
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_inbound_address_department CHECK (default_department IN ('HR', 'Immigration')),
+  CONSTRAINT lowercase_inbound_address CHECK (email_address = LOWER(email_address))
+);
+
+-- An address can only deliver to one tenant
+CREATE UNIQUE INDEX idx_hrms_ticket_inbound_addresses_email ON hrms_ticket_inbound_addresses(email_address);
+CREATE INDEX idx_hrms_ticket_inbound_addresses_business ON hrms_ticket_inbound_addresses(business_id);
+
+CREATE TRIGGER trg_hrms_ticket_inbound_addresses_updated_at
+  BEFORE UPDATE ON hrms_ticket_inbound_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. hrms_ticket_inbound_emails
+-- =====================================================
+CREATE TABLE hrms_ticket_inbound_emails (
+  inbound_email_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  address_id UUID REFERENCES hrms_ticket_inbound_addresses(address_id) ON DELETE SET NULL,
+
+  message_id VARCHAR(500) NOT NULL,
+  from_email VARCHAR(255) NOT NULL,
+  subject VARCHAR(500),
+
+  -- Outcome
+  outcome VARCHAR(30) NOT NULL,
+  reason VARCHAR(100),
+  ticket_id UUID REFERENCES hrms_tickets(ticket_id) ON DELETE SET NULL,
+  comment_id UUID REFERENCES hrms_ticket_comments(comment_id) ON DELETE SET NULL,
+  attachment_count INTEGER NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT unique_inbound_message UNIQUE(tenant_id, message_id),
+  CONSTRAINT valid_inbound_outcome CHECK (outcome IN ('processing', 'comment_added', 'ticket_created', 'rejected'))
+);
+
+CREATE INDEX idx_hrms_ticket_inbound_emails_ticket ON hrms_ticket_inbound_emails(ticket_id);
+CREATE INDEX idx_hrms_ticket_inbound_emails_created ON hrms_ticket_inbound_emails(tenant_id, created_at DESC);
+
+-- =====================================================
+-- 3. Source Columns
+-- =====================================================
+ALTER TABLE hrms_tickets
+  ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'portal',
+  ADD CONSTRAINT valid_ticket_source CHECK (source IN ('portal', 'email'));
+
+ALTER TABLE hrms_ticket_comments
+  ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'app',
+  ADD CONSTRAINT valid_comment_source CHECK (source IN ('app', 'email'));
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_ticket_inbound_addresses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hrms_ticket_inbound_emails ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_ticket_inbound_addresses_tenant_select" ON hrms_ticket_inbound_addresses
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_inbound_addresses_tenant_insert" ON hrms_ticket_inbound_addresses
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_inbound_addresses_tenant_update" ON hrms_ticket_inbound_addresses
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_ticket_inbound_addresses_tenant_delete" ON hrms_ticket_inbound_addresses
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+-- The log is written by the edge function (service role) only
+CREATE POLICY "hrms_ticket_inbound_emails_tenant_select" ON hrms_ticket_inbound_emails
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_ticket_inbound_addresses IS 'Per-business support addresses that receive ticket email';
+COMMENT ON COLUMN hrms_ticket_inbound_addresses.email_address IS 'Lowercase; plus-addressed variants (support+TICKET@) route to the same address';
+COMMENT ON TABLE hrms_ticket_inbound_emails IS 'One row per inbound message, keyed by Message-ID; claimed as processing before the message is handled';
+COMMENT ON COLUMN hrms_ticket_inbound_emails.reason IS 'Why a message was rejected, e.g. unknown_sender or sender_mismatch';
+COMMENT ON COLUMN hrms_tickets.source IS 'portal = opened in the app, email = opened by mail to a support address';
+COMMENT ON COLUMN hrms_ticket_comments.source IS 'app = posted in the app, email = employee reply received by mail';
@@ -0,0 +1,444 @@
+-- =====================================================
+-- HRMS Employee Self-Service Portal Migration
+-- =====================================================
+-- Tables: hrms_employee_change_requests
+-- Functions: fn_hrms_portal_employee_id, fn_hrms_portal_tenant_id,
+--            submit_hrms_employee_change_request,
+--            review_hrms_employee_change_request,
+--            acknowledge_hrms_performance_review
+--
+-- Portal employees sign in with the login linked through
+-- hrms_employees.user_id and have no tenant profile, so the tenant
+-- policies never match them. The employee policies below give them
+-- read access to their own rows only:
+--   hrms_employees, hrms_employee_addresses, hrms_visa_statuses,
+--   hrms_dependents, submitted performance reviews, their own change
+--   requests, and employee documents with visible_to_employee_flag.
+-- They may also add documents against checklist items of their own
+-- employee record (stored under employee/<employee_id>/ in the
+-- documents bucket; storage policies limit them to that folder).
+--
+-- Contact and address edits are never written directly. The portal
+-- files a change request which HR staff approve or reject; approval
+-- applies the change (addresses keep their history: the old row is
+-- closed and a new current row inserted).
+-- =====================================================
+
+-- =====================================================
+-- 1. Helper Functions: Signed-in Portal Employee
+-- =====================================================
+-- Revoked portal access (e.g. on termination) ends all portal reads.
+CREATE OR REPLACE FUNCTION fn_hrms_portal_employee_id()
+RETURNS UUID AS $$
+BEGIN
+  RETURN (
+    SELECT employee_id
+    FROM hrms_employees
+    WHERE user_id = auth.uid()
+      AND portal_access_enabled = true
+      AND deleted_at IS NULL
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION fn_hrms_portal_tenant_id()
+RETURNS UUID AS $$
+BEGIN
+  RETURN (
+    SELECT tenant_id
+    FROM hrms_employees
+    WHERE employee_id = fn_hrms_portal_employee_id()
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- 2. hrms_employee_change_requests (Pending Profile Edits)
+-- =====================================================
+CREATE TABLE hrms_employee_change_requests (
+  request_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(business_id) ON DELETE SET NULL,
+  employee_id UUID NOT NULL REFERENCES hrms_employees(employee_id) ON DELETE CASCADE,
+
+  -- What is changing
+  change_type VARCHAR(20) NOT NULL,
+  address_type VARCHAR(50),
+  requested_values JSONB NOT NULL,
+  previous_values JSONB,
+  employee_note TEXT,
+
+  -- Review
+  request_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  review_notes TEXT,
+  reviewed_by UUID REFERENCES auth.users(id),
+  reviewed_at TIMESTAMPTZ,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_change_type CHECK (change_type IN ('contact', 'address')),
+  CONSTRAINT valid_change_address_type CHECK (
+    (change_type = 'contact' AND address_type IS NULL)
+    OR (change_type = 'address' AND address_type IN ('current', 'permanent', 'mailing'))
+  ),
+  CONSTRAINT valid_change_request_status CHECK (request_status IN ('pending', 'approved', 'rejected', 'cancelled'))
+);
+
+CREATE INDEX idx_hrms_change_requests_tenant ON hrms_employee_change_requests(tenant_id);
+CREATE INDEX idx_hrms_change_requests_employee ON hrms_employee_change_requests(employee_id);
+CREATE INDEX idx_hrms_change_requests_pending ON hrms_employee_change_requests(tenant_id, created_at)
+  WHERE request_status = 'pending';
+
+-- One open request per contact block / address type
+CREATE UNIQUE INDEX idx_hrms_change_requests_one_pending ON hrms_employee_change_requests(
+  employee_id, change_type, COALESCE(address_type, '')
+) WHERE request_status = 'pending';
+
+CREATE TRIGGER trg_hrms_employee_change_requests_updated_at
+  BEFORE UPDATE ON hrms_employee_change_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 3. Function: Submit a Change Request (portal)
+-- =====================================================
+-- Runs as definer because portal employees cannot read or write the
+-- tenant tables directly. A new request replaces the employee's
+-- pending request for the same contact block or address type.
+CREATE OR REPLACE FUNCTION submit_hrms_employee_change_request(
+  p_change_type VARCHAR,
+  p_requested_values JSONB,
+  p_address_type VARCHAR DEFAULT NULL,
+  p_employee_note TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_employee hrms_employees%ROWTYPE;
+  v_allowed TEXT[];
+  v_unknown TEXT;
+  v_previous JSONB;
+  v_request_id UUID;
+BEGIN
+  SELECT * INTO v_employee
+  FROM hrms_employees
+  WHERE employee_id = fn_hrms_portal_employee_id();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Portal access is not enabled for this login'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF p_change_type = 'contact' THEN
+    v_allowed := ARRAY['email', 'phone'];
+  ELSIF p_change_type = 'address' THEN
+    v_allowed := ARRAY['street_address_1', 'street_address_2', 'city_id', 'state_id',
+                       'country_id', 'postal_code', 'valid_from'];
+  ELSE
+    RAISE EXCEPTION 'Unknown change type %', p_change_type
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_requested_values IS NULL OR jsonb_typeof(p_requested_values) <> 'object'
+     OR p_requested_values = '{}'::JSONB THEN
+    RAISE EXCEPTION 'No changes requested'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT key INTO v_unknown
+  FROM jsonb_object_keys(p_requested_values) AS key
+  WHERE key <> ALL (v_allowed)
+  LIMIT 1;
+  IF v_unknown IS NOT NULL THEN
+    RAISE EXCEPTION 'Field % cannot be changed from the portal', v_unknown
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_change_type = 'contact' THEN
+    IF p_requested_values ? 'email'
+       AND COALESCE(p_requested_values->>'email', '') !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+      RAISE EXCEPTION 'Please enter a valid email address'
+        USING ERRCODE = '22023';
+    END IF;
+
+    v_previous := jsonb_build_object('email', v_employee.email, 'phone', v_employee.phone);
+  ELSE
+    IF p_address_type NOT IN ('current', 'permanent', 'mailing') THEN
+      RAISE EXCEPTION 'Unknown address type %', p_address_type
+        USING ERRCODE = '22023';
+    END IF;
+
+    SELECT to_jsonb(a) - ARRAY['tenant_id', 'business_id', 'employee_id', 'created_at',
+                               'updated_at', 'created_by', 'updated_by']
+    INTO v_previous
+    FROM hrms_employee_addresses a
+    WHERE a.employee_id = v_employee.employee_id
+      AND a.address_type = p_address_type
+      AND a.is_current = true
+    ORDER BY a.valid_from DESC
+    LIMIT 1;
+  END IF;
+
+  UPDATE hrms_employee_change_requests
+  SET request_status = 'cancelled',
+      updated_by = auth.uid()
+  WHERE employee_id = v_employee.employee_id
+    AND change_type = p_change_type
+    AND address_type IS NOT DISTINCT FROM (CASE WHEN p_change_type = 'address' THEN p_address_type END)
+    AND request_status = 'pending';
+
+  INSERT INTO hrms_employee_change_requests (
+    tenant_id, business_id, employee_id, change_type, address_type,
+    requested_values, previous_values, employee_note, created_by
+  ) VALUES (
+    v_employee.tenant_id, v_employee.business_id, v_employee.employee_id, p_change_type,
+    CASE WHEN p_change_type = 'address' THEN p_address_type END,
+    p_requested_values, v_previous, NULLIF(TRIM(p_employee_note), ''), auth.uid()
+  )
+  RETURNING request_id INTO v_request_id;
+
+  RETURN v_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION submit_hrms_employee_change_request(VARCHAR, JSONB, VARCHAR, TEXT) TO authenticated;
+
+-- =====================================================
+-- 4. Function: Approve or Reject a Change Request (HR)
+-- =====================================================
+CREATE OR REPLACE FUNCTION review_hrms_employee_change_request(
+  p_request_id UUID,
+  p_approve BOOLEAN,
+  p_review_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_request hrms_employee_change_requests%ROWTYPE;
+  v_values JSONB;
+  v_valid_from DATE;
+  v_address_id UUID;
+BEGIN
+  SELECT * INTO v_request
+  FROM hrms_employee_change_requests
+  WHERE request_id = p_request_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Change request % not found', p_request_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF (v_request.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() OR NOT fn_hrms_is_hr_staff(auth.uid()))
+     AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to review change requests for tenant %', v_request.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_request.request_status <> 'pending' THEN
+    RAISE EXCEPTION 'Change request is already %', v_request.request_status
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT p_approve AND NULLIF(TRIM(p_review_notes), '') IS NULL THEN
+    RAISE EXCEPTION 'A reason is required to reject a change request'
+      USING ERRCODE = '22023';
+  END IF;
+
+  v_values := v_request.requested_values;
+
+  IF p_approve AND v_request.change_type = 'contact' THEN
+    UPDATE hrms_employees
+    SET email = CASE WHEN v_values ? 'email' THEN LOWER(TRIM(v_values->>'email')) ELSE email END,
+        phone = CASE WHEN v_values ? 'phone' THEN NULLIF(TRIM(v_values->>'phone'), '') ELSE phone END,
+        updated_by = auth.uid()
+    WHERE employee_id = v_request.employee_id;
+  ELSIF p_approve THEN
+    v_valid_from := COALESCE(NULLIF(v_values->>'valid_from', '')::DATE, CURRENT_DATE);
+
+    UPDATE hrms_employee_addresses
+    SET is_current = false,
+        valid_to = GREATEST(valid_from, v_valid_from - 1),
+        updated_by = auth.uid()
+    WHERE employee_id = v_request.employee_id
+      AND address_type = v_request.address_type
+      AND is_current = true;
+
+    INSERT INTO hrms_employee_addresses (
+      tenant_id, business_id, employee_id, address_type,
+      street_address_1, street_address_2, city_id, state_id, country_id, postal_code,
+      valid_from, is_current, created_by, updated_by
+    ) VALUES (
+      v_request.tenant_id, v_request.business_id, v_request.employee_id, v_request.address_type,
+      NULLIF(v_values->>'street_address_1', ''), NULLIF(v_values->>'street_address_2', ''),
+      NULLIF(v_values->>'city_id', '')::UUID, NULLIF(v_values->>'state_id', '')::UUID,
+      NULLIF(v_values->>'country_id', '')::UUID, NULLIF(v_values->>'postal_code', ''),
+      v_valid_from, true, auth.uid(), auth.uid()
+    )
+    RETURNING address_id INTO v_address_id;
+  END IF;
+
+  UPDATE hrms_employee_change_requests
+  SET request_status = CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      review_notes = NULLIF(TRIM(p_review_notes), ''),
+      reviewed_by = auth.uid(),
+      reviewed_at = NOW(),
+      updated_by = auth.uid()
+  WHERE request_id = p_request_id;
+
+  RETURN jsonb_build_object(
+    'request_id', p_request_id,
+    'request_status', CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+    'address_id', v_address_id
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION review_hrms_employee_change_request(UUID, BOOLEAN, TEXT) TO authenticated;
+
+-- =====================================================
+-- 5. Function: Acknowledge a Performance Review (portal)
+-- =====================================================
+-- Definer for the same reason as section 3; only the reviewed
+-- employee can acknowledge, and only once the review is submitted.
+CREATE OR REPLACE FUNCTION acknowledge_hrms_performance_review(
+  p_report_id UUID,
+  p_employee_comments TEXT DEFAULT NULL
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  v_report hrms_performance_reports%ROWTYPE;
+  v_acknowledged_at TIMESTAMPTZ := NOW();
+BEGIN
+  SELECT * INTO v_report
+  FROM hrms_performance_reports
+  WHERE report_id = p_report_id
+    AND employee_id = fn_hrms_portal_employee_id()
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Performance review % not found', p_report_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_report.acknowledged_by_employee THEN
+    RAISE EXCEPTION 'This review was already acknowledged'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_report.review_status <> 'submitted' THEN
+    RAISE EXCEPTION 'Only submitted reviews can be acknowledged'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_performance_reports
+  SET acknowledged_by_employee = true,
+      acknowledged_at = v_acknowledged_at,
+      review_status = 'acknowledged',
+      employee_comments = COALESCE(NULLIF(TRIM(p_employee_comments), ''), employee_comments),
+      updated_by = auth.uid()
+  WHERE report_id = p_report_id;
+
+  RETURN v_acknowledged_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION acknowledge_hrms_performance_review(UUID, TEXT) TO authenticated;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_employee_change_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_employee_change_requests_tenant_select" ON hrms_employee_change_requests
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_employee_change_requests_employee_select" ON hrms_employee_change_requests
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+-- Portal employees: their own records
+CREATE POLICY "hrms_employees_employee_select" ON hrms_employees
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+CREATE POLICY "hrms_employee_addresses_employee_select" ON hrms_employee_addresses
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+CREATE POLICY "hrms_visa_statuses_employee_select" ON hrms_visa_statuses
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+CREATE POLICY "hrms_dependents_employee_select" ON hrms_dependents
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+CREATE POLICY "hrms_performance_reports_employee_select" ON hrms_performance_reports
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id() AND review_status <> 'draft');
+
+CREATE POLICY "hrms_documents_employee_select" ON hrms_documents
+  FOR SELECT USING (
+    entity_type = 'employee'
+    AND entity_id = fn_hrms_portal_employee_id()
+    AND visible_to_employee_flag = true
+  );
+
+CREATE POLICY "hrms_documents_employee_insert" ON hrms_documents
+  FOR INSERT WITH CHECK (
+    tenant_id = fn_hrms_portal_tenant_id()
+    AND entity_type = 'employee'
+    AND entity_id = fn_hrms_portal_employee_id()
+    AND checklist_item_id IS NOT NULL
+    AND visible_to_employee_flag = true
+    AND uploaded_by = auth.uid()
+  );
+
+-- Checklist definitions, to list the documents HR is asking for
+CREATE POLICY "hrms_checklist_types_employee_select" ON hrms_checklist_types
+  FOR SELECT USING (tenant_id = fn_hrms_portal_tenant_id());
+
+CREATE POLICY "hrms_checklist_templates_employee_select" ON hrms_checklist_templates
+  FOR SELECT USING (tenant_id = fn_hrms_portal_tenant_id());
+
+CREATE POLICY "hrms_checklist_groups_employee_select" ON hrms_checklist_groups
+  FOR SELECT USING (tenant_id = fn_hrms_portal_tenant_id());
+
+CREATE POLICY "hrms_checklist_items_employee_select" ON hrms_checklist_items
+  FOR SELECT USING (tenant_id = fn_hrms_portal_tenant_id() AND visible_to_employee_flag = true);
+
+-- =====================================================
+-- Storage: Portal Employee Document Files
+-- =====================================================
+-- Portal employees upload only under employee/<their employee_id>/ in
+-- the documents bucket. From that folder they can read the files they
+-- uploaded and the files of documents shared with them; files HR keeps
+-- hidden stay unreadable even though they share the folder.
+CREATE POLICY "hrms_documents_bucket_employee_select" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'documents'
+    AND (storage.foldername(name))[1] = 'employee'
+    AND (storage.foldername(name))[2] = fn_hrms_portal_employee_id()::TEXT
+    AND (
+      owner = auth.uid()
+      OR EXISTS (
+        SELECT 1 FROM hrms_documents d
+        WHERE d.file_path = 'documents/' || storage.objects.name
+          AND d.entity_type = 'employee'
+          AND d.entity_id = fn_hrms_portal_employee_id()
+          AND d.visible_to_employee_flag = true
+      )
+    )
+  );
+
+CREATE POLICY "hrms_documents_bucket_employee_insert" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'documents'
+    AND (storage.foldername(name))[1] = 'employee'
+    AND (storage.foldername(name))[2] = fn_hrms_portal_employee_id()::TEXT
+  );
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_employee_change_requests IS 'Contact and address edits filed from the employee portal, applied on HR approval';
+COMMENT ON COLUMN hrms_employee_change_requests.requested_values IS 'contact: email, phone; address: street_address_1/2, city_id, state_id, country_id, postal_code, valid_from';
+COMMENT ON COLUMN hrms_employee_change_requests.previous_values IS 'Snapshot of the values at request time, shown to the reviewer';
+COMMENT ON FUNCTION fn_hrms_portal_employee_id() IS 'Employee record of the signed-in portal user; NULL when portal access is revoked';
+COMMENT ON FUNCTION submit_hrms_employee_change_request(VARCHAR, JSONB, VARCHAR, TEXT) IS 'Files a contact or address change for HR approval, replacing any pending request of the same kind';
+COMMENT ON FUNCTION review_hrms_employee_change_request(UUID, BOOLEAN, TEXT) IS 'Approves (and applies) or rejects a pending employee change request';
+COMMENT ON FUNCTION acknowledge_hrms_performance_review(UUID, TEXT) IS 'Marks a submitted review as acknowledged by the reviewed employee';
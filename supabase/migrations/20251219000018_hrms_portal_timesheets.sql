@@ -0,0 +1,347 @@
+-- =====================================================
+-- HRMS Portal Timesheet Entry Migration
+-- =====================================================
+-- Functions: get_hrms_portal_projects, save_hrms_timesheet_entries,
+--            submit_hrms_timesheet,
+--            fn_hrms_lock_submitted_timesheet_entries
+--
+-- Consultants fill in their own timesheets from the employee portal:
+-- one timesheet per project and period (daily, weekly or monthly),
+-- with hours per day and entry type. Entries are saved as a draft
+-- and then submitted, which moves the timesheet from 'draft' to
+-- 'submitted' and stamps submitted_at.
+--
+-- Once a timesheet is submitted (or approved) its entries are locked
+-- for everyone; a rejected timesheet opens up again for corrections.
+-- The client-approved timesheet is attached as an hrms_documents row
+-- with entity_type 'timesheet' (stored under
+-- timesheet/<employee_id>/<timesheet_id>/ in the documents bucket).
+--
+-- Project rows carry bill and pay rates, so the portal never reads
+-- hrms_projects directly; it lists its projects through
+-- get_hrms_portal_projects().
+-- =====================================================
+
+-- =====================================================
+-- 1. Lock Entries of Submitted Timesheets
+-- =====================================================
+-- A missing parent means the timesheet itself is being deleted and
+-- its entries are going with it.
+CREATE OR REPLACE FUNCTION fn_hrms_lock_submitted_timesheet_entries()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_status VARCHAR(50);
+BEGIN
+  SELECT submission_status INTO v_status
+  FROM hrms_timesheets
+  WHERE timesheet_id = COALESCE(NEW.timesheet_id, OLD.timesheet_id);
+
+  IF v_status IN ('submitted', 'approved') THEN
+    RAISE EXCEPTION 'Entries of a % timesheet can no longer be changed', v_status
+      USING ERRCODE = '22023';
+  END IF;
+
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_timesheet_entries_lock
+  BEFORE INSERT OR UPDATE OR DELETE ON hrms_timesheet_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_lock_submitted_timesheet_entries();
+
+-- =====================================================
+-- 2. Function: List the Employee's Projects (portal)
+-- =====================================================
+-- Definer so the portal gets the project names without the rate
+-- columns of hrms_projects.
+CREATE OR REPLACE FUNCTION get_hrms_portal_projects()
+RETURNS TABLE (
+  project_id UUID,
+  project_name VARCHAR(255),
+  project_code VARCHAR(100),
+  end_client_name VARCHAR(255),
+  project_start_date DATE,
+  project_end_date DATE,
+  project_status VARCHAR(50)
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    p.project_id,
+    p.project_name,
+    p.project_code,
+    p.end_client_name,
+    p.project_start_date,
+    p.project_end_date,
+    p.project_status
+  FROM hrms_projects p
+  WHERE p.employee_id = fn_hrms_portal_employee_id()
+    AND p.project_status IN ('active', 'completed', 'on_hold')
+  ORDER BY p.project_start_date DESC NULLS LAST, p.project_name;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_hrms_portal_projects() TO authenticated;
+
+-- =====================================================
+-- 3. Function: Save Timesheet Entries (portal)
+-- =====================================================
+-- Definer because portal employees cannot write the tenant tables
+-- directly. Finds (or starts) the employee's timesheet for the
+-- project and period and replaces its entries with p_entries:
+--   [{ work_date, entry_type, hours_worked, task_description }]
+-- Weekly periods start on Monday and monthly periods on the 1st.
+-- Saving a rejected timesheet turns it back into a draft.
+CREATE OR REPLACE FUNCTION save_hrms_timesheet_entries(
+  p_project_id UUID,
+  p_timesheet_type VARCHAR,
+  p_period_start_date DATE,
+  p_entries JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+  v_employee hrms_employees%ROWTYPE;
+  v_project hrms_projects%ROWTYPE;
+  v_period_end DATE;
+  v_timesheet hrms_timesheets%ROWTYPE;
+  v_invalid TEXT;
+BEGIN
+  SELECT * INTO v_employee
+  FROM hrms_employees
+  WHERE employee_id = fn_hrms_portal_employee_id();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Portal access is not enabled for this login'
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_project
+  FROM hrms_projects
+  WHERE project_id = p_project_id
+    AND employee_id = v_employee.employee_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Project % not found', p_project_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_timesheet_type = 'daily' THEN
+    v_period_end := p_period_start_date;
+  ELSIF p_timesheet_type = 'weekly' THEN
+    IF EXTRACT(ISODOW FROM p_period_start_date) <> 1 THEN
+      RAISE EXCEPTION 'Weekly timesheets start on a Monday'
+        USING ERRCODE = '22023';
+    END IF;
+    v_period_end := p_period_start_date + 6;
+  ELSIF p_timesheet_type = 'monthly' THEN
+    IF EXTRACT(DAY FROM p_period_start_date) <> 1 THEN
+      RAISE EXCEPTION 'Monthly timesheets start on the first of the month'
+        USING ERRCODE = '22023';
+    END IF;
+    v_period_end := (p_period_start_date + INTERVAL '1 month' - INTERVAL '1 day')::DATE;
+  ELSE
+    RAISE EXCEPTION 'Unknown timesheet type %', p_timesheet_type
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_entries IS NULL OR jsonb_typeof(p_entries) <> 'array' THEN
+    RAISE EXCEPTION 'Entries must be a list'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT e->>'work_date' INTO v_invalid
+  FROM jsonb_array_elements(p_entries) AS e
+  WHERE (e->>'work_date')::DATE NOT BETWEEN p_period_start_date AND v_period_end
+  LIMIT 1;
+  IF v_invalid IS NOT NULL THEN
+    RAISE EXCEPTION '% is outside the timesheet period', v_invalid
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT e->>'entry_type' INTO v_invalid
+  FROM jsonb_array_elements(p_entries) AS e
+  WHERE COALESCE(e->>'entry_type', '') NOT IN ('regular', 'overtime', 'holiday', 'sick', 'vacation')
+  LIMIT 1;
+  IF FOUND THEN
+    RAISE EXCEPTION 'Unknown entry type %', v_invalid
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(p_entries) AS e
+    WHERE (e->>'hours_worked')::DECIMAL NOT BETWEEN 0 AND 24
+  ) THEN
+    RAISE EXCEPTION 'Hours must be between 0 and 24'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT e->>'work_date' INTO v_invalid
+  FROM jsonb_array_elements(p_entries) AS e
+  GROUP BY e->>'work_date'
+  HAVING SUM((e->>'hours_worked')::DECIMAL) > 24
+  LIMIT 1;
+  IF v_invalid IS NOT NULL THEN
+    RAISE EXCEPTION 'More than 24 hours entered on %', v_invalid
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_timesheet
+  FROM hrms_timesheets
+  WHERE employee_id = v_employee.employee_id
+    AND project_id = p_project_id
+    AND timesheet_type = p_timesheet_type
+    AND period_start_date = p_period_start_date
+  ORDER BY created_at
+  LIMIT 1
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    INSERT INTO hrms_timesheets (
+      tenant_id, business_id, employee_id, project_id, timesheet_type,
+      period_start_date, period_end_date, submission_status, created_by
+    ) VALUES (
+      v_employee.tenant_id, COALESCE(v_project.business_id, v_employee.business_id),
+      v_employee.employee_id, p_project_id, p_timesheet_type,
+      p_period_start_date, v_period_end, 'draft', auth.uid()
+    )
+    RETURNING * INTO v_timesheet;
+  ELSIF v_timesheet.submission_status NOT IN ('draft', 'rejected') THEN
+    RAISE EXCEPTION 'This timesheet was already submitted and can no longer be edited'
+      USING ERRCODE = '22023';
+  ELSIF v_timesheet.submission_status = 'rejected' THEN
+    UPDATE hrms_timesheets
+    SET submission_status = 'draft',
+        updated_by = auth.uid()
+    WHERE timesheet_id = v_timesheet.timesheet_id;
+  END IF;
+
+  DELETE FROM hrms_timesheet_entries
+  WHERE timesheet_id = v_timesheet.timesheet_id;
+
+  INSERT INTO hrms_timesheet_entries (
+    tenant_id, timesheet_id, work_date, hours_worked, task_description, entry_type
+  )
+  SELECT
+    v_timesheet.tenant_id,
+    v_timesheet.timesheet_id,
+    (e->>'work_date')::DATE,
+    (e->>'hours_worked')::DECIMAL,
+    NULLIF(TRIM(e->>'task_description'), ''),
+    e->>'entry_type'
+  FROM jsonb_array_elements(p_entries) AS e
+  WHERE (e->>'hours_worked')::DECIMAL > 0;
+
+  RETURN v_timesheet.timesheet_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION save_hrms_timesheet_entries(UUID, VARCHAR, DATE, JSONB) TO authenticated;
+
+-- =====================================================
+-- 4. Function: Submit a Timesheet (portal)
+-- =====================================================
+-- Definer for the same reason as section 3. Only drafts with hours
+-- can be submitted; the entries lock from here on.
+CREATE OR REPLACE FUNCTION submit_hrms_timesheet(p_timesheet_id UUID)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  v_timesheet hrms_timesheets%ROWTYPE;
+  v_submitted_at TIMESTAMPTZ := NOW();
+BEGIN
+  SELECT * INTO v_timesheet
+  FROM hrms_timesheets
+  WHERE timesheet_id = p_timesheet_id
+    AND employee_id = fn_hrms_portal_employee_id()
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Timesheet % not found', p_timesheet_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_timesheet.submission_status <> 'draft' THEN
+    RAISE EXCEPTION 'Only draft timesheets can be submitted'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM hrms_timesheet_entries
+    WHERE timesheet_id = p_timesheet_id
+      AND hours_worked > 0
+  ) THEN
+    RAISE EXCEPTION 'Enter your hours before submitting'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_timesheets
+  SET submission_status = 'submitted',
+      submitted_at = v_submitted_at,
+      rejection_reason = NULL,
+      updated_by = auth.uid()
+  WHERE timesheet_id = p_timesheet_id;
+
+  RETURN v_submitted_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION submit_hrms_timesheet(UUID) TO authenticated;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+CREATE POLICY "hrms_timesheets_employee_select" ON hrms_timesheets
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+CREATE POLICY "hrms_timesheet_entries_employee_select" ON hrms_timesheet_entries
+  FOR SELECT USING (
+    timesheet_id IN (
+      SELECT timesheet_id FROM hrms_timesheets
+      WHERE employee_id = fn_hrms_portal_employee_id()
+    )
+  );
+
+-- Client-approved timesheets: visible on the employee's own timesheets,
+-- attachable until the timesheet is submitted
+CREATE POLICY "hrms_documents_employee_timesheet_select" ON hrms_documents
+  FOR SELECT USING (
+    entity_type = 'timesheet'
+    AND entity_id IN (
+      SELECT timesheet_id FROM hrms_timesheets
+      WHERE employee_id = fn_hrms_portal_employee_id()
+    )
+  );
+
+CREATE POLICY "hrms_documents_employee_timesheet_insert" ON hrms_documents
+  FOR INSERT WITH CHECK (
+    tenant_id = fn_hrms_portal_tenant_id()
+    AND entity_type = 'timesheet'
+    AND entity_id IN (
+      SELECT timesheet_id FROM hrms_timesheets
+      WHERE employee_id = fn_hrms_portal_employee_id()
+        AND submission_status IN ('draft', 'rejected')
+    )
+    AND uploaded_by = auth.uid()
+  );
+
+-- Timesheet files: only under timesheet/<their employee_id>/ in the
+-- documents bucket
+CREATE POLICY "hrms_timesheet_files_employee_select" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'documents'
+    AND (storage.foldername(name))[1] = 'timesheet'
+    AND (storage.foldername(name))[2] = fn_hrms_portal_employee_id()::TEXT
+  );
+
+CREATE POLICY "hrms_timesheet_files_employee_insert" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'documents'
+    AND (storage.foldername(name))[1] = 'timesheet'
+    AND (storage.foldername(name))[2] = fn_hrms_portal_employee_id()::TEXT
+  );
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON FUNCTION fn_hrms_lock_submitted_timesheet_entries() IS 'Rejects entry changes once the timesheet is submitted or approved';
+COMMENT ON FUNCTION get_hrms_portal_projects() IS 'Projects of the signed-in portal employee, without rate columns';
+COMMENT ON FUNCTION save_hrms_timesheet_entries(UUID, VARCHAR, DATE, JSONB) IS 'Creates or updates the employee''s draft timesheet for a project and period, replacing its entries';
+COMMENT ON FUNCTION submit_hrms_timesheet(UUID) IS 'Moves a draft timesheet to submitted and stamps submitted_at';
@@ -0,0 +1,42 @@
+-- =====================================================
+-- HRMS AI Document Parsing Migration
+-- =====================================================
+-- Seeds: document_field_extraction prompt (hrms_ai_prompts)
+--
+-- The parseDocument edge function reads uploaded passports, I-94s and
+-- I-797 notices with the tenant's 'document' category prompt and stores
+-- the extracted fields in hrms_documents.ai_parsed_data, together with
+-- proposed start/expiry dates that HR can accept with one click.
+-- Parsing can be switched off per checklist type or checklist item
+-- (enable_ai_parsing). The prompt is matched by prompt_key; the model,
+-- temperature and token limit come from the prompt row.
+-- =====================================================
+
+-- =====================================================
+-- 1. Seed Document Extraction Prompt
+-- =====================================================
+INSERT INTO hrms_ai_prompts (
+  tenant_id, prompt_name, prompt_key, prompt_description, system_prompt,
+  ai_model, temperature, max_tokens, prompt_category, is_system_prompt, is_active,
+  available_variables
+)
+SELECT
+  t.tenant_id,
+  'Document Field Extraction',
+  'document_field_extraction',
+  'Reads uploaded immigration documents (passport, I-94, I-797) into structured fields',
+  'You are an immigration paralegal reading documents for a US staffing company. Extract only what is printed on the document; never guess or infer a value. Copy document numbers exactly as printed. If a field is missing, unreadable or does not apply, return null for it. Reply with JSON only, no commentary.',
+  'anthropic/claude-sonnet-4-5',
+  0,
+  1500,
+  'document',
+  true,
+  true,
+  '[]'::jsonb
+FROM tenants t
+ON CONFLICT (tenant_id, prompt_key) DO NOTHING;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN hrms_documents.ai_parsed_data IS 'parseDocument output: { document_kind, fields, proposed: { start_date, expiry_date }, warnings, prompt_key }';
@@ -0,0 +1,325 @@
+-- =====================================================
+-- HRMS Employee Checklist Assignment Migration
+-- =====================================================
+-- Tables: hrms_employee_checklists
+-- Functions: fn_hrms_matching_checklist_templates,
+--            fn_hrms_sync_employee_checklists,
+--            get_hrms_missing_required_documents
+-- Seeds: hrms_email_templates checklist_missing_documents
+--
+-- Every employee gets one checklist per active employee checklist type
+-- (target_entity_type = 'employee'). The template is the active one of
+-- that type for the employee's employee_type; a template without an
+-- employee type applies to everyone unless the checklist type requires
+-- one. Business-specific templates win over tenant-wide ones, then the
+-- oldest template. Assignments are kept in sync by triggers when an
+-- employee's type or business changes and when templates or types are
+-- added, switched on/off or deleted.
+--
+-- Completion is never stored. An item is complete while the employee
+-- has a current (is_current_version) active or expired document with
+-- its checklist_item_id; only is_required items count towards progress
+-- and the missing documents report. Reminder emails are sent by the
+-- sendChecklistReminders edge function, which stamps
+-- last_reminder_sent_at / reminder_sent_count on the assignment.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_employee_checklists
+-- =====================================================
+CREATE TABLE hrms_employee_checklists (
+  employee_checklist_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES hrms_employees(employee_id) ON DELETE CASCADE,
+  checklist_type_id UUID NOT NULL REFERENCES hrms_checklist_types(checklist_type_id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES hrms_checklist_templates(template_id) ON DELETE CASCADE,
+
+  assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Reminders (sendChecklistReminders)
+  last_reminder_sent_at TIMESTAMPTZ,
+  reminder_sent_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT unique_employee_checklist_type UNIQUE (employee_id, checklist_type_id)
+);
+
+CREATE INDEX idx_hrms_employee_checklists_tenant ON hrms_employee_checklists(tenant_id);
+CREATE INDEX idx_hrms_employee_checklists_template ON hrms_employee_checklists(template_id);
+
+CREATE TRIGGER trg_hrms_employee_checklists_updated_at
+  BEFORE UPDATE ON hrms_employee_checklists
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- Required-item lookups by employee document
+CREATE INDEX IF NOT EXISTS idx_hrms_docs_entity_checklist_item
+  ON hrms_documents(entity_id, checklist_item_id)
+  WHERE entity_type = 'employee' AND is_current_version = true;
+
+-- =====================================================
+-- 2. Function: Template Each Employee Should Have
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_matching_checklist_templates(p_tenant_id UUID, p_employee_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  employee_id UUID,
+  checklist_type_id UUID,
+  template_id UUID
+) AS $$
+  SELECT DISTINCT ON (e.employee_id, ct.checklist_type_id)
+    e.employee_id,
+    ct.checklist_type_id,
+    t.template_id
+  FROM hrms_employees e
+  JOIN hrms_checklist_types ct
+    ON ct.tenant_id = e.tenant_id
+   AND ct.target_entity_type = 'employee'
+   AND ct.is_active = true
+  JOIN hrms_checklist_templates t
+    ON t.checklist_type_id = ct.checklist_type_id
+   AND t.is_active = true
+   AND (
+     t.employee_type = e.employee_type
+     OR (t.employee_type IS NULL AND NOT COALESCE(ct.require_employee_type, false))
+   )
+   AND (t.business_id IS NULL OR t.business_id = e.business_id)
+  WHERE e.tenant_id = p_tenant_id
+    AND (p_employee_id IS NULL OR e.employee_id = p_employee_id)
+    AND e.deleted_at IS NULL
+  ORDER BY
+    e.employee_id,
+    ct.checklist_type_id,
+    (t.employee_type IS NULL),
+    (t.business_id IS NULL),
+    t.created_at,
+    t.template_id;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 3. Function: Sync Checklist Assignments
+-- =====================================================
+-- Runs as definer so trigger-driven syncs work whoever edits the
+-- employee or template. Switching an employee to another template
+-- restarts its reminder count.
+CREATE OR REPLACE FUNCTION fn_hrms_sync_employee_checklists(p_tenant_id UUID, p_employee_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  WITH matches AS (
+    SELECT * FROM fn_hrms_matching_checklist_templates(p_tenant_id, p_employee_id)
+  )
+  DELETE FROM hrms_employee_checklists ec
+  WHERE ec.tenant_id = p_tenant_id
+    AND (p_employee_id IS NULL OR ec.employee_id = p_employee_id)
+    AND NOT EXISTS (
+      SELECT 1
+      FROM matches m
+      WHERE m.employee_id = ec.employee_id
+        AND m.checklist_type_id = ec.checklist_type_id
+    );
+
+  INSERT INTO hrms_employee_checklists (tenant_id, employee_id, checklist_type_id, template_id)
+  SELECT p_tenant_id, m.employee_id, m.checklist_type_id, m.template_id
+  FROM fn_hrms_matching_checklist_templates(p_tenant_id, p_employee_id) m
+  ON CONFLICT (employee_id, checklist_type_id) DO UPDATE
+    SET template_id = EXCLUDED.template_id,
+        assigned_at = NOW(),
+        last_reminder_sent_at = NULL,
+        reminder_sent_count = 0
+    WHERE hrms_employee_checklists.template_id IS DISTINCT FROM EXCLUDED.template_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_sync_employee_checklists(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_sync_employee_checklists(UUID, UUID) TO service_role;
+
+-- =====================================================
+-- 4. Triggers: Keep Assignments in Sync
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_sync_checklists_for_employee()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM fn_hrms_sync_employee_checklists(NEW.tenant_id, NEW.employee_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_employees_sync_checklists
+  AFTER INSERT OR UPDATE OF employee_type, business_id, deleted_at ON hrms_employees
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_sync_checklists_for_employee();
+
+-- Template and type changes can move every employee of the tenant
+CREATE OR REPLACE FUNCTION fn_hrms_sync_checklists_for_tenant()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM fn_hrms_sync_employee_checklists(COALESCE(NEW.tenant_id, OLD.tenant_id));
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_checklist_templates_sync_checklists
+  AFTER INSERT OR DELETE OR UPDATE OF is_active, employee_type, business_id, checklist_type_id
+  ON hrms_checklist_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_sync_checklists_for_tenant();
+
+CREATE TRIGGER trg_hrms_checklist_types_sync_checklists
+  AFTER UPDATE OF is_active, target_entity_type, require_employee_type ON hrms_checklist_types
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_sync_checklists_for_tenant();
+
+-- =====================================================
+-- 5. Backfill Existing Employees
+-- =====================================================
+SELECT fn_hrms_sync_employee_checklists(tenant_id) FROM tenants;
+
+-- =====================================================
+-- 6. Function: Missing Required Documents Report
+-- =====================================================
+-- One row per required checklist item an active (or on leave) employee
+-- has not uploaded, with the progress of the checklist it belongs to.
+CREATE OR REPLACE FUNCTION get_hrms_missing_required_documents(
+  p_tenant_id UUID,
+  p_business_id UUID DEFAULT NULL,
+  p_employee_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  employee_id UUID,
+  employee_name TEXT,
+  employee_code TEXT,
+  employee_email TEXT,
+  employee_type TEXT,
+  employee_user_id UUID,
+  business_id UUID,
+  employee_checklist_id UUID,
+  template_name TEXT,
+  required_items INTEGER,
+  required_completed INTEGER,
+  last_reminder_sent_at TIMESTAMPTZ,
+  reminder_sent_count INTEGER,
+  item_id UUID,
+  item_name TEXT,
+  group_name TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view missing documents for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  WITH required AS (
+    SELECT
+      ec.employee_checklist_id,
+      ec.employee_id,
+      ec.template_id,
+      ec.last_reminder_sent_at,
+      ec.reminder_sent_count,
+      i.item_id,
+      i.item_name,
+      i.display_order AS item_order,
+      g.group_name,
+      g.display_order AS group_order,
+      EXISTS (
+        SELECT 1
+        FROM hrms_documents d
+        WHERE d.entity_type = 'employee'
+          AND d.entity_id = ec.employee_id
+          AND d.checklist_item_id = i.item_id
+          AND d.is_current_version = true
+          AND d.document_status IN ('active', 'expired')
+      ) AS is_uploaded
+    FROM hrms_employee_checklists ec
+    JOIN hrms_checklist_items i
+      ON i.template_id = ec.template_id
+     AND i.is_required = true
+    LEFT JOIN hrms_checklist_groups g ON g.group_id = i.group_id
+    WHERE ec.tenant_id = p_tenant_id
+      AND (p_employee_ids IS NULL OR ec.employee_id = ANY(p_employee_ids))
+  ),
+  progress AS (
+    SELECT
+      r.employee_checklist_id,
+      COUNT(*)::INTEGER AS required_items,
+      (COUNT(*) FILTER (WHERE r.is_uploaded))::INTEGER AS required_completed
+    FROM required r
+    GROUP BY r.employee_checklist_id
+  )
+  SELECT
+    e.employee_id,
+    TRIM(CONCAT(e.first_name, ' ', e.last_name))::TEXT,
+    e.employee_code::TEXT,
+    e.email::TEXT,
+    e.employee_type::TEXT,
+    e.user_id,
+    e.business_id,
+    r.employee_checklist_id,
+    t.template_name::TEXT,
+    p.required_items,
+    p.required_completed,
+    r.last_reminder_sent_at,
+    r.reminder_sent_count,
+    r.item_id,
+    r.item_name::TEXT,
+    r.group_name::TEXT
+  FROM required r
+  JOIN progress p ON p.employee_checklist_id = r.employee_checklist_id
+  JOIN hrms_employees e ON e.employee_id = r.employee_id
+  JOIN hrms_checklist_templates t ON t.template_id = r.template_id
+  WHERE NOT r.is_uploaded
+    AND e.deleted_at IS NULL
+    AND e.employment_status IN ('active', 'on_leave')
+    AND (p_business_id IS NULL OR e.business_id = p_business_id)
+  ORDER BY e.last_name, e.first_name, t.template_name, r.group_order NULLS LAST, r.item_order;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_hrms_missing_required_documents(UUID, UUID, UUID[]) TO authenticated;
+
+-- =====================================================
+-- 7. Seed Reminder Email Template
+-- =====================================================
+INSERT INTO hrms_email_templates (
+  tenant_id, template_name, template_key, template_category,
+  subject, body_html, body_text, is_system_template, is_active, available_variables
+)
+SELECT
+  t.tenant_id,
+  'Missing Checklist Documents',
+  'checklist_missing_documents',
+  'compliance',
+  'Action Required: {{missing_count}} Document(s) Still Needed',
+  '<h2>Documents Still Needed</h2><p>Dear {{employee_name}},</p><p>We are still waiting for the following required documents:</p><p>{{missing_documents}}</p><p>Please upload them from the Documents page of the employee portal.</p><p>Thank you,<br>HR Team</p>',
+  E'Dear {{employee_name}},\n\nWe are still waiting for the following required documents:\n\n{{missing_documents}}\n\nPlease upload them from the Documents page of the employee portal.\n\nThank you,\nHR Team',
+  true,
+  true,
+  '[{"name": "employee_name"}, {"name": "missing_count"}, {"name": "missing_documents"}]'::jsonb
+FROM tenants t
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_employee_checklists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_employee_checklists_tenant_select" ON hrms_employee_checklists
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_employee_checklists_tenant_update" ON hrms_employee_checklists
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+-- Portal employees see which checklists they have been given
+CREATE POLICY "hrms_employee_checklists_employee_select" ON hrms_employee_checklists
+  FOR SELECT USING (employee_id = fn_hrms_portal_employee_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_employee_checklists IS 'Checklist template assigned to each employee per employee checklist type; kept in sync by triggers';
+COMMENT ON FUNCTION fn_hrms_matching_checklist_templates(UUID, UUID) IS 'Template each employee should have per active employee checklist type (employee type, then business, then oldest)';
+COMMENT ON FUNCTION fn_hrms_sync_employee_checklists(UUID, UUID) IS 'Adds, switches and removes employee checklist assignments to match the active templates';
+COMMENT ON FUNCTION get_hrms_missing_required_documents(UUID, UUID, UUID[]) IS 'Required checklist items active employees have not uploaded, with checklist progress and reminder history';
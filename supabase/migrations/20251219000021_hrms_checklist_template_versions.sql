@@ -0,0 +1,850 @@
+-- =====================================================
+-- HRMS Checklist Template Versioning Migration
+-- =====================================================
+-- Tables: hrms_checklist_template_versions
+-- Columns: hrms_checklist_groups.version_id / lineage_id,
+--          hrms_checklist_items.version_id / lineage_id,
+--          hrms_employee_checklists.version_id
+-- Functions: create_hrms_checklist_template_draft,
+--            publish_hrms_checklist_template_version,
+--            migrate_hrms_employee_checklists
+--
+-- A template's groups and items now belong to a version. Only a draft
+-- version can be edited; publishing it supersedes the previous
+-- published version, whose groups and items stay read-only so the
+-- checklist_item_id of documents already uploaded against them keeps
+-- pointing somewhere. A template has at most one draft and one
+-- published version at a time.
+--
+-- Employee checklist assignments are pinned to the version they were
+-- given. New assignments get the published version; existing ones stay
+-- where they are until HR moves them with
+-- migrate_hrms_employee_checklists, which repoints their documents
+-- from the old items to the new ones using an explicit item map.
+-- Items and groups copied into a draft keep the lineage_id of the item
+-- they came from, which is what version diffs and the default item
+-- map match on.
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_checklist_template_versions
+-- =====================================================
+CREATE TABLE hrms_checklist_template_versions (
+  version_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES hrms_checklist_templates(template_id) ON DELETE CASCADE,
+
+  version_number INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  based_on_version_id UUID REFERENCES hrms_checklist_template_versions(version_id) ON DELETE SET NULL,
+  change_notes TEXT,
+
+  published_at TIMESTAMPTZ,
+  published_by UUID REFERENCES auth.users(id),
+  superseded_at TIMESTAMPTZ,
+
+  -- Audit
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT valid_checklist_version_status CHECK (status IN ('draft', 'published', 'superseded')),
+  CONSTRAINT unique_checklist_template_version UNIQUE (template_id, version_number)
+);
+
+CREATE INDEX idx_hrms_checklist_versions_tenant ON hrms_checklist_template_versions(tenant_id);
+CREATE UNIQUE INDEX idx_hrms_checklist_versions_one_draft
+  ON hrms_checklist_template_versions(template_id) WHERE status = 'draft';
+CREATE UNIQUE INDEX idx_hrms_checklist_versions_one_published
+  ON hrms_checklist_template_versions(template_id) WHERE status = 'published';
+
+CREATE TRIGGER trg_hrms_checklist_template_versions_updated_at
+  BEFORE UPDATE ON hrms_checklist_template_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. Version Columns
+-- =====================================================
+ALTER TABLE hrms_checklist_groups
+  ADD COLUMN version_id UUID REFERENCES hrms_checklist_template_versions(version_id) ON DELETE CASCADE,
+  ADD COLUMN lineage_id UUID NOT NULL DEFAULT gen_random_uuid();
+
+ALTER TABLE hrms_checklist_items
+  ADD COLUMN version_id UUID REFERENCES hrms_checklist_template_versions(version_id) ON DELETE CASCADE,
+  ADD COLUMN lineage_id UUID NOT NULL DEFAULT gen_random_uuid();
+
+ALTER TABLE hrms_employee_checklists
+  ADD COLUMN version_id UUID REFERENCES hrms_checklist_template_versions(version_id) ON DELETE CASCADE;
+
+-- Existing structures become version 1, already published
+INSERT INTO hrms_checklist_template_versions (
+  tenant_id, template_id, version_number, status, change_notes, published_at, published_by, created_by
+)
+SELECT tenant_id, template_id, 1, 'published', 'Initial version', created_at, created_by, created_by
+FROM hrms_checklist_templates;
+
+UPDATE hrms_checklist_groups g
+SET version_id = v.version_id
+FROM hrms_checklist_template_versions v
+WHERE v.template_id = g.template_id;
+
+UPDATE hrms_checklist_items i
+SET version_id = v.version_id
+FROM hrms_checklist_template_versions v
+WHERE v.template_id = i.template_id;
+
+UPDATE hrms_employee_checklists ec
+SET version_id = v.version_id
+FROM hrms_checklist_template_versions v
+WHERE v.template_id = ec.template_id;
+
+ALTER TABLE hrms_checklist_groups ALTER COLUMN version_id SET NOT NULL;
+ALTER TABLE hrms_checklist_items ALTER COLUMN version_id SET NOT NULL;
+ALTER TABLE hrms_employee_checklists ALTER COLUMN version_id SET NOT NULL;
+
+CREATE INDEX idx_hrms_checklist_groups_version ON hrms_checklist_groups(version_id);
+CREATE INDEX idx_hrms_checklist_items_version ON hrms_checklist_items(version_id);
+CREATE INDEX idx_hrms_employee_checklists_version ON hrms_employee_checklists(version_id);
+
+-- =====================================================
+-- 3. Triggers: Published Versions Are Read-Only
+-- =====================================================
+-- Cascades from a deleted template (or a discarded draft, whose version
+-- row is already gone) pass through.
+CREATE OR REPLACE FUNCTION fn_hrms_guard_checklist_version_content()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_version hrms_checklist_template_versions;
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    IF NOT EXISTS (SELECT 1 FROM hrms_checklist_templates WHERE template_id = OLD.template_id) THEN
+      RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+    END IF;
+
+    SELECT * INTO v_version
+    FROM hrms_checklist_template_versions
+    WHERE version_id = OLD.version_id;
+
+    IF v_version.status <> 'draft' THEN
+      RAISE EXCEPTION 'Version % of this checklist template has been published and cannot be changed; create a draft instead', v_version.version_number
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+
+  SELECT * INTO v_version
+  FROM hrms_checklist_template_versions
+  WHERE version_id = NEW.version_id
+    AND template_id = NEW.template_id;
+
+  IF v_version.status IS DISTINCT FROM 'draft' THEN
+    RAISE EXCEPTION 'Checklist groups and items can only be added to a draft version of their template'
+      USING ERRCODE = '22023';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_checklist_groups_guard_version
+  BEFORE INSERT OR UPDATE OR DELETE ON hrms_checklist_groups
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_guard_checklist_version_content();
+
+CREATE TRIGGER trg_hrms_checklist_items_guard_version
+  BEFORE INSERT OR UPDATE OR DELETE ON hrms_checklist_items
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_guard_checklist_version_content();
+
+-- Versions only move forward (draft -> published -> superseded), and
+-- only drafts can be discarded
+CREATE OR REPLACE FUNCTION fn_hrms_guard_checklist_version_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    IF OLD.status <> 'draft'
+       AND EXISTS (SELECT 1 FROM hrms_checklist_templates WHERE template_id = OLD.template_id) THEN
+      RAISE EXCEPTION 'Only a draft checklist version can be discarded'
+        USING ERRCODE = '22023';
+    END IF;
+    RETURN OLD;
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status
+     AND NOT (
+       (OLD.status = 'draft' AND NEW.status = 'published')
+       OR (OLD.status = 'published' AND NEW.status = 'superseded')
+     ) THEN
+    RAISE EXCEPTION 'Checklist version cannot go from % to %', OLD.status, NEW.status
+      USING ERRCODE = '22023';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_hrms_checklist_template_versions_guard_status
+  BEFORE UPDATE OR DELETE ON hrms_checklist_template_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_guard_checklist_version_status();
+
+-- =====================================================
+-- 4. Function: Create Draft
+-- =====================================================
+-- Copies the published version's groups and items into a new draft.
+-- If the template already has a draft, that draft is returned instead.
+CREATE OR REPLACE FUNCTION create_hrms_checklist_template_draft(p_template_id UUID)
+RETURNS hrms_checklist_template_versions AS $$
+DECLARE
+  v_template hrms_checklist_templates;
+  v_source hrms_checklist_template_versions;
+  v_draft hrms_checklist_template_versions;
+BEGIN
+  SELECT * INTO v_template
+  FROM hrms_checklist_templates
+  WHERE template_id = p_template_id
+  FOR UPDATE;
+
+  IF v_template.template_id IS NULL THEN
+    RAISE EXCEPTION 'Checklist template % not found', p_template_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_template.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to edit checklist templates for tenant %', v_template.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_draft
+  FROM hrms_checklist_template_versions
+  WHERE template_id = p_template_id
+    AND status = 'draft';
+
+  IF v_draft.version_id IS NOT NULL THEN
+    RETURN v_draft;
+  END IF;
+
+  SELECT * INTO v_source
+  FROM hrms_checklist_template_versions
+  WHERE template_id = p_template_id
+    AND status = 'published';
+
+  INSERT INTO hrms_checklist_template_versions (
+    tenant_id, template_id, version_number, status, based_on_version_id, created_by
+  )
+  SELECT
+    v_template.tenant_id,
+    p_template_id,
+    COALESCE(MAX(version_number), 0) + 1,
+    'draft',
+    v_source.version_id,
+    auth.uid()
+  FROM hrms_checklist_template_versions
+  WHERE template_id = p_template_id
+  RETURNING * INTO v_draft;
+
+  IF v_source.version_id IS NOT NULL THEN
+    INSERT INTO hrms_checklist_groups (
+      tenant_id, template_id, version_id, lineage_id,
+      group_name, group_description, display_order
+    )
+    SELECT
+      g.tenant_id, g.template_id, v_draft.version_id, g.lineage_id,
+      g.group_name, g.group_description, g.display_order
+    FROM hrms_checklist_groups g
+    WHERE g.version_id = v_source.version_id;
+
+    INSERT INTO hrms_checklist_items (
+      tenant_id, template_id, version_id, group_id, lineage_id,
+      item_name, item_description, display_order,
+      is_required, compliance_tracking_flag, visible_to_employee_flag, enable_ai_parsing
+    )
+    SELECT
+      i.tenant_id, i.template_id, v_draft.version_id, ng.group_id, i.lineage_id,
+      i.item_name, i.item_description, i.display_order,
+      i.is_required, i.compliance_tracking_flag, i.visible_to_employee_flag, i.enable_ai_parsing
+    FROM hrms_checklist_items i
+    LEFT JOIN hrms_checklist_groups og ON og.group_id = i.group_id
+    LEFT JOIN hrms_checklist_groups ng
+      ON ng.version_id = v_draft.version_id
+     AND ng.lineage_id = og.lineage_id
+    WHERE i.version_id = v_source.version_id;
+  END IF;
+
+  RETURN v_draft;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION create_hrms_checklist_template_draft(UUID) TO authenticated;
+
+-- =====================================================
+-- 5. Function: Publish Draft
+-- =====================================================
+CREATE OR REPLACE FUNCTION publish_hrms_checklist_template_version(
+  p_version_id UUID,
+  p_change_notes TEXT DEFAULT NULL
+)
+RETURNS hrms_checklist_template_versions AS $$
+DECLARE
+  v_version hrms_checklist_template_versions;
+BEGIN
+  SELECT * INTO v_version
+  FROM hrms_checklist_template_versions
+  WHERE version_id = p_version_id
+  FOR UPDATE;
+
+  IF v_version.version_id IS NULL THEN
+    RAISE EXCEPTION 'Checklist version % not found', p_version_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_version.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to publish checklist templates for tenant %', v_version.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_version.status <> 'draft' THEN
+    RAISE EXCEPTION 'Version % is already %', v_version.version_number, v_version.status
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM hrms_checklist_items WHERE version_id = p_version_id) THEN
+    RAISE EXCEPTION 'Add at least one item before publishing this checklist'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_checklist_template_versions
+  SET status = 'superseded',
+      superseded_at = NOW()
+  WHERE template_id = v_version.template_id
+    AND status = 'published';
+
+  UPDATE hrms_checklist_template_versions
+  SET status = 'published',
+      published_at = NOW(),
+      published_by = auth.uid(),
+      change_notes = COALESCE(NULLIF(TRIM(p_change_notes), ''), change_notes)
+  WHERE version_id = p_version_id
+  RETURNING * INTO v_version;
+
+  RETURN v_version;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION publish_hrms_checklist_template_version(UUID, TEXT) TO authenticated;
+
+-- =====================================================
+-- 6. Assignments Pinned to a Version
+-- =====================================================
+-- Only templates with a published version are assigned; the version is
+-- the one an employee gets when first given the template.
+DROP FUNCTION fn_hrms_matching_checklist_templates(UUID, UUID);
+
+CREATE OR REPLACE FUNCTION fn_hrms_matching_checklist_templates(p_tenant_id UUID, p_employee_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  employee_id UUID,
+  checklist_type_id UUID,
+  template_id UUID,
+  version_id UUID
+) AS $$
+  SELECT DISTINCT ON (e.employee_id, ct.checklist_type_id)
+    e.employee_id,
+    ct.checklist_type_id,
+    t.template_id,
+    v.version_id
+  FROM hrms_employees e
+  JOIN hrms_checklist_types ct
+    ON ct.tenant_id = e.tenant_id
+   AND ct.target_entity_type = 'employee'
+   AND ct.is_active = true
+  JOIN hrms_checklist_templates t
+    ON t.checklist_type_id = ct.checklist_type_id
+   AND t.is_active = true
+   AND (
+     t.employee_type = e.employee_type
+     OR (t.employee_type IS NULL AND NOT COALESCE(ct.require_employee_type, false))
+   )
+   AND (t.business_id IS NULL OR t.business_id = e.business_id)
+  JOIN hrms_checklist_template_versions v
+    ON v.template_id = t.template_id
+   AND v.status = 'published'
+  WHERE e.tenant_id = p_tenant_id
+    AND (p_employee_id IS NULL OR e.employee_id = p_employee_id)
+    AND e.deleted_at IS NULL
+  ORDER BY
+    e.employee_id,
+    ct.checklist_type_id,
+    (t.employee_type IS NULL),
+    (t.business_id IS NULL),
+    t.created_at,
+    t.template_id;
+$$ LANGUAGE sql STABLE;
+
+-- Publishing a new version of the same template leaves existing
+-- assignments on their version
+CREATE OR REPLACE FUNCTION fn_hrms_sync_employee_checklists(p_tenant_id UUID, p_employee_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  WITH matches AS (
+    SELECT * FROM fn_hrms_matching_checklist_templates(p_tenant_id, p_employee_id)
+  )
+  DELETE FROM hrms_employee_checklists ec
+  WHERE ec.tenant_id = p_tenant_id
+    AND (p_employee_id IS NULL OR ec.employee_id = p_employee_id)
+    AND NOT EXISTS (
+      SELECT 1
+      FROM matches m
+      WHERE m.employee_id = ec.employee_id
+        AND m.checklist_type_id = ec.checklist_type_id
+    );
+
+  INSERT INTO hrms_employee_checklists (tenant_id, employee_id, checklist_type_id, template_id, version_id)
+  SELECT p_tenant_id, m.employee_id, m.checklist_type_id, m.template_id, m.version_id
+  FROM fn_hrms_matching_checklist_templates(p_tenant_id, p_employee_id) m
+  ON CONFLICT (employee_id, checklist_type_id) DO UPDATE
+    SET template_id = EXCLUDED.template_id,
+        version_id = EXCLUDED.version_id,
+        assigned_at = NOW(),
+        last_reminder_sent_at = NULL,
+        reminder_sent_count = 0
+    WHERE hrms_employee_checklists.template_id IS DISTINCT FROM EXCLUDED.template_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_sync_employee_checklists(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_sync_employee_checklists(UUID, UUID) TO service_role;
+
+-- A template's first published version assigns it
+CREATE TRIGGER trg_hrms_checklist_template_versions_sync_checklists
+  AFTER UPDATE OF status ON hrms_checklist_template_versions
+  FOR EACH ROW
+  WHEN (NEW.status = 'published')
+  EXECUTE FUNCTION fn_hrms_sync_checklists_for_tenant();
+
+-- =====================================================
+-- 7. Function: Move Employees to Another Version
+-- =====================================================
+-- p_item_map maps item_id of the old version to item_id of the new one
+-- ({"old": "new"}). Documents of items mapped to null, or left out of
+-- the map, stay on file without a checklist item.
+CREATE OR REPLACE FUNCTION migrate_hrms_employee_checklists(
+  p_from_version_id UUID,
+  p_to_version_id UUID,
+  p_item_map JSONB DEFAULT '{}'::JSONB,
+  p_employee_ids UUID[] DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_from hrms_checklist_template_versions;
+  v_to hrms_checklist_template_versions;
+  v_employee_ids UUID[];
+BEGIN
+  SELECT * INTO v_from FROM hrms_checklist_template_versions WHERE version_id = p_from_version_id;
+  SELECT * INTO v_to FROM hrms_checklist_template_versions WHERE version_id = p_to_version_id;
+
+  IF v_from.version_id IS NULL OR v_to.version_id IS NULL THEN
+    RAISE EXCEPTION 'Checklist version not found'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_from.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to migrate checklists for tenant %', v_from.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_from.template_id <> v_to.template_id OR v_from.version_id = v_to.version_id THEN
+    RAISE EXCEPTION 'Employees can only be moved between two versions of the same template'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_to.status <> 'published' THEN
+    RAISE EXCEPTION 'Employees can only be moved to the published version (version % is %)', v_to.version_number, v_to.status
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_each_text(COALESCE(p_item_map, '{}'::JSONB)) m
+    WHERE NOT EXISTS (
+        SELECT 1 FROM hrms_checklist_items WHERE item_id::TEXT = m.key AND version_id = p_from_version_id
+      )
+      OR (
+        m.value IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM hrms_checklist_items WHERE item_id::TEXT = m.value AND version_id = p_to_version_id
+        )
+      )
+  ) THEN
+    RAISE EXCEPTION 'The item map must map items of version % to items of version %', v_from.version_number, v_to.version_number
+      USING ERRCODE = '22023';
+  END IF;
+
+  WITH moved AS (
+    UPDATE hrms_employee_checklists ec
+    SET version_id = p_to_version_id
+    WHERE ec.version_id = p_from_version_id
+      AND (p_employee_ids IS NULL OR ec.employee_id = ANY(p_employee_ids))
+    RETURNING ec.employee_id
+  )
+  SELECT COALESCE(array_agg(employee_id), '{}') INTO v_employee_ids FROM moved;
+
+  UPDATE hrms_documents d
+  SET checklist_item_id = (p_item_map ->> d.checklist_item_id::TEXT)::UUID
+  WHERE d.entity_type = 'employee'
+    AND d.entity_id = ANY(v_employee_ids)
+    AND d.checklist_item_id IN (
+      SELECT item_id FROM hrms_checklist_items WHERE version_id = p_from_version_id
+    );
+
+  RETURN COALESCE(array_length(v_employee_ids, 1), 0);
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION migrate_hrms_employee_checklists(UUID, UUID, JSONB, UUID[]) TO authenticated;
+
+-- =====================================================
+-- 8. Missing Documents Report on the Pinned Version
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_hrms_missing_required_documents(
+  p_tenant_id UUID,
+  p_business_id UUID DEFAULT NULL,
+  p_employee_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  employee_id UUID,
+  employee_name TEXT,
+  employee_code TEXT,
+  employee_email TEXT,
+  employee_type TEXT,
+  employee_user_id UUID,
+  business_id UUID,
+  employee_checklist_id UUID,
+  template_name TEXT,
+  required_items INTEGER,
+  required_completed INTEGER,
+  last_reminder_sent_at TIMESTAMPTZ,
+  reminder_sent_count INTEGER,
+  item_id UUID,
+  item_name TEXT,
+  group_name TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+  IF p_tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to view missing documents for tenant %', p_tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  WITH required AS (
+    SELECT
+      ec.employee_checklist_id,
+      ec.employee_id,
+      ec.template_id,
+      ec.last_reminder_sent_at,
+      ec.reminder_sent_count,
+      i.item_id,
+      i.item_name,
+      i.display_order AS item_order,
+      g.group_name,
+      g.display_order AS group_order,
+      EXISTS (
+        SELECT 1
+        FROM hrms_documents d
+        WHERE d.entity_type = 'employee'
+          AND d.entity_id = ec.employee_id
+          AND d.checklist_item_id = i.item_id
+          AND d.is_current_version = true
+          AND d.document_status IN ('active', 'expired')
+      ) AS is_uploaded
+    FROM hrms_employee_checklists ec
+    JOIN hrms_checklist_items i
+      ON i.version_id = ec.version_id
+     AND i.is_required = true
+    LEFT JOIN hrms_checklist_groups g ON g.group_id = i.group_id
+    WHERE ec.tenant_id = p_tenant_id
+      AND (p_employee_ids IS NULL OR ec.employee_id = ANY(p_employee_ids))
+  ),
+  progress AS (
+    SELECT
+      r.employee_checklist_id,
+      COUNT(*)::INTEGER AS required_items,
+      (COUNT(*) FILTER (WHERE r.is_uploaded))::INTEGER AS required_completed
+    FROM required r
+    GROUP BY r.employee_checklist_id
+  )
+  SELECT
+    e.employee_id,
+    TRIM(CONCAT(e.first_name, ' ', e.last_name))::TEXT,
+    e.employee_code::TEXT,
+    e.email::TEXT,
+    e.employee_type::TEXT,
+    e.user_id,
+    e.business_id,
+    r.employee_checklist_id,
+    t.template_name::TEXT,
+    p.required_items,
+    p.required_completed,
+    r.last_reminder_sent_at,
+    r.reminder_sent_count,
+    r.item_id,
+    r.item_name::TEXT,
+    r.group_name::TEXT
+  FROM required r
+  JOIN progress p ON p.employee_checklist_id = r.employee_checklist_id
+  JOIN hrms_employees e ON e.employee_id = r.employee_id
+  JOIN hrms_checklist_templates t ON t.template_id = r.template_id
+  WHERE NOT r.is_uploaded
+    AND e.deleted_at IS NULL
+    AND e.employment_status IN ('active', 'on_leave')
+    AND (p_business_id IS NULL OR e.business_id = p_business_id)
+  ORDER BY e.last_name, e.first_name, t.template_name, r.group_order NULLS LAST, r.item_order;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+-- =====================================================
+-- 9. Offboarding Uses the Published Version
+-- =====================================================
+CREATE OR REPLACE FUNCTION initiate_hrms_employee_termination(
+  p_employee_id UUID,
+  p_effective_date DATE,
+  p_termination_type VARCHAR,
+  p_termination_reason TEXT DEFAULT NULL,
+  p_eligible_for_rehire BOOLEAN DEFAULT true,
+  p_checklist_template_id UUID DEFAULT NULL,
+  p_close_visa_status_ids UUID[] DEFAULT '{}',
+  p_revoke_portal_access BOOLEAN DEFAULT true
+)
+RETURNS hrms_employee_terminations AS $$
+DECLARE
+  v_employee hrms_employees;
+  v_template hrms_checklist_templates;
+  v_termination hrms_employee_terminations;
+  v_projects JSONB;
+  v_visa_statuses JSONB;
+  v_has_h1b BOOLEAN;
+BEGIN
+  SELECT * INTO v_employee
+  FROM hrms_employees
+  WHERE employee_id = p_employee_id
+  FOR UPDATE;
+
+  IF v_employee.employee_id IS NULL THEN
+    RAISE EXCEPTION 'Employee % not found', p_employee_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_employee.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to terminate employees for tenant %', v_employee.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_employee.employment_status = 'terminated' THEN
+    RAISE EXCEPTION 'Employee % is already terminated', v_employee.employee_code
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_effective_date IS NULL OR p_effective_date < v_employee.start_date THEN
+    RAISE EXCEPTION 'Effective date must be on or after the employee start date'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_checklist_template_id IS NOT NULL THEN
+    SELECT t.* INTO v_template
+    FROM hrms_checklist_templates t
+    JOIN hrms_checklist_types ct ON ct.checklist_type_id = t.checklist_type_id
+    WHERE t.template_id = p_checklist_template_id
+      AND t.tenant_id = v_employee.tenant_id
+      AND ct.type_code = 'offboarding';
+
+    IF v_template.template_id IS NULL THEN
+      RAISE EXCEPTION 'Checklist template % is not an offboarding template', p_checklist_template_id
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  -- Snapshot everything this termination changes, before changing it
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'project_id', p.project_id,
+    'project_status', p.project_status,
+    'project_end_date', p.project_end_date,
+    'is_active', p.is_active
+  )), '[]'::JSONB)
+  INTO v_projects
+  FROM hrms_projects p
+  WHERE p.employee_id = p_employee_id
+    AND p.project_status = 'active'
+    AND (p.project_end_date IS NULL OR p.project_end_date > p_effective_date);
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'visa_status_id', v.visa_status_id,
+    'is_current', v.is_current,
+    'visa_status', v.visa_status,
+    'end_date', v.end_date
+  )), '[]'::JSONB)
+  INTO v_visa_statuses
+  FROM hrms_visa_statuses v
+  WHERE v.employee_id = p_employee_id
+    AND v.visa_status_id = ANY(COALESCE(p_close_visa_status_ids, '{}'))
+    AND v.is_current;
+
+  SELECT EXISTS (
+    SELECT 1
+    FROM hrms_visa_statuses v
+    WHERE v.employee_id = p_employee_id
+      AND v.is_current
+      AND v.visa_type_name ~* '^H-?1B'
+  ) INTO v_has_h1b;
+
+  INSERT INTO hrms_employee_terminations (
+    tenant_id,
+    business_id,
+    employee_id,
+    effective_date,
+    termination_type,
+    termination_reason,
+    eligible_for_rehire,
+    checklist_template_id,
+    reversal_snapshot,
+    created_by,
+    updated_by
+  ) VALUES (
+    v_employee.tenant_id,
+    v_employee.business_id,
+    p_employee_id,
+    p_effective_date,
+    p_termination_type,
+    p_termination_reason,
+    COALESCE(p_eligible_for_rehire, true),
+    p_checklist_template_id,
+    jsonb_build_object(
+      'employee', jsonb_build_object(
+        'employment_status', v_employee.employment_status,
+        'end_date', v_employee.end_date,
+        'is_active', v_employee.is_active,
+        'portal_access_enabled', v_employee.portal_access_enabled
+      ),
+      'projects', v_projects,
+      'visa_statuses', v_visa_statuses
+    ),
+    auth.uid(),
+    auth.uid()
+  )
+  RETURNING * INTO v_termination;
+
+  UPDATE hrms_employees
+  SET employment_status = 'terminated',
+      end_date = p_effective_date,
+      is_active = false,
+      portal_access_enabled = CASE WHEN p_revoke_portal_access THEN false ELSE portal_access_enabled END,
+      updated_by = auth.uid()
+  WHERE employee_id = p_employee_id;
+
+  -- Projects that would only have started after the last day are cancelled outright
+  UPDATE hrms_projects p
+  SET project_status = CASE WHEN p.project_start_date > p_effective_date THEN 'cancelled' ELSE 'completed' END,
+      project_end_date = GREATEST(p_effective_date, p.project_start_date),
+      is_active = false,
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_projects) AS s(project_id UUID)
+  WHERE p.project_id = s.project_id;
+
+  UPDATE hrms_visa_statuses v
+  SET is_current = false,
+      visa_status = 'cancelled',
+      end_date = GREATEST(v.start_date, LEAST(COALESCE(v.end_date, p_effective_date), p_effective_date)),
+      updated_by = auth.uid()
+  FROM jsonb_to_recordset(v_visa_statuses) AS s(visa_status_id UUID)
+  WHERE v.visa_status_id = s.visa_status_id;
+
+  -- Offboarding checklist items become compliance items due on the last day
+  IF v_template.template_id IS NOT NULL THEN
+    INSERT INTO hrms_compliance_items (
+      tenant_id, business_id, employee_id, termination_id,
+      compliance_type, item_name, description, due_date, priority, created_by
+    )
+    SELECT
+      v_employee.tenant_id,
+      v_employee.business_id,
+      p_employee_id,
+      v_termination.termination_id,
+      'other',
+      COALESCE(i.item_name, 'Offboarding checklist item'),
+      CONCAT_WS(' / ', 'Offboarding checklist: ' || v_template.template_name, g.group_name),
+      p_effective_date,
+      CASE WHEN i.is_required THEN 'high' ELSE 'medium' END,
+      auth.uid()
+    FROM hrms_checklist_items i
+    JOIN hrms_checklist_template_versions v
+      ON v.version_id = i.version_id
+     AND v.status = 'published'
+    LEFT JOIN hrms_checklist_groups g ON g.group_id = i.group_id
+    WHERE i.template_id = v_template.template_id
+    ORDER BY g.display_order NULLS LAST, i.display_order;
+  END IF;
+
+  -- Standard exit obligations
+  INSERT INTO hrms_compliance_items (
+    tenant_id, business_id, employee_id, termination_id,
+    compliance_type, item_name, description, due_date, priority, created_by
+  )
+  SELECT
+    v_employee.tenant_id,
+    v_employee.business_id,
+    p_employee_id,
+    v_termination.termination_id,
+    o.compliance_type,
+    o.item_name,
+    o.description,
+    p_effective_date,
+    o.priority,
+    auth.uid()
+  FROM (
+    VALUES
+      ('other', 'Final paycheck', 'Issue the final paycheck, including any payout of accrued leave required by state law', 'critical', true),
+      ('other', 'H-1B petition withdrawal notice', 'Notify USCIS in writing to withdraw the H-1B petition', 'critical', v_has_h1b),
+      ('other', 'LCA withdrawal', 'Withdraw the certified LCA with the Department of Labor', 'high', v_has_h1b),
+      ('other', 'Return transportation offer', 'Offer to pay reasonable costs of return transportation to the employee''s home country', 'high', v_has_h1b)
+  ) AS o(compliance_type, item_name, description, priority, applies)
+  WHERE o.applies;
+
+  RETURN v_termination;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_checklist_template_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_checklist_template_versions_tenant_select" ON hrms_checklist_template_versions
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_checklist_template_versions_tenant_insert" ON hrms_checklist_template_versions
+  FOR INSERT WITH CHECK (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_checklist_template_versions_tenant_update" ON hrms_checklist_template_versions
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id());
+
+CREATE POLICY "hrms_checklist_template_versions_tenant_delete" ON hrms_checklist_template_versions
+  FOR DELETE USING (tenant_id = fn_get_user_tenant_id());
+
+-- Portal employees read the version their checklist is pinned to
+CREATE POLICY "hrms_checklist_template_versions_employee_select" ON hrms_checklist_template_versions
+  FOR SELECT USING (tenant_id = fn_hrms_portal_tenant_id());
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_checklist_template_versions IS 'Versions of a checklist template; only drafts can be edited, one draft and one published version per template';
+COMMENT ON COLUMN hrms_checklist_items.lineage_id IS 'Shared by an item and its copies in later versions; used to diff versions and map documents between them';
+COMMENT ON COLUMN hrms_checklist_groups.lineage_id IS 'Shared by a group and its copies in later versions';
+COMMENT ON COLUMN hrms_employee_checklists.version_id IS 'Template version the employee is pinned to; changed only by migrate_hrms_employee_checklists';
+COMMENT ON FUNCTION create_hrms_checklist_template_draft(UUID) IS 'Opens a draft of a checklist template, copied from its published version (or returns the open draft)';
+COMMENT ON FUNCTION publish_hrms_checklist_template_version(UUID, TEXT) IS 'Publishes a draft checklist version and supersedes the previous one; existing assignments stay pinned';
+COMMENT ON FUNCTION migrate_hrms_employee_checklists(UUID, UUID, JSONB, UUID[]) IS 'Moves employees to the published version of their template, repointing their documents through an item map';
+COMMENT ON FUNCTION fn_hrms_matching_checklist_templates(UUID, UUID) IS 'Template and published version each employee should have per active employee checklist type (employee type, then business, then oldest)';
@@ -0,0 +1,284 @@
+-- =====================================================
+-- HRMS Document Version Chains Migration
+-- =====================================================
+-- Columns: hrms_documents.archived_at, archived_by
+-- Functions: fn_hrms_chain_document_version,
+--            fn_hrms_supersede_document_version,
+--            get_hrms_document_versions,
+--            archive_hrms_document, restore_hrms_document
+--
+-- A document uploaded for the same entity, document type and checklist
+-- item as the current version of another document becomes its next
+-- version: parent_document_id points at the previous version,
+-- version_number is one higher and the previous row is marked
+-- superseded (is_current_version = false). An upload can also name the
+-- version it replaces through parent_document_id ("New Version" in the
+-- document viewer). Uploads outside a checklist, and files uploaded
+-- together (metadata.multi_file_upload), are never chained automatically,
+-- so pay stubs or several I-797s uploaded at once all stay current.
+-- The description, metadata and compliance tracking of the previous
+-- version carry over, so the renewal's expiry is tracked by
+-- trg_create_compliance_from_document and the previous version's open
+-- expiry reminders are completed.
+--
+-- Documents are no longer deleted from the UI. Archiving sets
+-- document_status = 'archived', which drops the document from lists,
+-- checklist progress and the missing documents report, and waives its
+-- open expiry reminders; restoring puts back the status the document
+-- would otherwise have.
+-- =====================================================
+
+-- =====================================================
+-- 1. Archive Columns
+-- =====================================================
+ALTER TABLE hrms_documents
+  ADD COLUMN archived_at TIMESTAMPTZ,
+  ADD COLUMN archived_by UUID REFERENCES auth.users(id);
+
+CREATE INDEX idx_hrms_docs_parent ON hrms_documents(parent_document_id) WHERE parent_document_id IS NOT NULL;
+
+-- Current version lookups when a document is uploaded
+CREATE INDEX idx_hrms_docs_current_chain
+  ON hrms_documents(entity_type, entity_id, document_type, checklist_item_id)
+  WHERE is_current_version = true;
+
+-- =====================================================
+-- 2. Trigger: Chain New Uploads to the Current Version
+-- =====================================================
+-- SECURITY DEFINER: portal uploads must find and supersede versions HR
+-- uploaded, which the employee may not be able to see or update.
+CREATE OR REPLACE FUNCTION fn_hrms_chain_document_version()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_previous hrms_documents;
+BEGIN
+  IF NEW.parent_document_id IS NOT NULL THEN
+    SELECT * INTO v_previous
+    FROM hrms_documents
+    WHERE document_id = NEW.parent_document_id
+    FOR UPDATE;
+
+    IF v_previous.document_id IS NULL
+       OR v_previous.tenant_id IS DISTINCT FROM NEW.tenant_id
+       OR v_previous.entity_type IS DISTINCT FROM NEW.entity_type
+       OR v_previous.entity_id IS DISTINCT FROM NEW.entity_id THEN
+      RAISE EXCEPTION 'A new version must be uploaded for the same % as the document it replaces', NEW.entity_type
+        USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT v_previous.is_current_version THEN
+      RAISE EXCEPTION 'Version % of "%" has already been replaced; upload a new version of the current one', v_previous.version_number, v_previous.document_name
+        USING ERRCODE = '22023';
+    END IF;
+  ELSIF NEW.entity_id IS NOT NULL
+        AND NEW.checklist_item_id IS NOT NULL
+        AND NOT COALESCE((NEW.metadata->>'multi_file_upload')::BOOLEAN, false) THEN
+    SELECT * INTO v_previous
+    FROM hrms_documents
+    WHERE tenant_id = NEW.tenant_id
+      AND entity_type = NEW.entity_type
+      AND entity_id = NEW.entity_id
+      AND document_type IS NOT DISTINCT FROM NEW.document_type
+      AND checklist_item_id = NEW.checklist_item_id
+      AND is_current_version = true
+    ORDER BY version_number DESC, uploaded_at DESC
+    LIMIT 1
+    FOR UPDATE;
+  END IF;
+
+  IF v_previous.document_id IS NULL THEN
+    NEW.version_number := 1;
+    RETURN NEW;
+  END IF;
+
+  NEW.parent_document_id := v_previous.document_id;
+  NEW.version_number := COALESCE(v_previous.version_number, 1) + 1;
+  NEW.is_current_version := true;
+  NEW.business_id := COALESCE(NEW.business_id, v_previous.business_id);
+  NEW.document_type := COALESCE(NEW.document_type, v_previous.document_type);
+  NEW.checklist_item_id := COALESCE(NEW.checklist_item_id, v_previous.checklist_item_id);
+  NEW.document_description := COALESCE(NEW.document_description, v_previous.document_description);
+  NEW.metadata := COALESCE(v_previous.metadata, '{}'::jsonb) || COALESCE(NEW.metadata, '{}'::jsonb);
+  NEW.compliance_tracking_flag := COALESCE(NEW.compliance_tracking_flag, false)
+    OR COALESCE(v_previous.compliance_tracking_flag, false);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_documents_chain_version
+  BEFORE INSERT ON hrms_documents
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_hrms_chain_document_version();
+
+CREATE OR REPLACE FUNCTION fn_hrms_supersede_document_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- An archived version stays archived; it is only no longer current
+  UPDATE hrms_documents
+  SET is_current_version = false,
+      document_status = CASE WHEN document_status = 'archived' THEN 'archived' ELSE 'superseded' END
+  WHERE document_id = NEW.parent_document_id
+    AND is_current_version = true;
+
+  -- The renewal has been uploaded
+  UPDATE hrms_compliance_items
+  SET compliance_status = 'completed',
+      completion_date = CURRENT_DATE,
+      completed_by = auth.uid()
+  WHERE document_id = NEW.parent_document_id
+    AND compliance_type = 'document_expiry'
+    AND compliance_status IN ('pending', 'overdue');
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trg_hrms_documents_supersede_version
+  AFTER INSERT ON hrms_documents
+  FOR EACH ROW
+  WHEN (NEW.parent_document_id IS NOT NULL)
+  EXECUTE FUNCTION fn_hrms_supersede_document_version();
+
+-- =====================================================
+-- 3. Function: Versions of a Document
+-- =====================================================
+-- Every version in the chain of p_document_id, newest first. Runs with
+-- the caller's row level security, so the chain stops at versions the
+-- caller cannot see.
+CREATE OR REPLACE FUNCTION get_hrms_document_versions(p_document_id UUID)
+RETURNS SETOF hrms_documents AS $$
+  WITH RECURSIVE ancestors AS (
+    SELECT d.document_id, d.parent_document_id, 0 AS depth
+    FROM hrms_documents d
+    WHERE d.document_id = p_document_id
+
+    UNION ALL
+
+    SELECT p.document_id, p.parent_document_id, a.depth + 1
+    FROM hrms_documents p
+    JOIN ancestors a ON p.document_id = a.parent_document_id
+  ),
+  root AS (
+    SELECT document_id
+    FROM ancestors
+    ORDER BY depth DESC
+    LIMIT 1
+  ),
+  chain AS (
+    SELECT d.*
+    FROM hrms_documents d
+    JOIN root r ON d.document_id = r.document_id
+
+    UNION ALL
+
+    SELECT c.*
+    FROM hrms_documents c
+    JOIN chain ch ON c.parent_document_id = ch.document_id
+  )
+  SELECT *
+  FROM chain
+  ORDER BY version_number DESC, uploaded_at DESC;
+$$ LANGUAGE sql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_hrms_document_versions(UUID) TO authenticated;
+
+-- =====================================================
+-- 4. Functions: Archive and Restore
+-- =====================================================
+CREATE OR REPLACE FUNCTION archive_hrms_document(p_document_id UUID)
+RETURNS hrms_documents AS $$
+DECLARE
+  v_document hrms_documents;
+BEGIN
+  SELECT * INTO v_document
+  FROM hrms_documents
+  WHERE document_id = p_document_id
+  FOR UPDATE;
+
+  IF v_document.document_id IS NULL THEN
+    RAISE EXCEPTION 'Document % not found', p_document_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_document.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to archive documents for tenant %', v_document.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_document.document_status = 'archived' THEN
+    RAISE EXCEPTION '"%" is already archived', v_document.document_name
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_compliance_items
+  SET compliance_status = 'waived'
+  WHERE document_id = p_document_id
+    AND compliance_type = 'document_expiry'
+    AND compliance_status IN ('pending', 'overdue');
+
+  UPDATE hrms_documents
+  SET document_status = 'archived',
+      archived_at = NOW(),
+      archived_by = auth.uid()
+  WHERE document_id = p_document_id
+  RETURNING * INTO v_document;
+
+  RETURN v_document;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION archive_hrms_document(UUID) TO authenticated;
+
+CREATE OR REPLACE FUNCTION restore_hrms_document(p_document_id UUID)
+RETURNS hrms_documents AS $$
+DECLARE
+  v_document hrms_documents;
+BEGIN
+  SELECT * INTO v_document
+  FROM hrms_documents
+  WHERE document_id = p_document_id
+  FOR UPDATE;
+
+  IF v_document.document_id IS NULL THEN
+    RAISE EXCEPTION 'Document % not found', p_document_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_document.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to restore documents for tenant %', v_document.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF v_document.document_status <> 'archived' THEN
+    RAISE EXCEPTION '"%" is not archived', v_document.document_name
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE hrms_documents
+  SET document_status = CASE
+        WHEN NOT is_current_version THEN 'superseded'
+        WHEN expiry_date < CURRENT_DATE THEN 'expired'
+        ELSE 'active'
+      END,
+      archived_at = NULL,
+      archived_by = NULL
+  WHERE document_id = p_document_id
+  RETURNING * INTO v_document;
+
+  RETURN v_document;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION restore_hrms_document(UUID) TO authenticated;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON COLUMN hrms_documents.archived_at IS 'When the document was archived (document_status = archived); cleared on restore';
+COMMENT ON COLUMN hrms_documents.parent_document_id IS 'Previous version of this document; set when an upload supersedes the current version';
+COMMENT ON FUNCTION fn_hrms_chain_document_version() IS 'Links a new upload to the version it names, or to the current version for the same entity, document type and checklist item';
+COMMENT ON FUNCTION fn_hrms_supersede_document_version() IS 'Marks the previous version superseded and completes its open expiry reminders';
+COMMENT ON FUNCTION get_hrms_document_versions(UUID) IS 'All versions in the chain of a document, newest first';
+COMMENT ON FUNCTION archive_hrms_document(UUID) IS 'Soft-deletes a document and waives its open expiry reminders';
+COMMENT ON FUNCTION restore_hrms_document(UUID) IS 'Restores an archived document to active, expired or superseded';
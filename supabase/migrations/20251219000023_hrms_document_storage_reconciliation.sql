@@ -0,0 +1,419 @@
+-- =====================================================
+-- HRMS Document Storage Reconciliation Migration
+-- =====================================================
+-- Tables: hrms_document_storage_findings
+-- Functions: fn_hrms_document_storage_tenant,
+--            fn_hrms_reconcile_document_storage,
+--            reconcile_hrms_document_storage,
+--            relink_hrms_document_storage,
+--            archive_hrms_missing_storage_documents,
+--            fn_hrms_storage_object_referenced
+-- Policies: storage.objects hrms_documents_bucket_employee_delete_unlinked
+--
+-- Compares the documents storage bucket with the rows that point at it
+-- and records what does not line up:
+--   orphan_object  - an object no row references (typically an upload
+--                    whose hrms_documents insert failed)
+--   temp_leftover  - an orphan under <entity_type>/temp/, uploaded
+--                    before an entity was chosen
+--   missing_object - a document row whose file is not in storage
+-- Objects are referenced by hrms_documents, hrms_employee_resumes,
+-- hrms_background_checks, hrms_performance_reports and
+-- hrms_ticket_attachments; tickets/ (inbound email attachments) is not
+-- scanned. Objects younger than an hour are skipped so uploads still in
+-- flight are not reported.
+--
+-- Storage paths carry no tenant, so an object is attributed through the
+-- employee, project or timesheet in its path, else through the user who
+-- uploaded it. Findings that cannot be attributed keep tenant_id NULL
+-- and are only visible with the service role. Attributed findings are
+-- visible to the tenant's HR staff (fn_hrms_is_hr_staff), not to portal
+-- employees.
+--
+-- The scan runs nightly and on demand from the storage report. Findings
+-- are closed as cleared once the scan no longer sees them, or when an
+-- admin relinks a missing file to an orphaned object, archives the
+-- document, or deletes the object (cleanupDocumentStorage edge
+-- function; storage objects can only be removed through the Storage API).
+-- =====================================================
+
+-- =====================================================
+-- 1. hrms_document_storage_findings
+-- =====================================================
+CREATE TABLE hrms_document_storage_findings (
+  finding_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(tenant_id) ON DELETE CASCADE,
+
+  finding_type VARCHAR(20) NOT NULL,
+  -- <bucket>/<object name>, the same format as hrms_documents.file_path
+  object_path TEXT NOT NULL,
+  document_id UUID REFERENCES hrms_documents(document_id) ON DELETE CASCADE,
+  size_bytes BIGINT,
+  object_created_at TIMESTAMPTZ,
+
+  first_detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Resolution
+  resolved_at TIMESTAMPTZ,
+  resolution VARCHAR(20),
+  resolved_by UUID REFERENCES auth.users(id),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT valid_storage_finding_type CHECK (finding_type IN ('orphan_object', 'temp_leftover', 'missing_object')),
+  CONSTRAINT valid_storage_finding_resolution CHECK (resolution IN ('cleared', 'deleted', 'relinked', 'archived')),
+  CONSTRAINT storage_finding_resolution_set CHECK ((resolved_at IS NULL) = (resolution IS NULL)),
+  CONSTRAINT missing_object_has_document CHECK ((finding_type = 'missing_object') = (document_id IS NOT NULL))
+);
+
+CREATE INDEX idx_hrms_storage_findings_tenant ON hrms_document_storage_findings(tenant_id);
+
+-- One open finding per object, and per document with a missing file
+CREATE UNIQUE INDEX idx_hrms_storage_findings_open_object
+  ON hrms_document_storage_findings(object_path)
+  WHERE resolved_at IS NULL AND document_id IS NULL;
+
+CREATE UNIQUE INDEX idx_hrms_storage_findings_open_document
+  ON hrms_document_storage_findings(document_id)
+  WHERE resolved_at IS NULL AND document_id IS NOT NULL;
+
+CREATE TRIGGER trg_hrms_document_storage_findings_updated_at
+  BEFORE UPDATE ON hrms_document_storage_findings
+  FOR EACH ROW
+  EXECUTE FUNCTION fn_update_hrms_timestamp();
+
+-- =====================================================
+-- 2. Function: Tenant of a Storage Object
+-- =====================================================
+-- Upload paths are <entity_type>/<entity_id>/... (portal timesheet
+-- documents: timesheet/<employee_id>/<timesheet_id>/...).
+CREATE OR REPLACE FUNCTION fn_hrms_document_storage_tenant(p_object_name TEXT, p_owner UUID)
+RETURNS UUID AS $$
+DECLARE
+  v_segment TEXT := split_part(p_object_name, '/', 2);
+  v_entity_id UUID;
+  v_tenant_id UUID;
+BEGIN
+  IF v_segment ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    v_entity_id := v_segment::UUID;
+
+    SELECT tenant_id INTO v_tenant_id FROM hrms_employees WHERE employee_id = v_entity_id;
+    IF v_tenant_id IS NULL THEN
+      SELECT tenant_id INTO v_tenant_id FROM hrms_projects WHERE project_id = v_entity_id;
+    END IF;
+    IF v_tenant_id IS NULL THEN
+      SELECT tenant_id INTO v_tenant_id FROM hrms_timesheets WHERE timesheet_id = v_entity_id;
+    END IF;
+  END IF;
+
+  IF v_tenant_id IS NULL AND p_owner IS NOT NULL THEN
+    SELECT tenant_id INTO v_tenant_id FROM profiles WHERE id = p_owner;
+    IF v_tenant_id IS NULL THEN
+      SELECT tenant_id INTO v_tenant_id FROM hrms_employees WHERE user_id = p_owner LIMIT 1;
+    END IF;
+  END IF;
+
+  RETURN v_tenant_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_document_storage_tenant(TEXT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_document_storage_tenant(TEXT, UUID) TO service_role;
+
+-- =====================================================
+-- 3. Function: Reconcile (all tenants when p_tenant_id is NULL)
+-- =====================================================
+CREATE OR REPLACE FUNCTION fn_hrms_reconcile_document_storage(p_tenant_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  v_now TIMESTAMPTZ := NOW();
+  v_cleared INTEGER;
+BEGIN
+  DROP TABLE IF EXISTS pg_temp.hrms_storage_detected;
+
+  CREATE TEMP TABLE hrms_storage_detected ON COMMIT DROP AS
+  WITH referenced AS (
+    SELECT file_path FROM hrms_documents
+    UNION SELECT file_path FROM hrms_employee_resumes
+    UNION SELECT file_path FROM hrms_background_checks WHERE file_path IS NOT NULL
+    UNION SELECT file_path FROM hrms_performance_reports WHERE file_path IS NOT NULL
+    UNION SELECT file_path FROM hrms_ticket_attachments
+  ),
+  orphans AS (
+    SELECT
+      fn_hrms_document_storage_tenant(o.name, o.owner) AS tenant_id,
+      CASE WHEN split_part(o.name, '/', 2) = 'temp' THEN 'temp_leftover' ELSE 'orphan_object' END AS finding_type,
+      o.bucket_id || '/' || o.name AS object_path,
+      NULL::UUID AS document_id,
+      (o.metadata ->> 'size')::BIGINT AS size_bytes,
+      o.created_at AS object_created_at
+    FROM storage.objects o
+    WHERE o.bucket_id = 'documents'
+      AND o.name NOT LIKE 'tickets/%'
+      AND o.created_at < v_now - INTERVAL '1 hour'
+      AND NOT EXISTS (SELECT 1 FROM referenced r WHERE r.file_path = o.bucket_id || '/' || o.name)
+  ),
+  missing AS (
+    SELECT
+      d.tenant_id,
+      'missing_object' AS finding_type,
+      d.file_path AS object_path,
+      d.document_id,
+      d.size_bytes,
+      NULL::TIMESTAMPTZ AS object_created_at
+    FROM hrms_documents d
+    WHERE d.document_status <> 'archived'
+      AND NOT EXISTS (
+        SELECT 1
+        FROM storage.objects o
+        WHERE o.bucket_id = split_part(d.file_path, '/', 1)
+          AND o.name = substr(d.file_path, length(split_part(d.file_path, '/', 1)) + 2)
+      )
+  )
+  SELECT * FROM orphans WHERE p_tenant_id IS NULL OR tenant_id = p_tenant_id
+  UNION ALL
+  SELECT * FROM missing WHERE p_tenant_id IS NULL OR tenant_id = p_tenant_id;
+
+  -- Still there
+  UPDATE hrms_document_storage_findings f
+  SET last_detected_at = v_now,
+      finding_type = s.finding_type,
+      tenant_id = s.tenant_id
+  FROM hrms_storage_detected s
+  WHERE f.resolved_at IS NULL
+    AND f.object_path = s.object_path
+    AND f.document_id IS NOT DISTINCT FROM s.document_id;
+
+  -- New
+  INSERT INTO hrms_document_storage_findings (
+    tenant_id, finding_type, object_path, document_id, size_bytes, object_created_at,
+    first_detected_at, last_detected_at
+  )
+  SELECT s.tenant_id, s.finding_type, s.object_path, s.document_id, s.size_bytes, s.object_created_at, v_now, v_now
+  FROM hrms_storage_detected s
+  WHERE NOT EXISTS (
+    SELECT 1
+    FROM hrms_document_storage_findings f
+    WHERE f.resolved_at IS NULL
+      AND f.object_path = s.object_path
+      AND f.document_id IS NOT DISTINCT FROM s.document_id
+  );
+
+  -- Fixed some other way (file re-uploaded, row inserted, object removed)
+  UPDATE hrms_document_storage_findings f
+  SET resolved_at = v_now,
+      resolution = 'cleared'
+  WHERE f.resolved_at IS NULL
+    AND f.last_detected_at < v_now
+    AND (p_tenant_id IS NULL OR f.tenant_id = p_tenant_id);
+
+  GET DIAGNOSTICS v_cleared = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'orphan_object', (SELECT COUNT(*) FROM hrms_storage_detected WHERE finding_type = 'orphan_object'),
+    'temp_leftover', (SELECT COUNT(*) FROM hrms_storage_detected WHERE finding_type = 'temp_leftover'),
+    'missing_object', (SELECT COUNT(*) FROM hrms_storage_detected WHERE finding_type = 'missing_object'),
+    'cleared', v_cleared
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_reconcile_document_storage(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fn_hrms_reconcile_document_storage(UUID) TO service_role;
+
+-- On demand from the storage report: the caller's tenant, or every tenant for super admins
+CREATE OR REPLACE FUNCTION reconcile_hrms_document_storage()
+RETURNS JSONB AS $$
+DECLARE
+  v_tenant_id UUID := fn_get_user_tenant_id();
+BEGIN
+  IF fn_is_super_admin() THEN
+    RETURN fn_hrms_reconcile_document_storage(NULL);
+  END IF;
+
+  IF v_tenant_id IS NULL OR NOT fn_hrms_is_hr_staff(auth.uid()) THEN
+    RAISE EXCEPTION 'Not authorized to reconcile document storage'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN fn_hrms_reconcile_document_storage(v_tenant_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION reconcile_hrms_document_storage() TO authenticated;
+
+-- =====================================================
+-- 4. Function: Relink a Missing File to an Orphaned Object
+-- =====================================================
+CREATE OR REPLACE FUNCTION relink_hrms_document_storage(
+  p_document_id UUID,
+  p_object_finding_id UUID
+)
+RETURNS hrms_documents AS $$
+DECLARE
+  v_document hrms_documents;
+  v_finding hrms_document_storage_findings;
+BEGIN
+  SELECT * INTO v_document
+  FROM hrms_documents
+  WHERE document_id = p_document_id
+  FOR UPDATE;
+
+  IF v_document.document_id IS NULL THEN
+    RAISE EXCEPTION 'Document % not found', p_document_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF (v_document.tenant_id IS DISTINCT FROM fn_get_user_tenant_id() OR NOT fn_hrms_is_hr_staff(auth.uid()))
+     AND NOT fn_is_super_admin() THEN
+    RAISE EXCEPTION 'Not authorized to relink documents for tenant %', v_document.tenant_id
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_finding
+  FROM hrms_document_storage_findings
+  WHERE finding_id = p_object_finding_id
+    AND resolved_at IS NULL
+    AND finding_type IN ('orphan_object', 'temp_leftover')
+  FOR UPDATE;
+
+  IF v_finding.finding_id IS NULL THEN
+    RAISE EXCEPTION 'Storage object % is no longer unlinked', p_object_finding_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_finding.tenant_id IS DISTINCT FROM v_document.tenant_id THEN
+    RAISE EXCEPTION 'The storage object belongs to a different tenant than the document'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM storage.objects o
+    WHERE o.bucket_id || '/' || o.name = v_finding.object_path
+  ) THEN
+    RAISE EXCEPTION 'Storage object % has been removed', v_finding.object_path
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE hrms_documents
+  SET file_path = v_finding.object_path,
+      size_bytes = COALESCE(v_finding.size_bytes, size_bytes)
+  WHERE document_id = p_document_id
+  RETURNING * INTO v_document;
+
+  UPDATE hrms_document_storage_findings
+  SET resolved_at = NOW(),
+      resolution = 'relinked',
+      resolved_by = auth.uid()
+  WHERE resolved_at IS NULL
+    AND (finding_id = p_object_finding_id OR (finding_type = 'missing_object' AND document_id = p_document_id));
+
+  RETURN v_document;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION relink_hrms_document_storage(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- 5. Function: Archive Documents Whose File Is Missing
+-- =====================================================
+CREATE OR REPLACE FUNCTION archive_hrms_missing_storage_documents(p_finding_ids UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+  v_finding hrms_document_storage_findings;
+  v_count INTEGER := 0;
+BEGIN
+  -- Row level security limits the findings to the caller's tenant
+  FOR v_finding IN
+    SELECT *
+    FROM hrms_document_storage_findings
+    WHERE finding_id = ANY(p_finding_ids)
+      AND finding_type = 'missing_object'
+      AND resolved_at IS NULL
+    FOR UPDATE
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM hrms_documents
+      WHERE document_id = v_finding.document_id
+        AND document_status <> 'archived'
+    ) THEN
+      PERFORM archive_hrms_document(v_finding.document_id);
+    END IF;
+
+    UPDATE hrms_document_storage_findings
+    SET resolved_at = NOW(),
+        resolution = 'archived',
+        resolved_by = auth.uid()
+    WHERE finding_id = v_finding.finding_id;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION archive_hrms_missing_storage_documents(UUID[]) TO authenticated;
+
+-- =====================================================
+-- 6. Portal Upload Rollback
+-- =====================================================
+-- The portal uploads a file before inserting its hrms_documents row and
+-- removes the file again when the insert fails. Employees may delete
+-- only their own uploads in their own folders, and only while no row
+-- points at the file. Runs as definer because RLS hides rows the
+-- employee cannot see, which must still count as references.
+CREATE OR REPLACE FUNCTION fn_hrms_storage_object_referenced(p_object_path TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM hrms_documents WHERE file_path = p_object_path)
+    OR EXISTS (SELECT 1 FROM hrms_employee_resumes WHERE file_path = p_object_path)
+    OR EXISTS (SELECT 1 FROM hrms_background_checks WHERE file_path = p_object_path)
+    OR EXISTS (SELECT 1 FROM hrms_performance_reports WHERE file_path = p_object_path)
+    OR EXISTS (SELECT 1 FROM hrms_ticket_attachments WHERE file_path = p_object_path);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION fn_hrms_storage_object_referenced(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION fn_hrms_storage_object_referenced(TEXT) TO authenticated;
+
+CREATE POLICY "hrms_documents_bucket_employee_delete_unlinked" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'documents'
+    AND (storage.foldername(name))[1] IN ('employee', 'timesheet')
+    AND (storage.foldername(name))[2] = fn_hrms_portal_employee_id()::TEXT
+    AND owner = auth.uid()
+    AND NOT fn_hrms_storage_object_referenced('documents/' || name)
+  );
+
+-- =====================================================
+-- 7. Schedule
+-- =====================================================
+SELECT cron.schedule(
+  'hrms-reconcile-document-storage',
+  '30 2 * * *',
+  $$ SELECT fn_hrms_reconcile_document_storage(); $$
+);
+
+-- =====================================================
+-- Row Level Security
+-- =====================================================
+ALTER TABLE hrms_document_storage_findings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hrms_document_storage_findings_tenant_select" ON hrms_document_storage_findings
+  FOR SELECT USING (tenant_id = fn_get_user_tenant_id() AND fn_hrms_is_hr_staff(auth.uid()));
+
+CREATE POLICY "hrms_document_storage_findings_tenant_update" ON hrms_document_storage_findings
+  FOR UPDATE USING (tenant_id = fn_get_user_tenant_id() AND fn_hrms_is_hr_staff(auth.uid()));
+
+-- =====================================================
+-- Comments
+-- =====================================================
+COMMENT ON TABLE hrms_document_storage_findings IS 'Documents bucket objects without a row, temp/ leftovers and document rows without a file; open while resolved_at is NULL';
+COMMENT ON FUNCTION fn_hrms_document_storage_tenant(TEXT, UUID) IS 'Tenant of a documents bucket object, from the entity in its path or its uploader';
+COMMENT ON FUNCTION fn_hrms_reconcile_document_storage(UUID) IS 'Records and clears storage findings for one tenant, or all tenants when NULL; run nightly by pg_cron';
+COMMENT ON FUNCTION reconcile_hrms_document_storage() IS 'Runs the storage reconciliation for the HR staff caller''s tenant (all tenants for super admins)';
+COMMENT ON FUNCTION relink_hrms_document_storage(UUID, UUID) IS 'Points a document whose file is missing at an unlinked storage object';
+COMMENT ON FUNCTION archive_hrms_missing_storage_documents(UUID[]) IS 'Archives the documents of missing_object findings and resolves the findings';
+COMMENT ON FUNCTION fn_hrms_storage_object_referenced(TEXT) IS 'Whether any row points at a documents bucket path, regardless of the caller''s row level security';